@@ -4,6 +4,11 @@ import ArrayPage from "./pages/ArrayPage";
 import LinkedListPage from "./pages/LinkedListPage";
 import StackPage from "./pages/StackPage";
 import QueuePage from "./pages/QueuePage";
+import TreePage from "./pages/TreePage";
+import HeapPage from "./pages/HeapPage";
+import HashPage from "./pages/HashPage";
+import GraphPage from "./pages/GraphPage";
+import SortingPage from "./pages/SortingPage";
 import "./App.css";
 
 function App() {
@@ -50,6 +55,36 @@ function App() {
           >
             🚶 Queue
           </Link>
+          <Link
+            to="/tree"
+            className={location.pathname === "/tree" ? "active" : ""}
+          >
+            🌳 Tree
+          </Link>
+          <Link
+            to="/heap"
+            className={location.pathname === "/heap" ? "active" : ""}
+          >
+            ⛰️ Heap
+          </Link>
+          <Link
+            to="/hash"
+            className={location.pathname === "/hash" ? "active" : ""}
+          >
+            #️⃣ Hash Table
+          </Link>
+          <Link
+            to="/graph"
+            className={location.pathname === "/graph" ? "active" : ""}
+          >
+            🕸️ Graph
+          </Link>
+          <Link
+            to="/sorting"
+            className={location.pathname === "/sorting" ? "active" : ""}
+          >
+            📊 Sorting
+          </Link>
         </nav>
       )}
 
@@ -60,6 +95,11 @@ function App() {
           <Route path="/linked-list" element={<LinkedListPage />} />
           <Route path="/stack" element={<StackPage />} />
           <Route path="/queue" element={<QueuePage />} />
+          <Route path="/tree" element={<TreePage />} />
+          <Route path="/heap" element={<HeapPage />} />
+          <Route path="/hash" element={<HashPage />} />
+          <Route path="/graph" element={<GraphPage />} />
+          <Route path="/sorting" element={<SortingPage />} />
         </Routes>
       </main>
     </div>
@@ -0,0 +1,542 @@
+import { useCallback, useEffect, useRef } from "react";
+import { createPortal } from "react-dom";
+import { useFrame, useThree } from "@react-three/fiber";
+import * as THREE from "three";
+import { PS } from "../hooks/useARPlacement";
+
+// ─── Shared AR placement: scan → preview → confirm ───────────────────────────
+// <ARPlacement> goes inside the scenario's <XR> and places its children on a
+// real surface; <ARPlacementHud> is the matching on-screen guide, gestures
+// and controls. Both take the object useARPlacement returns.
+
+// Taps on HUD buttons must not also count as an AR select (placing the model)
+const blockXRSelect = (el) => {
+  if (!el) return;
+  const stop = (e) => e.preventDefault();
+  el.addEventListener("beforexrselect", stop);
+  return () => el.removeEventListener("beforexrselect", stop);
+};
+
+// ─── Hit-test reticle ────────────────────────────────────────────────────────
+function SurfaceFinder({ color, onPlace, onHasHit, onError }) {
+  const { gl } = useThree();
+
+  const hitTestSourceRef = useRef(null);
+  const localSpaceRef = useRef(null);
+  const reticleGroupRef = useRef(null);
+  const sessionRef = useRef(null);
+  const mat4 = useRef(new THREE.Matrix4());
+  const onPlaceRef = useRef(onPlace);
+
+  useEffect(() => {
+    onPlaceRef.current = onPlace;
+  }, [onPlace]);
+
+  const handleSelect = useCallback(() => {
+    const reticle = reticleGroupRef.current;
+    if (!reticle || !reticle.visible) return; // no surface under the ring yet
+    onPlaceRef.current(reticle.position.clone());
+  }, []);
+
+  // Unmounts on every placement, so leave nothing behind on the session
+  useEffect(
+    () => () => {
+      sessionRef.current?.removeEventListener("select", handleSelect);
+      hitTestSourceRef.current?.cancel();
+      hitTestSourceRef.current = null;
+      sessionRef.current = null;
+    },
+    [handleSelect],
+  );
+
+  useFrame((_, __, frame) => {
+    if (!frame) return;
+
+    const session = gl.xr?.getSession?.();
+    if (!session) return;
+
+    // ── One-time session setup ──────────────────────────────────────────────
+    if (session !== sessionRef.current) {
+      sessionRef.current = session;
+      session.addEventListener("select", handleSelect);
+      session
+        .requestReferenceSpace("local")
+        .then((localSpace) => {
+          localSpaceRef.current = localSpace;
+          return session.requestReferenceSpace("viewer");
+        })
+        .then((viewerSpace) =>
+          session.requestHitTestSource({ space: viewerSpace }),
+        )
+        .then((src) => {
+          // Unmounted while the request was in flight
+          if (sessionRef.current !== session) return src.cancel();
+          hitTestSourceRef.current = src;
+        })
+        .catch((e) => {
+          if (sessionRef.current !== session) return;
+          onError("AR failed: no surface detection — " + (e?.message || e));
+        });
+    }
+
+    // ── Per-frame hit-test ──────────────────────────────────────────────────
+    const source = hitTestSourceRef.current;
+    const refSpace = localSpaceRef.current;
+    const reticle = reticleGroupRef.current;
+    if (!reticle) return;
+
+    reticle.visible = false;
+
+    if (source && refSpace) {
+      const results = frame.getHitTestResults(source);
+      const pose = results[0]?.getPose(refSpace);
+      if (pose) {
+        reticle.visible = true;
+        mat4.current.fromArray(pose.transform.matrix);
+        mat4.current.decompose(
+          reticle.position,
+          reticle.quaternion,
+          reticle.scale,
+        );
+        onHasHit(true);
+        return;
+      }
+    }
+    onHasHit(false);
+  });
+
+  return (
+    <group ref={reticleGroupRef} visible={false}>
+      <Reticle color={color} />
+    </group>
+  );
+}
+
+function Reticle({ color }) {
+  const pulseRef = useRef();
+  useFrame(({ clock }) => {
+    if (!pulseRef.current) return;
+    const t = clock.elapsedTime;
+    pulseRef.current.scale.set(
+      1 + 0.18 * Math.sin(t * 3.5),
+      1 + 0.18 * Math.sin(t * 3.5),
+      1,
+    );
+    pulseRef.current.material.opacity = 0.2 + 0.12 * Math.sin(t * 3.5);
+  });
+  return (
+    <>
+      <mesh rotation={[-Math.PI / 2, 0, 0]}>
+        <ringGeometry args={[0.1, 0.14, 36]} />
+        <meshBasicMaterial
+          color={color}
+          transparent
+          opacity={0.95}
+          side={THREE.DoubleSide}
+          depthWrite={false}
+        />
+      </mesh>
+      <mesh rotation={[-Math.PI / 2, 0, 0]}>
+        <circleGeometry args={[0.04, 20]} />
+        <meshBasicMaterial
+          color="#ffffff"
+          transparent
+          opacity={0.85}
+          side={THREE.DoubleSide}
+          depthWrite={false}
+        />
+      </mesh>
+      <mesh ref={pulseRef} rotation={[-Math.PI / 2, 0, 0]}>
+        <ringGeometry args={[0.16, 0.19, 36]} />
+        <meshBasicMaterial
+          color={color}
+          transparent
+          opacity={0.25}
+          side={THREE.DoubleSide}
+          depthWrite={false}
+        />
+      </mesh>
+    </>
+  );
+}
+
+// ─── 3D side ─────────────────────────────────────────────────────────────────
+// Outside AR the children render untouched. In AR they sit on the anchor,
+// turned by the twist gesture and sized by `scale` × the pinch gesture;
+// `lift` raises the scene (in its own units) so its base rests on the
+// surface. `attached` follows the anchor at real-world size once confirmed,
+// for 3D panels that should not shrink with the scene.
+export default function ARPlacement({
+  placement,
+  scale = 0.25,
+  lift = 0,
+  color = "#f39c12",
+  attached = null,
+  children,
+}) {
+  const { isAR, placeState, anchor, yaw, zoom } = placement;
+  if (!isAR) return children;
+  const s = scale * zoom;
+  return (
+    <>
+      {placeState === PS.SCANNING && (
+        <SurfaceFinder
+          color={color}
+          onPlace={placement.place}
+          onHasHit={placement.setHasHit}
+          onError={placement.fail}
+        />
+      )}
+      {anchor && (
+        <group position={[anchor.x, anchor.y, anchor.z]}>
+          {placeState === PS.PREVIEWING && <Reticle color={color} />}
+          <group rotation={[0, yaw, 0]} scale={[s, s, s]}>
+            <group position={[0, lift, 0]}>{children}</group>
+          </group>
+          {placeState === PS.CONFIRMED && attached}
+        </group>
+      )}
+    </>
+  );
+}
+
+// ─── Two-finger gestures: twist rotates, pinch scales ───────────────────────
+function GestureLayer({ placement }) {
+  const pointers = useRef(new Map());
+
+  const handleDown = (e) => {
+    pointers.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    e.currentTarget.setPointerCapture(e.pointerId);
+  };
+  const handleMove = (e) => {
+    const map = pointers.current;
+    if (!map.has(e.pointerId)) return;
+    const [a0, b0] = [...map.values()];
+    map.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (map.size !== 2) return;
+    const [a1, b1] = [...map.values()];
+    const angle = (p, q) => Math.atan2(q.y - p.y, q.x - p.x);
+    const dist = (p, q) => Math.hypot(q.x - p.x, q.y - p.y);
+    // Screen y points down, so a clockwise twist is a negative yaw
+    let turn = angle(a1, b1) - angle(a0, b0);
+    if (turn > Math.PI) turn -= 2 * Math.PI;
+    if (turn < -Math.PI) turn += 2 * Math.PI;
+    placement.rotateBy(-turn);
+    if (dist(a0, b0) > 0) placement.zoomBy(dist(a1, b1) / dist(a0, b0));
+  };
+  const handleUp = (e) => pointers.current.delete(e.pointerId);
+
+  return (
+    <div
+      onPointerDown={handleDown}
+      onPointerMove={handleMove}
+      onPointerUp={handleUp}
+      onPointerCancel={handleUp}
+      style={{
+        position: "absolute",
+        inset: 0,
+        pointerEvents: "auto",
+        touchAction: "none",
+      }}
+    />
+  );
+}
+
+const card = (accent) => ({
+  background: "rgba(0,0,0,0.75)",
+  border: `1px solid ${accent}66`,
+  borderRadius: 14,
+  padding: "12px 20px",
+  textAlign: "center",
+});
+const hudBtn = {
+  padding: "8px 14px",
+  borderRadius: 10,
+  border: "1px solid rgba(255,255,255,0.2)",
+  background: "rgba(0,0,0,0.7)",
+  color: "#fff",
+  fontWeight: "bold",
+  fontSize: 13,
+  cursor: "pointer",
+};
+
+// ─── Screen side ─────────────────────────────────────────────────────────────
+// Rendered into the session's DOM overlay so it stays visible in AR.
+// `children` are the scenario's own controls, shown once placed; `actions`
+// is a simple alternative: [{ label, onClick, disabled, color }].
+export function ARPlacementHud({
+  placement,
+  title,
+  status,
+  accent = "#f39c12",
+  log = [],
+  actions = [],
+  children,
+}) {
+  const { isAR, placeState, hasHit, overlayRoot } = placement;
+  if (!isAR) return null;
+  const placed = placeState !== PS.SCANNING;
+
+  return createPortal(
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        zIndex: 9999,
+        pointerEvents: "none",
+        fontFamily: "'Courier New',monospace",
+      }}
+    >
+      {placed && <GestureLayer placement={placement} />}
+
+      {/* Top bar */}
+      <div
+        ref={blockXRSelect}
+        style={{
+          position: "absolute",
+          top: 16,
+          left: 16,
+          right: 16,
+          background: "rgba(0,0,0,0.7)",
+          border: `1px solid ${accent}4d`,
+          borderRadius: 12,
+          padding: "8px 14px",
+          display: "flex",
+          alignItems: "center",
+          gap: 10,
+          pointerEvents: "auto",
+        }}
+      >
+        <span
+          style={{
+            color: accent,
+            fontWeight: "bold",
+            fontSize: 13,
+            marginRight: "auto",
+          }}
+        >
+          {title}
+          {status && (
+            <span
+              style={{
+                color: "rgba(255,255,255,0.6)",
+                fontWeight: "normal",
+                fontSize: 11,
+                marginLeft: 8,
+              }}
+            >
+              {status}
+            </span>
+          )}
+        </span>
+        {placeState === PS.CONFIRMED && (
+          <button
+            onClick={placement.replace}
+            style={{ ...hudBtn, padding: "6px 10px", fontSize: 12 }}
+          >
+            📍 Move
+          </button>
+        )}
+        <button
+          onClick={placement.exit}
+          style={{
+            ...hudBtn,
+            padding: "6px 10px",
+            fontSize: 12,
+            background: "rgba(180,30,30,0.7)",
+          }}
+        >
+          ✕ Exit
+        </button>
+      </div>
+
+      {placeState === PS.SCANNING && (
+        <div
+          style={{
+            position: "absolute",
+            bottom: 100,
+            left: 0,
+            right: 0,
+            display: "flex",
+            justifyContent: "center",
+          }}
+        >
+          <div style={{ ...card(accent), color: accent, fontWeight: "bold" }}>
+            🎯 Point at a flat surface
+            <div
+              style={{
+                color: "rgba(255,255,255,0.6)",
+                fontSize: 12,
+                fontWeight: "normal",
+                marginTop: 4,
+              }}
+            >
+              {hasHit
+                ? "✨ Surface found — tap anywhere to place!"
+                : "Move your phone slowly until the ring appears"}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {placeState === PS.PREVIEWING && (
+        <div
+          ref={blockXRSelect}
+          style={{
+            position: "absolute",
+            bottom: 80,
+            left: 16,
+            right: 16,
+            display: "flex",
+            flexDirection: "column",
+            alignItems: "center",
+            gap: 14,
+            pointerEvents: "auto",
+          }}
+        >
+          <div style={card(accent)}>
+            <div
+              style={{
+                color: accent,
+                fontWeight: "bold",
+                fontSize: 15,
+                marginBottom: 4,
+              }}
+            >
+              📐 Preview
+            </div>
+            <div style={{ color: "rgba(255,255,255,0.55)", fontSize: 12 }}>
+              Twist with two fingers to turn it, pinch to resize
+            </div>
+          </div>
+          <div style={{ display: "flex", gap: 12 }}>
+            <button
+              onClick={placement.replace}
+              style={{ ...hudBtn, padding: "12px 24px", fontSize: 14 }}
+            >
+              🔄 Re-place
+            </button>
+            <button
+              onClick={placement.confirm}
+              style={{
+                ...hudBtn,
+                padding: "12px 28px",
+                fontSize: 14,
+                border: "none",
+                background: accent,
+                color: "#1a1a1a",
+                boxShadow: `0 0 20px ${accent}80`,
+              }}
+            >
+              ✅ Confirm
+            </button>
+          </div>
+        </div>
+      )}
+
+      {placeState === PS.CONFIRMED &&
+        (children || actions.length > 0 || log.length > 0) && (
+          <div
+            ref={blockXRSelect}
+            style={{
+              position: "absolute",
+              bottom: 20,
+              left: 16,
+              right: 16,
+              display: "flex",
+              flexDirection: "column",
+              gap: 8,
+              pointerEvents: "auto",
+            }}
+          >
+            {children}
+            {(actions.length > 0 || log.length > 0) && (
+              <div
+                style={{
+                  background: "rgba(0,0,0,0.8)",
+                  border: "1px solid rgba(255,255,255,0.1)",
+                  borderRadius: 14,
+                  padding: "12px 14px",
+                }}
+              >
+                {actions.length > 0 && (
+                  <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+                    {actions.map((a) => (
+                      <button
+                        key={a.label}
+                        onClick={a.onClick}
+                        disabled={a.disabled}
+                        style={{
+                          ...hudBtn,
+                          flex: 1,
+                          border: "none",
+                          background: a.disabled
+                            ? "#555"
+                            : (a.color ?? "rgba(255,255,255,0.12)"),
+                          cursor: a.disabled ? "not-allowed" : "pointer",
+                        }}
+                      >
+                        {a.label}
+                      </button>
+                    ))}
+                  </div>
+                )}
+                {log.length > 0 && (
+                  <div
+                    style={{
+                      marginTop: actions.length > 0 ? 10 : 0,
+                      fontSize: 11,
+                      color:
+                        log[0].type === "success"
+                          ? "#7fe0a0"
+                          : log[0].type === "error"
+                            ? "#ff8080"
+                            : accent,
+                      borderTop:
+                        actions.length > 0
+                          ? "1px solid rgba(255,255,255,0.1)"
+                          : "none",
+                      paddingTop: actions.length > 0 ? 8 : 0,
+                    }}
+                  >
+                    {log[0].msg}
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+    </div>,
+    overlayRoot ?? document.body,
+  );
+}
+
+// ─── Launch button for the scenario page ─────────────────────────────────────
+export function ARButton({ placement, accent = "#f39c12" }) {
+  const { supported, error } = placement;
+  return (
+    <div className="flex flex-col items-center gap-1">
+      {supported === null ? (
+        <button
+          disabled
+          className="px-5 py-2.5 rounded-xl bg-white/10 text-white/40 font-bold text-sm border-none"
+        >
+          Checking AR…
+        </button>
+      ) : supported ? (
+        <button
+          onClick={placement.enter}
+          className="px-5 py-2.5 rounded-xl border-none font-bold text-sm text-gray-900 cursor-pointer transition-all hover:scale-105 active:scale-95"
+          style={{ background: accent, boxShadow: `0 0 20px ${accent}66` }}
+        >
+          📱 Place in AR
+        </button>
+      ) : (
+        <span className="text-white/40 text-xs">
+          📵 AR needs Android Chrome 81+ with WebXR
+        </span>
+      )}
+      {error && <p className="text-red-400 text-xs">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,1107 @@
+import { useRef, useState, useEffect } from "react";
+import { Canvas, useFrame } from "@react-three/fiber";
+import { Text, OrbitControls, Environment } from "@react-three/drei";
+import { XR, createXRStore } from "@react-three/xr";
+import * as THREE from "three";
+import ARPlacement, { ARPlacementHud, ARButton } from "./ARPlacement";
+import TimelineBar from "./TimelineBar";
+import { SceneModel } from "../models";
+import { useModelEvents } from "../hooks/useModelEvents";
+import { useTimeline } from "../hooks/useTimeline";
+import { useARPlacement } from "../hooks/useARPlacement";
+
+// ─── XR Store ─────────────────────────────────────────────────────────────────
+const xrStore = createXRStore();
+
+// ─── Constants ─────────────────────────────────────────────────────────────────
+const NODE_R = 0.26;
+const ROOT_Y = 2.3;
+const LEVEL_H = 0.95;
+const HALF_SPAN = 4.2;
+const MAX_DEPTH = 4; // root is depth 0
+const STEP_MS = 800;
+const AR_SCALE = 0.06;
+const AR_LIFT = -(ROOT_Y - MAX_DEPTH * LEVEL_H - NODE_R); // keeps the deepest level above the surface
+
+const COLORS = {
+  idle: "#34d399",
+  path: "#60a5fa",
+  current: "#facc15",
+  found: "#22c55e",
+  removing: "#ef4444",
+  successor: "#c084fc",
+  visited: "#f472b6",
+};
+
+const INITIAL_VALUES = [50, 30, 70, 20, 40, 60, 80, 35, 65];
+
+// ─── Pure BST helpers (tree = { root, nodes: { id: {id,value,left,right} } }) ──
+let nextNodeId = 1;
+
+function insertValue(tree, value, id = nextNodeId++) {
+  const nodes = { ...tree.nodes, [id]: { id, value, left: null, right: null } };
+  if (tree.root === null) return { root: id, nodes };
+  let cur = tree.root;
+  for (;;) {
+    const n = nodes[cur];
+    const side = value < n.value ? "left" : "right";
+    if (n[side] === null) {
+      nodes[cur] = { ...n, [side]: id };
+      return { root: tree.root, nodes };
+    }
+    cur = n[side];
+  }
+}
+
+const EMPTY_TREE = { root: null, nodes: {} };
+
+function buildTree(values) {
+  return values.reduce((t, v) => insertValue(t, v), EMPTY_TREE);
+}
+
+// Root-to-target comparison path; `found` is null when the value is absent
+function searchPath(tree, value) {
+  const path = [];
+  let cur = tree.root;
+  while (cur !== null) {
+    path.push(cur);
+    const n = tree.nodes[cur];
+    if (n.value === value) return { path, found: cur };
+    cur = value < n.value ? n.left : n.right;
+  }
+  return { path, found: null };
+}
+
+function parentOf(tree, id) {
+  return (
+    Object.values(tree.nodes).find((n) => n.left === id || n.right === id) ??
+    null
+  );
+}
+
+// Remove a node that has at most one child by splicing that child upward
+function spliceOut(tree, id) {
+  const node = tree.nodes[id];
+  const child = node.left ?? node.right;
+  const parent = parentOf(tree, id);
+  const nodes = { ...tree.nodes };
+  delete nodes[id];
+  if (!parent) return { root: child, nodes };
+  const side = parent.left === id ? "left" : "right";
+  nodes[parent.id] = { ...parent, [side]: child };
+  return { root: tree.root, nodes };
+}
+
+// Any node: one with two children takes its in-order successor's value,
+// then the successor (which has no left child) is spliced out instead
+function removeNode(tree, id) {
+  const node = tree.nodes[id];
+  if (node.left === null || node.right === null) return spliceOut(tree, id);
+  let succ = tree.nodes[node.right];
+  while (succ.left !== null) succ = tree.nodes[succ.left];
+  const copied = {
+    ...tree,
+    nodes: { ...tree.nodes, [id]: { ...node, value: succ.value } },
+  };
+  return spliceOut(copied, succ.id);
+}
+
+function height(tree, id = tree.root) {
+  if (id === null) return -1;
+  const n = tree.nodes[id];
+  return 1 + Math.max(height(tree, n.left), height(tree, n.right));
+}
+
+// Halving layout: each level splits the remaining horizontal span
+function layout(tree) {
+  const pos = {};
+  const place = (id, x, depth) => {
+    if (id === null) return;
+    pos[id] = [x, ROOT_Y - depth * LEVEL_H, 0];
+    const off = HALF_SPAN / 2 ** (depth + 1);
+    place(tree.nodes[id].left, x - off, depth + 1);
+    place(tree.nodes[id].right, x + off, depth + 1);
+  };
+  place(tree.root, 0, 0);
+  return pos;
+}
+
+function traversal(tree, kind) {
+  const out = [];
+  const walk = (id) => {
+    if (id === null) return;
+    const n = tree.nodes[id];
+    if (kind === "pre") out.push(id);
+    walk(n.left);
+    if (kind === "in") out.push(id);
+    walk(n.right);
+    if (kind === "post") out.push(id);
+  };
+  if (kind === "level") {
+    const queue = tree.root === null ? [] : [tree.root];
+    while (queue.length) {
+      const id = queue.shift();
+      out.push(id);
+      const n = tree.nodes[id];
+      if (n.left !== null) queue.push(n.left);
+      if (n.right !== null) queue.push(n.right);
+    }
+  } else walk(tree.root);
+  return out;
+}
+
+const TRAVERSALS = {
+  in: { label: "In-order", rule: "left → node → right", note: "sorted order" },
+  pre: { label: "Pre-order", rule: "node → left → right", note: "copy a tree" },
+  post: {
+    label: "Post-order",
+    rule: "left → right → node",
+    note: "delete a tree",
+  },
+  level: {
+    label: "Level-order",
+    rule: "breadth-first, uses a queue",
+    note: "",
+  },
+};
+
+// ─── Tree node ─────────────────────────────────────────────────────────────────
+function TreeNode({ node, target, color, isRemoving, badge, onClick }) {
+  const ref = useRef();
+  const matRef = useRef();
+  const goal = useRef(new THREE.Vector3());
+  // Mount position only — useFrame eases toward later targets
+  const [start] = useState(target);
+
+  useFrame(({ clock }) => {
+    if (!ref.current) return;
+    goal.current.set(...target);
+    ref.current.position.lerp(goal.current, 0.12);
+    const s = isRemoving ? 0.001 : 1;
+    const k = THREE.MathUtils.lerp(ref.current.scale.x, s, 0.12);
+    ref.current.scale.setScalar(k);
+    if (matRef.current)
+      matRef.current.emissiveIntensity =
+        color === COLORS.idle
+          ? 0.15
+          : 0.45 + Math.sin(clock.elapsedTime * 6) * 0.15;
+  });
+
+  return (
+    <group
+      ref={ref}
+      position={start}
+      scale={0.001}
+      onClick={(e) => {
+        e.stopPropagation();
+        onClick(node.value);
+      }}
+      onPointerOver={(e) => {
+        e.stopPropagation();
+        document.body.style.cursor = "pointer";
+      }}
+      onPointerOut={() => {
+        document.body.style.cursor = "auto";
+      }}
+    >
+      <mesh castShadow>
+        <sphereGeometry args={[NODE_R, 28, 28]} />
+        <meshStandardMaterial
+          ref={matRef}
+          color={color}
+          emissive={color}
+          emissiveIntensity={0.15}
+          roughness={0.35}
+          metalness={0.2}
+        />
+      </mesh>
+      <Text
+        position={[0, 0, NODE_R + 0.01]}
+        fontSize={0.17}
+        color="#0b1120"
+        anchorX="center"
+        anchorY="middle"
+        fontWeight="bold"
+      >
+        {String(node.value)}
+      </Text>
+      {badge && (
+        <Text
+          position={[0, NODE_R + 0.16, 0]}
+          fontSize={0.13}
+          color={COLORS.visited}
+          anchorX="center"
+          anchorY="middle"
+          fontWeight="bold"
+        >
+          {badge}
+        </Text>
+      )}
+    </group>
+  );
+}
+
+// ─── Edge that follows both endpoints as they glide ───────────────────────────
+function TreeEdge({ from, to, active }) {
+  const ref = useRef();
+  const a = useRef(new THREE.Vector3(...from));
+  const b = useRef(new THREE.Vector3(...to));
+  const tmp = useRef(new THREE.Vector3());
+  const up = useRef(new THREE.Vector3(0, 1, 0));
+
+  useFrame(() => {
+    if (!ref.current) return;
+    a.current.lerp(tmp.current.set(...from), 0.12);
+    b.current.lerp(tmp.current.set(...to), 0.12);
+    const dir = tmp.current.subVectors(b.current, a.current);
+    const len = dir.length();
+    ref.current.position.addVectors(a.current, b.current).multiplyScalar(0.5);
+    ref.current.scale.set(1, Math.max(len - NODE_R * 2, 0.001), 1);
+    ref.current.quaternion.setFromUnitVectors(up.current, dir.normalize());
+  });
+
+  return (
+    <mesh ref={ref}>
+      <cylinderGeometry args={[0.025, 0.025, 1, 8]} />
+      <meshStandardMaterial
+        color={active ? COLORS.path : "#64748b"}
+        emissive={active ? COLORS.path : "#000000"}
+        emissiveIntensity={active ? 0.6 : 0}
+      />
+    </mesh>
+  );
+}
+
+function TreeScene({ ar, tree, hl, badges, missAt, onSelect }) {
+  const pos = layout(tree);
+
+  const colorOf = (id) =>
+    hl.removing === id
+      ? COLORS.removing
+      : hl.found === id
+        ? COLORS.found
+        : hl.current === id
+          ? COLORS.current
+          : hl.successor === id
+            ? COLORS.successor
+            : badges[id]
+              ? COLORS.visited
+              : hl.path.includes(id)
+                ? COLORS.path
+                : COLORS.idle;
+
+  return (
+    <>
+      <ambientLight intensity={0.6} />
+      <directionalLight position={[3, 8, 6]} intensity={1.0} castShadow />
+      <pointLight position={[0, 3, 3]} intensity={0.6} color="#d1fae5" />
+
+      <ARPlacement
+        placement={ar}
+        scale={AR_SCALE}
+        lift={AR_LIFT}
+        color="#34d399"
+      >
+        {Object.values(tree.nodes).map((n) =>
+          [n.left, n.right]
+            .filter((c) => c !== null && pos[c])
+            .map((c) => (
+              <TreeEdge
+                key={`${n.id}-${c}`}
+                from={pos[n.id]}
+                to={pos[c]}
+                active={hl.path.includes(n.id) && hl.path.includes(c)}
+              />
+            )),
+        )}
+
+        {Object.values(tree.nodes).map((n) =>
+          pos[n.id] ? (
+            <TreeNode
+              key={n.id}
+              node={n}
+              target={pos[n.id]}
+              color={colorOf(n.id)}
+              isRemoving={hl.removing === n.id}
+              badge={badges[n.id]}
+              onClick={onSelect}
+            />
+          ) : null,
+        )}
+
+        {/* Where a failed search fell off the tree */}
+        {missAt && (
+          <Text
+            position={missAt}
+            fontSize={0.16}
+            color={COLORS.removing}
+            anchorX="center"
+            anchorY="middle"
+            fontWeight="bold"
+          >
+            null
+          </Text>
+        )}
+
+        {tree.root === null && (
+          <Text
+            position={[0, ROOT_Y, 0]}
+            fontSize={0.2}
+            color="#6ee7b7"
+            anchorX="center"
+            anchorY="middle"
+          >
+            Empty tree — root = null
+          </Text>
+        )}
+      </ARPlacement>
+
+      {!ar.isAR && (
+        <>
+          <OrbitControls
+            enablePan={false}
+            minPolarAngle={Math.PI / 4}
+            maxPolarAngle={Math.PI / 1.8}
+            minDistance={4}
+            maxDistance={14}
+            target={[0, 0.8, 0]}
+          />
+          <Environment preset="night" />
+        </>
+      )}
+    </>
+  );
+}
+
+// ─── Main Export ───────────────────────────────────────────────────────────────
+const EMPTY_HL = {
+  path: [],
+  current: null,
+  found: null,
+  removing: null,
+  successor: null,
+};
+
+export default function BinarySearchTree() {
+  // The scene model records the tree after every change; the scene animates
+  // from the recorded event and catches up once the steps finish.
+  const [model] = useState(() => new SceneModel(buildTree(INITIAL_VALUES)));
+  const [tree, setTree] = useState(() => model.state);
+  const [hl, setHl] = useState(EMPTY_HL);
+  const [badges, setBadges] = useState({});
+  const [missAt, setMissAt] = useState(null);
+  const [stepText, setStepText] = useState(null);
+  const [output, setOutput] = useState([]);
+  const [isAnimating, setIsAnimating] = useState(false);
+  const [activeTab, setActiveTab] = useState("insert");
+  const [inputVal, setInputVal] = useState("45");
+  const [travKind, setTravKind] = useState("in");
+  const [log, setLog] = useState([]);
+  const timersRef = useRef([]);
+  const ar = useARPlacement(xrStore);
+
+  useEffect(() => () => timersRef.current.forEach(clearTimeout), []);
+
+  const addLog = (msg, type = "info") =>
+    setLog((prev) => [{ msg, type, id: Date.now() }, ...prev].slice(0, 8));
+
+  const count = Object.keys(tree.nodes).length;
+  const h = height(tree);
+  const val = (id) => tree.nodes[id].value;
+
+  const clearMarks = () => {
+    setHl(EMPTY_HL);
+    setBadges({});
+    setMissAt(null);
+    setOutput([]);
+  };
+
+  // Play steps { text, hl, apply, badge, out } one every STEP_MS
+  const runSteps = (steps, done) => {
+    setIsAnimating(true);
+    clearMarks();
+    steps.forEach((s, k) => {
+      timersRef.current.push(
+        setTimeout(() => {
+          if (s.apply) setTree(s.apply);
+          if (s.hl) setHl({ ...EMPTY_HL, ...s.hl });
+          if (s.badge) setBadges((b) => ({ ...b, ...s.badge }));
+          if (s.out !== undefined) setOutput((o) => [...o, s.out]);
+          if (s.missAt) setMissAt(s.missAt);
+          setStepText(s.text);
+        }, k * STEP_MS),
+      );
+    });
+    timersRef.current.push(
+      setTimeout(() => {
+        setIsAnimating(false);
+        done();
+      }, steps.length * STEP_MS),
+    );
+  };
+
+  // Comparison steps shared by insert / search / delete
+  const compareSteps = (value, path) =>
+    path.map((id, i) => {
+      const v = val(id);
+      const verdict =
+        value === v
+          ? "match!"
+          : value < v
+            ? `${value} < ${v} → go left`
+            : `${value} > ${v} → go right`;
+      return {
+        text: `Level ${i}: compare with ${v} — ${verdict}`,
+        hl: { path: path.slice(0, i), current: id },
+      };
+    });
+
+  const parseInput = () => {
+    const v = parseInt(inputVal, 10);
+    if (Number.isNaN(v) || v < 1 || v > 99) {
+      addLog("⚠️ Enter a whole number from 1 to 99.", "error");
+      return null;
+    }
+    return v;
+  };
+
+  // ── Insert ─────────────────────────────────────────────────────────────────
+  const handleInsert = () => {
+    if (isAnimating) return;
+    const v = parseInput();
+    if (v === null) return;
+    const { path, found } = searchPath(tree, v);
+    if (found !== null)
+      return addLog(
+        `⚠️ ${v} is already in the tree — BST keys are unique.`,
+        "error",
+      );
+    if (path.length > MAX_DEPTH)
+      return addLog(
+        `⚠️ ${v} would land at depth ${path.length} — too deep to display (max ${MAX_DEPTH}).`,
+        "error",
+      );
+    const id = nextNodeId++;
+    model.record("insert", [v], insertValue(tree, v, id), {
+      id,
+      steps: path.length,
+      complexity: "O(h)",
+    });
+  };
+
+  const animateInsert = (e) => {
+    const [v] = e.args;
+    const { path } = searchPath(tree, v);
+    const parent = path.length ? val(path[path.length - 1]) : null;
+    runSteps(
+      [
+        ...compareSteps(v, path),
+        {
+          text:
+            parent === null
+              ? `Tree is empty — ${v} becomes the root`
+              : `Empty ${v < parent ? "left" : "right"} child of ${parent} — attach ${v} here`,
+          hl: { path, found: e.id },
+          apply: () => e.state,
+        },
+      ],
+      () =>
+        addLog(
+          `🌱 Insert ${v} after ${e.steps} comparison${e.steps === 1 ? "" : "s"}  ·  ${e.complexity}`,
+          "success",
+        ),
+    );
+  };
+
+  // ── Search ─────────────────────────────────────────────────────────────────
+  const handleSearch = () => {
+    if (isAnimating) return;
+    const v = parseInput();
+    if (v === null) return;
+    const { path, found } = searchPath(tree, v);
+    const pos = layout(tree);
+    const last = path[path.length - 1];
+    const lastPos = last !== undefined ? pos[last] : [0, ROOT_Y + LEVEL_H, 0];
+    const off = HALF_SPAN / 2 ** (path.length + 1);
+    const final =
+      found !== null
+        ? {
+            text: `Found ${v} at depth ${path.length - 1}`,
+            hl: { path, found },
+          }
+        : {
+            text: `Reached null — ${v} is not in the tree`,
+            hl: { path },
+            missAt:
+              last === undefined
+                ? [0, ROOT_Y, 0]
+                : [
+                    lastPos[0] + (v < val(last) ? -off : off),
+                    lastPos[1] - LEVEL_H,
+                    0,
+                  ],
+          };
+    runSteps(
+      [
+        ...compareSteps(v, path).slice(0, found !== null ? -1 : undefined),
+        final,
+      ],
+      () =>
+        addLog(
+          found !== null
+            ? `🔍 Found ${v} in ${path.length} step${path.length === 1 ? "" : "s"}  ·  O(h)`
+            : `🔍 ${v} not found after ${path.length} comparison${path.length === 1 ? "" : "s"}  ·  O(h)`,
+          found !== null ? "success" : "error",
+        ),
+    );
+  };
+
+  // ── Delete ─────────────────────────────────────────────────────────────────
+  const handleDelete = () => {
+    if (isAnimating) return;
+    const v = parseInput();
+    if (v === null) return;
+    const { found } = searchPath(tree, v);
+    if (found === null)
+      return addLog(`⚠️ ${v} is not in the tree — nothing to delete.`, "error");
+    model.record("delete", [v], removeNode(tree, found), {
+      complexity: "O(h)",
+    });
+  };
+
+  const animateDelete = (e) => {
+    const [v] = e.args;
+    const { path, found } = searchPath(tree, v);
+    const node = tree.nodes[found];
+    const steps = compareSteps(v, path).slice(0, -1);
+    let caseLabel;
+
+    if (node.left === null && node.right === null) {
+      caseLabel = "leaf";
+      steps.push(
+        {
+          text: `Case 1 — ${v} is a leaf: just unlink it from its parent`,
+          hl: { path, removing: found },
+        },
+        { text: `${v} removed`, hl: {}, apply: () => e.state },
+      );
+    } else if (node.left === null || node.right === null) {
+      const child = node.left ?? node.right;
+      caseLabel = "one child";
+      steps.push(
+        {
+          text: `Case 2 — ${v} has one child (${val(child)}): its child takes its place`,
+          hl: { path, removing: found, successor: child },
+        },
+        {
+          text: `${val(child)}'s subtree moves up one level`,
+          hl: { successor: child },
+          apply: () => e.state,
+        },
+      );
+    } else {
+      caseLabel = "two children";
+      // In-order successor: one step right, then left as far as possible
+      const succPath = [node.right];
+      while (tree.nodes[succPath[succPath.length - 1]].left !== null)
+        succPath.push(tree.nodes[succPath[succPath.length - 1]].left);
+      const succ = succPath[succPath.length - 1];
+      const sv = val(succ);
+      steps.push(
+        {
+          text: `Case 3 — ${v} has two children: find its in-order successor`,
+          hl: { path, current: found },
+        },
+        ...succPath.map((id, i) => ({
+          text:
+            i === 0
+              ? `Go right once to ${val(id)}`
+              : `Go left to ${val(id)} — keep going left`,
+          hl: { path: [found, ...succPath.slice(0, i)], current: id },
+        })),
+        {
+          text: `Successor is ${sv} — the smallest value in the right subtree`,
+          hl: { current: found, successor: succ },
+        },
+        {
+          text: `Copy ${sv} into ${v}'s node`,
+          hl: { found, successor: succ },
+          apply: (t) => ({
+            ...t,
+            nodes: { ...t.nodes, [found]: { ...t.nodes[found], value: sv } },
+          }),
+        },
+        {
+          text: `Delete the old ${sv} node (it has no left child — Case 1 or 2)`,
+          hl: { removing: succ },
+        },
+        {
+          text: `${v} deleted`,
+          hl: { found },
+          apply: () => e.state,
+        },
+      );
+    }
+    runSteps(steps, () =>
+      addLog(`🗑️ Delete ${v} (${caseLabel})  ·  ${e.complexity}`, "success"),
+    );
+  };
+
+  // ── Traversals ─────────────────────────────────────────────────────────────
+  const handleTraverse = () => {
+    if (isAnimating) return;
+    if (count === 0)
+      return addLog("⚠️ Tree is empty — nothing to traverse.", "error");
+    const order = traversal(tree, travKind);
+    const t = TRAVERSALS[travKind];
+    // Level-order shows the queue it is draining
+    const queueAt = (k) => {
+      if (travKind !== "level") return "";
+      const waiting = new Set(order.slice(k + 1));
+      const frontier = order
+        .slice(0, k + 1)
+        .flatMap((id) => [tree.nodes[id].left, tree.nodes[id].right])
+        .filter((c) => c !== null && waiting.has(c));
+      return ` · queue = [${frontier.map(val).join(", ")}]`;
+    };
+    runSteps(
+      order.map((id, k) => ({
+        text: `${t.label}: visit ${val(id)} (#${k + 1})${queueAt(k)}`,
+        hl: { current: id },
+        badge: { [id]: `#${k + 1}` },
+        out: val(id),
+      })),
+      () =>
+        addLog(
+          `🚶 ${t.label}: ${order.map(val).join(" → ")}  ·  O(n)`,
+          "success",
+        ),
+    );
+  };
+
+  const handleSelect = (value) => {
+    if (isAnimating) return;
+    setInputVal(String(value));
+    addLog(`Selected node ${value}`, "select");
+  };
+
+  const handleReset = () => model.reset(buildTree(INITIAL_VALUES));
+
+  const handleClear = () => {
+    if (isAnimating) return;
+    model.record("clear", [], EMPTY_TREE);
+  };
+
+  // Jump straight to a tree, dropping any marks and pending steps
+  const showTree = (next) => {
+    timersRef.current.forEach(clearTimeout);
+    timersRef.current = [];
+    setTree(next);
+    clearMarks();
+    setStepText(null);
+    setIsAnimating(false);
+  };
+
+  useModelEvents(model, (e) => {
+    if (e.type === "insert") animateInsert(e);
+    else if (e.type === "delete") animateDelete(e);
+    else if (e.type === "clear") {
+      showTree(e.state);
+      addLog("🧹 Tree cleared — root = null", "info");
+    } else if (e.type === "reset") {
+      showTree(e.state);
+      setLog([]);
+    } else if (e.type === "restore") {
+      const n = Object.keys(e.state.nodes).length;
+      showTree(e.state);
+      addLog(`🕘 Back to ${n} node${n === 1 ? "" : "s"} in the tree`, "info");
+    }
+  });
+
+  const timeline = useTimeline(model, {
+    busy: isAnimating,
+    describe: (e) => (e.args.length ? `${e.type} ${e.args[0]}` : e.type),
+  });
+
+  const tabBtn = (tab, emoji, label) => (
+    <button
+      key={tab}
+      onClick={() => {
+        setActiveTab(tab);
+        clearMarks();
+      }}
+      className={`px-3 py-2 rounded-lg text-sm font-bold transition-all border-2 ${
+        activeTab === tab
+          ? "bg-emerald-400 border-emerald-400 text-gray-900"
+          : "bg-transparent border-white/20 text-white/60 hover:border-emerald-400/50 hover:text-white"
+      }`}
+    >
+      {emoji} {label}
+    </button>
+  );
+
+  const valueInput = (
+    <input
+      type="number"
+      min={1}
+      max={99}
+      value={inputVal}
+      onChange={(e) => setInputVal(e.target.value)}
+      className="w-20 px-3 py-2 bg-black/40 border border-white/20 rounded-lg text-emerald-300 font-mono text-sm focus:outline-none focus:border-emerald-400"
+    />
+  );
+
+  return (
+    <div
+      className="flex flex-col gap-4 w-full"
+      style={{ fontFamily: "'Courier New', monospace" }}
+    >
+      <ARPlacementHud
+        placement={ar}
+        title="🌳 BINARY SEARCH TREE — AR"
+        status={`Nodes ${count} · Height ${h}`}
+        accent="#34d399"
+        log={log}
+        actions={[
+          {
+            label: "🌱 Insert",
+            onClick: handleInsert,
+            disabled: isAnimating,
+            color: "#059669",
+          },
+          {
+            label: "🔍 Search",
+            onClick: handleSearch,
+            disabled: isAnimating,
+          },
+          {
+            label: "✂️ Delete",
+            onClick: handleDelete,
+            disabled: isAnimating || tree.root === null,
+            color: "#dc2626",
+          },
+          { label: "🔄 Reset", onClick: handleReset },
+        ]}
+      >
+        <div
+          style={{
+            display: "flex",
+            alignItems: "center",
+            gap: 8,
+            background: "rgba(0,0,0,0.8)",
+            border: "1px solid rgba(52,211,153,0.3)",
+            borderRadius: 14,
+            padding: "10px 14px",
+            color: "#a7f3d0",
+            fontSize: 12,
+          }}
+        >
+          <input
+            type="number"
+            min={1}
+            max={99}
+            value={inputVal}
+            onChange={(e) => setInputVal(e.target.value)}
+            style={{
+              width: 56,
+              padding: "4px 6px",
+              background: "rgba(255,255,255,0.08)",
+              border: "1px solid rgba(255,255,255,0.2)",
+              borderRadius: 8,
+              color: "#6ee7b7",
+              fontFamily: "inherit",
+            }}
+          />
+          <span>
+            {stepText ?? "Pick a value, then Insert, Search or Delete"}
+          </span>
+        </div>
+      </ARPlacementHud>
+
+      {/* Header */}
+      <div className="text-center">
+        <h2 className="text-3xl font-bold text-emerald-300 tracking-widest">
+          🌳 BINARY SEARCH TREE
+        </h2>
+        <p className="text-white/50 text-sm mt-1">
+          Nodes: <span className="text-emerald-300 font-bold">{count}</span>
+          &nbsp;·&nbsp; Height:{" "}
+          <span className="text-emerald-300 font-bold">{h}</span>
+          &nbsp;·&nbsp; Root:{" "}
+          <span className="text-emerald-300 font-bold">
+            {tree.root === null ? "null" : val(tree.root)}
+          </span>
+        </p>
+      </div>
+
+      <ARButton placement={ar} accent="#34d399" />
+
+      {/* 3D Canvas */}
+      <div
+        className="w-full rounded-2xl overflow-hidden border-2 border-emerald-400/30 shadow-[0_0_40px_rgba(52,211,153,0.12)]"
+        style={{
+          height: 460,
+          background:
+            "linear-gradient(180deg,#03110c 0%,#072119 50%,#020906 100%)",
+        }}
+      >
+        <Canvas camera={{ position: [0, 1.2, 7.5], fov: 50 }} shadows>
+          <XR store={xrStore}>
+            <TreeScene
+              ar={ar}
+              tree={tree}
+              hl={hl}
+              badges={badges}
+              missAt={missAt}
+              onSelect={handleSelect}
+            />
+          </XR>
+        </Canvas>
+      </div>
+
+      {/* Step narration */}
+      <div
+        className={`px-4 py-2 rounded-xl border text-sm text-center ${stepText ? "border-yellow-400/40 bg-yellow-400/10 text-yellow-200" : "border-white/10 bg-white/5 text-white/30"}`}
+      >
+        {stepText ?? "Each comparison appears here as the operation runs"}
+      </div>
+
+      {/* In-order bar — always sorted */}
+      <div className="flex gap-1 flex-wrap justify-center items-center">
+        <span className="text-white/30 text-xs mr-1">IN-ORDER</span>
+        {count === 0 ? (
+          <span className="text-white/20 text-xs italic px-3 py-1 border border-white/10 rounded-lg">
+            [ empty ]
+          </span>
+        ) : (
+          traversal(tree, "in").map((id) => (
+            <button
+              key={id}
+              onClick={() => handleSelect(val(id))}
+              className={`px-2 py-1 rounded-lg border text-xs font-mono font-bold transition-all ${
+                String(val(id)) === inputVal
+                  ? "border-emerald-400 bg-emerald-400/20 text-emerald-300"
+                  : "border-white/20 bg-white/10 text-white/70 hover:border-white/40"
+              }`}
+            >
+              {val(id)}
+            </button>
+          ))
+        )}
+      </div>
+
+      <TimelineBar
+        timeline={timeline}
+        accent="emerald"
+        disabled={isAnimating}
+      />
+
+      {/* Controls */}
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <div className="bg-white/5 border border-white/10 rounded-2xl p-5">
+          <div className="flex gap-2 mb-4 flex-wrap">
+            {tabBtn("insert", "🌱", "Insert")}
+            {tabBtn("search", "🔍", "Search")}
+            {tabBtn("delete", "🗑️", "Delete")}
+            {tabBtn("traverse", "🚶", "Traverse")}
+          </div>
+
+          {activeTab === "insert" && (
+            <div className="flex flex-col gap-3">
+              <p className="text-white/50 text-xs">
+                Smaller goes left, larger goes right, until an empty spot —{" "}
+                <span className="text-yellow-400 font-bold">O(h)</span>
+              </p>
+              <div className="flex gap-2 items-center flex-wrap">
+                {valueInput}
+                <button
+                  onClick={handleInsert}
+                  disabled={isAnimating}
+                  className="px-5 py-2 bg-green-600 hover:bg-green-500 disabled:opacity-40 disabled:cursor-not-allowed rounded-lg text-white text-sm font-bold transition-all"
+                >
+                  Insert
+                </button>
+                <button
+                  onClick={() =>
+                    setInputVal(String(1 + Math.floor(Math.random() * 99)))
+                  }
+                  disabled={isAnimating}
+                  className="px-3 py-2 bg-white/10 hover:bg-white/20 disabled:opacity-40 rounded-lg text-white/70 text-sm transition-all"
+                >
+                  🎲
+                </button>
+              </div>
+            </div>
+          )}
+
+          {activeTab === "search" && (
+            <div className="flex flex-col gap-3">
+              <p className="text-white/50 text-xs">
+                Each comparison discards a whole subtree —{" "}
+                <span className="text-yellow-400 font-bold">O(h)</span>
+              </p>
+              <div className="flex gap-2 items-center flex-wrap">
+                {valueInput}
+                <button
+                  onClick={handleSearch}
+                  disabled={isAnimating}
+                  className="px-5 py-2 bg-blue-600 hover:bg-blue-500 disabled:opacity-40 disabled:cursor-not-allowed rounded-lg text-white text-sm font-bold transition-all"
+                >
+                  🔍 Search
+                </button>
+              </div>
+            </div>
+          )}
+
+          {activeTab === "delete" && (
+            <div className="flex flex-col gap-3">
+              <p className="text-white/50 text-xs">
+                Leaf · one child · two children (in-order successor) —{" "}
+                <span className="text-yellow-400 font-bold">O(h)</span>
+              </p>
+              <div className="flex gap-2 items-center flex-wrap">
+                {valueInput}
+                <button
+                  onClick={handleDelete}
+                  disabled={isAnimating}
+                  className="px-5 py-2 bg-red-700 hover:bg-red-600 disabled:opacity-40 disabled:cursor-not-allowed rounded-lg text-white text-sm font-bold transition-all"
+                >
+                  🗑️ Delete
+                </button>
+              </div>
+              <p className="text-white/30 text-xs">
+                Try 20 (leaf), 40 or 60 (one child), 30 or 50 (two children)
+              </p>
+            </div>
+          )}
+
+          {activeTab === "traverse" && (
+            <div className="flex flex-col gap-3">
+              <div className="grid grid-cols-2 gap-2">
+                {Object.entries(TRAVERSALS).map(([k, t]) => (
+                  <button
+                    key={k}
+                    onClick={() => setTravKind(k)}
+                    className={`px-3 py-2 rounded-lg border text-left transition-all ${
+                      travKind === k
+                        ? "border-pink-400 bg-pink-400/15"
+                        : "border-white/15 bg-white/5 hover:border-white/30"
+                    }`}
+                  >
+                    <p className="text-white text-xs font-bold">{t.label}</p>
+                    <p className="text-white/40 text-[10px]">{t.rule}</p>
+                  </button>
+                ))}
+              </div>
+              <button
+                onClick={handleTraverse}
+                disabled={isAnimating || count === 0}
+                className="px-5 py-2.5 bg-pink-600 hover:bg-pink-500 disabled:opacity-40 disabled:cursor-not-allowed rounded-lg text-white text-sm font-bold transition-all w-fit"
+              >
+                {isAnimating
+                  ? "⏳ Running..."
+                  : `▶ Run ${TRAVERSALS[travKind].label}`}
+              </button>
+              {output.length > 0 && (
+                <div className="px-3 py-2 bg-pink-400/10 border border-pink-400/30 rounded-lg text-pink-200 text-xs font-mono">
+                  {output.join(" → ")}
+                  {TRAVERSALS[travKind].note &&
+                    output.length === count &&
+                    `  (${TRAVERSALS[travKind].note})`}
+                </div>
+              )}
+            </div>
+          )}
+
+          <div className="flex gap-2 mt-4">
+            <button
+              onClick={handleReset}
+              className="flex-1 py-2 bg-white/5 hover:bg-white/10 border border-white/10 rounded-lg text-white/50 hover:text-white/80 text-sm transition-all"
+            >
+              🔄 Reset to Default
+            </button>
+            <button
+              onClick={handleClear}
+              disabled={isAnimating || count === 0}
+              className="px-4 py-2 bg-white/5 hover:bg-white/10 border border-white/10 rounded-lg text-white/50 hover:text-white/80 text-sm transition-all disabled:opacity-40"
+            >
+              🧹 Clear
+            </button>
+          </div>
+        </div>
+
+        {/* Log + Complexity */}
+        <div className="bg-black/40 border border-white/10 rounded-2xl p-5 flex flex-col gap-4">
+          <div>
+            <p className="text-white/40 text-xs uppercase tracking-widest mb-2">
+              📋 Operation Log
+            </p>
+            <div className="flex flex-col gap-1 max-h-36 overflow-y-auto">
+              {log.length === 0 ? (
+                <p className="text-white/30 text-xs italic">
+                  No operations yet...
+                </p>
+              ) : (
+                log.map((entry, i) => (
+                  <div
+                    key={entry.id}
+                    className={`text-xs font-mono py-1 px-2 rounded border-l-2 ${
+                      entry.type === "success"
+                        ? "border-green-400 bg-green-400/5 text-green-300"
+                        : entry.type === "error"
+                          ? "border-red-400 bg-red-400/5 text-red-300"
+                          : entry.type === "select"
+                            ? "border-emerald-400 bg-emerald-400/5 text-emerald-300"
+                            : "border-blue-400 bg-blue-400/5 text-blue-300"
+                    } ${i > 0 ? "opacity-50" : ""}`}
+                  >
+                    {entry.msg}
+                  </div>
+                ))
+              )}
+            </div>
+          </div>
+
+          <div>
+            <p className="text-white/40 text-xs uppercase tracking-widest mb-2">
+              ⚡ Time Complexity
+            </p>
+            <div className="grid grid-cols-2 gap-1 text-xs font-mono">
+              {[
+                ["Search", "O(h)", true],
+                ["Insert", "O(h)", true],
+                ["Delete", "O(h)", true],
+                ["Traversal", "O(n)", false],
+                ["h balanced", "log n", true],
+                ["h skewed", "n", false],
+              ].map(([op, c, fast]) => (
+                <div
+                  key={op}
+                  className="flex justify-between px-3 py-1.5 bg-white/5 rounded-lg"
+                >
+                  <span className="text-white/55">{op}</span>
+                  <span
+                    className={`font-bold ${fast ? "text-green-400" : "text-red-400"}`}
+                  >
+                    {c}
+                  </span>
+                </div>
+              ))}
+            </div>
+            <div className="mt-3 px-3 py-2 bg-emerald-400/10 border border-emerald-400/30 rounded-lg">
+              <p className="text-emerald-300 text-xs font-bold">BST property</p>
+              <p className="text-white/50 text-xs mt-0.5">
+                Everything in a node's left subtree is smaller, everything in
+                its right subtree is larger — so in-order is always sorted.
+              </p>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <p className="text-center text-white/25 text-xs pb-2">
+        💡 Click a node to use its value · Drag to rotate · Scroll to zoom
+      </p>
+    </div>
+  );
+}
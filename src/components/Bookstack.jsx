@@ -6,8 +6,24 @@ import {
   OrbitControls,
   Environment,
 } from "@react-three/drei";
+import { XR, createXRStore } from "@react-three/xr";
 import { gsap } from "gsap";
 import * as THREE from "three";
+import StackOpsPanel from "./StackOpsPanel";
+import CodePanel from "./CodePanel";
+import TimelineBar from "./TimelineBar";
+import CodeLab from "./CodeLab";
+import ARPlacement, { ARPlacementHud, ARButton } from "./ARPlacement";
+import { StackModel } from "../models";
+import { stackPrograms } from "../pseudocode";
+import { useModelEvents } from "../hooks/useModelEvents";
+import { useCodeTrace } from "../hooks/useCodeTrace";
+import { useTimeline } from "../hooks/useTimeline";
+import { useCodeLab } from "../hooks/useCodeLab";
+import { useARPlacement } from "../hooks/useARPlacement";
+
+// ─── XR Store ─────────────────────────────────────────────────────────────────
+const xrStore = createXRStore();
 
 // ─── Constants ─────────────────────────────────────────────────────────────────
 const BOOK_H = 0.22;
@@ -15,6 +31,8 @@ const BOOK_W = 1.1;
 const BOOK_D = 0.72;
 const STACK_X = 0;
 const STACK_BASE = -0.6;
+const AR_SCALE = 0.2;
+const AR_LIFT = 1.72; // stands the table legs on the surface
 
 const BOOK_STYLES = [
   {
@@ -270,12 +288,13 @@ function PopAnimation({ style, fromY, onDone }) {
 }
 
 // ─── Table / shelf base ────────────────────────────────────────────────────────
-function TableBase() {
+// Shared with the call stack scenario, which needs a wider top
+export function TableBase({ width = 2.8, slotWidth = BOOK_W }) {
   return (
     <group position={[0, STACK_BASE - 0.07, 0]}>
       {/* Surface */}
       <mesh receiveShadow>
-        <boxGeometry args={[2.8, 0.1, 1.4]} />
+        <boxGeometry args={[width, 0.1, 1.4]} />
         <meshStandardMaterial
           color="#2c1a0e"
           roughness={0.75}
@@ -285,16 +304,16 @@ function TableBase() {
       {/* Grain lines */}
       {[-0.4, 0, 0.4].map((z, i) => (
         <mesh key={i} position={[0, 0.052, z]}>
-          <boxGeometry args={[2.8, 0.003, 0.06]} />
+          <boxGeometry args={[width, 0.003, 0.06]} />
           <meshStandardMaterial color="#3d2412" roughness={0.9} />
         </mesh>
       ))}
       {/* Legs */}
       {[
-        [-1.15, -0.55, -0.5],
-        [-1.15, -0.55, 0.5],
-        [1.15, -0.55, -0.5],
-        [1.15, -0.55, 0.5],
+        [-(width / 2 - 0.25), -0.55, -0.5],
+        [-(width / 2 - 0.25), -0.55, 0.5],
+        [width / 2 - 0.25, -0.55, -0.5],
+        [width / 2 - 0.25, -0.55, 0.5],
       ].map((pos, i) => (
         <mesh key={i} position={pos}>
           <boxGeometry args={[0.1, 1.0, 0.1]} />
@@ -303,7 +322,7 @@ function TableBase() {
       ))}
       {/* Empty stack indicator */}
       <mesh position={[0, 0.06, 0]}>
-        <boxGeometry args={[BOOK_W + 0.05, 0.005, BOOK_D + 0.05]} />
+        <boxGeometry args={[slotWidth + 0.05, 0.005, BOOK_D + 0.05]} />
         <meshStandardMaterial
           color="#5a3e28"
           roughness={0.8}
@@ -317,6 +336,7 @@ function TableBase() {
 
 // ─── Full 3D Scene ─────────────────────────────────────────────────────────────
 function StackScene({
+  ar,
   stack,
   isPeeked,
   pushAnim,
@@ -338,61 +358,72 @@ function StackScene({
       <pointLight position={[1.5, 3, 1.5]} intensity={0.5} color="#ffe8c0" />
       <pointLight position={[-1.5, 2, 0]} intensity={0.3} color="#a0c0ff" />
 
-      <TableBase />
-
-      {/* Stacked books */}
-      {stack.map((book, i) => (
-        <Book
-          key={book.id}
-          index={i}
-          stackIndex={i}
-          style={BOOK_STYLES[book.styleIdx]}
-          isPeeked={isPeeked}
-          isTop={i === stack.length - 1}
-          onHover={onHover}
-        />
-      ))}
+      <ARPlacement
+        placement={ar}
+        scale={AR_SCALE}
+        lift={AR_LIFT}
+        color="#fb923c"
+      >
+        <TableBase />
+
+        {/* Stacked books */}
+        {stack.map((book, i) => (
+          <Book
+            key={book.id}
+            index={i}
+            stackIndex={i}
+            style={BOOK_STYLES[book.styleIdx]}
+            isPeeked={isPeeked}
+            isTop={i === stack.length - 1}
+            onHover={onHover}
+          />
+        ))}
+
+        {/* Push animation overlay */}
+        {pushAnim && (
+          <PushAnimation
+            style={BOOK_STYLES[pushAnim.styleIdx]}
+            targetY={STACK_BASE + stack.length * BOOK_H + BOOK_H / 2 - BOOK_H}
+            onDone={onPushDone}
+          />
+        )}
 
-      {/* Push animation overlay */}
-      {pushAnim && (
-        <PushAnimation
-          style={BOOK_STYLES[pushAnim.styleIdx]}
-          targetY={STACK_BASE + stack.length * BOOK_H + BOOK_H / 2 - BOOK_H}
-          onDone={onPushDone}
-        />
-      )}
+        {/* Pop animation overlay */}
+        {popAnim && (
+          <PopAnimation
+            style={BOOK_STYLES[popAnim.styleIdx]}
+            fromY={STACK_BASE + stack.length * BOOK_H + BOOK_H / 2}
+            onDone={onPopDone}
+          />
+        )}
 
-      {/* Pop animation overlay */}
-      {popAnim && (
-        <PopAnimation
-          style={BOOK_STYLES[popAnim.styleIdx]}
-          fromY={STACK_BASE + stack.length * BOOK_H + BOOK_H / 2}
-          onDone={onPopDone}
-        />
-      )}
+        {/* Empty stack text */}
+        {stack.length === 0 && !pushAnim && (
+          <Text
+            position={[0, STACK_BASE + 0.18, 0]}
+            fontSize={0.16}
+            color="#5a5a8a"
+            anchorX="center"
+            anchorY="middle"
+          >
+            Stack is Empty
+          </Text>
+        )}
+      </ARPlacement>
 
-      {/* Empty stack text */}
-      {stack.length === 0 && !pushAnim && (
-        <Text
-          position={[0, STACK_BASE + 0.18, 0]}
-          fontSize={0.16}
-          color="#5a5a8a"
-          anchorX="center"
-          anchorY="middle"
-        >
-          Stack is Empty
-        </Text>
+      {!ar.isAR && (
+        <>
+          <OrbitControls
+            enablePan={false}
+            minPolarAngle={Math.PI / 6}
+            maxPolarAngle={Math.PI / 2.1}
+            minDistance={3.5}
+            maxDistance={12}
+            target={[0, 0.4, 0]}
+          />
+          <Environment preset="apartment" />
+        </>
       )}
-
-      <OrbitControls
-        enablePan={false}
-        minPolarAngle={Math.PI / 6}
-        maxPolarAngle={Math.PI / 2.1}
-        minDistance={3.5}
-        maxDistance={12}
-        target={[0, 0.4, 0]}
-      />
-      <Environment preset="apartment" />
     </>
   );
 }
@@ -403,10 +434,18 @@ const INITIAL_STACK = [
   { id: 2, styleIdx: 1 },
   { id: 3, styleIdx: 2 },
 ];
+const MAX_STACK = 8;
 let nextId = 10;
 
+const bookTitle = (book) => BOOK_STYLES[book.styleIdx].title.replace("\n", " ");
+// What code lab programs push and get back, one per book style
+const BOOK_TITLES = BOOK_STYLES.map((s) => s.title.replace(/\n/g, " "));
+
 export default function BookStack() {
-  const [stack, setStack] = useState(INITIAL_STACK);
+  const [model] = useState(
+    () => new StackModel({ items: INITIAL_STACK, capacity: MAX_STACK }),
+  );
+  const [stack, setStack] = useState(INITIAL_STACK); // what the scene shows
   const [isPeeked, setIsPeeked] = useState(false);
   const [pushAnim, setPushAnim] = useState(null);
   const [popAnim, setPopAnim] = useState(null);
@@ -415,29 +454,92 @@ export default function BookStack() {
   const [pushStyleIdx, setPushStyleIdx] = useState(3);
   const [hoveredIndex, setHoveredIndex] = useState(null);
   const [activeTab, setActiveTab] = useState("push");
-  const MAX_STACK = 8;
 
   const addLog = (msg, type = "info") =>
     setLog((prev) => [{ msg, type, id: Date.now() }, ...prev].slice(0, 8));
 
+  // The model owns the stack; the scene catches up once animations finish
+  useModelEvents(model, (e) => {
+    if (e.type === "push") {
+      setIsAnimating(true);
+      setIsPeeked(false);
+      setPushAnim(e.value);
+      addLog(
+        `📗 Push "${bookTitle(e.value)}" → new TOP at [${e.index}]  ·  ${e.complexity}`,
+        "success",
+      );
+    } else if (e.type === "pop") {
+      setIsAnimating(true);
+      setIsPeeked(false);
+      setPopAnim(e.value);
+      setStack(model.toArray());
+      addLog(
+        `📕 Pop "${bookTitle(e.value)}" from TOP [${e.index}]  ·  ${e.complexity}`,
+        "success",
+      );
+    } else if (e.type === "peek") {
+      setIsPeeked((p) => !p);
+      addLog(
+        `👁️ Peek → TOP is "${bookTitle(e.value)}" at [${e.index}]  ·  ${e.complexity}`,
+        "success",
+      );
+    } else if (e.type === "overflow") {
+      addLog(`⚠️ Stack Overflow! Max ${e.capacity} books.`, "error");
+    } else if (e.type === "underflow") {
+      addLog(
+        e.op === "peek"
+          ? "⚠️ Stack is empty — nothing to peek!"
+          : "⚠️ Stack Underflow! Stack is empty.",
+        "error",
+      );
+    } else if (e.type === "clear") {
+      setStack([]);
+      setIsPeeked(false);
+      addLog("🗑️ Stack cleared — all books removed", "info");
+    } else if (e.type === "reset") {
+      setStack(e.items);
+      setIsPeeked(false);
+      setLog([]);
+    } else if (e.type === "restore") {
+      setStack(e.items);
+      setIsPeeked(false);
+      addLog(`🕘 Back to ${e.items.length} book(s) on the stack`, "info");
+    }
+  });
+
+  const codeTrace = useCodeTrace(model, stackPrograms, {
+    format: (b) => `"${bookTitle(b)}"`,
+    stepMs: 300,
+  });
+
+  const timeline = useTimeline(model, {
+    busy: isAnimating,
+    describe: (e) =>
+      e.type === "push"
+        ? `push ${bookTitle(e.value)}`
+        : e.type === "pop"
+          ? `pop ${bookTitle(e.value)}`
+          : e.type,
+  });
+
+  const lab = useCodeLab(model, {
+    kind: "stack",
+    name: "stack",
+    values: BOOK_TITLES,
+    fromItem: (b) => BOOK_TITLES[b.styleIdx],
+    toItem: (title) => ({ id: nextId++, styleIdx: BOOK_TITLES.indexOf(title) }),
+    busy: isAnimating,
+  });
+  const ar = useARPlacement(xrStore);
+
   // ── Push ──────────────────────────────────────────────────────────────────
   const handlePush = () => {
     if (isAnimating) return;
-    if (stack.length >= MAX_STACK)
-      return addLog(`⚠️ Stack Overflow! Max ${MAX_STACK} books.`, "error");
-    setIsAnimating(true);
-    setIsPeeked(false);
-    const newBook = { id: nextId++, styleIdx: pushStyleIdx };
-    setPushAnim(newBook);
-    addLog(
-      `📗 Push "${BOOK_STYLES[pushStyleIdx].title.replace("\n", " ")}" → new TOP at [${stack.length}]  ·  O(1)`,
-      "success",
-    );
+    model.push({ id: nextId++, styleIdx: pushStyleIdx });
   };
 
   const handlePushDone = () => {
-    const newBook = { id: pushAnim.id, styleIdx: pushAnim.styleIdx };
-    setStack((prev) => [...prev, newBook]);
+    setStack(model.toArray());
     setPushAnim(null);
     setIsAnimating(false);
   };
@@ -445,17 +547,7 @@ export default function BookStack() {
   // ── Pop ───────────────────────────────────────────────────────────────────
   const handlePop = () => {
     if (isAnimating) return;
-    if (stack.length === 0)
-      return addLog("⚠️ Stack Underflow! Stack is empty.", "error");
-    setIsAnimating(true);
-    setIsPeeked(false);
-    const top = stack[stack.length - 1];
-    setPopAnim(top);
-    setStack((prev) => prev.slice(0, -1));
-    addLog(
-      `📕 Pop "${BOOK_STYLES[top.styleIdx].title.replace("\n", " ")}" from TOP [${stack.length - 1}]  ·  O(1)`,
-      "success",
-    );
+    model.pop();
   };
 
   const handlePopDone = () => {
@@ -464,49 +556,24 @@ export default function BookStack() {
   };
 
   // ── Peek ──────────────────────────────────────────────────────────────────
-  const handlePeek = () => {
-    if (stack.length === 0)
-      return addLog("⚠️ Stack is empty — nothing to peek!", "error");
-    const top = stack[stack.length - 1];
-    setIsPeeked((p) => !p);
-    addLog(
-      `👁️ Peek → TOP is "${BOOK_STYLES[top.styleIdx].title.replace("\n", " ")}" at [${stack.length - 1}]  ·  O(1)`,
-      "success",
-    );
-  };
+  const handlePeek = () => model.peek();
 
   // ── Clear ──────────────────────────────────────────────────────────────────
   const handleClear = () => {
     if (isAnimating) return;
-    setStack([]);
-    setIsPeeked(false);
-    addLog("🗑️ Stack cleared — all books removed", "info");
+    model.clear();
   };
 
   // ── Reset ──────────────────────────────────────────────────────────────────
   const handleReset = () => {
     if (isAnimating) return;
-    setStack(INITIAL_STACK);
-    setIsPeeked(false);
-    setLog([]);
+    model.reset();
   };
 
-  const tabBtn = (tab, emoji, label) => (
-    <button
-      key={tab}
-      onClick={() => {
-        setActiveTab(tab);
-        setIsPeeked(false);
-      }}
-      className={`px-3 py-2 rounded-lg text-sm font-bold transition-all border-2 ${
-        activeTab === tab
-          ? "bg-orange-400 border-orange-400 text-gray-900"
-          : "bg-transparent border-white/20 text-white/60 hover:border-orange-400/50 hover:text-white"
-      }`}
-    >
-      {emoji} {label}
-    </button>
-  );
+  const handleTabChange = (tab) => {
+    setActiveTab(tab);
+    setIsPeeked(false);
+  };
 
   const topBook = stack.length > 0 ? stack[stack.length - 1] : null;
 
@@ -515,6 +582,34 @@ export default function BookStack() {
       className="flex flex-col gap-4 w-full"
       style={{ fontFamily: "'Courier New', monospace" }}
     >
+      <ARPlacementHud
+        placement={ar}
+        title="📚 BOOK STACK — AR"
+        status={`Size ${stack.length}/${MAX_STACK}`}
+        accent="#fb923c"
+        log={log}
+        actions={[
+          {
+            label: "⬆ Push",
+            onClick: handlePush,
+            disabled: isAnimating || stack.length >= MAX_STACK,
+            color: "#ea580c",
+          },
+          {
+            label: "⬇ Pop",
+            onClick: handlePop,
+            disabled: isAnimating || stack.length === 0,
+            color: "#dc2626",
+          },
+          {
+            label: "👁 Peek",
+            onClick: handlePeek,
+            disabled: stack.length === 0,
+          },
+          { label: "🔄 Reset", onClick: handleReset, disabled: isAnimating },
+        ]}
+      />
+
       {/* Header */}
       <div className="text-center">
         <h2 className="text-3xl font-bold text-orange-300 tracking-widest">
@@ -539,27 +634,35 @@ export default function BookStack() {
         </p>
       </div>
 
-      {/* 3D Canvas */}
-      <div
-        className="w-full rounded-2xl overflow-hidden border-2 border-orange-400/30 shadow-[0_0_40px_rgba(251,146,60,0.12)]"
-        style={{
-          height: 460,
-          background:
-            "linear-gradient(180deg,#100a05 0%,#1c1008 50%,#0d0704 100%)",
-        }}
-      >
-        <Canvas camera={{ position: [2.2, 2.5, 6.5], fov: 44 }} shadows>
-          <StackScene
-            stack={stack}
-            isPeeked={isPeeked}
-            pushAnim={pushAnim}
-            popAnim={popAnim}
-            onPushDone={handlePushDone}
-            onPopDone={handlePopDone}
-            hoveredIndex={hoveredIndex}
-            onHover={setHoveredIndex}
-          />
-        </Canvas>
+      <ARButton placement={ar} accent="#fb923c" />
+
+      <div className="flex flex-col xl:flex-row gap-4">
+        {/* 3D Canvas */}
+        <div
+          className="w-full rounded-2xl overflow-hidden border-2 border-orange-400/30 shadow-[0_0_40px_rgba(251,146,60,0.12)]"
+          style={{
+            height: 460,
+            background:
+              "linear-gradient(180deg,#100a05 0%,#1c1008 50%,#0d0704 100%)",
+          }}
+        >
+          <Canvas camera={{ position: [2.2, 2.5, 6.5], fov: 44 }} shadows>
+            <XR store={xrStore}>
+              <StackScene
+                ar={ar}
+                stack={stack}
+                isPeeked={isPeeked}
+                pushAnim={pushAnim}
+                popAnim={popAnim}
+                onPushDone={handlePushDone}
+                onPopDone={handlePopDone}
+                hoveredIndex={hoveredIndex}
+                onHover={setHoveredIndex}
+              />
+            </XR>
+          </Canvas>
+        </div>
+        <CodePanel trace={codeTrace} accent="orange" />
       </div>
 
       {/* Stack visualizer bar */}
@@ -593,139 +696,48 @@ export default function BookStack() {
         <span className="text-white/30 text-xs ml-1">TOP →</span>
       </div>
 
-      {/* Controls */}
-      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
-        {/* Operations panel */}
-        <div className="bg-white/5 border border-white/10 rounded-2xl p-5">
-          <div className="flex gap-2 mb-4 flex-wrap">
-            {tabBtn("push", "📗", "Push")}
-            {tabBtn("pop", "📕", "Pop")}
-            {tabBtn("peek", "👁️", "Peek")}
-            {tabBtn("clear", "🗑️", "Clear")}
-          </div>
-
-          {/* Push */}
-          {activeTab === "push" && (
-            <div className="flex flex-col gap-3">
-              <p className="text-white/50 text-xs">
-                Add a book to the TOP of the stack —{" "}
-                <span className="text-green-400 font-bold">O(1)</span>
-              </p>
-              <div className="flex gap-2 items-center flex-wrap">
-                <span className="text-white/60 text-sm">Book:</span>
-                <select
-                  value={pushStyleIdx}
-                  onChange={(e) => setPushStyleIdx(Number(e.target.value))}
-                  className="flex-1 px-3 py-2 bg-black/40 border border-white/20 rounded-lg text-white text-sm focus:outline-none focus:border-orange-400"
-                >
-                  {BOOK_STYLES.map((s, i) => (
-                    <option key={i} value={i}>
-                      📗 {s.title.replace("\n", " ")}
-                    </option>
-                  ))}
-                </select>
-                <button
-                  onClick={handlePush}
-                  disabled={isAnimating || stack.length >= MAX_STACK}
-                  className="px-5 py-2 bg-green-600 hover:bg-green-500 disabled:opacity-40 disabled:cursor-not-allowed rounded-lg text-white text-sm font-bold transition-all"
-                >
-                  Push ↑
-                </button>
-              </div>
-              <p className="text-white/30 text-xs">
-                {stack.length >= MAX_STACK
-                  ? "⚠️ Stack is full!"
-                  : `${MAX_STACK - stack.length} slots remaining`}
-              </p>
-            </div>
-          )}
-
-          {/* Pop */}
-          {activeTab === "pop" && (
-            <div className="flex flex-col gap-3">
-              <p className="text-white/50 text-xs">
-                Remove the TOP book —{" "}
-                <span className="text-green-400 font-bold">O(1)</span>
-                &nbsp;· LIFO: last pushed is first popped
-              </p>
-              <div className="flex gap-2 items-center">
-                <button
-                  onClick={handlePop}
-                  disabled={isAnimating || stack.length === 0}
-                  className="px-5 py-2.5 bg-red-600 hover:bg-red-500 disabled:opacity-40 disabled:cursor-not-allowed rounded-lg text-white text-sm font-bold transition-all"
-                >
-                  Pop ↓
-                </button>
-                {stack.length === 0 && (
-                  <span className="text-red-400 text-xs">Stack Underflow!</span>
-                )}
-                {topBook && (
-                  <span className="text-white/50 text-xs">
-                    Will remove:{" "}
-                    <span className="text-orange-300">
-                      "{BOOK_STYLES[topBook.styleIdx].title.replace("\n", " ")}"
-                    </span>
-                  </span>
-                )}
-              </div>
-            </div>
-          )}
-
-          {/* Peek */}
-          {activeTab === "peek" && (
-            <div className="flex flex-col gap-3">
-              <p className="text-white/50 text-xs">
-                View TOP without removing —{" "}
-                <span className="text-green-400 font-bold">O(1)</span>
-              </p>
-              <div className="flex gap-2 items-center">
-                <button
-                  onClick={handlePeek}
-                  disabled={stack.length === 0}
-                  className={`px-5 py-2.5 disabled:opacity-40 disabled:cursor-not-allowed rounded-lg text-white text-sm font-bold transition-all ${
-                    isPeeked
-                      ? "bg-orange-500 hover:bg-orange-400"
-                      : "bg-yellow-600 hover:bg-yellow-500"
-                  }`}
-                >
-                  {isPeeked ? "👁️ Hide Peek" : "👁️ Peek TOP"}
-                </button>
-                {isPeeked && topBook && (
-                  <div className="px-3 py-1.5 bg-orange-400/15 border border-orange-400/40 rounded-lg text-orange-300 text-xs font-bold">
-                    TOP [{stack.length - 1}] = "
-                    {BOOK_STYLES[topBook.styleIdx].title.replace("\n", " ")}"
-                  </div>
-                )}
-              </div>
-            </div>
-          )}
+      <TimelineBar
+        timeline={timeline}
+        accent="orange"
+        disabled={isAnimating || lab.running}
+      />
 
-          {/* Clear */}
-          {activeTab === "clear" && (
-            <div className="flex flex-col gap-3">
-              <p className="text-white/50 text-xs">
-                Remove all books —{" "}
-                <span className="text-red-400 font-bold">O(n)</span>
-                &nbsp;· repeated pop until empty
-              </p>
-              <button
-                onClick={handleClear}
-                disabled={isAnimating || stack.length === 0}
-                className="px-5 py-2.5 bg-red-800 hover:bg-red-700 disabled:opacity-40 disabled:cursor-not-allowed rounded-lg text-white text-sm font-bold transition-all w-fit"
-              >
-                🗑️ Clear All Books
-              </button>
-            </div>
-          )}
+      <CodeLab
+        lab={lab}
+        kind="stack"
+        name="stack"
+        samples={["ALGORITHMS", "RECURSION"]}
+        accent="orange"
+      />
 
-          <button
-            onClick={handleReset}
-            disabled={isAnimating}
-            className="mt-4 w-full py-2 bg-white/5 hover:bg-white/10 border border-white/10 rounded-lg text-white/50 hover:text-white/80 text-sm transition-all disabled:opacity-40"
-          >
-            🔄 Reset to Default
-          </button>
-        </div>
+      {/* Controls */}
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <StackOpsPanel
+          accent="orange"
+          noun="book"
+          icons={{ push: "📗", pop: "📕" }}
+          activeTab={activeTab}
+          onTabChange={handleTabChange}
+          options={BOOK_STYLES.map((s, i) => ({
+            value: i,
+            label: `📗 ${s.title.replace("\n", " ")}`,
+          }))}
+          pushValue={pushStyleIdx}
+          onPushValueChange={setPushStyleIdx}
+          size={stack.length}
+          capacity={MAX_STACK}
+          top={
+            topBook &&
+            `"${BOOK_STYLES[topBook.styleIdx].title.replace("\n", " ")}"`
+          }
+          isAnimating={isAnimating}
+          isPeeked={isPeeked}
+          onPush={handlePush}
+          onPop={handlePop}
+          onPeek={handlePeek}
+          onClear={handleClear}
+          onReset={handleReset}
+        />
 
         {/* Log + Complexity */}
         <div className="bg-black/40 border border-white/10 rounded-2xl p-5 flex flex-col gap-4">
@@ -0,0 +1,913 @@
+import { useRef, useState, useEffect } from "react";
+import { Canvas } from "@react-three/fiber";
+import {
+  Text,
+  RoundedBox,
+  OrbitControls,
+  Environment,
+  Line,
+} from "@react-three/drei";
+import { XR, createXRStore } from "@react-three/xr";
+import { gsap } from "gsap";
+import { TableBase } from "./Bookstack";
+import ARPlacement, { ARPlacementHud, ARButton } from "./ARPlacement";
+import TimelineBar from "./TimelineBar";
+import { stepTimeline } from "../hooks/useTimeline";
+import { useARPlacement } from "../hooks/useARPlacement";
+
+// ─── XR Store ─────────────────────────────────────────────────────────────────
+const xrStore = createXRStore();
+
+// ─── Constants ─────────────────────────────────────────────────────────────────
+const FRAME_W = 2.3;
+const FRAME_H = 0.44;
+const FRAME_D = 0.8;
+const STACK_X = -3.2;
+const STACK_BASE = -0.6; // matches the book table top
+const TREE_X = 0.2; // left edge of the call tree
+const TREE_W = 6.0;
+const TREE_TOP = 3.0;
+const TREE_LEVEL = 0.72;
+const AR_SCALE = 0.06;
+const AR_LIFT = 1.72; // stands the table legs on the surface
+
+const FRAME_COLORS = ["#6d28d9", "#7c3aed", "#8b5cf6", "#a78bfa"];
+
+// Small BST used by the traversal example
+const TREE = {
+  v: 50,
+  l: { v: 30, l: { v: 20 }, r: { v: 40 } },
+  r: { v: 70, l: { v: 60 }, r: { v: 80 } },
+};
+
+const FUNCTIONS = [
+  {
+    id: "factorial",
+    name: "factorial(n)",
+    min: 1,
+    max: 7,
+    initial: 4,
+    code: [
+      "function factorial(n) {",
+      "  if (n <= 1) return 1;",
+      "  const sub = factorial(n - 1);",
+      "  return n * sub;",
+      "}",
+    ],
+    time: "O(n)",
+    depth: "O(n)",
+  },
+  {
+    id: "fib",
+    name: "fib(n)",
+    min: 0,
+    max: 6,
+    initial: 4,
+    code: [
+      "function fib(n) {",
+      "  if (n < 2) return n;",
+      "  const a = fib(n - 1);",
+      "  const b = fib(n - 2);",
+      "  return a + b;",
+      "}",
+    ],
+    time: "O(2ⁿ)",
+    depth: "O(n)",
+  },
+  {
+    id: "hanoi",
+    name: "hanoi(n, from, to, via)",
+    min: 1,
+    max: 4,
+    initial: 3,
+    code: [
+      "function hanoi(n, from, to, via) {",
+      "  if (n === 1) return move(1, from, to);",
+      "  hanoi(n - 1, from, via, to);",
+      "  move(n, from, to);",
+      "  hanoi(n - 1, via, to, from);",
+      "}",
+    ],
+    time: "O(2ⁿ)",
+    depth: "O(n)",
+  },
+  {
+    id: "inorder",
+    name: "inorder(node)",
+    min: null,
+    max: null,
+    initial: null,
+    code: [
+      "function inorder(node) {",
+      "  if (node === null) return;",
+      "  inorder(node.left);",
+      "  visit(node);",
+      "  inorder(node.right);",
+      "}",
+    ],
+    time: "O(n)",
+    depth: "O(h)",
+  },
+];
+
+// ─── Tracer: runs the real recursion and records call / update / return ───────
+function traceCalls(fnId, n) {
+  const events = [];
+  let nextId = 0;
+
+  const call = (label, args, parent, body) => {
+    const id = nextId++;
+    const argText = Object.entries(args)
+      .map(([k, v]) => `${k}=${v}`)
+      .join(", ");
+    events.push({
+      type: "call",
+      id,
+      parent,
+      label,
+      args: argText,
+      text: `Call ${label}(${argText}) — push a new frame`,
+    });
+    const ctx = {
+      id,
+      note: (locals, text) => events.push({ type: "update", id, locals, text }),
+      output: (item, text) => events.push({ type: "output", id, item, text }),
+    };
+    const { value, how } = body(ctx);
+    events.push({
+      type: "return",
+      id,
+      value,
+      text:
+        value === undefined
+          ? `${label}(${argText}) finishes — pop its frame`
+          : `${label}(${argText}) returns ${how ? `${how} = ` : ""}${value} — pop, hand ${value} back to the caller`,
+    });
+    return value;
+  };
+
+  if (fnId === "factorial") {
+    const fact = (k, parent) =>
+      call("factorial", { n: k }, parent, (ctx) => {
+        if (k <= 1) {
+          ctx.note({}, `n = ${k} ≤ 1 → base case`);
+          return { value: 1 };
+        }
+        ctx.note({ sub: "?" }, `n = ${k} > 1 → need factorial(${k - 1}) first`);
+        const sub = fact(k - 1, ctx.id);
+        ctx.note({ sub }, `Back in factorial(${k}) with sub = ${sub}`);
+        return { value: k * sub, how: `${k} × ${sub}` };
+      });
+    fact(n, null);
+  }
+
+  if (fnId === "fib") {
+    const fib = (k, parent) =>
+      call("fib", { n: k }, parent, (ctx) => {
+        if (k < 2) {
+          ctx.note({}, `n = ${k} < 2 → base case`);
+          return { value: k };
+        }
+        ctx.note({ a: "?", b: "?" }, `Need fib(${k - 1}) and fib(${k - 2})`);
+        const a = fib(k - 1, ctx.id);
+        ctx.note({ a, b: "?" }, `Back in fib(${k}) with a = ${a}`);
+        const b = fib(k - 2, ctx.id);
+        ctx.note({ a, b }, `Back in fib(${k}) with b = ${b}`);
+        return { value: a + b, how: `${a} + ${b}` };
+      });
+    fib(n, null);
+  }
+
+  if (fnId === "hanoi") {
+    const hanoi = (k, from, to, via, parent) =>
+      call("hanoi", { n: k, from, to, via }, parent, (ctx) => {
+        if (k === 1) {
+          ctx.output(
+            `1: ${from}→${to}`,
+            `Base case — move disk 1 ${from} → ${to}`,
+          );
+          return { value: undefined };
+        }
+        hanoi(k - 1, from, via, to, ctx.id);
+        ctx.output(`${k}: ${from}→${to}`, `Move disk ${k} ${from} → ${to}`);
+        hanoi(k - 1, via, to, from, ctx.id);
+        return { value: undefined };
+      });
+    hanoi(n, "A", "C", "B", null);
+  }
+
+  if (fnId === "inorder") {
+    const walk = (node, parent) =>
+      call("inorder", { node: node ? node.v : "null" }, parent, (ctx) => {
+        if (!node) {
+          ctx.note({}, "node is null → base case, nothing to do");
+          return { value: undefined };
+        }
+        walk(node.l ?? null, ctx.id);
+        ctx.output(node.v, `Left subtree done — visit ${node.v}`);
+        walk(node.r ?? null, ctx.id);
+        return { value: undefined };
+      });
+    walk(TREE, null);
+  }
+
+  return events;
+}
+
+// Tidy layout for the call tree: leaves left to right, parents centred
+function layoutTree(events) {
+  const children = {};
+  const depth = {};
+  const x = {};
+  let root = null;
+  events
+    .filter((e) => e.type === "call")
+    .forEach((e) => {
+      children[e.id] = [];
+      if (e.parent === null) {
+        root = e.id;
+        depth[e.id] = 0;
+      } else {
+        children[e.parent].push(e.id);
+        depth[e.id] = depth[e.parent] + 1;
+      }
+    });
+  let leaf = 0;
+  const place = (id) => {
+    if (children[id].length === 0) x[id] = leaf++;
+    else {
+      children[id].forEach(place);
+      const c = children[id];
+      x[id] = (x[c[0]] + x[c[c.length - 1]]) / 2;
+    }
+  };
+  place(root);
+  const gap = Math.min(0.9, TREE_W / Math.max(leaf - 1, 1));
+  const left = TREE_X + (TREE_W - (leaf - 1) * gap) / 2; // centre narrow trees
+  const pos = {};
+  Object.keys(x).forEach((id) => {
+    pos[id] = [left + x[id] * gap, TREE_TOP - depth[id] * TREE_LEVEL, 0];
+  });
+  return { pos, scale: Math.min(1, gap / 0.9) };
+}
+
+// Replays events into one snapshot per event
+function buildSnapshots(events) {
+  const stack = [];
+  const status = {};
+  const values = {};
+  const labels = {};
+  const output = [];
+  const snaps = [];
+  for (const e of events) {
+    let returning = null;
+    if (e.type === "call") {
+      stack.push({ id: e.id, label: `${e.label}(${e.args})`, locals: {} });
+      status[e.id] = "active";
+      labels[e.id] = `${e.label[0]}(${e.args.replace(/\w+=/g, "")})`;
+    } else if (e.type === "update") {
+      stack[stack.length - 1].locals = e.locals;
+    } else if (e.type === "output") {
+      output.push(e.item);
+    } else {
+      status[e.id] = "returned";
+      values[e.id] = e.value;
+      returning = { id: e.id, value: e.value };
+    }
+    snaps.push({
+      stack: stack.map((f) => ({ ...f })),
+      status: { ...status },
+      values: { ...values },
+      labels,
+      output: [...output],
+      top: stack[stack.length - 1]?.id ?? null,
+      returning,
+      text: e.text,
+    });
+    if (e.type === "return") stack.pop();
+  }
+  return snaps;
+}
+
+// ─── Stack frame slab ─────────────────────────────────────────────────────────
+function CallFrame({ frame, level, isTop, returning }) {
+  const groupRef = useRef();
+  const y = STACK_BASE + level * FRAME_H + FRAME_H / 2;
+  const color = FRAME_COLORS[level % FRAME_COLORS.length];
+  const locals = Object.entries(frame.locals)
+    .map(([k, v]) => `${k} = ${v}`)
+    .join("   ");
+
+  useEffect(() => {
+    if (!groupRef.current) return;
+    gsap.fromTo(
+      groupRef.current.position,
+      { y: y + 4 },
+      { y, duration: 0.45, ease: "back.out(1.3)" },
+    );
+  }, []);
+
+  return (
+    <group ref={groupRef} position={[STACK_X, y, 0]}>
+      <RoundedBox
+        args={[FRAME_W, FRAME_H - 0.03, FRAME_D]}
+        radius={0.03}
+        smoothness={4}
+      >
+        <meshStandardMaterial
+          color={color}
+          emissive={returning ? "#22c55e" : isTop ? "#facc15" : "#000000"}
+          emissiveIntensity={returning || isTop ? 0.35 : 0}
+          roughness={0.5}
+        />
+      </RoundedBox>
+      <Text
+        position={[-FRAME_W / 2 + 0.12, 0.07, FRAME_D / 2 + 0.01]}
+        fontSize={0.13}
+        color="#ffffff"
+        anchorX="left"
+        anchorY="middle"
+        fontWeight="bold"
+      >
+        {frame.label}
+      </Text>
+      <Text
+        position={[-FRAME_W / 2 + 0.12, -0.1, FRAME_D / 2 + 0.01]}
+        fontSize={0.1}
+        color="#ddd6fe"
+        anchorX="left"
+        anchorY="middle"
+      >
+        {locals || "no locals yet"}
+      </Text>
+      {isTop && (
+        <Text
+          position={[FRAME_W / 2 + 0.12, 0, 0]}
+          fontSize={0.12}
+          color="#facc15"
+          anchorX="left"
+          anchorY="middle"
+          fontWeight="bold"
+        >
+          {returning ? "◀ RETURN" : "◀ TOP"}
+        </Text>
+      )}
+    </group>
+  );
+}
+
+// Value chip that drops from the returning frame onto its caller
+function ReturnToken({ value, level }) {
+  const ref = useRef();
+  const fromY = STACK_BASE + level * FRAME_H + FRAME_H;
+  const toY = fromY - FRAME_H * 1.5;
+
+  useEffect(() => {
+    if (!ref.current) return;
+    gsap.fromTo(
+      ref.current.position,
+      { y: fromY + 0.4 },
+      { y: toY, duration: 0.55, ease: "power2.in", delay: 0.15 },
+    );
+  }, []);
+
+  return (
+    <group
+      ref={ref}
+      position={[STACK_X + FRAME_W / 2 - 0.35, fromY + 0.4, 0.55]}
+    >
+      <RoundedBox args={[0.5, 0.24, 0.08]} radius={0.05} smoothness={4}>
+        <meshStandardMaterial
+          color="#22c55e"
+          emissive="#22c55e"
+          emissiveIntensity={0.5}
+        />
+      </RoundedBox>
+      <Text
+        position={[0, 0, 0.05]}
+        fontSize={0.13}
+        color="#0b2e13"
+        anchorX="center"
+        anchorY="middle"
+        fontWeight="bold"
+      >
+        {String(value)}
+      </Text>
+    </group>
+  );
+}
+
+function CallTree({ events, snap, layout }) {
+  const calls = events.filter((e) => e.type === "call" && snap.status[e.id]);
+  const s = layout.scale;
+
+  return (
+    <>
+      {calls.map((e) =>
+        e.parent === null ? null : (
+          <Line
+            key={`l${e.id}`}
+            points={[layout.pos[e.parent], layout.pos[e.id]]}
+            color={snap.status[e.id] === "returned" ? "#4ade80" : "#a78bfa"}
+            lineWidth={2}
+          />
+        ),
+      )}
+      {calls.map((e) => {
+        const st = snap.top === e.id ? "top" : snap.status[e.id];
+        const color =
+          st === "top" ? "#facc15" : st === "active" ? "#8b5cf6" : "#22c55e";
+        return (
+          <group key={e.id} position={layout.pos[e.id]} scale={s}>
+            <RoundedBox args={[0.78, 0.34, 0.12]} radius={0.06} smoothness={3}>
+              <meshStandardMaterial
+                color={color}
+                emissive={color}
+                emissiveIntensity={st === "top" ? 0.6 : 0.2}
+              />
+            </RoundedBox>
+            <Text
+              position={[0, 0, 0.07]}
+              fontSize={0.13}
+              color="#111827"
+              anchorX="center"
+              anchorY="middle"
+              fontWeight="bold"
+              maxWidth={0.74}
+            >
+              {snap.labels[e.id]}
+            </Text>
+            {snap.values[e.id] !== undefined && (
+              <Text
+                position={[0, -0.28, 0.07]}
+                fontSize={0.12}
+                color="#86efac"
+                anchorX="center"
+                anchorY="middle"
+              >
+                {`= ${snap.values[e.id]}`}
+              </Text>
+            )}
+          </group>
+        );
+      })}
+    </>
+  );
+}
+
+function CallScene({ ar, events, snap, layout, cursor }) {
+  const returningLevel = snap.returning
+    ? snap.stack.findIndex((f) => f.id === snap.returning.id)
+    : -1;
+
+  return (
+    <>
+      <ambientLight intensity={0.6} />
+      <directionalLight position={[4, 8, 4]} intensity={1.1} />
+      <pointLight position={[-3, 3, 2]} intensity={0.4} color="#ddd6fe" />
+
+      <ARPlacement
+        placement={ar}
+        scale={AR_SCALE}
+        lift={AR_LIFT}
+        color="#a78bfa"
+      >
+        <group position={[STACK_X, 0, 0]}>
+          <TableBase width={FRAME_W + 0.7} slotWidth={FRAME_W} />
+        </group>
+        <Text
+          position={[STACK_X, STACK_BASE - 0.32, 0.75]}
+          fontSize={0.14}
+          color="#c4b5fd"
+          anchorX="center"
+          anchorY="middle"
+          fontWeight="bold"
+        >
+          CALL STACK
+        </Text>
+        {snap.stack.map((f, i) => (
+          <CallFrame
+            key={f.id}
+            frame={f}
+            level={i}
+            isTop={i === snap.stack.length - 1}
+            returning={snap.returning?.id === f.id}
+          />
+        ))}
+        {snap.returning &&
+          snap.returning.value !== undefined &&
+          returningLevel > 0 && (
+            <ReturnToken
+              key={cursor}
+              value={snap.returning.value}
+              level={returningLevel}
+            />
+          )}
+
+        <Text
+          position={[TREE_X + TREE_W / 2, TREE_TOP + 0.6, 0]}
+          fontSize={0.16}
+          color="#c4b5fd"
+          anchorX="center"
+          anchorY="middle"
+          fontWeight="bold"
+        >
+          CALL TREE
+        </Text>
+        <CallTree events={events} snap={snap} layout={layout} />
+      </ARPlacement>
+
+      {!ar.isAR && (
+        <>
+          <OrbitControls
+            enablePan={false}
+            minPolarAngle={Math.PI / 4}
+            maxPolarAngle={Math.PI / 2.1}
+            minAzimuthAngle={-Math.PI / 5}
+            maxAzimuthAngle={Math.PI / 5}
+            minDistance={5}
+            maxDistance={16}
+            target={[0, 1.0, 0]}
+          />
+          <Environment preset="apartment" />
+        </>
+      )}
+    </>
+  );
+}
+
+// ─── Main Export ───────────────────────────────────────────────────────────────
+const runFor = (fnId, n) => {
+  const events = traceCalls(fnId, n);
+  return { events, snaps: buildSnapshots(events), layout: layoutTree(events) };
+};
+
+export default function CallStack() {
+  const [fnId, setFnId] = useState("factorial");
+  const [n, setN] = useState(4);
+  const [run, setRun] = useState(() => runFor("factorial", 4));
+  const [cursor, setCursor] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(900);
+  const [log, setLog] = useState([]);
+  const ar = useARPlacement(xrStore);
+
+  const fn = FUNCTIONS.find((f) => f.id === fnId);
+  const total = run.snaps.length - 1;
+  const snap = run.snaps[cursor];
+  const maxDepth = Math.max(...run.snaps.map((s) => s.stack.length));
+  const callCount = run.events.filter((e) => e.type === "call").length;
+
+  const addLog = (msg, type = "info") =>
+    setLog((prev) => [{ msg, type, id: Date.now() }, ...prev].slice(0, 8));
+
+  const logSummary = () => {
+    const result = run.events[run.events.length - 1].value;
+    addLog(
+      `✅ ${fn.id}${fn.min === null ? "" : `(${n})`}${result === undefined ? "" : ` = ${result}`} · ${callCount} calls · max depth ${maxDepth}`,
+      "success",
+    );
+  };
+
+  useEffect(() => {
+    if (!playing) return;
+    const t = setTimeout(() => {
+      if (cursor + 1 >= total) {
+        setPlaying(false);
+        logSummary();
+      }
+      setCursor(Math.min(cursor + 1, total));
+    }, speed);
+    return () => clearTimeout(t);
+  }, [playing, cursor, speed, total]);
+
+  const load = (id, value) => {
+    setFnId(id);
+    setN(value);
+    setRun(runFor(id, value));
+    setCursor(0);
+    setPlaying(false);
+  };
+
+  const handleFnChange = (id) => {
+    const next = FUNCTIONS.find((f) => f.id === id);
+    load(id, next.initial);
+    addLog(`📝 Loaded ${next.name}`, "info");
+  };
+
+  const handleNChange = (raw) => {
+    const v = parseInt(raw, 10);
+    if (Number.isNaN(v) || v < fn.min || v > fn.max)
+      return addLog(
+        `⚠️ n must be between ${fn.min} and ${fn.max} here.`,
+        "error",
+      );
+    load(fnId, v);
+  };
+
+  const handlePlay = () => {
+    if (cursor >= total) setCursor(0);
+    setPlaying((p) => !p);
+  };
+
+  const handleReset = () => {
+    load("factorial", 4);
+    setSpeed(900);
+    setLog([]);
+  };
+
+  const timeline = stepTimeline({
+    labels: run.snaps.slice(1).map((s) => s.text.split(" — ")[0]),
+    cursor,
+    setCursor,
+    playing,
+    play: () => setPlaying(true),
+    stop: () => setPlaying(false),
+  });
+
+  return (
+    <div
+      className="flex flex-col gap-4 w-full"
+      style={{ fontFamily: "'Courier New', monospace" }}
+    >
+      <ARPlacementHud
+        placement={ar}
+        title="🔁 CALL STACK — AR"
+        status={`${fn.name} · depth ${snap.stack.length} · step ${cursor}/${total}`}
+        accent="#a78bfa"
+        log={log}
+        actions={[
+          {
+            label: playing
+              ? "⏸ Pause"
+              : cursor >= total
+                ? "🔁 Replay"
+                : "▶ Run",
+            onClick: handlePlay,
+            color: "#7c3aed",
+          },
+          {
+            label: "◀ Step",
+            onClick: () => setCursor((c) => Math.max(c - 1, 0)),
+            disabled: playing || cursor === 0,
+          },
+          {
+            label: "Step ▶",
+            onClick: () => setCursor((c) => Math.min(c + 1, total)),
+            disabled: playing || cursor >= total,
+          },
+          { label: "🔄 Reset", onClick: handleReset },
+        ]}
+      >
+        <div
+          style={{
+            background: "rgba(0,0,0,0.8)",
+            border: "1px solid rgba(167,139,250,0.3)",
+            borderRadius: 14,
+            padding: "10px 14px",
+            color: "#ddd6fe",
+            fontSize: 12,
+          }}
+        >
+          {snap.text}
+        </div>
+      </ARPlacementHud>
+
+      {/* Header */}
+      <div className="text-center">
+        <h2 className="text-3xl font-bold text-violet-300 tracking-widest">
+          🔁 CALL STACK
+        </h2>
+        <p className="text-white/50 text-sm mt-1">
+          Depth{" "}
+          <span className="text-violet-300 font-bold">{snap.stack.length}</span>{" "}
+          / max {maxDepth} &nbsp;·&nbsp; {callCount} calls in total
+          &nbsp;·&nbsp; Step {cursor} / {total}
+        </p>
+      </div>
+
+      <ARButton placement={ar} accent="#a78bfa" />
+
+      {/* 3D Canvas */}
+      <div
+        className="w-full rounded-2xl overflow-hidden border-2 border-violet-400/30 shadow-[0_0_40px_rgba(167,139,250,0.12)]"
+        style={{
+          height: 500,
+          background:
+            "linear-gradient(180deg,#0f0a1e 0%,#1c1236 50%,#08060f 100%)",
+        }}
+      >
+        <Canvas camera={{ position: [0, 1.4, 9.5], fov: 50 }}>
+          <XR store={xrStore}>
+            <CallScene
+              ar={ar}
+              events={run.events}
+              snap={snap}
+              layout={run.layout}
+              cursor={cursor}
+            />
+          </XR>
+        </Canvas>
+      </div>
+
+      {/* Narration + output */}
+      <div className="flex flex-col gap-2 px-4 py-3 rounded-xl border border-violet-400/30 bg-violet-400/5">
+        <p className="text-sm text-yellow-200">{snap.text}</p>
+        {(fnId === "hanoi" || fnId === "inorder") && (
+          <div className="flex flex-wrap items-center gap-1.5 text-xs">
+            <span className="text-white/50">
+              {fnId === "hanoi" ? "Moves:" : "Visit order:"}
+            </span>
+            {snap.output.length === 0 ? (
+              <span className="text-white/30 italic">none yet</span>
+            ) : (
+              snap.output.map((o, k) => (
+                <span
+                  key={k}
+                  className="px-2 py-0.5 rounded border border-green-400/50 text-green-200 bg-green-400/10"
+                >
+                  {o}
+                </span>
+              ))
+            )}
+          </div>
+        )}
+      </div>
+
+      <TimelineBar timeline={timeline} accent="violet" />
+
+      {/* Controls */}
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <div className="bg-white/5 border border-white/10 rounded-2xl p-5 flex flex-col gap-4">
+          <div className="flex gap-2 flex-wrap">
+            {FUNCTIONS.map((f) => (
+              <button
+                key={f.id}
+                onClick={() => handleFnChange(f.id)}
+                className={`px-3 py-2 rounded-lg text-sm font-bold transition-all border-2 ${
+                  fnId === f.id
+                    ? "bg-violet-400 border-violet-400 text-gray-900"
+                    : "bg-transparent border-white/20 text-white/60 hover:border-violet-400/50 hover:text-white"
+                }`}
+              >
+                {f.id === "factorial"
+                  ? "n!"
+                  : f.id === "fib"
+                    ? "Fibonacci"
+                    : f.id === "hanoi"
+                      ? "Hanoi"
+                      : "Tree walk"}
+              </button>
+            ))}
+          </div>
+
+          {fn.min !== null ? (
+            <div className="flex gap-2 items-center">
+              <span className="text-white/60 text-sm">n =</span>
+              <input
+                type="number"
+                min={fn.min}
+                max={fn.max}
+                value={n}
+                onChange={(e) => handleNChange(e.target.value)}
+                className="w-20 px-3 py-2 bg-black/40 border border-white/20 rounded-lg text-violet-300 font-mono text-sm focus:outline-none focus:border-violet-400"
+              />
+              <span className="text-white/30 text-xs">
+                ({fn.min}–{fn.max})
+              </span>
+            </div>
+          ) : (
+            <p className="text-white/50 text-xs">
+              In-order walk of the BST 50 · 30 · 70 · 20 · 40 · 60 · 80 — null
+              children are real calls too
+            </p>
+          )}
+
+          <pre className="px-3 py-2 rounded-lg bg-black/40 border border-white/10 text-xs text-violet-200 overflow-x-auto">
+            {fn.code.join("\n")}
+          </pre>
+
+          <div className="flex gap-2 flex-wrap">
+            <button
+              onClick={handlePlay}
+              className="px-5 py-2.5 bg-violet-600 hover:bg-violet-500 rounded-lg text-white text-sm font-bold transition-all"
+            >
+              {playing ? "⏸ Pause" : cursor >= total ? "🔁 Replay" : "▶ Run"}
+            </button>
+            <button
+              onClick={() => setCursor((c) => Math.max(c - 1, 0))}
+              disabled={playing || cursor === 0}
+              className="px-3 py-2.5 bg-white/10 hover:bg-white/20 disabled:opacity-40 rounded-lg text-white/80 text-sm transition-all"
+            >
+              ◀ Step
+            </button>
+            <button
+              onClick={() => setCursor((c) => Math.min(c + 1, total))}
+              disabled={playing || cursor >= total}
+              className="px-3 py-2.5 bg-white/10 hover:bg-white/20 disabled:opacity-40 rounded-lg text-white/80 text-sm transition-all"
+            >
+              Step ▶
+            </button>
+            <button
+              onClick={() => {
+                setPlaying(false);
+                setCursor(0);
+              }}
+              className="px-3 py-2.5 bg-white/10 hover:bg-white/20 rounded-lg text-white/80 text-sm transition-all"
+            >
+              ⏮ Rewind
+            </button>
+          </div>
+
+          <label className="flex items-center gap-3 text-xs text-white/50">
+            🐢
+            <input
+              type="range"
+              min={100}
+              max={1500}
+              step={50}
+              value={1600 - speed}
+              onChange={(e) => setSpeed(1600 - Number(e.target.value))}
+              className="flex-1 accent-violet-400"
+            />
+            🐇
+          </label>
+
+          <button
+            onClick={handleReset}
+            className="w-full py-2 bg-white/5 hover:bg-white/10 border border-white/10 rounded-lg text-white/50 hover:text-white/80 text-sm transition-all"
+          >
+            🔄 Reset to Default
+          </button>
+        </div>
+
+        {/* Log + Complexity */}
+        <div className="bg-black/40 border border-white/10 rounded-2xl p-5 flex flex-col gap-4">
+          <div>
+            <p className="text-white/40 text-xs uppercase tracking-widest mb-2">
+              📋 Run Log
+            </p>
+            <div className="flex flex-col gap-1 max-h-36 overflow-y-auto">
+              {log.length === 0 ? (
+                <p className="text-white/30 text-xs italic">No runs yet...</p>
+              ) : (
+                log.map((entry, i) => (
+                  <div
+                    key={entry.id}
+                    className={`text-xs font-mono py-1 px-2 rounded border-l-2 ${
+                      entry.type === "success"
+                        ? "border-green-400 bg-green-400/5 text-green-300"
+                        : entry.type === "error"
+                          ? "border-red-400 bg-red-400/5 text-red-300"
+                          : "border-blue-400 bg-blue-400/5 text-blue-300"
+                    } ${i > 0 ? "opacity-50" : ""}`}
+                  >
+                    {entry.msg}
+                  </div>
+                ))
+              )}
+            </div>
+          </div>
+
+          <div>
+            <p className="text-white/40 text-xs uppercase tracking-widest mb-2">
+              ⚡ Time Complexity
+            </p>
+            <div className="grid grid-cols-2 gap-1 text-xs font-mono">
+              {[
+                ["Calls / time", fn.time, fn.time === "O(n)"],
+                ["Stack depth", fn.depth, true],
+                ["Push frame", "O(1)", true],
+                ["Pop frame", "O(1)", true],
+              ].map(([op, c, fast]) => (
+                <div
+                  key={op}
+                  className="flex justify-between px-3 py-1.5 bg-white/5 rounded-lg"
+                >
+                  <span className="text-white/55">{op}</span>
+                  <span
+                    className={`font-bold ${fast ? "text-green-400" : "text-red-400"}`}
+                  >
+                    {c}
+                  </span>
+                </div>
+              ))}
+            </div>
+            <div className="mt-3 px-3 py-2 bg-violet-400/10 border border-violet-400/30 rounded-lg">
+              <p className="text-violet-300 text-xs font-bold">Why a stack?</p>
+              <p className="text-white/50 text-xs mt-0.5">
+                The most recent call is always the first to finish — LIFO, just
+                like the books and boxes.
+              </p>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <p className="text-center text-white/25 text-xs pb-2">
+        💡 Yellow = running now · Purple = waiting on a callee · Green =
+        returned · Drag to rotate · Scroll to zoom
+      </p>
+    </div>
+  );
+}
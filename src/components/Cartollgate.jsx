@@ -9,6 +9,18 @@ import {
 import { XR, createXRStore } from "@react-three/xr";
 import { gsap } from "gsap";
 import * as THREE from "three";
+import { RingBufferScene, RingBufferInfo } from "./Ringbuffer";
+import CodePanel from "./CodePanel";
+import TimelineBar from "./TimelineBar";
+import CodeLab from "./CodeLab";
+import ARPlacement, { ARPlacementHud } from "./ARPlacement";
+import { QueueModel } from "../models";
+import { queuePrograms } from "../pseudocode";
+import { useModelEvents } from "../hooks/useModelEvents";
+import { useCodeTrace } from "../hooks/useCodeTrace";
+import { useTimeline } from "../hooks/useTimeline";
+import { useCodeLab } from "../hooks/useCodeLab";
+import { useARPlacement } from "../hooks/useARPlacement";
 
 // ─── XR Store ─────────────────────────────────────────────────────────────────
 const xrStore = createXRStore();
@@ -913,6 +925,7 @@ function Road({ queueLength }) {
 
 // ─── Full AR World — everything is 3D, camera-facing panels ──────────────────
 function ARWorld({
+  ar,
   queue,
   exitingId,
   enteringId,
@@ -954,8 +967,55 @@ function ARWorld({
       />
       <pointLight position={[0, 1.5, 0]} intensity={0.8} color="#ffe8a0" />
 
-      {/* The toll gate world, scaled for AR */}
-      <group scale={AR_SCALE} position={[0, -0.6, -2.0]}>
+      {/* The toll gate world on a real surface; the 3D UI panels follow it
+          at full size once it is placed, always facing the camera */}
+      <ARPlacement
+        placement={ar}
+        scale={AR_SCALE}
+        lift={-ROAD_Y}
+        color="#f5c518"
+        attached={
+          <group ref={uiRef} position={[0, 0.68, -0.1]}>
+            {/* Status panel — floats ABOVE the scene */}
+            <StatusPanel
+              position={[0, 0.72, 0]}
+              queue={queue}
+              isGateOpen={isGateOpen}
+              frontCar={frontCar}
+              rearCar={rearCar}
+              lastLog={lastLog}
+              autoMode={autoMode}
+            />
+
+            {/* Control panel — floats BELOW the scene */}
+            <ControlPanel
+              position={[0, -0.68, 0]}
+              queue={queue}
+              isAnimating={isAnimating}
+              autoMode={autoMode}
+              enqueueStyleIdx={enqueueStyleIdx}
+              frontCar={frontCar}
+              onEnqueue={onEnqueue}
+              onDequeue={onDequeue}
+              onPeek={onPeek}
+              onToggleAuto={onToggleAuto}
+              onReset={onReset}
+              onSelectStyle={onSelectStyle}
+            />
+
+            {/* Exit AR button — top-right corner */}
+            <Button3D
+              position={[3.8, 0.72, 0.02]}
+              label="✕  EXIT AR"
+              color="#7f1d1d"
+              textColor="#fca5a5"
+              width={1.3}
+              height={0.38}
+              onClick={onExitAR}
+            />
+          </group>
+        }
+      >
         <Road queueLength={queue.length} />
         <TollGate isOpen={isGateOpen} />
         {queue.map((car, i) => (
@@ -982,48 +1042,7 @@ function ARWorld({
             Queue Empty — Tap ENQUEUE!
           </Text>
         )}
-      </group>
-
-      {/* 3D UI panels — float in front of user, face camera */}
-      <group ref={uiRef} position={[0, 0.08, -2.1]}>
-        {/* Status panel — floats ABOVE the scene */}
-        <StatusPanel
-          position={[0, 0.72, 0]}
-          queue={queue}
-          isGateOpen={isGateOpen}
-          frontCar={frontCar}
-          rearCar={rearCar}
-          lastLog={lastLog}
-          autoMode={autoMode}
-        />
-
-        {/* Control panel — floats BELOW the scene */}
-        <ControlPanel
-          position={[0, -0.68, 0]}
-          queue={queue}
-          isAnimating={isAnimating}
-          autoMode={autoMode}
-          enqueueStyleIdx={enqueueStyleIdx}
-          frontCar={frontCar}
-          onEnqueue={onEnqueue}
-          onDequeue={onDequeue}
-          onPeek={onPeek}
-          onToggleAuto={onToggleAuto}
-          onReset={onReset}
-          onSelectStyle={onSelectStyle}
-        />
-
-        {/* Exit AR button — top-right corner */}
-        <Button3D
-          position={[3.8, 0.72, 0.02]}
-          label="✕  EXIT AR"
-          color="#7f1d1d"
-          textColor="#fca5a5"
-          width={1.3}
-          height={0.38}
-          onClick={onExitAR}
-        />
-      </group>
+      </ARPlacement>
     </>
   );
 }
@@ -1094,8 +1113,13 @@ const INITIAL_QUEUE = [
 ];
 let nextCarId = 10;
 
+const CAR_NAMES = CAR_STYLES.map((s) => s.name);
+
 export default function CarTollGate() {
-  const [queue, setQueue] = useState(INITIAL_QUEUE);
+  const [model] = useState(
+    () => new QueueModel({ items: INITIAL_QUEUE, capacity: MAX_QUEUE }),
+  );
+  const [queue, setQueue] = useState(INITIAL_QUEUE); // what the scene shows
   const [isAnimating, setIsAnimating] = useState(false);
   const [exitingId, setExitingId] = useState(null);
   const [enteringId, setEnteringId] = useState(null);
@@ -1104,19 +1128,12 @@ export default function CarTollGate() {
   const [enqueueStyleIdx, setEnqueueStyleIdx] = useState(3);
   const [log, setLog] = useState([]);
   const [autoMode, setAutoMode] = useState(false);
-  const [isARMode, setIsARMode] = useState(false);
-  const [arSupported, setArSupported] = useState(false);
-  const [arError, setArError] = useState(null);
+  const [view, setView] = useState("linear");
+  const [head, setHead] = useState(0); // ring buffer slot of the FRONT car
   const autoRef = useRef(null);
-
-  useEffect(() => {
-    if (navigator.xr) {
-      navigator.xr
-        .isSessionSupported("immersive-ar")
-        .then(setArSupported)
-        .catch(() => setArSupported(false));
-    }
-  }, []);
+  const autoStepRef = useRef(false); // true while auto mode drives the model
+  const ar = useARPlacement(xrStore);
+  const isARMode = ar.isAR;
 
   const addLog = (msg, type = "info") =>
     setLog((p) => [{ msg, type, id: Date.now() }, ...p].slice(0, 8));
@@ -1125,19 +1142,88 @@ export default function CarTollGate() {
   const rearCar = queue.length > 0 ? queue[queue.length - 1] : null;
   const lastLog = log[0] || null;
 
+  // The model owns the queue; the scene catches up once animations finish
+  useModelEvents(model, (e) => {
+    const auto = autoStepRef.current;
+    if (e.type === "enqueue") {
+      const car = CAR_STYLES[e.value.styleIdx];
+      setIsAnimating(true);
+      setQueue(model.toArray());
+      setEnteringId(e.value.id);
+      addLog(
+        auto
+          ? `🚗 Auto: "${car.name}" joins REAR [${e.index}]`
+          : `🚗 Enqueue "${car.name}" → joins REAR [${e.index}]  ·  ${e.complexity}`,
+        "success",
+      );
+    } else if (e.type === "dequeue") {
+      const car = CAR_STYLES[e.value.styleIdx];
+      setIsAnimating(true);
+      setIsGateOpen(true);
+      setExitingId(e.value.id);
+      addLog(
+        auto
+          ? `✅ Auto: "${car.name}" exits FRONT`
+          : `✅ Dequeue "${car.name}" exits FRONT [0]  ·  ${e.complexity}`,
+        "success",
+      );
+    } else if (e.type === "peek") {
+      const car = CAR_STYLES[e.value.styleIdx];
+      addLog(
+        `👁️ Peek FRONT [0] = "${car.name}" (${car.plate})  ·  ${e.complexity}`,
+        "success",
+      );
+    } else if (e.type === "overflow") {
+      addLog(`⚠️ Queue Full! Max ${e.capacity} cars.`, "error");
+    } else if (e.type === "underflow") {
+      addLog(
+        e.op === "peek"
+          ? "⚠️ Queue is empty!"
+          : "⚠️ Queue is empty — no car at the gate!",
+        "error",
+      );
+    } else if (e.type === "reset") {
+      setQueue(e.items);
+      setHead(e.head);
+      setIsGateOpen(false);
+      setLog([]);
+    } else if (e.type === "restore") {
+      setQueue(e.items);
+      setHead(e.head);
+      setIsGateOpen(false);
+      addLog(`🕘 Back to ${e.items.length} car(s) at the gate`, "info");
+    }
+  });
+
+  const codeTrace = useCodeTrace(model, queuePrograms, {
+    format: (c) => `"${CAR_STYLES[c.styleIdx].name}"`,
+    stepMs: 350,
+  });
+
+  const timeline = useTimeline(model, {
+    busy: isAnimating,
+    describe: (e) =>
+      e.type === "enqueue" || e.type === "dequeue"
+        ? `${e.type} ${CAR_STYLES[e.value.styleIdx].name}`
+        : e.type,
+  });
+
+  // Auto mode and a lab program both drive the queue, so they take turns:
+  // running a program stops auto mode, and starting auto mode stops the program
+  const lab = useCodeLab(model, {
+    kind: "queue",
+    name: "queue",
+    values: CAR_NAMES,
+    fromItem: (c) => CAR_NAMES[c.styleIdx],
+    toItem: (name) => ({ id: nextCarId++, styleIdx: CAR_NAMES.indexOf(name) }),
+    busy: isAnimating,
+    onRun: () => autoMode && stopAuto(),
+  });
+
   const handleEnqueue = useCallback(() => {
     if (isAnimating) return;
-    if (queue.length >= MAX_QUEUE)
-      return addLog(`⚠️ Queue Full! Max ${MAX_QUEUE} cars.`, "error");
-    setIsAnimating(true);
-    const newCar = { id: nextCarId++, styleIdx: enqueueStyleIdx };
-    setQueue((p) => [...p, newCar]);
-    setEnteringId(newCar.id);
-    addLog(
-      `🚗 Enqueue "${CAR_STYLES[enqueueStyleIdx].name}" → joins REAR [${queue.length}]  ·  O(1)`,
-      "success",
-    );
-  }, [isAnimating, queue.length, enqueueStyleIdx]);
+    model.enqueue({ id: nextCarId++, styleIdx: enqueueStyleIdx });
+  }, [isAnimating, model, enqueueStyleIdx]);
 
   const handleEnterDone = () => {
     setEnteringId(null);
@@ -1145,110 +1231,57 @@ export default function CarTollGate() {
   };
 
   const handleDequeue = useCallback(() => {
-    if (isAnimating || queue.length === 0) return;
-    setIsAnimating(true);
-    setIsGateOpen(true);
-    const front = queue[0];
-    setExitingId(front.id);
-    addLog(
-      `✅ Dequeue "${CAR_STYLES[front.styleIdx].name}" exits FRONT [0]  ·  O(1)`,
-      "success",
-    );
-  }, [isAnimating, queue]);
+    if (isAnimating) return;
+    model.dequeue();
+  }, [isAnimating, model]);
 
   const handleExitDone = () => {
-    setQueue((p) => p.slice(1));
+    setQueue(model.toArray());
+    setHead(model.head);
     setExitingId(null);
     setIsAnimating(false);
     setTimeout(() => setIsGateOpen(false), 400);
   };
 
-  const handlePeek = useCallback(() => {
-    if (queue.length === 0) return addLog("⚠️ Queue is empty!", "error");
-    addLog(
-      `👁️ Peek FRONT [0] = "${CAR_STYLES[frontCar.styleIdx].name}" (${CAR_STYLES[frontCar.styleIdx].plate})  ·  O(1)`,
-      "success",
-    );
-  }, [queue, frontCar]);
+  const handlePeek = useCallback(() => model.peek(), [model]);
 
-  const toggleAuto = useCallback(() => {
-    if (autoMode) {
-      clearInterval(autoRef.current);
-      setAutoMode(false);
-      addLog("⏹ Auto mode stopped", "info");
-    } else {
-      setAutoMode(true);
-      addLog("▶ Auto mode started", "info");
-    }
-  }, [autoMode]);
+  const stopAuto = () => {
+    clearInterval(autoRef.current);
+    setAutoMode(false);
+    addLog("⏹ Auto mode stopped", "info");
+  };
+
+  const toggleAuto = () => {
+    if (autoMode) return stopAuto();
+    lab.stop("⏹ Stopped — auto mode took over the queue");
+    setAutoMode(true);
+    addLog("▶ Auto mode started", "info");
+  };
 
   useEffect(() => {
     if (!autoMode) return;
     autoRef.current = setInterval(() => {
-      setQueue((prev) => {
-        if (isAnimating) return prev;
-        const rand = Math.random();
-        if (prev.length === 0 || (prev.length < MAX_QUEUE && rand > 0.45)) {
-          const styleIdx = Math.floor(Math.random() * CAR_STYLES.length);
-          const newCar = { id: nextCarId++, styleIdx };
-          setEnteringId(newCar.id);
-          setIsAnimating(true);
-          setLog((l) =>
-            [
-              {
-                msg: `🚗 Auto: "${CAR_STYLES[styleIdx].name}" joins REAR [${prev.length}]`,
-                type: "success",
-                id: Date.now(),
-              },
-              ...l,
-            ].slice(0, 8),
-          );
-          return [...prev, newCar];
-        } else if (prev.length > 0) {
-          const front = prev[0];
-          setIsGateOpen(true);
-          setExitingId(front.id);
-          setIsAnimating(true);
-          setLog((l) =>
-            [
-              {
-                msg: `✅ Auto: "${CAR_STYLES[front.styleIdx].name}" exits FRONT`,
-                type: "success",
-                id: Date.now(),
-              },
-              ...l,
-            ].slice(0, 8),
-          );
-          return prev;
-        }
-        return prev;
-      });
+      if (isAnimating) return;
+      const join =
+        model.size === 0 || (model.size < MAX_QUEUE && Math.random() > 0.45);
+      autoStepRef.current = true;
+      if (join)
+        model.enqueue({
+          id: nextCarId++,
+          styleIdx: Math.floor(Math.random() * CAR_STYLES.length),
+        });
+      else model.dequeue();
+      autoStepRef.current = false;
     }, 1800);
     return () => clearInterval(autoRef.current);
-  }, [autoMode, isAnimating]);
+  }, [autoMode, isAnimating, model]);
 
   const handleReset = useCallback(() => {
     if (isAnimating) return;
     clearInterval(autoRef.current);
     setAutoMode(false);
-    setQueue(INITIAL_QUEUE);
-    setIsGateOpen(false);
-    setLog([]);
-  }, [isAnimating]);
-
-  const handleLaunchAR = () => {
-    setArError(null);
-    xrStore
-      .enterAR()
-      .then(() => setIsARMode(true))
-      .catch((e) => setArError("AR failed: " + (e?.message || "Unknown")));
-  };
-  const handleExitAR = () => {
-    try {
-      xrStore.getState()?.session?.end();
-    } catch {}
-    setIsARMode(false);
-  };
+    model.reset();
+  }, [isAnimating, model]);
 
   const tabBtn = (tab, emoji, label) => (
     <button
@@ -1265,6 +1298,14 @@ export default function CarTollGate() {
       className="flex flex-col gap-4 w-full"
       style={{ fontFamily: "'Courier New', monospace" }}
     >
+      {/* Placement guide; once placed, the 3D panels take over */}
+      <ARPlacementHud
+        placement={ar}
+        title="🚗 CAR TOLL GATE — AR"
+        status={`Queue ${queue.length}/${MAX_QUEUE}`}
+        accent="#f5c518"
+      />
+
       {/* Header */}
       <div className="text-center">
         <h2 className="text-3xl font-bold text-yellow-300 tracking-widest">
@@ -1296,13 +1337,32 @@ export default function CarTollGate() {
             </span>
           )}
         </p>
+        <div className="flex justify-center gap-2 mt-3">
+          {[
+            ["linear", "📏 Linear"],
+            ["ring", "⭕ Ring Buffer"],
+          ].map(([id, label]) => (
+            <button
+              key={id}
+              onClick={() => setView(id)}
+              disabled={isAnimating}
+              className={`px-3 py-1 rounded-lg text-xs font-bold transition-all border disabled:opacity-40 ${
+                view === id
+                  ? "bg-yellow-400/20 border-yellow-400 text-yellow-300"
+                  : "border-white/15 text-white/50 hover:text-white"
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
       </div>
 
       {/* AR launch */}
       <div className="flex flex-col items-center gap-2">
-        {arSupported ? (
+        {ar.supported ? (
           <button
-            onClick={handleLaunchAR}
+            onClick={ar.enter}
             className="flex items-center gap-3 px-7 py-3.5 rounded-2xl font-bold text-white transition-all hover:scale-105 active:scale-95"
             style={{
               background: "linear-gradient(135deg,#4f46e5,#7c3aed,#9333ea)",
@@ -1336,73 +1396,100 @@ export default function CarTollGate() {
             </span>
           </div>
         )}
-        {arError && <p className="text-red-400 text-xs">{arError}</p>}
+        {ar.error && <p className="text-red-400 text-xs">{ar.error}</p>}
       </div>
 
-      {/* Canvas */}
-      <div
-        className={`w-full rounded-2xl overflow-hidden border-2 border-yellow-400/30 ${isARMode ? "fixed inset-0 z-50 rounded-none border-0" : ""}`}
-        style={{
-          height: isARMode ? "100vh" : 420,
-          background: isARMode
-            ? "transparent"
-            : "linear-gradient(180deg,#080c04 0%,#111a08 50%,#060a03 100%)",
-        }}
-      >
-        <Canvas
-          camera={{ position: [1, 4.5, 9.5], fov: 48 }}
-          shadows
-          gl={{ alpha: true, antialias: true, xrCompatible: true }}
+      <div className="flex flex-col xl:flex-row gap-4">
+        {/* Canvas */}
+        <div
+          className={`w-full rounded-2xl overflow-hidden border-2 border-yellow-400/30 ${isARMode ? "fixed inset-0 z-50 rounded-none border-0" : ""}`}
           style={{
-            width: "100%",
-            height: "100%",
-            background: "transparent",
-            display: "block",
-          }}
-          onCreated={({ gl }) => {
-            gl.xr.enabled = true;
+            height: isARMode ? "100vh" : 420,
+            background: isARMode
+              ? "transparent"
+              : "linear-gradient(180deg,#080c04 0%,#111a08 50%,#060a03 100%)",
           }}
         >
-          <XR store={xrStore}>
-            {isARMode ? (
-              <ARWorld
-                queue={queue}
-                exitingId={exitingId}
-                enteringId={enteringId}
-                isGateOpen={isGateOpen}
-                isAnimating={isAnimating}
-                autoMode={autoMode}
-                enqueueStyleIdx={enqueueStyleIdx}
-                frontCar={frontCar}
-                rearCar={rearCar}
-                lastLog={lastLog}
-                onExitDone={handleExitDone}
-                onEnterDone={handleEnterDone}
-                onEnqueue={handleEnqueue}
-                onDequeue={handleDequeue}
-                onPeek={handlePeek}
-                onToggleAuto={toggleAuto}
-                onReset={handleReset}
-                onSelectStyle={setEnqueueStyleIdx}
-                onExitAR={handleExitAR}
-              />
-            ) : (
-              <Scene3D
-                queue={queue}
-                exitingId={exitingId}
-                enteringId={enteringId}
-                isGateOpen={isGateOpen}
-                onExitDone={handleExitDone}
-                onEnterDone={handleEnterDone}
-              />
-            )}
-          </XR>
-        </Canvas>
+          <Canvas
+            camera={{ position: [1, 4.5, 9.5], fov: 48 }}
+            shadows
+            gl={{ alpha: true, antialias: true, xrCompatible: true }}
+            style={{
+              width: "100%",
+              height: "100%",
+              background: "transparent",
+              display: "block",
+            }}
+            onCreated={({ gl }) => {
+              gl.xr.enabled = true;
+            }}
+          >
+            <XR store={xrStore}>
+              {isARMode ? (
+                <ARWorld
+                  ar={ar}
+                  queue={queue}
+                  exitingId={exitingId}
+                  enteringId={enteringId}
+                  isGateOpen={isGateOpen}
+                  isAnimating={isAnimating}
+                  autoMode={autoMode}
+                  enqueueStyleIdx={enqueueStyleIdx}
+                  frontCar={frontCar}
+                  rearCar={rearCar}
+                  lastLog={lastLog}
+                  onExitDone={handleExitDone}
+                  onEnterDone={handleEnterDone}
+                  onEnqueue={handleEnqueue}
+                  onDequeue={handleDequeue}
+                  onPeek={handlePeek}
+                  onToggleAuto={toggleAuto}
+                  onReset={handleReset}
+                  onSelectStyle={setEnqueueStyleIdx}
+                  onExitAR={ar.exit}
+                />
+              ) : view === "ring" ? (
+                <RingBufferScene
+                  items={queue.map((c) => ({
+                    id: c.id,
+                    color: CAR_STYLES[c.styleIdx].body,
+                    label: CAR_STYLES[c.styleIdx].plate,
+                  }))}
+                  head={head}
+                  capacity={MAX_QUEUE}
+                  enteringId={enteringId}
+                  exitingId={exitingId}
+                  onEnterDone={handleEnterDone}
+                  onExitDone={handleExitDone}
+                />
+              ) : (
+                <Scene3D
+                  queue={queue}
+                  exitingId={exitingId}
+                  enteringId={enteringId}
+                  isGateOpen={isGateOpen}
+                  onExitDone={handleExitDone}
+                  onEnterDone={handleEnterDone}
+                />
+              )}
+            </XR>
+          </Canvas>
+        </div>
+        {!isARMode && (
+          <CodePanel trace={codeTrace} accent="yellow" height={420} />
+        )}
       </div>
 
       {/* Regular UI (hidden in AR) */}
       {!isARMode && (
         <>
+          {view === "ring" && (
+            <RingBufferInfo
+              head={head}
+              size={queue.length}
+              capacity={MAX_QUEUE}
+            />
+          )}
           <div className="flex gap-1 flex-wrap justify-center items-center">
             <div className="flex items-center gap-1 px-2 py-1 bg-green-400/15 border border-green-400/30 rounded-lg mr-1">
               <span className="text-green-400 text-xs font-bold">GATE ←</span>
@@ -1437,6 +1524,20 @@ export default function CarTollGate() {
             </div>
           </div>
 
+          <TimelineBar
+            timeline={timeline}
+            accent="yellow"
+            disabled={isAnimating || autoMode || lab.running}
+          />
+
+          <CodeLab
+            lab={lab}
+            kind="queue"
+            name="queue"
+            samples={["SUV", "Truck"]}
+            accent="yellow"
+          />
+
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
             <div className="bg-white/5 border border-white/10 rounded-2xl p-5">
               <div className="flex gap-2 mb-4 flex-wrap">
@@ -0,0 +1,1062 @@
+import { useRef, useState, useEffect, useMemo } from "react";
+import { Canvas, useFrame } from "@react-three/fiber";
+import { Text, OrbitControls, Environment, Line } from "@react-three/drei";
+import { XR, createXRStore } from "@react-three/xr";
+import * as THREE from "three";
+import ARPlacement, { ARPlacementHud, ARButton } from "./ARPlacement";
+import TimelineBar from "./TimelineBar";
+import { SceneModel } from "../models";
+import { useModelEvents } from "../hooks/useModelEvents";
+import { useTimeline } from "../hooks/useTimeline";
+import { useARPlacement } from "../hooks/useARPlacement";
+
+// ─── XR Store ─────────────────────────────────────────────────────────────────
+const xrStore = createXRStore();
+
+// ─── Constants ─────────────────────────────────────────────────────────────────
+const LABELS = "ABCDEFGHIJ";
+const MAX_VERTICES = LABELS.length;
+const VERTEX_R = 0.32;
+const VERTEX_Y = 0.35;
+const FLOOR_W = 11;
+const FLOOR_D = 6.5;
+const STEP_MS = 800;
+const AR_SCALE = 0.05;
+
+const STATE_COLORS = {
+  none: "#475569",
+  discovered: "#facc15",
+  visited: "#22c55e",
+  current: "#ffffff",
+};
+
+const INITIAL_VERTICES = [
+  { id: "A", x: -4, z: 0 },
+  { id: "B", x: -2, z: -1.8 },
+  { id: "C", x: -2, z: 1.8 },
+  { id: "D", x: 0, z: 0 },
+  { id: "E", x: 1.2, z: 2.2 },
+  { id: "F", x: 2.4, z: -1.2 },
+  { id: "G", x: 4.2, z: 0.4 },
+];
+const INITIAL_EDGES = [
+  ["A", "B"],
+  ["A", "C"],
+  ["B", "D"],
+  ["C", "D"],
+  ["C", "E"],
+  ["D", "F"],
+  ["E", "F"],
+  ["F", "G"],
+].map(([from, to]) => ({ from, to }));
+const INITIAL_GRAPH = {
+  vertices: INITIAL_VERTICES,
+  edges: INITIAL_EDGES,
+  directed: false,
+  start: "A",
+};
+
+// ─── Pure helpers ──────────────────────────────────────────────────────────────
+const edgeKey = (a, b, directed) =>
+  directed ? `${a}>${b}` : [a, b].sort().join("-");
+
+// Adjacency list, neighbours sorted so traversals are deterministic
+function adjacency(vertices, edges, directed) {
+  const adj = Object.fromEntries(vertices.map((v) => [v.id, []]));
+  edges.forEach(({ from, to }) => {
+    adj[from].push(to);
+    if (!directed) adj[to].push(from);
+  });
+  Object.values(adj).forEach((list) => list.sort());
+  return adj;
+}
+
+const snapshot = (s, text) => ({
+  status: { ...s.status },
+  current: s.current,
+  edge: s.edge,
+  tree: [...s.tree],
+  frontier: [...s.frontier],
+  order: [...s.order],
+  text,
+});
+
+function bfsSteps(adj, start, directed) {
+  const s = {
+    status: { [start]: "discovered" },
+    current: null,
+    edge: null,
+    tree: [],
+    frontier: [start],
+    order: [],
+  };
+  const steps = [snapshot(s, `Enqueue start vertex ${start} — discovered`)];
+  while (s.frontier.length > 0) {
+    const v = s.frontier.shift();
+    s.current = v;
+    s.edge = null;
+    steps.push(
+      snapshot(s, `Dequeue ${v} from the front — visit its neighbours`),
+    );
+    for (const u of adj[v]) {
+      s.edge = edgeKey(v, u, directed);
+      if (!s.status[u]) {
+        s.status[u] = "discovered";
+        s.frontier.push(u);
+        s.tree.push(s.edge);
+        steps.push(
+          snapshot(
+            s,
+            `${v} → ${u}: undiscovered — mark and enqueue at the rear`,
+          ),
+        );
+      } else {
+        steps.push(snapshot(s, `${v} → ${u}: already ${s.status[u]} — skip`));
+      }
+    }
+    s.status[v] = "visited";
+    s.order.push(v);
+    s.edge = null;
+    steps.push(snapshot(s, `${v} is finished — visited`));
+  }
+  s.current = null;
+  return steps;
+}
+
+// Iterative DFS — the frontier is an explicit stack (top = last element)
+function dfsStackSteps(adj, start, directed) {
+  const s = {
+    status: { [start]: "discovered" },
+    current: null,
+    edge: null,
+    tree: [],
+    frontier: [start],
+    order: [],
+  };
+  const parentEdge = {};
+  const steps = [snapshot(s, `Push start vertex ${start} onto the stack`)];
+  while (s.frontier.length > 0) {
+    const v = s.frontier.pop();
+    s.current = v;
+    s.edge = null;
+    if (s.status[v] === "visited") {
+      steps.push(snapshot(s, `Pop ${v} — already visited, skip`));
+      continue;
+    }
+    s.status[v] = "visited";
+    s.order.push(v);
+    if (parentEdge[v]) s.tree.push(parentEdge[v]);
+    steps.push(snapshot(s, `Pop ${v} — visit it`));
+    // Push in reverse so the alphabetically first neighbour is popped next
+    for (const u of [...adj[v]].reverse()) {
+      s.edge = edgeKey(v, u, directed);
+      if (s.status[u] === "visited") {
+        steps.push(snapshot(s, `${v} → ${u}: already visited — skip`));
+        continue;
+      }
+      s.status[u] = "discovered";
+      parentEdge[u] = s.edge;
+      s.frontier.push(u);
+      steps.push(snapshot(s, `${v} → ${u}: push onto the stack`));
+    }
+  }
+  s.current = null;
+  s.edge = null;
+  return steps;
+}
+
+// Recursive DFS — the frontier shows the call stack of dfs(v) frames
+function dfsRecursiveSteps(adj, start, directed) {
+  const s = {
+    status: {},
+    current: null,
+    edge: null,
+    tree: [],
+    frontier: [],
+    order: [],
+  };
+  const steps = [];
+  const dfs = (v) => {
+    s.frontier.push(v);
+    s.status[v] = "visited";
+    s.order.push(v);
+    s.current = v;
+    s.edge = null;
+    steps.push(snapshot(s, `Call dfs(${v}) — mark ${v} visited`));
+    for (const u of adj[v]) {
+      s.current = v;
+      s.edge = edgeKey(v, u, directed);
+      if (s.status[u]) {
+        steps.push(snapshot(s, `In dfs(${v}): ${u} already visited — skip`));
+        continue;
+      }
+      s.tree.push(s.edge);
+      steps.push(snapshot(s, `In dfs(${v}): ${u} unvisited — recurse`));
+      dfs(u);
+      s.current = v;
+      s.edge = null;
+      steps.push(snapshot(s, `Back in dfs(${v}) — try the next neighbour`));
+    }
+    s.frontier.pop();
+    s.edge = null;
+    steps.push(snapshot(s, `dfs(${v}) returns — frame popped`));
+  };
+  dfs(start);
+  s.current = null;
+  return steps;
+}
+
+// ─── Vertex ────────────────────────────────────────────────────────────────────
+function Vertex({ vertex, state, selected, isStart, onClick }) {
+  const ref = useRef();
+  const color = STATE_COLORS[state];
+
+  useFrame((clk) => {
+    if (!ref.current) return;
+    const pulse =
+      state === "current"
+        ? 1.15 + Math.sin(clk.clock.elapsedTime * 6) * 0.05
+        : 1;
+    ref.current.scale.setScalar(
+      THREE.MathUtils.lerp(ref.current.scale.x, selected ? 1.2 : pulse, 0.15),
+    );
+  });
+
+  return (
+    <group position={[vertex.x, VERTEX_Y, vertex.z]}>
+      <group
+        ref={ref}
+        scale={0.01}
+        onClick={(e) => {
+          e.stopPropagation();
+          onClick(vertex.id);
+        }}
+        onPointerOver={(e) => {
+          e.stopPropagation();
+          document.body.style.cursor = "pointer";
+        }}
+        onPointerOut={() => {
+          document.body.style.cursor = "auto";
+        }}
+      >
+        <mesh>
+          <sphereGeometry args={[VERTEX_R, 28, 28]} />
+          <meshStandardMaterial
+            color={color}
+            emissive={state === "none" ? "#000000" : color}
+            emissiveIntensity={state === "current" ? 0.7 : 0.3}
+            roughness={0.35}
+            metalness={0.1}
+          />
+        </mesh>
+        {(selected || isStart) && (
+          <mesh
+            rotation={[Math.PI / 2, 0, 0]}
+            position={[0, -VERTEX_R + 0.05, 0]}
+          >
+            <torusGeometry args={[VERTEX_R + 0.12, 0.03, 10, 40]} />
+            <meshStandardMaterial
+              color={selected ? "#f59e0b" : "#38bdf8"}
+              emissive={selected ? "#f59e0b" : "#38bdf8"}
+              emissiveIntensity={1.2}
+            />
+          </mesh>
+        )}
+      </group>
+      <Text
+        position={[0, VERTEX_R + 0.28, 0]}
+        fontSize={0.28}
+        color="#ffffff"
+        anchorX="center"
+        anchorY="middle"
+        fontWeight="bold"
+        outlineWidth={0.02}
+        outlineColor="#000000"
+      >
+        {vertex.id}
+      </Text>
+    </group>
+  );
+}
+
+// ─── Edge — straight, or bent when a directed edge has a twin ─────────────────
+function Edge({ from, to, directed, bend, color, width, removable, onRemove }) {
+  const { points, tip, quat, mid } = useMemo(() => {
+    const a = new THREE.Vector3(from.x, VERTEX_Y, from.z);
+    const b = new THREE.Vector3(to.x, VERTEX_Y, to.z);
+    const dir = b.clone().sub(a);
+    const perp = new THREE.Vector3(-dir.z, 0, dir.x).normalize();
+    const m = a.clone().add(b).multiplyScalar(0.5).addScaledVector(perp, bend);
+    const curve = new THREE.QuadraticBezierCurve3(a, m, b);
+    const len = curve.getLength();
+    const t = 1 - (VERTEX_R + 0.1) / len;
+    return {
+      points: curve.getPoints(20),
+      tip: curve.getPointAt(t),
+      quat: new THREE.Quaternion().setFromUnitVectors(
+        new THREE.Vector3(0, 1, 0),
+        curve.getTangentAt(t).normalize(),
+      ),
+      mid: curve.getPointAt(0.5),
+    };
+  }, [from.x, from.z, to.x, to.z, bend]);
+
+  return (
+    <>
+      <Line points={points} color={color} lineWidth={width} />
+      {directed && (
+        <mesh position={tip} quaternion={quat}>
+          <coneGeometry args={[0.09, 0.26, 12]} />
+          <meshStandardMaterial
+            color={color}
+            emissive={color}
+            emissiveIntensity={0.4}
+          />
+        </mesh>
+      )}
+      {removable && (
+        <mesh
+          position={mid}
+          onClick={(e) => {
+            e.stopPropagation();
+            onRemove();
+          }}
+          onPointerOver={(e) => {
+            e.stopPropagation();
+            document.body.style.cursor = "pointer";
+          }}
+          onPointerOut={() => {
+            document.body.style.cursor = "auto";
+          }}
+        >
+          <sphereGeometry args={[0.12, 14, 14]} />
+          <meshStandardMaterial
+            color="#ef4444"
+            emissive="#ef4444"
+            emissiveIntensity={0.5}
+          />
+        </mesh>
+      )}
+    </>
+  );
+}
+
+// ─── Scene ─────────────────────────────────────────────────────────────────────
+function GraphScene({
+  ar,
+  vertices,
+  edges,
+  directed,
+  trace,
+  tool,
+  pending,
+  start,
+  onFloorClick,
+  onVertexClick,
+  onEdgeRemove,
+}) {
+  const byId = Object.fromEntries(vertices.map((v) => [v.id, v]));
+  const keys = new Set(edges.map((e) => `${e.from}>${e.to}`));
+
+  return (
+    <>
+      <ambientLight intensity={0.6} />
+      <directionalLight position={[4, 8, 5]} intensity={1.0} />
+      <pointLight position={[0, 3, 0]} intensity={0.4} color="#fef3c7" />
+
+      <ARPlacement placement={ar} scale={AR_SCALE} color="#fbbf24">
+        {/* Table / floor — click to drop a new vertex */}
+        <mesh
+          rotation={[-Math.PI / 2, 0, 0]}
+          position={[0, 0, 0]}
+          onClick={(e) => {
+            e.stopPropagation();
+            // Ignore the click that ends an orbit drag; the point goes back
+            // into map space so a placed, scaled AR map drops it in the right spot
+            if (e.delta < 4)
+              onFloorClick(e.object.parent.worldToLocal(e.point.clone()));
+          }}
+        >
+          <planeGeometry args={[FLOOR_W, FLOOR_D]} />
+          <meshStandardMaterial
+            color={tool === "vertex" ? "#1f2a1f" : "#1a1a22"}
+            roughness={0.85}
+          />
+        </mesh>
+        <gridHelper
+          args={[FLOOR_W, 22, "#2d2d3a", "#24242e"]}
+          position={[0, 0.005, 0]}
+          scale={[1, 1, FLOOR_D / FLOOR_W]}
+        />
+
+        {edges.map((e, i) => {
+          const key = edgeKey(e.from, e.to, directed);
+          const active = trace?.edge === key;
+          const isTree = trace?.tree.includes(key);
+          return (
+            <Edge
+              key={`${e.from}>${e.to}`}
+              from={byId[e.from]}
+              to={byId[e.to]}
+              directed={directed}
+              bend={directed && keys.has(`${e.to}>${e.from}`) ? 0.35 : 0}
+              color={active ? "#facc15" : isTree ? "#22c55e" : "#64748b"}
+              width={active || isTree ? 4 : 2}
+              removable={tool === "remove"}
+              onRemove={() => onEdgeRemove(i)}
+            />
+          );
+        })}
+
+        {vertices.map((v) => (
+          <Vertex
+            key={v.id}
+            vertex={v}
+            state={
+              trace?.current === v.id
+                ? "current"
+                : (trace?.status[v.id] ?? "none")
+            }
+            selected={pending === v.id}
+            isStart={start === v.id}
+            onClick={onVertexClick}
+          />
+        ))}
+      </ARPlacement>
+
+      {!ar.isAR && (
+        <>
+          <OrbitControls
+            enablePan={false}
+            minPolarAngle={Math.PI / 6}
+            maxPolarAngle={Math.PI / 2.4}
+            minDistance={5}
+            maxDistance={16}
+            target={[0, 0, 0]}
+          />
+          <Environment preset="city" />
+        </>
+      )}
+    </>
+  );
+}
+
+// ─── Main Export ───────────────────────────────────────────────────────────────
+export default function CityMap() {
+  // The scene model records the graph after every edit; traversals only
+  // read it, so they stay out of the timeline.
+  const [model] = useState(() => new SceneModel(INITIAL_GRAPH));
+  const [vertices, setVertices] = useState(INITIAL_VERTICES);
+  const [edges, setEdges] = useState(INITIAL_EDGES);
+  const [directed, setDirected] = useState(false);
+  const [tool, setTool] = useState("edge");
+  const [pending, setPending] = useState(null);
+  const [start, setStart] = useState("A");
+  const [dfsMode, setDfsMode] = useState("stack");
+  const [trace, setTrace] = useState(null);
+  const [traceKind, setTraceKind] = useState(null);
+  const [isAnimating, setIsAnimating] = useState(false);
+  const [activeTab, setActiveTab] = useState("build");
+  const [log, setLog] = useState([]);
+  const timersRef = useRef([]);
+  const ar = useARPlacement(xrStore);
+
+  useEffect(() => () => timersRef.current.forEach(clearTimeout), []);
+
+  const graph = { vertices, edges, directed, start };
+  const adj = adjacency(vertices, edges, directed);
+  const arrow = (e, isDirected = directed) =>
+    `${e.from}${isDirected ? " → " : " — "}${e.to}`;
+
+  const addLog = (msg, type = "info") =>
+    setLog((prev) => [{ msg, type, id: Date.now() }, ...prev].slice(0, 8));
+
+  const runSteps = (steps, done) => {
+    setIsAnimating(true);
+    steps.forEach((s, k) => {
+      timersRef.current.push(setTimeout(() => setTrace(s), k * STEP_MS));
+    });
+    timersRef.current.push(
+      setTimeout(() => {
+        setIsAnimating(false);
+        done(steps[steps.length - 1]);
+      }, steps.length * STEP_MS),
+    );
+  };
+
+  // Editing the graph invalidates any finished traversal
+  const clearTrace = () => {
+    setTrace(null);
+    setTraceKind(null);
+  };
+
+  // ── Building ──────────────────────────────────────────────────────────────
+  const handleFloorClick = (point) => {
+    if (isAnimating || tool !== "vertex") return;
+    const id = [...LABELS].find((l) => !vertices.some((v) => v.id === l));
+    if (!id)
+      return addLog(
+        `⚠️ This map holds at most ${MAX_VERTICES} vertices.`,
+        "error",
+      );
+    const x = THREE.MathUtils.clamp(
+      point.x,
+      -FLOOR_W / 2 + 0.5,
+      FLOOR_W / 2 - 0.5,
+    );
+    const z = THREE.MathUtils.clamp(
+      point.z,
+      -FLOOR_D / 2 + 0.5,
+      FLOOR_D / 2 - 0.5,
+    );
+    if (vertices.some((v) => Math.hypot(v.x - x, v.z - z) < VERTEX_R * 3))
+      return addLog("⚠️ Too close to another vertex.", "error");
+    model.record("addVertex", [id, x, z], {
+      ...graph,
+      vertices: [...vertices, { id, x, z }],
+    });
+  };
+
+  const handleVertexClick = (id) => {
+    if (isAnimating) return;
+    if (tool === "remove") {
+      const dropped = edges.filter((e) => e.from === id || e.to === id).length;
+      model.record(
+        "removeVertex",
+        [id],
+        {
+          ...graph,
+          vertices: vertices.filter((v) => v.id !== id),
+          edges: edges.filter((e) => e.from !== id && e.to !== id),
+          start:
+            start === id
+              ? (vertices.find((v) => v.id !== id)?.id ?? null)
+              : start,
+        },
+        { dropped },
+      );
+      return;
+    }
+    if (tool === "start") {
+      if (id !== start) model.record("start", [id], { ...graph, start: id });
+      return;
+    }
+    if (tool !== "edge") return;
+    if (!pending) return setPending(id);
+    if (pending === id) return setPending(null);
+    const exists = edges.some(
+      (e) =>
+        (e.from === pending && e.to === id) ||
+        (!directed && e.from === id && e.to === pending),
+    );
+    if (exists) {
+      setPending(null);
+      return addLog(
+        `⚠️ Edge ${arrow({ from: pending, to: id })} already exists.`,
+        "error",
+      );
+    }
+    model.record("addEdge", [pending, id], {
+      ...graph,
+      edges: [...edges, { from: pending, to: id }],
+    });
+  };
+
+  const handleEdgeRemove = (i) => {
+    if (isAnimating) return;
+    model.record(
+      "removeEdge",
+      [i],
+      { ...graph, edges: edges.filter((_, k) => k !== i) },
+      { edge: edges[i] },
+    );
+  };
+
+  const handleDirectedChange = (next) => {
+    if (isAnimating || next === directed) return;
+    // A→B and B→A collapse into one undirected edge
+    const seen = new Set();
+    const kept = next
+      ? edges
+      : edges.filter((e) => {
+          const k = edgeKey(e.from, e.to, false);
+          if (seen.has(k)) return false;
+          seen.add(k);
+          return true;
+        });
+    model.record("directed", [next], { ...graph, directed: next, edges: kept });
+  };
+
+  // ── Traversals ────────────────────────────────────────────────────────────
+  const finishLog = (kind) => (last) => {
+    const missed = vertices.map((v) => v.id).filter((id) => !last.status[id]);
+    addLog(
+      `${kind === "bfs" ? "🌊 BFS" : "🧭 DFS"} from ${start}: ${last.order.join(" → ")}${missed.length ? `  ·  unreachable: ${missed.join(", ")}` : ""}  ·  O(V + E)`,
+      "success",
+    );
+  };
+
+  const handleTraverse = (kind) => {
+    if (isAnimating) return;
+    if (!start || !adj[start])
+      return addLog("⚠️ Pick a start vertex first.", "error");
+    setPending(null);
+    setTraceKind(kind === "bfs" ? "bfs" : dfsMode);
+    const steps =
+      kind === "bfs"
+        ? bfsSteps(adj, start, directed)
+        : dfsMode === "stack"
+          ? dfsStackSteps(adj, start, directed)
+          : dfsRecursiveSteps(adj, start, directed);
+    runSteps(steps, finishLog(kind));
+  };
+
+  const handleReset = () => model.reset(INITIAL_GRAPH);
+
+  // Jump straight to a graph; any finished traversal no longer applies
+  const showGraph = (state) => {
+    timersRef.current.forEach(clearTimeout);
+    timersRef.current = [];
+    setVertices(state.vertices);
+    setEdges(state.edges);
+    setDirected(state.directed);
+    setStart(state.start);
+    setPending(null);
+    clearTrace();
+    setIsAnimating(false);
+  };
+
+  useModelEvents(model, (e) => {
+    showGraph(e.state);
+    if (e.type === "addVertex")
+      addLog(
+        `📍 Add vertex ${e.args[0]} — new empty adjacency list  ·  ${e.complexity}`,
+        "success",
+      );
+    else if (e.type === "removeVertex")
+      addLog(
+        `✖ Remove vertex ${e.args[0]} and its ${e.dropped} edge${e.dropped === 1 ? "" : "s"}`,
+        "info",
+      );
+    else if (e.type === "addEdge") {
+      const [from, to] = e.args;
+      addLog(
+        `🔗 Add edge ${arrow({ from, to }, e.state.directed)}  ·  ${e.complexity}`,
+        "success",
+      );
+    } else if (e.type === "removeEdge")
+      addLog(`✖ Remove edge ${arrow(e.edge, e.state.directed)}`, "info");
+    else if (e.type === "directed")
+      addLog(
+        e.state.directed
+          ? "➡️ Directed — each edge is one-way, drawn from → to"
+          : "↔️ Undirected — every edge works both ways",
+        "info",
+      );
+    else if (e.type === "reset") {
+      setTool("edge");
+      setLog([]);
+    } else if (e.type === "restore")
+      addLog(
+        `🕘 Back to ${e.state.vertices.length} vertices and ${e.state.edges.length} edges`,
+        "info",
+      );
+  });
+
+  const timeline = useTimeline(model, {
+    busy: isAnimating,
+    describe: (e) =>
+      ({
+        addVertex: `add ${e.args[0]}`,
+        removeVertex: `remove ${e.args[0]}`,
+        addEdge: `edge ${arrow({ from: e.args[0], to: e.args[1] }, e.state.directed)}`,
+        removeEdge: `cut ${arrow(e.edge, e.state.directed)}`,
+        directed: e.state.directed ? "directed" : "undirected",
+        start: `start ${e.args[0]}`,
+      })[e.type],
+  });
+
+  const tabBtn = (tab, emoji, label) => (
+    <button
+      key={tab}
+      onClick={() => setActiveTab(tab)}
+      className={`px-3 py-2 rounded-lg text-sm font-bold transition-all border-2 ${
+        activeTab === tab
+          ? "bg-amber-400 border-amber-400 text-gray-900"
+          : "bg-transparent border-white/20 text-white/60 hover:border-amber-400/50 hover:text-white"
+      }`}
+    >
+      {emoji} {label}
+    </button>
+  );
+
+  const toolBtn = (id, label) => (
+    <button
+      key={id}
+      onClick={() => {
+        setTool(id);
+        setPending(null);
+      }}
+      className={`flex-1 px-3 py-2 rounded-lg text-xs font-bold border transition-all ${
+        tool === id
+          ? "bg-amber-400/20 border-amber-400 text-amber-200"
+          : "border-white/15 text-white/60 hover:border-amber-400/50"
+      }`}
+    >
+      {label}
+    </button>
+  );
+
+  const frontierLabel =
+    traceKind === "bfs"
+      ? "Frontier queue (front → rear)"
+      : traceKind === "stack"
+        ? "Explicit stack (bottom → top)"
+        : traceKind === "recursive"
+          ? "Call stack (bottom → top)"
+          : null;
+
+  return (
+    <div
+      className="flex flex-col gap-4 w-full"
+      style={{ fontFamily: "'Courier New', monospace" }}
+    >
+      <ARPlacementHud
+        placement={ar}
+        title="🗺️ CITY MAP — AR"
+        status={`V ${vertices.length} · E ${edges.length} · start ${start ?? "—"}`}
+        accent="#fbbf24"
+        log={log}
+        actions={[
+          {
+            label: "🌊 BFS",
+            onClick: () => handleTraverse("bfs"),
+            disabled: isAnimating,
+            color: "#d97706",
+          },
+          {
+            label: "🧭 DFS",
+            onClick: () => handleTraverse("dfs"),
+            disabled: isAnimating,
+            color: "#b45309",
+          },
+          { label: "🔄 Reset", onClick: handleReset },
+        ]}
+      >
+        <div
+          style={{
+            background: "rgba(0,0,0,0.8)",
+            border: "1px solid rgba(251,191,36,0.3)",
+            borderRadius: 14,
+            padding: "10px 14px",
+            color: "#fde68a",
+            fontSize: 12,
+          }}
+        >
+          {trace?.text ??
+            `Run BFS or DFS from ${start ?? "—"} to see each step here`}
+        </div>
+      </ARPlacementHud>
+
+      {/* Header */}
+      <div className="text-center">
+        <h2 className="text-3xl font-bold text-amber-300 tracking-widest">
+          🗺️ CITY MAP
+        </h2>
+        <p className="text-white/50 text-sm mt-1">
+          V ={" "}
+          <span className="text-amber-300 font-bold">{vertices.length}</span>
+          &nbsp;·&nbsp; E ={" "}
+          <span className="text-amber-300 font-bold">{edges.length}</span>
+          &nbsp;·&nbsp; {directed ? "Directed" : "Undirected"} &nbsp;·&nbsp;
+          Start: <span className="text-sky-300 font-bold">{start ?? "—"}</span>
+        </p>
+      </div>
+
+      <ARButton placement={ar} accent="#fbbf24" />
+
+      {/* Directed / undirected toggle */}
+      <div className="flex justify-center gap-2">
+        {[
+          [false, "↔️ Undirected"],
+          [true, "➡️ Directed"],
+        ].map(([d, label]) => (
+          <button
+            key={label}
+            onClick={() => handleDirectedChange(d)}
+            disabled={isAnimating}
+            className={`px-4 py-1.5 rounded-lg text-sm font-bold border-2 transition-all disabled:opacity-40 ${
+              directed === d
+                ? "bg-amber-400 border-amber-400 text-gray-900"
+                : "border-white/20 text-white/60 hover:border-amber-400/50"
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {/* 3D Canvas */}
+      <div
+        className="w-full rounded-2xl overflow-hidden border-2 border-amber-400/30 shadow-[0_0_40px_rgba(251,191,36,0.12)]"
+        style={{
+          height: 480,
+          background:
+            "linear-gradient(180deg,#14100a 0%,#221a0e 50%,#0a0804 100%)",
+        }}
+      >
+        <Canvas camera={{ position: [0, 6.5, 7.5], fov: 50 }}>
+          <XR store={xrStore}>
+            <GraphScene
+              ar={ar}
+              vertices={vertices}
+              edges={edges}
+              directed={directed}
+              trace={trace}
+              tool={tool}
+              pending={pending}
+              start={start}
+              onFloorClick={handleFloorClick}
+              onVertexClick={handleVertexClick}
+              onEdgeRemove={handleEdgeRemove}
+            />
+          </XR>
+        </Canvas>
+      </div>
+
+      {/* Frontier + narration */}
+      <div className="flex flex-col gap-2 px-4 py-3 rounded-xl border border-amber-400/30 bg-amber-400/5">
+        {trace && frontierLabel ? (
+          <div className="flex flex-wrap items-center gap-1.5 text-xs">
+            <span className="text-white/50 w-56">{frontierLabel}:</span>
+            {trace.frontier.length === 0 ? (
+              <span className="text-white/30 italic">empty</span>
+            ) : (
+              trace.frontier.map((id, k) => (
+                <span
+                  key={`${id}${k}`}
+                  className="px-2 py-0.5 rounded border border-yellow-400/60 text-yellow-200 bg-yellow-400/10"
+                >
+                  {traceKind === "recursive" ? `dfs(${id})` : id}
+                </span>
+              ))
+            )}
+          </div>
+        ) : null}
+        {trace && (
+          <div className="flex flex-wrap items-center gap-1.5 text-xs">
+            <span className="text-white/50 w-56">Visit order:</span>
+            {trace.order.map((id) => (
+              <span
+                key={id}
+                className="px-2 py-0.5 rounded border border-green-400/60 text-green-200 bg-green-400/10"
+              >
+                {id}
+              </span>
+            ))}
+          </div>
+        )}
+        <p className={`text-sm ${trace ? "text-yellow-200" : "text-white/30"}`}>
+          {trace?.text ?? "Run BFS or DFS to see each step narrated here"}
+        </p>
+      </div>
+
+      <TimelineBar timeline={timeline} accent="amber" disabled={isAnimating} />
+
+      {/* Controls */}
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <div className="bg-white/5 border border-white/10 rounded-2xl p-5">
+          <div className="flex gap-2 mb-4 flex-wrap">
+            {tabBtn("build", "🛠️", "Build")}
+            {tabBtn("bfs", "🌊", "BFS")}
+            {tabBtn("dfs", "🧭", "DFS")}
+          </div>
+
+          {activeTab === "build" && (
+            <div className="flex flex-col gap-3">
+              <div className="flex gap-2">
+                {toolBtn("vertex", "📍 Add vertex")}
+                {toolBtn("edge", "🔗 Add edge")}
+                {toolBtn("start", "🚩 Set start")}
+                {toolBtn("remove", "✖ Remove")}
+              </div>
+              <p className="text-white/50 text-xs">
+                {tool === "vertex" && "Click the table to drop a new vertex."}
+                {tool === "edge" &&
+                  (pending
+                    ? `From ${pending} — now click the ${directed ? "target" : "other"} vertex.`
+                    : "Click one vertex, then another, to connect them.")}
+                {tool === "start" &&
+                  "Click the vertex traversals should start from."}
+                {tool === "remove" &&
+                  "Click a vertex, or the red knob on an edge, to remove it."}
+              </p>
+              <div>
+                <p className="text-white/40 text-xs uppercase tracking-widest mb-1">
+                  Adjacency list
+                </p>
+                <div className="flex flex-col gap-0.5 text-xs font-mono">
+                  {Object.entries(adj).map(([id, list]) => (
+                    <div key={id} className="flex gap-2">
+                      <span className="text-amber-300 font-bold w-4">{id}</span>
+                      <span className="text-white/30">→</span>
+                      <span className="text-white/70">
+                        {list.length ? `[${list.join(", ")}]` : "[ ]"}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            </div>
+          )}
+
+          {activeTab === "bfs" && (
+            <div className="flex flex-col gap-3">
+              <p className="text-white/50 text-xs">
+                Explore level by level — a{" "}
+                <span className="text-yellow-300">queue</span> holds discovered
+                vertices waiting to be visited. Finds shortest paths by edge
+                count.
+              </p>
+              <button
+                onClick={() => handleTraverse("bfs")}
+                disabled={isAnimating}
+                className="px-5 py-2.5 bg-amber-600 hover:bg-amber-500 disabled:opacity-40 disabled:cursor-not-allowed rounded-lg text-white text-sm font-bold transition-all w-fit"
+              >
+                {isAnimating
+                  ? "⏳ Traversing..."
+                  : `▶ BFS from ${start ?? "—"}`}
+              </button>
+            </div>
+          )}
+
+          {activeTab === "dfs" && (
+            <div className="flex flex-col gap-3">
+              <p className="text-white/50 text-xs">
+                Go as deep as possible before backtracking — driven by a{" "}
+                <span className="text-yellow-300">stack</span>, either one you
+                manage or the call stack.
+              </p>
+              <div className="flex gap-2">
+                {[
+                  ["stack", "📚 Explicit stack"],
+                  ["recursive", "🔁 Recursion"],
+                ].map(([m, label]) => (
+                  <button
+                    key={m}
+                    onClick={() => setDfsMode(m)}
+                    disabled={isAnimating}
+                    className={`flex-1 px-3 py-2 rounded-lg text-xs font-bold border transition-all disabled:opacity-40 ${
+                      dfsMode === m
+                        ? "bg-amber-400/20 border-amber-400 text-amber-200"
+                        : "border-white/15 text-white/60 hover:border-amber-400/50"
+                    }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              <button
+                onClick={() => handleTraverse("dfs")}
+                disabled={isAnimating}
+                className="px-5 py-2.5 bg-amber-600 hover:bg-amber-500 disabled:opacity-40 disabled:cursor-not-allowed rounded-lg text-white text-sm font-bold transition-all w-fit"
+              >
+                {isAnimating
+                  ? "⏳ Traversing..."
+                  : `▶ DFS from ${start ?? "—"}`}
+              </button>
+            </div>
+          )}
+
+          <div className="flex gap-3 mt-4 text-xs flex-wrap">
+            {[
+              ["none", "Undiscovered"],
+              ["discovered", "Discovered"],
+              ["current", "Current"],
+              ["visited", "Visited"],
+            ].map(([k, label]) => (
+              <span key={k} className="flex items-center gap-1 text-white/50">
+                <span
+                  className="inline-block w-3 h-3 rounded-full"
+                  style={{ background: STATE_COLORS[k] }}
+                />
+                {label}
+              </span>
+            ))}
+          </div>
+
+          <button
+            onClick={handleReset}
+            className="mt-4 w-full py-2 bg-white/5 hover:bg-white/10 border border-white/10 rounded-lg text-white/50 hover:text-white/80 text-sm transition-all"
+          >
+            🔄 Reset to Default
+          </button>
+        </div>
+
+        {/* Log + Complexity */}
+        <div className="bg-black/40 border border-white/10 rounded-2xl p-5 flex flex-col gap-4">
+          <div>
+            <p className="text-white/40 text-xs uppercase tracking-widest mb-2">
+              📋 Operation Log
+            </p>
+            <div className="flex flex-col gap-1 max-h-36 overflow-y-auto">
+              {log.length === 0 ? (
+                <p className="text-white/30 text-xs italic">
+                  No operations yet...
+                </p>
+              ) : (
+                log.map((entry, i) => (
+                  <div
+                    key={entry.id}
+                    className={`text-xs font-mono py-1 px-2 rounded border-l-2 ${
+                      entry.type === "success"
+                        ? "border-green-400 bg-green-400/5 text-green-300"
+                        : entry.type === "error"
+                          ? "border-red-400 bg-red-400/5 text-red-300"
+                          : "border-blue-400 bg-blue-400/5 text-blue-300"
+                    } ${i > 0 ? "opacity-50" : ""}`}
+                  >
+                    {entry.msg}
+                  </div>
+                ))
+              )}
+            </div>
+          </div>
+
+          <div>
+            <p className="text-white/40 text-xs uppercase tracking-widest mb-2">
+              ⚡ Time Complexity
+            </p>
+            <div className="grid grid-cols-2 gap-1 text-xs font-mono">
+              {[
+                ["Add vertex", "O(1)", true],
+                ["Add edge", "O(1)", true],
+                ["BFS", "O(V + E)", true],
+                ["DFS", "O(V + E)", true],
+                ["Edge lookup", "O(deg v)", false],
+                ["Space (adj list)", "O(V + E)", true],
+              ].map(([op, c, fast]) => (
+                <div
+                  key={op}
+                  className="flex justify-between px-3 py-1.5 bg-white/5 rounded-lg"
+                >
+                  <span className="text-white/55">{op}</span>
+                  <span
+                    className={`font-bold ${fast ? "text-green-400" : "text-red-400"}`}
+                  >
+                    {c}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <p className="text-center text-white/25 text-xs pb-2">
+        💡 BFS uses the queue from the Queue lesson, DFS the stack from the
+        Stack lesson · Drag to rotate · Scroll to zoom
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,172 @@
+import { useState } from "react";
+import { LAB_BUDGET, LAB_DOCS, LAB_STARTERS } from "../lab";
+import { ACCENTS } from "./accents";
+
+// ─── Code lab: students write JavaScript that drives the scene ───────────────
+// The editor side of useCodeLab. `samples` are two values the scene can show,
+// used to fill in the starter programs.
+
+const OUTPUT_COLORS = {
+  log: "text-white/75",
+  info: "text-white/45",
+  success: "text-green-400",
+  error: "text-red-400",
+};
+
+export default function CodeLab({ lab, kind, name, samples, accent }) {
+  const a = ACCENTS[accent];
+  const starters = LAB_STARTERS[kind](name, ...samples.map(JSON.stringify));
+  const [isOpen, setIsOpen] = useState(false);
+  const [code, setCode] = useState(starters[0].code);
+  const lines = code.split("\n");
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      if (!lab.running) lab.run(code);
+      return;
+    }
+    if (e.key !== "Tab") return;
+    e.preventDefault();
+    const el = e.target;
+    const { selectionStart: from, selectionEnd: to } = el;
+    setCode(code.slice(0, from) + "  " + code.slice(to));
+    requestAnimationFrame(() => el.setSelectionRange(from + 2, from + 2));
+  };
+
+  return (
+    <div className="bg-white/5 border border-white/10 rounded-2xl p-4">
+      <div className="flex items-center gap-2">
+        <h3 className={`text-sm font-bold tracking-wider mr-auto ${a.text}`}>
+          🧪 Code Lab
+          <span className="text-white/40 font-normal ml-2">
+            write JavaScript that drives the scene
+          </span>
+        </h3>
+        <button
+          onClick={() => setIsOpen((o) => !o)}
+          className="px-3 py-1.5 rounded-lg text-xs font-bold transition-all border border-white/15 bg-white/5 hover:bg-white/10 text-white/80"
+        >
+          {isOpen ? "Close ▴" : "Open ▾"}
+        </button>
+      </div>
+
+      {isOpen && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 mt-3">
+          <div className="flex flex-col gap-2 min-w-0">
+            <div className="flex gap-2 items-center flex-wrap">
+              <select
+                value=""
+                onChange={(e) => setCode(starters[+e.target.value].code)}
+                disabled={lab.running}
+                className="px-2 py-1.5 bg-black/40 border border-white/20 rounded-lg text-white text-xs focus:outline-none"
+              >
+                <option value="" disabled>
+                  📄 Examples…
+                </option>
+                {starters.map((s, k) => (
+                  <option key={s.label} value={k}>
+                    {s.label}
+                  </option>
+                ))}
+              </select>
+              <span className="text-white/30 text-[11px] mr-auto">
+                Ctrl+Enter runs
+              </span>
+              {lab.running ? (
+                <button
+                  onClick={() => lab.stop()}
+                  className="px-4 py-1.5 bg-red-600 hover:bg-red-500 rounded-lg text-white text-xs font-bold transition-all"
+                >
+                  ⏹ Stop
+                </button>
+              ) : (
+                <button
+                  onClick={() => lab.run(code)}
+                  className={`px-4 py-1.5 rounded-lg text-white text-xs font-bold transition-all ${a.solid}`}
+                >
+                  ▶ Run
+                </button>
+              )}
+            </div>
+
+            <div
+              className={`flex max-h-72 overflow-auto rounded-lg border border-white/15 bg-black/50 font-mono text-xs leading-5 ${a.focusWithin}`}
+            >
+              <div className="select-none text-right text-white/25 py-2 px-2 border-r border-white/10">
+                {lines.map((_, k) => (
+                  <div
+                    key={k}
+                    className={
+                      k + 1 === lab.errorLine ? "text-red-400 font-bold" : ""
+                    }
+                  >
+                    {k + 1}
+                  </div>
+                ))}
+              </div>
+              <textarea
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                onKeyDown={handleKeyDown}
+                readOnly={lab.running}
+                spellCheck={false}
+                wrap="off"
+                rows={lines.length}
+                className="flex-1 min-w-0 bg-transparent text-white/85 py-2 px-3 outline-none resize-none overflow-x-auto overflow-y-hidden"
+              />
+            </div>
+
+            <div className="flex flex-wrap gap-1">
+              {LAB_DOCS[kind](name).map((d) => (
+                <code
+                  key={d}
+                  className="px-1.5 py-0.5 rounded bg-white/5 border border-white/10 text-[10px] text-white/60"
+                >
+                  {d}
+                </code>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex flex-col gap-2 min-w-0">
+            <div className="flex items-center justify-between">
+              <span className="text-white/40 text-[10px] uppercase tracking-widest">
+                Output
+              </span>
+              <span className="text-white/30 text-[10px]">
+                Budget: {LAB_BUDGET.steps} operations · {LAB_BUDGET.ms / 1000}s
+                of running time
+              </span>
+            </div>
+            <div className="flex-1 min-h-40 max-h-72 overflow-auto rounded-lg border border-white/10 bg-black/40 p-2 font-mono text-xs leading-5">
+              {lab.output.length === 0 ? (
+                <span className="text-white/25 italic">
+                  Output appears here. Each call on {name} plays in the scene
+                  above, one at a time.
+                </span>
+              ) : (
+                lab.output.map((o) => (
+                  <div
+                    key={o.id}
+                    className={`whitespace-pre-wrap ${OUTPUT_COLORS[o.type]}`}
+                  >
+                    {o.text}
+                  </div>
+                ))
+              )}
+              {lab.running && (
+                <div className={`${a.text} animate-pulse`}>▶ running…</div>
+              )}
+            </div>
+            <p className="text-white/35 text-[11px]">
+              Runs in a sandboxed worker with no page or network access. An
+              underflow, overflow or bad index stops the program and shows up in
+              the scene just like pressing the button.
+            </p>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,92 @@
+import { useState } from "react";
+import { LANGUAGES } from "../pseudocode";
+import { ACCENTS } from "./accents";
+
+// ─── Code panel: the running operation's source, one line at a time ──────────
+// Shows the program a useCodeTrace run picked, lights the line the current
+// frame is on and lists the frame's local variables with their live values.
+
+const NULLS = { js: "null", py: "None", java: "null", cpp: "nullptr" };
+
+export default function CodePanel({ trace, accent, height = 460 }) {
+  const [lang, setLang] = useState("js");
+  const a = ACCENTS[accent];
+  const frame = trace?.frame;
+
+  return (
+    <div
+      className="bg-black/40 border border-white/10 rounded-2xl p-4 flex flex-col gap-3 min-w-0 xl:w-[340px] shrink-0"
+      style={{ height }}
+    >
+      <div className="flex items-center gap-1 flex-wrap">
+        <h3 className={`text-sm font-bold tracking-wider mr-auto ${a.text}`}>
+          🧾 Code
+        </h3>
+        {LANGUAGES.map((l) => (
+          <button
+            key={l.id}
+            onClick={() => setLang(l.id)}
+            className={`px-2 py-0.5 rounded-md text-[11px] font-bold transition-all border ${
+              lang === l.id
+                ? a.tab
+                : "bg-transparent border-white/20 text-white/50 hover:text-white"
+            }`}
+          >
+            {l.label}
+          </button>
+        ))}
+      </div>
+
+      {trace ? (
+        <pre className="flex-1 overflow-auto text-[11px] leading-5 font-mono m-0">
+          {trace.program.code[lang].map((line, k) => {
+            const on = line.step !== null && line.step === frame.step;
+            return (
+              <div
+                key={k}
+                className={`px-2 border-l-2 whitespace-pre transition-colors ${
+                  !on
+                    ? "border-transparent text-white/55"
+                    : frame.error
+                      ? "bg-red-500/25 text-red-200 border-red-400"
+                      : a.line
+                }`}
+              >
+                {line.text || " "}
+              </div>
+            );
+          })}
+        </pre>
+      ) : (
+        <p className="flex-1 text-white/30 text-xs italic">
+          Run an operation to step through the code behind it.
+        </p>
+      )}
+
+      <div className="border-t border-white/10 pt-2">
+        <div className="flex items-center justify-between mb-1.5">
+          <span className="text-white/40 text-[10px] uppercase tracking-widest">
+            Variables
+          </span>
+          {trace && (
+            <span className="text-white/30 text-[10px] font-mono">
+              step {trace.at + 1}/{trace.frames.length}
+            </span>
+          )}
+        </div>
+        <div className="flex flex-wrap gap-1.5 min-h-6">
+          {Object.entries(frame?.vars ?? {}).map(([name, value]) => (
+            <span
+              key={name}
+              className="px-2 py-0.5 rounded border border-white/15 bg-white/5 text-[11px] font-mono"
+            >
+              <span className="text-white/50">{name}</span>
+              <span className="text-white/30"> = </span>
+              <span className={a.text}>{value ?? NULLS[lang]}</span>
+            </span>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
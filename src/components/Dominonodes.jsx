@@ -7,14 +7,41 @@ import {
   Environment,
   Line,
 } from "@react-three/drei";
+import { XR, createXRStore } from "@react-three/xr";
 import { gsap } from "gsap";
 import * as THREE from "three";
+import CodePanel from "./CodePanel";
+import TimelineBar from "./TimelineBar";
+import CodeLab from "./CodeLab";
+import ARPlacement, { ARPlacementHud, ARButton } from "./ARPlacement";
+import { LinkedListModel } from "../models";
+import {
+  linkedListPrograms,
+  doublyLinkedListPrograms,
+  circularLinkedListPrograms,
+} from "../pseudocode";
+import { useModelEvents } from "../hooks/useModelEvents";
+import { useCodeTrace } from "../hooks/useCodeTrace";
+import { useTimeline } from "../hooks/useTimeline";
+import { useCodeLab } from "../hooks/useCodeLab";
+import { useARPlacement } from "../hooks/useARPlacement";
+
+// ─── XR Store ─────────────────────────────────────────────────────────────────
+const xrStore = createXRStore();
 
 // ─── Constants ────────────────────────────────────────────────────────────────
 const DOMINO_GAP = 1.6;
 const DOMINO_W = 0.5;
 const DOMINO_H = 1.0;
 const DOMINO_D = 0.22;
+const AR_SCALE = 0.07;
+const AR_LIFT = 0.89; // rests the table on the surface
+const PIP_VALUES = [1, 2, 3, 4, 5, 6, 7, 8, 9]; // what a domino face can show
+const LIST_PROGRAMS = {
+  singly: linkedListPrograms,
+  doubly: doublyLinkedListPrograms,
+  circular: circularLinkedListPrograms,
+};
 const DOT_COLORS = [
   "#e74c3c",
   "#3498db",
@@ -42,6 +69,334 @@ const INITIAL_NODES = [
   { id: 5, value: 9, color: 4 },
 ];
 
+const LIST_MODES = [
+  { id: "singly", label: "Singly", icon: "→" },
+  { id: "doubly", label: "Doubly", icon: "⇄" },
+  { id: "circular", label: "Circular", icon: "↻" },
+];
+const PREV_COLOR = "#b9770e";
+const WRAP_COLOR = "#8e44ad";
+const REWIRE_COLOR = "#f1c40f";
+const CYCLE_COLOR = "#e74c3c";
+const FLOYD_STEP_MS = 900;
+
+const COMPLEXITY = {
+  singly: [
+    ["Insert HEAD", "O(1)", true],
+    ["Insert TAIL", "O(1)", true],
+    ["Insert Index", "O(n)", false],
+    ["Delete HEAD", "O(1)", true],
+    ["Delete TAIL", "O(n)", false],
+    ["Traverse", "O(n)", false],
+    ["Search", "O(n)", false],
+    ["Reverse", "O(n)", false],
+  ],
+  doubly: [
+    ["Insert HEAD", "O(1)", true],
+    ["Insert TAIL", "O(1)", true],
+    ["Insert Index", "O(n)", false],
+    ["Delete HEAD", "O(1)", true],
+    ["Delete TAIL", "O(1)", true],
+    ["Traverse (either way)", "O(n)", false],
+    ["Search", "O(n)", false],
+    ["Reverse", "O(n)", false],
+  ],
+  circular: [
+    ["Insert HEAD", "O(1)", true],
+    ["Insert TAIL", "O(1)", true],
+    ["Insert Index", "O(n)", false],
+    ["Delete HEAD", "O(1)", true],
+    ["Delete TAIL", "O(n)", false],
+    ["Traverse (one lap)", "O(n)", false],
+    ["Search", "O(n)", false],
+    ["Reverse", "O(n)", false],
+  ],
+};
+
+// ─── Pointer rewiring ─────────────────────────────────────────────────────────
+// Arrow keys: "next-i" is node[i].next, "prev-i" is node[i + 1].prev and
+// "wrap" is the circular tail → head link. Indices refer to the list after
+// the operation.
+function insertRewire(mode, list, k) {
+  const n = list.length;
+  const name = `node(${list[k].value})`;
+  const lines = [];
+  const keys = [];
+  if (k < n - 1) {
+    lines.push(`${name}.next = node[${k + 1}]`);
+    keys.push(`next-${k}`);
+  } else if (mode === "circular") {
+    lines.push(`${name}.next = head`);
+    keys.push("wrap");
+  } else lines.push(`${name}.next = null`);
+  if (mode === "doubly") {
+    lines.push(`${name}.prev = ${k > 0 ? `node[${k - 1}]` : "null"}`);
+    if (k > 0) keys.push(`prev-${k - 1}`);
+  }
+  if (k > 0) {
+    lines.push(`node[${k - 1}].next = ${name}`);
+    keys.push(`next-${k - 1}`);
+  } else {
+    lines.push(`head = ${name}`);
+    if (mode === "circular" && n > 1) {
+      lines.push(`tail.next = ${name}  // keep the ring closed`);
+      keys.push("wrap");
+    }
+  }
+  if (mode === "doubly" && k < n - 1) {
+    lines.push(`node[${k + 1}].prev = ${name}`);
+    keys.push(`prev-${k}`);
+  }
+  if (k === n - 1) lines.push(`tail = ${name}`);
+  return { lines, keys: new Set(keys) };
+}
+
+function deleteRewire(mode, list, k, value) {
+  // list is after removal; the deleted node used to sit at index k
+  const n = list.length;
+  const name = `node(${value})`;
+  const lines = [];
+  const keys = [];
+  const wasTail = k === n;
+  const after = wasTail
+    ? mode === "circular"
+      ? "head"
+      : "null"
+    : `node[${k}]`;
+  if (k > 0) {
+    lines.push(`node[${k - 1}].next = ${name}.next  // → ${after}`);
+    if (!wasTail) keys.push(`next-${k - 1}`);
+    else if (mode === "circular") keys.push("wrap");
+  } else {
+    lines.push(`head = ${name}.next`);
+    if (mode === "circular") {
+      lines.push("tail.next = head  // keep the ring closed");
+      keys.push("wrap");
+    }
+  }
+  if (mode === "doubly") {
+    if (!wasTail) {
+      lines.push(
+        `node[${k}].prev = ${name}.prev  // → ${k > 0 ? `node[${k - 1}]` : "null"}`,
+      );
+      if (k > 0) keys.push(`prev-${k - 1}`);
+    } else lines.unshift(`tail = ${name}.prev  // no walk needed`);
+  } else if (wasTail) {
+    lines.unshift(`walk from head until curr.next === tail  // O(n)`);
+    lines.push(`tail = node[${k - 1}]`);
+  }
+  return { lines, keys: new Set(keys) };
+}
+
+function reverseRewire(mode, n) {
+  const keys = new Set(["wrap"]);
+  for (let i = 0; i < n - 1; i++) {
+    keys.add(`next-${i}`);
+    keys.add(`prev-${i}`);
+  }
+  const lines =
+    mode === "doubly"
+      ? ["for each node: swap(node.prev, node.next)", "swap(head, tail)"]
+      : [
+          "prev = null, curr = head",
+          "while curr: next = curr.next; curr.next = prev; prev = curr; curr = next",
+          mode === "circular"
+            ? "old head.next = new head  // the ring closes the other way"
+            : "head = prev",
+        ];
+  return { lines, keys };
+}
+
+// ─── Floyd's tortoise and hare ────────────────────────────────────────────────
+// `loopTo` is where the tail's next points (null when it is NULL). Returns
+// one snapshot per tick: { slow, fast, phase, text, meet?, start? }.
+function floydSteps(n, loopTo) {
+  const next = (i) => (i < n - 1 ? i + 1 : loopTo);
+  const steps = [
+    {
+      slow: 0,
+      fast: 0,
+      phase: 1,
+      text: "🐢 slow and 🐇 fast both start at HEAD",
+    },
+  ];
+  let slow = 0;
+  let fast = 0;
+  for (;;) {
+    const f1 = next(fast);
+    const f2 = f1 === null ? null : next(f1);
+    if (f2 === null) {
+      steps.push({
+        slow,
+        fast: f1,
+        phase: 1,
+        text: "🐇 fast reached NULL — the list has no cycle",
+        done: true,
+      });
+      return steps;
+    }
+    slow = next(slow);
+    fast = f2;
+    if (slow === fast) {
+      steps.push({
+        slow,
+        fast,
+        phase: 1,
+        meet: slow,
+        text: `💥 They meet at node[${slow}] — there is a cycle`,
+      });
+      break;
+    }
+    steps.push({
+      slow,
+      fast,
+      phase: 1,
+      text: `🐢 slow → node[${slow}] (1 step)  ·  🐇 fast → node[${fast}] (2 steps)`,
+    });
+  }
+  // Phase 2: restart slow at HEAD, both move 1 step until they meet again
+  slow = 0;
+  steps.push({
+    slow,
+    fast,
+    phase: 2,
+    text: "Phase 2 — 🐢 slow back to HEAD, 🐇 fast stays; both now move 1 step",
+  });
+  while (slow !== fast) {
+    slow = next(slow);
+    fast = next(fast);
+    steps.push({
+      slow,
+      fast,
+      phase: 2,
+      text: `🐢 → node[${slow}]  ·  🐇 → node[${fast}]`,
+    });
+  }
+  steps.push({
+    slow,
+    fast,
+    phase: 2,
+    start: slow,
+    text: `🎯 Cycle starts at node[${slow}]`,
+    done: true,
+  });
+  return steps;
+}
+
+// ─── Step-by-step pointer walk (singly linked) ───────────────────────────────
+// A walk works on an explicit pointer model instead of the nodes array:
+// { next: { id: id | null }, head, tail, vars: { prev, newNode, target } }.
+// Each op is one line of code; `run` returns the next model or an error.
+const WALK_VARS = {
+  prev: { emoji: "👆", color: "#3498db" },
+  newNode: { emoji: "✨", color: "#2ecc71" },
+  target: { emoji: "🎯", color: "#e74c3c" },
+};
+
+function pointerModel(nodes) {
+  const next = {};
+  nodes.forEach((n, i) => {
+    next[n.id] = i < nodes.length - 1 ? nodes[i + 1].id : null;
+  });
+  return {
+    next,
+    head: nodes[0]?.id ?? null,
+    tail: nodes[nodes.length - 1]?.id ?? null,
+    vars: { prev: null, newNode: null, target: null },
+  };
+}
+
+const setVar = (m, name, id) => ({ ...m, vars: { ...m.vars, [name]: id } });
+const setNext = (m, id, to) => ({ ...m, next: { ...m.next, [id]: to } });
+
+function need(m, name) {
+  return m.vars[name] == null ? `${name} is null — set it first` : null;
+}
+
+const WALK_OPS = {
+  "newNode = new Node()": (m, ctx) =>
+    setVar(setNext(m, ctx.newId, null), "newNode", ctx.newId),
+  "prev = head": (m) => setVar(m, "prev", m.head),
+  "prev = prev.next": (m) =>
+    need(m, "prev") ?? setVar(m, "prev", m.next[m.vars.prev]),
+  "newNode.next = head": (m) => setNext(m, m.vars.newNode, m.head),
+  "head = newNode": (m) => ({ ...m, head: m.vars.newNode }),
+  "newNode.next = prev.next": (m) =>
+    need(m, "prev") ?? setNext(m, m.vars.newNode, m.next[m.vars.prev]),
+  "prev.next = newNode": (m) =>
+    need(m, "prev") ?? setNext(m, m.vars.prev, m.vars.newNode),
+  "tail = newNode": (m) => ({ ...m, tail: m.vars.newNode }),
+  "target = head": (m) => setVar(m, "target", m.head),
+  "target = prev.next": (m) =>
+    need(m, "prev") ?? setVar(m, "target", m.next[m.vars.prev]),
+  "head = target.next": (m) =>
+    need(m, "target") ?? { ...m, head: m.next[m.vars.target] },
+  "prev.next = target.next": (m) =>
+    need(m, "prev") ??
+    need(m, "target") ??
+    setNext(m, m.vars.prev, m.next[m.vars.target]),
+  "tail = prev": (m) => need(m, "prev") ?? { ...m, tail: m.vars.prev },
+  "target.next = null": (m) =>
+    need(m, "target") ?? setNext(m, m.vars.target, null),
+};
+
+// Ops flagged `link` are the ones whose order matters in "you try" mode
+function insertWalk(k, n) {
+  const walk =
+    k === 0
+      ? []
+      : [
+          "prev = head",
+          ...Array.from({ length: k - 1 }, () => "prev = prev.next"),
+        ];
+  const links =
+    k === 0
+      ? ["newNode.next = head", "head = newNode"]
+      : [
+          "newNode.next = prev.next",
+          "prev.next = newNode",
+          ...(k === n ? ["tail = newNode"] : []),
+        ];
+  return [
+    { code: "newNode = new Node()", link: false },
+    ...walk.map((code) => ({ code, link: false })),
+    ...links.map((code) => ({ code, link: true })),
+  ];
+}
+
+function deleteWalk(k, n) {
+  if (k === 0)
+    return ["target = head", "head = target.next", "target.next = null"].map(
+      (code) => ({ code, link: true }),
+    );
+  return [
+    { code: "prev = head", link: false },
+    ...Array.from({ length: k - 1 }, () => ({
+      code: "prev = prev.next",
+      link: false,
+    })),
+    ...[
+      "target = prev.next",
+      "prev.next = target.next",
+      ...(k === n - 1 ? ["tail = prev"] : []),
+      "target.next = null",
+    ].map((code) => ({ code, link: true })),
+  ];
+}
+
+// Follows next from head; stops on NULL or on a node seen twice
+function reachable(m) {
+  const order = [];
+  const seen = new Set();
+  let cur = m.head;
+  while (cur != null && !seen.has(cur)) {
+    seen.add(cur);
+    order.push(cur);
+    cur = m.next[cur];
+  }
+  return { order, cycle: cur != null };
+}
+
 // ─── Dot pip on domino face ───────────────────────────────────────────────────
 function Pip({ position, color }) {
   return (
@@ -133,6 +488,97 @@ function DominoFace({ value, color, z }) {
   );
 }
 
+// ─── Domino tile body ─────────────────────────────────────────────────────────
+// The node look on its own: tile, colour strip, data half and pointer half.
+// Pass `label` instead of `value` when the data isn't a pip count (e.g. a key).
+export function DominoTile({
+  colorIdx,
+  value,
+  label,
+  nextLabel,
+  nextColor,
+  bodyColor = "#1a1a2e",
+  emissive = "#000000",
+  emissiveIntensity = 0,
+}) {
+  const baseColor = NODE_COLORS[colorIdx % NODE_COLORS.length];
+  const dotColor = DOT_COLORS[colorIdx % DOT_COLORS.length];
+
+  return (
+    <>
+      <RoundedBox
+        args={[DOMINO_W, DOMINO_H, DOMINO_D]}
+        radius={0.04}
+        smoothness={4}
+      >
+        <meshStandardMaterial
+          color={bodyColor}
+          roughness={0.25}
+          metalness={0.15}
+          emissive={emissive}
+          emissiveIntensity={emissiveIntensity}
+        />
+      </RoundedBox>
+
+      {/* Colored top strip */}
+      <mesh position={[0, DOMINO_H / 2 - 0.07, DOMINO_D / 2 + 0.001]}>
+        <planeGeometry args={[DOMINO_W - 0.04, 0.12]} />
+        <meshStandardMaterial
+          color={baseColor}
+          roughness={0.4}
+          emissive={baseColor}
+          emissiveIntensity={0.3}
+        />
+      </mesh>
+
+      {/* Divider line */}
+      <mesh position={[0, 0, DOMINO_D / 2 + 0.001]}>
+        <planeGeometry args={[DOMINO_W - 0.06, 0.018]} />
+        <meshStandardMaterial color={baseColor} roughness={0.4} />
+      </mesh>
+
+      {/* Data on upper half — pips, or a text label */}
+      {label != null ? (
+        <Text
+          position={[0, 0.2, DOMINO_D / 2 + 0.012]}
+          fontSize={0.13}
+          maxWidth={DOMINO_W - 0.06}
+          color={dotColor}
+          anchorX="center"
+          anchorY="middle"
+          fontWeight="bold"
+        >
+          {label}
+        </Text>
+      ) : (
+        <group position={[0, 0.22, 0]}>
+          <DominoFace value={value} color={dotColor} z={DOMINO_D / 2 + 0.005} />
+        </group>
+      )}
+
+      {/* Pointer section on lower half - shows next arrow */}
+      <mesh position={[0, -0.28, DOMINO_D / 2 + 0.002]}>
+        <planeGeometry args={[DOMINO_W - 0.08, 0.36]} />
+        <meshStandardMaterial
+          color="#0d0d1a"
+          roughness={0.6}
+          transparent
+          opacity={0.7}
+        />
+      </mesh>
+      <Text
+        position={[0, -0.3, DOMINO_D / 2 + 0.012]}
+        fontSize={0.09}
+        color={nextColor ?? baseColor}
+        anchorX="center"
+        anchorY="middle"
+      >
+        {nextLabel}
+      </Text>
+    </>
+  );
+}
+
 // ─── Single Domino Node ───────────────────────────────────────────────────────
 function DominoNode({
   position,
@@ -144,6 +590,11 @@ function DominoNode({
   isTraversed,
   isSelected,
   reversed,
+  mode = "singly",
+  loopTo = null,
+  orphaned = false,
+  tag,
+  nextText,
   onClick,
   delay = 0,
 }) {
@@ -151,7 +602,6 @@ function DominoNode({
   const tileRef = useRef();
   const glowRef = useRef();
   const baseColor = NODE_COLORS[node.color % NODE_COLORS.length];
-  const dotColor = DOT_COLORS[node.color % DOT_COLORS.length];
 
   // Drop-in entrance
   useEffect(() => {
@@ -194,20 +644,24 @@ function DominoNode({
     }
   });
 
-  const emissiveColor = isActive
-    ? "#ffffff"
-    : isTraversed
-      ? baseColor
-      : isSelected
-        ? "#f39c12"
-        : "#000000";
-  const emissiveInt = isActive
-    ? 0.6
-    : isTraversed
-      ? 0.35
-      : isSelected
-        ? 0.4
-        : 0;
+  const emissiveColor = orphaned
+    ? "#e74c3c"
+    : isActive
+      ? "#ffffff"
+      : isTraversed
+        ? baseColor
+        : isSelected
+          ? "#f39c12"
+          : "#000000";
+  const emissiveInt = orphaned
+    ? 0.5
+    : isActive
+      ? 0.6
+      : isTraversed
+        ? 0.35
+        : isSelected
+          ? 0.4
+          : 0;
 
   return (
     <group ref={groupRef} position={position}>
@@ -225,66 +679,26 @@ function DominoNode({
           document.body.style.cursor = "auto";
         }}
       >
-        {/* Domino tile body */}
-        <RoundedBox
-          args={[DOMINO_W, DOMINO_H, DOMINO_D]}
-          radius={0.04}
-          smoothness={4}
-        >
-          <meshStandardMaterial
-            color={isTraversed ? baseColor : isActive ? "#ffffff" : "#1a1a2e"}
-            roughness={0.25}
-            metalness={0.15}
-            emissive={emissiveColor}
-            emissiveIntensity={emissiveInt}
-          />
-        </RoundedBox>
-
-        {/* Colored top strip */}
-        <mesh position={[0, DOMINO_H / 2 - 0.07, DOMINO_D / 2 + 0.001]}>
-          <planeGeometry args={[DOMINO_W - 0.04, 0.12]} />
-          <meshStandardMaterial
-            color={baseColor}
-            roughness={0.4}
-            emissive={baseColor}
-            emissiveIntensity={0.3}
-          />
-        </mesh>
-
-        {/* Divider line */}
-        <mesh position={[0, 0, DOMINO_D / 2 + 0.001]}>
-          <planeGeometry args={[DOMINO_W - 0.06, 0.018]} />
-          <meshStandardMaterial color={baseColor} roughness={0.4} />
-        </mesh>
-
-        {/* Data value dots on upper half */}
-        <group position={[0, 0.22, 0]}>
-          <DominoFace
-            value={node.value}
-            color={dotColor}
-            z={DOMINO_D / 2 + 0.005}
-          />
-        </group>
-
-        {/* Pointer section on lower half - shows next arrow */}
-        <mesh position={[0, -0.28, DOMINO_D / 2 + 0.002]}>
-          <planeGeometry args={[DOMINO_W - 0.08, 0.36]} />
-          <meshStandardMaterial
-            color="#0d0d1a"
-            roughness={0.6}
-            transparent
-            opacity={0.7}
-          />
-        </mesh>
-        <Text
-          position={[0, -0.3, DOMINO_D / 2 + 0.012]}
-          fontSize={0.09}
-          color={isTail ? "#7f8c8d" : baseColor}
-          anchorX="center"
-          anchorY="middle"
-        >
-          {isTail ? "NULL" : "→ next"}
-        </Text>
+        <DominoTile
+          colorIdx={node.color}
+          value={node.value}
+          bodyColor={isTraversed ? baseColor : isActive ? "#ffffff" : "#1a1a2e"}
+          emissive={emissiveColor}
+          emissiveIntensity={emissiveInt}
+          nextLabel={
+            nextText ??
+            (isTail
+              ? loopTo === null
+                ? "NULL"
+                : loopTo === 0
+                  ? "→ HEAD"
+                  : `→ [${loopTo}]`
+              : mode === "doubly"
+                ? "⇄ next"
+                : "→ next")
+          }
+          nextColor={isTail && loopTo === null ? "#7f8c8d" : baseColor}
+        />
 
         {/* Selection ring */}
         {isSelected && (
@@ -325,20 +739,24 @@ function DominoNode({
 
       {/* Node index tag */}
       <group position={[0, -DOMINO_H / 2 - 0.28, 0]}>
-        <RoundedBox args={[0.42, 0.2, 0.06]} radius={0.03} smoothness={4}>
+        <RoundedBox
+          args={[orphaned || tag ? 0.7 : 0.42, 0.2, 0.06]}
+          radius={0.03}
+          smoothness={4}
+        >
           <meshStandardMaterial
-            color={isSelected ? "#f39c12" : "#0f1923"}
+            color={orphaned ? "#7b241c" : isSelected ? "#f39c12" : "#0f1923"}
             roughness={0.4}
           />
         </RoundedBox>
         <Text
           position={[0, 0, 0.04]}
           fontSize={0.11}
-          color={isSelected ? "#1a1a1a" : "#7ec8e3"}
+          color={isSelected && !orphaned ? "#1a1a1a" : "#7ec8e3"}
           anchorX="center"
           anchorY="middle"
         >
-          node[{index}]
+          {orphaned ? "ORPHANED" : (tag ?? `node[${index}]`)}
         </Text>
       </group>
     </group>
@@ -346,25 +764,52 @@ function DominoNode({
 }
 
 // ─── Curved arrow between domino nodes ───────────────────────────────────────
-function NodeArrow({ from, to, color = "#4a90d9", reversed = false }) {
-  const points = useMemo(() => {
-    const mid = [(from[0] + to[0]) / 2, from[1] + 0.55, (from[2] + to[2]) / 2];
+// Shared arrow primitive: a curved pointer from one node to another.
+// `lift` sets the arc height; `head` adds a cone at the target end.
+export function NodeArrow({
+  from,
+  to,
+  color = "#4a90d9",
+  reversed = false,
+  lift = 0.55,
+  head = false,
+}) {
+  const { points, quat } = useMemo(() => {
+    const mid = [(from[0] + to[0]) / 2, from[1] + lift, (from[2] + to[2]) / 2];
     const curve = new THREE.QuadraticBezierCurve3(
       new THREE.Vector3(...from),
       new THREE.Vector3(...mid),
       new THREE.Vector3(...to),
     );
-    return curve.getPoints(20);
-  }, [from[0], from[1], to[0], to[1]]);
+    return {
+      points: curve.getPoints(20),
+      quat: new THREE.Quaternion().setFromUnitVectors(
+        new THREE.Vector3(0, 1, 0),
+        curve.getTangent(1).normalize(),
+      ),
+    };
+  }, [from[0], from[1], from[2], to[0], to[1], to[2], lift]);
 
   return (
-    <Line
-      points={points}
-      color={color}
-      lineWidth={2.5}
-      transparent
-      opacity={0.85}
-    />
+    <>
+      <Line
+        points={points}
+        color={color}
+        lineWidth={2.5}
+        transparent
+        opacity={0.85}
+      />
+      {head && (
+        <mesh position={to} quaternion={quat}>
+          <coneGeometry args={[0.07, 0.2, 10]} />
+          <meshStandardMaterial
+            color={color}
+            emissive={color}
+            emissiveIntensity={0.4}
+          />
+        </mesh>
+      )}
+    </>
   );
 }
 
@@ -391,16 +836,167 @@ function TableSurface({ width }) {
   );
 }
 
+// ─── Pointer variable: a puck that glides over the node it points at ─────────
+// Used for Floyd's slow/fast and the prev/newNode/target walk variables.
+function PointerMarker({ x, z = 0.3, lane = 0, emoji, label, color }) {
+  const ref = useRef();
+  const [startX] = useState(x);
+  const baseY = DOMINO_H / 2 + 0.78 + lane * 0.62;
+  useFrame((state) => {
+    if (!ref.current) return;
+    const p = ref.current.position;
+    p.x = THREE.MathUtils.lerp(p.x, x, 0.15);
+    p.z = THREE.MathUtils.lerp(p.z, z, 0.15);
+    p.y = baseY + Math.sin(state.clock.elapsedTime * 3) * 0.04;
+  });
+  return (
+    <group ref={ref} position={[startX, baseY, z]}>
+      <RoundedBox args={[0.36, 0.36, 0.08]} radius={0.06} smoothness={4}>
+        <meshStandardMaterial
+          color={color}
+          emissive={color}
+          emissiveIntensity={0.5}
+        />
+      </RoundedBox>
+      <Text
+        position={[0, 0.02, 0.05]}
+        fontSize={0.2}
+        anchorX="center"
+        anchorY="middle"
+      >
+        {emoji}
+      </Text>
+      <Text
+        position={[0, -0.3, 0.05]}
+        fontSize={0.09}
+        color={color}
+        anchorX="center"
+        anchorY="middle"
+        fontWeight="bold"
+      >
+        {label}
+      </Text>
+    </group>
+  );
+}
+
+// ─── Pointer walk layer: nodes and arrows drawn from the pointer model ────────
+function WalkLayer({ nodes, walk, offsetX }) {
+  const model = walk.history[walk.history.length - 1];
+  const before = walk.history[walk.history.length - 2] ?? model;
+  const { order } = reachable(model);
+  const live = new Set(order);
+  const target = walk.kind === "delete" ? walk.targetId : null;
+  const unlinked =
+    target !== null && !live.has(target) && model.next[target] == null;
+
+  const pos = {};
+  nodes.forEach((n, i) => {
+    pos[n.id] = [offsetX + i * DOMINO_GAP, 0, 0];
+  });
+  if (target !== null && unlinked) pos[target] = [pos[target][0], 0, 0.9];
+  const shown = [...nodes];
+  if (walk.newNode && model.vars.newNode !== null) {
+    const k = walk.k;
+    const x =
+      k === 0
+        ? offsetX - DOMINO_GAP / 2
+        : k === nodes.length
+          ? offsetX + (nodes.length - 0.5) * DOMINO_GAP
+          : offsetX + (k - 0.5) * DOMINO_GAP;
+    pos[walk.newNode.id] = [x, 0, 0.9];
+    shown.push(walk.newNode);
+  }
+  const orphaned = (id) =>
+    id !== target && pos[id] && !live.has(id) && id !== walk.newNode?.id;
+
+  return (
+    <>
+      {shown.map((n) => {
+        const to = model.next[n.id];
+        if (to == null || !pos[to]) return null;
+        const [fx, , fz] = pos[n.id];
+        const [tx, , tz] = pos[to];
+        const dir = tx >= fx ? 1 : -1;
+        const adjacent = fz === tz && Math.abs(tx - fx - DOMINO_GAP) < 0.01;
+        return (
+          <NodeArrow
+            key={`w-${n.id}`}
+            from={[fx + 0.26 * dir, -0.28, fz + 0.12]}
+            to={[to === n.id ? fx - 0.26 : tx - 0.26 * dir, -0.28, tz + 0.12]}
+            lift={adjacent ? 0.55 : 0.95}
+            head
+            color={
+              before.next[n.id] !== to
+                ? REWIRE_COLOR
+                : orphaned(n.id)
+                  ? "#7b241c"
+                  : "#4a5568"
+            }
+          />
+        );
+      })}
+
+      {shown.map((n) => (
+        <DominoNode
+          key={n.id}
+          position={pos[n.id]}
+          index={nodes.indexOf(n)}
+          node={n}
+          isHead={model.head === n.id}
+          isTail={model.tail === n.id}
+          isActive={false}
+          isTraversed={false}
+          isSelected={false}
+          orphaned={orphaned(n.id)}
+          tag={
+            n.id === walk.newNode?.id
+              ? "newNode"
+              : n.id === target && unlinked
+                ? "unlinked"
+                : undefined
+          }
+          nextText={model.next[n.id] == null ? "NULL" : "→ next"}
+          onClick={() => {}}
+        />
+      ))}
+
+      {Object.entries(model.vars).map(([name, id]) =>
+        id == null || !pos[id] ? null : (
+          <PointerMarker
+            key={name}
+            x={pos[id][0]}
+            z={pos[id][2] + 0.3}
+            lane={name === "target" ? 1 : 0}
+            emoji={WALK_VARS[name].emoji}
+            label={name}
+            color={WALK_VARS[name].color}
+          />
+        ),
+      )}
+    </>
+  );
+}
+
 // ─── Main 3D Scene ────────────────────────────────────────────────────────────
 function DominoScene({
+  ar,
   nodes,
   activeIndex,
   traversedSet,
   selectedIndex,
   onSelect,
+  mode = "singly",
+  backward = false,
+  wrapLit = false,
+  rewiredKeys = new Set(),
+  loopTo = null,
+  floyd = null,
+  walk = null,
 }) {
   const totalW = (nodes.length - 1) * DOMINO_GAP;
   const offsetX = -totalW / 2;
+  const doubly = mode === "doubly";
 
   return (
     <>
@@ -413,58 +1009,308 @@ function DominoScene({
       />
       <pointLight position={[0, 3, 1.5]} intensity={0.6} color="#cce0ff" />
 
-      <TableSurface width={totalW} />
+      <ARPlacement
+        placement={ar}
+        scale={AR_SCALE}
+        lift={AR_LIFT}
+        color="#22d3ee"
+      >
+        <TableSurface width={totalW} />
 
-      {/* Pointer arrows between nodes */}
-      {nodes.map((node, i) => {
-        if (i >= nodes.length - 1) return null;
-        const fromX = offsetX + i * DOMINO_GAP + 0.26;
-        const toX = offsetX + (i + 1) * DOMINO_GAP - 0.26;
-        const y = -0.28;
-        const isTraversedArrow = traversedSet.has(i) && traversedSet.has(i + 1);
-        return (
-          <NodeArrow
-            key={`arrow-${i}`}
-            from={[fromX, y, 0.12]}
-            to={[toX, y, 0.12]}
-            color={isTraversedArrow ? "#2ecc71" : "#4a5568"}
-          />
-        );
-      })}
+        {walk ? (
+          <WalkLayer nodes={nodes} walk={walk} offsetX={offsetX} />
+        ) : (
+          <>
+            {/* Pointer arrows between nodes */}
+            {nodes.map((node, i) => {
+              if (i >= nodes.length - 1) return null;
+              const fromX = offsetX + i * DOMINO_GAP + 0.26;
+              const toX = offsetX + (i + 1) * DOMINO_GAP - 0.26;
+              const y = doubly ? -0.18 : -0.28;
+              const isTraversedArrow =
+                !backward && traversedSet.has(i) && traversedSet.has(i + 1);
+              return (
+                <NodeArrow
+                  key={`arrow-${i}`}
+                  from={[fromX, y, 0.12]}
+                  to={[toX, y, 0.12]}
+                  head={mode !== "singly"}
+                  color={
+                    rewiredKeys.has(`next-${i}`)
+                      ? REWIRE_COLOR
+                      : isTraversedArrow
+                        ? "#2ecc71"
+                        : "#4a5568"
+                  }
+                />
+              );
+            })}
 
-      {/* Domino nodes */}
-      {nodes.map((node, i) => (
-        <DominoNode
-          key={node.id}
-          position={[offsetX + i * DOMINO_GAP, 0, 0]}
-          index={i}
-          node={node}
-          isHead={i === 0}
-          isTail={i === nodes.length - 1}
-          isActive={activeIndex === i}
-          isTraversed={traversedSet.has(i)}
-          isSelected={selectedIndex === i}
-          onClick={onSelect}
-          delay={i * 0.1}
-        />
-      ))}
+            {/* prev pointers run underneath, right to left */}
+            {doubly &&
+              nodes.map((node, i) => {
+                if (i >= nodes.length - 1) return null;
+                const fromX = offsetX + (i + 1) * DOMINO_GAP - 0.26;
+                const toX = offsetX + i * DOMINO_GAP + 0.26;
+                const isTraversedArrow =
+                  backward && traversedSet.has(i) && traversedSet.has(i + 1);
+                return (
+                  <NodeArrow
+                    key={`prev-${i}`}
+                    from={[fromX, -0.4, 0.12]}
+                    to={[toX, -0.4, 0.12]}
+                    lift={-0.3}
+                    head
+                    color={
+                      rewiredKeys.has(`prev-${i}`)
+                        ? REWIRE_COLOR
+                        : isTraversedArrow
+                          ? "#2ecc71"
+                          : PREV_COLOR
+                    }
+                  />
+                );
+              })}
 
-      <OrbitControls
-        enablePan={false}
-        minPolarAngle={Math.PI / 5}
-        maxPolarAngle={Math.PI / 2.3}
-        minDistance={4}
-        maxDistance={14}
-        target={[0, 0, 0]}
-      />
-      <Environment preset="night" />
+            {/* Circular or cyclic: the tail's next curves back over the top */}
+            {loopTo !== null && nodes.length > 0 && (
+              <NodeArrow
+                from={[offsetX + totalW + 0.1, DOMINO_H / 2 + 0.05, -0.25]}
+                to={[
+                  offsetX + loopTo * DOMINO_GAP - 0.1,
+                  DOMINO_H / 2 + 0.05,
+                  -0.25,
+                ]}
+                lift={0.6 + 0.15 * (nodes.length - 1 - loopTo)}
+                head
+                color={
+                  rewiredKeys.has("wrap")
+                    ? REWIRE_COLOR
+                    : wrapLit
+                      ? "#2ecc71"
+                      : mode === "circular"
+                        ? WRAP_COLOR
+                        : CYCLE_COLOR
+                }
+              />
+            )}
+
+            {/* Floyd cursors */}
+            {floyd && (
+              <>
+                <PointerMarker
+                  x={
+                    offsetX +
+                    floyd.slow * DOMINO_GAP -
+                    (floyd.fast === floyd.slow ? 0.18 : 0)
+                  }
+                  emoji="🐢"
+                  label="slow"
+                  color="#2ecc71"
+                />
+                {floyd.fast !== null && (
+                  <PointerMarker
+                    x={
+                      offsetX +
+                      floyd.fast * DOMINO_GAP +
+                      (floyd.fast === floyd.slow ? 0.18 : 0)
+                    }
+                    emoji="🐇"
+                    label="fast"
+                    color="#e67e22"
+                  />
+                )}
+              </>
+            )}
+
+            {/* Domino nodes */}
+            {nodes.map((node, i) => (
+              <DominoNode
+                key={node.id}
+                position={[offsetX + i * DOMINO_GAP, 0, 0]}
+                index={i}
+                node={node}
+                isHead={i === 0}
+                isTail={i === nodes.length - 1}
+                isActive={activeIndex === i}
+                isTraversed={traversedSet.has(i)}
+                isSelected={selectedIndex === i}
+                mode={mode}
+                loopTo={loopTo}
+                onClick={onSelect}
+                delay={i * 0.1}
+              />
+            ))}
+          </>
+        )}
+      </ARPlacement>
+
+      {!ar.isAR && (
+        <>
+          <OrbitControls
+            enablePan={false}
+            minPolarAngle={Math.PI / 5}
+            maxPolarAngle={Math.PI / 2.3}
+            minDistance={4}
+            maxDistance={14}
+            target={[0, 0, 0]}
+          />
+          <Environment preset="night" />
+        </>
+      )}
     </>
   );
 }
 
+// ─── Code + controls for a step-by-step walk ─────────────────────────────────
+function WalkPanel({
+  walk,
+  nodes,
+  model,
+  onChoose,
+  onBack,
+  onNext,
+  onRetry,
+  onFinish,
+  onCancel,
+}) {
+  const step = walk.done.length;
+  const upNext = walk.plan[step];
+  const choosing = walk.style === "try" && upNext?.link && !walk.result;
+  const choices = walk.plan
+    .filter((s) => s.link && !walk.done.includes(s.code))
+    .map((s) => s.code)
+    .sort();
+  const byId = Object.fromEntries(
+    [...nodes, ...(walk.newNode ? [walk.newNode] : [])].map((n) => [n.id, n]),
+  );
+  const show = (id) => (id == null ? "NULL" : `node(${byId[id].value})`);
+
+  return (
+    <div className="flex flex-col gap-2 px-3 py-3 rounded-xl border border-cyan-400/30 bg-black/30">
+      <div className="flex justify-between items-center">
+        <span className="text-cyan-300 text-xs font-bold">
+          {walk.style === "try" ? "🧩" : "👣"} {walk.title}
+        </span>
+        <button
+          onClick={onCancel}
+          className="text-white/40 hover:text-white text-xs"
+        >
+          ✕ Cancel
+        </button>
+      </div>
+      <div className="flex flex-col gap-0.5 font-mono text-xs">
+        {walk.plan.map((s, i) => {
+          const code =
+            i < step
+              ? walk.done[i]
+              : walk.style === "try" && s.link
+                ? "???"
+                : s.code;
+          return (
+            <div
+              key={i}
+              className={`px-2 py-0.5 rounded ${
+                i === step && !walk.result
+                  ? "bg-cyan-400/20 text-cyan-200"
+                  : i < step
+                    ? "text-white/70"
+                    : "text-white/30"
+              }`}
+            >
+              {i < step ? "✓" : i === step ? "▶" : " "} {code}
+            </div>
+          );
+        })}
+      </div>
+      <div className="flex flex-wrap gap-x-4 gap-y-1 font-mono text-xs">
+        <span className="text-white/40">
+          HEAD <span className="text-green-400">{show(model.head)}</span>
+        </span>
+        <span className="text-white/40">
+          TAIL <span className="text-red-400">{show(model.tail)}</span>
+        </span>
+        {Object.entries(WALK_VARS).map(
+          ([name, v]) =>
+            model.vars[name] != null && (
+              <span key={name} className="text-white/40">
+                {v.emoji} {name}{" "}
+                <span style={{ color: v.color }}>{show(model.vars[name])}</span>
+              </span>
+            ),
+        )}
+      </div>
+      {choosing && (
+        <div className="flex flex-col gap-1">
+          <span className="text-white/50 text-xs">
+            Which pointer do you update next?
+          </span>
+          <div className="flex gap-2 flex-wrap">
+            {choices.map((code) => (
+              <button
+                key={code}
+                onClick={() => onChoose(code)}
+                className="px-2 py-1 bg-black/40 border border-cyan-400/40 hover:border-cyan-400 rounded-lg text-cyan-200 font-mono text-xs transition-all"
+              >
+                {code}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+      {walk.result && (
+        <p
+          className={`text-xs font-bold ${
+            walk.result === "ok" ? "text-green-400" : "text-red-400"
+          }`}
+        >
+          {walk.result === "ok"
+            ? "✅ All links are in place — nothing was lost"
+            : walk.result}
+        </p>
+      )}
+      <div className="flex gap-2 flex-wrap">
+        <button
+          onClick={onBack}
+          disabled={step === 0}
+          className="px-3 py-1.5 bg-white/10 hover:bg-white/20 disabled:opacity-40 disabled:cursor-not-allowed rounded-lg text-white text-xs font-bold transition-all"
+        >
+          ⏮ Previous
+        </button>
+        <button
+          onClick={onNext}
+          disabled={!upNext || choosing}
+          className="px-3 py-1.5 bg-cyan-600 hover:bg-cyan-500 disabled:opacity-40 disabled:cursor-not-allowed rounded-lg text-white text-xs font-bold transition-all"
+        >
+          Next ⏭
+        </button>
+        {walk.result && walk.result !== "ok" && (
+          <button
+            onClick={onRetry}
+            className="px-3 py-1.5 bg-orange-700 hover:bg-orange-600 rounded-lg text-white text-xs font-bold transition-all"
+          >
+            ↺ Retry
+          </button>
+        )}
+        {walk.result === "ok" && (
+          <button
+            onClick={onFinish}
+            className="px-3 py-1.5 bg-green-600 hover:bg-green-500 rounded-lg text-white text-xs font-bold transition-all"
+          >
+            ✔ Finish
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
 // ─── Main Export ──────────────────────────────────────────────────────────────
 export default function DominoNodes() {
-  const [nodes, setNodes] = useState(INITIAL_NODES.map((n, i) => ({ ...n })));
+  const [list] = useState(
+    () => new LinkedListModel({ nodes: INITIAL_NODES.map((n) => ({ ...n })) }),
+  );
+  const [nodes, setNodes] = useState(() => list.toArray());
   const [selectedIndex, setSelected] = useState(null);
   const [activeIndex, setActive] = useState(null);
   const [traversedSet, setTraversed] = useState(new Set());
@@ -475,8 +1321,20 @@ export default function DominoNodes() {
   const [newValue, setNewValue] = useState(4);
   const [insertPos, setInsertPos] = useState("tail");
   const [insertIdx, setInsertIdx] = useState(1);
+  const [mode, setMode] = useState("singly");
+  const [traverseDir, setTraverseDir] = useState("forward");
+  const [wrapLit, setWrapLit] = useState(false);
+  const [rewire, setRewire] = useState(null); // { title, lines, keys }
+  const [cycleTo, setCycleTo] = useState(null); // singly: tail.next target
+  const [cycleTarget, setCycleTarget] = useState(1);
+  const [floyd, setFloyd] = useState(null); // current floydSteps snapshot
+  const [opStyle, setOpStyle] = useState("instant"); // instant | guided | try
+  const [walk, setWalk] = useState(null); // step-by-step insert/delete
   const traverseRef = useRef(null);
 
+  const backward = mode === "doubly" && traverseDir === "backward";
+  const loopTo = mode === "circular" ? 0 : mode === "singly" ? cycleTo : null;
+
   const addLog = (msg, type = "info") =>
     setLog((prev) => [{ msg, type, id: Date.now() }, ...prev].slice(0, 8));
 
@@ -488,25 +1346,59 @@ export default function DominoNodes() {
   // ── Traverse ───────────────────────────────────────────────────────────────
   const handleTraverse = () => {
     if (isTraversing) return;
+    addLog(
+      backward
+        ? "◀ Traversing from TAIL → HEAD via prev pointers..."
+        : mode === "circular"
+          ? "▶ Traversing from HEAD until we come back round to it..."
+          : "▶ Traversing from HEAD → TAIL...",
+      "info",
+    );
+    setFloyd(null);
+    list.traverse({ backward });
+  };
+
+  // Steps through the visiting order from the model's traverse event
+  const playTraverse = ({ order, backward, complexity }) => {
     setIsTraversing(true);
     setTraversed(new Set());
     setActive(null);
-    addLog("▶ Traversing from HEAD → TAIL...", "info");
-
+    setWrapLit(false);
+    setRewire(null);
     let i = 0;
     traverseRef.current = setInterval(() => {
-      if (i >= nodes.length) {
+      // Circular lists have no NULL — stop once curr is head again
+      if (i === order.length && mode === "circular") {
+        setActive(0);
+        setWrapLit(true);
+        addLog("↻ tail.next → HEAD again — curr === head, stop", "info");
+        i++;
+        return;
+      }
+      // A cycle also has no NULL, and nothing tells a naive loop to stop
+      if (i === order.length && loopTo !== null) {
+        setActive(loopTo);
+        setWrapLit(true);
+        addLog(
+          `⚠️ tail.next → node[${loopTo}] — this loop would never end, stopping`,
+          "error",
+        );
+        i++;
+        return;
+      }
+      if (i >= order.length) {
         clearInterval(traverseRef.current);
         setActive(null);
         setIsTraversing(false);
         addLog(
-          `✅ Traversal complete — visited ${nodes.length} nodes  ·  O(n)`,
+          `✅ Traversal complete — visited ${order.length} nodes${backward ? " backwards" : ""}  ·  ${complexity}`,
           "success",
         );
         return;
       }
-      setActive(i);
-      setTraversed((prev) => new Set([...prev, i]));
+      const idx = order[i];
+      setActive(idx);
+      setTraversed((prev) => new Set([...prev, idx]));
       i++;
     }, 700);
   };
@@ -523,10 +1415,261 @@ export default function DominoNodes() {
     setIsTraversing(false);
     setActive(null);
     setTraversed(new Set());
+    setWrapLit(false);
+    setFloyd(null);
+  };
+
+  // ── Cycle ──────────────────────────────────────────────────────────────────
+  const clearCycle = () => {
+    if (cycleTo === null) return;
+    setCycleTo(null);
+    addLog("✂️ Cycle removed — tail.next = NULL again", "info");
+  };
+
+  const handleMakeCycle = () => {
+    resetTraverse();
+    setRewire(null);
+    const k = Math.min(Math.max(Number(cycleTarget), 0), nodes.length - 1);
+    setCycleTo(k);
+    addLog(
+      `🔗 tail.next = node[${k}] — the list now loops through ${nodes.length - k} node${nodes.length - k === 1 ? "" : "s"}`,
+      "success",
+    );
+  };
+
+  const handleFloyd = () => {
+    if (isTraversing) return;
+    resetTraverse();
+    setRewire(null);
+    setIsTraversing(true);
+    const steps = floydSteps(nodes.length, loopTo);
+    addLog("🐢🐇 Floyd's cycle detection started...", "info");
+    let i = 0;
+    traverseRef.current = setInterval(() => {
+      const step = steps[i];
+      setFloyd(step);
+      if (step.meet !== undefined) setActive(step.meet);
+      if (step.start !== undefined) setActive(step.start);
+      if (step.done) {
+        clearInterval(traverseRef.current);
+        setIsTraversing(false);
+        addLog(
+          step.start !== undefined
+            ? `✅ Cycle found, it starts at node[${step.start}]  ·  O(n) time, O(1) space`
+            : "✅ No cycle — fast hit NULL  ·  O(n) time, O(1) space",
+          "success",
+        );
+      }
+      i++;
+    }, FLOYD_STEP_MS);
+  };
+
+  const handleModeChange = (id) => {
+    if (id === mode) return;
+    resetTraverse();
+    list.setKind({ doubly: id === "doubly", circular: id === "circular" });
+    setMode(id);
+    setRewire(null);
+    setWalk(null);
+    setCycleTo(null);
+    addLog(
+      id === "doubly"
+        ? "🔀 Doubly linked — every node gains a prev pointer"
+        : id === "circular"
+          ? "🔀 Circular — TAIL.next now points back to HEAD"
+          : "🔀 Singly linked — next pointers only, TAIL → NULL",
+      "info",
+    );
+  };
+
+  // ── Step-by-step walk ──────────────────────────────────────────────────────
+  const walkable = mode === "singly" && opStyle !== "instant";
+  const walkModel = walk ? walk.history[walk.history.length - 1] : null;
+
+  const startWalk = (w) => {
+    setRewire(null);
+    setWalk({ ...w, style: opStyle, history: [pointerModel(nodes)], done: [] });
+    addLog(
+      opStyle === "try"
+        ? `🧩 You try: ${w.title} — pick the pointer updates in order`
+        : `👣 ${w.title} — step through the pointer updates`,
+      "info",
+    );
   };
 
+  const judgeWalk = (m, w) => {
+    const { order, cycle } = reachable(m);
+    const want = w.expected.map((n) => n.id);
+    const lost = want.filter((id) => !order.includes(id)).length;
+    if (lost > 0)
+      return `❌ ${lost} node${lost === 1 ? " is" : "s are"} orphaned — nothing points to ${lost === 1 ? "it" : "them"} any more`;
+    if (cycle)
+      return "❌ A node now points back into the list — that's a cycle";
+    if (order.join() !== want.join() || m.tail !== want[want.length - 1])
+      return "❌ The links don't match the list we wanted";
+    return null;
+  };
+
+  const applyWalkOp = (code) => {
+    const res = WALK_OPS[code](walkModel, { newId: walk.newNode?.id });
+    if (typeof res === "string") return addLog(`⚠️ ${code}: ${res}`, "error");
+    const done = [...walk.done, code];
+    const finished = done.length === walk.plan.length;
+    const verdict = finished ? judgeWalk(res, walk) : null;
+    setWalk({
+      ...walk,
+      history: [...walk.history, res],
+      done,
+      result: finished ? (verdict ?? "ok") : null,
+    });
+    if (finished)
+      addLog(
+        verdict ?? `✅ ${walk.title} — every pointer is right`,
+        verdict ? "error" : "success",
+      );
+  };
+
+  const handleWalkNext = () => {
+    const step = walk.plan[walk.done.length];
+    if (!step) return;
+    if (walk.style === "try" && step.link)
+      return addLog("🧩 Your turn — pick the next pointer update", "info");
+    applyWalkOp(step.code);
+  };
+
+  const handleWalkBack = () => {
+    if (walk.done.length === 0) return;
+    setWalk({
+      ...walk,
+      history: walk.history.slice(0, -1),
+      done: walk.done.slice(0, -1),
+      result: null,
+    });
+  };
+
+  const handleWalkRetry = () =>
+    setWalk({
+      ...walk,
+      history: walk.history.slice(0, 1),
+      done: [],
+      result: null,
+    });
+
+  // The student's pointer updates checked out, so apply the real operation
+  const handleWalkFinish = () => {
+    if (walk.kind === "insert") list.insertAt(walk.k, walk.newNode);
+    else list.removeAt(walk.k);
+    setSelected(null);
+    setWalk(null);
+  };
+
+  // ── Model events: the list changes, the scene and log follow ───────────────
+  const positionOf = (i, size) =>
+    i === 0
+      ? "HEAD (index 0)"
+      : i === size - 1
+        ? `TAIL (index ${i})`
+        : `index ${i}`;
+
+  useModelEvents(list, (e) => {
+    // tail.next could point past the new TAIL, whoever changed the list
+    if (e.type === "insert" || e.type === "remove" || e.type === "reverse")
+      clearCycle();
+    if (e.type === "insert") {
+      const next = list.toArray();
+      const title = `Insert node(${e.value.value}) at ${positionOf(e.index, next.length)}`;
+      setNodes(next);
+      setRewire({ title, ...insertRewire(mode, next, e.index) });
+      addLog(
+        `➕ ${title.replace("Insert", "Inserted")}  ·  ${e.complexity}`,
+        "success",
+      );
+    } else if (e.type === "remove") {
+      const next = list.toArray();
+      const val = e.value.value;
+      setNodes(next);
+      setRewire({
+        title: `Delete node(${val})`,
+        ...deleteRewire(mode, next, e.index, val),
+      });
+      addLog(
+        e.index === 0
+          ? `🗑️ Deleted HEAD (value: ${val})  ·  ${e.complexity} — just move HEAD pointer`
+          : e.index === next.length
+            ? `🗑️ Deleted TAIL (value: ${val})  ·  ${e.complexity} — ${e.steps > 1 ? "must traverse to find new tail" : "tail.prev is the new tail"}`
+            : `🗑️ Deleted node[${e.index}] (value: ${val})  ·  ${e.complexity}`,
+        "success",
+      );
+    } else if (e.type === "reverse") {
+      setNodes(list.toArray());
+      setIsReversed((r) => !r);
+      setRewire({ title: "Reverse", ...reverseRewire(mode, list.size) });
+      addLog(
+        `🔁 List reversed! HEAD ↔ TAIL swapped  ·  ${e.complexity}`,
+        "success",
+      );
+    } else if (e.type === "traverse") {
+      playTraverse(e);
+    } else if (e.type === "outOfBounds") {
+      addLog(
+        `⚠️ Index ${e.index} is out of bounds — the list has ${e.size} node(s)`,
+        "error",
+      );
+    } else if (e.type === "reset") {
+      setNodes(e.items);
+    } else if (e.type === "restore") {
+      resetTraverse();
+      setNodes(e.items);
+      setIsReversed(e.reversed);
+      setSelected(null);
+      setRewire(null);
+      setCycleTo(null);
+      setWalk(null);
+      addLog(
+        `🕘 Back to ${e.items.map((n) => n.value).join(" → ") || "an empty list"}`,
+        "info",
+      );
+    }
+  });
+
+  const codeTrace = useCodeTrace(list, LIST_PROGRAMS[mode], {
+    format: (n) => n.value,
+    stepMs: 350,
+  });
+
+  const timeline = useTimeline(list, {
+    describe: (e) =>
+      e.type === "insert"
+        ? `insert ${e.value.value} @${e.index}`
+        : e.type === "remove"
+          ? `delete ${e.value.value} @${e.index}`
+          : e.type,
+    busy: isTraversing || walk !== null,
+  });
+
+  const lab = useCodeLab(list, {
+    kind: "list",
+    name: "list",
+    values: PIP_VALUES,
+    fromItem: (n) => n.value,
+    toItem: (value) => ({
+      id: Date.now(),
+      value,
+      color: Math.floor(Math.random() * DOT_COLORS.length),
+    }),
+    busy: isTraversing || walk !== null,
+  });
+
+  // The step-by-step walks need the page's code panel, so AR runs instantly
+  const ar = useARPlacement(xrStore, {
+    onEnter: () => {
+      setOpStyle("instant");
+      setWalk(null);
+    },
+  });
+
   // ── Insert node ────────────────────────────────────────────────────────────
-  const handleInsert = () => {
+  const handleInsert = (position = insertPos) => {
     resetTraverse();
     const colorIdx = Math.floor(Math.random() * DOT_COLORS.length);
     const newNode = {
@@ -534,25 +1677,25 @@ export default function DominoNodes() {
       value: Number(newValue),
       color: colorIdx,
     };
-    let next = [...nodes];
-    let position = "";
-
-    if (insertPos === "head") {
-      next = [newNode, ...next];
-      position = "HEAD (index 0)";
-    } else if (insertPos === "tail") {
-      next = [...next, newNode];
-      position = `TAIL (index ${next.length - 1})`;
-    } else {
-      const idx = Math.min(Math.max(Number(insertIdx), 0), next.length);
-      next.splice(idx, 0, newNode);
-      position = `index ${idx}`;
+    const at =
+      position === "head"
+        ? 0
+        : position === "tail"
+          ? nodes.length
+          : Math.min(Math.max(Number(insertIdx), 0), nodes.length);
+    if (walkable) {
+      const next = [...nodes];
+      next.splice(at, 0, newNode);
+      return startWalk({
+        kind: "insert",
+        k: at,
+        plan: insertWalk(at, nodes.length),
+        newNode,
+        expected: next,
+        title: `Insert node(${newValue}) at ${positionOf(at, next.length)}`,
+      });
     }
-    setNodes(next);
-    addLog(
-      `➕ Inserted node(${newValue}) at ${position}  ·  ${insertPos === "head" || insertPos === "tail" ? "O(1)" : "O(n)"}`,
-      "success",
-    );
+    list.insertAt(at, newNode);
   };
 
   // ── Delete node ────────────────────────────────────────────────────────────
@@ -560,42 +1703,45 @@ export default function DominoNodes() {
     resetTraverse();
     if (nodes.length <= 1)
       return addLog("⚠️ Cannot delete — only 1 node left!", "error");
-    let next = [...nodes];
-    let msg = "";
+    let at;
     if (position === "head") {
-      const val = next[0].value;
-      next.shift();
-      msg = `🗑️ Deleted HEAD (value: ${val})  ·  O(1) — just move HEAD pointer`;
+      at = 0;
     } else if (position === "tail") {
-      const val = next[next.length - 1].value;
-      next.pop();
-      msg = `🗑️ Deleted TAIL (value: ${val})  ·  O(n) — must traverse to find new tail`;
+      at = nodes.length - 1;
     } else if (selectedIndex !== null && selectedIndex < nodes.length) {
-      const val = next[selectedIndex].value;
-      next.splice(selectedIndex, 1);
-      msg = `🗑️ Deleted node[${selectedIndex}] (value: ${val})  ·  O(n)`;
+      at = selectedIndex;
       setSelected(null);
     } else {
       return addLog("⚠️ Select a node first to delete it!", "error");
     }
-    setNodes(next);
-    addLog(msg, "success");
+    if (walkable) {
+      return startWalk({
+        kind: "delete",
+        k: at,
+        plan: deleteWalk(at, nodes.length),
+        targetId: nodes[at].id,
+        expected: nodes.filter((_, i) => i !== at),
+        title: `Delete node(${nodes[at].value})`,
+      });
+    }
+    list.removeAt(at);
   };
 
   // ── Reverse ────────────────────────────────────────────────────────────────
   const handleReverse = () => {
     resetTraverse();
-    setNodes((prev) => [...prev].reverse());
-    setIsReversed((r) => !r);
-    addLog(`🔁 List reversed! HEAD ↔ TAIL swapped  ·  O(n)`, "success");
+    list.reverse();
   };
 
   // ── Reset ──────────────────────────────────────────────────────────────────
   const handleReset = () => {
     resetTraverse();
-    setNodes(INITIAL_NODES.map((n) => ({ ...n })));
+    list.reset(INITIAL_NODES.map((n) => ({ ...n })));
     setSelected(null);
     setIsReversed(false);
+    setRewire(null);
+    setCycleTo(null);
+    setWalk(null);
     setLog([]);
   };
 
@@ -605,6 +1751,7 @@ export default function DominoNodes() {
       onClick={() => {
         setActiveTab(tab);
         resetTraverse();
+        setWalk(null);
       }}
       className={`px-3 py-2 rounded-lg text-sm font-bold transition-all border-2 ${
         activeTab === tab
@@ -616,18 +1763,93 @@ export default function DominoNodes() {
     </button>
   );
 
+  // Singly mode only: how insert/delete should run
+  const opStyleSelect = mode === "singly" && (
+    <div className="flex gap-2 flex-wrap">
+      {[
+        ["instant", "⚡ Instant"],
+        ["guided", "👣 Step-by-step"],
+        ["try", "🧩 You try"],
+      ].map(([id, label]) => (
+        <button
+          key={id}
+          onClick={() => {
+            setOpStyle(id);
+            setWalk(null);
+          }}
+          className={`px-3 py-1.5 rounded-lg text-xs font-bold transition-all border ${
+            opStyle === id
+              ? "bg-cyan-400/20 border-cyan-400 text-cyan-300"
+              : "border-white/20 text-white/50 hover:border-cyan-400/50 hover:text-white"
+          }`}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+
+  const walkPanel = walk && (
+    <WalkPanel
+      walk={walk}
+      nodes={nodes}
+      model={walkModel}
+      onChoose={applyWalkOp}
+      onBack={handleWalkBack}
+      onNext={handleWalkNext}
+      onRetry={handleWalkRetry}
+      onFinish={handleWalkFinish}
+      onCancel={() => setWalk(null)}
+    />
+  );
+
   return (
     <div
       className="flex flex-col gap-4 w-full"
       style={{ fontFamily: "'Courier New', monospace" }}
     >
+      <ARPlacementHud
+        placement={ar}
+        title="🁢 DOMINO NODES — AR"
+        status={`${LIST_MODES.find((m) => m.id === mode).label} · ${nodes.length} nodes`}
+        accent="#22d3ee"
+        log={log}
+        actions={[
+          {
+            label: "▶ Traverse",
+            onClick: handleTraverse,
+            disabled: isTraversing,
+            color: "#0891b2",
+          },
+          {
+            label: `➕ Insert ${newValue} at tail`,
+            onClick: () => handleInsert("tail"),
+            disabled: isTraversing,
+            color: "#059669",
+          },
+          {
+            label: "➖ Delete head",
+            onClick: () => handleDelete("head"),
+            disabled: isTraversing || nodes.length <= 1,
+            color: "#dc2626",
+          },
+          {
+            label: "🔃 Reverse",
+            onClick: handleReverse,
+            disabled: isTraversing,
+          },
+          { label: "🔄 Reset", onClick: handleReset, disabled: isTraversing },
+        ]}
+      />
+
       {/* Header */}
       <div className="text-center">
         <h2 className="text-3xl font-bold text-cyan-300 tracking-widest">
           🁢 DOMINO NODES
         </h2>
         <p className="text-white/50 text-sm mt-1">
-          Linked List · {nodes.length} nodes
+          {LIST_MODES.find((m) => m.id === mode).label} Linked List ·{" "}
+          {nodes.length} nodes
           {selectedIndex !== null && (
             <>
               {" "}
@@ -641,30 +1863,63 @@ export default function DominoNodes() {
             <span className="ml-2 text-yellow-400 font-bold">[REVERSED]</span>
           )}
         </p>
+        <div className="flex justify-center gap-2 mt-3">
+          {LIST_MODES.map((m) => (
+            <button
+              key={m.id}
+              onClick={() => handleModeChange(m.id)}
+              className={`px-3 py-1 rounded-lg text-xs font-bold transition-all border ${
+                mode === m.id
+                  ? "bg-cyan-400/20 border-cyan-400 text-cyan-300"
+                  : "border-white/15 text-white/50 hover:text-white"
+              }`}
+            >
+              {m.icon} {m.label}
+            </button>
+          ))}
+        </div>
       </div>
 
-      {/* 3D Canvas */}
-      <div
-        className="w-full rounded-2xl overflow-hidden border-2 border-cyan-400/30 shadow-[0_0_40px_rgba(34,211,238,0.12)]"
-        style={{
-          height: 420,
-          background:
-            "linear-gradient(180deg,#05080f 0%,#0d1b2e 50%,#050810 100%)",
-        }}
-      >
-        <Canvas camera={{ position: [0, 2.5, 8], fov: 45 }} shadows>
-          <DominoScene
-            nodes={nodes}
-            activeIndex={activeIndex}
-            traversedSet={traversedSet}
-            selectedIndex={selectedIndex}
-            onSelect={handleSelect}
-          />
-        </Canvas>
+      <ARButton placement={ar} accent="#22d3ee" />
+
+      <div className="flex flex-col xl:flex-row gap-4">
+        {/* 3D Canvas */}
+        <div
+          className="w-full rounded-2xl overflow-hidden border-2 border-cyan-400/30 shadow-[0_0_40px_rgba(34,211,238,0.12)]"
+          style={{
+            height: 420,
+            background:
+              "linear-gradient(180deg,#05080f 0%,#0d1b2e 50%,#050810 100%)",
+          }}
+        >
+          <Canvas camera={{ position: [0, 2.5, 8], fov: 45 }} shadows>
+            <XR store={xrStore}>
+              <DominoScene
+                ar={ar}
+                nodes={nodes}
+                activeIndex={activeIndex}
+                traversedSet={traversedSet}
+                selectedIndex={selectedIndex}
+                onSelect={handleSelect}
+                mode={mode}
+                backward={backward}
+                wrapLit={wrapLit}
+                rewiredKeys={rewire?.keys}
+                loopTo={loopTo}
+                floyd={floyd}
+                walk={walk}
+              />
+            </XR>
+          </Canvas>
+        </div>
+        <CodePanel trace={codeTrace} accent="cyan" height={420} />
       </div>
 
       {/* Node row display */}
       <div className="flex gap-1 flex-wrap justify-center items-center">
+        {mode === "doubly" && (
+          <span className="text-white/30 text-xs mr-1">NULL ←</span>
+        )}
         <span className="text-green-400 text-xs font-bold mr-1">HEAD</span>
         {nodes.map((node, i) => (
           <div key={node.id} className="flex items-center gap-1">
@@ -689,15 +1944,51 @@ export default function DominoNodes() {
               <span
                 className={`text-sm ${traversedSet.has(i) && traversedSet.has(i + 1) ? "text-green-400" : "text-white/30"}`}
               >
-                →
+                {mode === "doubly" ? "⇄" : "→"}
               </span>
             )}
           </div>
         ))}
         <span className="text-red-400 text-xs font-bold ml-1">TAIL</span>
-        <span className="text-white/30 text-xs ml-1">→ NULL</span>
+        <span className="text-white/30 text-xs ml-1">
+          {mode === "circular"
+            ? "→ HEAD ↻"
+            : loopTo !== null
+              ? `→ node[${loopTo}] ↺`
+              : "→ NULL"}
+        </span>
       </div>
 
+      {/* Pointer rewiring for the last operation */}
+      {rewire && (
+        <div className="px-4 py-3 rounded-xl border border-yellow-400/30 bg-yellow-400/5">
+          <p className="text-yellow-300 text-xs font-bold mb-1">
+            🔧 Pointer rewiring — {rewire.title}
+          </p>
+          <div className="flex flex-col gap-0.5">
+            {rewire.lines.map((line, i) => (
+              <code key={i} className="text-xs text-white/70">
+                {i + 1}. {line}
+              </code>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <TimelineBar
+        timeline={timeline}
+        accent="cyan"
+        disabled={isTraversing || walk !== null || lab.running}
+      />
+
+      <CodeLab
+        lab={lab}
+        kind="list"
+        name="list"
+        samples={[7, 4]}
+        accent="cyan"
+      />
+
       {/* Bottom panels */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
         {/* Operations */}
@@ -707,15 +1998,34 @@ export default function DominoNodes() {
             {tabBtn("insert", "➕", "Insert")}
             {tabBtn("delete", "🗑️", "Delete")}
             {tabBtn("reverse", "🔁", "Reverse")}
+            {tabBtn("cycle", "🐢", "Cycle")}
           </div>
 
           {/* Traverse */}
           {activeTab === "traverse" && (
             <div className="flex flex-col gap-3">
               <p className="text-white/50 text-xs">
-                Visit each node from HEAD → TAIL following next pointers —{" "}
-                <span className="text-red-400 font-bold">O(n)</span>
+                {backward
+                  ? "Visit each node from TAIL → HEAD following prev pointers"
+                  : mode === "circular"
+                    ? "Follow next pointers from HEAD and stop when curr comes back to HEAD"
+                    : "Visit each node from HEAD → TAIL following next pointers"}{" "}
+                — <span className="text-red-400 font-bold">O(n)</span>
               </p>
+              {mode === "doubly" && (
+                <div className="flex gap-2 items-center">
+                  <span className="text-white/60 text-sm">Direction</span>
+                  <select
+                    value={traverseDir}
+                    onChange={(e) => setTraverseDir(e.target.value)}
+                    disabled={isTraversing}
+                    className="px-3 py-2 bg-black/40 border border-white/20 rounded-lg text-white text-sm focus:outline-none focus:border-cyan-400"
+                  >
+                    <option value="forward">HEAD → TAIL (next)</option>
+                    <option value="backward">TAIL → HEAD (prev)</option>
+                  </select>
+                </div>
+              )}
               <div className="flex gap-2 flex-wrap">
                 <button
                   onClick={handleTraverse}
@@ -765,6 +2075,8 @@ export default function DominoNodes() {
                 &nbsp;|&nbsp; Insert at index —{" "}
                 <span className="text-red-400 font-bold">O(n)</span>
               </p>
+              {opStyleSelect}
+              {walkPanel}
               <div className="flex gap-2 items-center flex-wrap">
                 <span className="text-white/60 text-sm">Value</span>
                 <input
@@ -795,8 +2107,9 @@ export default function DominoNodes() {
                   />
                 )}
                 <button
-                  onClick={handleInsert}
-                  className="px-4 py-2 bg-green-600 hover:bg-green-500 rounded-lg text-white text-sm font-bold transition-all"
+                  onClick={() => handleInsert()}
+                  disabled={!!walk}
+                  className="px-4 py-2 bg-green-600 hover:bg-green-500 disabled:opacity-40 disabled:cursor-not-allowed rounded-lg text-white text-sm font-bold transition-all"
                 >
                   Insert
                 </button>
@@ -810,25 +2123,38 @@ export default function DominoNodes() {
               <p className="text-white/50 text-xs">
                 Delete HEAD —{" "}
                 <span className="text-green-400 font-bold">O(1)</span>{" "}
-                &nbsp;|&nbsp; Delete TAIL or by index —{" "}
+                &nbsp;|&nbsp;{" "}
+                {mode === "doubly" ? (
+                  <>
+                    Delete TAIL —{" "}
+                    <span className="text-green-400 font-bold">O(1)</span> via
+                    tail.prev &nbsp;|&nbsp; by index —{" "}
+                  </>
+                ) : (
+                  "Delete TAIL or by index — "
+                )}
                 <span className="text-red-400 font-bold">O(n)</span>
               </p>
+              {opStyleSelect}
+              {walkPanel}
               <div className="flex gap-2 flex-wrap">
                 <button
                   onClick={() => handleDelete("head")}
-                  className="px-4 py-2 bg-red-700 hover:bg-red-600 rounded-lg text-white text-sm font-bold transition-all"
+                  disabled={!!walk}
+                  className="px-4 py-2 bg-red-700 hover:bg-red-600 disabled:opacity-40 disabled:cursor-not-allowed rounded-lg text-white text-sm font-bold transition-all"
                 >
                   Delete HEAD
                 </button>
                 <button
                   onClick={() => handleDelete("tail")}
-                  className="px-4 py-2 bg-orange-700 hover:bg-orange-600 rounded-lg text-white text-sm font-bold transition-all"
+                  disabled={!!walk}
+                  className="px-4 py-2 bg-orange-700 hover:bg-orange-600 disabled:opacity-40 disabled:cursor-not-allowed rounded-lg text-white text-sm font-bold transition-all"
                 >
                   Delete TAIL
                 </button>
                 <button
                   onClick={() => handleDelete("selected")}
-                  disabled={selectedIndex === null}
+                  disabled={selectedIndex === null || !!walk}
                   className="px-4 py-2 bg-purple-700 hover:bg-purple-600 disabled:opacity-40 disabled:cursor-not-allowed rounded-lg text-white text-sm font-bold transition-all"
                 >
                   Delete [{selectedIndex ?? "?"}]
@@ -840,12 +2166,96 @@ export default function DominoNodes() {
             </div>
           )}
 
+          {/* Cycle detection */}
+          {activeTab === "cycle" && (
+            <div className="flex flex-col gap-3">
+              <p className="text-white/50 text-xs">
+                Floyd's tortoise and hare — 🐢 moves 1 node, 🐇 moves 2. If they
+                ever meet there is a cycle —{" "}
+                <span className="text-red-400 font-bold">O(n)</span> time,{" "}
+                <span className="text-green-400 font-bold">O(1)</span> space
+              </p>
+              {mode === "singly" && (
+                <div className="flex gap-2 items-center flex-wrap">
+                  <span className="text-white/60 text-sm">tail.next →</span>
+                  <select
+                    value={cycleTarget}
+                    onChange={(e) => setCycleTarget(e.target.value)}
+                    disabled={isTraversing}
+                    className="px-3 py-2 bg-black/40 border border-white/20 rounded-lg text-white text-sm focus:outline-none focus:border-cyan-400"
+                  >
+                    {nodes.map((n, i) => (
+                      <option key={n.id} value={i}>
+                        node[{i}] ({n.value})
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={handleMakeCycle}
+                    disabled={isTraversing}
+                    className="px-4 py-2 bg-red-700 hover:bg-red-600 disabled:opacity-40 rounded-lg text-white text-sm font-bold transition-all"
+                  >
+                    🔗 Make Cycle
+                  </button>
+                  <button
+                    onClick={clearCycle}
+                    disabled={isTraversing || cycleTo === null}
+                    className="px-4 py-2 bg-white/10 hover:bg-white/15 border border-white/20 disabled:opacity-40 rounded-lg text-white/70 text-sm transition-all"
+                  >
+                    ✂️ Break
+                  </button>
+                </div>
+              )}
+              {mode === "doubly" && (
+                <p className="text-yellow-300/80 text-xs">
+                  Switch to Singly to wire a cycle — in a doubly linked list the
+                  prev pointers would no longer match.
+                </p>
+              )}
+              {mode === "circular" && (
+                <p className="text-white/40 text-xs">
+                  A circular list is one big cycle that starts at HEAD.
+                </p>
+              )}
+              <div className="flex gap-2 flex-wrap">
+                <button
+                  onClick={handleFloyd}
+                  disabled={isTraversing}
+                  className="px-5 py-2.5 bg-cyan-600 hover:bg-cyan-500 disabled:opacity-40 disabled:cursor-not-allowed rounded-lg text-white text-sm font-bold transition-all"
+                >
+                  {isTraversing ? "⏳ Running..." : "🐢🐇 Detect Cycle"}
+                </button>
+                {isTraversing && (
+                  <button
+                    onClick={handleStopTraverse}
+                    className="px-4 py-2.5 bg-red-700 hover:bg-red-600 rounded-lg text-white text-sm font-bold transition-all"
+                  >
+                    ⏹ Stop
+                  </button>
+                )}
+              </div>
+              {floyd && (
+                <div className="px-3 py-2 rounded-lg border border-cyan-400/30 bg-cyan-400/5 text-xs">
+                  <p className="text-cyan-300 font-bold">
+                    Phase {floyd.phase}
+                    {floyd.phase === 1
+                      ? " — do they meet?"
+                      : " — where does the cycle start?"}
+                  </p>
+                  <p className="text-white/70 mt-0.5">{floyd.text}</p>
+                </div>
+              )}
+            </div>
+          )}
+
           {/* Reverse */}
           {activeTab === "reverse" && (
             <div className="flex flex-col gap-3">
               <p className="text-white/50 text-xs">
-                Reverse all next-pointers —{" "}
-                <span className="text-red-400 font-bold">O(n)</span>{" "}
+                {mode === "doubly"
+                  ? "Swap every node's prev and next pointers"
+                  : "Reverse all next-pointers"}{" "}
+                — <span className="text-red-400 font-bold">O(n)</span>{" "}
                 &nbsp;·&nbsp; HEAD and TAIL swap positions
               </p>
               <div className="flex gap-2">
@@ -913,14 +2323,9 @@ export default function DominoNodes() {
             </p>
             <div className="grid grid-cols-2 gap-1 text-xs font-mono">
               {[
-                ["Insert HEAD", "O(1)", true],
-                ["Insert TAIL", "O(1)", true],
-                ["Insert Index", "O(n)", false],
-                ["Delete HEAD", "O(1)", true],
-                ["Delete TAIL", "O(n)", false],
-                ["Traverse", "O(n)", false],
-                ["Search", "O(n)", false],
-                ["Reverse", "O(n)", false],
+                ...COMPLEXITY[mode],
+                ["Floyd cycle check", "O(n)", false],
+                ["Floyd extra space", "O(1)", true],
               ].map(([op, c, fast]) => (
                 <div
                   key={op}
@@ -1,5 +1,5 @@
-import { useRef, useState, useEffect, useCallback } from "react";
-import { Canvas, useFrame, useThree } from "@react-three/fiber";
+import { useRef, useState, useEffect } from "react";
+import { Canvas, useFrame } from "@react-three/fiber";
 import {
   Text,
   RoundedBox,
@@ -9,33 +9,30 @@ import {
 import { XR, createXRStore } from "@react-three/xr";
 import { gsap } from "gsap";
 import * as THREE from "three";
+import { PRODUCT_COLORS, PRODUCT_EMOJIS, PRODUCTS } from "./groceryProducts";
+import CodePanel from "./CodePanel";
+import TimelineBar from "./TimelineBar";
+import CodeLab from "./CodeLab";
+import ARPlacement, { ARPlacementHud } from "./ARPlacement";
+import { ArrayModel } from "../models";
+import { arrayPrograms, dynamicArrayPrograms } from "../pseudocode";
+import { useModelEvents } from "../hooks/useModelEvents";
+import { useCodeTrace } from "../hooks/useCodeTrace";
+import { useTimeline } from "../hooks/useTimeline";
+import { useCodeLab } from "../hooks/useCodeLab";
+import { useARPlacement } from "../hooks/useARPlacement";
 
 const xrStore = createXRStore();
-const PS = {
-  SCANNING: "scanning",
-  PREVIEWING: "previewing",
-  CONFIRMED: "confirmed",
-};
 
-const PRODUCT_COLORS = {
-  apple: { box: "#e74c3c", label: "#c0392b", text: "#fff" },
-  milk: { box: "#ecf0f1", label: "#bdc3c7", text: "#2c3e50" },
-  bread: { box: "#e67e22", label: "#d35400", text: "#fff" },
-  juice: { box: "#f1c40f", label: "#f39c12", text: "#2c3e50" },
-  coffee: { box: "#6f4e37", label: "#4a3728", text: "#fff" },
-  cereal: { box: "#27ae60", label: "#1e8449", text: "#fff" },
-  empty: { box: "#1e2a35", label: "#0f1923", text: "#7f8c8d" },
-};
-const PRODUCT_EMOJIS = {
-  apple: "🍎",
-  milk: "🥛",
-  bread: "🍞",
-  juice: "🧃",
-  coffee: "☕",
-  cereal: "🌾",
-  empty: "—",
+const SEARCH_STEP_MS = 700;
+const SEARCH_COLORS = {
+  checking: "#facc15",
+  found: "#2ecc71",
+  LOW: "#3498db",
+  MID: "#f39c12",
+  HIGH: "#9b59b6",
+  visited: "#1abc9c",
 };
-const PRODUCTS = ["apple", "milk", "bread", "juice", "coffee", "cereal"];
 const INITIAL_ITEMS = [
   "apple",
   "milk",
@@ -49,233 +46,68 @@ const INITIAL_ITEMS = [
   "bread",
 ];
 
-function useARSupport() {
-  const [supported, setSupported] = useState(null);
-  useEffect(() => {
-    if (!navigator.xr) {
-      setSupported(false);
-      return;
-    }
-    navigator.xr
-      .isSessionSupported("immersive-ar")
-      .then(setSupported)
-      .catch(() => setSupported(false));
-  }, []);
-  return supported;
-}
+// ─── Dynamic array mode: size and capacity kept apart ───────────────────────
+const DYN_START = { items: ["apple", "milk", "bread"], capacity: 4 };
+const DYN_MAX_CAP = 16;
+const GROW_STEP_MS = 420;
+const GROW_SHELF_W = 6.5; // widest the scaled shelf may get
 
-// ─── Debug log (shows on screen inside AR) ───────────────────────────────────
-const debugLines = [];
-function dbg(msg) {
-  const ts = new Date().toISOString().slice(11, 23);
-  debugLines.unshift(`[${ts}] ${msg}`);
-  if (debugLines.length > 12) debugLines.pop();
-}
+// ─── Matrix mode: a ROWS × COLS shelf stored in one block of memory ─────────
+const MATRIX_ROWS = 3;
+const MATRIX_COLS = 4;
+const MATRIX_STEP_MS = 450;
+const BASE_ADDR = 1000;
+const ELEM_SIZE = 4; // bytes per slot
+const INITIAL_MATRIX = [
+  ["apple", "milk", "bread", "juice"],
+  ["coffee", "cereal", "apple", "milk"],
+  ["bread", "juice", "empty", "coffee"],
+];
 
-function DebugOverlay({ visible }) {
-  const [lines, setLines] = useState([]);
-  useEffect(() => {
-    if (!visible) return;
-    const id = setInterval(() => setLines([...debugLines]), 300);
-    return () => clearInterval(id);
-  }, [visible]);
-  if (!visible) return null;
-  return (
-    <div
-      style={{
-        position: "fixed",
-        top: 0,
-        left: 0,
-        right: 0,
-        zIndex: 99999,
-        background: "rgba(0,0,0,0.85)",
-        padding: "8px 12px",
-        fontFamily: "monospace",
-        fontSize: 11,
-        color: "#0f0",
-        pointerEvents: "none",
-        maxHeight: "45vh",
-        overflow: "hidden",
-      }}
-    >
-      {lines.map((l, i) => (
-        <div key={i} style={{ opacity: 1 - i * 0.07 }}>
-          {l}
-        </div>
-      ))}
-    </div>
-  );
+// Boxes are keyed by their row-major id; the layout decides where each lands
+// in the 1D memory strip.
+const cellId = (r, c) => r * MATRIX_COLS + c;
+const cellOf = (id) => [Math.floor(id / MATRIX_COLS), id % MATRIX_COLS];
+function memOffset(r, c, order) {
+  return order === "row" ? r * MATRIX_COLS + c : c * MATRIX_ROWS + r;
 }
-
-// ─── AR Core ─────────────────────────────────────────────────────────────────
-function ARCore({ onPlacePreview, onHasHit }) {
-  const { gl } = useThree();
-
-  const hitTestSourceRef = useRef(null);
-  const localSpaceRef = useRef(null);
-  const reticleGroupRef = useRef(null);
-  const sessionRef = useRef(null);
-  const mat4 = useRef(new THREE.Matrix4());
-  const setupDoneRef = useRef(false);
-
-  const bindReticle = useCallback((group) => {
-    reticleGroupRef.current = group;
-    dbg(`reticle bound: ${!!group}`);
-  }, []);
-
-  useFrame((_, __, frame) => {
-    if (!frame) return;
-
-    const session = gl.xr?.getSession?.();
-    if (!session) return;
-
-    // ── One-time session setup ──────────────────────────────────────────────
-    if (session !== sessionRef.current && !setupDoneRef.current) {
-      sessionRef.current = session;
-      setupDoneRef.current = true;
-      dbg("session found — setting up hit-test + listeners");
-
-      // Hit-test source
-      session
-        .requestReferenceSpace("local")
-        .then((localSpace) => {
-          localSpaceRef.current = localSpace;
-          dbg("local refspace OK");
-          session
-            .requestReferenceSpace("viewer")
-            .then((viewerSpace) => {
-              dbg("viewer refspace OK");
-              session
-                .requestHitTestSource({ space: viewerSpace })
-                .then((src) => {
-                  hitTestSourceRef.current = src;
-                  dbg("hitTestSource OK ✅");
-                })
-                .catch((e) => dbg(`hitTestSource FAIL: ${e}`));
-            })
-            .catch((e) => dbg(`viewer refspace FAIL: ${e}`));
-        })
-        .catch((e) => dbg(`local refspace FAIL: ${e}`));
-
-      // Try ALL possible tap/select event names
-      const tapEvents = [
-        "select",
-        "selectstart",
-        "selectend",
-        "touchstart",
-        "click",
-      ];
-      tapEvents.forEach((evName) => {
-        try {
-          session.addEventListener(evName, (e) => {
-            dbg(`🔥 event: ${evName}`);
-            if (evName !== "select" && evName !== "selectend") return; // only act on select
-            const reticle = reticleGroupRef.current;
-            dbg(
-              `reticle visible: ${reticle?.visible}, pos: ${reticle ? JSON.stringify({ x: reticle.position.x.toFixed(2), y: reticle.position.y.toFixed(2), z: reticle.position.z.toFixed(2) }) : "null"}`,
-            );
-            if (!reticle || !reticle.visible) {
-              dbg("⚠️ reticle not visible — skipping place");
-              return;
-            }
-            dbg("✅ PLACING shelf!");
-            onPlacePreview(reticle.position.clone());
-          });
-          dbg(`registered: ${evName}`);
-        } catch (e) {
-          dbg(`failed to register ${evName}: ${e}`);
-        }
-      });
-
-      // Also listen on inputSources for extra coverage
-      dbg(`inputSources count: ${session.inputSources?.length ?? 0}`);
-    }
-
-    // ── Per-frame hit-test ──────────────────────────────────────────────────
-    const source = hitTestSourceRef.current;
-    const refSpace = localSpaceRef.current;
-    const reticle = reticleGroupRef.current;
-    if (!reticle) return;
-
-    reticle.visible = false;
-
-    if (source && refSpace) {
-      const results = frame.getHitTestResults(source);
-      if (results.length > 0) {
-        const pose = results[0].getPose(refSpace);
-        if (pose) {
-          reticle.visible = true;
-          mat4.current.fromArray(pose.transform.matrix);
-          mat4.current.decompose(
-            reticle.position,
-            reticle.quaternion,
-            reticle.scale,
-          );
-          onHasHit(true);
-          return;
-        }
-      }
-    }
-    onHasHit(false);
-  });
-
-  return <ARReticleInner bindReticle={bindReticle} />;
+function memoryStrip(order) {
+  const cells = [];
+  for (let k = 0; k < MATRIX_ROWS * MATRIX_COLS; k++)
+    cells.push(
+      order === "row"
+        ? [Math.floor(k / MATRIX_COLS), k % MATRIX_COLS]
+        : [k % MATRIX_ROWS, Math.floor(k / MATRIX_ROWS)],
+    );
+  return cells;
 }
 
-function ARReticleInner({ bindReticle }) {
-  const pulseRef = useRef();
-  useFrame(({ clock }) => {
-    if (!pulseRef.current) return;
-    const t = clock.elapsedTime;
-    pulseRef.current.scale.set(
-      1 + 0.18 * Math.sin(t * 3.5),
-      1 + 0.18 * Math.sin(t * 3.5),
-      1,
-    );
-    pulseRef.current.material.opacity = 0.2 + 0.12 * Math.sin(t * 3.5);
-  });
+// ─── GroceryBox ───────────────────────────────────────────────────────────────
+// Binary search needs filled slots first, then A→Z by product name
+function isShelfSorted(items) {
+  const filled = items.filter((p) => p !== "empty");
   return (
-    <group ref={bindReticle} visible={false}>
-      <mesh rotation={[-Math.PI / 2, 0, 0]}>
-        <ringGeometry args={[0.1, 0.14, 36]} />
-        <meshBasicMaterial
-          color="#f39c12"
-          transparent
-          opacity={0.95}
-          side={THREE.DoubleSide}
-          depthWrite={false}
-        />
-      </mesh>
-      <mesh rotation={[-Math.PI / 2, 0, 0]}>
-        <circleGeometry args={[0.04, 20]} />
-        <meshBasicMaterial
-          color="#ffffff"
-          transparent
-          opacity={0.85}
-          side={THREE.DoubleSide}
-          depthWrite={false}
-        />
-      </mesh>
-      <mesh ref={pulseRef} rotation={[-Math.PI / 2, 0, 0]}>
-        <ringGeometry args={[0.16, 0.19, 36]} />
-        <meshBasicMaterial
-          color="#f39c12"
-          transparent
-          opacity={0.25}
-          side={THREE.DoubleSide}
-          depthWrite={false}
-        />
-      </mesh>
-    </group>
+    items.slice(0, filled.length).every((p) => p !== "empty") &&
+    filled.every((p, i) => i === 0 || filled[i - 1] <= p)
   );
 }
 
-// ─── GroceryBox ───────────────────────────────────────────────────────────────
-function GroceryBox({ position, index, product, isSelected, onClick }) {
+function GroceryBox({
+  position,
+  index,
+  product,
+  isSelected,
+  onClick,
+  searchMark,
+  tags = [],
+  label,
+}) {
   const groupRef = useRef();
   const boxRef = useRef();
   const colors = PRODUCT_COLORS[product] || PRODUCT_COLORS.empty;
   const isEmpty = product === "empty";
+  const isEliminated = searchMark === "eliminated";
+  const glow = SEARCH_COLORS[searchMark];
   useEffect(() => {
     if (!groupRef.current) return;
     gsap.fromTo(
@@ -318,7 +150,9 @@ function GroceryBox({ position, index, product, isSelected, onClick }) {
             roughness={0.35}
             metalness={0.1}
             transparent
-            opacity={isEmpty ? 0.3 : 1}
+            opacity={isEmpty ? 0.3 : isEliminated ? 0.25 : 1}
+            emissive={glow ?? "#000000"}
+            emissiveIntensity={glow ? 0.5 : 0}
           />
         </RoundedBox>
         {!isEmpty && (
@@ -350,8 +184,33 @@ function GroceryBox({ position, index, product, isSelected, onClick }) {
           </mesh>
         )}
       </group>
+      {tags.map((tag, k) => (
+        <group key={tag} position={[0, 0.3 - k * 0.24, 0.42]}>
+          <RoundedBox args={[0.5, 0.2, 0.06]} radius={0.03} smoothness={4}>
+            <meshStandardMaterial
+              color={SEARCH_COLORS[tag]}
+              emissive={SEARCH_COLORS[tag]}
+              emissiveIntensity={0.4}
+            />
+          </RoundedBox>
+          <Text
+            position={[0, 0, 0.04]}
+            fontSize={0.1}
+            color="#fff"
+            anchorX="center"
+            anchorY="middle"
+            fontWeight="bold"
+          >
+            {tag}
+          </Text>
+        </group>
+      ))}
       <group position={[0, -0.65, 0]}>
-        <RoundedBox args={[0.44, 0.22, 0.08]} radius={0.04} smoothness={4}>
+        <RoundedBox
+          args={[label ? 0.62 : 0.44, 0.22, 0.08]}
+          radius={0.04}
+          smoothness={4}
+        >
           <meshStandardMaterial
             color={isSelected ? "#f39c12" : "#0f1923"}
             roughness={0.4}
@@ -364,14 +223,14 @@ function GroceryBox({ position, index, product, isSelected, onClick }) {
           anchorX="center"
           anchorY="middle"
         >
-          [{index}]
+          {label ?? `[${index}]`}
         </Text>
       </group>
     </group>
   );
 }
 
-function ShelfBoard({ y, width }) {
+export function ShelfBoard({ y, width }) {
   return (
     <group position={[0, y, 0]}>
       <mesh>
@@ -412,29 +271,30 @@ function ShelfFrame({ height, width }) {
   );
 }
 
+function searchMarkOf(search, i) {
+  if (!search) return undefined;
+  if (search.found === i) return "found";
+  if (search.checking === i) return "checking";
+  if (search.eliminated.includes(i)) return "eliminated";
+  if (search.visited?.includes(i)) return "visited";
+  return undefined;
+}
+
 function ShelfScene({
   items,
+  matrix,
+  dynamic,
   selectedIndex,
+  search,
   onSelect,
-  isAR,
-  placeState,
-  anchorPos,
-  onPlacePreview,
-  onHasHit,
+  ar,
 }) {
   const ITEM_W = 0.95,
-    ROW = Math.ceil(items.length / 2),
+    ROW = matrix ? MATRIX_COLS : Math.ceil(items.length / 2),
     SHELF_Y = [-0.3, 1.15],
+    SHELF_GAP = SHELF_Y[1] - SHELF_Y[0],
     AR_SCALE = 0.28;
-  const shelfProps =
-    isAR && anchorPos
-      ? {
-          position: [anchorPos.x, anchorPos.y, anchorPos.z],
-          scale: [AR_SCALE, AR_SCALE, AR_SCALE],
-        }
-      : { position: [0, -0.6, 0], scale: [1, 1, 1] };
-  const showShelf =
-    !isAR || placeState === PS.PREVIEWING || placeState === PS.CONFIRMED;
+  const isAR = ar.isAR;
   const renderRow = (row, startIdx, shelfY) =>
     row.map((product, i) => (
       <GroceryBox
@@ -444,8 +304,46 @@ function ShelfScene({
         product={product}
         isSelected={selectedIndex === startIdx + i}
         onClick={onSelect}
+        searchMark={searchMarkOf(search, startIdx + i)}
+        tags={
+          search
+            ? ["LOW", "MID", "HIGH"].filter(
+                (t) => search[t.toLowerCase()] === startIdx + i,
+              )
+            : []
+        }
       />
     ));
+  // Row 0 sits on the top board so the shelf reads like the matrix
+  const rowY = (r) => SHELF_Y[0] + (MATRIX_ROWS - 1 - r) * SHELF_GAP;
+  const renderMatrix = () =>
+    matrix.map((row, r) => (
+      <group key={r}>
+        <ShelfBoard y={rowY(r)} width={ROW * ITEM_W} />
+        <Text
+          position={[-(ROW * ITEM_W) / 2 - 0.55, rowY(r) + 0.55, 0]}
+          fontSize={0.16}
+          color="#7ec8e3"
+          anchorX="center"
+          anchorY="middle"
+          fontWeight="bold"
+        >
+          row {r}
+        </Text>
+        {row.map((product, c) => (
+          <GroceryBox
+            key={`${r}-${c}-${product}`}
+            position={[(c - ROW / 2 + 0.5) * ITEM_W, rowY(r) + 0.55, 0]}
+            index={cellId(r, c)}
+            label={`[${r}][${c}]`}
+            product={product}
+            isSelected={selectedIndex === cellId(r, c)}
+            onClick={onSelect}
+            searchMark={searchMarkOf(search, cellId(r, c))}
+          />
+        ))}
+      </group>
+    ));
   return (
     <>
       <ambientLight intensity={isAR ? 1.0 : 0.6} />
@@ -460,18 +358,33 @@ function ShelfScene({
         color="#b0c4de"
       />
       <pointLight position={[0, 3, 2]} intensity={0.5} color="#fff5e0" />
-      {isAR && placeState === PS.SCANNING && (
-        <ARCore onPlacePreview={onPlacePreview} onHasHit={onHasHit} />
-      )}
-      {showShelf && (
-        <group {...shelfProps}>
-          <ShelfFrame height={2.4} width={ROW * ITEM_W} />
-          <ShelfBoard y={SHELF_Y[0]} width={ROW * ITEM_W} />
-          <ShelfBoard y={SHELF_Y[1]} width={ROW * ITEM_W} />
-          {renderRow(items.slice(0, ROW), 0, SHELF_Y[0])}
-          {renderRow(items.slice(ROW), ROW, SHELF_Y[1])}
+      <ARPlacement placement={ar} scale={AR_SCALE}>
+        <group position={[0, isAR ? 0 : matrix ? -1.2 : -0.6, 0]}>
+          {dynamic ? (
+            <DynamicShelf
+              {...dynamic}
+              selectedIndex={selectedIndex}
+              onSelect={onSelect}
+            />
+          ) : matrix ? (
+            <>
+              <ShelfFrame
+                height={2.4 + (MATRIX_ROWS - 2) * SHELF_GAP}
+                width={ROW * ITEM_W}
+              />
+              {renderMatrix()}
+            </>
+          ) : (
+            <>
+              <ShelfFrame height={2.4} width={ROW * ITEM_W} />
+              <ShelfBoard y={SHELF_Y[0]} width={ROW * ITEM_W} />
+              <ShelfBoard y={SHELF_Y[1]} width={ROW * ITEM_W} />
+              {renderRow(items.slice(0, ROW), 0, SHELF_Y[0])}
+              {renderRow(items.slice(ROW), ROW, SHELF_Y[1])}
+            </>
+          )}
         </group>
-      )}
+      </ARPlacement>
       {!isAR && (
         <>
           <OrbitControls
@@ -489,14 +402,221 @@ function ShelfScene({
   );
 }
 
-// ─── AR HUD ───────────────────────────────────────────────────────────────────
-function ARHud({
-  isAR,
-  placeState,
-  hasHit,
-  onConfirm,
-  onReplace,
-  onExit,
+// ─── Dynamic array shelf ─────────────────────────────────────────────────────
+// Unused capacity shows as empty slots. While growing, the new 2× shelf sits
+// above the old one and fills as items are copied across.
+function ReleaseGroup({ released, children, ...props }) {
+  const ref = useRef();
+  useFrame(() => {
+    if (!ref.current) return;
+    const s = THREE.MathUtils.lerp(ref.current.scale.x, released ? 0 : 1, 0.1);
+    ref.current.scale.setScalar(Math.max(s, 0.0001));
+  });
+  return (
+    <group ref={ref} {...props}>
+      {children}
+    </group>
+  );
+}
+
+function DynamicShelf({ items, capacity, growth, selectedIndex, onSelect }) {
+  const ITEM_W = 0.95;
+  const widest = growth ? growth.toCap : capacity;
+  const scale = Math.min(1, GROW_SHELF_W / (widest * ITEM_W));
+  const renderShelf = (slots, cap, keyPrefix, marks, caption) => (
+    <>
+      <ShelfBoard y={-0.3} width={cap * ITEM_W} />
+      <Text
+        position={[-(cap * ITEM_W) / 2 - 0.2, 0.25, 0]}
+        fontSize={0.18}
+        color="#7ec8e3"
+        anchorX="right"
+        anchorY="middle"
+        fontWeight="bold"
+      >
+        {caption}
+      </Text>
+      {Array.from({ length: cap }).map((_, i) => (
+        <GroceryBox
+          key={`${keyPrefix}-${i}-${slots[i] ?? "empty"}`}
+          position={[(i - cap / 2 + 0.5) * ITEM_W, 0.25, 0]}
+          index={i}
+          product={slots[i] ?? "empty"}
+          isSelected={!growth && selectedIndex === i}
+          onClick={onSelect}
+          searchMark={marks(i)}
+        />
+      ))}
+    </>
+  );
+
+  const copying = growth?.phase === "copy" ? growth.copied - 1 : null;
+  return (
+    <group scale={scale}>
+      <ReleaseGroup released={growth?.phase === "release"}>
+        {growth
+          ? renderShelf(
+              growth.from,
+              growth.fromCap,
+              growth.fromCap,
+              (i) =>
+                i === copying
+                  ? "checking"
+                  : i < growth.copied
+                    ? "visited"
+                    : undefined,
+              `old · cap ${growth.fromCap}`,
+            )
+          : renderShelf(
+              items,
+              capacity,
+              capacity,
+              () => undefined,
+              `cap ${capacity}`,
+            )}
+      </ReleaseGroup>
+      {growth && (
+        <group position={[0, 1.75, 0]}>
+          {renderShelf(
+            growth.from.slice(0, growth.copied),
+            growth.toCap,
+            `new${growth.toCap}`,
+            (i) => (i === copying ? "found" : undefined),
+            `new · cap ${growth.toCap}`,
+          )}
+        </group>
+      )}
+    </group>
+  );
+}
+
+// ─── Cost of each insert, with the running average ───────────────────────────
+function AmortizedChart({ costs }) {
+  const total = costs.reduce((a, c) => a + c.cost, 0);
+  const avg = costs.length ? total / costs.length : 0;
+  const max = Math.max(4, ...costs.map((c) => c.cost));
+  const shown = costs.slice(-24);
+  return (
+    <div className="flex flex-col gap-2 px-4 py-3 rounded-xl border border-white/10 bg-white/5">
+      <div className="flex justify-between items-center flex-wrap gap-2">
+        <p className="text-white/40 text-xs uppercase tracking-widest">
+          📈 Cost per insert
+        </p>
+        <p className="text-xs font-mono text-white/50">
+          total <span className="text-white font-bold">{total}</span> ÷{" "}
+          {costs.length} inserts = avg{" "}
+          <span className="text-amber-300 font-bold">{avg.toFixed(2)}</span>
+        </p>
+      </div>
+      <div className="relative flex items-end gap-1 h-24 px-1 border-b border-white/20">
+        {shown.length === 0 && (
+          <p className="text-white/30 text-xs italic self-center mx-auto">
+            Append a few items to see the cost of each one…
+          </p>
+        )}
+        {shown.map((c) => (
+          <div
+            key={c.id}
+            title={`${c.label}: ${c.cost} (${c.copies} copied)`}
+            className={`flex-1 max-w-6 rounded-t ${c.copies > 0 ? "bg-red-400/80" : "bg-green-400/70"}`}
+            style={{ height: `${(c.cost / max) * 100}%` }}
+          />
+        ))}
+        {costs.length > 0 && (
+          <div
+            className="absolute left-0 right-0 border-t-2 border-dashed border-amber-300/80"
+            style={{ bottom: `${(avg / max) * 100}%` }}
+          />
+        )}
+      </div>
+      <p className="text-white/40 text-xs">
+        <span className="text-green-400">Green</span> = 1 write into spare
+        capacity. <span className="text-red-400">Red</span> = a grow: copy all n
+        items, then write. Doubling makes grows rarer as the array gets bigger,
+        so the copies add up to less than 2 per insert and the{" "}
+        <span className="text-amber-300">dashed average</span> stays below 3 —
+        append is O(1) amortized.
+      </p>
+    </div>
+  );
+}
+
+// ─── 1D memory strip under the matrix shelf ──────────────────────────────────
+// Same boxes, laid out in the order they actually sit in memory.
+const ROW_TINTS = ["#3498db", "#e67e22", "#9b59b6"];
+
+function MemoryStrip({
+  matrix,
+  order,
+  cell,
+  search,
+  isSearching,
+  onOrder,
+  onSelect,
+}) {
+  const strip = memoryStrip(order);
+  const groupOf = (r, c) => (order === "row" ? r : c);
+  return (
+    <div className="flex flex-col gap-2 px-4 py-3 rounded-xl border border-white/10 bg-white/5">
+      <div className="flex justify-between items-center flex-wrap gap-2">
+        <p className="text-white/40 text-xs uppercase tracking-widest">
+          🧱 Memory ({order === "row" ? "row-major" : "column-major"})
+        </p>
+        <div className="flex gap-1">
+          {[
+            ["row", "Row-major"],
+            ["col", "Column-major"],
+          ].map(([id, label]) => (
+            <button
+              key={id}
+              onClick={() => onOrder(id)}
+              disabled={isSearching}
+              className={`px-3 py-1 rounded-lg text-xs font-bold transition-all border disabled:cursor-not-allowed ${order === id ? "bg-amber-400/20 border-amber-400 text-amber-300" : "border-white/20 text-white/50 hover:border-amber-400/50 hover:text-white"}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div className="flex gap-0.5 flex-wrap justify-center">
+        {strip.map(([r, c], k) => {
+          const id = cellId(r, c);
+          const active = search?.checking === id || cell === id;
+          const seen = search?.visited?.includes(id);
+          return (
+            <button
+              key={id}
+              onClick={() => onSelect(id)}
+              className={`flex flex-col items-center px-1.5 py-1 rounded-md border-b-4 transition-all text-xs ${active ? "bg-amber-400/30 text-amber-200" : seen ? "bg-teal-400/15 text-teal-200" : "bg-black/30 text-white/70 hover:bg-white/10"}`}
+              style={{ borderBottomColor: ROW_TINTS[groupOf(r, c) % 3] }}
+            >
+              <span className="text-white/30 font-mono text-[10px]">{k}</span>
+              <span className="text-base leading-none">
+                {PRODUCT_EMOJIS[matrix[r][c]]}
+              </span>
+              <span className="font-mono font-bold">
+                [{r}][{c}]
+              </span>
+              <span className="text-white/30 font-mono text-[10px]">
+                {BASE_ADDR + k * ELEM_SIZE}
+              </span>
+            </button>
+          );
+        })}
+      </div>
+      <p className="text-white/40 text-xs">
+        {order === "row"
+          ? `Each coloured run is one row: row r starts at slot r × ${MATRIX_COLS}.`
+          : `Each coloured run is one column: column c starts at slot c × ${MATRIX_ROWS}.`}{" "}
+        Top number = slot, bottom = address (base {BASE_ADDR}, {ELEM_SIZE} bytes
+        each).
+      </p>
+    </div>
+  );
+}
+
+// ─── AR controls (shown in the shared AR HUD once the shelf is placed) ──────
+function ARControls({
   items,
   selectedIndex,
   activeTab,
@@ -505,372 +625,207 @@ function ARHud({
   onInsert,
   onDelete,
   onUpdate,
-  onReset,
+  onLinearSearch,
+  onBinarySearch,
+  isSearching,
+  search,
   setInput,
   setActiveTab,
-  log,
 }) {
-  if (!isAR) return null;
   return (
-    <div
-      style={{
-        position: "fixed",
-        inset: 0,
-        zIndex: 9999,
-        pointerEvents: "none",
-        fontFamily: "'Courier New',monospace",
-      }}
-    >
-      {placeState === PS.SCANNING && (
-        <div
-          style={{
-            position: "absolute",
-            bottom: 100,
-            left: 0,
-            right: 0,
-            display: "flex",
-            justifyContent: "center",
-            pointerEvents: "none",
-          }}
-        >
-          <div
+    <>
+      <div
+        style={{
+          display: "flex",
+          gap: 8,
+          justifyContent: "center",
+          flexWrap: "wrap",
+        }}
+      >
+        {[
+          ["access", "🔍", "Access"],
+          ["insert", "➕", "Insert"],
+          ["delete", "🗑️", "Delete"],
+          ["update", "✏️", "Update"],
+          ["search", "🔎", "Search"],
+        ].map(([tab, emoji, label]) => (
+          <button
+            key={tab}
+            onClick={() => setActiveTab(tab)}
             style={{
-              background: "rgba(0,0,0,0.65)",
-              border: "1px solid rgba(243,156,18,0.5)",
-              borderRadius: 16,
-              padding: "12px 24px",
-              color: "#f39c12",
-              fontSize: 14,
+              padding: "8px 14px",
+              borderRadius: 10,
+              fontSize: 12,
               fontWeight: "bold",
-              textAlign: "center",
-            }}
-          >
-            🎯 Point at a flat surface
-            <div
-              style={{
-                color: "rgba(255,255,255,0.6)",
-                fontSize: 12,
-                fontWeight: "normal",
-                marginTop: 4,
-              }}
-            >
-              {hasHit
-                ? "✨ Surface found — tap anywhere to place!"
-                : "Move your phone slowly until the ring appears"}
-            </div>
-          </div>
-        </div>
-      )}
-      {placeState === PS.PREVIEWING && (
-        <div
-          style={{
-            position: "absolute",
-            bottom: 80,
-            left: 16,
-            right: 16,
-            display: "flex",
-            flexDirection: "column",
-            alignItems: "center",
-            gap: 14,
-            pointerEvents: "auto",
-          }}
-        >
-          <div
-            style={{
-              background: "rgba(0,0,0,0.75)",
-              border: "1px solid rgba(243,156,18,0.4)",
-              borderRadius: 14,
-              padding: "12px 20px",
-              textAlign: "center",
+              border: "2px solid",
+              cursor: "pointer",
+              background: activeTab === tab ? "#f39c12" : "rgba(0,0,0,0.7)",
+              borderColor:
+                activeTab === tab ? "#f39c12" : "rgba(255,255,255,0.2)",
+              color: activeTab === tab ? "#1a1a1a" : "rgba(255,255,255,0.7)",
             }}
           >
-            <div
-              style={{
-                color: "#f39c12",
-                fontWeight: "bold",
-                fontSize: 15,
-                marginBottom: 4,
-              }}
-            >
-              📐 Shelf Preview
-            </div>
-            <div style={{ color: "rgba(255,255,255,0.55)", fontSize: 12 }}>
-              Happy with the position?
-            </div>
-          </div>
-          <div style={{ display: "flex", gap: 12 }}>
-            <button
-              onClick={onReplace}
-              style={{
-                padding: "12px 24px",
-                borderRadius: 12,
-                border: "2px solid rgba(255,255,255,0.25)",
-                background: "rgba(0,0,0,0.75)",
-                color: "#fff",
-                fontWeight: "bold",
-                fontSize: 14,
-                cursor: "pointer",
-              }}
-            >
-              🔄 Re-place
-            </button>
-            <button
-              onClick={onConfirm}
-              style={{
-                padding: "12px 28px",
-                borderRadius: 12,
-                border: "none",
-                background: "linear-gradient(135deg,#f39c12,#e67e22)",
-                color: "#1a1a1a",
-                fontWeight: "bold",
-                fontSize: 14,
-                cursor: "pointer",
-                boxShadow: "0 0 20px rgba(243,156,18,0.5)",
-              }}
-            >
-              ✅ Confirm
+            {emoji} {label}
+          </button>
+        ))}
+      </div>
+      <div
+        style={{
+          background: "rgba(0,0,0,0.8)",
+          border: "1px solid rgba(255,255,255,0.1)",
+          borderRadius: 14,
+          padding: "14px 16px",
+        }}
+      >
+        {activeTab === "access" && (
+          <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+            <span style={lS}>Index</span>
+            <input
+              type="number"
+              min={0}
+              max={items.length - 1}
+              value={inputs.accessIdx}
+              onChange={(e) => setInput("accessIdx", e.target.value)}
+              style={iS}
+            />
+            <button onClick={onAccess} style={{ ...bS, background: "#2980b9" }}>
+              Access <small style={{ color: "#7fe0a0" }}>O(1)</small>
             </button>
           </div>
-        </div>
-      )}
-      {placeState === PS.CONFIRMED && (
-        <>
+        )}
+        {activeTab === "insert" && (
           <div
             style={{
-              position: "absolute",
-              top: 16,
-              left: 16,
-              right: 16,
-              background: "rgba(0,0,0,0.7)",
-              border: "1px solid rgba(243,156,18,0.3)",
-              borderRadius: 12,
-              padding: "8px 14px",
               display: "flex",
-              justifyContent: "space-between",
               alignItems: "center",
-              pointerEvents: "auto",
+              gap: 8,
+              flexWrap: "wrap",
             }}
           >
-            <span
-              style={{ color: "#f39c12", fontWeight: "bold", fontSize: 13 }}
+            <span style={lS}>Index</span>
+            <input
+              type="number"
+              min={0}
+              max={items.length}
+              value={inputs.insertIdx}
+              onChange={(e) => setInput("insertIdx", e.target.value)}
+              style={iS}
+            />
+            <select
+              value={inputs.insertProduct}
+              onChange={(e) => setInput("insertProduct", e.target.value)}
+              style={sS}
             >
-              🛒 GROCERY SHELF — AR
-            </span>
-            <span style={{ color: "rgba(255,255,255,0.6)", fontSize: 11 }}>
-              Array[{items.length}]
-              {selectedIndex !== null
-                ? ` · [${selectedIndex}]="${items[selectedIndex]}"`
-                : ""}
-            </span>
+              {PRODUCTS.map((p) => (
+                <option key={p} value={p}>
+                  {PRODUCT_EMOJIS[p]} {p}
+                </option>
+              ))}
+            </select>
+            <button onClick={onInsert} style={{ ...bS, background: "#27ae60" }}>
+              Insert <small style={{ color: "#ff9e9e" }}>O(n)</small>
+            </button>
           </div>
+        )}
+        {activeTab === "delete" && (
+          <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+            <span style={lS}>Index</span>
+            <input
+              type="number"
+              min={0}
+              max={items.length - 1}
+              value={inputs.deleteIdx}
+              onChange={(e) => setInput("deleteIdx", e.target.value)}
+              style={iS}
+            />
+            <button onClick={onDelete} style={{ ...bS, background: "#c0392b" }}>
+              Delete <small style={{ color: "#ff9e9e" }}>O(n)</small>
+            </button>
+          </div>
+        )}
+        {activeTab === "update" && (
           <div
             style={{
-              position: "absolute",
-              bottom: 200,
-              left: 16,
-              right: 16,
               display: "flex",
+              alignItems: "center",
               gap: 8,
-              justifyContent: "center",
-              pointerEvents: "auto",
+              flexWrap: "wrap",
             }}
           >
-            {[
-              ["access", "🔍", "Access"],
-              ["insert", "➕", "Insert"],
-              ["delete", "🗑️", "Delete"],
-              ["update", "✏️", "Update"],
-            ].map(([tab, emoji, label]) => (
-              <button
-                key={tab}
-                onClick={() => setActiveTab(tab)}
-                style={{
-                  padding: "8px 14px",
-                  borderRadius: 10,
-                  fontSize: 12,
-                  fontWeight: "bold",
-                  border: "2px solid",
-                  cursor: "pointer",
-                  background: activeTab === tab ? "#f39c12" : "rgba(0,0,0,0.7)",
-                  borderColor:
-                    activeTab === tab ? "#f39c12" : "rgba(255,255,255,0.2)",
-                  color:
-                    activeTab === tab ? "#1a1a1a" : "rgba(255,255,255,0.7)",
-                }}
-              >
-                {emoji} {label}
-              </button>
-            ))}
-          </div>
-          <div
-            style={{
-              position: "absolute",
-              bottom: 80,
-              left: 16,
-              right: 16,
-              background: "rgba(0,0,0,0.8)",
-              border: "1px solid rgba(255,255,255,0.1)",
-              borderRadius: 14,
-              padding: "14px 16px",
-              pointerEvents: "auto",
-            }}
-          >
-            {activeTab === "access" && (
-              <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
-                <span style={lS}>Index</span>
-                <input
-                  type="number"
-                  min={0}
-                  max={items.length - 1}
-                  value={inputs.accessIdx}
-                  onChange={(e) => setInput("accessIdx", e.target.value)}
-                  style={iS}
-                />
-                <button
-                  onClick={onAccess}
-                  style={{ ...bS, background: "#2980b9" }}
-                >
-                  Access <small style={{ color: "#7fe0a0" }}>O(1)</small>
-                </button>
-              </div>
-            )}
-            {activeTab === "insert" && (
-              <div
-                style={{
-                  display: "flex",
-                  alignItems: "center",
-                  gap: 8,
-                  flexWrap: "wrap",
-                }}
-              >
-                <span style={lS}>Index</span>
-                <input
-                  type="number"
-                  min={0}
-                  max={items.length}
-                  value={inputs.insertIdx}
-                  onChange={(e) => setInput("insertIdx", e.target.value)}
-                  style={iS}
-                />
-                <select
-                  value={inputs.insertProduct}
-                  onChange={(e) => setInput("insertProduct", e.target.value)}
-                  style={sS}
-                >
-                  {PRODUCTS.map((p) => (
-                    <option key={p} value={p}>
-                      {PRODUCT_EMOJIS[p]} {p}
-                    </option>
-                  ))}
-                </select>
-                <button
-                  onClick={onInsert}
-                  style={{ ...bS, background: "#27ae60" }}
-                >
-                  Insert <small style={{ color: "#ff9e9e" }}>O(n)</small>
-                </button>
-              </div>
-            )}
-            {activeTab === "delete" && (
-              <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
-                <span style={lS}>Index</span>
-                <input
-                  type="number"
-                  min={0}
-                  max={items.length - 1}
-                  value={inputs.deleteIdx}
-                  onChange={(e) => setInput("deleteIdx", e.target.value)}
-                  style={iS}
-                />
-                <button
-                  onClick={onDelete}
-                  style={{ ...bS, background: "#c0392b" }}
-                >
-                  Delete <small style={{ color: "#ff9e9e" }}>O(n)</small>
-                </button>
-              </div>
-            )}
-            {activeTab === "update" && (
-              <div
-                style={{
-                  display: "flex",
-                  alignItems: "center",
-                  gap: 8,
-                  flexWrap: "wrap",
-                }}
-              >
-                <span style={lS}>Replace with</span>
-                <select
-                  value={inputs.updateProduct}
-                  onChange={(e) => setInput("updateProduct", e.target.value)}
-                  style={sS}
-                >
-                  {PRODUCTS.map((p) => (
-                    <option key={p} value={p}>
-                      {PRODUCT_EMOJIS[p]} {p}
-                    </option>
-                  ))}
-                </select>
-                <button
-                  onClick={onUpdate}
-                  disabled={selectedIndex === null}
-                  style={{
-                    ...bS,
-                    background: selectedIndex === null ? "#555" : "#8e44ad",
-                    cursor: selectedIndex === null ? "not-allowed" : "pointer",
-                  }}
-                >
-                  Update [{selectedIndex ?? "?"}]{" "}
-                  <small style={{ color: "#7fe0a0" }}>O(1)</small>
-                </button>
-              </div>
-            )}
-            {log.length > 0 && (
-              <div
-                style={{
-                  marginTop: 10,
-                  fontSize: 11,
-                  color:
-                    log[0].type === "success"
-                      ? "#7fe0a0"
-                      : log[0].type === "error"
-                        ? "#ff8080"
-                        : "#f39c12",
-                  borderTop: "1px solid rgba(255,255,255,0.1)",
-                  paddingTop: 8,
-                }}
-              >
-                {log[0].msg}
-              </div>
-            )}
+            <span style={lS}>Replace with</span>
+            <select
+              value={inputs.updateProduct}
+              onChange={(e) => setInput("updateProduct", e.target.value)}
+              style={sS}
+            >
+              {PRODUCTS.map((p) => (
+                <option key={p} value={p}>
+                  {PRODUCT_EMOJIS[p]} {p}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={onUpdate}
+              disabled={selectedIndex === null}
+              style={{
+                ...bS,
+                background: selectedIndex === null ? "#555" : "#8e44ad",
+                cursor: selectedIndex === null ? "not-allowed" : "pointer",
+              }}
+            >
+              Update [{selectedIndex ?? "?"}]{" "}
+              <small style={{ color: "#7fe0a0" }}>O(1)</small>
+            </button>
           </div>
+        )}
+        {activeTab === "search" && (
           <div
             style={{
-              position: "absolute",
-              bottom: 20,
-              left: 16,
-              right: 16,
               display: "flex",
+              alignItems: "center",
               gap: 8,
-              pointerEvents: "auto",
+              flexWrap: "wrap",
             }}
           >
+            <span style={lS}>Find</span>
+            <select
+              value={inputs.searchProduct}
+              onChange={(e) => setInput("searchProduct", e.target.value)}
+              style={sS}
+            >
+              {PRODUCTS.map((p) => (
+                <option key={p} value={p}>
+                  {PRODUCT_EMOJIS[p]} {p}
+                </option>
+              ))}
+            </select>
             <button
-              onClick={onReset}
-              style={{ ...bS, background: "rgba(255,255,255,0.1)", flex: 1 }}
+              onClick={onLinearSearch}
+              disabled={isSearching}
+              style={{ ...bS, background: "#2980b9" }}
             >
-              🔄 Reset
+              Linear <small style={{ color: "#ff9e9e" }}>O(n)</small>
             </button>
             <button
-              onClick={onExit}
-              style={{ ...bS, background: "rgba(180,30,30,0.7)", flex: 1 }}
+              onClick={onBinarySearch}
+              disabled={isSearching || !isShelfSorted(items)}
+              style={{
+                ...bS,
+                background: isShelfSorted(items) ? "#16a085" : "#555",
+                cursor: isShelfSorted(items) ? "pointer" : "not-allowed",
+              }}
             >
-              ✕ Exit AR
+              Binary <small style={{ color: "#7fe0a0" }}>O(log n)</small>
             </button>
-          </div>
-        </>
-      )}
-    </div>
+            {search && (
+              <div style={{ width: "100%", fontSize: 11, color: "#f7dc6f" }}>
+                {search.text} · {search.comps} cmp
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </>
   );
 }
 
@@ -932,6 +887,19 @@ function ARUnsupportedBanner() {
 
 // ─── Main Export ──────────────────────────────────────────────────────────────
 export default function GroceryShelf() {
+  // Fixed shelf: a full insert pushes the last product off the end
+  const [shelf] = useState(
+    () =>
+      new ArrayModel({ items: INITIAL_ITEMS, blank: "empty", onFull: "drop" }),
+  );
+  const [dynShelf] = useState(
+    () =>
+      new ArrayModel({
+        ...DYN_START,
+        onFull: "grow",
+        maxCapacity: DYN_MAX_CAP,
+      }),
+  );
   const [items, setItems] = useState([...INITIAL_ITEMS]);
   const [selectedIndex, setSelectedIndex] = useState(null);
   const [activeTab, setActiveTab] = useState("access");
@@ -942,115 +910,544 @@ export default function GroceryShelf() {
     deleteIdx: 0,
     insertProduct: "milk",
     updateProduct: "juice",
+    searchProduct: "milk",
+    row: 0,
+    col: 0,
   });
-  const [isAR, setIsAR] = useState(false);
-  const [placeState, setPlaceState] = useState(PS.SCANNING);
-  const [anchorPos, setAnchorPos] = useState(null);
-  const [hasHit, setHasHit] = useState(false);
-  const [showDebug, setShowDebug] = useState(true); // ON by default so you can see it
-  const arSupported = useARSupport();
+  const [layout, setLayout] = useState("array"); // array | dynamic | matrix
+  const [dyn, setDyn] = useState({ ...DYN_START, items: [...DYN_START.items] });
+  const [growth, setGrowth] = useState(null); // in-flight 2× grow animation
+  const [costs, setCosts] = useState([]); // one entry per dynamic insert
+  const [matrix, setMatrix] = useState(() => INITIAL_MATRIX.map((r) => [...r]));
+  const [order, setOrder] = useState("row"); // row- or column-major storage
+  const [cell, setCell] = useState(null); // row-major id of the picked box
+  const [search, setSearch] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
+  const searchTimers = useRef([]);
 
   const addLog = (msg, type = "info") =>
     setLog((p) => [{ msg, type, id: Date.now() }, ...p].slice(0, 8));
   const setInput = (k, v) => setInputs((p) => ({ ...p, [k]: v }));
 
+  useEffect(() => () => searchTimers.current.forEach(clearTimeout), []);
+
+  const stopSearch = () => {
+    searchTimers.current.forEach(clearTimeout);
+    searchTimers.current = [];
+    setIsSearching(false);
+    setSearch(null);
+    setGrowth(null);
+  };
+
   const handleSelect = (idx) => {
+    if (layout === "matrix") return handleSelectCell(idx);
+    if (layout === "dynamic") {
+      setSelectedIndex((p) => (p === idx ? null : idx));
+      return addLog(
+        idx < dyn.items.length
+          ? `Selected [${idx}] → "${dyn.items[idx]}"`
+          : `[${idx}] is spare capacity — allocated but not part of the array yet`,
+        "select",
+      );
+    }
     setSelectedIndex((p) => (p === idx ? null : idx));
     addLog(`Selected [${idx}] → "${items[idx]}"`, "select");
   };
-  const handleAccess = () => {
-    const i = +inputs.accessIdx;
-    if (i < 0 || i >= items.length)
+  useModelEvents(shelf, (e) => {
+    if (e.type === "outOfBounds")
       return addLog("⚠️ Index out of bounds!", "error");
-    setSelectedIndex(i);
-    addLog(`✅ Access [${i}] → "${items[i]}"  ·  O(1)`, "success");
-  };
+    if (e.type === "access") {
+      setSelectedIndex(e.index);
+      return addLog(
+        `✅ Access [${e.index}] → "${e.value}"  ·  ${e.complexity}`,
+        "success",
+      );
+    }
+    if (e.type === "overflow")
+      return addLog(
+        `⚠️ Shelf was full — "${e.dropped}" got pushed off the end. A fixed array can't grow; try the dynamic array.`,
+        "error",
+      );
+    setItems(shelf.toArray());
+    if (e.type === "insert") {
+      setSelectedIndex(e.index);
+      addLog(
+        `➕ Insert "${e.value}" at [${e.index}]  ·  ${e.complexity}`,
+        "success",
+      );
+    } else if (e.type === "remove") {
+      setSelectedIndex(null);
+      addLog(
+        `🗑️ Delete [${e.index}] "${e.value}"  ·  ${e.complexity}`,
+        "success",
+      );
+    } else if (e.type === "update" && e.items) {
+      setSelectedIndex(null);
+      addLog("🔤 Shelf sorted A→Z — binary search is now allowed", "info");
+    } else if (e.type === "update") {
+      addLog(
+        `✏️ Update [${e.index}] "${e.previous}" → "${e.value}"  ·  ${e.complexity}`,
+        "success",
+      );
+    } else if (e.type === "restore") {
+      setSelectedIndex(null);
+      addLog(`🕘 Shelf back to [${e.items.join(", ")}]`, "info");
+    }
+  });
+
+  const handleAccess = () => shelf.access(+inputs.accessIdx);
   const handleInsert = () => {
-    const i = +inputs.insertIdx;
-    if (i < 0 || i > items.length)
-      return addLog("⚠️ Index out of bounds!", "error");
-    const n = [...items];
-    n.splice(i, 0, inputs.insertProduct);
-    setItems(n.slice(0, INITIAL_ITEMS.length));
-    setSelectedIndex(i);
-    addLog(`➕ Insert "${inputs.insertProduct}" at [${i}]  ·  O(n)`, "success");
+    if (isSearching) return;
+    setSearch(null);
+    shelf.insert(+inputs.insertIdx, inputs.insertProduct);
   };
   const handleDelete = () => {
-    const i = +inputs.deleteIdx;
-    if (i < 0 || i >= items.length)
-      return addLog("⚠️ Index out of bounds!", "error");
-    const r = items[i];
-    const n = [...items];
-    n.splice(i, 1);
-    n.push("empty");
-    setItems(n);
-    setSelectedIndex(null);
-    addLog(`🗑️ Delete [${i}] "${r}"  ·  O(n)`, "success");
+    if (isSearching) return;
+    setSearch(null);
+    shelf.remove(+inputs.deleteIdx);
   };
   const handleUpdate = () => {
+    if (isSearching) return;
+    setSearch(null);
     if (selectedIndex === null)
       return addLog("⚠️ Select an item first!", "error");
-    const o = items[selectedIndex];
-    const n = [...items];
-    n[selectedIndex] = inputs.updateProduct;
-    setItems(n);
-    addLog(
-      `✏️ Update [${selectedIndex}] "${o}" → "${inputs.updateProduct}"  ·  O(1)`,
-      "success",
+    shelf.update(selectedIndex, inputs.updateProduct);
+  };
+  // ── Search: each frame is a snapshot of the highlighted boxes ──
+  const playSearch = (frames, onDone, stepMs = SEARCH_STEP_MS) => {
+    searchTimers.current.forEach(clearTimeout);
+    setIsSearching(true);
+    searchTimers.current = frames.map((f, k) =>
+      setTimeout(() => setSearch(f), k * stepMs),
+    );
+    searchTimers.current.push(
+      setTimeout(() => {
+        setIsSearching(false);
+        onDone();
+      }, frames.length * stepMs),
     );
   };
-  const handleReset = () => {
-    setItems([...INITIAL_ITEMS]);
-    setSelectedIndex(null);
-    setLog([]);
+
+  const handleLinearSearch = () => {
+    if (isSearching) return;
+    const target = inputs.searchProduct;
+    const frames = [];
+    const eliminated = [];
+    let found = null;
+    for (let i = 0; i < items.length; i++) {
+      frames.push({
+        checking: i,
+        eliminated: [...eliminated],
+        found: null,
+        comps: i + 1,
+        text: `Check [${i}] = "${items[i]}" ${items[i] === target ? "✓ match" : `≠ "${target}"`}`,
+      });
+      if (items[i] === target) {
+        found = i;
+        break;
+      }
+      eliminated.push(i);
+    }
+    const comps = found === null ? items.length : found + 1;
+    frames.push({
+      checking: null,
+      eliminated,
+      found,
+      comps,
+      text:
+        found === null
+          ? `"${target}" is not on the shelf`
+          : `Found "${target}" at [${found}]`,
+    });
+    playSearch(frames, () =>
+      addLog(
+        `🔎 Linear search "${target}" → ${found === null ? "not found" : `[${found}]`} · ${comps} comparison${comps === 1 ? "" : "s"}  ·  O(n)`,
+        found === null ? "error" : "success",
+      ),
+    );
   };
 
-  const handleEnterAR = useCallback(async () => {
-    debugLines.length = 0; // clear debug on enter
-    dbg("entering AR...");
-    setPlaceState(PS.SCANNING);
-    setAnchorPos(null);
-    setHasHit(false);
-    try {
-      await xrStore.enterAR({ requiredFeatures: ["local", "hit-test"] });
-      dbg("xrStore.enterAR() resolved");
-    } catch (e) {
-      dbg(`enterAR FAILED: ${e}`);
-      // try without options as fallback
-      try {
-        await xrStore.enterAR();
-        dbg("xrStore.enterAR() (no opts) resolved");
-      } catch (e2) {
-        dbg(`enterAR (no opts) FAILED: ${e2}`);
+  const handleBinarySearch = () => {
+    if (isSearching) return;
+    if (!isShelfSorted(items))
+      return addLog(
+        "⚠️ Binary search needs a sorted shelf — sort it first!",
+        "error",
+      );
+    const target = inputs.searchProduct;
+    const n = items.filter((p) => p !== "empty").length;
+    const frames = [];
+    const eliminated = items.map((_, i) => i).filter((i) => i >= n);
+    let low = 0;
+    let high = n - 1;
+    let comps = 0;
+    let found = null;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      comps++;
+      const cmp =
+        items[mid] === target
+          ? "match"
+          : items[mid] < target
+            ? "right"
+            : "left";
+      frames.push({
+        low,
+        mid,
+        high,
+        checking: mid,
+        eliminated: [...eliminated],
+        found: null,
+        comps,
+        text: `mid = ⌊(${low} + ${high}) / 2⌋ = ${mid} → "${items[mid]}" ${
+          cmp === "match"
+            ? "✓ match"
+            : cmp === "right"
+              ? `< "${target}", search the right half`
+              : `> "${target}", search the left half`
+        }`,
+      });
+      if (cmp === "match") {
+        found = mid;
+        break;
       }
+      const [from, to] = cmp === "right" ? [low, mid] : [mid, high];
+      for (let i = from; i <= to; i++) eliminated.push(i);
+      if (cmp === "right") low = mid + 1;
+      else high = mid - 1;
     }
-    setIsAR(true);
-  }, []);
+    frames.push({
+      low: found === null ? null : low,
+      high: found === null ? null : high,
+      checking: null,
+      eliminated,
+      found,
+      comps,
+      text:
+        found === null
+          ? `low > high — "${target}" is not on the shelf`
+          : `Found "${target}" at [${found}]`,
+    });
+    playSearch(frames, () =>
+      addLog(
+        `🎯 Binary search "${target}" → ${found === null ? "not found" : `[${found}]`} · ${comps} comparison${comps === 1 ? "" : "s"}  ·  O(log n)`,
+        found === null ? "error" : "success",
+      ),
+    );
+  };
 
-  const handleExitAR = useCallback(() => {
-    try {
-      xrStore.getState()?.session?.end();
-    } catch (_) {}
-    setIsAR(false);
-    setPlaceState(PS.SCANNING);
-    setAnchorPos(null);
-    setHasHit(false);
-  }, []);
+  const handleSortShelf = () => {
+    if (isSearching) return;
+    const filled = items.filter((p) => p !== "empty").sort();
+    setSearch(null);
+    shelf.assign([
+      ...filled,
+      ...Array(items.length - filled.length).fill("empty"),
+    ]);
+  };
+
+  // ── Dynamic array mode ──
+  // Each insert costs 1 write + 1 per item shifted or copied (event.steps)
+  const recordCost = (e) =>
+    setCosts((p) => [
+      ...p,
+      { id: e.seq, label: e.label, cost: e.steps, copies: e.copied },
+    ]);
 
-  const handlePlacePreview = useCallback((pos) => {
-    dbg(
-      `handlePlacePreview called: ${JSON.stringify({ x: pos.x.toFixed(2), y: pos.y.toFixed(2), z: pos.z.toFixed(2) })}`,
+  const playGrowth = (e) => {
+    const { from, fromCapacity: fromCap, toCapacity: toCap } = e.grew;
+    const base = { from, fromCap, toCap };
+    const frames = [
+      {
+        ...base,
+        phase: "allocate",
+        copied: 0,
+        text: `Full (${from.length} / ${fromCap}) — allocate a new shelf with capacity ${toCap}`,
+      },
+      ...from.map((p, k) => ({
+        ...base,
+        phase: "copy",
+        copied: k + 1,
+        text: `Copy [${k}] "${p}" to the new shelf`,
+      })),
+      {
+        ...base,
+        phase: "release",
+        copied: from.length,
+        text: `Release the old shelf — capacity is now ${toCap}`,
+      },
+    ];
+    searchTimers.current.forEach(clearTimeout);
+    setIsSearching(true);
+    searchTimers.current = frames.map((f, k) =>
+      setTimeout(() => setGrowth(f), k * GROW_STEP_MS),
     );
-    setAnchorPos(pos);
-    setPlaceState(PS.PREVIEWING);
-  }, []);
+    searchTimers.current.push(
+      setTimeout(
+        () => {
+          setIsSearching(false);
+          setGrowth(null);
+          setDyn({ items: dynShelf.toArray(), capacity: dynShelf.capacity });
+          setSelectedIndex(e.index);
+          recordCost(e);
+          addLog(
+            `📦 Grew ${fromCap} → ${toCap}, copied ${e.copied} item${e.copied === 1 ? "" : "s"}, then ${e.label}  ·  ${e.complexity} this time`,
+            "success",
+          );
+        },
+        (frames.length + 1) * GROW_STEP_MS,
+      ),
+    );
+  };
 
-  const handleConfirm = useCallback(() => setPlaceState(PS.CONFIRMED), []);
-  const handleReplace = useCallback(() => {
-    setAnchorPos(null);
-    setHasHit(false);
-    setPlaceState(PS.SCANNING);
-  }, []);
+  useModelEvents(dynShelf, (e) => {
+    if (e.type === "outOfBounds")
+      return addLog("⚠️ Index out of bounds!", "error");
+    if (e.type === "overflow")
+      return addLog(
+        `⚠️ Capacity ${e.capacity} is full and this demo stops at ${DYN_MAX_CAP} — pop something first`,
+        "error",
+      );
+    if (e.type === "underflow")
+      return addLog("⚠️ Array is empty — nothing to pop", "error");
+    if (e.type === "access") {
+      setSelectedIndex(e.index);
+      return addLog(
+        `✅ Access [${e.index}] → "${e.value}"  ·  ${e.complexity}`,
+        "success",
+      );
+    }
+    if (e.type === "insert") {
+      const label =
+        e.index === dynShelf.size - 1 && e.shifted === 0
+          ? `append "${e.value}"`
+          : `insert "${e.value}" at [${e.index}]`;
+      setSearch(null);
+      setSelectedIndex(null);
+      if (e.grew) return playGrowth({ ...e, label });
+      setDyn({ items: dynShelf.toArray(), capacity: dynShelf.capacity });
+      setSelectedIndex(e.index);
+      recordCost({ ...e, label });
+      return addLog(
+        `➕ ${label} → size ${dynShelf.size} / capacity ${dynShelf.capacity}${e.shifted ? ` · shifted ${e.shifted}` : ""}  ·  ${e.complexity}`,
+        "success",
+      );
+    }
+    setDyn({ items: dynShelf.toArray(), capacity: dynShelf.capacity });
+    if (e.type === "remove") {
+      setSelectedIndex(null);
+      addLog(
+        `🗑️ ${e.op === "pop" ? "Pop" : `Remove [${e.index}]`} "${e.value}" → size ${dynShelf.size} / capacity ${dynShelf.capacity}  ·  ${e.complexity}`,
+        "success",
+      );
+    } else if (e.type === "update") {
+      setSelectedIndex(e.index);
+      addLog(
+        `✏️ Update [${e.index}] "${e.previous}" → "${e.value}"  ·  ${e.complexity}`,
+        "success",
+      );
+    } else if (e.type === "restore") {
+      // The cost chart only covers inserts made after the jump
+      setSelectedIndex(null);
+      setCosts([]);
+      addLog(
+        `🕘 Back to size ${e.items.length} / capacity ${e.capacity} — cost chart restarts here`,
+        "info",
+      );
+    }
+  });
+
+  const describeShelf = (e) =>
+    e.type === "insert"
+      ? `insert ${e.value} @${e.index}`
+      : e.type === "remove"
+        ? `delete @${e.index}`
+        : e.items
+          ? "sort A→Z"
+          : `update @${e.index} ${e.value}`;
+  const shelfTrace = useCodeTrace(shelf, arrayPrograms, {
+    format: (p) => `"${p}"`,
+    stepMs: SEARCH_STEP_MS / 2,
+  });
+  const dynTrace = useCodeTrace(dynShelf, dynamicArrayPrograms, {
+    format: (p) => `"${p}"`,
+    stepMs: GROW_STEP_MS,
+  });
+
+  const shelfTimeline = useTimeline(shelf, {
+    describe: describeShelf,
+    busy: isSearching,
+  });
+  const dynTimeline = useTimeline(dynShelf, {
+    describe: (e) => (e.op === "pop" ? `pop ${e.value}` : describeShelf(e)),
+    busy: isSearching,
+  });
+
+  const shelfLab = useCodeLab(shelf, {
+    kind: "array",
+    name: "shelf",
+    values: PRODUCTS,
+    busy: isSearching,
+  });
+  const dynLab = useCodeLab(dynShelf, {
+    kind: "array",
+    name: "shelf",
+    values: PRODUCTS,
+    busy: isSearching,
+  });
+  const lab = layout === "dynamic" ? dynLab : shelfLab;
+
+  const handleAppend = () => {
+    if (isSearching) return;
+    dynShelf.push(inputs.insertProduct);
+  };
+  const handleDynInsert = () => {
+    if (isSearching) return;
+    dynShelf.insert(+inputs.insertIdx, inputs.insertProduct);
+  };
+  const handlePop = () => {
+    if (isSearching) return;
+    dynShelf.pop();
+  };
+
+  // ── Matrix mode ──
+  const addressOf = (r, c) => BASE_ADDR + memOffset(r, c, order) * ELEM_SIZE;
+  const formulaOf = (r, c) =>
+    order === "row"
+      ? `${BASE_ADDR} + (${r} × ${MATRIX_COLS} + ${c}) × ${ELEM_SIZE} = ${addressOf(r, c)}`
+      : `${BASE_ADDR} + (${c} × ${MATRIX_ROWS} + ${r}) × ${ELEM_SIZE} = ${addressOf(r, c)}`;
+
+  const handleLayout = (next) => {
+    if (next === layout) return;
+    stopSearch();
+    shelfTimeline.stop();
+    dynTimeline.stop();
+    shelfLab.stop();
+    dynLab.stop();
+    setLayout(next);
+    setSelectedIndex(null);
+    setCell(null);
+    setActiveTab(next === "dynamic" ? "append" : "access");
+    addLog(
+      next === "matrix"
+        ? `▦ Matrix mode — ${MATRIX_ROWS} rows × ${MATRIX_COLS} columns, read with [row][col]`
+        : next === "dynamic"
+          ? `↔ Dynamic array — size ${dyn.items.length}, capacity ${dyn.capacity}; it doubles when full`
+          : "▭ Back to the fixed 1D shelf",
+      "info",
+    );
+  };
+
+  const handleOrder = (next) => {
+    if (next === order || isSearching) return;
+    setOrder(next);
+    addLog(
+      next === "row"
+        ? "🧱 Row-major — each row is stored one after another (C, Java, JS)"
+        : "🧱 Column-major — each column is stored one after another (Fortran, MATLAB)",
+      "info",
+    );
+  };
+
+  const handleSelectCell = (id) => {
+    const [r, c] = cellOf(id);
+    setCell((p) => (p === id ? null : id));
+    addLog(`Selected [${r}][${c}] → "${matrix[r][c]}"`, "select");
+  };
+
+  const handleMatrixAccess = () => {
+    const r = +inputs.row;
+    const c = +inputs.col;
+    if (r < 0 || r >= MATRIX_ROWS || c < 0 || c >= MATRIX_COLS)
+      return addLog("⚠️ Row or column out of bounds!", "error");
+    setCell(cellId(r, c));
+    addLog(
+      `✅ Access [${r}][${c}] → "${matrix[r][c]}" at address ${addressOf(r, c)}  ·  O(1)`,
+      "success",
+    );
+  };
+
+  const handleMatrixUpdate = () => {
+    if (isSearching) return;
+    if (cell === null) return addLog("⚠️ Select a box first!", "error");
+    const [r, c] = cellOf(cell);
+    const o = matrix[r][c];
+    setMatrix((m) =>
+      m.map((row, i) =>
+        i === r ? row.map((p, j) => (j === c ? inputs.updateProduct : p)) : row,
+      ),
+    );
+    addLog(
+      `✏️ Update [${r}][${c}] "${o}" → "${inputs.updateProduct}"  ·  O(1)`,
+      "success",
+    );
+  };
+
+  // Row traversal = for r { for c }, column traversal = for c { for r }
+  const handleTraverse = (dir) => {
+    if (isSearching) return;
+    setCell(null);
+    const path = [];
+    if (dir === "row") {
+      for (let r = 0; r < MATRIX_ROWS; r++)
+        for (let c = 0; c < MATRIX_COLS; c++) path.push([r, c]);
+    } else {
+      for (let c = 0; c < MATRIX_COLS; c++)
+        for (let r = 0; r < MATRIX_ROWS; r++) path.push([r, c]);
+    }
+    const stride =
+      dir === order ? 1 : order === "row" ? MATRIX_COLS : MATRIX_ROWS;
+    const frames = path.map(([r, c], k) => ({
+      checking: cellId(r, c),
+      visited: path.slice(0, k).map(([pr, pc]) => cellId(pr, pc)),
+      eliminated: [],
+      found: null,
+      comps: k + 1,
+      offset: memOffset(r, c, order),
+      text: `Visit [${r}][${c}] = "${matrix[r][c]}" → memory slot ${memOffset(r, c, order)} (address ${addressOf(r, c)})`,
+    }));
+    frames.push({
+      checking: null,
+      visited: path.map(([r, c]) => cellId(r, c)),
+      eliminated: [],
+      found: null,
+      comps: path.length,
+      offset: null,
+      text:
+        stride === 1
+          ? `Done — a ${dir} walk over ${order}-major storage reads memory in order (stride 1)`
+          : `Done — a ${dir} walk over ${order}-major storage jumps ${stride} slots each step`,
+    });
+    playSearch(
+      frames,
+      () =>
+        addLog(
+          `${dir === "row" ? "➡️ Row" : "⬇️ Column"} traversal · ${path.length} visits · memory stride ${stride}  ·  O(rows × cols)`,
+          "success",
+        ),
+      MATRIX_STEP_MS,
+    );
+  };
+
+  const handleReset = () => {
+    stopSearch();
+    shelf.reset();
+    dynShelf.reset();
+    setSelectedIndex(null);
+    setMatrix(INITIAL_MATRIX.map((r) => [...r]));
+    setCell(null);
+    setCosts([]);
+    setLog([]);
+  };
+
+  // The AR controls only drive the 1D shelf
+  const ar = useARPlacement(xrStore, {
+    onEnter: () => {
+      handleLayout("array");
+      setActiveTab("access");
+    },
+  });
+  const isAR = ar.isAR;
 
   const tabBtn = (tab, emoji, label) => (
     <button
@@ -1067,37 +1464,52 @@ export default function GroceryShelf() {
       className="flex flex-col gap-4 w-full"
       style={{ fontFamily: "'Courier New',monospace" }}
     >
-      {/* Debug overlay — visible in AR */}
-      <DebugOverlay visible={isAR && showDebug} />
-
-      <ARHud
-        isAR={isAR}
-        placeState={placeState}
-        hasHit={hasHit}
-        onConfirm={handleConfirm}
-        onReplace={handleReplace}
-        onExit={handleExitAR}
-        items={items}
-        selectedIndex={selectedIndex}
-        activeTab={activeTab}
-        inputs={inputs}
-        onAccess={handleAccess}
-        onInsert={handleInsert}
-        onDelete={handleDelete}
-        onUpdate={handleUpdate}
-        onReset={handleReset}
-        setInput={setInput}
-        setActiveTab={setActiveTab}
+      <ARPlacementHud
+        placement={ar}
+        title="🛒 GROCERY SHELF — AR"
+        status={`Array[${items.length}]${selectedIndex !== null ? ` · [${selectedIndex}]="${items[selectedIndex]}"` : ""}`}
         log={log}
-      />
+        actions={[{ label: "🔄 Reset", onClick: handleReset }]}
+      >
+        <ARControls
+          items={items}
+          selectedIndex={selectedIndex}
+          activeTab={activeTab}
+          inputs={inputs}
+          onAccess={handleAccess}
+          onInsert={handleInsert}
+          onDelete={handleDelete}
+          onUpdate={handleUpdate}
+          onLinearSearch={handleLinearSearch}
+          onBinarySearch={handleBinarySearch}
+          isSearching={isSearching}
+          search={search}
+          setInput={setInput}
+          setActiveTab={setActiveTab}
+        />
+      </ARPlacementHud>
 
       <div className="text-center">
         <h2 className="text-3xl font-bold text-amber-300 tracking-widest">
           🛒 GROCERY SHELF
         </h2>
         <p className="text-white/50 text-sm mt-1">
-          Array[{items.length}]
-          {selectedIndex !== null && (
+          {layout === "matrix"
+            ? `Matrix[${MATRIX_ROWS}][${MATRIX_COLS}]`
+            : layout === "dynamic"
+              ? `DynamicArray · size ${dyn.items.length} / capacity ${dyn.capacity}`
+              : `Array[${items.length}]`}
+          {layout === "matrix" && cell !== null && (
+            <>
+              {" "}
+              &nbsp;·&nbsp; Selected:{" "}
+              <span className="text-amber-300 font-bold">
+                [{cellOf(cell)[0]}][{cellOf(cell)[1]}] = "
+                {matrix[cellOf(cell)[0]][cellOf(cell)[1]]}"
+              </span>
+            </>
+          )}
+          {layout === "array" && selectedIndex !== null && (
             <>
               {" "}
               &nbsp;·&nbsp; Selected:{" "}
@@ -1109,19 +1521,30 @@ export default function GroceryShelf() {
         </p>
       </div>
 
-      {arSupported === false && <ARUnsupportedBanner />}
+      {ar.supported === false && <ARUnsupportedBanner />}
 
       {!isAR && (
-        <div className="flex justify-between items-center">
-          <label className="flex items-center gap-2 text-white/50 text-sm cursor-pointer">
-            <input
-              type="checkbox"
-              checked={showDebug}
-              onChange={(e) => setShowDebug(e.target.checked)}
-            />
-            Show AR debug overlay
-          </label>
-          {arSupported === null && (
+        <div className="flex gap-2 justify-center">
+          {[
+            ["array", "▭ 1D Shelf"],
+            ["dynamic", "↔ Dynamic Array"],
+            ["matrix", "▦ 2D Matrix"],
+          ].map(([id, label]) => (
+            <button
+              key={id}
+              onClick={() => handleLayout(id)}
+              className={`px-4 py-1.5 rounded-lg text-sm font-bold transition-all border-2 ${layout === id ? "bg-amber-400 border-amber-400 text-gray-900" : "bg-transparent border-white/20 text-white/60 hover:border-amber-400/50 hover:text-white"}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {!isAR && (
+        <div className="flex justify-end items-center gap-3">
+          {ar.error && <p className="text-red-400 text-xs">{ar.error}</p>}
+          {ar.supported === null && (
             <button
               disabled
               className="px-5 py-2.5 rounded-xl bg-white/10 text-white/40 font-bold text-sm border-none"
@@ -1129,9 +1552,9 @@ export default function GroceryShelf() {
               Checking AR…
             </button>
           )}
-          {arSupported === true && (
+          {ar.supported === true && (
             <button
-              onClick={handleEnterAR}
+              onClick={ar.enter}
               className="px-5 py-2.5 rounded-xl border-none font-bold text-sm text-white cursor-pointer"
               style={{
                 background: "linear-gradient(135deg,#f39c12,#e67e22)",
@@ -1144,56 +1567,332 @@ export default function GroceryShelf() {
         </div>
       )}
 
-      <div
-        className="w-full rounded-2xl overflow-hidden border-2 border-amber-400/30 shadow-[0_0_40px_rgba(251,191,36,0.12)]"
-        style={{
-          height: 420,
-          background:
-            "linear-gradient(180deg,#0d1b2a 0%,#1a2f4e 60%,#0a1628 100%)",
-          display: isAR ? "none" : "block",
-        }}
-      >
-        <Canvas camera={{ position: [0, 1.5, 7.5], fov: 42 }} shadows>
-          <XR store={xrStore}>
-            <ShelfScene
-              items={items}
-              selectedIndex={selectedIndex}
-              onSelect={handleSelect}
-              isAR={isAR}
-              placeState={placeState}
-              anchorPos={anchorPos}
-              onPlacePreview={handlePlacePreview}
-              onHasHit={setHasHit}
-            />
-          </XR>
-        </Canvas>
+      <div className="flex flex-col xl:flex-row gap-4">
+        <div
+          className="w-full rounded-2xl overflow-hidden border-2 border-amber-400/30 shadow-[0_0_40px_rgba(251,191,36,0.12)]"
+          style={{
+            height: 420,
+            background:
+              "linear-gradient(180deg,#0d1b2a 0%,#1a2f4e 60%,#0a1628 100%)",
+            display: isAR ? "none" : "block",
+          }}
+        >
+          <Canvas camera={{ position: [0, 1.5, 7.5], fov: 42 }} shadows>
+            <XR store={xrStore}>
+              <ShelfScene
+                items={items}
+                matrix={layout === "matrix" ? matrix : null}
+                dynamic={layout === "dynamic" ? { ...dyn, growth } : null}
+                selectedIndex={layout === "matrix" ? cell : selectedIndex}
+                search={search}
+                onSelect={handleSelect}
+                ar={ar}
+              />
+            </XR>
+          </Canvas>
+        </div>
+        {!isAR && layout !== "matrix" && (
+          <CodePanel
+            trace={layout === "dynamic" ? dynTrace : shelfTrace}
+            accent="amber"
+            height={420}
+          />
+        )}
       </div>
 
       {!isAR && (
         <>
-          <div className="flex gap-1 flex-wrap justify-center">
-            {items.map((item, i) => (
-              <button
-                key={i}
-                onClick={() => handleSelect(i)}
-                className={`flex flex-col items-center px-2 py-1 rounded-lg border transition-all text-xs ${selectedIndex === i ? "border-amber-400 bg-amber-400/20 text-amber-300" : item === "empty" ? "border-white/10 bg-white/5 text-white/30" : "border-white/20 bg-white/10 text-white/80 hover:border-white/40"}`}
-              >
-                <span className="text-base leading-none">
-                  {PRODUCT_EMOJIS[item]}
-                </span>
-                <span className="font-mono font-bold">[{i}]</span>
-              </button>
-            ))}
-          </div>
+          {layout === "dynamic" ? (
+            <AmortizedChart costs={costs} />
+          ) : layout === "matrix" ? (
+            <MemoryStrip
+              matrix={matrix}
+              order={order}
+              cell={cell}
+              search={search}
+              isSearching={isSearching}
+              onOrder={handleOrder}
+              onSelect={handleSelectCell}
+            />
+          ) : (
+            <div className="flex gap-1 flex-wrap justify-center">
+              {items.map((item, i) => (
+                <button
+                  key={i}
+                  onClick={() => handleSelect(i)}
+                  className={`flex flex-col items-center px-2 py-1 rounded-lg border transition-all text-xs ${selectedIndex === i ? "border-amber-400 bg-amber-400/20 text-amber-300" : item === "empty" ? "border-white/10 bg-white/5 text-white/30" : "border-white/20 bg-white/10 text-white/80 hover:border-white/40"}`}
+                >
+                  <span className="text-base leading-none">
+                    {PRODUCT_EMOJIS[item]}
+                  </span>
+                  <span className="font-mono font-bold">[{i}]</span>
+                </button>
+              ))}
+            </div>
+          )}
+          {layout !== "matrix" && (
+            <TimelineBar
+              timeline={layout === "dynamic" ? dynTimeline : shelfTimeline}
+              accent="amber"
+              disabled={isSearching || lab.running}
+            />
+          )}
+          {layout !== "matrix" && (
+            <CodeLab
+              key={layout}
+              lab={lab}
+              kind="array"
+              name="shelf"
+              samples={["juice", "milk"]}
+              accent="amber"
+            />
+          )}
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
             <div className="bg-white/5 border border-white/10 rounded-2xl p-5">
               <div className="flex gap-2 mb-4 flex-wrap">
-                {tabBtn("access", "🔍", "Access")}
-                {tabBtn("insert", "➕", "Insert")}
-                {tabBtn("delete", "🗑️", "Delete")}
-                {tabBtn("update", "✏️", "Update")}
+                {layout === "dynamic" ? (
+                  <>
+                    {tabBtn("append", "➕", "Append")}
+                    {tabBtn("insert", "↪️", "Insert")}
+                    {tabBtn("pop", "🗑️", "Pop")}
+                  </>
+                ) : layout === "matrix" ? (
+                  <>
+                    {tabBtn("access", "🔍", "Access")}
+                    {tabBtn("update", "✏️", "Update")}
+                    {tabBtn("traverse", "🚶", "Traverse")}
+                  </>
+                ) : (
+                  <>
+                    {tabBtn("access", "🔍", "Access")}
+                    {tabBtn("insert", "➕", "Insert")}
+                    {tabBtn("delete", "🗑️", "Delete")}
+                    {tabBtn("update", "✏️", "Update")}
+                    {tabBtn("search", "🔎", "Search")}
+                  </>
+                )}
               </div>
-              {activeTab === "access" && (
+              {layout === "dynamic" && growth && (
+                <div className="mb-3 px-3 py-2 rounded-lg border border-yellow-400/30 bg-yellow-400/5 text-xs">
+                  <p className="text-yellow-200">{growth.text}</p>
+                  <p className="text-white/40 mt-1">
+                    Copied:{" "}
+                    <span className="text-yellow-300 font-bold">
+                      {growth.copied}
+                    </span>{" "}
+                    / {growth.from.length}
+                  </p>
+                </div>
+              )}
+              {layout === "dynamic" &&
+                (activeTab === "append" || activeTab === "insert") && (
+                  <div className="flex flex-col gap-3">
+                    <p className="text-white/50 text-xs">
+                      {activeTab === "append" ? (
+                        <>
+                          Write into the next spare slot —{" "}
+                          <span className="text-green-400 font-bold">O(1)</span>
+                          , or{" "}
+                          <span className="text-red-400 font-bold">O(n)</span>{" "}
+                          when it has to grow first
+                        </>
+                      ) : (
+                        <>
+                          Shift everything after the index right —{" "}
+                          <span className="text-red-400 font-bold">O(n)</span>,
+                          plus a grow if there is no spare slot
+                        </>
+                      )}
+                    </p>
+                    <div className="flex gap-2 items-center flex-wrap">
+                      {activeTab === "insert" && (
+                        <>
+                          <span className="text-white/60 text-sm">Index</span>
+                          <input
+                            type="number"
+                            min={0}
+                            max={dyn.items.length}
+                            value={inputs.insertIdx}
+                            onChange={(e) =>
+                              setInput("insertIdx", e.target.value)
+                            }
+                            className="w-20 px-3 py-2 bg-black/40 border border-white/20 rounded-lg text-amber-300 font-mono text-sm focus:outline-none focus:border-amber-400"
+                          />
+                        </>
+                      )}
+                      <select
+                        value={inputs.insertProduct}
+                        onChange={(e) =>
+                          setInput("insertProduct", e.target.value)
+                        }
+                        className="px-3 py-2 bg-black/40 border border-white/20 rounded-lg text-white text-sm focus:outline-none focus:border-amber-400"
+                      >
+                        {PRODUCTS.map((p) => (
+                          <option key={p} value={p}>
+                            {PRODUCT_EMOJIS[p]} {p}
+                          </option>
+                        ))}
+                      </select>
+                      <button
+                        onClick={
+                          activeTab === "append"
+                            ? handleAppend
+                            : handleDynInsert
+                        }
+                        disabled={isSearching}
+                        className="px-4 py-2 bg-green-600 hover:bg-green-500 disabled:opacity-40 disabled:cursor-not-allowed rounded-lg text-white text-sm font-bold transition-all"
+                      >
+                        {activeTab === "append" ? "Append" : "Insert"}
+                      </button>
+                    </div>
+                    <p className="text-white/30 text-xs">
+                      {dyn.items.length === dyn.capacity
+                        ? `Full — the next insert allocates capacity ${dyn.capacity * 2} and copies ${dyn.items.length} items`
+                        : `${dyn.capacity - dyn.items.length} spare slot${dyn.capacity - dyn.items.length === 1 ? "" : "s"} before the next grow`}
+                    </p>
+                  </div>
+                )}
+              {layout === "dynamic" && activeTab === "pop" && (
+                <div className="flex flex-col gap-3">
+                  <p className="text-white/50 text-xs">
+                    Remove the last item —{" "}
+                    <span className="text-green-400 font-bold">O(1)</span>.
+                    Capacity stays put; real implementations only shrink once
+                    the array is mostly empty, so pop/push at the boundary can't
+                    thrash.
+                  </p>
+                  <button
+                    onClick={handlePop}
+                    disabled={isSearching || dyn.items.length === 0}
+                    className="px-4 py-2 bg-red-600 hover:bg-red-500 disabled:opacity-40 disabled:cursor-not-allowed rounded-lg text-white text-sm font-bold transition-all self-start"
+                  >
+                    Pop last
+                  </button>
+                </div>
+              )}
+              {layout === "matrix" && activeTab === "access" && (
+                <div className="flex flex-col gap-3">
+                  <p className="text-white/50 text-xs">
+                    Read by <span className="font-mono">[row][col]</span> — one
+                    address calculation, so{" "}
+                    <span className="text-green-400 font-bold">O(1)</span>
+                  </p>
+                  <div className="flex gap-2 items-center flex-wrap">
+                    <span className="text-white/60 text-sm">Row</span>
+                    <input
+                      type="number"
+                      min={0}
+                      max={MATRIX_ROWS - 1}
+                      value={inputs.row}
+                      onChange={(e) => setInput("row", e.target.value)}
+                      className="w-16 px-3 py-2 bg-black/40 border border-white/20 rounded-lg text-amber-300 font-mono text-sm focus:outline-none focus:border-amber-400"
+                    />
+                    <span className="text-white/60 text-sm">Col</span>
+                    <input
+                      type="number"
+                      min={0}
+                      max={MATRIX_COLS - 1}
+                      value={inputs.col}
+                      onChange={(e) => setInput("col", e.target.value)}
+                      className="w-16 px-3 py-2 bg-black/40 border border-white/20 rounded-lg text-amber-300 font-mono text-sm focus:outline-none focus:border-amber-400"
+                    />
+                    <button
+                      onClick={handleMatrixAccess}
+                      className="px-4 py-2 bg-blue-600 hover:bg-blue-500 rounded-lg text-white text-sm font-bold transition-all"
+                    >
+                      Access
+                    </button>
+                  </div>
+                  <div className="px-3 py-2 rounded-lg border border-amber-400/30 bg-amber-400/5 text-xs font-mono">
+                    <p className="text-white/50">
+                      {order === "row"
+                        ? "address = base + (row × COLS + col) × size"
+                        : "address = base + (col × ROWS + row) × size"}
+                    </p>
+                    <p className="text-amber-300 mt-1">
+                      {cell === null
+                        ? `base = ${BASE_ADDR}, size = ${ELEM_SIZE} bytes — pick a box`
+                        : `[${cellOf(cell)[0]}][${cellOf(cell)[1]}] → ${formulaOf(...cellOf(cell))}`}
+                    </p>
+                  </div>
+                </div>
+              )}
+              {layout === "matrix" && activeTab === "update" && (
+                <div className="flex flex-col gap-3">
+                  <p className="text-white/50 text-xs">
+                    Overwrite by <span className="font-mono">[row][col]</span> —{" "}
+                    <span className="text-green-400 font-bold">O(1)</span>.
+                    Click a box first.
+                  </p>
+                  <div className="flex gap-2 items-center flex-wrap">
+                    <span className="text-white/60 text-sm">Replace with</span>
+                    <select
+                      value={inputs.updateProduct}
+                      onChange={(e) =>
+                        setInput("updateProduct", e.target.value)
+                      }
+                      className="px-3 py-2 bg-black/40 border border-white/20 rounded-lg text-white text-sm focus:outline-none focus:border-amber-400"
+                    >
+                      {PRODUCTS.map((p) => (
+                        <option key={p} value={p}>
+                          {PRODUCT_EMOJIS[p]} {p}
+                        </option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={handleMatrixUpdate}
+                      disabled={cell === null || isSearching}
+                      className="px-4 py-2 bg-purple-600 hover:bg-purple-500 disabled:opacity-40 disabled:cursor-not-allowed rounded-lg text-white text-sm font-bold transition-all"
+                    >
+                      Update{" "}
+                      {cell === null
+                        ? "[?][?]"
+                        : `[${cellOf(cell)[0]}][${cellOf(cell)[1]}]`}
+                    </button>
+                  </div>
+                </div>
+              )}
+              {layout === "matrix" && activeTab === "traverse" && (
+                <div className="flex flex-col gap-3">
+                  <p className="text-white/50 text-xs">
+                    Both walks visit every box —{" "}
+                    <span className="text-red-400 font-bold">
+                      O(rows × cols)
+                    </span>
+                    . The one that matches the storage order reads memory front
+                    to back; the other keeps jumping around the strip.
+                  </p>
+                  <div className="flex gap-2 flex-wrap">
+                    <button
+                      onClick={() => handleTraverse("row")}
+                      disabled={isSearching}
+                      className="px-4 py-2 bg-blue-600 hover:bg-blue-500 disabled:opacity-40 disabled:cursor-not-allowed rounded-lg text-white text-sm font-bold transition-all"
+                    >
+                      ➡️ Row by row
+                    </button>
+                    <button
+                      onClick={() => handleTraverse("col")}
+                      disabled={isSearching}
+                      className="px-4 py-2 bg-teal-600 hover:bg-teal-500 disabled:opacity-40 disabled:cursor-not-allowed rounded-lg text-white text-sm font-bold transition-all"
+                    >
+                      ⬇️ Column by column
+                    </button>
+                  </div>
+                  {search && (
+                    <div className="px-3 py-2 rounded-lg border border-yellow-400/30 bg-yellow-400/5 text-xs">
+                      <p className="text-yellow-200">{search.text}</p>
+                      <p className="text-white/40 mt-1">
+                        Visited:{" "}
+                        <span className="text-yellow-300 font-bold">
+                          {search.comps}
+                        </span>{" "}
+                        / {MATRIX_ROWS * MATRIX_COLS}
+                      </p>
+                    </div>
+                  )}
+                </div>
+              )}
+              {layout === "array" && activeTab === "access" && (
                 <div className="flex flex-col gap-3">
                   <p className="text-white/50 text-xs">
                     Direct read by index —{" "}
@@ -1218,7 +1917,7 @@ export default function GroceryShelf() {
                   </div>
                 </div>
               )}
-              {activeTab === "insert" && (
+              {layout === "array" && activeTab === "insert" && (
                 <div className="flex flex-col gap-3">
                   <p className="text-white/50 text-xs">
                     Insert at index —{" "}
@@ -1256,7 +1955,7 @@ export default function GroceryShelf() {
                   </div>
                 </div>
               )}
-              {activeTab === "delete" && (
+              {layout === "array" && activeTab === "delete" && (
                 <div className="flex flex-col gap-3">
                   <p className="text-white/50 text-xs">
                     Remove at index —{" "}
@@ -1281,7 +1980,7 @@ export default function GroceryShelf() {
                   </div>
                 </div>
               )}
-              {activeTab === "update" && (
+              {layout === "array" && activeTab === "update" && (
                 <div className="flex flex-col gap-3">
                   <p className="text-white/50 text-xs">
                     Overwrite by index —{" "}
@@ -1313,6 +2012,71 @@ export default function GroceryShelf() {
                   </div>
                 </div>
               )}
+              {layout === "array" && activeTab === "search" && (
+                <div className="flex flex-col gap-3">
+                  <p className="text-white/50 text-xs">
+                    Linear checks box by box —{" "}
+                    <span className="text-red-400 font-bold">O(n)</span>. Binary
+                    halves a sorted shelf each step —{" "}
+                    <span className="text-green-400 font-bold">O(log n)</span>
+                  </p>
+                  <div className="flex gap-2 items-center flex-wrap">
+                    <span className="text-white/60 text-sm">Find</span>
+                    <select
+                      value={inputs.searchProduct}
+                      onChange={(e) =>
+                        setInput("searchProduct", e.target.value)
+                      }
+                      className="px-3 py-2 bg-black/40 border border-white/20 rounded-lg text-white text-sm focus:outline-none focus:border-amber-400"
+                    >
+                      {PRODUCTS.map((p) => (
+                        <option key={p} value={p}>
+                          {PRODUCT_EMOJIS[p]} {p}
+                        </option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={handleLinearSearch}
+                      disabled={isSearching}
+                      className="px-4 py-2 bg-blue-600 hover:bg-blue-500 disabled:opacity-40 disabled:cursor-not-allowed rounded-lg text-white text-sm font-bold transition-all"
+                    >
+                      Linear
+                    </button>
+                    <button
+                      onClick={handleBinarySearch}
+                      disabled={isSearching || !isShelfSorted(items)}
+                      className="px-4 py-2 bg-teal-600 hover:bg-teal-500 disabled:opacity-40 disabled:cursor-not-allowed rounded-lg text-white text-sm font-bold transition-all"
+                    >
+                      Binary
+                    </button>
+                  </div>
+                  {!isShelfSorted(items) && (
+                    <div className="flex gap-2 items-center text-xs">
+                      <span className="text-white/40">
+                        Shelf isn't sorted, so binary search is unavailable.
+                      </span>
+                      <button
+                        onClick={handleSortShelf}
+                        disabled={isSearching}
+                        className="px-3 py-1 bg-white/10 hover:bg-white/20 rounded-lg text-amber-300 font-bold transition-all"
+                      >
+                        🔤 Sort A→Z
+                      </button>
+                    </div>
+                  )}
+                  {search && (
+                    <div className="px-3 py-2 rounded-lg border border-yellow-400/30 bg-yellow-400/5 text-xs">
+                      <p className="text-yellow-200">{search.text}</p>
+                      <p className="text-white/40 mt-1">
+                        Comparisons:{" "}
+                        <span className="text-yellow-300 font-bold">
+                          {search.comps}
+                        </span>
+                      </p>
+                    </div>
+                  )}
+                </div>
+              )}
               <button
                 onClick={handleReset}
                 className="mt-4 w-full py-2 bg-white/5 hover:bg-white/10 border border-white/10 rounded-lg text-white/50 hover:text-white/80 text-sm transition-all"
@@ -1347,12 +2111,33 @@ export default function GroceryShelf() {
                   ⚡ Time Complexity
                 </p>
                 <div className="grid grid-cols-2 gap-1 text-xs font-mono">
-                  {[
-                    ["Access", "O(1)", true],
-                    ["Update", "O(1)", true],
-                    ["Insert", "O(n)", false],
-                    ["Delete", "O(n)", false],
-                  ].map(([op, c, fast]) => (
+                  {(layout === "dynamic"
+                    ? [
+                        ["Access", "O(1)", true],
+                        ["Append (spare)", "O(1)", true],
+                        ["Append (full)", "O(n)", false],
+                        ["Append amortized", "O(1)", true],
+                        ["Insert at index", "O(n)", false],
+                        ["Pop last", "O(1)", true],
+                      ]
+                    : layout === "matrix"
+                      ? [
+                          ["Access [r][c]", "O(1)", true],
+                          ["Update [r][c]", "O(1)", true],
+                          ["Address calc", "O(1)", true],
+                          ["Row traversal", "O(r × c)", false],
+                          ["Column traversal", "O(r × c)", false],
+                          ["Extra space", "O(1)", true],
+                        ]
+                      : [
+                          ["Access", "O(1)", true],
+                          ["Update", "O(1)", true],
+                          ["Insert", "O(n)", false],
+                          ["Delete", "O(n)", false],
+                          ["Linear search", "O(n)", false],
+                          ["Binary search", "O(log n)", true],
+                        ]
+                  ).map(([op, c, fast]) => (
                     <div
                       key={op}
                       className="flex justify-between px-3 py-2 bg-white/5 rounded-lg"
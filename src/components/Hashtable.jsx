@@ -0,0 +1,1101 @@
+import { useRef, useState, useEffect } from "react";
+import { Canvas, useFrame } from "@react-three/fiber";
+import {
+  Text,
+  RoundedBox,
+  OrbitControls,
+  Environment,
+} from "@react-three/drei";
+import { XR, createXRStore } from "@react-three/xr";
+import * as THREE from "three";
+import { DominoTile, NodeArrow } from "./Dominonodes";
+import ARPlacement, { ARPlacementHud, ARButton } from "./ARPlacement";
+import TimelineBar from "./TimelineBar";
+import { SceneModel } from "../models";
+import { useModelEvents } from "../hooks/useModelEvents";
+import { useTimeline } from "../hooks/useTimeline";
+import { useARPlacement } from "../hooks/useARPlacement";
+
+// ─── XR Store ─────────────────────────────────────────────────────────────────
+const xrStore = createXRStore();
+
+// ─── Constants ─────────────────────────────────────────────────────────────────
+const BUCKET_W = 0.62;
+const BUCKET_Y = 1.2;
+const TILE_SCALE = 0.62; // domino tile shrunk to fit a bucket
+const TILE_H = 1.0 * TILE_SCALE;
+const CHAIN_GAP = 1.0;
+const STAGE_Y = BUCKET_Y + 1.6;
+const INITIAL_M = 7;
+const MAX_BUCKETS = 17;
+const MAX_KEY_LEN = 6;
+const STEP_MS = 650;
+const AR_SCALE = 0.05;
+const AR_LIFT = -(BUCKET_Y - CHAIN_GAP * 3 - TILE_H / 2); // room for three chained tiles
+
+const LOAD_LIMIT = { chaining: 1.0, linear: 0.75, quadratic: 0.5 };
+const MODES = [
+  { id: "chaining", icon: "🔗", name: "Chaining" },
+  { id: "linear", icon: "➡️", name: "Linear Probing" },
+  { id: "quadratic", icon: "⤴️", name: "Quadratic Probing" },
+];
+
+const ACTIONS = {
+  insert: { label: "➕ put(key)", color: "bg-green-600 hover:bg-green-500" },
+  search: { label: "🔍 get(key)", color: "bg-blue-600 hover:bg-blue-500" },
+  delete: { label: "🗑️ remove(key)", color: "bg-red-600 hover:bg-red-500" },
+};
+
+const HL = {
+  probe: "#facc15",
+  collision: "#ef4444",
+  found: "#22c55e",
+  landed: "#e879f9",
+};
+
+// ─── Pure helpers ──────────────────────────────────────────────────────────────
+const charSum = (key) => [...key].reduce((sum, c) => sum + c.charCodeAt(0), 0);
+const hashOf = (key, m) => charSum(key) % m;
+const probeAt = (mode, h, i, m) =>
+  mode === "linear" ? (h + i) % m : (h + i * i) % m;
+const probeFormula = (mode, h, i, m) =>
+  mode === "linear" ? `(${h} + ${i}) mod ${m}` : `(${h} + ${i}²) mod ${m}`;
+
+const nextPrime = (n) => {
+  const isPrime = (x) => {
+    for (let d = 2; d * d <= x; d++) if (x % d === 0) return false;
+    return x > 1;
+  };
+  while (!isPrime(n)) n++;
+  return n;
+};
+
+const emptySlots = (mode, m) =>
+  Array.from({ length: m }, () => (mode === "chaining" ? [] : null));
+const cloneTable = (t) => ({
+  ...t,
+  slots:
+    t.mode === "chaining" ? t.slots.map((chain) => [...chain]) : [...t.slots],
+});
+const entriesOf = (t) =>
+  t.mode === "chaining" ? t.slots.flat() : t.slots.filter((e) => e && !e.tomb);
+const bucketX = (i, m) => (i - (m - 1) / 2) * BUCKET_W;
+
+// Places an entry without narration; returns the bucket index or -1
+function placeQuiet(t, entry) {
+  const h = hashOf(entry.key, t.m);
+  if (t.mode === "chaining") {
+    t.slots[h].push(entry);
+    return h;
+  }
+  for (let i = 0; i < t.m; i++) {
+    const idx = probeAt(t.mode, h, i, t.m);
+    if (!t.slots[idx] || t.slots[idx].tomb) {
+      t.slots[idx] = entry;
+      return idx;
+    }
+  }
+  return -1;
+}
+
+// Smallest table (7, then next prime ≥ 2m) that keeps α under the limit
+function buildTable(mode, entries) {
+  let m = INITIAL_M;
+  while (entries.length / m > LOAD_LIMIT[mode]) m = nextPrime(m * 2);
+  if (m > MAX_BUCKETS) return null;
+  const t = { mode, m, slots: emptySlots(mode, m) };
+  for (const e of entries) if (placeQuiet(t, e) < 0) return null;
+  return t;
+}
+
+let nextEntryId = 1;
+const makeEntry = (key) => ({ id: nextEntryId++, key, colorIdx: nextEntryId });
+
+// CAT/ACT are anagrams and DOG/BEE share a sum — both collide at m = 7
+const INITIAL_KEYS = ["CAT", "DOG", "OWL", "ACT", "BEE"];
+const INITIAL_TABLE = buildTable("chaining", INITIAL_KEYS.map(makeEntry));
+
+// Where each entry should sit for a given table + floating set
+function layoutOf(t, floating) {
+  const pos = {};
+  t.slots.forEach((slot, i) => {
+    const x = bucketX(i, t.m);
+    if (t.mode === "chaining")
+      slot.forEach((e, k) => {
+        pos[e.id] = [x, BUCKET_Y - CHAIN_GAP * (k + 1), 0.1];
+      });
+    else if (slot) pos[slot.id] = [x, BUCKET_Y, 0.1];
+  });
+  floating.forEach((f) => {
+    pos[f.entry.id] = f.pos;
+  });
+  return pos;
+}
+
+// ─── Step builders ─────────────────────────────────────────────────────────────
+// Every step is a full snapshot: { table, floating, hl, marks, hash, text }
+function hashSteps(key, t, floating, steps) {
+  let sum = 0;
+  [...key].forEach((c, k) => {
+    sum += c.charCodeAt(0);
+    steps.push({
+      table: t,
+      floating,
+      hl: {},
+      marks: {},
+      hash: { key, shown: k + 1, m: t.m, index: null },
+      text: `'${c}' = ${c.charCodeAt(0)} → running sum ${sum}`,
+    });
+  });
+  const h = sum % t.m;
+  steps.push({
+    table: t,
+    floating,
+    hl: { [h]: HL.probe },
+    marks: {},
+    hash: { key, shown: key.length, m: t.m, index: h },
+    text: `${sum} mod ${t.m} = ${h} → home bucket [${h}]`,
+  });
+  return h;
+}
+
+const above = (i, m) => [bucketX(i, m), BUCKET_Y + 0.95, 0.1];
+
+// Walks the chain / probe sequence for `key`; used by search, delete, insert
+function locateSteps(key, t, floating, entry, steps, hash) {
+  const h = hashOf(key, t.m);
+  const float = (i) => (entry ? [{ entry, pos: above(i, t.m) }] : floating);
+
+  if (t.mode === "chaining") {
+    const chain = t.slots[h];
+    for (let k = 0; k < chain.length; k++) {
+      const hit = chain[k].key === key;
+      steps.push({
+        table: t,
+        floating: float(h),
+        hl: { [h]: HL.probe },
+        marks: { [chain[k].id]: hit ? HL.found : HL.probe },
+        hash,
+        text: hit
+          ? `Node ${k} holds "${key}" — found`
+          : `Node ${k} holds "${chain[k].key}" ≠ "${key}" → follow next`,
+      });
+      if (hit) return { h, idx: h, pos: k, found: chain[k] };
+    }
+    steps.push({
+      table: t,
+      floating: float(h),
+      hl: { [h]: HL.probe },
+      marks: {},
+      hash,
+      text:
+        chain.length === 0
+          ? `Bucket [${h}] is empty — "${key}" is not in the chain`
+          : `Reached NULL after ${chain.length} node${chain.length === 1 ? "" : "s"} — "${key}" is not in the chain`,
+    });
+    return { h, idx: h, pos: chain.length, found: null };
+  }
+
+  let firstTomb = -1;
+  for (let i = 0; i < t.m; i++) {
+    const idx = probeAt(t.mode, h, i, t.m);
+    const slot = t.slots[idx];
+    const where = `Probe ${i}: ${probeFormula(t.mode, h, i, t.m)} = [${idx}]`;
+    if (!slot) {
+      steps.push({
+        table: t,
+        floating: float(idx),
+        hl: { [idx]: HL.probe },
+        marks: {},
+        hash,
+        text: entry
+          ? `${where} is empty — free slot`
+          : `${where} is empty — "${key}" is not in the table`,
+      });
+      return { h, idx: firstTomb >= 0 ? firstTomb : idx, found: null };
+    }
+    if (slot.tomb) {
+      if (firstTomb < 0) firstTomb = idx;
+      steps.push({
+        table: t,
+        floating: float(idx),
+        hl: { [idx]: HL.probe },
+        marks: {},
+        hash,
+        text: `${where} is a tombstone — keep probing past it`,
+      });
+      continue;
+    }
+    const hit = slot.key === key;
+    steps.push({
+      table: t,
+      floating: float(idx),
+      hl: { [idx]: hit ? HL.found : entry ? HL.collision : HL.probe },
+      marks: { [slot.id]: hit ? HL.found : HL.collision },
+      hash,
+      text: hit
+        ? `${where} holds "${key}" — found`
+        : `${where} holds "${slot.key}" — ${entry ? "collision!" : "not it"}`,
+    });
+    if (hit) return { h, idx, found: slot };
+  }
+  return { h, idx: firstTomb, found: null };
+}
+
+// Resize to the next prime ≥ 2m and re-hash every live entry into it
+function rehashSteps(t, newM, steps) {
+  const live = entriesOf(t);
+  const n = live.length;
+  steps.push({
+    table: t,
+    floating: [],
+    hl: Object.fromEntries(t.slots.map((_, i) => [i, HL.collision])),
+    marks: {},
+    hash: null,
+    text: `Load factor would reach ${n + 1}/${t.m} = ${((n + 1) / t.m).toFixed(2)} > ${LOAD_LIMIT[t.mode]} — resize to ${newM} buckets`,
+  });
+  let work = { mode: t.mode, m: newM, slots: emptySlots(t.mode, newM) };
+  let waiting = live.map((entry, k) => ({
+    entry,
+    pos: [(k - (n - 1) / 2) * BUCKET_W, STAGE_Y + 0.5, 0.1],
+  }));
+  steps.push({
+    table: work,
+    floating: waiting,
+    hl: {},
+    marks: {},
+    hash: null,
+    text: `Allocate ${newM} empty buckets — every index depends on m, so all ${n} entries must be re-hashed`,
+  });
+  for (const entry of live) {
+    work = cloneTable(work);
+    const idx = placeQuiet(work, entry);
+    waiting = waiting.filter((f) => f.entry.id !== entry.id);
+    const h = hashOf(entry.key, newM);
+    steps.push({
+      table: work,
+      floating: waiting,
+      hl: { [idx]: HL.landed },
+      marks: {},
+      hash: null,
+      text: `h("${entry.key}") = ${charSum(entry.key)} mod ${newM} = ${h}${idx !== h ? ` → probed to [${idx}]` : ""}`,
+    });
+  }
+  return work;
+}
+
+// ─── Bucket slot ───────────────────────────────────────────────────────────────
+function Bucket({ x, index, color, mode, empty }) {
+  const ref = useRef();
+  const [start] = useState(() => [x, BUCKET_Y, -0.12]);
+  const goal = useRef(new THREE.Vector3());
+
+  useFrame(() => {
+    if (!ref.current) return;
+    ref.current.position.lerp(goal.current.set(x, BUCKET_Y, -0.12), 0.15);
+  });
+
+  return (
+    <group ref={ref} position={start}>
+      <RoundedBox
+        args={[BUCKET_W - 0.07, TILE_H + 0.22, 0.12]}
+        radius={0.04}
+        smoothness={3}
+      >
+        <meshStandardMaterial
+          color="#1e1b2e"
+          emissive={color ?? "#000000"}
+          emissiveIntensity={color ? 0.55 : 0}
+          roughness={0.6}
+        />
+      </RoundedBox>
+      <Text
+        position={[0, TILE_H / 2 + 0.28, 0]}
+        fontSize={0.12}
+        color={color ?? "#f0abfc"}
+        anchorX="center"
+        anchorY="middle"
+        fontWeight="bold"
+      >
+        {`[${index}]`}
+      </Text>
+      {empty && (
+        <Text
+          position={[0, 0, 0.08]}
+          fontSize={0.09}
+          color="#6b7280"
+          anchorX="center"
+          anchorY="middle"
+        >
+          {mode === "chaining" ? "NULL" : "empty"}
+        </Text>
+      )}
+    </group>
+  );
+}
+
+// ─── Entry — the domino node look, with the key on its face ───────────────────
+function EntryTile({ entry, target, mark, nextLabel, tomb }) {
+  const ref = useRef();
+  const [start] = useState(() => [target[0], STAGE_Y + 1.2, target[2]]);
+  const goal = useRef(new THREE.Vector3());
+
+  useFrame(() => {
+    if (!ref.current) return;
+    ref.current.position.lerp(goal.current.set(...target), 0.14);
+    const s = THREE.MathUtils.lerp(
+      ref.current.scale.x,
+      TILE_SCALE * (mark ? 1.12 : 1),
+      0.15,
+    );
+    ref.current.scale.setScalar(s);
+  });
+
+  return (
+    <group ref={ref} position={start} scale={TILE_SCALE}>
+      <DominoTile
+        colorIdx={entry.colorIdx}
+        label={tomb ? "DEL" : entry.key}
+        nextLabel={tomb ? "tombstone" : nextLabel}
+        nextColor={tomb ? "#7f8c8d" : undefined}
+        bodyColor={tomb ? "#2b2b35" : "#1a1a2e"}
+        emissive={mark ?? "#000000"}
+        emissiveIntensity={mark ? 0.55 : 0}
+      />
+    </group>
+  );
+}
+
+function HashScene({ ar, table, floating, hl, marks }) {
+  const pos = layoutOf(table, floating);
+  const tiles = [];
+  const arrows = [];
+
+  table.slots.forEach((slot, i) => {
+    const x = bucketX(i, table.m);
+    if (table.mode === "chaining") {
+      slot.forEach((e, k) => {
+        tiles.push(
+          <EntryTile
+            key={e.id}
+            entry={e}
+            target={pos[e.id]}
+            mark={marks[e.id]}
+            nextLabel={k === slot.length - 1 ? "NULL" : "→ next"}
+          />,
+        );
+        // Bucket head pointer, then each node's next pointer
+        const fromY =
+          k === 0
+            ? BUCKET_Y - TILE_H / 2 - 0.11
+            : pos[slot[k - 1].id][1] - TILE_H / 2;
+        arrows.push(
+          <NodeArrow
+            key={`a${e.id}`}
+            from={[x, fromY, 0.1]}
+            to={[x, pos[e.id][1] + TILE_H / 2 + 0.1, 0.1]}
+            color={k === 0 ? "#e879f9" : "#4a90d9"}
+            lift={0}
+            head
+          />,
+        );
+      });
+    } else if (slot) {
+      tiles.push(
+        <EntryTile
+          key={slot.id}
+          entry={slot}
+          target={pos[slot.id]}
+          mark={marks[slot.id]}
+          nextLabel={`h = ${hashOf(slot.key, table.m)}`}
+          tomb={slot.tomb}
+        />,
+      );
+    }
+  });
+  floating.forEach((f) =>
+    tiles.push(
+      <EntryTile
+        key={f.entry.id}
+        entry={f.entry}
+        target={f.pos}
+        mark={HL.landed}
+        nextLabel="incoming"
+      />,
+    ),
+  );
+
+  return (
+    <>
+      <ambientLight intensity={0.65} />
+      <directionalLight position={[3, 6, 6]} intensity={1.0} />
+      <pointLight position={[0, 3, 3]} intensity={0.5} color="#fae8ff" />
+
+      <ARPlacement
+        placement={ar}
+        scale={AR_SCALE}
+        lift={AR_LIFT}
+        color="#e879f9"
+      >
+        {table.slots.map((slot, i) => (
+          <Bucket
+            key={`b${i}`}
+            x={bucketX(i, table.m)}
+            index={i}
+            color={hl[i]}
+            mode={table.mode}
+            empty={table.mode === "chaining" ? slot.length === 0 : !slot}
+          />
+        ))}
+        {arrows}
+        {tiles}
+
+        <Text
+          position={[0, STAGE_Y + 1.25, 0]}
+          fontSize={0.16}
+          color="#f0abfc"
+          anchorX="center"
+          anchorY="middle"
+          fontWeight="bold"
+        >
+          {`${table.m} BUCKETS · h(key) = Σ char codes mod ${table.m}`}
+        </Text>
+      </ARPlacement>
+
+      {!ar.isAR && (
+        <>
+          <OrbitControls
+            enablePan={false}
+            minPolarAngle={Math.PI / 3}
+            maxPolarAngle={Math.PI / 1.8}
+            minAzimuthAngle={-Math.PI / 5}
+            maxAzimuthAngle={Math.PI / 5}
+            minDistance={5}
+            maxDistance={16}
+            target={[0, 0.6, 0]}
+          />
+          <Environment preset="studio" />
+        </>
+      )}
+    </>
+  );
+}
+
+// ─── Main Export ───────────────────────────────────────────────────────────────
+export default function HashTable() {
+  // The scene model records the table after every change along with the
+  // frames that animate it; the scene plays them back from the event.
+  const [model] = useState(
+    () => new SceneModel({ table: INITIAL_TABLE, collisions: 0 }),
+  );
+  const [table, setTable] = useState(INITIAL_TABLE);
+  const [floating, setFloating] = useState([]);
+  const [hl, setHl] = useState({});
+  const [marks, setMarks] = useState({});
+  const [hashView, setHashView] = useState(null);
+  const [stepText, setStepText] = useState(null);
+  const [isAnimating, setIsAnimating] = useState(false);
+  const [activeTab, setActiveTab] = useState("insert");
+  const [keyInput, setKeyInput] = useState("TAC");
+  const [collisions, setCollisions] = useState(0);
+  const [log, setLog] = useState([]);
+  const timersRef = useRef([]);
+  const ar = useARPlacement(xrStore);
+
+  useEffect(() => () => timersRef.current.forEach(clearTimeout), []);
+
+  const mode = table.mode;
+  const n = entriesOf(table).length;
+  const alpha = n / table.m;
+
+  const addLog = (msg, type = "info") =>
+    setLog((prev) => [{ msg, type, id: Date.now() }, ...prev].slice(0, 8));
+
+  const runSteps = (steps, done) => {
+    setIsAnimating(true);
+    steps.forEach((s, k) => {
+      timersRef.current.push(
+        setTimeout(() => {
+          setTable(s.table);
+          setFloating(s.floating);
+          setHl(s.hl);
+          setMarks(s.marks);
+          setHashView(s.hash);
+          setStepText(s.text);
+        }, k * STEP_MS),
+      );
+    });
+    timersRef.current.push(
+      setTimeout(() => {
+        setHl({});
+        setMarks({});
+        setFloating([]);
+        setIsAnimating(false);
+        done?.();
+      }, steps.length * STEP_MS),
+    );
+  };
+
+  const readKey = () => {
+    const key = keyInput.trim().toUpperCase();
+    if (!/^[A-Z0-9]+$/.test(key)) {
+      addLog("⚠️ Keys are letters or digits only.", "error");
+      return null;
+    }
+    if (key.length > MAX_KEY_LEN) {
+      addLog(`⚠️ Keep keys to ${MAX_KEY_LEN} characters.`, "error");
+      return null;
+    }
+    return key;
+  };
+
+  // ── Insert: hash → probe / walk chain → land (resize first if needed) ─────
+  const handleInsert = () => {
+    if (isAnimating) return;
+    const key = readKey();
+    if (!key) return;
+    if (entriesOf(table).some((e) => e.key === key))
+      return addLog(`⚠️ "${key}" is already in the table.`, "error");
+
+    const steps = [];
+    let t = table;
+    let resized = false;
+    if ((n + 1) / t.m > LOAD_LIMIT[mode]) {
+      const newM = nextPrime(t.m * 2);
+      if (newM > MAX_BUCKETS)
+        return addLog(
+          `⚠️ α would pass ${LOAD_LIMIT[mode]} and ${MAX_BUCKETS} buckets is this demo's limit — delete a key first.`,
+          "error",
+        );
+      t = rehashSteps(t, newM, steps);
+      resized = true;
+    }
+
+    const entry = makeEntry(key);
+    const stage = [{ entry, pos: [0, STAGE_Y, 0.1] }];
+    hashSteps(key, t, stage, steps);
+    const hash = steps[steps.length - 1].hash;
+    const { h, idx, pos } = locateSteps(key, t, stage, entry, steps, hash);
+    if (idx < 0) {
+      runSteps(steps, () =>
+        addLog(`❌ No free slot found for "${key}" — probe cycle`, "error"),
+      );
+      return;
+    }
+
+    const work = cloneTable(t);
+    if (mode === "chaining") work.slots[h].push(entry);
+    else work.slots[idx] = entry;
+    // Chaining collides once per occupied bucket; probing once per hop
+    const clashes =
+      mode === "chaining"
+        ? Number(pos > 0)
+        : steps.filter((s) => s.text.endsWith("collision!")).length;
+    steps.push({
+      table: work,
+      floating: [],
+      hl: { [idx]: HL.landed },
+      marks: { [entry.id]: HL.landed },
+      hash,
+      text:
+        mode === "chaining"
+          ? `Append "${key}" to chain [${h}] — chain length ${work.slots[h].length}`
+          : `"${key}" lands in [${idx}]${clashes > 0 ? ` after ${clashes} collision${clashes === 1 ? "" : "s"}` : ""}`,
+    });
+
+    model.record(
+      "insert",
+      [key],
+      { table: work, collisions: collisions + clashes },
+      { frames: steps, idx, clashes, resizedTo: resized ? t.m : null },
+    );
+  };
+
+  // ── Search ────────────────────────────────────────────────────────────────
+  const handleSearch = () => {
+    if (isAnimating) return;
+    const key = readKey();
+    if (!key) return;
+    const steps = [];
+    hashSteps(key, table, [], steps);
+    const hash = steps[steps.length - 1].hash;
+    const { idx, found } = locateSteps(key, table, [], null, steps, hash);
+    runSteps(steps, () =>
+      addLog(
+        found
+          ? `🔍 get("${key}") → found in [${idx}]`
+          : `🔍 get("${key}") → not present`,
+        found ? "success" : "info",
+      ),
+    );
+  };
+
+  // ── Delete: unlink from chain, or leave a tombstone ───────────────────────
+  const handleDelete = () => {
+    if (isAnimating) return;
+    const key = readKey();
+    if (!key) return;
+    const steps = [];
+    hashSteps(key, table, [], steps);
+    const hash = steps[steps.length - 1].hash;
+    const { idx, pos, found } = locateSteps(key, table, [], null, steps, hash);
+    if (!found) {
+      runSteps(steps, () =>
+        addLog(`⚠️ remove("${key}") → not present`, "error"),
+      );
+      return;
+    }
+    const work = cloneTable(table);
+    if (mode === "chaining") work.slots[idx].splice(pos, 1);
+    else work.slots[idx] = { ...found, tomb: true };
+    steps.push({
+      table: work,
+      floating: [],
+      hl: { [idx]: HL.collision },
+      marks: {},
+      hash,
+      text:
+        mode === "chaining"
+          ? `Unlink "${key}" — its predecessor now points past it`
+          : `Mark [${idx}] as a tombstone — an empty slot here would cut off later probes`,
+    });
+    model.record(
+      "delete",
+      [key],
+      { table: work, collisions },
+      {
+        frames: steps,
+        idx,
+      },
+    );
+  };
+
+  // ── Collision strategy — rebuild the table with the same keys ─────────────
+  const handleModeChange = (next) => {
+    if (isAnimating || next === mode) return;
+    const rebuilt = buildTable(
+      next,
+      entriesOf(table).map((e) => ({
+        id: e.id,
+        key: e.key,
+        colorIdx: e.colorIdx,
+      })),
+    );
+    if (!rebuilt)
+      return addLog(
+        `⚠️ Too many keys for ${next} probing within ${MAX_BUCKETS} buckets — delete some first.`,
+        "error",
+      );
+    model.record("mode", [next], { table: rebuilt, collisions: 0 });
+  };
+
+  const handleReset = () =>
+    model.reset({ table: INITIAL_TABLE, collisions: 0 });
+
+  // Jump straight to a table, dropping highlights and pending frames
+  const showTable = (state) => {
+    timersRef.current.forEach(clearTimeout);
+    timersRef.current = [];
+    setTable(state.table);
+    setFloating([]);
+    setHl({});
+    setMarks({});
+    setHashView(null);
+    setStepText(null);
+    setCollisions(state.collisions);
+    setIsAnimating(false);
+  };
+
+  useModelEvents(model, (e) => {
+    if (e.type === "insert") {
+      const { clashes } = e;
+      runSteps(e.frames, () => {
+        setCollisions(e.state.collisions);
+        addLog(
+          `➕ put("${e.args[0]}") → [${e.idx}]${clashes > 0 ? ` · ${clashes} collision${clashes === 1 ? "" : "s"}` : ""}${e.resizedTo ? ` · resized to ${e.resizedTo}` : ""}`,
+          "success",
+        );
+      });
+    } else if (e.type === "delete") {
+      runSteps(e.frames, () =>
+        addLog(`🗑️ remove("${e.args[0]}") from [${e.idx}]`, "success"),
+      );
+    } else if (e.type === "mode") {
+      showTable(e.state);
+      addLog(
+        `🔁 Switched to ${MODES.find((m) => m.id === e.args[0]).name} — rebuilt with ${e.state.table.m} buckets`,
+        "info",
+      );
+    } else if (e.type === "reset") {
+      showTable(e.state);
+      setLog([]);
+    } else if (e.type === "restore") {
+      const keys = entriesOf(e.state.table).length;
+      showTable(e.state);
+      addLog(
+        `🕘 Back to ${keys} key${keys === 1 ? "" : "s"} in ${e.state.table.m} buckets`,
+        "info",
+      );
+    }
+  });
+
+  const timeline = useTimeline(model, {
+    busy: isAnimating,
+    describe: (e) =>
+      ({
+        insert: `put("${e.args[0]}")`,
+        delete: `remove("${e.args[0]}")`,
+        mode: MODES.find((m) => m.id === e.args[0]).name,
+      })[e.type],
+  });
+
+  const tabBtn = (tab, emoji, label) => (
+    <button
+      key={tab}
+      onClick={() => setActiveTab(tab)}
+      className={`px-3 py-2 rounded-lg text-sm font-bold transition-all border-2 ${
+        activeTab === tab
+          ? "bg-fuchsia-400 border-fuchsia-400 text-gray-900"
+          : "bg-transparent border-white/20 text-white/60 hover:border-fuchsia-400/50 hover:text-white"
+      }`}
+    >
+      {emoji} {label}
+    </button>
+  );
+
+  const runAction = () =>
+    activeTab === "insert"
+      ? handleInsert()
+      : activeTab === "search"
+        ? handleSearch()
+        : handleDelete();
+  const action = ACTIONS[activeTab];
+  const limit = LOAD_LIMIT[mode];
+
+  return (
+    <div
+      className="flex flex-col gap-4 w-full"
+      style={{ fontFamily: "'Courier New', monospace" }}
+    >
+      <ARPlacementHud
+        placement={ar}
+        title="#️⃣ KEY LOCKERS — AR"
+        status={`${n} keys · ${table.m} buckets · α ${alpha.toFixed(2)}`}
+        accent="#e879f9"
+        log={log}
+        actions={[
+          {
+            label: ACTIONS.insert.label,
+            onClick: handleInsert,
+            disabled: isAnimating,
+            color: "#16a34a",
+          },
+          {
+            label: ACTIONS.search.label,
+            onClick: handleSearch,
+            disabled: isAnimating,
+            color: "#2563eb",
+          },
+          {
+            label: ACTIONS.delete.label,
+            onClick: handleDelete,
+            disabled: isAnimating,
+            color: "#dc2626",
+          },
+          { label: "🔄 Reset", onClick: handleReset },
+        ]}
+      >
+        <div
+          style={{
+            display: "flex",
+            alignItems: "center",
+            gap: 8,
+            background: "rgba(0,0,0,0.8)",
+            border: "1px solid rgba(232,121,249,0.3)",
+            borderRadius: 14,
+            padding: "10px 14px",
+            color: "#f5d0fe",
+            fontSize: 12,
+          }}
+        >
+          <input
+            type="text"
+            value={keyInput}
+            maxLength={MAX_KEY_LEN}
+            onChange={(e) => setKeyInput(e.target.value.toUpperCase())}
+            style={{
+              width: 72,
+              padding: "4px 6px",
+              background: "rgba(255,255,255,0.08)",
+              border: "1px solid rgba(255,255,255,0.2)",
+              borderRadius: 8,
+              color: "#f0abfc",
+              fontFamily: "inherit",
+            }}
+          />
+          <span>{stepText ?? "Type a key, then put, get or remove it"}</span>
+        </div>
+      </ARPlacementHud>
+
+      {/* Header */}
+      <div className="text-center">
+        <h2 className="text-3xl font-bold text-fuchsia-300 tracking-widest">
+          #️⃣ KEY LOCKERS
+        </h2>
+        <p className="text-white/50 text-sm mt-1">
+          {n} keys in {table.m} buckets &nbsp;·&nbsp; Load factor α ={" "}
+          <span
+            className={`font-bold ${alpha > limit * 0.85 ? "text-red-400" : "text-fuchsia-300"}`}
+          >
+            {alpha.toFixed(2)}
+          </span>{" "}
+          (resize above {limit})
+        </p>
+      </div>
+
+      <ARButton placement={ar} accent="#e879f9" />
+
+      {/* Collision strategy */}
+      <div className="flex justify-center gap-2 flex-wrap">
+        {MODES.map((m) => (
+          <button
+            key={m.id}
+            onClick={() => handleModeChange(m.id)}
+            disabled={isAnimating}
+            className={`px-4 py-1.5 rounded-lg text-sm font-bold border-2 transition-all disabled:opacity-40 ${
+              mode === m.id
+                ? "bg-fuchsia-400 border-fuchsia-400 text-gray-900"
+                : "border-white/20 text-white/60 hover:border-fuchsia-400/50"
+            }`}
+          >
+            {m.icon} {m.name}
+          </button>
+        ))}
+      </div>
+
+      {/* 3D Canvas */}
+      <div
+        className="w-full rounded-2xl overflow-hidden border-2 border-fuchsia-400/30 shadow-[0_0_40px_rgba(232,121,249,0.12)]"
+        style={{
+          height: 500,
+          background:
+            "linear-gradient(180deg,#12051a 0%,#1f0b2b 50%,#08030c 100%)",
+        }}
+      >
+        <Canvas camera={{ position: [0, 0.6, 9.5], fov: 50 }}>
+          <XR store={xrStore}>
+            <HashScene
+              ar={ar}
+              table={table}
+              floating={floating}
+              hl={hl}
+              marks={marks}
+            />
+          </XR>
+        </Canvas>
+      </div>
+
+      {/* Load factor bar */}
+      <div className="flex items-center gap-3 text-xs">
+        <span className="text-white/40 w-24">α = n / m</span>
+        <div className="relative flex-1 h-3 bg-white/10 rounded-full overflow-hidden">
+          <div
+            className={`h-full transition-all duration-500 ${alpha > limit * 0.85 ? "bg-red-500" : "bg-fuchsia-400"}`}
+            style={{ width: `${Math.min(alpha / 1.2, 1) * 100}%` }}
+          />
+          <div
+            className="absolute top-0 h-full w-0.5 bg-yellow-300"
+            style={{ left: `${(limit / 1.2) * 100}%` }}
+          />
+        </div>
+        <span className="text-yellow-300/80 w-24 text-right">
+          limit {limit}
+        </span>
+      </div>
+
+      {/* Hash computation + step narration */}
+      <div className="flex flex-col gap-2 px-4 py-3 rounded-xl border border-fuchsia-400/30 bg-fuchsia-400/5">
+        {hashView ? (
+          <div className="flex flex-wrap items-center gap-1.5 text-xs">
+            <span className="text-white/50">h("{hashView.key}") =</span>
+            {[...hashView.key].map((c, k) => (
+              <span
+                key={k}
+                className={`px-1.5 py-0.5 rounded border ${
+                  k < hashView.shown
+                    ? "border-fuchsia-400 text-fuchsia-200 bg-fuchsia-400/15"
+                    : "border-white/10 text-white/25"
+                }`}
+              >
+                {c} {k < hashView.shown ? c.charCodeAt(0) : "?"}
+              </span>
+            ))}
+            <span className="text-white/50">
+              = {charSum(hashView.key.slice(0, hashView.shown))}
+            </span>
+            {hashView.index !== null && (
+              <span className="text-yellow-300 font-bold">
+                mod {hashView.m} = {hashView.index}
+              </span>
+            )}
+          </div>
+        ) : (
+          <p className="text-white/30 text-xs">
+            The hash of the current key is worked out here, one character at a
+            time
+          </p>
+        )}
+        <p
+          className={`text-sm ${stepText ? "text-yellow-200" : "text-white/30"}`}
+        >
+          {stepText ?? "Each probe and comparison appears here as it happens"}
+        </p>
+      </div>
+
+      <TimelineBar
+        timeline={timeline}
+        accent="fuchsia"
+        disabled={isAnimating}
+      />
+
+      {/* Controls */}
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <div className="bg-white/5 border border-white/10 rounded-2xl p-5">
+          <div className="flex gap-2 mb-4 flex-wrap">
+            {tabBtn("insert", "➕", "Insert")}
+            {tabBtn("search", "🔍", "Search")}
+            {tabBtn("delete", "🗑️", "Delete")}
+          </div>
+
+          <div className="flex flex-col gap-3">
+            <p className="text-white/50 text-xs">
+              {activeTab === "insert" &&
+                (mode === "chaining"
+                  ? "Hash to a bucket, check the chain for duplicates, append at the end"
+                  : "Hash to a bucket, then probe until an empty slot (or tombstone) turns up")}
+              {activeTab === "search" &&
+                (mode === "chaining"
+                  ? "Hash to a bucket, then walk its chain"
+                  : "Hash, then follow the same probe sequence until the key or an empty slot")}
+              {activeTab === "delete" &&
+                (mode === "chaining"
+                  ? "Find the node, then unlink it from its chain"
+                  : "Find the slot, then leave a tombstone so other probe chains stay intact")}{" "}
+              — <span className="text-green-400 font-bold">O(1)</span> on
+              average
+            </p>
+            <div className="flex gap-2 items-center">
+              <input
+                type="text"
+                value={keyInput}
+                maxLength={MAX_KEY_LEN}
+                onChange={(e) => setKeyInput(e.target.value.toUpperCase())}
+                onKeyDown={(e) => e.key === "Enter" && runAction()}
+                placeholder="KEY"
+                className="flex-1 px-3 py-2 bg-black/40 border border-white/20 rounded-lg text-fuchsia-300 font-mono text-sm focus:outline-none focus:border-fuchsia-400"
+              />
+              <button
+                onClick={runAction}
+                disabled={isAnimating}
+                className={`px-4 py-2 ${action.color} disabled:opacity-40 disabled:cursor-not-allowed rounded-lg text-white text-sm font-bold transition-all`}
+              >
+                {action.label}
+              </button>
+            </div>
+            <div className="flex gap-1 flex-wrap text-xs">
+              <span className="text-white/40">Keys:</span>
+              {entriesOf(table).map((e) => (
+                <button
+                  key={e.id}
+                  onClick={() => setKeyInput(e.key)}
+                  className="px-2 py-0.5 rounded border border-white/15 text-white/70 hover:border-fuchsia-400/60"
+                >
+                  {e.key}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <button
+            onClick={handleReset}
+            className="mt-4 w-full py-2 bg-white/5 hover:bg-white/10 border border-white/10 rounded-lg text-white/50 hover:text-white/80 text-sm transition-all"
+          >
+            🔄 Reset to Default
+          </button>
+        </div>
+
+        {/* Log + Complexity */}
+        <div className="bg-black/40 border border-white/10 rounded-2xl p-5 flex flex-col gap-4">
+          <div>
+            <p className="text-white/40 text-xs uppercase tracking-widest mb-2">
+              📋 Operation Log
+            </p>
+            <div className="flex flex-col gap-1 max-h-36 overflow-y-auto">
+              {log.length === 0 ? (
+                <p className="text-white/30 text-xs italic">
+                  No operations yet...
+                </p>
+              ) : (
+                log.map((entry, i) => (
+                  <div
+                    key={entry.id}
+                    className={`text-xs font-mono py-1 px-2 rounded border-l-2 ${
+                      entry.type === "success"
+                        ? "border-green-400 bg-green-400/5 text-green-300"
+                        : entry.type === "error"
+                          ? "border-red-400 bg-red-400/5 text-red-300"
+                          : "border-blue-400 bg-blue-400/5 text-blue-300"
+                    } ${i > 0 ? "opacity-50" : ""}`}
+                  >
+                    {entry.msg}
+                  </div>
+                ))
+              )}
+            </div>
+            <p className="text-white/40 text-xs mt-2">
+              Collisions so far:{" "}
+              <span className="text-red-400 font-bold">{collisions}</span>
+            </p>
+          </div>
+
+          <div>
+            <p className="text-white/40 text-xs uppercase tracking-widest mb-2">
+              ⚡ Time Complexity
+            </p>
+            <div className="grid grid-cols-2 gap-1 text-xs font-mono">
+              {[
+                ["Insert (avg)", "O(1)", true],
+                ["Search (avg)", "O(1)", true],
+                ["Delete (avg)", "O(1)", true],
+                ["Resize", "O(n)", false],
+                ["Worst case", "O(n)", false],
+                [
+                  mode === "chaining" ? "Chain length" : "Probes (avg)",
+                  mode === "chaining" ? "≈ α" : "≈ 1/(1−α)",
+                  true,
+                ],
+              ].map(([op, c, fast]) => (
+                <div
+                  key={op}
+                  className="flex justify-between px-3 py-1.5 bg-white/5 rounded-lg"
+                >
+                  <span className="text-white/55">{op}</span>
+                  <span
+                    className={`font-bold ${fast ? "text-green-400" : "text-red-400"}`}
+                  >
+                    {c}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <p className="text-center text-white/25 text-xs pb-2">
+        💡 Anagrams like CAT / ACT / TAC always collide under a character-sum
+        hash · Drag to rotate · Scroll to zoom
+      </p>
+    </div>
+  );
+}
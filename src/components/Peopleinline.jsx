@@ -0,0 +1,968 @@
+import { useRef, useState, useEffect } from "react";
+import { Canvas, useFrame } from "@react-three/fiber";
+import {
+  Text,
+  RoundedBox,
+  OrbitControls,
+  Environment,
+} from "@react-three/drei";
+import { XR, createXRStore } from "@react-three/xr";
+import { gsap } from "gsap";
+import { NodeArrow } from "./Dominonodes";
+import ARPlacement, { ARPlacementHud } from "./ARPlacement";
+import TimelineBar from "./TimelineBar";
+import { LinkedListModel } from "../models";
+import { useModelEvents } from "../hooks/useModelEvents";
+import { useTimeline } from "../hooks/useTimeline";
+import { useARPlacement } from "../hooks/useARPlacement";
+
+// ─── XR Store ─────────────────────────────────────────────────────────────────
+const xrStore = createXRStore();
+
+// ─── Constants ────────────────────────────────────────────────────────────────
+const GAP = 1.5;
+const FLOOR_Y = -1.0;
+const CHEST_Y = 0.35;
+const SIDE_Z = 1.6;
+const MAX_PEOPLE = 8;
+const STEP_MS = 1200;
+const WALK_S = 0.8;
+const AR_SCALE = 0.14;
+const AR_LIFT = -(FLOOR_Y - 0.06); // rests the floor disc on the surface
+
+const PEOPLE = [
+  { name: "Ana", shirt: "#e74c3c", skin: "#f1c27d", hair: "#3b2314" },
+  { name: "Ben", shirt: "#3498db", skin: "#e0ac69", hair: "#1c1c1c" },
+  { name: "Cai", shirt: "#2ecc71", skin: "#c68642", hair: "#2c1b0e" },
+  { name: "Dee", shirt: "#9b59b6", skin: "#ffdbac", hair: "#a0522d" },
+  { name: "Eli", shirt: "#f39c12", skin: "#8d5524", hair: "#0f0f0f" },
+  { name: "Fay", shirt: "#1abc9c", skin: "#f1c27d", hair: "#d4a017" },
+  { name: "Gus", shirt: "#e67e22", skin: "#e0ac69", hair: "#4a2c17" },
+  { name: "Hana", shirt: "#ec4899", skin: "#ffdbac", hair: "#1c1c1c" },
+  { name: "Ivo", shirt: "#34495e", skin: "#c68642", hair: "#5b3a1e" },
+  { name: "Jun", shirt: "#16a085", skin: "#f1c27d", hair: "#0f0f0f" },
+];
+
+// Standing spot for the i-th person in an n-person line
+const lineSpot = (i, n) => [(i - (n - 1) / 2) * GAP, Math.sin(i * 0.9) * 0.45];
+
+function listOrder(list) {
+  const order = [];
+  let cur = list.head;
+  while (cur !== null && order.length <= MAX_PEOPLE + 2) {
+    order.push(cur);
+    cur = list.nodes[cur]?.next ?? null;
+  }
+  return order;
+}
+
+function setNext(list, id, next) {
+  return {
+    ...list,
+    nodes: { ...list.nodes, [id]: { ...list.nodes[id], next } },
+  };
+}
+
+// Everyone reachable from HEAD steps into formation
+function closeUp(list) {
+  const order = listOrder(list);
+  const nodes = { ...list.nodes };
+  order.forEach((id, i) => {
+    nodes[id] = { ...nodes[id], pos: lineSpot(i, order.length) };
+  });
+  return { ...list, nodes };
+}
+
+// The model keeps people in line order; the scene needs them as pointers
+function lineUp(people) {
+  const nodes = {};
+  people.forEach((person, i) => {
+    nodes[person.id] = {
+      ...person,
+      pos: lineSpot(i, people.length),
+      next: people[i + 1]?.id ?? null,
+    };
+  });
+  return { head: people[0]?.id ?? null, nodes };
+}
+const INITIAL_PEOPLE = [1, 2, 3, 4, 5].map((id, i) => ({ id, styleIdx: i }));
+let nextPersonId = 10;
+
+// ─── Person avatar ────────────────────────────────────────────────────────────
+function Person({ node, index, isHead, isFocused, isVisited, onClick }) {
+  const groupRef = useRef();
+  const bodyRef = useRef();
+  const walking = useRef(false);
+  const style = PEOPLE[node.styleIdx];
+  const [x, z] = node.pos;
+
+  // Walk in from the side on first appearance
+  useEffect(() => {
+    if (!groupRef.current) return;
+    groupRef.current.position.set(x, FLOOR_Y, z + 5);
+    walking.current = true;
+    gsap.to(groupRef.current.position, {
+      z,
+      duration: WALK_S,
+      ease: "power1.out",
+      onComplete: () => (walking.current = false),
+    });
+  }, []);
+
+  // Walk to a new standing spot
+  useEffect(() => {
+    if (!groupRef.current) return;
+    walking.current = true;
+    gsap.to(groupRef.current.position, {
+      x,
+      z,
+      duration: WALK_S,
+      ease: "power1.inOut",
+      onComplete: () => (walking.current = false),
+    });
+  }, [x, z]);
+
+  useFrame(({ clock }) => {
+    if (!bodyRef.current) return;
+    const t = clock.elapsedTime;
+    bodyRef.current.position.y = walking.current
+      ? Math.abs(Math.sin(t * 10)) * 0.08
+      : isFocused
+        ? Math.sin(t * 5) * 0.04
+        : 0;
+  });
+
+  const glow = isFocused ? "#facc15" : isVisited ? "#2ecc71" : "#000000";
+
+  return (
+    <group
+      ref={groupRef}
+      position={[x, FLOOR_Y, z]}
+      onClick={(e) => {
+        e.stopPropagation();
+        onClick(node.id);
+      }}
+      onPointerOver={(e) => {
+        e.stopPropagation();
+        document.body.style.cursor = "pointer";
+      }}
+      onPointerOut={() => {
+        document.body.style.cursor = "auto";
+      }}
+    >
+      <group ref={bodyRef}>
+        {/* Legs */}
+        {[-0.1, 0.1].map((lx) => (
+          <mesh key={lx} position={[lx, 0.3, 0]}>
+            <cylinderGeometry args={[0.07, 0.07, 0.6, 10]} />
+            <meshStandardMaterial color="#2c3e50" />
+          </mesh>
+        ))}
+        {/* Torso */}
+        <mesh position={[0, 0.85, 0]} castShadow>
+          <cylinderGeometry args={[0.22, 0.26, 0.6, 14]} />
+          <meshStandardMaterial
+            color={style.shirt}
+            roughness={0.6}
+            emissive={glow}
+            emissiveIntensity={isFocused ? 0.45 : isVisited ? 0.3 : 0}
+          />
+        </mesh>
+        {/* Head + hair */}
+        <mesh position={[0, 1.38, 0]}>
+          <sphereGeometry args={[0.19, 18, 18]} />
+          <meshStandardMaterial color={style.skin} roughness={0.7} />
+        </mesh>
+        <mesh position={[0, 1.46, -0.03]}>
+          <sphereGeometry args={[0.18, 18, 18, 0, Math.PI * 2, 0, 1.4]} />
+          <meshStandardMaterial color={style.hair} roughness={0.9} />
+        </mesh>
+        {/* Name + index */}
+        <Text
+          position={[0, 1.8, 0]}
+          fontSize={0.17}
+          color={isFocused ? "#facc15" : "#ffffff"}
+          anchorX="center"
+          anchorY="middle"
+          fontWeight="bold"
+        >
+          {style.name}
+        </Text>
+        <Text
+          position={[0, 2.0, 0]}
+          fontSize={0.12}
+          color="#f9a8d4"
+          anchorX="center"
+          anchorY="middle"
+        >
+          {index === null ? "not in line" : `[${index}]`}
+        </Text>
+        {isHead && (
+          <group position={[0, 2.3, 0]}>
+            <RoundedBox args={[0.62, 0.2, 0.06]} radius={0.03} smoothness={4}>
+              <meshStandardMaterial
+                color="#2ecc71"
+                emissive="#2ecc71"
+                emissiveIntensity={0.4}
+              />
+            </RoundedBox>
+            <Text
+              position={[0, 0, 0.04]}
+              fontSize={0.1}
+              color="#fff"
+              anchorX="center"
+              anchorY="middle"
+              fontWeight="bold"
+            >
+              HEAD
+            </Text>
+          </group>
+        )}
+      </group>
+      {/* Floor ring */}
+      <mesh position={[0, 0.01, 0]} rotation={[-Math.PI / 2, 0, 0]}>
+        <ringGeometry args={[0.32, 0.4, 28]} />
+        <meshStandardMaterial
+          color={isFocused ? "#facc15" : isVisited ? "#2ecc71" : "#f472b6"}
+          transparent
+          opacity={0.7}
+        />
+      </mesh>
+    </group>
+  );
+}
+
+// ─── Pointer arrow whose ends glide when redirected ──────────────────────────
+function RedirectArrow({ from, to, color }) {
+  const [pts, setPts] = useState({ from, to });
+  const proxy = useRef({
+    fx: from[0],
+    fy: from[1],
+    fz: from[2],
+    tx: to[0],
+    ty: to[1],
+    tz: to[2],
+  });
+
+  useEffect(() => {
+    const p = proxy.current;
+    const tween = gsap.to(p, {
+      fx: from[0],
+      fy: from[1],
+      fz: from[2],
+      tx: to[0],
+      ty: to[1],
+      tz: to[2],
+      duration: WALK_S,
+      ease: "power2.inOut",
+      onUpdate: () =>
+        setPts({ from: [p.fx, p.fy, p.fz], to: [p.tx, p.ty, p.tz] }),
+    });
+    return () => tween.kill();
+  }, [from[0], from[1], from[2], to[0], to[1], to[2]]);
+
+  return (
+    <NodeArrow from={pts.from} to={pts.to} color={color} lift={0.5} head />
+  );
+}
+
+// ─── Scene contents (shared by 3D and AR) ─────────────────────────────────────
+function LineWorld({ list, focus, visited, onSelect }) {
+  const order = listOrder(list);
+  const chest = FLOOR_Y + 0.9 + CHEST_Y;
+  return (
+    <>
+      <mesh position={[0, FLOOR_Y - 0.03, 0]} receiveShadow>
+        <cylinderGeometry args={[7.5, 7.5, 0.06, 48]} />
+        <meshStandardMaterial color="#3a2f3b" roughness={0.9} />
+      </mesh>
+
+      {Object.values(list.nodes).map((node) => {
+        const [fx, fz] = node.pos;
+        const target = node.next === null ? null : list.nodes[node.next];
+        // next == NULL → short stub ending at a NULL tag
+        const to = target
+          ? [target.pos[0] - 0.3, chest, target.pos[1]]
+          : [fx + 0.9, chest - 0.5, fz];
+        const isFocused = focus.arrows.includes(node.id);
+        const isVisited =
+          target && visited.has(node.id) && visited.has(node.next);
+        return (
+          <group key={`a-${node.id}`}>
+            <RedirectArrow
+              from={[fx + 0.3, chest, fz]}
+              to={to}
+              color={
+                isFocused
+                  ? "#facc15"
+                  : isVisited
+                    ? "#2ecc71"
+                    : target
+                      ? "#f472b6"
+                      : "#e74c3c"
+              }
+            />
+            {!target && (
+              <Text
+                position={[fx + 1.1, chest - 0.6, fz]}
+                fontSize={0.13}
+                color="#e74c3c"
+                anchorX="left"
+                anchorY="middle"
+                fontWeight="bold"
+              >
+                NULL
+              </Text>
+            )}
+          </group>
+        );
+      })}
+
+      {Object.values(list.nodes).map((node) => {
+        const idx = order.indexOf(node.id);
+        return (
+          <Person
+            key={node.id}
+            node={node}
+            index={idx === -1 ? null : idx}
+            isHead={list.head === node.id}
+            isFocused={focus.people.includes(node.id)}
+            isVisited={visited.has(node.id)}
+            onClick={onSelect}
+          />
+        );
+      })}
+    </>
+  );
+}
+
+function LineScene(props) {
+  return (
+    <>
+      <ambientLight intensity={0.55} />
+      <directionalLight position={[4, 9, 6]} intensity={1.1} castShadow />
+      <directionalLight
+        position={[-5, 4, -3]}
+        intensity={0.35}
+        color="#f5c2e0"
+      />
+      <LineWorld {...props} />
+      <OrbitControls
+        enablePan={false}
+        minPolarAngle={Math.PI / 6}
+        maxPolarAngle={Math.PI / 2.2}
+        minDistance={5}
+        maxDistance={16}
+        target={[0, 0, 0]}
+      />
+      <Environment preset="city" />
+    </>
+  );
+}
+
+function ARLineWorld({ ar, ...props }) {
+  return (
+    <>
+      <ambientLight intensity={1.4} />
+      <directionalLight position={[5, 8, 4]} intensity={1.6} />
+      <ARPlacement
+        placement={ar}
+        scale={AR_SCALE}
+        lift={AR_LIFT}
+        color="#f472b6"
+      >
+        <LineWorld {...props} />
+      </ARPlacement>
+    </>
+  );
+}
+
+// ─── Main Export ──────────────────────────────────────────────────────────────
+export default function PeopleInLine() {
+  const [model] = useState(
+    () => new LinkedListModel({ nodes: INITIAL_PEOPLE }),
+  );
+  const [list, setList] = useState(() => lineUp(INITIAL_PEOPLE)); // what the scene shows
+  const [focus, setFocus] = useState({ people: [], arrows: [] });
+  const [visited, setVisited] = useState(new Set());
+  const [stepText, setStepText] = useState(null);
+  const [isAnimating, setIsAnimating] = useState(false);
+  const [selectedId, setSelectedId] = useState(null);
+  const [activeTab, setActiveTab] = useState("insert");
+  const [log, setLog] = useState([]);
+  const [styleIdx, setStyleIdx] = useState(5);
+  const [insertIdx, setInsertIdx] = useState(2);
+  const timersRef = useRef([]);
+  const ar = useARPlacement(xrStore);
+  const isARMode = ar.isAR;
+
+  useEffect(() => () => timersRef.current.forEach(clearTimeout), []);
+
+  const addLog = (msg, type = "info") =>
+    setLog((p) => [{ msg, type, id: Date.now() }, ...p].slice(0, 8));
+
+  const order = listOrder(list);
+  const count = Object.keys(list.nodes).length;
+  const nameOf = (id) => PEOPLE[list.nodes[id].styleIdx].name;
+
+  const runSteps = (steps, doneMsg) => {
+    setIsAnimating(true);
+    setVisited(new Set());
+    steps.forEach((step, k) => {
+      timersRef.current.push(
+        setTimeout(() => {
+          if (step.apply) setList(step.apply);
+          setFocus({ people: step.people ?? [], arrows: step.arrows ?? [] });
+          setStepText(`Step ${k + 1}/${steps.length}: ${step.text}`);
+        }, k * STEP_MS),
+      );
+    });
+    timersRef.current.push(
+      setTimeout(() => {
+        setFocus({ people: [], arrows: [] });
+        setIsAnimating(false);
+        addLog(doneMsg, "success");
+      }, steps.length * STEP_MS),
+    );
+  };
+
+  const handleSelect = (id) => {
+    const idx = order.indexOf(id);
+    setSelectedId((p) => (p === id ? null : id));
+    addLog(
+      `Selected ${idx === -1 ? "" : `[${idx}] `}"${nameOf(id)}"`,
+      "select",
+    );
+  };
+
+  // ── Insert anywhere ────────────────────────────────────────────────────────
+  // The model changes at once; the scene then replays the pointer updates
+  // one arrow at a time from the line it still shows
+  const animateInsert = (e) => {
+    const idx = e.index;
+    const { id, styleIdx: personStyle } = e.value;
+    const name = PEOPLE[personStyle].name;
+    const prev = idx === 0 ? null : order[idx - 1];
+    const succ = idx < order.length ? order[idx] : null;
+
+    // New person waits beside the gap they are joining
+    const anchor = list.nodes[prev ?? succ]?.pos ?? [0, 0];
+    const side = [anchor[0] + (prev === null ? -GAP / 2 : GAP / 2), SIDE_Z];
+
+    const steps = [];
+    if (e.steps > 1)
+      steps.push({
+        text: `Walk from HEAD to [${idx - 1}] "${nameOf(prev)}"`,
+        people: order.slice(0, idx),
+      });
+    else if (prev !== null)
+      steps.push({
+        text: `prev = TAIL — "${nameOf(prev)}" is last, no walk needed`,
+        people: [prev],
+      });
+    steps.push({
+      text: `new = Person("${name}") — arrives anywhere on the floor, new.next = NULL`,
+      people: [id],
+      apply: (l) => ({
+        ...l,
+        nodes: { ...l.nodes, [id]: { ...e.value, pos: side, next: null } },
+      }),
+    });
+    if (succ !== null)
+      steps.push({
+        text: `new.next = ${prev === null ? "HEAD" : "prev.next"} — "${name}" points at "${nameOf(succ)}" first, so nobody gets lost`,
+        people: [id, succ],
+        arrows: [id],
+        apply: (l) => setNext(l, id, succ),
+      });
+    steps.push(
+      prev === null
+        ? {
+            text: `HEAD = new — "${name}" is now first in line`,
+            people: [id],
+            apply: (l) => ({ ...l, head: id }),
+          }
+        : {
+            text: `prev.next = new — "${nameOf(prev)}"'s arrow swings from ${succ === null ? "NULL" : `"${nameOf(succ)}"`} to "${name}"`,
+            people: [prev, id],
+            arrows: [prev],
+            apply: (l) => setNext(l, prev, id),
+          },
+      {
+        text: "Everyone shuffles into formation (only for looks — no pointers change)",
+        apply: closeUp,
+      },
+    );
+    runSteps(steps, `➕ "${name}" joined at [${idx}]  ·  ${e.complexity}`);
+  };
+
+  const handleInsert = () => {
+    if (isAnimating) return;
+    if (count >= MAX_PEOPLE)
+      return addLog(`⚠️ Floor is full! Max ${MAX_PEOPLE} people.`, "error");
+    const idx = Math.min(Math.max(Number(insertIdx) || 0, 0), order.length);
+    model.insertAt(idx, { id: nextPersonId++, styleIdx });
+  };
+
+  // ── Delete ─────────────────────────────────────────────────────────────────
+  const animateRemove = (e) => {
+    const idx = e.index;
+    const target = e.value.id;
+    const succ = list.nodes[target].next;
+    const name = nameOf(target);
+    const prev = idx === 0 ? null : order[idx - 1];
+    const succName = succ === null ? "NULL" : `"${nameOf(succ)}"`;
+    const [tx] = list.nodes[target].pos;
+
+    const steps = [];
+    if (idx > 0)
+      steps.push({
+        text: `Walk from HEAD to [${idx - 1}] "${nameOf(prev)}"`,
+        people: order.slice(0, idx),
+      });
+    steps.push(
+      prev === null
+        ? {
+            text: `HEAD = HEAD.next — HEAD moves to ${succName}`,
+            people: succ === null ? [target] : [target, succ],
+            apply: (l) => ({ ...l, head: succ }),
+          }
+        : {
+            text: `prev.next = target.next — "${nameOf(prev)}"'s arrow skips "${name}" and points at ${succName}`,
+            people: [prev, target],
+            arrows: [prev],
+            apply: (l) => setNext(l, prev, succ),
+          },
+      {
+        text: `target.next = NULL — "${name}" steps out of line`,
+        people: [target],
+        arrows: [target],
+        apply: (l) => ({
+          ...l,
+          nodes: {
+            ...l.nodes,
+            [target]: { ...l.nodes[target], next: null, pos: [tx, SIDE_Z] },
+          },
+        }),
+      },
+      {
+        text: `"${name}" leaves — the line closes up`,
+        apply: (l) => {
+          const nodes = { ...l.nodes };
+          delete nodes[target];
+          return closeUp({ ...l, nodes });
+        },
+      },
+    );
+    setSelectedId(null);
+    runSteps(steps, `🗑️ "${name}" left from [${idx}]  ·  ${e.complexity}`);
+  };
+
+  const handleDelete = (where) => {
+    if (isAnimating) return;
+    if (order.length === 0) return addLog("⚠️ Line is empty!", "error");
+    const idx = where === "head" ? 0 : order.indexOf(selectedId);
+    if (idx === -1)
+      return addLog("⚠️ Click someone in line first to remove them!", "error");
+    model.removeAt(idx);
+  };
+
+  // ── Traverse ───────────────────────────────────────────────────────────────
+  const animateTraverse = (e) => {
+    const ids = e.order.map((k) => order[k]);
+    setIsAnimating(true);
+    setVisited(new Set());
+    setStepText("cur = HEAD");
+    ids.forEach((id, k) => {
+      timersRef.current.push(
+        setTimeout(() => {
+          setVisited((p) => new Set([...p, id]));
+          setFocus({ people: [id], arrows: [] });
+          setStepText(`[${k}] "${nameOf(id)}" → cur = cur.next`);
+        }, k * 700),
+      );
+    });
+    timersRef.current.push(
+      setTimeout(() => {
+        setFocus({ people: [], arrows: [] });
+        setStepText("cur == NULL — end of the line");
+        setIsAnimating(false);
+        addLog(
+          `✅ Traversal complete — ${ids.length} people  ·  ${e.complexity}`,
+          "success",
+        );
+      }, ids.length * 700),
+    );
+  };
+
+  const handleTraverse = () => {
+    if (isAnimating) return;
+    model.traverse();
+  };
+
+  const showPeople = (people) => {
+    timersRef.current.forEach(clearTimeout);
+    timersRef.current = [];
+    setList(lineUp(people));
+    setFocus({ people: [], arrows: [] });
+    setVisited(new Set());
+    setStepText(null);
+    setSelectedId(null);
+    setIsAnimating(false);
+  };
+
+  useModelEvents(model, (e) => {
+    if (e.type === "insert") animateInsert(e);
+    else if (e.type === "remove") animateRemove(e);
+    else if (e.type === "traverse") animateTraverse(e);
+    else if (e.type === "reset") {
+      showPeople(e.items);
+      setLog([]);
+    } else if (e.type === "restore") {
+      showPeople(e.items);
+      addLog(`🕘 Back to ${e.items.length} people in line`, "info");
+    }
+  });
+
+  const timeline = useTimeline(model, {
+    busy: isAnimating,
+    describe: (e) =>
+      `${e.type} ${PEOPLE[e.value.styleIdx].name} at [${e.index}]`,
+  });
+
+  const handleReset = () => model.reset();
+
+  const tabBtn = (tab, emoji, label) => (
+    <button
+      key={tab}
+      onClick={() => setActiveTab(tab)}
+      className={`px-3 py-2 rounded-lg text-sm font-bold transition-all border-2 ${activeTab === tab ? "bg-pink-400 border-pink-400 text-gray-900" : "bg-transparent border-white/20 text-white/60 hover:border-pink-400/50 hover:text-white"}`}
+    >
+      {emoji} {label}
+    </button>
+  );
+
+  const worldProps = { list, focus, visited, onSelect: handleSelect };
+  const selectedIdx = selectedId === null ? -1 : order.indexOf(selectedId);
+
+  return (
+    <div
+      className="flex flex-col gap-4 w-full"
+      style={{ fontFamily: "'Courier New', monospace" }}
+    >
+      <ARPlacementHud
+        placement={ar}
+        title="👥 PEOPLE IN LINE — AR"
+        status={`${order.length} people`}
+        accent="#f472b6"
+        actions={[
+          {
+            label: `➕ Insert at [${insertIdx}]`,
+            onClick: handleInsert,
+            disabled: isAnimating,
+            color: "#16a34a",
+          },
+          {
+            label: "🗑️ Remove HEAD",
+            onClick: () => handleDelete("head"),
+            disabled: isAnimating,
+            color: "#b91c1c",
+          },
+        ]}
+      >
+        <div
+          style={{
+            background: "rgba(0,0,0,0.8)",
+            border: "1px solid rgba(244,114,182,0.3)",
+            borderRadius: 14,
+            padding: "10px 14px",
+            color: "#f9a8d4",
+            fontSize: 12,
+          }}
+        >
+          {stepText ?? "👥 People in Line — tap a button to start"}
+        </div>
+      </ARPlacementHud>
+
+      {/* Header */}
+      <div className="text-center">
+        <h2 className="text-3xl font-bold text-pink-300 tracking-widest">
+          👥 PEOPLE IN LINE
+        </h2>
+        <p className="text-white/50 text-sm mt-1">
+          Linked List · {order.length} people
+          {selectedIdx !== -1 && (
+            <>
+              {" "}
+              &nbsp;·&nbsp; Selected:{" "}
+              <span className="text-pink-300 font-bold">
+                [{selectedIdx}] = "{nameOf(selectedId)}"
+              </span>
+            </>
+          )}
+        </p>
+      </div>
+
+      {/* AR launch */}
+      {!isARMode && (
+        <div className="flex flex-col items-center gap-2">
+          {ar.supported ? (
+            <button
+              onClick={ar.enter}
+              className="px-5 py-2.5 rounded-xl border-none font-bold text-sm text-white cursor-pointer"
+              style={{
+                background: "linear-gradient(135deg,#ec4899,#db2777)",
+                boxShadow: "0 0 20px rgba(236,72,153,0.4)",
+              }}
+            >
+              📱 Place Line on Floor (AR)
+            </button>
+          ) : (
+            <span className="text-white/40 text-xs">
+              📵 AR not supported on this device/browser — 3D view below
+            </span>
+          )}
+          {ar.error && <p className="text-red-400 text-xs">{ar.error}</p>}
+        </div>
+      )}
+
+      {/* Canvas */}
+      <div
+        className={`w-full rounded-2xl overflow-hidden border-2 border-pink-400/30 shadow-[0_0_40px_rgba(244,114,182,0.12)] ${isARMode ? "fixed inset-0 z-50 rounded-none border-0" : ""}`}
+        style={{
+          height: isARMode ? "100vh" : 440,
+          background: isARMode
+            ? "transparent"
+            : "linear-gradient(180deg,#160812 0%,#2a1024 50%,#0b0409 100%)",
+        }}
+      >
+        <Canvas
+          camera={{ position: [0, 4.5, 9], fov: 48 }}
+          shadows
+          gl={{ alpha: true, antialias: true, xrCompatible: true }}
+          onCreated={({ gl }) => {
+            gl.xr.enabled = true;
+          }}
+        >
+          <XR store={xrStore}>
+            {isARMode ? (
+              <ARLineWorld ar={ar} {...worldProps} />
+            ) : (
+              <LineScene {...worldProps} />
+            )}
+          </XR>
+        </Canvas>
+      </div>
+
+      {!isARMode && (
+        <>
+          {/* Step narration */}
+          <div
+            className={`px-4 py-2 rounded-xl border text-sm text-center ${stepText ? "border-yellow-400/40 bg-yellow-400/10 text-yellow-200" : "border-white/10 bg-white/5 text-white/30"}`}
+          >
+            {stepText ?? "Pointer steps appear here as each operation runs"}
+          </div>
+
+          {/* Line in list order */}
+          <div className="flex gap-1 flex-wrap justify-center items-center">
+            <span className="text-green-400 text-xs font-bold mr-1">HEAD</span>
+            {order.map((id, i) => (
+              <div key={id} className="flex items-center gap-1">
+                <button
+                  onClick={() => handleSelect(id)}
+                  className={`px-2 py-1 rounded-lg border transition-all text-xs font-bold ${selectedId === id ? "border-pink-400 bg-pink-400/20 text-pink-300" : visited.has(id) ? "border-green-400 bg-green-400/10 text-green-300" : "border-white/20 bg-white/10 text-white/80 hover:border-white/40"}`}
+                >
+                  {nameOf(id)}
+                </button>
+                {i < order.length - 1 && (
+                  <span className="text-white/30 text-sm">→</span>
+                )}
+              </div>
+            ))}
+            <span className="text-white/30 text-xs ml-1">→ NULL</span>
+          </div>
+
+          <TimelineBar
+            timeline={timeline}
+            accent="pink"
+            disabled={isAnimating}
+          />
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+            <div className="bg-white/5 border border-white/10 rounded-2xl p-5">
+              <div className="flex gap-2 mb-4 flex-wrap">
+                {tabBtn("insert", "➕", "Insert")}
+                {tabBtn("delete", "🗑️", "Remove")}
+                {tabBtn("traverse", "▶", "Traverse")}
+              </div>
+
+              {activeTab === "insert" && (
+                <div className="flex flex-col gap-3">
+                  <p className="text-white/50 text-xs">
+                    Order matters: the new person points at the successor{" "}
+                    <em>before</em> the predecessor's arrow is redirected —
+                    otherwise the rest of the line is lost.
+                  </p>
+                  <div className="flex gap-2 items-center flex-wrap">
+                    <select
+                      value={styleIdx}
+                      onChange={(e) => setStyleIdx(Number(e.target.value))}
+                      className="px-3 py-2 bg-black/40 border border-white/20 rounded-lg text-white text-sm focus:outline-none focus:border-pink-400"
+                    >
+                      {PEOPLE.map((p, i) => (
+                        <option key={p.name} value={i}>
+                          🧍 {p.name}
+                        </option>
+                      ))}
+                    </select>
+                    <span className="text-white/40 text-xs">at index</span>
+                    <input
+                      type="number"
+                      min={0}
+                      max={order.length}
+                      value={insertIdx}
+                      onChange={(e) => setInsertIdx(e.target.value)}
+                      className="w-16 px-3 py-2 bg-black/40 border border-white/20 rounded-lg text-pink-300 font-mono text-sm focus:outline-none focus:border-pink-400"
+                    />
+                    <button
+                      onClick={handleInsert}
+                      disabled={isAnimating || count >= MAX_PEOPLE}
+                      className="px-4 py-2 bg-green-600 hover:bg-green-500 disabled:opacity-40 disabled:cursor-not-allowed rounded-lg text-white text-sm font-bold transition-all"
+                    >
+                      Insert
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              {activeTab === "delete" && (
+                <div className="flex flex-col gap-3">
+                  <p className="text-white/50 text-xs">
+                    The predecessor's arrow skips over the leaving person — HEAD{" "}
+                    <span className="text-green-400 font-bold">O(1)</span> ·
+                    others <span className="text-red-400 font-bold">O(n)</span>
+                  </p>
+                  <div className="flex gap-2 flex-wrap">
+                    <button
+                      onClick={() => handleDelete("head")}
+                      disabled={isAnimating}
+                      className="px-4 py-2 bg-red-700 hover:bg-red-600 disabled:opacity-40 rounded-lg text-white text-sm font-bold transition-all"
+                    >
+                      Remove HEAD
+                    </button>
+                    <button
+                      onClick={() => handleDelete("selected")}
+                      disabled={isAnimating || selectedIdx === -1}
+                      className="px-4 py-2 bg-purple-700 hover:bg-purple-600 disabled:opacity-40 disabled:cursor-not-allowed rounded-lg text-white text-sm font-bold transition-all"
+                    >
+                      Remove [{selectedIdx === -1 ? "?" : selectedIdx}]
+                    </button>
+                  </div>
+                  <p className="text-white/30 text-xs">
+                    Click a person to select them
+                  </p>
+                </div>
+              )}
+
+              {activeTab === "traverse" && (
+                <div className="flex flex-col gap-3">
+                  <p className="text-white/50 text-xs">
+                    Follow the arrows from HEAD until NULL —{" "}
+                    <span className="text-red-400 font-bold">O(n)</span>
+                  </p>
+                  <button
+                    onClick={handleTraverse}
+                    disabled={isAnimating || order.length === 0}
+                    className="px-5 py-2.5 bg-pink-600 hover:bg-pink-500 disabled:opacity-40 disabled:cursor-not-allowed rounded-lg text-white text-sm font-bold transition-all w-fit"
+                  >
+                    {isAnimating ? "⏳ Running..." : "▶ Start Traversal"}
+                  </button>
+                </div>
+              )}
+
+              <button
+                onClick={handleReset}
+                className="mt-4 w-full py-2 bg-white/5 hover:bg-white/10 border border-white/10 rounded-lg text-white/50 hover:text-white/80 text-sm transition-all"
+              >
+                🔄 Reset to Default
+              </button>
+            </div>
+
+            {/* Log + Complexity */}
+            <div className="bg-black/40 border border-white/10 rounded-2xl p-5 flex flex-col gap-4">
+              <div>
+                <p className="text-white/40 text-xs uppercase tracking-widest mb-2">
+                  📋 Operation Log
+                </p>
+                <div className="flex flex-col gap-1 max-h-36 overflow-y-auto">
+                  {log.length === 0 ? (
+                    <p className="text-white/30 text-xs italic">
+                      No operations yet...
+                    </p>
+                  ) : (
+                    log.map((entry, i) => (
+                      <div
+                        key={entry.id}
+                        className={`text-xs font-mono py-1 px-2 rounded border-l-2 ${
+                          entry.type === "success"
+                            ? "border-green-400 bg-green-400/5 text-green-300"
+                            : entry.type === "error"
+                              ? "border-red-400 bg-red-400/5 text-red-300"
+                              : entry.type === "select"
+                                ? "border-pink-400 bg-pink-400/5 text-pink-300"
+                                : "border-blue-400 bg-blue-400/5 text-blue-300"
+                        } ${i > 0 ? "opacity-50" : ""}`}
+                      >
+                        {entry.msg}
+                      </div>
+                    ))
+                  )}
+                </div>
+              </div>
+
+              <div>
+                <p className="text-white/40 text-xs uppercase tracking-widest mb-2">
+                  ⚡ Time Complexity
+                </p>
+                <div className="grid grid-cols-2 gap-1 text-xs font-mono">
+                  {[
+                    ["Insert HEAD/TAIL", "O(1)", true],
+                    ["Insert [i]", "O(n)", false],
+                    ["Redirect", "O(1)", true],
+                    ["Remove [i]", "O(n)", false],
+                    ["Remove HEAD", "O(1)", true],
+                    ["Traverse", "O(n)", false],
+                  ].map(([op, c, fast]) => (
+                    <div
+                      key={op}
+                      className="flex justify-between px-3 py-1.5 bg-white/5 rounded-lg"
+                    >
+                      <span className="text-white/55">{op}</span>
+                      <span
+                        className={`font-bold ${fast ? "text-green-400" : "text-red-400"}`}
+                      >
+                        {c}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+                <div className="mt-3 px-3 py-2 bg-pink-400/10 border border-pink-400/30 rounded-lg">
+                  <p className="text-pink-300 text-xs font-bold">
+                    Dynamic memory
+                  </p>
+                  <p className="text-white/50 text-xs mt-0.5">
+                    Nobody has to move to make room — only two arrows change.
+                  </p>
+                </div>
+              </div>
+            </div>
+          </div>
+
+          <p className="text-center text-white/25 text-xs pb-2">
+            💡 Click people to select · Drag to rotate · Scroll to zoom
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,764 @@
+import { useRef, useState, useEffect, useMemo } from "react";
+import { Canvas, useFrame } from "@react-three/fiber";
+import {
+  Text,
+  RoundedBox,
+  OrbitControls,
+  Environment,
+} from "@react-three/drei";
+import { XR, createXRStore } from "@react-three/xr";
+import { gsap } from "gsap";
+import * as THREE from "three";
+import StackOpsPanel from "./StackOpsPanel";
+import TimelineBar from "./TimelineBar";
+import ARPlacement, { ARPlacementHud, ARButton } from "./ARPlacement";
+import { StackModel } from "../models";
+import { useModelEvents } from "../hooks/useModelEvents";
+import { useTimeline } from "../hooks/useTimeline";
+import { useARPlacement } from "../hooks/useARPlacement";
+
+// ─── XR Store ─────────────────────────────────────────────────────────────────
+const xrStore = createXRStore();
+
+// ─── Constants ─────────────────────────────────────────────────────────────────
+const PLATE_R = 0.55;
+const PLATE_H = 0.07;
+const TUBE_R = 0.66;
+const TUBE_H = 1.6;
+const BASE_Y = -0.9;
+const RIM_Y = BASE_Y + TUBE_H;
+const PLATFORM_T = 0.05;
+const MAX_PLATES = 10;
+const AR_SCALE = 0.1;
+const AR_LIFT = -(BASE_Y - 0.2); // rests the counter on the surface
+
+const PLATE_STYLES = [
+  { name: "White", color: "#f4f6f7", rim: "#5dade2" },
+  { name: "Cream", color: "#fdf2e9", rim: "#dc7633" },
+  { name: "Blue Rim", color: "#eaf2f8", rim: "#2471a3" },
+  { name: "Green Rim", color: "#eafaf1", rim: "#1e8449" },
+  { name: "Red Rim", color: "#fdedec", rim: "#c0392b" },
+  { name: "Gold Rim", color: "#fef9e7", rim: "#b7950b" },
+];
+
+// The spring keeps the top plate level with the rim, so the platform
+// sinks one plate-height for every plate on it.
+const platformTop = (n) => RIM_Y + 0.02 - n * PLATE_H;
+const springLen = (n) => platformTop(n) - PLATFORM_T - (BASE_Y + 0.05);
+
+// ─── Single plate (local to the platform) ─────────────────────────────────────
+function Plate({ index, style, isTop, isPeeked, isNew, isPopping, onPopDone }) {
+  const ref = useRef();
+  const restY = index * PLATE_H + PLATE_H / 2;
+
+  // Push: drop in from above onto the stack
+  useEffect(() => {
+    if (!ref.current || !isNew) return;
+    gsap.fromTo(
+      ref.current.position,
+      { y: restY + 2.4, x: -0.6 },
+      { y: restY, x: 0, duration: 0.4, ease: "power2.in" },
+    );
+  }, []);
+
+  // Pop: lift off and away
+  useEffect(() => {
+    if (!ref.current || !isPopping) return;
+    gsap
+      .timeline({ onComplete: onPopDone })
+      .to(ref.current.position, { y: restY + 0.7, duration: 0.25 })
+      .to(ref.current.position, {
+        y: restY + 2.2,
+        x: 1.8,
+        duration: 0.4,
+        ease: "power2.in",
+      });
+  }, [isPopping]);
+
+  useFrame(() => {
+    if (!ref.current || isPopping) return;
+    const lift = isTop && isPeeked ? 0.18 : 0;
+    if (!gsap.isTweening(ref.current.position))
+      ref.current.position.y = THREE.MathUtils.lerp(
+        ref.current.position.y,
+        restY + lift,
+        0.15,
+      );
+  });
+
+  const glow = isTop && (isPeeked || isPopping);
+
+  return (
+    <group ref={ref} position={[0, restY, 0]}>
+      <mesh castShadow receiveShadow>
+        <cylinderGeometry
+          args={[PLATE_R, PLATE_R * 0.8, PLATE_H - 0.012, 40]}
+        />
+        <meshStandardMaterial
+          color={style.color}
+          roughness={0.25}
+          metalness={0.05}
+          emissive={glow ? "#38bdf8" : "#000000"}
+          emissiveIntensity={glow ? 0.35 : 0}
+        />
+      </mesh>
+      <mesh
+        position={[0, PLATE_H / 2 - 0.008, 0]}
+        rotation={[Math.PI / 2, 0, 0]}
+      >
+        <torusGeometry args={[PLATE_R - 0.04, 0.014, 8, 40]} />
+        <meshStandardMaterial color={style.rim} roughness={0.4} />
+      </mesh>
+      {isTop && isPeeked && (
+        <Text
+          position={[0, PLATE_H / 2 + 0.02, 0]}
+          rotation={[-Math.PI / 2, 0, 0]}
+          fontSize={0.12}
+          color="#0369a1"
+          anchorX="center"
+          anchorY="middle"
+          fontWeight="bold"
+        >
+          {`TOP [${index}]`}
+        </Text>
+      )}
+    </group>
+  );
+}
+
+// ─── Helical spring, unit height — scaled on Y to its current length ──────────
+function Spring({ springRef, length }) {
+  const geometry = useMemo(() => {
+    const turns = 7;
+    const pts = [];
+    for (let i = 0; i <= turns * 24; i++) {
+      const t = i / (turns * 24);
+      const a = t * turns * Math.PI * 2;
+      pts.push(new THREE.Vector3(Math.cos(a) * 0.38, t, Math.sin(a) * 0.38));
+    }
+    return new THREE.TubeGeometry(
+      new THREE.CatmullRomCurve3(pts),
+      turns * 24,
+      0.022,
+      8,
+      false,
+    );
+  }, []);
+
+  return (
+    <group
+      ref={springRef}
+      position={[0, BASE_Y + 0.05, 0]}
+      scale={[1, length, 1]}
+    >
+      <mesh geometry={geometry}>
+        <meshStandardMaterial
+          color="#a6acaf"
+          metalness={0.9}
+          roughness={0.25}
+        />
+      </mesh>
+    </group>
+  );
+}
+
+// ─── Underflow warning sign ───────────────────────────────────────────────────
+function UnderflowSign() {
+  const ref = useRef();
+
+  useEffect(() => {
+    if (!ref.current) return;
+    gsap.fromTo(
+      ref.current.scale,
+      { x: 0, y: 0, z: 0 },
+      { x: 1, y: 1, z: 1, duration: 0.35, ease: "back.out(2.5)" },
+    );
+  }, []);
+
+  useFrame(({ clock }) => {
+    if (!ref.current) return;
+    ref.current.rotation.z = Math.sin(clock.elapsedTime * 14) * 0.05;
+  });
+
+  return (
+    <group ref={ref} position={[0, RIM_Y + 0.75, 0]}>
+      <RoundedBox args={[1.9, 0.48, 0.06]} radius={0.05} smoothness={4}>
+        <meshStandardMaterial
+          color="#b91c1c"
+          emissive="#ef4444"
+          emissiveIntensity={0.6}
+        />
+      </RoundedBox>
+      <Text
+        position={[0, 0.07, 0.04]}
+        fontSize={0.15}
+        color="#ffffff"
+        anchorX="center"
+        anchorY="middle"
+        fontWeight="bold"
+      >
+        STACK UNDERFLOW
+      </Text>
+      <Text
+        position={[0, -0.11, 0.04]}
+        fontSize={0.08}
+        color="#fecaca"
+        anchorX="center"
+        anchorY="middle"
+      >
+        pop() called on an empty stack
+      </Text>
+    </group>
+  );
+}
+
+// ─── Spring-loaded dispenser ──────────────────────────────────────────────────
+function Dispenser({
+  stack,
+  isPeeked,
+  newId,
+  poppingId,
+  onPopDone,
+  underflowTick,
+  showUnderflow,
+}) {
+  const rootRef = useRef();
+  const platformRef = useRef();
+  const platformMatRef = useRef();
+  const springRef = useRef();
+  const prevSize = useRef(stack.length);
+  // Mount-time level only — gsap owns the platform and spring afterwards
+  const [initialSize] = useState(stack.length);
+  const size = stack.length;
+
+  // Spring compresses on push, extends on pop
+  useEffect(() => {
+    if (!platformRef.current || !springRef.current) return;
+    const grew = size > prevSize.current;
+    prevSize.current = size;
+    const opts = {
+      duration: grew ? 0.45 : 0.6,
+      delay: grew ? 0.38 : 0,
+      ease: grew ? "back.out(2.2)" : "elastic.out(1, 0.45)",
+    };
+    gsap.to(platformRef.current.position, { y: platformTop(size), ...opts });
+    gsap.to(springRef.current.scale, { y: springLen(size), ...opts });
+  }, [size]);
+
+  // Underflow: the empty platform slams its stop, dispenser rattles, red flash
+  useEffect(() => {
+    if (!underflowTick || !platformRef.current) return;
+    const y = platformTop(0);
+    gsap
+      .timeline()
+      .to(platformRef.current.position, { y: y + 0.12, duration: 0.08 })
+      .to(platformRef.current.position, {
+        y,
+        duration: 0.7,
+        ease: "elastic.out(1.2, 0.25)",
+      });
+    gsap.fromTo(
+      rootRef.current.position,
+      { x: -0.06 },
+      { x: 0, duration: 0.6, ease: "elastic.out(1.5, 0.15)" },
+    );
+    if (platformMatRef.current)
+      gsap.fromTo(
+        platformMatRef.current,
+        { emissiveIntensity: 1.2 },
+        { emissiveIntensity: 0, duration: 1.2 },
+      );
+  }, [underflowTick]);
+
+  return (
+    <group ref={rootRef}>
+      {/* Base */}
+      <mesh position={[0, BASE_Y - 0.05, 0]} receiveShadow>
+        <cylinderGeometry args={[TUBE_R + 0.12, TUBE_R + 0.16, 0.1, 40]} />
+        <meshStandardMaterial color="#34495e" metalness={0.6} roughness={0.4} />
+      </mesh>
+      {/* Well */}
+      <mesh position={[0, BASE_Y + TUBE_H / 2, 0]}>
+        <cylinderGeometry args={[TUBE_R, TUBE_R, TUBE_H, 40, 1, true]} />
+        <meshStandardMaterial
+          color="#aeb6bf"
+          metalness={0.75}
+          roughness={0.3}
+          transparent
+          opacity={0.35}
+          side={THREE.DoubleSide}
+        />
+      </mesh>
+      <mesh position={[0, RIM_Y, 0]} rotation={[Math.PI / 2, 0, 0]}>
+        <torusGeometry args={[TUBE_R, 0.035, 10, 48]} />
+        <meshStandardMaterial color="#d5dbdb" metalness={0.9} roughness={0.2} />
+      </mesh>
+
+      <Spring springRef={springRef} length={springLen(initialSize)} />
+
+      {/* Platform + plates ride the spring */}
+      <group ref={platformRef} position={[0, platformTop(initialSize), 0]}>
+        <mesh position={[0, -PLATFORM_T / 2, 0]}>
+          <cylinderGeometry
+            args={[TUBE_R - 0.04, TUBE_R - 0.04, PLATFORM_T, 40]}
+          />
+          <meshStandardMaterial
+            ref={platformMatRef}
+            color="#5d6d7e"
+            metalness={0.6}
+            roughness={0.35}
+            emissive="#ef4444"
+            emissiveIntensity={0}
+          />
+        </mesh>
+        {stack.map((plate, i) => (
+          <Plate
+            key={plate.id}
+            index={i}
+            style={PLATE_STYLES[plate.styleIdx]}
+            isTop={i === size - 1}
+            isPeeked={isPeeked}
+            isNew={plate.id === newId}
+            isPopping={plate.id === poppingId}
+            onPopDone={onPopDone}
+          />
+        ))}
+      </group>
+
+      {size === 0 && !showUnderflow && (
+        <Text
+          position={[0, RIM_Y + 0.3, 0]}
+          fontSize={0.14}
+          color="#5a7a9a"
+          anchorX="center"
+          anchorY="middle"
+        >
+          Dispenser is Empty
+        </Text>
+      )}
+      {showUnderflow && <UnderflowSign key={underflowTick} />}
+    </group>
+  );
+}
+
+function PlateScene({ ar, ...props }) {
+  return (
+    <>
+      <ambientLight intensity={0.55} />
+      <directionalLight position={[4, 8, 4]} intensity={1.1} castShadow />
+      <directionalLight
+        position={[-3, 5, -2]}
+        intensity={0.35}
+        color="#b0d0f0"
+      />
+      <pointLight position={[0, 3, 1.5]} intensity={0.5} color="#e8f4ff" />
+
+      <ARPlacement
+        placement={ar}
+        scale={AR_SCALE}
+        lift={AR_LIFT}
+        color="#38bdf8"
+      >
+        {/* Cafeteria counter */}
+        <mesh position={[0, BASE_Y - 0.15, 0]} receiveShadow>
+          <boxGeometry args={[3.6, 0.1, 2.2]} />
+          <meshStandardMaterial
+            color="#1f2f3d"
+            roughness={0.6}
+            metalness={0.2}
+          />
+        </mesh>
+
+        <Dispenser {...props} />
+      </ARPlacement>
+
+      {!ar.isAR && (
+        <>
+          <OrbitControls
+            enablePan={false}
+            minPolarAngle={Math.PI / 6}
+            maxPolarAngle={Math.PI / 2.1}
+            minDistance={3}
+            maxDistance={10}
+            target={[0, 0.1, 0]}
+          />
+          <Environment preset="apartment" />
+        </>
+      )}
+    </>
+  );
+}
+
+// ─── Main Export ───────────────────────────────────────────────────────────────
+const INITIAL_STACK = [
+  { id: 1, styleIdx: 0 },
+  { id: 2, styleIdx: 2 },
+  { id: 3, styleIdx: 1 },
+  { id: 4, styleIdx: 0 },
+];
+let nextId = 30;
+
+export default function PlateStack() {
+  const [model] = useState(
+    () => new StackModel({ items: INITIAL_STACK, capacity: MAX_PLATES }),
+  );
+  const [stack, setStack] = useState(INITIAL_STACK); // what the scene shows
+  const [isPeeked, setIsPeeked] = useState(false);
+  const [isAnimating, setIsAnimating] = useState(false);
+  const [newId, setNewId] = useState(null);
+  const [poppingId, setPoppingId] = useState(null);
+  const [underflowTick, setUnderflowTick] = useState(0);
+  const [showUnderflow, setShowUnderflow] = useState(false);
+  const [underflowCount, setUnderflowCount] = useState(0);
+  const [activeTab, setActiveTab] = useState("push");
+  const [pushStyleIdx, setPushStyleIdx] = useState(3);
+  const [log, setLog] = useState([]);
+  const timerRef = useRef(null);
+  const ar = useARPlacement(xrStore);
+
+  useEffect(() => () => clearTimeout(timerRef.current), []);
+
+  const addLog = (msg, type = "info") =>
+    setLog((prev) => [{ msg, type, id: Date.now() }, ...prev].slice(0, 8));
+
+  const topPlate = stack.length > 0 ? stack[stack.length - 1] : null;
+  const plateName = (plate) => PLATE_STYLES[plate.styleIdx].name;
+
+  // The model owns the stack; the scene catches up once animations finish
+  useModelEvents(model, (e) => {
+    if (e.type === "push") {
+      setIsAnimating(true);
+      setIsPeeked(false);
+      setShowUnderflow(false);
+      setNewId(e.value.id);
+      setStack(model.toArray());
+      addLog(
+        `🍽️ Push "${plateName(e.value)}" → TOP [${e.index}] · spring compresses  ·  ${e.complexity}`,
+        "success",
+      );
+      clearTimeout(timerRef.current);
+      timerRef.current = setTimeout(() => {
+        setNewId(null);
+        setIsAnimating(false);
+      }, 850);
+    } else if (e.type === "pop") {
+      // The plate lifts off first; handlePopDone drops it from the scene
+      setIsAnimating(true);
+      setIsPeeked(false);
+      setPoppingId(e.value.id);
+      addLog(
+        `🍽️ Pop "${plateName(e.value)}" from TOP [${e.index}] · spring extends  ·  ${e.complexity}`,
+        "success",
+      );
+    } else if (e.type === "peek") {
+      setIsPeeked((p) => !p);
+      addLog(
+        `👁️ Peek → TOP is "${plateName(e.value)}" at [${e.index}]  ·  ${e.complexity}`,
+        "success",
+      );
+    } else if (e.type === "overflow") {
+      addLog(
+        `⚠️ Stack Overflow! Dispenser holds ${e.capacity} plates.`,
+        "error",
+      );
+    } else if (e.type === "underflow" && e.op === "peek") {
+      addLog("⚠️ Stack is empty — nothing to peek!", "error");
+    } else if (e.type === "underflow") {
+      setIsAnimating(true);
+      setUnderflowTick((t) => t + 1);
+      setShowUnderflow(true);
+      setUnderflowCount((c) => c + 1);
+      addLog(
+        "🚫 UNDERFLOW — pop() on an empty stack! Check isEmpty() before popping.",
+        "underflow",
+      );
+      clearTimeout(timerRef.current);
+      timerRef.current = setTimeout(() => {
+        setShowUnderflow(false);
+        setIsAnimating(false);
+      }, 1800);
+    } else if (e.type === "reset") {
+      setStack(e.items);
+      setIsPeeked(false);
+      setShowUnderflow(false);
+      setUnderflowCount(0);
+      setLog([]);
+    } else if (e.type === "restore") {
+      setStack(e.items);
+      setIsPeeked(false);
+      setShowUnderflow(false);
+      addLog(`🕘 Back to ${e.items.length} plate(s) in the dispenser`, "info");
+    }
+  });
+
+  const timeline = useTimeline(model, {
+    busy: isAnimating,
+    describe: (e) => `${e.type} ${plateName(e.value)}`,
+  });
+
+  // ── Push ──────────────────────────────────────────────────────────────────
+  const handlePush = () => {
+    if (isAnimating) return;
+    model.push({ id: nextId++, styleIdx: pushStyleIdx });
+  };
+
+  // ── Pop ───────────────────────────────────────────────────────────────────
+  const handlePop = () => {
+    if (isAnimating) return;
+    model.pop();
+  };
+
+  const handlePopDone = () => {
+    setStack(model.toArray());
+    setPoppingId(null);
+    setIsAnimating(false);
+  };
+
+  // ── Peek ──────────────────────────────────────────────────────────────────
+  const handlePeek = () => model.peek();
+
+  // ── Reset ─────────────────────────────────────────────────────────────────
+  const handleReset = () => {
+    if (isAnimating) return;
+    model.reset();
+  };
+
+  const handleTabChange = (tab) => {
+    setActiveTab(tab);
+    setIsPeeked(false);
+  };
+
+  return (
+    <div
+      className="flex flex-col gap-4 w-full"
+      style={{ fontFamily: "'Courier New', monospace" }}
+    >
+      <ARPlacementHud
+        placement={ar}
+        title="🍽️ PLATE STACK — AR"
+        status={`Size ${stack.length}/${MAX_PLATES}`}
+        accent="#38bdf8"
+        log={log}
+        actions={[
+          {
+            label: "⬆ Push",
+            onClick: handlePush,
+            disabled: isAnimating || stack.length >= MAX_PLATES,
+            color: "#0284c7",
+          },
+          {
+            label: "⬇ Pop",
+            onClick: handlePop,
+            disabled: isAnimating,
+            color: "#dc2626",
+          },
+          {
+            label: "👁 Peek",
+            onClick: handlePeek,
+            disabled: stack.length === 0,
+          },
+          { label: "🔄 Reset", onClick: handleReset, disabled: isAnimating },
+        ]}
+      />
+
+      {/* Header */}
+      <div className="text-center">
+        <h2 className="text-3xl font-bold text-sky-300 tracking-widest">
+          🍽️ PLATE STACK
+        </h2>
+        <p className="text-white/50 text-sm mt-1">
+          Stack size:{" "}
+          <span className="text-sky-300 font-bold">{stack.length}</span> /{" "}
+          {MAX_PLATES}
+          &nbsp;·&nbsp;
+          {topPlate ? (
+            <>
+              TOP:{" "}
+              <span className="text-sky-300 font-bold">
+                [{stack.length - 1}] "{PLATE_STYLES[topPlate.styleIdx].name}"
+              </span>
+            </>
+          ) : (
+            <span className="text-red-400">Empty</span>
+          )}
+        </p>
+      </div>
+
+      <ARButton placement={ar} accent="#38bdf8" />
+
+      {/* 3D Canvas */}
+      <div
+        className={`w-full rounded-2xl overflow-hidden border-2 shadow-[0_0_40px_rgba(56,189,248,0.12)] transition-colors ${showUnderflow ? "border-red-500/70" : "border-sky-400/30"}`}
+        style={{
+          height: 460,
+          background:
+            "linear-gradient(180deg,#050b12 0%,#0a1826 50%,#04080d 100%)",
+        }}
+      >
+        <Canvas camera={{ position: [2.0, 2.4, 4.2], fov: 44 }} shadows>
+          <XR store={xrStore}>
+            <PlateScene
+              ar={ar}
+              stack={stack}
+              isPeeked={isPeeked}
+              newId={newId}
+              poppingId={poppingId}
+              onPopDone={handlePopDone}
+              underflowTick={underflowTick}
+              showUnderflow={showUnderflow}
+            />
+          </XR>
+        </Canvas>
+      </div>
+
+      {/* Stack visualizer bar */}
+      <div className="flex gap-1 flex-wrap justify-center items-end">
+        <span className="text-white/30 text-xs mr-1">BOTTOM</span>
+        {stack.length === 0 ? (
+          <span className="text-white/20 text-xs italic px-3 py-1 border border-white/10 rounded-lg">
+            [ empty ]
+          </span>
+        ) : (
+          stack.map((plate, i) => (
+            <div
+              key={plate.id}
+              className={`flex flex-col items-center px-2 py-1 rounded-lg border text-xs transition-all ${
+                i === stack.length - 1
+                  ? "border-sky-400 bg-sky-400/20 text-sky-300 scale-110"
+                  : "border-white/20 bg-white/10 text-white/70"
+              }`}
+              style={{ borderBottomColor: PLATE_STYLES[plate.styleIdx].rim }}
+            >
+              <span className="text-base">🍽️</span>
+              <span className="font-mono font-bold">[{i}]</span>
+              {i === stack.length - 1 && (
+                <span className="text-[9px] text-sky-400 font-bold">TOP</span>
+              )}
+            </div>
+          ))
+        )}
+        <span className="text-white/30 text-xs ml-1">TOP →</span>
+      </div>
+
+      <TimelineBar timeline={timeline} accent="sky" disabled={isAnimating} />
+
+      {/* Controls */}
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <StackOpsPanel
+          accent="sky"
+          noun="plate"
+          icons={{ push: "🍽️", pop: "🫳" }}
+          activeTab={activeTab}
+          onTabChange={handleTabChange}
+          options={PLATE_STYLES.map((s, i) => ({
+            value: i,
+            label: `🍽️ ${s.name}`,
+          }))}
+          pushValue={pushStyleIdx}
+          onPushValueChange={setPushStyleIdx}
+          size={stack.length}
+          capacity={MAX_PLATES}
+          top={topPlate && `"${PLATE_STYLES[topPlate.styleIdx].name}"`}
+          isAnimating={isAnimating}
+          isPeeked={isPeeked}
+          onPush={handlePush}
+          onPop={handlePop}
+          onPeek={handlePeek}
+          onReset={handleReset}
+          hints={{
+            push: "Set a plate on top — the spring compresses",
+            pop: "Lift the top plate off — the spring pushes the rest up",
+          }}
+          allowUnderflow
+        />
+
+        {/* Log + Complexity */}
+        <div className="bg-black/40 border border-white/10 rounded-2xl p-5 flex flex-col gap-4">
+          <div>
+            <p className="text-white/40 text-xs uppercase tracking-widest mb-2">
+              📋 Operation Log
+            </p>
+            <div className="flex flex-col gap-1 max-h-36 overflow-y-auto">
+              {log.length === 0 ? (
+                <p className="text-white/30 text-xs italic">
+                  No operations yet...
+                </p>
+              ) : (
+                log.map((entry, i) => (
+                  <div
+                    key={entry.id}
+                    className={`text-xs font-mono py-1 px-2 rounded border-l-2 ${
+                      entry.type === "success"
+                        ? "border-green-400 bg-green-400/5 text-green-300"
+                        : entry.type === "underflow"
+                          ? "border-red-500 bg-red-500/20 text-red-200 font-bold"
+                          : entry.type === "error"
+                            ? "border-red-400 bg-red-400/5 text-red-300"
+                            : "border-blue-400 bg-blue-400/5 text-blue-300"
+                    } ${i > 0 ? "opacity-50" : ""}`}
+                  >
+                    {entry.msg}
+                  </div>
+                ))
+              )}
+            </div>
+          </div>
+
+          <div>
+            <p className="text-white/40 text-xs uppercase tracking-widest mb-2">
+              ⚡ Time Complexity
+            </p>
+            <div className="grid grid-cols-2 gap-1 text-xs font-mono">
+              {[
+                ["Push", "O(1)", true],
+                ["Pop", "O(1)", true],
+                ["Peek", "O(1)", true],
+                ["isEmpty", "O(1)", true],
+                ["Search", "O(n)", false],
+                ["Clear", "O(n)", false],
+              ].map(([op, c, fast]) => (
+                <div
+                  key={op}
+                  className="flex justify-between px-3 py-1.5 bg-white/5 rounded-lg"
+                >
+                  <span className="text-white/55">{op}</span>
+                  <span
+                    className={`font-bold ${fast ? "text-green-400" : "text-red-400"}`}
+                  >
+                    {c}
+                  </span>
+                </div>
+              ))}
+            </div>
+
+            {/* Underflow guard */}
+            <div className="mt-3 px-3 py-2 bg-sky-400/10 border border-sky-400/25 rounded-lg">
+              <div className="flex justify-between text-xs">
+                <span className="text-white/50">isEmpty():</span>
+                <span
+                  className={`font-bold ${stack.length === 0 ? "text-red-400" : "text-green-400"}`}
+                >
+                  {stack.length === 0 ? "true" : "false"}
+                </span>
+              </div>
+              <div className="flex justify-between text-xs mt-1">
+                <span className="text-white/50">Underflows caught:</span>
+                <span className="text-sky-300 font-bold">{underflowCount}</span>
+              </div>
+              <p className="text-white/50 text-xs mt-2">
+                Guard every pop with{" "}
+                <span className="text-sky-300">if (!isEmpty())</span> — an empty
+                dispenser has nothing to hand out.
+              </p>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <p className="text-center text-white/25 text-xs pb-2">
+        💡 Pop an empty dispenser to see underflow · Drag to rotate · Scroll to
+        zoom
+      </p>
+    </div>
+  );
+}
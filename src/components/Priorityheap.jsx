@@ -0,0 +1,940 @@
+import { useRef, useState, useEffect } from "react";
+import { Canvas, useFrame } from "@react-three/fiber";
+import {
+  Text,
+  RoundedBox,
+  OrbitControls,
+  Environment,
+  Line,
+} from "@react-three/drei";
+import { XR, createXRStore } from "@react-three/xr";
+import * as THREE from "three";
+import { TICKET_STYLES } from "./ticketStyles";
+import ARPlacement, { ARPlacementHud, ARButton } from "./ARPlacement";
+import TimelineBar from "./TimelineBar";
+import { SceneModel } from "../models";
+import { useModelEvents } from "../hooks/useModelEvents";
+import { useTimeline } from "../hooks/useTimeline";
+import { useARPlacement } from "../hooks/useARPlacement";
+
+// ─── XR Store ─────────────────────────────────────────────────────────────────
+const xrStore = createXRStore();
+
+// ─── Constants ─────────────────────────────────────────────────────────────────
+const CAPACITY = 15; // four full levels
+const TREE_TOP = 2.4;
+const LEVEL_H = 0.8;
+const TREE_W = 7.2;
+const ARRAY_Y = -1.35;
+const CELL_W = 0.58;
+const STEP_MS = 750;
+const AR_SCALE = 0.06;
+const AR_LIFT = -(ARRAY_Y - 0.45); // keeps the backing array above the surface
+
+const HL = {
+  compare: "#facc15",
+  swap: "#fb923c",
+  settled: "#22c55e",
+  root: "#f43f5e",
+};
+
+// Suggested priority per ticket type — lower number = more urgent
+const TYPE_PRIORITY = [5, 40, 55, 70, 35, 25, 60, 15];
+
+const treePos = (i) => {
+  const d = Math.floor(Math.log2(i + 1));
+  const slot = i - (2 ** d - 1);
+  const w = TREE_W / 2 ** d;
+  return [-TREE_W / 2 + w * (slot + 0.5), TREE_TOP - d * LEVEL_H, 0];
+};
+const arrayPos = (i) => [(i - (CAPACITY - 1) / 2) * CELL_W, ARRAY_Y, 0.4];
+
+const parent = (i) => (i - 1) >> 1;
+const isBetter = (mode, a, b) => (mode === "min" ? a < b : a > b);
+const cmp = (mode) => (mode === "min" ? "<" : ">");
+
+let nextItemId = 1;
+const makeItem = (priority, styleIdx) => ({
+  id: nextItemId++,
+  priority,
+  styleIdx,
+});
+
+// ─── Step builders: each step is a full array snapshot + highlights ───────────
+function siftUp(arr, i, mode, steps) {
+  while (i > 0) {
+    const p = parent(i);
+    steps.push({
+      arr: [...arr],
+      hl: { [i]: HL.compare, [p]: HL.compare },
+      text: `Compare ${arr[i].priority} at [${i}] with its parent ${arr[p].priority} at [${p}] — parent(i) = ⌊(i−1)/2⌋`,
+    });
+    if (!isBetter(mode, arr[i].priority, arr[p].priority)) {
+      steps.push({
+        arr: [...arr],
+        hl: { [i]: HL.settled },
+        text: `${arr[i].priority} is not ${cmp(mode)} ${arr[p].priority} — heap property holds, stop`,
+      });
+      return;
+    }
+    [arr[i], arr[p]] = [arr[p], arr[i]];
+    steps.push({
+      arr: [...arr],
+      hl: { [i]: HL.swap, [p]: HL.swap },
+      text: `${arr[p].priority} ${cmp(mode)} ${arr[i].priority} — swap [${i}] ↔ [${p}], move up`,
+    });
+    i = p;
+  }
+  steps.push({
+    arr: [...arr],
+    hl: { 0: HL.settled },
+    text: `Reached the root — sift-up done`,
+  });
+}
+
+function siftDown(arr, i, mode, steps) {
+  const n = arr.length;
+  for (;;) {
+    const l = 2 * i + 1;
+    const r = l + 1;
+    if (l >= n) {
+      steps.push({
+        arr: [...arr],
+        hl: { [i]: HL.settled },
+        text: `[${i}] has no children — sift-down done`,
+      });
+      return;
+    }
+    const best =
+      r < n && isBetter(mode, arr[r].priority, arr[l].priority) ? r : l;
+    steps.push({
+      arr: [...arr],
+      hl: {
+        [i]: HL.compare,
+        [l]: HL.compare,
+        ...(r < n ? { [r]: HL.compare } : {}),
+      },
+      text: `Children of ${arr[i].priority} at [${i}]: [${l}]${r < n ? ` and [${r}]` : ""} (2i+1, 2i+2) — ${mode === "min" ? "smaller" : "larger"} child is ${arr[best].priority}`,
+    });
+    if (!isBetter(mode, arr[best].priority, arr[i].priority)) {
+      steps.push({
+        arr: [...arr],
+        hl: { [i]: HL.settled },
+        text: `${arr[best].priority} is not ${cmp(mode)} ${arr[i].priority} — heap property holds, stop`,
+      });
+      return;
+    }
+    [arr[i], arr[best]] = [arr[best], arr[i]];
+    steps.push({
+      arr: [...arr],
+      hl: { [i]: HL.swap, [best]: HL.swap },
+      text: `Swap [${i}] ↔ [${best}], move down`,
+    });
+    i = best;
+  }
+}
+
+function heapifySteps(arr, mode) {
+  const steps = [
+    {
+      arr: [...arr],
+      hl: {},
+      text: `Start from the last parent [${(arr.length >> 1) - 1}] and sift each one down — O(n) overall`,
+    },
+  ];
+  for (let i = (arr.length >> 1) - 1; i >= 0; i--)
+    siftDown(arr, i, mode, steps);
+  return steps;
+}
+
+function isHeap(arr, mode) {
+  return arr.every(
+    (x, i) => i === 0 || !isBetter(mode, x.priority, arr[parent(i)].priority),
+  );
+}
+
+// ─── One element, shown as a tree node and as an array cell ───────────────────
+function HeapItem({ item, index, color }) {
+  const nodeRef = useRef();
+  const cellRef = useRef();
+  const goalA = useRef(new THREE.Vector3());
+  const goalB = useRef(new THREE.Vector3());
+  const [startA] = useState(() => treePos(index));
+  const [startB] = useState(() => arrayPos(index));
+  const style = TICKET_STYLES[item.styleIdx];
+
+  useFrame(() => {
+    if (!nodeRef.current || !cellRef.current) return;
+    nodeRef.current.position.lerp(goalA.current.set(...treePos(index)), 0.14);
+    cellRef.current.position.lerp(goalB.current.set(...arrayPos(index)), 0.14);
+    const s = THREE.MathUtils.lerp(
+      nodeRef.current.scale.x,
+      color ? 1.15 : 1,
+      0.15,
+    );
+    nodeRef.current.scale.setScalar(s);
+    cellRef.current.scale.setScalar(s);
+  });
+
+  const ring = color ?? style.color;
+
+  return (
+    <>
+      <group ref={nodeRef} position={startA}>
+        <mesh>
+          <cylinderGeometry args={[0.27, 0.27, 0.1, 28]} />
+          <meshStandardMaterial
+            color={style.color}
+            emissive={ring}
+            emissiveIntensity={color ? 0.6 : 0.1}
+            roughness={0.4}
+          />
+        </mesh>
+        <mesh rotation={[Math.PI / 2, 0, 0]} position={[0, 0, 0.06]}>
+          <torusGeometry args={[0.29, 0.03, 8, 32]} />
+          <meshStandardMaterial
+            color={ring}
+            emissive={ring}
+            emissiveIntensity={0.5}
+          />
+        </mesh>
+        <Text
+          position={[0, 0, 0.08]}
+          fontSize={0.17}
+          color="#ffffff"
+          anchorX="center"
+          anchorY="middle"
+          fontWeight="bold"
+        >
+          {String(item.priority)}
+        </Text>
+        <Text
+          position={[0, -0.37, 0]}
+          fontSize={0.08}
+          color={style.color}
+          anchorX="center"
+          anchorY="middle"
+        >
+          {style.type}
+        </Text>
+      </group>
+      <group ref={cellRef} position={startB}>
+        <RoundedBox
+          args={[CELL_W - 0.06, 0.44, 0.12]}
+          radius={0.04}
+          smoothness={3}
+        >
+          <meshStandardMaterial
+            color={style.color}
+            emissive={ring}
+            emissiveIntensity={color ? 0.6 : 0.1}
+            roughness={0.45}
+          />
+        </RoundedBox>
+        <Text
+          position={[0, 0, 0.07]}
+          fontSize={0.15}
+          color="#ffffff"
+          anchorX="center"
+          anchorY="middle"
+          fontWeight="bold"
+        >
+          {String(item.priority)}
+        </Text>
+      </group>
+    </>
+  );
+}
+
+// ─── Static slots: tree edges + array cells with index labels ─────────────────
+function HeapFrame({ size }) {
+  return (
+    <>
+      {Array.from({ length: size }, (_, i) =>
+        i === 0 ? null : (
+          <Line
+            key={`e${i}`}
+            points={[treePos(parent(i)), treePos(i)]}
+            color="#64748b"
+            lineWidth={2}
+          />
+        ),
+      )}
+      {Array.from({ length: CAPACITY }, (_, i) => {
+        const [x, y] = arrayPos(i);
+        return (
+          <group key={`c${i}`} position={[x, y, 0.3]}>
+            <mesh>
+              <boxGeometry args={[CELL_W - 0.02, 0.5, 0.04]} />
+              <meshStandardMaterial
+                color={i < size ? "#1f2937" : "#111827"}
+                transparent
+                opacity={i < size ? 0.9 : 0.4}
+              />
+            </mesh>
+            <Text
+              position={[0, -0.38, 0]}
+              fontSize={0.1}
+              color={i < size ? "#fda4af" : "#4b5563"}
+              anchorX="center"
+              anchorY="middle"
+            >
+              {`[${i}]`}
+            </Text>
+          </group>
+        );
+      })}
+      {Array.from({ length: size }, (_, i) => {
+        const [x, y] = treePos(i);
+        return (
+          <Text
+            key={`t${i}`}
+            position={[x + 0.36, y + 0.22, 0]}
+            fontSize={0.09}
+            color="#9ca3af"
+            anchorX="center"
+            anchorY="middle"
+          >
+            {`[${i}]`}
+          </Text>
+        );
+      })}
+    </>
+  );
+}
+
+function HeapScene({ ar, arr, hl, mode }) {
+  return (
+    <>
+      <ambientLight intensity={0.65} />
+      <directionalLight position={[2, 6, 6]} intensity={1.0} />
+      <pointLight position={[0, 2, 3]} intensity={0.5} color="#ffe4e6" />
+
+      <ARPlacement
+        placement={ar}
+        scale={AR_SCALE}
+        lift={AR_LIFT}
+        color="#fb7185"
+      >
+        <HeapFrame size={arr.length} />
+        {arr.map((item, i) => (
+          <HeapItem key={item.id} item={item} index={i} color={hl[i]} />
+        ))}
+
+        <Text
+          position={[-TREE_W / 2 + 0.2, TREE_TOP + 0.55, 0]}
+          fontSize={0.16}
+          color="#fda4af"
+          anchorX="left"
+          anchorY="middle"
+          fontWeight="bold"
+        >
+          {mode === "min" ? "MIN-HEAP (tree view)" : "MAX-HEAP (tree view)"}
+        </Text>
+        <Text
+          position={[arrayPos(0)[0] - 0.3, ARRAY_Y + 0.45, 0.4]}
+          fontSize={0.13}
+          color="#fda4af"
+          anchorX="left"
+          anchorY="middle"
+          fontWeight="bold"
+        >
+          BACKING ARRAY
+        </Text>
+        {arr.length === 0 && (
+          <Text
+            position={[0, TREE_TOP - 0.6, 0]}
+            fontSize={0.2}
+            color="#9f1239"
+            anchorX="center"
+            anchorY="middle"
+          >
+            Heap is empty
+          </Text>
+        )}
+      </ARPlacement>
+
+      {!ar.isAR && (
+        <>
+          <OrbitControls
+            enablePan={false}
+            minPolarAngle={Math.PI / 3}
+            maxPolarAngle={Math.PI / 1.8}
+            minAzimuthAngle={-Math.PI / 5}
+            maxAzimuthAngle={Math.PI / 5}
+            minDistance={5}
+            maxDistance={14}
+            target={[0, 0.6, 0]}
+          />
+          <Environment preset="studio" />
+        </>
+      )}
+    </>
+  );
+}
+
+// ─── Main Export ───────────────────────────────────────────────────────────────
+const INITIAL_HEAP = [
+  [5, 0],
+  [15, 7],
+  [25, 5],
+  [40, 1],
+  [35, 4],
+  [60, 6],
+  [55, 2],
+].map(([p, s]) => makeItem(p, s));
+
+const INITIAL_STATE = { arr: INITIAL_HEAP, mode: "min", served: [] };
+
+export default function PriorityHeap() {
+  // The scene model records the heap after every change along with the
+  // frames that animate it; the scene plays them back from the event.
+  const [model] = useState(() => new SceneModel(INITIAL_STATE));
+  const [arr, setArr] = useState(INITIAL_HEAP);
+  const [mode, setMode] = useState("min");
+  const [hl, setHl] = useState({});
+  const [stepText, setStepText] = useState(null);
+  const [served, setServed] = useState([]);
+  const [isAnimating, setIsAnimating] = useState(false);
+  const [activeTab, setActiveTab] = useState("insert");
+  const [styleIdx, setStyleIdx] = useState(1);
+  const [priority, setPriority] = useState(String(TYPE_PRIORITY[1]));
+  const [rawArray, setRawArray] = useState("42, 7, 19, 88, 3, 56, 23, 11, 70");
+  const [log, setLog] = useState([]);
+  const timersRef = useRef([]);
+  const ar = useARPlacement(xrStore);
+
+  useEffect(() => () => timersRef.current.forEach(clearTimeout), []);
+
+  const addLog = (msg, type = "info") =>
+    setLog((prev) => [{ msg, type, id: Date.now() }, ...prev].slice(0, 8));
+
+  const runSteps = (steps, done) => {
+    setIsAnimating(true);
+    steps.forEach((s, k) => {
+      timersRef.current.push(
+        setTimeout(() => {
+          setArr(s.arr);
+          setHl(s.hl);
+          setStepText(s.text);
+        }, k * STEP_MS),
+      );
+    });
+    timersRef.current.push(
+      setTimeout(() => {
+        setHl({});
+        setIsAnimating(false);
+        done();
+      }, steps.length * STEP_MS),
+    );
+  };
+
+  // ── Insert → sift-up ──────────────────────────────────────────────────────
+  const handleInsert = () => {
+    if (isAnimating) return;
+    if (arr.length >= CAPACITY)
+      return addLog(`⚠️ Heap is full — capacity ${CAPACITY}.`, "error");
+    const p = parseInt(priority, 10);
+    if (Number.isNaN(p) || p < 1 || p > 99)
+      return addLog(
+        "⚠️ Priority must be a whole number from 1 to 99.",
+        "error",
+      );
+    const item = makeItem(p, styleIdx);
+    const work = [...arr, item];
+    const steps = [
+      {
+        arr: [...work],
+        hl: { [work.length - 1]: HL.compare },
+        text: `Append ${p} at index [${work.length - 1}] — the next free leaf`,
+      },
+    ];
+    const swapsBefore = steps.length;
+    siftUp(work, work.length - 1, mode, steps);
+    const swaps = steps
+      .slice(swapsBefore)
+      .filter((s) => s.text.includes("swap")).length;
+    model.record(
+      "insert",
+      [p, styleIdx],
+      { arr: work, mode, served },
+      { frames: steps, swaps, complexity: "O(log n)" },
+    );
+  };
+
+  // ── Extract root → sift-down ──────────────────────────────────────────────
+  const handleExtract = () => {
+    if (isAnimating) return;
+    if (arr.length === 0)
+      return addLog("⚠️ Heap is empty — nothing to extract!", "error");
+    const root = arr[0];
+    const rootLabel = `${root.priority} (${TICKET_STYLES[root.styleIdx].type})`;
+    const work = [...arr];
+    const last = work.pop();
+    const steps = [
+      {
+        arr: [...arr],
+        hl: { 0: HL.root },
+        text: `Root [0] holds the ${mode} — ${rootLabel}`,
+      },
+    ];
+    if (work.length > 0) {
+      work[0] = last;
+      steps.push({
+        arr: [...work],
+        hl: { 0: HL.compare },
+        text: `Move the last element ${last.priority} from [${arr.length - 1}] into the root`,
+      });
+      siftDown(work, 0, mode, steps);
+    } else {
+      steps.push({
+        arr: [],
+        hl: {},
+        text: "That was the only element — heap is now empty",
+      });
+    }
+    model.record(
+      "extract",
+      [],
+      { arr: work, mode, served: [root, ...served].slice(0, 10) },
+      { frames: steps, rootLabel, complexity: "O(log n)" },
+    );
+  };
+
+  // ── Heapify from an arbitrary array ───────────────────────────────────────
+  const handleHeapify = () => {
+    if (isAnimating) return;
+    const nums = rawArray
+      .split(/[\s,]+/)
+      .filter(Boolean)
+      .map((x) => parseInt(x, 10));
+    if (
+      nums.length === 0 ||
+      nums.some((x) => Number.isNaN(x) || x < 1 || x > 99)
+    )
+      return addLog("⚠️ Enter 1–99 numbers separated by commas.", "error");
+    if (nums.length > CAPACITY)
+      return addLog(`⚠️ At most ${CAPACITY} numbers fit.`, "error");
+    const work = nums.map((p, i) => makeItem(p, i % TICKET_STYLES.length));
+    const frames = heapifySteps(work, mode);
+    model.record(
+      "heapify",
+      [nums],
+      { arr: work, mode, served },
+      { frames, complexity: "O(n)" },
+    );
+  };
+
+  const handleRandomArray = () => {
+    const n = 7 + Math.floor(Math.random() * 6);
+    setRawArray(
+      Array.from({ length: n }, () => 1 + Math.floor(Math.random() * 99)).join(
+        ", ",
+      ),
+    );
+  };
+
+  // ── Min / max toggle — flips the comparison, so re-heapify ────────────────
+  const handleModeChange = (next) => {
+    if (isAnimating || next === mode) return;
+    const work = [...arr];
+    const frames = isHeap(work, next) ? [] : heapifySteps(work, next);
+    model.record(
+      "mode",
+      [next],
+      { arr: work, mode: next, served: [] },
+      { frames, complexity: "O(n)" },
+    );
+  };
+
+  const handleReset = () => model.reset(INITIAL_STATE);
+
+  // Jump straight to a heap, dropping highlights and pending frames
+  const showHeap = (state) => {
+    timersRef.current.forEach(clearTimeout);
+    timersRef.current = [];
+    setArr(state.arr);
+    setMode(state.mode);
+    setServed(state.served);
+    setHl({});
+    setStepText(null);
+    setIsAnimating(false);
+  };
+
+  useModelEvents(model, (e) => {
+    if (e.type === "insert") {
+      const [p, style] = e.args;
+      runSteps(e.frames, () =>
+        addLog(
+          `➕ Insert ${p} (${TICKET_STYLES[style].type}) · ${e.swaps} swap${e.swaps === 1 ? "" : "s"} up  ·  ${e.complexity}`,
+          "success",
+        ),
+      );
+    } else if (e.type === "extract") {
+      runSteps(e.frames, () => {
+        setServed(e.state.served);
+        addLog(
+          `🎫 Extract-${e.state.mode} → served ${e.rootLabel}  ·  ${e.complexity}`,
+          "success",
+        );
+      });
+    } else if (e.type === "heapify") {
+      runSteps(e.frames, () =>
+        addLog(
+          `🏗️ Heapify ${e.args[0].length} elements into a ${e.state.mode}-heap  ·  ${e.complexity}`,
+          "success",
+        ),
+      );
+    } else if (e.type === "mode") {
+      const [next] = e.args;
+      setMode(next);
+      setServed([]);
+      if (e.frames.length === 0)
+        addLog(`🔁 Switched to ${next}-heap — already valid`, "info");
+      else
+        runSteps(e.frames, () =>
+          addLog(
+            `🔁 Switched to ${next}-heap — re-heapified  ·  ${e.complexity}`,
+            "success",
+          ),
+        );
+    } else if (e.type === "reset") {
+      showHeap(e.state);
+      setLog([]);
+    } else if (e.type === "restore") {
+      const n = e.state.arr.length;
+      showHeap(e.state);
+      addLog(
+        `🕘 Back to ${n} ticket${n === 1 ? "" : "s"} in the ${e.state.mode}-heap`,
+        "info",
+      );
+    }
+  });
+
+  const timeline = useTimeline(model, {
+    busy: isAnimating,
+    describe: (e) =>
+      ({
+        insert: `insert ${e.args[0]}`,
+        extract: `extract-${e.state.mode}`,
+        heapify: `heapify ${e.args[0].length}`,
+        mode: `${e.args[0]}-heap`,
+      })[e.type],
+  });
+
+  const tabBtn = (tab, emoji, label) => (
+    <button
+      key={tab}
+      onClick={() => setActiveTab(tab)}
+      className={`px-3 py-2 rounded-lg text-sm font-bold transition-all border-2 ${
+        activeTab === tab
+          ? "bg-rose-400 border-rose-400 text-gray-900"
+          : "bg-transparent border-white/20 text-white/60 hover:border-rose-400/50 hover:text-white"
+      }`}
+    >
+      {emoji} {label}
+    </button>
+  );
+
+  const root = arr[0];
+
+  return (
+    <div
+      className="flex flex-col gap-4 w-full"
+      style={{ fontFamily: "'Courier New', monospace" }}
+    >
+      <ARPlacementHud
+        placement={ar}
+        title="🎫 PRIORITY TICKETS — AR"
+        status={`${mode}-heap · size ${arr.length}/${CAPACITY}`}
+        accent="#fb7185"
+        log={log}
+        actions={[
+          {
+            label: "➕ Insert",
+            onClick: handleInsert,
+            disabled: isAnimating || arr.length >= CAPACITY,
+            color: "#e11d48",
+          },
+          {
+            label: "⏏️ Extract",
+            onClick: handleExtract,
+            disabled: isAnimating || arr.length === 0,
+            color: "#b91c1c",
+          },
+          { label: "🔄 Reset", onClick: handleReset },
+        ]}
+      >
+        <div
+          style={{
+            background: "rgba(0,0,0,0.8)",
+            border: "1px solid rgba(251,113,133,0.3)",
+            borderRadius: 14,
+            padding: "10px 14px",
+            color: "#fecdd3",
+            fontSize: 12,
+          }}
+        >
+          {stepText ?? `Next insert: priority ${priority}`}
+        </div>
+      </ARPlacementHud>
+
+      {/* Header */}
+      <div className="text-center">
+        <h2 className="text-3xl font-bold text-rose-300 tracking-widest">
+          🎫 PRIORITY TICKETS
+        </h2>
+        <p className="text-white/50 text-sm mt-1">
+          Binary {mode}-heap · size{" "}
+          <span className="text-rose-300 font-bold">{arr.length}</span> /{" "}
+          {CAPACITY}
+          &nbsp;·&nbsp; Next served:{" "}
+          <span className="text-rose-300 font-bold">
+            {root
+              ? `${root.priority} (${TICKET_STYLES[root.styleIdx].type})`
+              : "—"}
+          </span>
+        </p>
+      </div>
+
+      <ARButton placement={ar} accent="#fb7185" />
+
+      {/* Min / Max toggle */}
+      <div className="flex justify-center gap-2">
+        {["min", "max"].map((m) => (
+          <button
+            key={m}
+            onClick={() => handleModeChange(m)}
+            disabled={isAnimating}
+            className={`px-4 py-1.5 rounded-lg text-sm font-bold border-2 transition-all disabled:opacity-40 ${
+              mode === m
+                ? "bg-rose-400 border-rose-400 text-gray-900"
+                : "border-white/20 text-white/60 hover:border-rose-400/50"
+            }`}
+          >
+            {m === "min" ? "⬇️ Min-Heap" : "⬆️ Max-Heap"}
+          </button>
+        ))}
+      </div>
+
+      {/* 3D Canvas */}
+      <div
+        className="w-full rounded-2xl overflow-hidden border-2 border-rose-400/30 shadow-[0_0_40px_rgba(251,113,133,0.12)]"
+        style={{
+          height: 480,
+          background:
+            "linear-gradient(180deg,#14050a 0%,#250b14 50%,#0b0306 100%)",
+        }}
+      >
+        <Canvas camera={{ position: [0, 0.6, 8.2], fov: 50 }}>
+          <XR store={xrStore}>
+            <HeapScene ar={ar} arr={arr} hl={hl} mode={mode} />
+          </XR>
+        </Canvas>
+      </div>
+
+      {/* Step narration */}
+      <div
+        className={`px-4 py-2 rounded-xl border text-sm text-center ${stepText ? "border-yellow-400/40 bg-yellow-400/10 text-yellow-200" : "border-white/10 bg-white/5 text-white/30"}`}
+      >
+        {stepText ?? "Each comparison and swap appears here as it happens"}
+      </div>
+
+      <TimelineBar timeline={timeline} accent="rose" disabled={isAnimating} />
+
+      {/* Controls */}
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <div className="bg-white/5 border border-white/10 rounded-2xl p-5">
+          <div className="flex gap-2 mb-4 flex-wrap">
+            {tabBtn("insert", "➕", "Insert")}
+            {tabBtn("extract", "🎫", `Extract-${mode}`)}
+            {tabBtn("heapify", "🏗️", "Heapify")}
+          </div>
+
+          {activeTab === "insert" && (
+            <div className="flex flex-col gap-3">
+              <p className="text-white/50 text-xs">
+                Append at the next leaf, then sift up while it beats its parent
+                — <span className="text-green-400 font-bold">O(log n)</span>
+              </p>
+              <div className="flex gap-2 items-center flex-wrap">
+                <select
+                  value={styleIdx}
+                  onChange={(e) => {
+                    const i = Number(e.target.value);
+                    setStyleIdx(i);
+                    setPriority(String(TYPE_PRIORITY[i]));
+                  }}
+                  className="flex-1 px-3 py-2 bg-black/40 border border-white/20 rounded-lg text-white text-sm focus:outline-none focus:border-rose-400"
+                >
+                  {TICKET_STYLES.map((s, i) => (
+                    <option key={s.type} value={i}>
+                      {s.icon} {s.type}
+                    </option>
+                  ))}
+                </select>
+                <span className="text-white/40 text-xs">priority</span>
+                <input
+                  type="number"
+                  min={1}
+                  max={99}
+                  value={priority}
+                  onChange={(e) => setPriority(e.target.value)}
+                  className="w-16 px-3 py-2 bg-black/40 border border-white/20 rounded-lg text-rose-300 font-mono text-sm focus:outline-none focus:border-rose-400"
+                />
+                <button
+                  onClick={handleInsert}
+                  disabled={isAnimating || arr.length >= CAPACITY}
+                  className="px-4 py-2 bg-green-600 hover:bg-green-500 disabled:opacity-40 disabled:cursor-not-allowed rounded-lg text-white text-sm font-bold transition-all"
+                >
+                  Insert
+                </button>
+              </div>
+            </div>
+          )}
+
+          {activeTab === "extract" && (
+            <div className="flex flex-col gap-3">
+              <p className="text-white/50 text-xs">
+                Take the root, move the last leaf up, then sift it down —{" "}
+                <span className="text-green-400 font-bold">O(log n)</span>
+              </p>
+              <button
+                onClick={handleExtract}
+                disabled={isAnimating || arr.length === 0}
+                className="px-5 py-2.5 bg-rose-600 hover:bg-rose-500 disabled:opacity-40 disabled:cursor-not-allowed rounded-lg text-white text-sm font-bold transition-all w-fit"
+              >
+                🎫 Serve next ticket
+              </button>
+              {served.length > 0 && (
+                <div className="flex gap-1 flex-wrap items-center text-xs">
+                  <span className="text-white/40">Served (latest first):</span>
+                  {served.map((s) => (
+                    <span
+                      key={s.id}
+                      className="px-2 py-0.5 rounded border border-white/15 text-white/80"
+                      style={{ borderColor: TICKET_STYLES[s.styleIdx].color }}
+                    >
+                      {TICKET_STYLES[s.styleIdx].icon} {s.priority}
+                    </span>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          {activeTab === "heapify" && (
+            <div className="flex flex-col gap-3">
+              <p className="text-white/50 text-xs">
+                Load any array, then sift down every parent from the bottom up —{" "}
+                <span className="text-green-400 font-bold">O(n)</span>, faster
+                than n inserts
+              </p>
+              <div className="flex gap-2 items-center flex-wrap">
+                <input
+                  type="text"
+                  value={rawArray}
+                  onChange={(e) => setRawArray(e.target.value)}
+                  className="flex-1 min-w-0 px-3 py-2 bg-black/40 border border-white/20 rounded-lg text-rose-300 font-mono text-sm focus:outline-none focus:border-rose-400"
+                />
+                <button
+                  onClick={handleRandomArray}
+                  disabled={isAnimating}
+                  className="px-3 py-2 bg-white/10 hover:bg-white/20 disabled:opacity-40 rounded-lg text-white/70 text-sm transition-all"
+                >
+                  🎲
+                </button>
+                <button
+                  onClick={handleHeapify}
+                  disabled={isAnimating}
+                  className="px-4 py-2 bg-amber-600 hover:bg-amber-500 disabled:opacity-40 disabled:cursor-not-allowed rounded-lg text-white text-sm font-bold transition-all"
+                >
+                  🏗️ Heapify
+                </button>
+              </div>
+            </div>
+          )}
+
+          <button
+            onClick={handleReset}
+            className="mt-4 w-full py-2 bg-white/5 hover:bg-white/10 border border-white/10 rounded-lg text-white/50 hover:text-white/80 text-sm transition-all"
+          >
+            🔄 Reset to Default
+          </button>
+        </div>
+
+        {/* Log + Complexity */}
+        <div className="bg-black/40 border border-white/10 rounded-2xl p-5 flex flex-col gap-4">
+          <div>
+            <p className="text-white/40 text-xs uppercase tracking-widest mb-2">
+              📋 Operation Log
+            </p>
+            <div className="flex flex-col gap-1 max-h-36 overflow-y-auto">
+              {log.length === 0 ? (
+                <p className="text-white/30 text-xs italic">
+                  No operations yet...
+                </p>
+              ) : (
+                log.map((entry, i) => (
+                  <div
+                    key={entry.id}
+                    className={`text-xs font-mono py-1 px-2 rounded border-l-2 ${
+                      entry.type === "success"
+                        ? "border-green-400 bg-green-400/5 text-green-300"
+                        : entry.type === "error"
+                          ? "border-red-400 bg-red-400/5 text-red-300"
+                          : "border-blue-400 bg-blue-400/5 text-blue-300"
+                    } ${i > 0 ? "opacity-50" : ""}`}
+                  >
+                    {entry.msg}
+                  </div>
+                ))
+              )}
+            </div>
+          </div>
+
+          <div>
+            <p className="text-white/40 text-xs uppercase tracking-widest mb-2">
+              ⚡ Time Complexity
+            </p>
+            <div className="grid grid-cols-2 gap-1 text-xs font-mono">
+              {[
+                [`Peek ${mode}`, "O(1)", true],
+                ["Insert", "O(log n)", true],
+                [`Extract-${mode}`, "O(log n)", true],
+                ["Heapify", "O(n)", true],
+                ["Search", "O(n)", false],
+                ["n inserts", "O(n log n)", false],
+              ].map(([op, c, fast]) => (
+                <div
+                  key={op}
+                  className="flex justify-between px-3 py-1.5 bg-white/5 rounded-lg"
+                >
+                  <span className="text-white/55">{op}</span>
+                  <span
+                    className={`font-bold ${fast ? "text-green-400" : "text-red-400"}`}
+                  >
+                    {c}
+                  </span>
+                </div>
+              ))}
+            </div>
+            <div className="mt-3 px-3 py-2 bg-rose-400/10 border border-rose-400/30 rounded-lg">
+              <p className="text-rose-300 text-xs font-bold">
+                Tree ↔ array indexing
+              </p>
+              <p className="text-white/50 text-xs mt-0.5 font-mono">
+                parent(i) = ⌊(i−1)/2⌋ · left(i) = 2i+1 · right(i) = 2i+2
+              </p>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <p className="text-center text-white/25 text-xs pb-2">
+        💡 Highlighted nodes light up in the tree and the array at once · Drag
+        to rotate · Scroll to zoom
+      </p>
+    </div>
+  );
+}
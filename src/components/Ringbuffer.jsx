@@ -0,0 +1,315 @@
+import { useRef, useState, useEffect } from "react";
+import { useFrame } from "@react-three/fiber";
+import {
+  Text,
+  RoundedBox,
+  OrbitControls,
+  Environment,
+} from "@react-three/drei";
+import * as THREE from "three";
+
+// ─── Constants ─────────────────────────────────────────────────────────────────
+const RING_R = 2.2;
+const RING_Y = 1.0;
+const SLOT_SIZE = 0.78;
+const ENTER_MS = 550;
+const EXIT_MS = 650;
+
+// Slot k sits clockwise from 12 o'clock
+const slotAngle = (k, capacity) => Math.PI / 2 - (k / capacity) * Math.PI * 2;
+const onRing = (angle, r) => [
+  Math.cos(angle) * r,
+  RING_Y + Math.sin(angle) * r,
+  0,
+];
+
+// ─── Item token inside a slot ─────────────────────────────────────────────────
+function RingToken({ slot, capacity, color, label, entering, exiting }) {
+  const ref = useRef();
+  const angle = slotAngle(slot, capacity);
+  const [start] = useState(() =>
+    onRing(angle, entering ? RING_R + 1.6 : RING_R),
+  );
+
+  useFrame(() => {
+    if (!ref.current) return;
+    const [tx, ty] = onRing(angle, exiting ? RING_R + 1.8 : RING_R);
+    const g = ref.current;
+    g.position.x = THREE.MathUtils.lerp(g.position.x, tx, 0.14);
+    g.position.y = THREE.MathUtils.lerp(g.position.y, ty, 0.14);
+    g.position.z = THREE.MathUtils.lerp(
+      g.position.z,
+      exiting ? 0.6 : 0.12,
+      0.14,
+    );
+    g.scale.setScalar(THREE.MathUtils.lerp(g.scale.x, exiting ? 0.5 : 1, 0.12));
+  });
+
+  return (
+    <group ref={ref} position={start}>
+      <RoundedBox
+        args={[SLOT_SIZE - 0.16, SLOT_SIZE - 0.16, 0.14]}
+        radius={0.06}
+        smoothness={4}
+      >
+        <meshStandardMaterial
+          color={color}
+          emissive={color}
+          emissiveIntensity={0.25}
+          roughness={0.45}
+        />
+      </RoundedBox>
+      <Text
+        position={[0, 0, 0.08]}
+        fontSize={0.11}
+        color="#ffffff"
+        anchorX="center"
+        anchorY="middle"
+        fontWeight="bold"
+        maxWidth={SLOT_SIZE - 0.2}
+        textAlign="center"
+      >
+        {label}
+      </Text>
+    </group>
+  );
+}
+
+// ─── HEAD / TAIL arrow that glides around the ring ────────────────────────────
+// HEAD sits outside the ring pointing in, TAIL inside pointing out.
+function RingPointer({ index, capacity, color, label, outer }) {
+  const ref = useRef();
+  const coneRef = useRef();
+  const textRef = useRef();
+  const target = slotAngle(index, capacity);
+  const [startAngle] = useState(target);
+  const angleRef = useRef(startAngle);
+  const r = outer ? RING_R + 0.7 : RING_R - 0.7;
+  const out = outer ? 1 : -1; // which way the label sits, radially
+
+  useFrame(() => {
+    if (!ref.current) return;
+    // Always travel forward (clockwise), the way the index wraps
+    let diff = target - angleRef.current;
+    while (diff > 0.0001) diff -= Math.PI * 2;
+    while (diff < -Math.PI * 2) diff += Math.PI * 2;
+    angleRef.current += diff * 0.12;
+    const a = angleRef.current;
+    const [x, y] = onRing(a, r);
+    ref.current.position.set(x, y, 0.1);
+    const dx = Math.cos(a);
+    const dy = Math.sin(a);
+    coneRef.current.position.set(-dx * 0.1 * out, -dy * 0.1 * out, 0);
+    coneRef.current.rotation.z = a - Math.PI / 2 + (outer ? Math.PI : 0);
+    textRef.current.position.set(dx * 0.18 * out, dy * 0.18 * out, 0);
+  });
+
+  return (
+    <group ref={ref} position={onRing(startAngle, r)}>
+      <mesh ref={coneRef}>
+        <coneGeometry args={[0.09, 0.24, 8]} />
+        <meshStandardMaterial
+          color={color}
+          emissive={color}
+          emissiveIntensity={0.7}
+        />
+      </mesh>
+      <Text
+        ref={textRef}
+        fontSize={0.12}
+        color={color}
+        anchorX="center"
+        anchorY="middle"
+        fontWeight="bold"
+      >
+        {label}
+      </Text>
+    </group>
+  );
+}
+
+// ─── Scene: fixed slots, items placed at (head + i) % capacity ────────────────
+export function RingBufferScene({
+  items,
+  head,
+  capacity,
+  enteringId,
+  exitingId,
+  onEnterDone,
+  onExitDone,
+}) {
+  const tail = (head + items.length) % capacity;
+  const headColor = "#2ecc71";
+  const tailColor = "#e74c3c";
+
+  // The ring has no travel animation to wait on, so finish on a timer
+  useEffect(() => {
+    if (enteringId == null) return;
+    const t = setTimeout(() => onEnterDone?.(), ENTER_MS);
+    return () => clearTimeout(t);
+  }, [enteringId]);
+
+  useEffect(() => {
+    if (exitingId == null) return;
+    const t = setTimeout(() => onExitDone?.(), EXIT_MS);
+    return () => clearTimeout(t);
+  }, [exitingId]);
+
+  return (
+    <>
+      <ambientLight intensity={0.6} />
+      <directionalLight position={[4, 8, 6]} intensity={1.0} />
+      <pointLight position={[0, RING_Y, 3]} intensity={0.6} color="#fff4d6" />
+
+      {/* Backing disc */}
+      <mesh position={[0, RING_Y, -0.12]} rotation={[Math.PI / 2, 0, 0]}>
+        <cylinderGeometry args={[RING_R + 0.55, RING_R + 0.55, 0.06, 64]} />
+        <meshStandardMaterial color="#1f2937" roughness={0.8} />
+      </mesh>
+
+      {/* Slots */}
+      {Array.from({ length: capacity }).map((_, k) => {
+        const [x, y] = onRing(slotAngle(k, capacity), RING_R);
+        const used = (k - head + capacity) % capacity < items.length;
+        return (
+          <group key={k} position={[x, y, 0]}>
+            <RoundedBox
+              args={[SLOT_SIZE, SLOT_SIZE, 0.08]}
+              radius={0.05}
+              smoothness={4}
+            >
+              <meshStandardMaterial
+                color={used ? "#374151" : "#111827"}
+                emissive={k === head && k === tail ? "#facc15" : "#000000"}
+                emissiveIntensity={k === head && k === tail ? 0.35 : 0}
+                roughness={0.6}
+              />
+            </RoundedBox>
+            <Text
+              position={[0, -SLOT_SIZE / 2 - 0.02, 0.06]}
+              fontSize={0.09}
+              color="#9ca3af"
+              anchorX="center"
+              anchorY="top"
+            >
+              [{k}]
+            </Text>
+          </group>
+        );
+      })}
+
+      {items.map((item, i) => (
+        <RingToken
+          key={item.id}
+          slot={(head + i) % capacity}
+          capacity={capacity}
+          color={item.color}
+          label={item.label}
+          entering={enteringId === item.id}
+          exiting={exitingId === item.id}
+        />
+      ))}
+
+      <RingPointer
+        index={head}
+        capacity={capacity}
+        color={headColor}
+        label="HEAD"
+        outer
+      />
+      <RingPointer
+        index={tail}
+        capacity={capacity}
+        color={tailColor}
+        label="TAIL"
+      />
+
+      <Text
+        position={[0, RING_Y, 0.05]}
+        fontSize={0.14}
+        color={head === tail ? "#facc15" : "#e5e7eb"}
+        anchorX="center"
+        anchorY="middle"
+        fontWeight="bold"
+        maxWidth={1.6}
+        textAlign="center"
+      >
+        {head === tail
+          ? items.length === 0
+            ? "head == tail\nEMPTY"
+            : "head == tail\nFULL"
+          : `size ${items.length} / ${capacity}`}
+      </Text>
+
+      <OrbitControls
+        enablePan={false}
+        minPolarAngle={Math.PI / 4}
+        maxPolarAngle={Math.PI / 1.8}
+        minAzimuthAngle={-Math.PI / 4}
+        maxAzimuthAngle={Math.PI / 4}
+        minDistance={5}
+        maxDistance={14}
+        target={[0, RING_Y, 0]}
+      />
+      <Environment preset="city" />
+    </>
+  );
+}
+
+// ─── Index panel shown under the canvas in ring view ──────────────────────────
+export function RingBufferInfo({ head, size, capacity }) {
+  const tail = (head + size) % capacity;
+  const ambiguous = head === tail;
+  return (
+    <div className="flex flex-col gap-2 px-4 py-3 rounded-xl border border-white/10 bg-white/5 text-xs">
+      <div className="flex flex-wrap gap-x-6 gap-y-1 font-mono">
+        <span className="text-white/50">
+          capacity: <span className="text-white font-bold">{capacity}</span>
+        </span>
+        <span className="text-white/50">
+          head: <span className="text-green-400 font-bold">{head}</span>
+        </span>
+        <span className="text-white/50">
+          tail = (head + size) % capacity ={" "}
+          <span className="text-red-400 font-bold">
+            ({head} + {size}) % {capacity} = {tail}
+          </span>
+        </span>
+        <span className="text-white/50">
+          size: <span className="text-white font-bold">{size}</span>
+        </span>
+      </div>
+      <p className="text-white/50">
+        Enqueue writes at <span className="text-red-400">tail</span> then
+        advances it; dequeue reads at{" "}
+        <span className="text-green-400">head</span> then advances it — both
+        wrap with <span className="font-mono">(i + 1) % {capacity}</span>, so no
+        element is ever shifted.
+      </p>
+      <div
+        className={`px-3 py-2 rounded-lg border ${
+          ambiguous
+            ? "border-yellow-400/60 bg-yellow-400/10"
+            : "border-white/10 bg-black/20"
+        }`}
+      >
+        <p
+          className={`font-bold ${ambiguous ? "text-yellow-300" : "text-white/70"}`}
+        >
+          {ambiguous
+            ? `⚠️ head == tail (${head}) — is it empty or full?`
+            : "Full vs empty: the head == tail trap"}
+        </p>
+        <p className="text-white/50 mt-0.5">
+          An empty buffer and a full one both end with head == tail, so the two
+          indices alone cannot tell them apart. This view keeps a separate{" "}
+          <span className="font-mono">size</span> counter
+          {ambiguous && ` (size = ${size} → ${size === 0 ? "EMPTY" : "FULL"})`}.
+          The other common fix is to leave one slot unused and call the buffer
+          full when{" "}
+          <span className="font-mono">(tail + 1) % capacity == head</span>.
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,914 @@
+import { useRef, useState, useEffect } from "react";
+import { Canvas, useFrame } from "@react-three/fiber";
+import {
+  Text,
+  RoundedBox,
+  OrbitControls,
+  Environment,
+} from "@react-three/drei";
+import { XR, createXRStore } from "@react-three/xr";
+import * as THREE from "three";
+import { ShelfBoard } from "./Groceryshelf";
+import { PRODUCT_COLORS, PRODUCT_EMOJIS, PRODUCTS } from "./groceryProducts";
+import ARPlacement, { ARPlacementHud, ARButton } from "./ARPlacement";
+import TimelineBar from "./TimelineBar";
+import { stepTimeline } from "../hooks/useTimeline";
+import { useARPlacement } from "../hooks/useARPlacement";
+
+// ─── XR Store ─────────────────────────────────────────────────────────────────
+const xrStore = createXRStore();
+
+// ─── Constants ─────────────────────────────────────────────────────────────────
+const N_ITEMS = 10;
+const ITEM_W = 0.8;
+const SHELF_Y = -0.9;
+const AUX_Y = 1.3; // merge sort's temporary row
+const MAX_PRICE = 20;
+const AR_SCALE = 0.06;
+const AR_LIFT = -(SHELF_Y - 0.3); // keeps the index labels above the surface
+const NO_AR = { isAR: false }; // side-by-side lanes after the first stay on screen
+
+const ALGORITHMS = [
+  {
+    id: "bubble",
+    name: "Bubble Sort",
+    avg: "O(n²)",
+    best: "O(n)",
+    space: "O(1)",
+    stable: true,
+  },
+  {
+    id: "selection",
+    name: "Selection Sort",
+    avg: "O(n²)",
+    best: "O(n²)",
+    space: "O(1)",
+    stable: false,
+  },
+  {
+    id: "insertion",
+    name: "Insertion Sort",
+    avg: "O(n²)",
+    best: "O(n)",
+    space: "O(1)",
+    stable: true,
+  },
+  {
+    id: "merge",
+    name: "Merge Sort",
+    avg: "O(n log n)",
+    best: "O(n log n)",
+    space: "O(n)",
+    stable: true,
+  },
+  {
+    id: "quick",
+    name: "Quick Sort",
+    avg: "O(n log n)",
+    best: "O(n log n)",
+    space: "O(log n)",
+    stable: false,
+  },
+  {
+    id: "heap",
+    name: "Heap Sort",
+    avg: "O(n log n)",
+    best: "O(n log n)",
+    space: "O(1)",
+    stable: false,
+  },
+];
+
+const HL = {
+  compare: "#facc15",
+  swap: "#fb923c",
+  pivot: "#c084fc",
+  write: "#38bdf8",
+};
+
+const boxH = (price) => 0.35 + (price / MAX_PRICE) * 1.25;
+const slotX = (i) => (i - (N_ITEMS - 1) / 2) * ITEM_W;
+
+let nextItemId = 1;
+const makeItems = (prices) =>
+  prices.map((price) => ({
+    id: nextItemId++,
+    price,
+    product: PRODUCTS[Math.floor(Math.random() * PRODUCTS.length)],
+  }));
+
+const randomPrices = () =>
+  Array.from(
+    { length: N_ITEMS },
+    () => 1 + Math.floor(Math.random() * MAX_PRICE),
+  );
+
+const PRESETS = {
+  random: randomPrices,
+  reversed: () => randomPrices().sort((a, b) => b - a),
+  nearly: () => {
+    const p = randomPrices().sort((a, b) => a - b);
+    const i = Math.floor(Math.random() * (N_ITEMS - 1));
+    [p[i], p[i + 1]] = [p[i + 1], p[i]];
+    return p;
+  },
+};
+
+const INITIAL_ITEMS = makeItems([12, 4, 17, 9, 1, 15, 6, 20, 3, 11]);
+
+// ─── Recorder: runs an algorithm and snapshots every compare / swap / write ───
+function recordSort(items, algo) {
+  const n = items.length;
+  const a = [...items];
+  const aux = Array(n).fill(null);
+  const sorted = new Set();
+  const steps = [];
+  let comps = 0;
+  let swaps = 0;
+  const tag = (it) => `$${it.price} ${it.product}`;
+
+  const snap = (hl, text) =>
+    steps.push({
+      shelf: [...a],
+      aux: [...aux],
+      hl,
+      sorted: [...sorted],
+      comps,
+      swaps,
+      text,
+    });
+
+  // a[i] < a[j] by price — counted and shown
+  const less = (i, j, extra = {}) => {
+    comps++;
+    const res = a[i].price < a[j].price;
+    snap(
+      { [a[i].id]: HL.compare, [a[j].id]: HL.compare, ...extra },
+      `Compare ${tag(a[i])} with ${tag(a[j])} — ${res ? "smaller" : "not smaller"}`,
+    );
+    return res;
+  };
+  const swap = (i, j, extra = {}) => {
+    if (i === j) return;
+    [a[i], a[j]] = [a[j], a[i]];
+    swaps++;
+    snap(
+      { [a[i].id]: HL.swap, [a[j].id]: HL.swap, ...extra },
+      `Swap [${i}] ↔ [${j}]`,
+    );
+  };
+
+  snap({}, `Start — ${n} items, unsorted`);
+
+  if (algo === "bubble") {
+    for (let end = n - 1; end > 0; end--) {
+      let swapped = false;
+      for (let i = 0; i < end; i++) {
+        if (less(i + 1, i)) {
+          swap(i, i + 1);
+          swapped = true;
+        }
+      }
+      sorted.add(end);
+      snap({}, `Pass done — $${a[end].price} has bubbled up to [${end}]`);
+      if (!swapped) {
+        snap({}, "No swaps in this pass — already sorted, stop early");
+        break;
+      }
+    }
+  }
+
+  if (algo === "selection") {
+    for (let i = 0; i < n - 1; i++) {
+      let m = i;
+      for (let j = i + 1; j < n; j++) {
+        if (less(j, m, { [a[m].id]: HL.pivot })) m = j;
+      }
+      swap(i, m);
+      sorted.add(i);
+      snap(
+        { [a[i].id]: HL.pivot },
+        `Smallest remaining $${a[i].price} goes to [${i}]`,
+      );
+    }
+  }
+
+  if (algo === "insertion") {
+    for (let i = 1; i < n; i++) {
+      let j = i;
+      while (j > 0 && less(j, j - 1)) {
+        swap(j, j - 1);
+        j--;
+      }
+      snap(
+        { [a[j].id]: HL.pivot },
+        `$${a[j].price} settles at [${j}] — [0..${i}] sorted`,
+      );
+    }
+  }
+
+  if (algo === "merge") {
+    const mergeSort = (lo, hi) => {
+      if (lo >= hi) return;
+      const mid = (lo + hi) >> 1;
+      mergeSort(lo, mid);
+      mergeSort(mid + 1, hi);
+      for (let k = lo; k <= hi; k++) {
+        aux[k] = a[k];
+        a[k] = null;
+      }
+      snap({}, `Lift [${lo}..${mid}] and [${mid + 1}..${hi}] up to merge them`);
+      let i = lo;
+      let j = mid + 1;
+      for (let k = lo; k <= hi; k++) {
+        let from;
+        if (i > mid) from = j++;
+        else if (j > hi) from = i++;
+        else {
+          comps++;
+          const takeRight = aux[j].price < aux[i].price;
+          snap(
+            { [aux[i].id]: HL.compare, [aux[j].id]: HL.compare },
+            `Compare the heads: ${tag(aux[i])} vs ${tag(aux[j])}`,
+          );
+          from = takeRight ? j++ : i++;
+        }
+        a[k] = aux[from];
+        aux[from] = null;
+        swaps++;
+        snap({ [a[k].id]: HL.write }, `Write $${a[k].price} back into [${k}]`);
+      }
+    };
+    mergeSort(0, n - 1);
+  }
+
+  if (algo === "quick") {
+    // Lomuto partition, last element as pivot
+    const quick = (lo, hi) => {
+      if (lo > hi) return;
+      if (lo === hi) {
+        sorted.add(lo);
+        return;
+      }
+      const pv = a[hi].id;
+      snap(
+        { [pv]: HL.pivot },
+        `Partition [${lo}..${hi}] around pivot ${tag(a[hi])}`,
+      );
+      let i = lo;
+      for (let j = lo; j < hi; j++) {
+        if (less(j, hi, { [pv]: HL.pivot })) {
+          swap(i, j, { [pv]: HL.pivot });
+          i++;
+        }
+      }
+      swap(i, hi);
+      sorted.add(i);
+      snap({ [a[i].id]: HL.pivot }, `Pivot $${a[i].price} is final at [${i}]`);
+      quick(lo, i - 1);
+      quick(i + 1, hi);
+    };
+    quick(0, n - 1);
+  }
+
+  if (algo === "heap") {
+    const siftDown = (i, size) => {
+      for (;;) {
+        const l = 2 * i + 1;
+        const r = l + 1;
+        let big = i;
+        if (l < size && less(big, l)) big = l;
+        if (r < size && less(big, r)) big = r;
+        if (big === i) return;
+        swap(i, big);
+        i = big;
+      }
+    };
+    for (let i = (n >> 1) - 1; i >= 0; i--) siftDown(i, n);
+    snap({}, "Max-heap built — the largest price sits at [0]");
+    for (let end = n - 1; end > 0; end--) {
+      swap(0, end);
+      sorted.add(end);
+      siftDown(0, end);
+    }
+  }
+
+  for (let i = 0; i < n; i++) sorted.add(i);
+  snap(
+    {},
+    `Sorted ✓ — ${comps} comparisons, ${swaps} ${algo === "merge" ? "writes" : "swaps"}`,
+  );
+  return steps;
+}
+
+// ─── Price box — height follows price, hops when it changes slot ──────────────
+function PriceBox({ item, target, color, isSorted }) {
+  const ref = useRef();
+  const [start] = useState(() => [target[0], target[1] + 3, 0]);
+  const goal = useRef(new THREE.Vector3());
+  const colors = PRODUCT_COLORS[item.product];
+  const h = boxH(item.price);
+
+  useFrame(() => {
+    if (!ref.current) return;
+    const p = ref.current.position;
+    p.x = THREE.MathUtils.lerp(p.x, target[0], 0.18);
+    // Rise while travelling sideways so swapped boxes arc past each other
+    const hop = Math.min(Math.abs(p.x - target[0]) * 0.45, 0.8);
+    p.y = THREE.MathUtils.lerp(p.y, target[1] + hop, 0.25);
+    p.z = THREE.MathUtils.lerp(p.z, hop > 0.05 ? 0.35 : 0, 0.2);
+    goal.current.setScalar(color ? 1.06 : 1);
+    ref.current.scale.lerp(goal.current, 0.2);
+  });
+
+  return (
+    <group ref={ref} position={start}>
+      <RoundedBox args={[ITEM_W - 0.14, h, 0.5]} radius={0.05} smoothness={4}>
+        <meshStandardMaterial
+          color={colors.box}
+          emissive={color ?? (isSorted ? "#22c55e" : "#000000")}
+          emissiveIntensity={color ? 0.55 : isSorted ? 0.25 : 0}
+          roughness={0.35}
+          metalness={0.1}
+        />
+      </RoundedBox>
+      <mesh position={[0, 0, 0.26]}>
+        <planeGeometry args={[ITEM_W - 0.24, Math.min(h - 0.1, 0.5)]} />
+        <meshStandardMaterial color={colors.label} roughness={0.5} />
+      </mesh>
+      <Text
+        position={[0, 0.06, 0.27]}
+        fontSize={0.17}
+        color={colors.text}
+        anchorX="center"
+        anchorY="middle"
+        fontWeight="bold"
+      >
+        {`$${item.price}`}
+      </Text>
+      <Text
+        position={[0, -0.1, 0.27]}
+        fontSize={0.07}
+        color={colors.text}
+        anchorX="center"
+        anchorY="middle"
+      >
+        {item.product.toUpperCase()}
+      </Text>
+      {color && (
+        <mesh position={[0, h / 2 + 0.14, 0]}>
+          <sphereGeometry args={[0.06, 12, 12]} />
+          <meshStandardMaterial
+            color={color}
+            emissive={color}
+            emissiveIntensity={1.2}
+          />
+        </mesh>
+      )}
+    </group>
+  );
+}
+
+function SortScene({ ar, step }) {
+  const sortedSet = new Set(step.sorted);
+  const boxes = [];
+  step.shelf.forEach((it, i) => {
+    if (it)
+      boxes.push(
+        <PriceBox
+          key={it.id}
+          item={it}
+          target={[slotX(i), SHELF_Y + boxH(it.price) / 2 + 0.04, 0]}
+          color={step.hl[it.id]}
+          isSorted={sortedSet.has(i)}
+        />,
+      );
+  });
+  step.aux.forEach((it, i) => {
+    if (it)
+      boxes.push(
+        <PriceBox
+          key={it.id}
+          item={it}
+          target={[slotX(i), AUX_Y + boxH(it.price) / 2 + 0.04, 0]}
+          color={step.hl[it.id]}
+          isSorted={false}
+        />,
+      );
+  });
+
+  return (
+    <>
+      <ambientLight intensity={0.6} />
+      <directionalLight position={[5, 8, 5]} intensity={1.2} />
+      <pointLight position={[0, 3, 2]} intensity={0.5} color="#fff5e0" />
+
+      <ARPlacement
+        placement={ar}
+        scale={AR_SCALE}
+        lift={AR_LIFT}
+        color="#fbbf24"
+      >
+        <ShelfBoard y={SHELF_Y} width={N_ITEMS * ITEM_W} />
+        {step.aux.some(Boolean) && (
+          <mesh position={[0, AUX_Y, 0]}>
+            <boxGeometry args={[N_ITEMS * ITEM_W + 0.3, 0.04, 0.7]} />
+            <meshStandardMaterial color="#38bdf8" transparent opacity={0.25} />
+          </mesh>
+        )}
+        {step.shelf.map((_, i) => (
+          <Text
+            key={i}
+            position={[slotX(i), SHELF_Y - 0.22, 0.3]}
+            fontSize={0.13}
+            color={sortedSet.has(i) ? "#4ade80" : "#7ec8e3"}
+            anchorX="center"
+            anchorY="middle"
+          >
+            {`[${i}]`}
+          </Text>
+        ))}
+        {boxes}
+      </ARPlacement>
+
+      {!ar.isAR && (
+        <>
+          <OrbitControls
+            enablePan={false}
+            minPolarAngle={Math.PI / 4}
+            maxPolarAngle={Math.PI / 2.1}
+            minDistance={4}
+            maxDistance={14}
+            target={[0, 0.2, 0]}
+          />
+          <Environment preset="city" />
+        </>
+      )}
+    </>
+  );
+}
+
+// ─── One algorithm lane: picker, counters, canvas ─────────────────────────────
+function SortLane({
+  ar,
+  algo,
+  steps,
+  cursor,
+  onAlgoChange,
+  disabled,
+  compact,
+}) {
+  const step = steps[Math.min(cursor, steps.length - 1)];
+  const done = cursor >= steps.length - 1;
+  const info = ALGORITHMS.find((x) => x.id === algo);
+
+  return (
+    <div className="flex flex-col gap-2">
+      <div className="flex items-center gap-2 flex-wrap">
+        <select
+          value={algo}
+          onChange={(e) => onAlgoChange(e.target.value)}
+          disabled={disabled}
+          className="px-3 py-2 bg-black/40 border border-white/20 rounded-lg text-white text-sm focus:outline-none focus:border-amber-400 disabled:opacity-50"
+        >
+          {ALGORITHMS.map((x) => (
+            <option key={x.id} value={x.id}>
+              {x.name}
+            </option>
+          ))}
+        </select>
+        <span className="text-xs text-white/40">
+          avg <span className="text-amber-300">{info.avg}</span> · space{" "}
+          <span className="text-amber-300">{info.space}</span> ·{" "}
+          {info.stable ? "stable" : "unstable"}
+        </span>
+        {done && (
+          <span className="text-green-400 text-xs font-bold">✓ done</span>
+        )}
+      </div>
+      <div
+        className="w-full rounded-2xl overflow-hidden border-2 border-amber-400/30 shadow-[0_0_40px_rgba(251,191,36,0.12)]"
+        style={{
+          height: compact ? 340 : 440,
+          background:
+            "linear-gradient(180deg,#1a1207 0%,#2a1d0a 50%,#0e0a04 100%)",
+        }}
+      >
+        <Canvas camera={{ position: [0, 0.8, compact ? 10.5 : 8.5], fov: 50 }}>
+          {ar ? (
+            <XR store={xrStore}>
+              <SortScene ar={ar} step={step} />
+            </XR>
+          ) : (
+            <SortScene ar={NO_AR} step={step} />
+          )}
+        </Canvas>
+      </div>
+      <div className="grid grid-cols-3 gap-2 text-xs font-mono">
+        <div className="px-3 py-1.5 bg-white/5 rounded-lg flex justify-between">
+          <span className="text-white/50">Compares</span>
+          <span className="text-yellow-300 font-bold">{step.comps}</span>
+        </div>
+        <div className="px-3 py-1.5 bg-white/5 rounded-lg flex justify-between">
+          <span className="text-white/50">
+            {algo === "merge" ? "Writes" : "Swaps"}
+          </span>
+          <span className="text-orange-300 font-bold">{step.swaps}</span>
+        </div>
+        <div className="px-3 py-1.5 bg-white/5 rounded-lg flex justify-between">
+          <span className="text-white/50">Step</span>
+          <span className="text-white/80 font-bold">
+            {Math.min(cursor, steps.length - 1)}/{steps.length - 1}
+          </span>
+        </div>
+      </div>
+      <p className="px-3 py-2 rounded-lg border border-yellow-400/30 bg-yellow-400/5 text-yellow-200 text-xs min-h-[2.5rem]">
+        {step.text}
+      </p>
+    </div>
+  );
+}
+
+// ─── Main Export ───────────────────────────────────────────────────────────────
+export default function ShelfSorting() {
+  const [items, setItems] = useState(INITIAL_ITEMS);
+  const [algos, setAlgos] = useState(["bubble", "quick"]);
+  const [compare, setCompare] = useState(false);
+  const [cursor, setCursor] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(500);
+  const [log, setLog] = useState([]);
+  const ar = useARPlacement(xrStore);
+
+  const addLog = (msg, type = "info") =>
+    setLog((prev) => [{ msg, type, id: Date.now() }, ...prev].slice(0, 8));
+
+  const lanes = compare ? algos : algos.slice(0, 1);
+  const [stepsA, setStepsA] = useState(() =>
+    recordSort(INITIAL_ITEMS, "bubble"),
+  );
+  const [stepsB, setStepsB] = useState(() =>
+    recordSort(INITIAL_ITEMS, "quick"),
+  );
+  const laneSteps = [stepsA, stepsB].slice(0, lanes.length);
+  const total = Math.max(...laneSteps.map((s) => s.length)) - 1;
+  const finished = cursor >= total;
+
+  const logSummary = () => {
+    const summary = lanes
+      .map((id, k) => {
+        const last = laneSteps[k][laneSteps[k].length - 1];
+        return `${ALGORITHMS.find((x) => x.id === id).name}: ${last.comps} cmp / ${last.swaps} ${id === "merge" ? "writes" : "swaps"}`;
+      })
+      .join("  vs  ");
+    addLog(`✅ ${summary}`, "success");
+  };
+
+  // Playback — one step per tick, so the speed slider applies immediately
+  useEffect(() => {
+    if (!playing) return;
+    const t = setTimeout(() => {
+      if (cursor + 1 >= total) {
+        setPlaying(false);
+        logSummary();
+      }
+      setCursor(Math.min(cursor + 1, total));
+    }, speed);
+    return () => clearTimeout(t);
+  }, [playing, cursor, speed, total]);
+
+  const rewind = () => {
+    setPlaying(false);
+    setCursor(0);
+  };
+
+  const loadItems = (next, msg) => {
+    setItems(next);
+    setStepsA(recordSort(next, algos[0]));
+    setStepsB(recordSort(next, algos[1]));
+    rewind();
+    addLog(msg, "info");
+  };
+
+  const handleAlgoChange = (lane, id) => {
+    const next = [...algos];
+    next[lane] = id;
+    setAlgos(next);
+    (lane === 0 ? setStepsA : setStepsB)(recordSort(items, id));
+    rewind();
+  };
+
+  const handlePreset = (kind) =>
+    loadItems(
+      makeItems(PRESETS[kind]()),
+      kind === "random"
+        ? "🎲 New random shelf"
+        : kind === "reversed"
+          ? "↩️ Reversed shelf — worst case for bubble/insertion"
+          : "📈 Nearly sorted shelf — best case for bubble/insertion",
+    );
+
+  const handlePlay = () => {
+    if (finished) setCursor(0);
+    setPlaying((p) => !p);
+  };
+
+  const handleReset = () => {
+    setAlgos(["bubble", "quick"]);
+    setCompare(false);
+    setItems(INITIAL_ITEMS);
+    setStepsA(recordSort(INITIAL_ITEMS, "bubble"));
+    setStepsB(recordSort(INITIAL_ITEMS, "quick"));
+    setSpeed(500);
+    rewind();
+    setLog([]);
+  };
+
+  // Step k is labelled by the first lane still running at that point
+  const timeline = stepTimeline({
+    labels: Array.from(
+      { length: total },
+      (_, k) => laneSteps.find((s) => s[k + 1])[k + 1].text.split(" — ")[0],
+    ),
+    cursor,
+    setCursor,
+    playing,
+    play: () => setPlaying(true),
+    stop: () => setPlaying(false),
+  });
+
+  // The AR view shows the first lane only
+  const arStep = Math.min(cursor, stepsA.length - 1);
+
+  return (
+    <div
+      className="flex flex-col gap-4 w-full"
+      style={{ fontFamily: "'Courier New', monospace" }}
+    >
+      <ARPlacementHud
+        placement={ar}
+        title="🛒 SORTING THE SHELF — AR"
+        status={`${ALGORITHMS.find((x) => x.id === algos[0]).name} · step ${arStep}/${stepsA.length - 1}`}
+        accent="#fbbf24"
+        log={log}
+        actions={[
+          {
+            label: playing ? "⏸ Pause" : finished ? "🔁 Replay" : "▶ Play",
+            onClick: handlePlay,
+            color: "#d97706",
+          },
+          {
+            label: "Step ▶",
+            onClick: () => setCursor((c) => Math.min(c + 1, total)),
+            disabled: playing || finished,
+          },
+          { label: "⏮ Rewind", onClick: rewind },
+          { label: "🎲 Random", onClick: () => handlePreset("random") },
+        ]}
+      >
+        <div
+          style={{
+            background: "rgba(0,0,0,0.8)",
+            border: "1px solid rgba(251,191,36,0.3)",
+            borderRadius: 14,
+            padding: "10px 14px",
+            color: "#fde68a",
+            fontSize: 12,
+          }}
+        >
+          {stepsA[arStep].text}
+        </div>
+      </ARPlacementHud>
+
+      {/* Header */}
+      <div className="text-center">
+        <h2 className="text-3xl font-bold text-amber-300 tracking-widest">
+          🛒 SORTING THE SHELF
+        </h2>
+        <p className="text-white/50 text-sm mt-1">
+          {N_ITEMS} products · sort by price, cheapest on the left · box height
+          = price
+        </p>
+      </div>
+
+      <ARButton placement={ar} accent="#fbbf24" />
+
+      {/* Single / side-by-side toggle */}
+      <div className="flex justify-center gap-2">
+        {[
+          [false, "🛒 Single shelf"],
+          [true, "⚖️ Side by side"],
+        ].map(([c, label]) => (
+          <button
+            key={label}
+            onClick={() => {
+              setCompare(c);
+              rewind();
+            }}
+            className={`px-4 py-1.5 rounded-lg text-sm font-bold border-2 transition-all ${
+              compare === c
+                ? "bg-amber-400 border-amber-400 text-gray-900"
+                : "border-white/20 text-white/60 hover:border-amber-400/50"
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {/* Lanes */}
+      <div
+        className={`grid gap-4 ${compare ? "grid-cols-1 lg:grid-cols-2" : "grid-cols-1"}`}
+      >
+        {lanes.map((id, k) => (
+          <SortLane
+            key={k}
+            ar={k === 0 ? ar : null}
+            algo={id}
+            steps={laneSteps[k]}
+            cursor={cursor}
+            onAlgoChange={(next) => handleAlgoChange(k, next)}
+            disabled={playing}
+            compact={compare}
+          />
+        ))}
+      </div>
+
+      <TimelineBar timeline={timeline} accent="amber" />
+
+      {/* Controls */}
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <div className="bg-white/5 border border-white/10 rounded-2xl p-5 flex flex-col gap-4">
+          <div className="flex gap-2 flex-wrap">
+            <button
+              onClick={handlePlay}
+              className="px-5 py-2.5 bg-amber-600 hover:bg-amber-500 rounded-lg text-white text-sm font-bold transition-all"
+            >
+              {playing ? "⏸ Pause" : finished ? "🔁 Replay" : "▶ Play"}
+            </button>
+            <button
+              onClick={() => setCursor((c) => Math.max(c - 1, 0))}
+              disabled={playing || cursor === 0}
+              className="px-3 py-2.5 bg-white/10 hover:bg-white/20 disabled:opacity-40 rounded-lg text-white/80 text-sm transition-all"
+            >
+              ◀ Step
+            </button>
+            <button
+              onClick={() => setCursor((c) => Math.min(c + 1, total))}
+              disabled={playing || finished}
+              className="px-3 py-2.5 bg-white/10 hover:bg-white/20 disabled:opacity-40 rounded-lg text-white/80 text-sm transition-all"
+            >
+              Step ▶
+            </button>
+            <button
+              onClick={rewind}
+              className="px-3 py-2.5 bg-white/10 hover:bg-white/20 rounded-lg text-white/80 text-sm transition-all"
+            >
+              ⏮ Rewind
+            </button>
+          </div>
+
+          <label className="flex items-center gap-3 text-xs text-white/50">
+            🐢
+            <input
+              type="range"
+              min={60}
+              max={1200}
+              step={20}
+              value={1260 - speed}
+              onChange={(e) => setSpeed(1260 - Number(e.target.value))}
+              className="flex-1 accent-amber-400"
+            />
+            🐇
+            <span className="w-20 text-right text-amber-300">
+              {speed} ms/step
+            </span>
+          </label>
+
+          <div className="flex gap-2 flex-wrap">
+            <span className="text-white/40 text-xs self-center">
+              Starting data:
+            </span>
+            {[
+              ["random", "🎲 Random"],
+              ["reversed", "↩️ Reversed"],
+              ["nearly", "📈 Nearly sorted"],
+            ].map(([kind, label]) => (
+              <button
+                key={kind}
+                onClick={() => handlePreset(kind)}
+                disabled={playing}
+                className="px-3 py-1.5 rounded-lg text-xs font-bold border border-white/15 text-white/70 hover:border-amber-400/50 disabled:opacity-40 transition-all"
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          <div className="flex gap-1 flex-wrap text-xs">
+            {items.map((it) => (
+              <span
+                key={it.id}
+                className="px-2 py-0.5 rounded border border-white/15 text-white/70"
+              >
+                {PRODUCT_EMOJIS[it.product]} ${it.price}
+              </span>
+            ))}
+          </div>
+
+          <div className="flex gap-3 text-xs flex-wrap">
+            {[
+              [HL.compare, "Comparing"],
+              [HL.swap, "Swapping"],
+              [HL.pivot, "Pivot / min"],
+              [HL.write, "Merge write"],
+              ["#22c55e", "Final position"],
+            ].map(([c, label]) => (
+              <span
+                key={label}
+                className="flex items-center gap-1 text-white/50"
+              >
+                <span
+                  className="inline-block w-3 h-3 rounded-full"
+                  style={{ background: c }}
+                />
+                {label}
+              </span>
+            ))}
+          </div>
+
+          <button
+            onClick={handleReset}
+            className="w-full py-2 bg-white/5 hover:bg-white/10 border border-white/10 rounded-lg text-white/50 hover:text-white/80 text-sm transition-all"
+          >
+            🔄 Reset to Default
+          </button>
+        </div>
+
+        {/* Log + Complexity */}
+        <div className="bg-black/40 border border-white/10 rounded-2xl p-5 flex flex-col gap-4">
+          <div>
+            <p className="text-white/40 text-xs uppercase tracking-widest mb-2">
+              📋 Run Log
+            </p>
+            <div className="flex flex-col gap-1 max-h-36 overflow-y-auto">
+              {log.length === 0 ? (
+                <p className="text-white/30 text-xs italic">No runs yet...</p>
+              ) : (
+                log.map((entry, i) => (
+                  <div
+                    key={entry.id}
+                    className={`text-xs font-mono py-1 px-2 rounded border-l-2 ${
+                      entry.type === "success"
+                        ? "border-green-400 bg-green-400/5 text-green-300"
+                        : entry.type === "error"
+                          ? "border-red-400 bg-red-400/5 text-red-300"
+                          : "border-blue-400 bg-blue-400/5 text-blue-300"
+                    } ${i > 0 ? "opacity-50" : ""}`}
+                  >
+                    {entry.msg}
+                  </div>
+                ))
+              )}
+            </div>
+          </div>
+
+          <div>
+            <p className="text-white/40 text-xs uppercase tracking-widest mb-2">
+              ⚡ Time Complexity
+            </p>
+            <div className="grid grid-cols-1 gap-1 text-xs font-mono">
+              {ALGORITHMS.map((x) => (
+                <div
+                  key={x.id}
+                  className={`flex justify-between px-3 py-1.5 rounded-lg ${lanes.includes(x.id) ? "bg-amber-400/15 border border-amber-400/30" : "bg-white/5"}`}
+                >
+                  <span className="text-white/55">{x.name}</span>
+                  <span>
+                    <span className="text-white/40">best </span>
+                    <span
+                      className={`font-bold ${x.best === "O(n)" ? "text-green-400" : "text-white/70"}`}
+                    >
+                      {x.best}
+                    </span>
+                    <span className="text-white/40"> · avg </span>
+                    <span
+                      className={`font-bold ${x.avg === "O(n²)" ? "text-red-400" : "text-green-400"}`}
+                    >
+                      {x.avg}
+                    </span>
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <p className="text-center text-white/25 text-xs pb-2">
+        💡 Try "Reversed" side by side with Bubble vs Merge — then "Nearly
+        sorted" with Insertion vs Quick · Drag to rotate · Scroll to zoom
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,190 @@
+import { ACCENTS } from "./accents";
+
+// ─── Shared push / pop / peek panel for the stack scenarios ──────────────────
+// Book Stack, Storage Boxes and Plate Stack all drive their scenes through this
+// panel so the three stack scenarios read the same way.
+
+export default function StackOpsPanel({
+  accent,
+  noun,
+  icons,
+  activeTab,
+  onTabChange,
+  options,
+  pushValue,
+  onPushValueChange,
+  size,
+  capacity,
+  top,
+  isAnimating,
+  isPeeked,
+  onPush,
+  onPop,
+  onPeek,
+  onClear,
+  onReset,
+  hints = {},
+  allowUnderflow = false,
+}) {
+  const a = ACCENTS[accent];
+  const isFull = size >= capacity;
+  const isEmpty = size === 0;
+
+  const tabBtn = (tab, emoji, label) => (
+    <button
+      key={tab}
+      onClick={() => onTabChange(tab)}
+      className={`px-3 py-2 rounded-lg text-sm font-bold transition-all border-2 ${
+        activeTab === tab
+          ? a.tab
+          : `bg-transparent border-white/20 text-white/60 ${a.tabIdle} hover:text-white`
+      }`}
+    >
+      {emoji} {label}
+    </button>
+  );
+
+  return (
+    <div className="bg-white/5 border border-white/10 rounded-2xl p-5">
+      <div className="flex gap-2 mb-4 flex-wrap">
+        {tabBtn("push", icons.push, "Push")}
+        {tabBtn("pop", icons.pop, "Pop")}
+        {tabBtn("peek", "👁️", "Peek")}
+        {onClear && tabBtn("clear", "🗑️", "Clear")}
+      </div>
+
+      {/* Push */}
+      {activeTab === "push" && (
+        <div className="flex flex-col gap-3">
+          <p className="text-white/50 text-xs">
+            {hints.push ?? `Add a ${noun} to the TOP of the stack`} —{" "}
+            <span className="text-green-400 font-bold">O(1)</span>
+          </p>
+          <div className="flex gap-2 items-center flex-wrap">
+            <span className="text-white/60 text-sm capitalize">{noun}:</span>
+            <select
+              value={pushValue}
+              onChange={(e) => onPushValueChange(Number(e.target.value))}
+              className={`flex-1 px-3 py-2 bg-black/40 border border-white/20 rounded-lg text-white text-sm focus:outline-none ${a.focus}`}
+            >
+              {options.map((o) => (
+                <option key={o.value} value={o.value}>
+                  {o.label}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={onPush}
+              disabled={isAnimating || isFull}
+              className="px-5 py-2 bg-green-600 hover:bg-green-500 disabled:opacity-40 disabled:cursor-not-allowed rounded-lg text-white text-sm font-bold transition-all"
+            >
+              Push ↑
+            </button>
+          </div>
+          <div className="flex gap-2 items-center">
+            <div className="flex-1 h-1.5 bg-white/10 rounded-full overflow-hidden">
+              <div
+                className={`h-full rounded-full transition-all duration-300 ${a.bar}`}
+                style={{ width: `${(size / capacity) * 100}%` }}
+              />
+            </div>
+            <span className="text-white/40 text-xs">
+              {size}/{capacity}
+            </span>
+          </div>
+          {isFull && (
+            <p className="text-red-400 text-xs font-bold">
+              ⚠️ Stack Overflow — no room for another {noun}!
+            </p>
+          )}
+        </div>
+      )}
+
+      {/* Pop */}
+      {activeTab === "pop" && (
+        <div className="flex flex-col gap-3">
+          <p className="text-white/50 text-xs">
+            {hints.pop ?? `Remove the TOP ${noun}`} —{" "}
+            <span className="text-green-400 font-bold">O(1)</span>
+            &nbsp;· LIFO: last pushed is first popped
+          </p>
+          <div className="flex gap-2 items-center">
+            <button
+              onClick={onPop}
+              disabled={isAnimating || (isEmpty && !allowUnderflow)}
+              className="px-5 py-2.5 bg-red-600 hover:bg-red-500 disabled:opacity-40 disabled:cursor-not-allowed rounded-lg text-white text-sm font-bold transition-all"
+            >
+              Pop ↓
+            </button>
+            {isEmpty ? (
+              <span className="text-red-400 text-xs font-bold">
+                {allowUnderflow
+                  ? "Empty — popping now will underflow!"
+                  : "Stack Underflow!"}
+              </span>
+            ) : (
+              <span className="text-white/50 text-xs">
+                Will remove:{" "}
+                <span className={`${a.text} font-bold`}>{top}</span>
+              </span>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Peek */}
+      {activeTab === "peek" && (
+        <div className="flex flex-col gap-3">
+          <p className="text-white/50 text-xs">
+            View TOP without removing —{" "}
+            <span className="text-green-400 font-bold">O(1)</span>
+          </p>
+          <div className="flex gap-2 items-center flex-wrap">
+            <button
+              onClick={onPeek}
+              disabled={isEmpty}
+              className={`px-5 py-2.5 rounded-lg text-white text-sm font-bold transition-all disabled:opacity-40 disabled:cursor-not-allowed ${
+                isPeeked ? a.solid : "bg-yellow-600 hover:bg-yellow-500"
+              }`}
+            >
+              {isPeeked ? "👁️ Hide Peek" : "👁️ Peek TOP"}
+            </button>
+            {isPeeked && !isEmpty && (
+              <div
+                className={`px-3 py-1.5 border rounded-lg text-xs font-bold ${a.card} ${a.text}`}
+              >
+                TOP [{size - 1}] = {top}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Clear */}
+      {activeTab === "clear" && onClear && (
+        <div className="flex flex-col gap-3">
+          <p className="text-white/50 text-xs">
+            Remove every {noun} —{" "}
+            <span className="text-red-400 font-bold">O(n)</span>
+            &nbsp;· repeated pop until empty
+          </p>
+          <button
+            onClick={onClear}
+            disabled={isAnimating || isEmpty}
+            className="px-5 py-2.5 bg-red-800 hover:bg-red-700 disabled:opacity-40 disabled:cursor-not-allowed rounded-lg text-white text-sm font-bold transition-all w-fit"
+          >
+            🗑️ Clear All
+          </button>
+        </div>
+      )}
+
+      <button
+        onClick={onReset}
+        disabled={isAnimating}
+        className="mt-4 w-full py-2 bg-white/5 hover:bg-white/10 border border-white/10 rounded-lg text-white/50 hover:text-white/80 text-sm transition-all disabled:opacity-40"
+      >
+        🔄 Reset to Default
+      </button>
+    </div>
+  );
+}
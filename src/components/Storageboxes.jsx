@@ -6,8 +6,24 @@ import {
   OrbitControls,
   Environment,
 } from "@react-three/drei";
+import { XR, createXRStore } from "@react-three/xr";
 import { gsap } from "gsap";
 import * as THREE from "three";
+import StackOpsPanel from "./StackOpsPanel";
+import CodePanel from "./CodePanel";
+import TimelineBar from "./TimelineBar";
+import CodeLab from "./CodeLab";
+import ARPlacement, { ARPlacementHud, ARButton } from "./ARPlacement";
+import { StackModel } from "../models";
+import { stackPrograms } from "../pseudocode";
+import { useModelEvents } from "../hooks/useModelEvents";
+import { useCodeTrace } from "../hooks/useCodeTrace";
+import { useTimeline } from "../hooks/useTimeline";
+import { useCodeLab } from "../hooks/useCodeLab";
+import { useARPlacement } from "../hooks/useARPlacement";
+
+// ─── XR Store ─────────────────────────────────────────────────────────────────
+const xrStore = createXRStore();
 
 // ─── Constants ─────────────────────────────────────────────────────────────────
 const SLOT_W = 1.05;
@@ -19,6 +35,8 @@ const BOX_D = 1.22;
 const MAX_SLOTS = 6;
 const SHELF_X = 0;
 const SHELF_BASE_Y = -1.1;
+const AR_SCALE = 0.15;
+const AR_LIFT = -(SHELF_BASE_Y - 0.135); // stands the floor base on the surface
 
 const BOX_STYLES = [
   { body: "#c0392b", stripe: "#922b21", label: "FRAGILE", icon: "⚠️" },
@@ -307,6 +325,7 @@ function Bookshelf({ slotCount }) {
 
 // ─── Full 3D Scene ─────────────────────────────────────────────────────────────
 function ShelfScene({
+  ar,
   stack,
   isPeeked,
   slidingInIdx,
@@ -326,54 +345,65 @@ function ShelfScene({
       <pointLight position={[2, 1, 2]} intensity={0.6} color="#ffe8c0" />
       <pointLight position={[-1, 3, 1]} intensity={0.25} color="#a8d0ff" />
 
-      <Bookshelf slotCount={MAX_SLOTS} />
-
-      {/* Render each box in the stack */}
-      {stack.map((box, i) => {
-        const isSlideIn = i === stack.length - 1 && slidingInIdx === box.id;
-        const isSlideOut = slidingOutIdx === box.id;
-        return (
-          <StorageBox
-            key={box.id}
-            slotIndex={i}
-            style={BOX_STYLES[box.styleIdx]}
-            isTop={i === stack.length - 1}
-            isPeeked={isPeeked && i === stack.length - 1}
-            isSlidingIn={isSlideIn}
-            isSlidingOut={isSlideOut}
-            onDone={
-              isSlideIn
-                ? onSlideInDone
-                : isSlideOut
-                  ? onSlideOutDone
-                  : undefined
-            }
-          />
-        );
-      })}
+      <ARPlacement
+        placement={ar}
+        scale={AR_SCALE}
+        lift={AR_LIFT}
+        color="#34d399"
+      >
+        <Bookshelf slotCount={MAX_SLOTS} />
+
+        {/* Render each box in the stack */}
+        {stack.map((box, i) => {
+          const isSlideIn = i === stack.length - 1 && slidingInIdx === box.id;
+          const isSlideOut = slidingOutIdx === box.id;
+          return (
+            <StorageBox
+              key={box.id}
+              slotIndex={i}
+              style={BOX_STYLES[box.styleIdx]}
+              isTop={i === stack.length - 1}
+              isPeeked={isPeeked && i === stack.length - 1}
+              isSlidingIn={isSlideIn}
+              isSlidingOut={isSlideOut}
+              onDone={
+                isSlideIn
+                  ? onSlideInDone
+                  : isSlideOut
+                    ? onSlideOutDone
+                    : undefined
+              }
+            />
+          );
+        })}
 
-      {/* Empty state label */}
-      {stack.length === 0 && (
-        <Text
-          position={[0, SHELF_BASE_Y + SLOT_H * 1.5, 0]}
-          fontSize={0.14}
-          color="#4a4a6a"
-          anchorX="center"
-          anchorY="middle"
-        >
-          Stack Empty
-        </Text>
-      )}
+        {/* Empty state label */}
+        {stack.length === 0 && (
+          <Text
+            position={[0, SHELF_BASE_Y + SLOT_H * 1.5, 0]}
+            fontSize={0.14}
+            color="#4a4a6a"
+            anchorX="center"
+            anchorY="middle"
+          >
+            Stack Empty
+          </Text>
+        )}
+      </ARPlacement>
 
-      <OrbitControls
-        enablePan={false}
-        minPolarAngle={Math.PI / 6}
-        maxPolarAngle={Math.PI / 2.1}
-        minDistance={3.5}
-        maxDistance={11}
-        target={[0, -0.1, 0]}
-      />
-      <Environment preset="warehouse" />
+      {!ar.isAR && (
+        <>
+          <OrbitControls
+            enablePan={false}
+            minPolarAngle={Math.PI / 6}
+            maxPolarAngle={Math.PI / 2.1}
+            minDistance={3.5}
+            maxDistance={11}
+            target={[0, -0.1, 0]}
+          />
+          <Environment preset="warehouse" />
+        </>
+      )}
     </>
   );
 }
@@ -386,8 +416,13 @@ const INITIAL_STACK = [
 ];
 let nextId = 20;
 
+const BOX_LABELS = BOX_STYLES.map((s) => s.label);
+
 export default function StorageBoxes() {
-  const [stack, setStack] = useState(INITIAL_STACK);
+  const [model] = useState(
+    () => new StackModel({ items: INITIAL_STACK, capacity: MAX_SLOTS }),
+  );
+  const [stack, setStack] = useState(INITIAL_STACK); // what the scene shows
   const [isPeeked, setIsPeeked] = useState(false);
   const [isAnimating, setIsAnimating] = useState(false);
   const [slidingInIdx, setSlidingIn] = useState(null);
@@ -402,23 +437,86 @@ export default function StorageBoxes() {
 
   const topBox = stack.length > 0 ? stack[stack.length - 1] : null;
 
+  // The model owns the stack; a popped box stays on screen until it slides out
+  useModelEvents(model, (e) => {
+    if (e.type === "push") {
+      setIsAnimating(true);
+      setIsPeeked(false);
+      setStack(model.toArray());
+      setSlidingIn(e.value.id);
+      addLog(
+        `📦 Push "${BOX_STYLES[e.value.styleIdx].label}" → slot [${e.index}]  ·  ${e.complexity}`,
+        "success",
+      );
+    } else if (e.type === "pop") {
+      setIsAnimating(true);
+      setIsPeeked(false);
+      setPendingPop(e.value);
+      setSlidingOut(e.value.id);
+      addLog(
+        `📤 Pop "${BOX_STYLES[e.value.styleIdx].label}" from slot [${e.index}]  ·  ${e.complexity}`,
+        "success",
+      );
+    } else if (e.type === "peek") {
+      const newVal = !isPeeked;
+      setIsPeeked(newVal);
+      if (newVal) {
+        addLog(
+          `👁️ Peek → TOP slot [${e.index}] = "${BOX_STYLES[e.value.styleIdx].label}"  ·  ${e.complexity}`,
+          "success",
+        );
+      }
+    } else if (e.type === "overflow") {
+      addLog(`⚠️ Stack Overflow! Shelf is full (max ${e.capacity}).`, "error");
+    } else if (e.type === "underflow") {
+      addLog(
+        e.op === "peek"
+          ? "⚠️ Stack is empty — nothing to peek!"
+          : "⚠️ Stack Underflow! Nothing to pop.",
+        "error",
+      );
+    } else if (e.type === "clear") {
+      setStack([]);
+      setIsPeeked(false);
+      addLog("🗑️ Shelf cleared — all boxes removed", "info");
+    } else if (e.type === "reset") {
+      setStack(e.items);
+      setIsPeeked(false);
+      setLog([]);
+    } else if (e.type === "restore") {
+      setStack(e.items);
+      setIsPeeked(false);
+      addLog(`🕘 Back to ${e.items.length} box(es) on the shelf`, "info");
+    }
+  });
+
+  const codeTrace = useCodeTrace(model, stackPrograms, {
+    format: (b) => `"${BOX_STYLES[b.styleIdx].label}"`,
+    stepMs: 300,
+  });
+
+  const timeline = useTimeline(model, {
+    busy: isAnimating,
+    describe: (e) =>
+      e.type === "push" || e.type === "pop"
+        ? `${e.type} ${BOX_STYLES[e.value.styleIdx].label}`
+        : e.type,
+  });
+
+  const lab = useCodeLab(model, {
+    kind: "stack",
+    name: "stack",
+    values: BOX_LABELS,
+    fromItem: (b) => BOX_LABELS[b.styleIdx],
+    toItem: (label) => ({ id: nextId++, styleIdx: BOX_LABELS.indexOf(label) }),
+    busy: isAnimating,
+  });
+  const ar = useARPlacement(xrStore);
+
   // ── Push ───────────────────────────────────────────────────────────────────
   const handlePush = () => {
     if (isAnimating) return;
-    if (stack.length >= MAX_SLOTS)
-      return addLog(
-        `⚠️ Stack Overflow! Shelf is full (max ${MAX_SLOTS}).`,
-        "error",
-      );
-    setIsAnimating(true);
-    setIsPeeked(false);
-    const newBox = { id: nextId++, styleIdx: pushStyleIdx };
-    setStack((prev) => [...prev, newBox]);
-    setSlidingIn(newBox.id);
-    addLog(
-      `📦 Push "${BOX_STYLES[pushStyleIdx].label}" → slot [${stack.length}]  ·  O(1)`,
-      "success",
-    );
+    model.push({ id: nextId++, styleIdx: pushStyleIdx });
   };
 
   const handleSlideInDone = () => {
@@ -429,70 +527,63 @@ export default function StorageBoxes() {
   // ── Pop ────────────────────────────────────────────────────────────────────
   const handlePop = () => {
     if (isAnimating) return;
-    if (stack.length === 0)
-      return addLog("⚠️ Stack Underflow! Nothing to pop.", "error");
-    setIsAnimating(true);
-    setIsPeeked(false);
-    const top = stack[stack.length - 1];
-    setPendingPop(top);
-    setSlidingOut(top.id);
-    addLog(
-      `📤 Pop "${BOX_STYLES[top.styleIdx].label}" from slot [${stack.length - 1}]  ·  O(1)`,
-      "success",
-    );
+    model.pop();
   };
 
   const handleSlideOutDone = () => {
     setSlidingOut(null);
-    setStack((prev) => prev.slice(0, -1));
+    setStack(model.toArray());
     setPendingPop(null);
     setIsAnimating(false);
   };
 
   // ── Peek ───────────────────────────────────────────────────────────────────
-  const handlePeek = () => {
-    if (stack.length === 0)
-      return addLog("⚠️ Stack is empty — nothing to peek!", "error");
-    const newVal = !isPeeked;
-    setIsPeeked(newVal);
-    if (newVal) {
-      addLog(
-        `👁️ Peek → TOP slot [${stack.length - 1}] = "${BOX_STYLES[topBox.styleIdx].label}"  ·  O(1)`,
-        "success",
-      );
-    }
-  };
+  const handlePeek = () => model.peek();
 
   // ── Reset ──────────────────────────────────────────────────────────────────
   const handleReset = () => {
     if (isAnimating) return;
-    setStack(INITIAL_STACK);
-    setIsPeeked(false);
-    setLog([]);
+    model.reset();
   };
 
-  const tabBtn = (tab, emoji, label) => (
-    <button
-      key={tab}
-      onClick={() => {
-        setActiveTab(tab);
-        setIsPeeked(false);
-      }}
-      className={`px-3 py-2 rounded-lg text-sm font-bold transition-all border-2 ${
-        activeTab === tab
-          ? "bg-emerald-400 border-emerald-400 text-gray-900"
-          : "bg-transparent border-white/20 text-white/60 hover:border-emerald-400/50 hover:text-white"
-      }`}
-    >
-      {emoji} {label}
-    </button>
-  );
+  const handleTabChange = (tab) => {
+    setActiveTab(tab);
+    setIsPeeked(false);
+  };
 
   return (
     <div
       className="flex flex-col gap-4 w-full"
       style={{ fontFamily: "'Courier New', monospace" }}
     >
+      <ARPlacementHud
+        placement={ar}
+        title="📦 STORAGE BOXES — AR"
+        status={`Stack ${stack.length}/${MAX_SLOTS}`}
+        accent="#34d399"
+        log={log}
+        actions={[
+          {
+            label: "⬆ Push",
+            onClick: handlePush,
+            disabled: isAnimating || stack.length >= MAX_SLOTS,
+            color: "#059669",
+          },
+          {
+            label: "⬇ Pop",
+            onClick: handlePop,
+            disabled: isAnimating || stack.length === 0,
+            color: "#dc2626",
+          },
+          {
+            label: "👁 Peek",
+            onClick: handlePeek,
+            disabled: stack.length === 0,
+          },
+          { label: "🔄 Reset", onClick: handleReset, disabled: isAnimating },
+        ]}
+      />
+
       {/* Header */}
       <div className="text-center">
         <h2 className="text-3xl font-bold text-emerald-300 tracking-widest">
@@ -522,25 +613,33 @@ export default function StorageBoxes() {
         </p>
       </div>
 
-      {/* 3D Canvas */}
-      <div
-        className="w-full rounded-2xl overflow-hidden border-2 border-emerald-400/30 shadow-[0_0_40px_rgba(52,211,153,0.1)]"
-        style={{
-          height: 480,
-          background:
-            "linear-gradient(180deg,#050e08 0%,#0a1a10 50%,#040c06 100%)",
-        }}
-      >
-        <Canvas camera={{ position: [2.8, 0.8, 6.0], fov: 46 }} shadows>
-          <ShelfScene
-            stack={stack}
-            isPeeked={isPeeked}
-            slidingInIdx={slidingInIdx}
-            slidingOutIdx={slidingOutIdx}
-            onSlideInDone={handleSlideInDone}
-            onSlideOutDone={handleSlideOutDone}
-          />
-        </Canvas>
+      <ARButton placement={ar} accent="#34d399" />
+
+      <div className="flex flex-col xl:flex-row gap-4">
+        {/* 3D Canvas */}
+        <div
+          className="w-full rounded-2xl overflow-hidden border-2 border-emerald-400/30 shadow-[0_0_40px_rgba(52,211,153,0.1)]"
+          style={{
+            height: 480,
+            background:
+              "linear-gradient(180deg,#050e08 0%,#0a1a10 50%,#040c06 100%)",
+          }}
+        >
+          <Canvas camera={{ position: [2.8, 0.8, 6.0], fov: 46 }} shadows>
+            <XR store={xrStore}>
+              <ShelfScene
+                ar={ar}
+                stack={stack}
+                isPeeked={isPeeked}
+                slidingInIdx={slidingInIdx}
+                slidingOutIdx={slidingOutIdx}
+                onSlideInDone={handleSlideInDone}
+                onSlideOutDone={handleSlideOutDone}
+              />
+            </XR>
+          </Canvas>
+        </div>
+        <CodePanel trace={codeTrace} accent="emerald" height={480} />
       </div>
 
       {/* Slot visualizer bar */}
@@ -573,145 +672,51 @@ export default function StorageBoxes() {
         <span className="text-white/30 text-xs ml-1">TOP →</span>
       </div>
 
-      {/* Controls */}
-      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
-        {/* Operations */}
-        <div className="bg-white/5 border border-white/10 rounded-2xl p-5">
-          <div className="flex gap-2 mb-4 flex-wrap">
-            {tabBtn("push", "📦", "Push")}
-            {tabBtn("pop", "📤", "Pop")}
-            {tabBtn("peek", "👁️", "Peek")}
-          </div>
-
-          {/* Push */}
-          {activeTab === "push" && (
-            <div className="flex flex-col gap-3">
-              <p className="text-white/50 text-xs">
-                Slide a box into the TOP slot —{" "}
-                <span className="text-green-400 font-bold">O(1)</span>
-              </p>
-              <div className="flex gap-2 items-center flex-wrap">
-                <span className="text-white/60 text-sm">Box:</span>
-                <select
-                  value={pushStyleIdx}
-                  onChange={(e) => setPushStyleIdx(Number(e.target.value))}
-                  className="flex-1 px-3 py-2 bg-black/40 border border-white/20 rounded-lg text-white text-sm focus:outline-none focus:border-emerald-400"
-                >
-                  {BOX_STYLES.map((s, i) => (
-                    <option key={i} value={i}>
-                      {s.icon} {s.label}
-                    </option>
-                  ))}
-                </select>
-                <button
-                  onClick={handlePush}
-                  disabled={isAnimating || stack.length >= MAX_SLOTS}
-                  className="px-5 py-2 bg-green-600 hover:bg-green-500 disabled:opacity-40 disabled:cursor-not-allowed rounded-lg text-white text-sm font-bold transition-all"
-                >
-                  Push →
-                </button>
-              </div>
-              <div className="flex gap-2 items-center">
-                <div className="flex-1 h-1.5 bg-white/10 rounded-full overflow-hidden">
-                  <div
-                    className="h-full bg-emerald-400 rounded-full transition-all duration-300"
-                    style={{ width: `${(stack.length / MAX_SLOTS) * 100}%` }}
-                  />
-                </div>
-                <span className="text-white/40 text-xs">
-                  {stack.length}/{MAX_SLOTS}
-                </span>
-              </div>
-              {stack.length >= MAX_SLOTS && (
-                <p className="text-red-400 text-xs font-bold">
-                  ⚠️ Stack Overflow — shelf is full!
-                </p>
-              )}
-            </div>
-          )}
-
-          {/* Pop */}
-          {activeTab === "pop" && (
-            <div className="flex flex-col gap-3">
-              <p className="text-white/50 text-xs">
-                Slide out the TOP box —{" "}
-                <span className="text-green-400 font-bold">O(1)</span>
-                &nbsp;· LIFO: last pushed = first popped
-              </p>
-              <div className="flex gap-2 items-center">
-                <button
-                  onClick={handlePop}
-                  disabled={isAnimating || stack.length === 0}
-                  className="px-5 py-2.5 bg-red-600 hover:bg-red-500 disabled:opacity-40 disabled:cursor-not-allowed rounded-lg text-white text-sm font-bold transition-all"
-                >
-                  ← Pop
-                </button>
-                {stack.length === 0 ? (
-                  <span className="text-red-400 text-xs font-bold">
-                    Stack Underflow!
-                  </span>
-                ) : (
-                  topBox && (
-                    <span className="text-white/50 text-xs">
-                      Will remove:{" "}
-                      <span className="text-emerald-300 font-bold">
-                        {BOX_STYLES[topBox.styleIdx].icon}{" "}
-                        {BOX_STYLES[topBox.styleIdx].label}
-                      </span>
-                    </span>
-                  )
-                )}
-              </div>
-            </div>
-          )}
+      <TimelineBar
+        timeline={timeline}
+        accent="emerald"
+        disabled={isAnimating || lab.running}
+      />
 
-          {/* Peek */}
-          {activeTab === "peek" && (
-            <div className="flex flex-col gap-3">
-              <p className="text-white/50 text-xs">
-                Inspect TOP slot without removing —{" "}
-                <span className="text-green-400 font-bold">O(1)</span>
-              </p>
-              <div className="flex gap-2 items-center flex-wrap">
-                <button
-                  onClick={handlePeek}
-                  disabled={stack.length === 0}
-                  className={`px-5 py-2.5 rounded-lg text-white text-sm font-bold transition-all disabled:opacity-40 disabled:cursor-not-allowed ${
-                    isPeeked
-                      ? "bg-emerald-600 hover:bg-emerald-500"
-                      : "bg-yellow-600 hover:bg-yellow-500"
-                  }`}
-                >
-                  {isPeeked ? "👁️ Hide" : "👁️ Peek TOP"}
-                </button>
-
-                {isPeeked && topBox && (
-                  <div className="flex items-center gap-2 px-3 py-2 bg-emerald-400/15 border border-emerald-400/40 rounded-lg">
-                    <span className="text-2xl">
-                      {BOX_STYLES[topBox.styleIdx].icon}
-                    </span>
-                    <div>
-                      <p className="text-emerald-300 text-xs font-bold">
-                        TOP [{stack.length - 1}]
-                      </p>
-                      <p className="text-white/80 text-xs">
-                        {BOX_STYLES[topBox.styleIdx].label}
-                      </p>
-                    </div>
-                  </div>
-                )}
-              </div>
-            </div>
-          )}
+      <CodeLab
+        lab={lab}
+        kind="stack"
+        name="stack"
+        samples={["TOOLS", "TOYS"]}
+        accent="emerald"
+      />
 
-          <button
-            onClick={handleReset}
-            disabled={isAnimating}
-            className="mt-4 w-full py-2 bg-white/5 hover:bg-white/10 border border-white/10 rounded-lg text-white/50 hover:text-white/80 text-sm transition-all disabled:opacity-40"
-          >
-            🔄 Reset to Default
-          </button>
-        </div>
+      {/* Controls */}
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <StackOpsPanel
+          accent="emerald"
+          noun="box"
+          icons={{ push: "📦", pop: "📤" }}
+          activeTab={activeTab}
+          onTabChange={handleTabChange}
+          options={BOX_STYLES.map((s, i) => ({
+            value: i,
+            label: `${s.icon} ${s.label}`,
+          }))}
+          pushValue={pushStyleIdx}
+          onPushValueChange={setPushStyleIdx}
+          size={stack.length}
+          capacity={MAX_SLOTS}
+          top={
+            topBox &&
+            `${BOX_STYLES[topBox.styleIdx].icon} ${BOX_STYLES[topBox.styleIdx].label}`
+          }
+          isAnimating={isAnimating}
+          isPeeked={isPeeked}
+          onPush={handlePush}
+          onPop={handlePop}
+          onPeek={handlePeek}
+          onReset={handleReset}
+          hints={{
+            push: "Slide a box into the TOP slot",
+            pop: "Slide out the TOP box",
+          }}
+        />
 
         {/* Log + Complexity */}
         <div className="bg-black/40 border border-white/10 rounded-2xl p-5 flex flex-col gap-4">
@@ -0,0 +1,828 @@
+import { useRef, useState, useEffect } from "react";
+import { Canvas, useFrame } from "@react-three/fiber";
+import {
+  Text,
+  RoundedBox,
+  OrbitControls,
+  Environment,
+} from "@react-three/drei";
+import { XR, createXRStore } from "@react-three/xr";
+import { gsap } from "gsap";
+import { QueuePointers } from "./Ticketqueue";
+import TimelineBar from "./TimelineBar";
+import ARPlacement, { ARPlacementHud, ARButton } from "./ARPlacement";
+import { QueueModel } from "../models";
+import { useModelEvents } from "../hooks/useModelEvents";
+import { useTimeline } from "../hooks/useTimeline";
+import { useARPlacement } from "../hooks/useARPlacement";
+
+// ─── XR Store ─────────────────────────────────────────────────────────────────
+const xrStore = createXRStore();
+
+// ─── Constants ─────────────────────────────────────────────────────────────────
+const FLOOR_Y = -1.0;
+const DESK_X = -4.3;
+const FIRST_X = DESK_X + 1.45; // index 0 = FRONT, closest to the desk
+const SPACING = 0.95;
+const ENTRY_X = 7.5;
+const MAX_QUEUE = 7;
+const FACE_DESK = -Math.PI / 2;
+const AR_SCALE = 0.05;
+const AR_LIFT = -(FLOOR_Y - 0.06); // rests the hallway floor on the surface
+
+const STUDENTS = [
+  { name: "Aiko", shirt: "#e74c3c", skin: "#f1c27d", hair: "#1c1c1c" },
+  { name: "Bram", shirt: "#3498db", skin: "#e0ac69", hair: "#3b2314" },
+  { name: "Chidi", shirt: "#27ae60", skin: "#8d5524", hair: "#0f0f0f" },
+  { name: "Dana", shirt: "#8e44ad", skin: "#ffdbac", hair: "#a0522d" },
+  { name: "Emre", shirt: "#f39c12", skin: "#c68642", hair: "#2c1b0e" },
+  { name: "Freya", shirt: "#16a085", skin: "#ffdbac", hair: "#d4a017" },
+  { name: "Goran", shirt: "#d35400", skin: "#e0ac69", hair: "#4a2c17" },
+  { name: "Hiro", shirt: "#2c3e50", skin: "#f1c27d", hair: "#0f0f0f" },
+  { name: "Isla", shirt: "#c0392b", skin: "#ffdbac", hair: "#5b3a1e" },
+  { name: "Jomo", shirt: "#1abc9c", skin: "#8d5524", hair: "#0f0f0f" },
+];
+
+const slotX = (i) => FIRST_X + i * SPACING;
+
+// ─── Student avatar ────────────────────────────────────────────────────────────
+function Student({
+  student,
+  index,
+  isFront,
+  isPeeked,
+  isCheckingIn,
+  onCheckInDone,
+}) {
+  const groupRef = useRef();
+  const bodyRef = useRef();
+  const walking = useRef(false);
+  const hasEntered = useRef(false);
+  const x = slotX(index);
+
+  // Walk in from the far end of the hallway to the REAR
+  useEffect(() => {
+    if (!groupRef.current) return;
+    walking.current = true;
+    gsap.fromTo(
+      groupRef.current.position,
+      { x: ENTRY_X },
+      {
+        x,
+        duration: 1.1,
+        ease: "power1.out",
+        onComplete: () => (walking.current = false),
+      },
+    );
+  }, []);
+
+  // Step forward when someone ahead is checked in
+  useEffect(() => {
+    if (!groupRef.current || isCheckingIn) return;
+    if (!hasEntered.current) {
+      hasEntered.current = true;
+      return;
+    }
+    walking.current = true;
+    gsap.to(groupRef.current.position, {
+      x,
+      duration: 0.5,
+      ease: "power1.inOut",
+      onComplete: () => (walking.current = false),
+    });
+  }, [x]);
+
+  // Dequeue: walk up to the desk, sign in, leave through the classroom door
+  useEffect(() => {
+    if (!groupRef.current || !isCheckingIn) return;
+    const g = groupRef.current;
+    walking.current = true;
+    gsap
+      .timeline({ onComplete: onCheckInDone })
+      .to(g.position, {
+        x: DESK_X + 0.75,
+        duration: 0.45,
+        ease: "power1.inOut",
+      })
+      .call(() => (walking.current = false))
+      .to(g.position, {
+        y: FLOOR_Y - 0.08,
+        duration: 0.15,
+        yoyo: true,
+        repeat: 1,
+      })
+      .to({}, { duration: 0.35 })
+      .call(() => (walking.current = true))
+      .to(g.rotation, { y: Math.PI, duration: 0.25 })
+      .to(g.position, { z: -3.2, duration: 0.7, ease: "power1.in" });
+  }, [isCheckingIn]);
+
+  useFrame(({ clock }) => {
+    if (!bodyRef.current) return;
+    const t = clock.elapsedTime;
+    bodyRef.current.position.y = walking.current
+      ? Math.abs(Math.sin(t * 10)) * 0.07
+      : isFront && isPeeked
+        ? 0.12 + Math.sin(t * 4) * 0.03
+        : 0;
+  });
+
+  const highlight = isCheckingIn || (isFront && isPeeked);
+
+  return (
+    <group
+      ref={groupRef}
+      position={[x, FLOOR_Y, 0]}
+      rotation={[0, FACE_DESK, 0]}
+    >
+      <group ref={bodyRef}>
+        {[-0.09, 0.09].map((lx) => (
+          <mesh key={lx} position={[lx, 0.28, 0]}>
+            <cylinderGeometry args={[0.065, 0.065, 0.56, 10]} />
+            <meshStandardMaterial color="#34495e" />
+          </mesh>
+        ))}
+        <mesh position={[0, 0.8, 0]} castShadow>
+          <cylinderGeometry args={[0.2, 0.23, 0.55, 14]} />
+          <meshStandardMaterial
+            color={student.shirt}
+            roughness={0.6}
+            emissive={highlight ? "#a5b4fc" : "#000000"}
+            emissiveIntensity={highlight ? 0.4 : 0}
+          />
+        </mesh>
+        {/* Backpack */}
+        <RoundedBox
+          args={[0.3, 0.36, 0.14]}
+          radius={0.04}
+          smoothness={3}
+          position={[0, 0.82, -0.22]}
+        >
+          <meshStandardMaterial color="#5d6d7e" roughness={0.8} />
+        </RoundedBox>
+        <mesh position={[0, 1.28, 0]}>
+          <sphereGeometry args={[0.17, 18, 18]} />
+          <meshStandardMaterial color={student.skin} roughness={0.7} />
+        </mesh>
+        <mesh position={[0, 1.35, -0.03]}>
+          <sphereGeometry args={[0.165, 18, 18, 0, Math.PI * 2, 0, 1.4]} />
+          <meshStandardMaterial color={student.hair} roughness={0.9} />
+        </mesh>
+      </group>
+      {/* Name tag faces the camera regardless of walking direction */}
+      <Text
+        position={[0, 1.62, 0]}
+        rotation={[0, -FACE_DESK, 0]}
+        fontSize={0.13}
+        color={highlight ? "#c7d2fe" : "#ffffff"}
+        anchorX="center"
+        anchorY="middle"
+        fontWeight="bold"
+      >
+        {student.name}
+      </Text>
+      <Text
+        position={[0, 1.78, 0]}
+        rotation={[0, -FACE_DESK, 0]}
+        fontSize={0.1}
+        color="#818cf8"
+        anchorX="center"
+        anchorY="middle"
+      >
+        {`[${index}]`}
+      </Text>
+    </group>
+  );
+}
+
+// ─── Check-in desk + classroom door ────────────────────────────────────────────
+function CheckInDesk({ isBusy }) {
+  const screenRef = useRef();
+  useFrame(({ clock }) => {
+    if (!screenRef.current) return;
+    screenRef.current.emissiveIntensity = isBusy
+      ? 0.6 + Math.sin(clock.elapsedTime * 10) * 0.3
+      : 0.25;
+  });
+
+  return (
+    <group position={[DESK_X, FLOOR_Y, 0]}>
+      {/* Desk */}
+      <mesh position={[0, 0.45, 0]} castShadow>
+        <boxGeometry args={[0.7, 0.9, 1.4]} />
+        <meshStandardMaterial color="#6e4b2a" roughness={0.7} />
+      </mesh>
+      <mesh position={[0, 0.92, 0]}>
+        <boxGeometry args={[0.8, 0.05, 1.5]} />
+        <meshStandardMaterial color="#8b5e34" roughness={0.6} />
+      </mesh>
+      {/* Sign-in tablet */}
+      <mesh position={[0.05, 1.05, 0]} rotation={[0, 0, 0.5]}>
+        <boxGeometry args={[0.04, 0.28, 0.4]} />
+        <meshStandardMaterial
+          ref={screenRef}
+          color="#1e1b4b"
+          emissive="#818cf8"
+          emissiveIntensity={0.25}
+        />
+      </mesh>
+      <Text
+        position={[0, 1.45, 0]}
+        fontSize={0.15}
+        color="#a5b4fc"
+        anchorX="center"
+        anchorY="middle"
+        fontWeight="bold"
+      >
+        CHECK-IN
+      </Text>
+      {/* Classroom door in the back wall */}
+      <mesh position={[0.75, 1.0, -3.45]}>
+        <boxGeometry args={[0.9, 2.0, 0.06]} />
+        <meshStandardMaterial color="#4a3b2a" roughness={0.8} />
+      </mesh>
+      <Text
+        position={[0.75, 2.15, -3.4]}
+        fontSize={0.13}
+        color="#c7d2fe"
+        anchorX="center"
+        anchorY="middle"
+      >
+        CLASSROOM
+      </Text>
+    </group>
+  );
+}
+
+function Hallway() {
+  return (
+    <group>
+      <mesh position={[0, FLOOR_Y - 0.03, -0.5]} receiveShadow>
+        <boxGeometry args={[13, 0.06, 6]} />
+        <meshStandardMaterial color="#3b3f4f" roughness={0.9} />
+      </mesh>
+      {/* Floor tiles */}
+      {Array.from({ length: 13 }, (_, i) => (
+        <mesh key={i} position={[-6 + i, FLOOR_Y + 0.002, -0.5]}>
+          <boxGeometry args={[0.02, 0.002, 6]} />
+          <meshStandardMaterial color="#4b5063" />
+        </mesh>
+      ))}
+      {/* Back wall */}
+      <mesh position={[0, FLOOR_Y + 1.3, -3.5]}>
+        <boxGeometry args={[13, 2.6, 0.08]} />
+        <meshStandardMaterial color="#2a2d3e" roughness={0.9} />
+      </mesh>
+      {/* Queue lane tape */}
+      <mesh
+        position={[(FIRST_X + slotX(MAX_QUEUE - 1)) / 2, FLOOR_Y + 0.004, 0]}
+      >
+        <boxGeometry
+          args={[slotX(MAX_QUEUE - 1) - FIRST_X + 0.9, 0.003, 0.7]}
+        />
+        <meshStandardMaterial color="#4338ca" transparent opacity={0.25} />
+      </mesh>
+    </group>
+  );
+}
+
+function AttendanceScene({ ar, queue, checkingId, isPeeked, onCheckInDone }) {
+  return (
+    <>
+      <ambientLight intensity={0.6} />
+      <directionalLight position={[3, 8, 5]} intensity={1.0} castShadow />
+      <pointLight position={[DESK_X, 2.5, 1]} intensity={0.6} color="#c7d2fe" />
+
+      <ARPlacement
+        placement={ar}
+        scale={AR_SCALE}
+        lift={AR_LIFT}
+        color="#818cf8"
+      >
+        <Hallway />
+        <CheckInDesk isBusy={checkingId !== null} />
+
+        {queue.map((q, i) => (
+          <Student
+            key={q.id}
+            student={STUDENTS[q.studentIdx]}
+            index={i}
+            isFront={i === 0}
+            isPeeked={isPeeked}
+            isCheckingIn={q.id === checkingId}
+            onCheckInDone={onCheckInDone}
+          />
+        ))}
+
+        <QueuePointers
+          frontX={slotX(0)}
+          rearX={slotX(queue.length - 1)}
+          queueLength={queue.length}
+          y={FLOOR_Y + 2.05}
+          z={0}
+          size={1.5}
+          glide
+        />
+
+        {queue.length === 0 && (
+          <Text
+            position={[0, FLOOR_Y + 0.6, 0]}
+            fontSize={0.2}
+            color="#6366f1"
+            anchorX="center"
+            anchorY="middle"
+          >
+            Hallway is empty
+          </Text>
+        )}
+      </ARPlacement>
+
+      {!ar.isAR && (
+        <>
+          <OrbitControls
+            enablePan={false}
+            minPolarAngle={Math.PI / 6}
+            maxPolarAngle={Math.PI / 2.1}
+            minDistance={4}
+            maxDistance={14}
+            target={[-0.5, 0, 0]}
+          />
+          <Environment preset="city" />
+        </>
+      )}
+    </>
+  );
+}
+
+// ─── Main Export ───────────────────────────────────────────────────────────────
+const INITIAL_QUEUE = [
+  { id: 1, studentIdx: 0 },
+  { id: 2, studentIdx: 1 },
+  { id: 3, studentIdx: 2 },
+];
+let nextId = 10;
+
+export default function StudentAttendance() {
+  const [model] = useState(
+    () => new QueueModel({ items: INITIAL_QUEUE, capacity: MAX_QUEUE }),
+  );
+  const [queue, setQueue] = useState(INITIAL_QUEUE); // what the scene shows
+  const [checkIns, setCheckIns] = useState([]); // tagged with their timeline step
+  const [checkingId, setCheckingId] = useState(null);
+  const [isAnimating, setIsAnimating] = useState(false);
+  const [isPeeked, setIsPeeked] = useState(false);
+  const [activeTab, setActiveTab] = useState("enqueue");
+  const [log, setLog] = useState([]);
+  const [pickIdx, setPickIdx] = useState(3);
+  const timerRef = useRef(null);
+  const checkInStepRef = useRef(0);
+  const ar = useARPlacement(xrStore);
+
+  useEffect(() => () => clearTimeout(timerRef.current), []);
+
+  const addLog = (msg, type = "info") =>
+    setLog((prev) => [{ msg, type, id: Date.now() }, ...prev].slice(0, 8));
+  const studentName = (s) => STUDENTS[s.studentIdx].name;
+
+  const timeline = useTimeline(model, {
+    busy: isAnimating,
+    describe: (e) => `${e.type} ${studentName(e.value)}`,
+  });
+  // The roster is not queue state, so undo hides check-ins made after the
+  // step the timeline is on
+  const roster = checkIns.filter((r) => r.step <= timeline.cursor);
+
+  // A student can only be in line or on the roster once
+  const taken = new Set([
+    ...queue.map((q) => q.studentIdx),
+    ...roster.map((r) => r.studentIdx),
+  ]);
+  const available = STUDENTS.map((_, i) => i).filter((i) => !taken.has(i));
+  const pick = available.includes(pickIdx) ? pickIdx : available[0];
+  const front = queue[0] ?? null;
+
+  // The model owns the line; the scene catches up once the walk to the desk
+  // finishes
+  useModelEvents(model, (e) => {
+    if (e.type === "enqueue") {
+      setIsAnimating(true);
+      setIsPeeked(false);
+      setQueue(model.toArray());
+      addLog(
+        `🚶 Enqueue "${studentName(e.value)}" at REAR [${e.index}]  ·  ${e.complexity}`,
+        "success",
+      );
+      clearTimeout(timerRef.current);
+      timerRef.current = setTimeout(() => setIsAnimating(false), 1100);
+    } else if (e.type === "dequeue") {
+      setIsAnimating(true);
+      setIsPeeked(false);
+      setCheckingId(e.value.id);
+      checkInStepRef.current = timeline.cursor + 1;
+      addLog(
+        `✅ Dequeue "${studentName(e.value)}" from FRONT → checked in #${roster.length + 1}  ·  ${e.complexity}`,
+        "success",
+      );
+    } else if (e.type === "peek") {
+      setIsPeeked((p) => !p);
+      addLog(
+        `👁️ Peek → FRONT is "${studentName(e.value)}"  ·  ${e.complexity}`,
+        "info",
+      );
+    } else if (e.type === "overflow") {
+      addLog(`⚠️ Queue Overflow! Hallway fits ${e.capacity}.`, "error");
+    } else if (e.type === "underflow") {
+      addLog(
+        e.op === "peek"
+          ? "⚠️ Queue is empty — nothing to peek!"
+          : "⚠️ Queue Underflow! Nobody is waiting.",
+        "error",
+      );
+    } else if (e.type === "reset") {
+      clearTimeout(timerRef.current);
+      setQueue(e.items);
+      setCheckIns([]);
+      setCheckingId(null);
+      setIsAnimating(false);
+      setIsPeeked(false);
+      setLog([]);
+    } else if (e.type === "restore") {
+      setQueue(e.items);
+      setIsPeeked(false);
+      addLog(`🕘 Back to ${e.items.length} student(s) in line`, "info");
+    }
+  });
+
+  // ── Enqueue ────────────────────────────────────────────────────────────────
+  const handleEnqueue = () => {
+    if (isAnimating) return;
+    if (pick === undefined && model.size < MAX_QUEUE)
+      return addLog(
+        "⚠️ Every student is already in line or checked in.",
+        "error",
+      );
+    model.enqueue({ id: nextId++, studentIdx: pick });
+  };
+
+  // ── Dequeue (check in) ─────────────────────────────────────────────────────
+  const handleDequeue = () => {
+    if (isAnimating) return;
+    model.dequeue();
+  };
+
+  const handleCheckInDone = () => {
+    const done = queue[0];
+    const step = checkInStepRef.current;
+    setQueue(model.toArray());
+    setCheckIns((prev) => [
+      ...prev.filter((r) => r.step < step),
+      {
+        step,
+        studentIdx: done.studentIdx,
+        time: new Date().toLocaleTimeString([], {
+          hour: "2-digit",
+          minute: "2-digit",
+          second: "2-digit",
+        }),
+      },
+    ]);
+    setCheckingId(null);
+    setIsAnimating(false);
+  };
+
+  // ── Peek ───────────────────────────────────────────────────────────────────
+  const handlePeek = () => model.peek();
+
+  const handleReset = () => {
+    if (isAnimating) return;
+    model.reset();
+  };
+
+  const tabBtn = (tab, emoji, label) => (
+    <button
+      key={tab}
+      onClick={() => {
+        setActiveTab(tab);
+        setIsPeeked(false);
+      }}
+      className={`px-3 py-2 rounded-lg text-sm font-bold transition-all border-2 ${
+        activeTab === tab
+          ? "bg-indigo-400 border-indigo-400 text-gray-900"
+          : "bg-transparent border-white/20 text-white/60 hover:border-indigo-400/50 hover:text-white"
+      }`}
+    >
+      {emoji} {label}
+    </button>
+  );
+
+  return (
+    <div
+      className="flex flex-col gap-4 w-full"
+      style={{ fontFamily: "'Courier New', monospace" }}
+    >
+      <ARPlacementHud
+        placement={ar}
+        title="👨‍🎓 STUDENT ATTENDANCE — AR"
+        status={`In line ${queue.length}/${MAX_QUEUE} · checked in ${roster.length}`}
+        accent="#818cf8"
+        log={log}
+        actions={[
+          {
+            label: "➕ Enqueue",
+            onClick: handleEnqueue,
+            disabled:
+              isAnimating || queue.length >= MAX_QUEUE || pick === undefined,
+            color: "#4f46e5",
+          },
+          {
+            label: "✅ Check In",
+            onClick: handleDequeue,
+            disabled: isAnimating || queue.length === 0,
+            color: "#16a34a",
+          },
+          {
+            label: "👁 Peek",
+            onClick: handlePeek,
+            disabled: queue.length === 0,
+          },
+          { label: "🔄 Reset", onClick: handleReset, disabled: isAnimating },
+        ]}
+      />
+
+      {/* Header */}
+      <div className="text-center">
+        <h2 className="text-3xl font-bold text-indigo-300 tracking-widest">
+          👨‍🎓 STUDENT ATTENDANCE
+        </h2>
+        <p className="text-white/50 text-sm mt-1">
+          In line:{" "}
+          <span className="text-indigo-300 font-bold">{queue.length}</span> /{" "}
+          {MAX_QUEUE}
+          &nbsp;·&nbsp; Checked in:{" "}
+          <span className="text-green-400 font-bold">
+            {roster.length}
+          </span> / {STUDENTS.length}
+        </p>
+      </div>
+
+      <ARButton placement={ar} accent="#818cf8" />
+
+      {/* 3D Canvas */}
+      <div
+        className="w-full rounded-2xl overflow-hidden border-2 border-indigo-400/30 shadow-[0_0_40px_rgba(129,140,248,0.12)]"
+        style={{
+          height: 460,
+          background:
+            "linear-gradient(180deg,#07071a 0%,#11112e 50%,#05050f 100%)",
+        }}
+      >
+        <Canvas camera={{ position: [0.5, 3.2, 7.5], fov: 46 }} shadows>
+          <XR store={xrStore}>
+            <AttendanceScene
+              ar={ar}
+              queue={queue}
+              checkingId={checkingId}
+              isPeeked={isPeeked}
+              onCheckInDone={handleCheckInDone}
+            />
+          </XR>
+        </Canvas>
+      </div>
+
+      {/* Queue bar */}
+      <div className="flex gap-1 flex-wrap justify-center items-end">
+        <span className="text-white/30 text-xs mr-1">DESK ←</span>
+        {queue.length === 0 ? (
+          <span className="text-white/20 text-xs italic px-3 py-1 border border-white/10 rounded-lg">
+            [ empty ]
+          </span>
+        ) : (
+          queue.map((q, i) => (
+            <div
+              key={q.id}
+              className={`flex flex-col items-center px-2 py-1 rounded-lg border text-xs transition-all ${
+                i === 0
+                  ? "border-green-400 bg-green-400/15 text-green-300"
+                  : i === queue.length - 1
+                    ? "border-red-400 bg-red-400/10 text-red-300"
+                    : "border-white/20 bg-white/10 text-white/70"
+              }`}
+            >
+              <span className="font-bold">{STUDENTS[q.studentIdx].name}</span>
+              <span className="font-mono">[{i}]</span>
+              {i === 0 && (
+                <span className="text-[9px] text-green-400 font-bold">
+                  FRONT
+                </span>
+              )}
+              {i === queue.length - 1 && i > 0 && (
+                <span className="text-[9px] text-red-400 font-bold">REAR</span>
+              )}
+            </div>
+          ))
+        )}
+        <span className="text-white/30 text-xs ml-1">← hallway</span>
+      </div>
+
+      <TimelineBar timeline={timeline} accent="indigo" disabled={isAnimating} />
+
+      {/* Controls */}
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <div className="bg-white/5 border border-white/10 rounded-2xl p-5">
+          <div className="flex gap-2 mb-4 flex-wrap">
+            {tabBtn("enqueue", "🚶", "Enqueue")}
+            {tabBtn("dequeue", "✅", "Check In")}
+            {tabBtn("peek", "👁️", "Peek")}
+          </div>
+
+          {activeTab === "enqueue" && (
+            <div className="flex flex-col gap-3">
+              <p className="text-white/50 text-xs">
+                A student joins at the REAR —{" "}
+                <span className="text-green-400 font-bold">O(1)</span>
+              </p>
+              <div className="flex gap-2 items-center flex-wrap">
+                <span className="text-white/60 text-sm">Student:</span>
+                <select
+                  value={pick ?? ""}
+                  onChange={(e) => setPickIdx(Number(e.target.value))}
+                  disabled={available.length === 0}
+                  className="flex-1 px-3 py-2 bg-black/40 border border-white/20 rounded-lg text-white text-sm focus:outline-none focus:border-indigo-400"
+                >
+                  {available.map((i) => (
+                    <option key={i} value={i}>
+                      👨‍🎓 {STUDENTS[i].name}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  onClick={handleEnqueue}
+                  disabled={
+                    isAnimating ||
+                    queue.length >= MAX_QUEUE ||
+                    available.length === 0
+                  }
+                  className="px-5 py-2 bg-green-600 hover:bg-green-500 disabled:opacity-40 disabled:cursor-not-allowed rounded-lg text-white text-sm font-bold transition-all"
+                >
+                  Enqueue →
+                </button>
+              </div>
+              <p className="text-white/30 text-xs">
+                REAR pointer moves to the new student
+              </p>
+            </div>
+          )}
+
+          {activeTab === "dequeue" && (
+            <div className="flex flex-col gap-3">
+              <p className="text-white/50 text-xs">
+                The FRONT student signs in at the desk —{" "}
+                <span className="text-green-400 font-bold">O(1)</span>
+                &nbsp;· FIFO: first to arrive is first checked in
+              </p>
+              <div className="flex gap-2 items-center">
+                <button
+                  onClick={handleDequeue}
+                  disabled={isAnimating || !front}
+                  className="px-5 py-2.5 bg-indigo-600 hover:bg-indigo-500 disabled:opacity-40 disabled:cursor-not-allowed rounded-lg text-white text-sm font-bold transition-all"
+                >
+                  ✅ Check In FRONT
+                </button>
+                {front ? (
+                  <span className="text-white/50 text-xs">
+                    Next:{" "}
+                    <span className="text-indigo-300 font-bold">
+                      {STUDENTS[front.studentIdx].name}
+                    </span>
+                  </span>
+                ) : (
+                  <span className="text-red-400 text-xs">Queue Underflow!</span>
+                )}
+              </div>
+            </div>
+          )}
+
+          {activeTab === "peek" && (
+            <div className="flex flex-col gap-3">
+              <p className="text-white/50 text-xs">
+                See who is at the FRONT without checking them in —{" "}
+                <span className="text-green-400 font-bold">O(1)</span>
+              </p>
+              <div className="flex gap-2 items-center">
+                <button
+                  onClick={handlePeek}
+                  disabled={!front}
+                  className="px-5 py-2.5 bg-yellow-600 hover:bg-yellow-500 disabled:opacity-40 disabled:cursor-not-allowed rounded-lg text-white text-sm font-bold transition-all"
+                >
+                  {isPeeked ? "👁️ Hide Peek" : "👁️ Peek FRONT"}
+                </button>
+                {isPeeked && front && (
+                  <div className="px-3 py-1.5 bg-indigo-400/15 border border-indigo-400/40 rounded-lg text-indigo-300 text-xs font-bold">
+                    FRONT [0] = "{STUDENTS[front.studentIdx].name}"
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+
+          <button
+            onClick={handleReset}
+            disabled={isAnimating}
+            className="mt-4 w-full py-2 bg-white/5 hover:bg-white/10 border border-white/10 rounded-lg text-white/50 hover:text-white/80 text-sm transition-all disabled:opacity-40"
+          >
+            🔄 Reset to Default
+          </button>
+        </div>
+
+        {/* Roster + Log + Complexity */}
+        <div className="bg-black/40 border border-white/10 rounded-2xl p-5 flex flex-col gap-4">
+          <div>
+            <p className="text-white/40 text-xs uppercase tracking-widest mb-2">
+              📝 Attendance Roster
+            </p>
+            {roster.length === 0 ? (
+              <p className="text-white/30 text-xs italic">
+                Nobody checked in yet...
+              </p>
+            ) : (
+              <div className="grid grid-cols-2 gap-1 max-h-32 overflow-y-auto">
+                {roster.map((r, i) => (
+                  <div
+                    key={r.studentIdx}
+                    className="flex justify-between px-2 py-1 bg-green-400/5 border border-green-400/20 rounded text-xs"
+                  >
+                    <span className="text-green-300">
+                      #{i + 1} {STUDENTS[r.studentIdx].name}
+                    </span>
+                    <span className="text-white/40">{r.time}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div>
+            <p className="text-white/40 text-xs uppercase tracking-widest mb-2">
+              📋 Operation Log
+            </p>
+            <div className="flex flex-col gap-1 max-h-28 overflow-y-auto">
+              {log.length === 0 ? (
+                <p className="text-white/30 text-xs italic">
+                  No operations yet...
+                </p>
+              ) : (
+                log.map((entry, i) => (
+                  <div
+                    key={entry.id}
+                    className={`text-xs font-mono py-1 px-2 rounded border-l-2 ${
+                      entry.type === "success"
+                        ? "border-green-400 bg-green-400/5 text-green-300"
+                        : entry.type === "error"
+                          ? "border-red-400 bg-red-400/5 text-red-300"
+                          : "border-indigo-400 bg-indigo-400/5 text-indigo-300"
+                    } ${i > 0 ? "opacity-50" : ""}`}
+                  >
+                    {entry.msg}
+                  </div>
+                ))
+              )}
+            </div>
+          </div>
+
+          <div>
+            <p className="text-white/40 text-xs uppercase tracking-widest mb-2">
+              ⚡ Time Complexity
+            </p>
+            <div className="grid grid-cols-2 gap-1 text-xs font-mono">
+              {[
+                ["Enqueue", "O(1)", true],
+                ["Dequeue", "O(1)", true],
+                ["Peek FRONT", "O(1)", true],
+                ["isEmpty", "O(1)", true],
+                ["Find student", "O(n)", false],
+                ["Cut in line", "✗ FIFO", false],
+              ].map(([op, c, fast]) => (
+                <div
+                  key={op}
+                  className="flex justify-between px-3 py-1.5 bg-white/5 rounded-lg"
+                >
+                  <span className="text-white/55">{op}</span>
+                  <span
+                    className={`font-bold ${fast ? "text-green-400" : "text-red-400"}`}
+                  >
+                    {c}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <p className="text-center text-white/25 text-xs pb-2">
+        💡 FRONT marker follows the next student to check in · REAR follows the
+        newest arrival
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,945 @@
+import { useRef, useState, useEffect } from "react";
+import { Canvas, useFrame } from "@react-three/fiber";
+import {
+  Text,
+  RoundedBox,
+  OrbitControls,
+  Environment,
+} from "@react-three/drei";
+import { XR, createXRStore } from "@react-three/xr";
+import { gsap } from "gsap";
+import * as THREE from "three";
+import ARPlacement, { ARPlacementHud } from "./ARPlacement";
+import TimelineBar from "./TimelineBar";
+import { ArrayModel } from "../models";
+import { useModelEvents } from "../hooks/useModelEvents";
+import { useTimeline } from "../hooks/useTimeline";
+import { useARPlacement } from "../hooks/useARPlacement";
+
+// ─── XR Store ─────────────────────────────────────────────────────────────────
+const xrStore = createXRStore();
+
+// ─── Constants ────────────────────────────────────────────────────────────────
+const SEAT_GAP = 1.15;
+const SEAT_Y = 0.45;
+const FLOOR_Y = -0.02;
+const AR_SCALE = 0.22;
+const AR_LIFT = -(FLOOR_Y - 0.08); // rests the classroom floor on the surface
+
+const STUDENT_STYLES = [
+  { name: "Ana", shirt: "#e74c3c", hair: "#2c1a0e", skin: "#f1c27d" },
+  { name: "Ben", shirt: "#3498db", hair: "#4a3728", skin: "#e0ac69" },
+  { name: "Carla", shirt: "#2ecc71", hair: "#8d5524", skin: "#ffdbac" },
+  { name: "Dan", shirt: "#f39c12", hair: "#1a1a1a", skin: "#c68642" },
+  { name: "Ella", shirt: "#9b59b6", hair: "#d4a373", skin: "#f1c27d" },
+  { name: "Finn", shirt: "#1abc9c", hair: "#3b2f2f", skin: "#e0ac69" },
+  { name: "Gia", shirt: "#e67e22", hair: "#1a1a1a", skin: "#8d5524" },
+  { name: "Hugo", shirt: "#e91e63", hair: "#6f4e37", skin: "#ffdbac" },
+  { name: "Iris", shirt: "#16a085", hair: "#2c1a0e", skin: "#c68642" },
+  { name: "Jay", shirt: "#34495e", hair: "#4a3728", skin: "#f1c27d" },
+];
+
+const INITIAL_SEATS = [
+  { id: 1, styleIdx: 0 },
+  { id: 2, styleIdx: 1 },
+  { id: 3, styleIdx: 2 },
+  { id: 4, styleIdx: 3 },
+  { id: 5, styleIdx: 4 },
+  { id: 6, styleIdx: 5 },
+  { id: 7, styleIdx: 6 },
+  { id: 8, styleIdx: 7 },
+];
+let nextStudentId = 20;
+
+const seatX = (i, count) => (i - (count - 1) / 2) * SEAT_GAP;
+
+// ─── Seated student avatar ────────────────────────────────────────────────────
+function StudentAvatar({
+  x,
+  index,
+  style,
+  isAccessed,
+  isSelected,
+  onClick,
+  onMoveDone,
+}) {
+  const groupRef = useRef();
+  const bodyRef = useRef();
+  const prevX = useRef(null);
+
+  // Drop into the seat on mount, arc over the row when the seat changes (swap)
+  useEffect(() => {
+    const g = groupRef.current;
+    if (!g) return;
+    if (prevX.current === null) {
+      g.position.set(x, SEAT_Y + 3, 0);
+      gsap.to(g.position, {
+        y: SEAT_Y,
+        duration: 0.6,
+        ease: "bounce.out",
+        delay: index * 0.06,
+      });
+    } else if (prevX.current !== x) {
+      // One avatar passes in front of the row, the other behind it
+      const lane = x > prevX.current ? 0.55 : -0.55;
+      gsap
+        .timeline({ onComplete: onMoveDone })
+        .to(g.position, { y: SEAT_Y + 0.9, z: lane, duration: 0.3 })
+        .to(g.position, { x, duration: 0.55, ease: "power2.inOut" })
+        .to(g.position, { y: SEAT_Y, z: 0, duration: 0.3, ease: "bounce.out" });
+    }
+    prevX.current = x;
+  }, [x]);
+
+  // Accessed student "stands up", selected student sways
+  useFrame(({ clock }) => {
+    if (!bodyRef.current) return;
+    const lift = isAccessed ? 0.28 + Math.sin(clock.elapsedTime * 4) * 0.04 : 0;
+    bodyRef.current.position.y = THREE.MathUtils.lerp(
+      bodyRef.current.position.y,
+      lift,
+      0.15,
+    );
+    bodyRef.current.rotation.y = isSelected
+      ? Math.sin(clock.elapsedTime * 2) * 0.2
+      : THREE.MathUtils.lerp(bodyRef.current.rotation.y, 0, 0.1);
+  });
+
+  return (
+    <group
+      ref={groupRef}
+      position={[x, SEAT_Y, 0]}
+      onClick={(e) => {
+        e.stopPropagation();
+        onClick(index);
+      }}
+      onPointerOver={(e) => {
+        e.stopPropagation();
+        document.body.style.cursor = "pointer";
+      }}
+      onPointerOut={() => {
+        document.body.style.cursor = "auto";
+      }}
+    >
+      <group ref={bodyRef}>
+        {/* Legs (bent over the seat) */}
+        <mesh position={[0, 0.08, 0.12]}>
+          <boxGeometry args={[0.3, 0.12, 0.34]} />
+          <meshStandardMaterial color="#2c3e50" roughness={0.7} />
+        </mesh>
+        {/* Torso */}
+        <mesh position={[0, 0.38, -0.05]}>
+          <cylinderGeometry args={[0.15, 0.19, 0.5, 16]} />
+          <meshStandardMaterial
+            color={style.shirt}
+            roughness={0.55}
+            emissive={style.shirt}
+            emissiveIntensity={isAccessed ? 0.45 : isSelected ? 0.25 : 0}
+          />
+        </mesh>
+        {/* Head */}
+        <mesh position={[0, 0.78, -0.05]}>
+          <sphereGeometry args={[0.15, 20, 20]} />
+          <meshStandardMaterial color={style.skin} roughness={0.6} />
+        </mesh>
+        {/* Hair */}
+        <mesh position={[0, 0.84, -0.08]}>
+          <sphereGeometry
+            args={[0.155, 20, 12, 0, Math.PI * 2, 0, Math.PI / 2]}
+          />
+          <meshStandardMaterial color={style.hair} roughness={0.8} />
+        </mesh>
+        {/* Name tag */}
+        <Text
+          position={[0, 1.1, 0]}
+          fontSize={0.12}
+          color={isAccessed ? "#38bdf8" : "#e0f2fe"}
+          anchorX="center"
+          anchorY="middle"
+          fontWeight="bold"
+        >
+          {style.name}
+        </Text>
+        {isSelected && (
+          <mesh position={[0, 0.4, -0.05]} rotation={[Math.PI / 2, 0, 0]}>
+            <torusGeometry args={[0.32, 0.025, 12, 48]} />
+            <meshStandardMaterial
+              color="#f39c12"
+              emissive="#f39c12"
+              emissiveIntensity={1.5}
+            />
+          </mesh>
+        )}
+      </group>
+    </group>
+  );
+}
+
+// ─── Chair + seat number plaque ───────────────────────────────────────────────
+function Chair({ x, index, isAccessed, isSelected }) {
+  const plateColor = isAccessed
+    ? "#38bdf8"
+    : isSelected
+      ? "#f39c12"
+      : "#0f1923";
+  return (
+    <group position={[x, 0, 0]}>
+      {/* Seat */}
+      <mesh position={[0, SEAT_Y - 0.03, 0]}>
+        <boxGeometry args={[0.6, 0.06, 0.55]} />
+        <meshStandardMaterial color="#5d6d7e" roughness={0.5} metalness={0.2} />
+      </mesh>
+      {/* Backrest */}
+      <mesh position={[0, SEAT_Y + 0.3, -0.26]}>
+        <boxGeometry args={[0.6, 0.55, 0.05]} />
+        <meshStandardMaterial color="#4a5a6a" roughness={0.5} metalness={0.2} />
+      </mesh>
+      {/* Legs */}
+      {[
+        [-0.26, -0.23],
+        [-0.26, 0.23],
+        [0.26, -0.23],
+        [0.26, 0.23],
+      ].map(([lx, lz], i) => (
+        <mesh key={i} position={[lx, (SEAT_Y - 0.06) / 2, lz]}>
+          <cylinderGeometry args={[0.025, 0.025, SEAT_Y - 0.06, 8]} />
+          <meshStandardMaterial
+            color="#95a5a6"
+            roughness={0.3}
+            metalness={0.7}
+          />
+        </mesh>
+      ))}
+      {/* Seat number plaque on the floor */}
+      <group
+        position={[0, FLOOR_Y + 0.06, 0.55]}
+        rotation={[-Math.PI / 2.6, 0, 0]}
+      >
+        <RoundedBox args={[0.48, 0.24, 0.05]} radius={0.03} smoothness={4}>
+          <meshStandardMaterial
+            color={plateColor}
+            roughness={0.4}
+            emissive={isAccessed ? "#38bdf8" : "#000000"}
+            emissiveIntensity={isAccessed ? 0.6 : 0}
+          />
+        </RoundedBox>
+        <Text
+          position={[0, 0, 0.035]}
+          fontSize={0.13}
+          color={isAccessed || isSelected ? "#1a1a1a" : "#7ec8e3"}
+          anchorX="center"
+          anchorY="middle"
+        >
+          [{index}]
+        </Text>
+      </group>
+      {/* Spotlight beam on the accessed seat */}
+      {isAccessed && (
+        <mesh position={[0, 1.4, 0]}>
+          <coneGeometry args={[0.55, 2.8, 32, 1, true]} />
+          <meshBasicMaterial
+            color="#7dd3fc"
+            transparent
+            opacity={0.12}
+            side={THREE.DoubleSide}
+            depthWrite={false}
+          />
+        </mesh>
+      )}
+    </group>
+  );
+}
+
+// ─── Index pointer — jumps straight to seat i (random access) ─────────────────
+function IndexPointer({ x, index }) {
+  const ref = useRef();
+  const arrowRef = useRef();
+
+  useEffect(() => {
+    if (!ref.current) return;
+    gsap.to(ref.current.position, { x, duration: 0.45, ease: "power3.out" });
+  }, [x]);
+
+  useFrame(({ clock }) => {
+    if (!arrowRef.current) return;
+    arrowRef.current.position.y = Math.sin(clock.elapsedTime * 3) * 0.06;
+  });
+
+  if (index === null) return null;
+  return (
+    <group ref={ref} position={[x, 2.3, 0]}>
+      <group ref={arrowRef}>
+        <mesh rotation={[Math.PI, 0, 0]}>
+          <coneGeometry args={[0.09, 0.26, 10]} />
+          <meshStandardMaterial
+            color="#38bdf8"
+            emissive="#38bdf8"
+            emissiveIntensity={0.8}
+          />
+        </mesh>
+        <Text
+          position={[0, 0.32, 0]}
+          fontSize={0.14}
+          color="#38bdf8"
+          anchorX="center"
+          anchorY="middle"
+          fontWeight="bold"
+        >
+          i = {index}
+        </Text>
+      </group>
+    </group>
+  );
+}
+
+// ─── Classroom floor ──────────────────────────────────────────────────────────
+function ClassroomFloor({ width }) {
+  return (
+    <group position={[0, FLOOR_Y - 0.04, 0]}>
+      <mesh receiveShadow>
+        <boxGeometry args={[width + 2, 0.08, 3]} />
+        <meshStandardMaterial color="#3b4a5a" roughness={0.85} />
+      </mesh>
+      {/* Aisle stripe marking the contiguous block of seats */}
+      <mesh position={[0, 0.042, 0.95]}>
+        <boxGeometry args={[width + 0.8, 0.003, 0.05]} />
+        <meshStandardMaterial
+          color="#38bdf8"
+          emissive="#38bdf8"
+          emissiveIntensity={0.3}
+        />
+      </mesh>
+      <Text
+        position={[-(width + 0.8) / 2, 0.05, 1.12]}
+        rotation={[-Math.PI / 2, 0, 0]}
+        fontSize={0.12}
+        color="#7dd3fc"
+        anchorX="left"
+        anchorY="middle"
+      >
+        base address →
+      </Text>
+    </group>
+  );
+}
+
+// ─── Scene contents (shared by 3D and AR) ─────────────────────────────────────
+function SeatRow({
+  seats,
+  accessedIndex,
+  selectedIndex,
+  onSelect,
+  onMoveDone,
+}) {
+  const width = (seats.length - 1) * SEAT_GAP;
+  return (
+    <>
+      <ClassroomFloor width={width} />
+      {seats.map((_, i) => (
+        <Chair
+          key={`chair-${i}`}
+          x={seatX(i, seats.length)}
+          index={i}
+          isAccessed={accessedIndex === i}
+          isSelected={selectedIndex === i}
+        />
+      ))}
+      {seats.map((student, i) => (
+        <StudentAvatar
+          key={student.id}
+          x={seatX(i, seats.length)}
+          index={i}
+          style={STUDENT_STYLES[student.styleIdx]}
+          isAccessed={accessedIndex === i}
+          isSelected={selectedIndex === i}
+          onClick={onSelect}
+          onMoveDone={onMoveDone}
+        />
+      ))}
+      <IndexPointer
+        x={accessedIndex === null ? 0 : seatX(accessedIndex, seats.length)}
+        index={accessedIndex}
+      />
+    </>
+  );
+}
+
+function SeatScene(props) {
+  return (
+    <>
+      <ambientLight intensity={0.55} />
+      <directionalLight position={[4, 8, 5]} intensity={1.1} castShadow />
+      <directionalLight
+        position={[-4, 4, -2]}
+        intensity={0.35}
+        color="#b0c8e0"
+      />
+      <pointLight position={[0, 3, 2]} intensity={0.5} color="#e0f2fe" />
+      <group position={[0, -0.8, 0]}>
+        <SeatRow {...props} />
+      </group>
+      <OrbitControls
+        enablePan={false}
+        minPolarAngle={Math.PI / 6}
+        maxPolarAngle={Math.PI / 2.2}
+        minDistance={4}
+        maxDistance={14}
+        target={[0, 0, 0]}
+      />
+      <Environment preset="city" />
+    </>
+  );
+}
+
+function ARSeatWorld({ ar, ...props }) {
+  return (
+    <>
+      <ambientLight intensity={1.4} />
+      <directionalLight position={[5, 8, 4]} intensity={1.6} />
+      {/* The classroom row, on the surface the user picked */}
+      <ARPlacement
+        placement={ar}
+        scale={AR_SCALE}
+        lift={AR_LIFT}
+        color="#38bdf8"
+      >
+        <SeatRow {...props} />
+      </ARPlacement>
+    </>
+  );
+}
+
+// ─── AR controls (inside the placement HUD once the row is placed) ────────────
+function ARControls({
+  seats,
+  inputs,
+  setInput,
+  isAnimating,
+  onAccess,
+  onSwap,
+}) {
+  return (
+    <div
+      style={{
+        background: "rgba(0,0,0,0.8)",
+        border: "1px solid rgba(255,255,255,0.1)",
+        borderRadius: 14,
+        padding: "14px 16px",
+        display: "flex",
+        flexDirection: "column",
+        gap: 10,
+      }}
+    >
+      <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+        <span style={lS}>i</span>
+        <input
+          type="number"
+          min={0}
+          max={seats.length - 1}
+          value={inputs.accessIdx}
+          onChange={(e) => setInput("accessIdx", e.target.value)}
+          style={iS}
+        />
+        <button onClick={onAccess} style={{ ...bS, background: "#0284c7" }}>
+          Access <small style={{ color: "#7fe0a0" }}>O(1)</small>
+        </button>
+      </div>
+      <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+        <span style={lS}>swap</span>
+        <input
+          type="number"
+          min={0}
+          max={seats.length - 1}
+          value={inputs.swapA}
+          onChange={(e) => setInput("swapA", e.target.value)}
+          style={iS}
+        />
+        <input
+          type="number"
+          min={0}
+          max={seats.length - 1}
+          value={inputs.swapB}
+          onChange={(e) => setInput("swapB", e.target.value)}
+          style={iS}
+        />
+        <button
+          onClick={onSwap}
+          disabled={isAnimating}
+          style={{ ...bS, background: "#8e44ad" }}
+        >
+          Swap <small style={{ color: "#7fe0a0" }}>O(1)</small>
+        </button>
+      </div>
+    </div>
+  );
+}
+
+const lS = { color: "rgba(255,255,255,0.6)", fontSize: 13 };
+const iS = {
+  width: 56,
+  padding: "6px 10px",
+  background: "rgba(0,0,0,0.5)",
+  border: "1px solid rgba(255,255,255,0.2)",
+  borderRadius: 8,
+  color: "#38bdf8",
+  fontFamily: "monospace",
+  fontSize: 13,
+};
+const bS = {
+  padding: "8px 14px",
+  borderRadius: 8,
+  border: "none",
+  color: "#fff",
+  fontWeight: "bold",
+  fontSize: 13,
+  cursor: "pointer",
+};
+
+// ─── Main Export ──────────────────────────────────────────────────────────────
+export default function StudentSeats() {
+  const [model] = useState(() => new ArrayModel({ items: INITIAL_SEATS }));
+  const [seats, setSeats] = useState(INITIAL_SEATS); // what the scene shows
+  const [selectedIndex, setSelectedIndex] = useState(null);
+  const [accessedIndex, setAccessedIndex] = useState(null);
+  const [isAnimating, setIsAnimating] = useState(false);
+  const [activeTab, setActiveTab] = useState("access");
+  const [log, setLog] = useState([]);
+  const [inputs, setInputs] = useState({
+    accessIdx: 3,
+    swapA: 0,
+    swapB: 5,
+    updateStyleIdx: 8,
+  });
+  const pendingMovesRef = useRef(0);
+  const ar = useARPlacement(xrStore);
+  const isARMode = ar.isAR;
+
+  const addLog = (msg, type = "info") =>
+    setLog((p) => [{ msg, type, id: Date.now() }, ...p].slice(0, 8));
+  const setInput = (k, v) => setInputs((p) => ({ ...p, [k]: v }));
+  const nameAt = (i) => STUDENT_STYLES[seats[i].styleIdx].name;
+  const nameOf = (student) => STUDENT_STYLES[student.styleIdx].name;
+
+  const handleSelect = (idx) => {
+    if (isAnimating) return;
+    setSelectedIndex((p) => (p === idx ? null : idx));
+    addLog(`Selected seats[${idx}] → "${nameAt(idx)}"`, "select");
+  };
+
+  // The model owns the row of seats; a swap locks the controls until both
+  // students have walked over
+  useModelEvents(model, (e) => {
+    if (e.type === "access") {
+      setAccessedIndex(e.index);
+      addLog(
+        `✅ Access seats[${e.index}] → "${nameOf(e.value)}"  ·  address = base + ${e.index} × size  ·  ${e.complexity}`,
+        "success",
+      );
+    } else if (e.type === "swap") {
+      const [a, b] = [e.index, e.other];
+      const [first, second] = e.values.map(nameOf);
+      pendingMovesRef.current = 2;
+      setIsAnimating(true);
+      setAccessedIndex(null);
+      setSelectedIndex(null);
+      setSeats(model.toArray());
+      addLog(
+        `🔀 Swap seats[${a}] "${first}" ↔ seats[${b}] "${second}"  ·  tmp = seats[${a}]; seats[${a}] = seats[${b}]; seats[${b}] = tmp  ·  ${e.complexity}`,
+        "success",
+      );
+    } else if (e.type === "update") {
+      setSeats(model.toArray());
+      addLog(
+        `✏️ Update seats[${e.index}] "${nameOf(e.previous)}" → "${nameOf(e.value)}"  ·  ${e.complexity}`,
+        "success",
+      );
+    } else if (e.type === "outOfBounds") {
+      addLog(
+        `⚠️ Index ${e.index} out of bounds! Valid: 0–${e.size - 1}`,
+        "error",
+      );
+    } else if (e.type === "reset") {
+      setSeats(e.items);
+      setSelectedIndex(null);
+      setAccessedIndex(null);
+      setLog([]);
+    } else if (e.type === "restore") {
+      setSeats(e.items);
+      setSelectedIndex(null);
+      setAccessedIndex(null);
+      addLog("🕘 Back to an earlier seating plan", "info");
+    }
+  });
+
+  const timeline = useTimeline(model, {
+    busy: isAnimating,
+    describe: (e) =>
+      e.type === "swap"
+        ? `swap [${e.index}] ↔ [${e.other}]`
+        : `update [${e.index}] → ${nameOf(e.value)}`,
+  });
+
+  // ── Access ─────────────────────────────────────────────────────────────────
+  const handleAccess = () => model.access(Number(inputs.accessIdx));
+
+  // ── Swap ───────────────────────────────────────────────────────────────────
+  const handleSwap = () => {
+    if (isAnimating) return;
+    const a = Number(inputs.swapA);
+    const b = Number(inputs.swapB);
+    if (a === b)
+      return addLog(
+        `⚠️ seats[${a}] swapped with itself — nothing moves`,
+        "error",
+      );
+    model.swap(a, b);
+  };
+
+  const handleMoveDone = () => {
+    pendingMovesRef.current -= 1;
+    if (pendingMovesRef.current <= 0) setIsAnimating(false);
+  };
+
+  // ── Update ─────────────────────────────────────────────────────────────────
+  const handleUpdate = () => {
+    if (isAnimating) return;
+    if (selectedIndex === null)
+      return addLog("⚠️ Click a student first to pick a seat!", "error");
+    model.update(selectedIndex, {
+      id: nextStudentId++,
+      styleIdx: Number(inputs.updateStyleIdx),
+    });
+  };
+
+  // ── Reset ──────────────────────────────────────────────────────────────────
+  const handleReset = () => {
+    if (isAnimating) return;
+    model.reset();
+  };
+
+  const tabBtn = (tab, emoji, label) => (
+    <button
+      key={tab}
+      onClick={() => setActiveTab(tab)}
+      className={`px-3 py-2 rounded-lg text-sm font-bold transition-all border-2 ${activeTab === tab ? "bg-sky-400 border-sky-400 text-gray-900" : "bg-transparent border-white/20 text-white/60 hover:border-sky-400/50 hover:text-white"}`}
+    >
+      {emoji} {label}
+    </button>
+  );
+
+  const rowProps = {
+    seats,
+    accessedIndex,
+    selectedIndex,
+    onSelect: handleSelect,
+    onMoveDone: handleMoveDone,
+  };
+
+  return (
+    <div
+      className="flex flex-col gap-4 w-full"
+      style={{ fontFamily: "'Courier New',monospace" }}
+    >
+      <ARPlacementHud
+        placement={ar}
+        title="💺 STUDENT SEATS — AR"
+        status={`seats[${seats.length}]`}
+        accent="#38bdf8"
+        log={log}
+      >
+        <ARControls
+          seats={seats}
+          inputs={inputs}
+          setInput={setInput}
+          isAnimating={isAnimating}
+          onAccess={handleAccess}
+          onSwap={handleSwap}
+        />
+      </ARPlacementHud>
+
+      {/* Header */}
+      <div className="text-center">
+        <h2 className="text-3xl font-bold text-sky-300 tracking-widest">
+          💺 STUDENT SEATS
+        </h2>
+        <p className="text-white/50 text-sm mt-1">
+          seats[{seats.length}]
+          {accessedIndex !== null && (
+            <>
+              {" "}
+              &nbsp;·&nbsp; Accessed:{" "}
+              <span className="text-sky-300 font-bold">
+                [{accessedIndex}] = "{nameAt(accessedIndex)}"
+              </span>
+            </>
+          )}
+          {selectedIndex !== null && (
+            <>
+              {" "}
+              &nbsp;·&nbsp; Selected:{" "}
+              <span className="text-amber-300 font-bold">
+                [{selectedIndex}] = "{nameAt(selectedIndex)}"
+              </span>
+            </>
+          )}
+        </p>
+      </div>
+
+      {/* AR launch */}
+      {!isARMode && (
+        <div className="flex flex-col items-center gap-2">
+          {ar.supported ? (
+            <button
+              onClick={ar.enter}
+              className="px-5 py-2.5 rounded-xl border-none font-bold text-sm text-white cursor-pointer"
+              style={{
+                background: "linear-gradient(135deg,#0ea5e9,#0284c7)",
+                boxShadow: "0 0 20px rgba(14,165,233,0.4)",
+              }}
+            >
+              📱 Enter AR Mode
+            </button>
+          ) : (
+            <span className="text-white/40 text-xs">
+              📵 AR not supported on this device/browser — 3D view below
+            </span>
+          )}
+          {ar.error && <p className="text-red-400 text-xs">{ar.error}</p>}
+        </div>
+      )}
+
+      {/* Canvas */}
+      <div
+        className={`w-full rounded-2xl overflow-hidden border-2 border-sky-400/30 shadow-[0_0_40px_rgba(56,189,248,0.12)] ${isARMode ? "fixed inset-0 z-50 rounded-none border-0" : ""}`}
+        style={{
+          height: isARMode ? "100vh" : 420,
+          background: isARMode
+            ? "transparent"
+            : "linear-gradient(180deg,#06121e 0%,#0c2338 50%,#050d16 100%)",
+        }}
+      >
+        <Canvas
+          camera={{ position: [0, 2.6, 8.5], fov: 44 }}
+          shadows
+          gl={{ alpha: true, antialias: true, xrCompatible: true }}
+          onCreated={({ gl }) => {
+            gl.xr.enabled = true;
+          }}
+        >
+          <XR store={xrStore}>
+            {isARMode ? (
+              <ARSeatWorld ar={ar} {...rowProps} />
+            ) : (
+              <SeatScene {...rowProps} />
+            )}
+          </XR>
+        </Canvas>
+      </div>
+
+      {!isARMode && (
+        <>
+          {/* Seat bar */}
+          <div className="flex gap-1 flex-wrap justify-center">
+            {seats.map((student, i) => (
+              <button
+                key={student.id}
+                onClick={() => handleSelect(i)}
+                className={`flex flex-col items-center px-2 py-1 rounded-lg border transition-all text-xs ${accessedIndex === i ? "border-sky-400 bg-sky-400/20 text-sky-300" : selectedIndex === i ? "border-amber-400 bg-amber-400/20 text-amber-300" : "border-white/20 bg-white/10 text-white/80 hover:border-white/40"}`}
+              >
+                <span className="text-base leading-none">🧑‍🎓</span>
+                <span className="font-bold">
+                  {STUDENT_STYLES[student.styleIdx].name}
+                </span>
+                <span className="font-mono font-bold">[{i}]</span>
+              </button>
+            ))}
+          </div>
+
+          <TimelineBar
+            timeline={timeline}
+            accent="sky"
+            disabled={isAnimating}
+          />
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+            <div className="bg-white/5 border border-white/10 rounded-2xl p-5">
+              <div className="flex gap-2 mb-4 flex-wrap">
+                {tabBtn("access", "🔍", "Access")}
+                {tabBtn("swap", "🔀", "Swap")}
+                {tabBtn("update", "✏️", "Update")}
+              </div>
+
+              {/* Access */}
+              {activeTab === "access" && (
+                <div className="flex flex-col gap-3">
+                  <p className="text-white/50 text-xs">
+                    Jump straight to seat i — no walking past other seats —{" "}
+                    <span className="text-green-400 font-bold">O(1)</span>
+                  </p>
+                  <div className="flex gap-2 items-center">
+                    <span className="text-white/60 text-sm">Index</span>
+                    <input
+                      type="number"
+                      min={0}
+                      max={seats.length - 1}
+                      value={inputs.accessIdx}
+                      onChange={(e) => setInput("accessIdx", e.target.value)}
+                      className="w-20 px-3 py-2 bg-black/40 border border-white/20 rounded-lg text-sky-300 font-mono text-sm focus:outline-none focus:border-sky-400"
+                    />
+                    <button
+                      onClick={handleAccess}
+                      className="px-4 py-2 bg-sky-600 hover:bg-sky-500 rounded-lg text-white text-sm font-bold transition-all"
+                    >
+                      Access
+                    </button>
+                  </div>
+                  {accessedIndex !== null && (
+                    <p className="text-white/40 text-xs font-mono">
+                      &amp;seats[{accessedIndex}] = base + {accessedIndex} ×
+                      sizeof(seat) — computed, not searched
+                    </p>
+                  )}
+                </div>
+              )}
+
+              {/* Swap */}
+              {activeTab === "swap" && (
+                <div className="flex flex-col gap-3">
+                  <p className="text-white/50 text-xs">
+                    Exchange two seats using a temporary variable —{" "}
+                    <span className="text-green-400 font-bold">O(1)</span>
+                  </p>
+                  <div className="flex gap-2 items-center flex-wrap">
+                    <span className="text-white/60 text-sm">Seats</span>
+                    <input
+                      type="number"
+                      min={0}
+                      max={seats.length - 1}
+                      value={inputs.swapA}
+                      onChange={(e) => setInput("swapA", e.target.value)}
+                      className="w-16 px-3 py-2 bg-black/40 border border-white/20 rounded-lg text-sky-300 font-mono text-sm focus:outline-none focus:border-sky-400"
+                    />
+                    <span className="text-white/40">↔</span>
+                    <input
+                      type="number"
+                      min={0}
+                      max={seats.length - 1}
+                      value={inputs.swapB}
+                      onChange={(e) => setInput("swapB", e.target.value)}
+                      className="w-16 px-3 py-2 bg-black/40 border border-white/20 rounded-lg text-sky-300 font-mono text-sm focus:outline-none focus:border-sky-400"
+                    />
+                    <button
+                      onClick={handleSwap}
+                      disabled={isAnimating}
+                      className="px-4 py-2 bg-purple-600 hover:bg-purple-500 disabled:opacity-40 disabled:cursor-not-allowed rounded-lg text-white text-sm font-bold transition-all"
+                    >
+                      {isAnimating ? "⏳ Swapping..." : "🔀 Swap"}
+                    </button>
+                  </div>
+                  <pre className="text-white/40 text-xs font-mono bg-black/30 rounded-lg px-3 py-2">
+                    {`tmp = seats[${inputs.swapA}]\nseats[${inputs.swapA}] = seats[${inputs.swapB}]\nseats[${inputs.swapB}] = tmp`}
+                  </pre>
+                </div>
+              )}
+
+              {/* Update */}
+              {activeTab === "update" && (
+                <div className="flex flex-col gap-3">
+                  <p className="text-white/50 text-xs">
+                    Overwrite a seat in place —{" "}
+                    <span className="text-green-400 font-bold">O(1)</span>.
+                    Click a student first.
+                  </p>
+                  <div className="flex gap-2 items-center flex-wrap">
+                    <span className="text-white/60 text-sm">New student</span>
+                    <select
+                      value={inputs.updateStyleIdx}
+                      onChange={(e) =>
+                        setInput("updateStyleIdx", e.target.value)
+                      }
+                      className="px-3 py-2 bg-black/40 border border-white/20 rounded-lg text-white text-sm focus:outline-none focus:border-sky-400"
+                    >
+                      {STUDENT_STYLES.map((s, i) => (
+                        <option key={s.name} value={i}>
+                          🧑‍🎓 {s.name}
+                        </option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={handleUpdate}
+                      disabled={selectedIndex === null || isAnimating}
+                      className="px-4 py-2 bg-green-600 hover:bg-green-500 disabled:opacity-40 disabled:cursor-not-allowed rounded-lg text-white text-sm font-bold transition-all"
+                    >
+                      Update [{selectedIndex ?? "?"}]
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              <button
+                onClick={handleReset}
+                disabled={isAnimating}
+                className="mt-4 w-full py-2 bg-white/5 hover:bg-white/10 border border-white/10 rounded-lg text-white/50 hover:text-white/80 text-sm transition-all disabled:opacity-40"
+              >
+                🔄 Reset to Default
+              </button>
+            </div>
+
+            {/* Log + Complexity */}
+            <div className="bg-black/40 border border-white/10 rounded-2xl p-5 flex flex-col gap-4">
+              <div>
+                <p className="text-white/40 text-xs uppercase tracking-widest mb-2">
+                  📋 Operation Log
+                </p>
+                <div className="flex flex-col gap-1 max-h-36 overflow-y-auto">
+                  {log.length === 0 ? (
+                    <p className="text-white/30 text-xs italic">
+                      No operations yet…
+                    </p>
+                  ) : (
+                    log.map((e, i) => (
+                      <div
+                        key={e.id}
+                        className={`text-xs font-mono py-1 px-2 rounded border-l-2 ${e.type === "success" ? "border-green-400 bg-green-400/5 text-green-300" : e.type === "error" ? "border-red-400 bg-red-400/5 text-red-300" : e.type === "select" ? "border-sky-400 bg-sky-400/5 text-sky-300" : "border-blue-400 bg-blue-400/5 text-blue-300"} ${i > 0 ? "opacity-50" : ""}`}
+                      >
+                        {e.msg}
+                      </div>
+                    ))
+                  )}
+                </div>
+              </div>
+              <div>
+                <p className="text-white/40 text-xs uppercase tracking-widest mb-2">
+                  ⚡ Time Complexity
+                </p>
+                <div className="grid grid-cols-2 gap-1 text-xs font-mono">
+                  {[
+                    ["Access", "O(1)", true],
+                    ["Update", "O(1)", true],
+                    ["Swap", "O(1)", true],
+                    ["Find by name", "O(n)", false],
+                  ].map(([op, c, fast]) => (
+                    <div
+                      key={op}
+                      className="flex justify-between px-3 py-2 bg-white/5 rounded-lg"
+                    >
+                      <span className="text-white/60">{op}</span>
+                      <span
+                        className={`font-bold ${fast ? "text-green-400" : "text-red-400"}`}
+                      >
+                        {c}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            </div>
+          </div>
+          <p className="text-center text-white/25 text-xs pb-2">
+            💡 Click students to select · Drag to rotate · Scroll to zoom
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
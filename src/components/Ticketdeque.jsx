@@ -0,0 +1,747 @@
+import { useRef, useState, useEffect } from "react";
+import { Canvas, useFrame } from "@react-three/fiber";
+import {
+  Text,
+  RoundedBox,
+  OrbitControls,
+  Environment,
+} from "@react-three/drei";
+import { XR, createXRStore } from "@react-three/xr";
+import * as THREE from "three";
+import { TICKET_STYLES } from "./ticketStyles";
+import { QueuePointers } from "./Ticketqueue";
+import TimelineBar from "./TimelineBar";
+import ARPlacement, { ARPlacementHud, ARButton } from "./ARPlacement";
+import { DequeModel } from "../models";
+import { useModelEvents } from "../hooks/useModelEvents";
+import { useTimeline } from "../hooks/useTimeline";
+import { useARPlacement } from "../hooks/useARPlacement";
+
+// ─── XR Store ─────────────────────────────────────────────────────────────────
+const xrStore = createXRStore();
+
+// ─── Constants ─────────────────────────────────────────────────────────────────
+const CARD_W = 0.72;
+const CARD_H = 0.02;
+const CARD_D = 1.0;
+const CARD_SPACING = 1.02;
+const LANE_Y = -0.5;
+const DESK_Y = -0.72;
+const MAX_DEQUE = 7;
+const GATE_X = 4.4; // counters sit at ±GATE_X
+const EXIT_MS = 650;
+const PEEK_MS = 1400;
+const AR_SCALE = 0.06;
+const AR_LIFT = -(DESK_Y - 0.04); // rests the desk on the surface
+
+// Cards stay centred on the desk, so both ends have room to grow
+const slotX = (i, n) => (i - (n - 1) / 2) * CARD_SPACING;
+
+// ─── Single Ticket Card ────────────────────────────────────────────────────────
+function DequeCard({ x, style, index, enterFrom, leaving, peeked }) {
+  const groupRef = useRef();
+  const [start] = useState(() => [
+    enterFrom === "front" ? -GATE_X - 2 : enterFrom === "back" ? GATE_X + 2 : x,
+    LANE_Y,
+    0,
+  ]);
+
+  useFrame((state) => {
+    if (!groupRef.current) return;
+    const g = groupRef.current;
+    const tx =
+      leaving === "front" ? -GATE_X - 3 : leaving === "back" ? GATE_X + 3 : x;
+    const ty = leaving
+      ? LANE_Y + 0.5
+      : peeked
+        ? LANE_Y + 0.25 + Math.sin(state.clock.elapsedTime * 6) * 0.04
+        : LANE_Y;
+    g.position.x = THREE.MathUtils.lerp(g.position.x, tx, 0.12);
+    g.position.y = THREE.MathUtils.lerp(g.position.y, ty, 0.15);
+    const s = leaving ? 0.7 : 1;
+    g.scale.setScalar(THREE.MathUtils.lerp(g.scale.x, s, 0.12));
+  });
+
+  return (
+    <group ref={groupRef} position={start}>
+      <RoundedBox args={[CARD_W, CARD_H, CARD_D]} radius={0.025} smoothness={4}>
+        <meshStandardMaterial
+          color="#f5f0e8"
+          roughness={0.55}
+          metalness={0.05}
+          emissive={peeked ? "#2dd4bf" : "#000000"}
+          emissiveIntensity={peeked ? 0.4 : 0}
+        />
+      </RoundedBox>
+
+      {/* Colored header strip */}
+      <mesh position={[0, CARD_H / 2 + 0.001, -CARD_D / 2 + 0.18]}>
+        <boxGeometry args={[CARD_W - 0.04, 0.004, 0.34]} />
+        <meshStandardMaterial
+          color={style.color}
+          roughness={0.4}
+          emissive={style.color}
+          emissiveIntensity={0.2}
+        />
+      </mesh>
+
+      <Text
+        position={[0, CARD_H / 2 + 0.006, -0.28]}
+        fontSize={0.13}
+        color={style.color}
+        anchorX="center"
+        anchorY="middle"
+        rotation={[-Math.PI / 2, 0, 0]}
+        fontWeight="bold"
+      >
+        {style.num}
+      </Text>
+      <Text
+        position={[0, CARD_H / 2 + 0.006, 0.05]}
+        fontSize={0.09}
+        color="#2c2c2c"
+        anchorX="center"
+        anchorY="middle"
+        rotation={[-Math.PI / 2, 0, 0]}
+        maxWidth={0.6}
+        textAlign="center"
+      >
+        {style.type}
+      </Text>
+      {index !== null && (
+        <Text
+          position={[0, CARD_H / 2 + 0.006, 0.35]}
+          fontSize={0.075}
+          color="#888"
+          anchorX="center"
+          anchorY="middle"
+          rotation={[-Math.PI / 2, 0, 0]}
+        >
+          Deque [{index}]
+        </Text>
+      )}
+    </group>
+  );
+}
+
+// ─── Counter at one end of the lane ───────────────────────────────────────────
+function EndCounter({ side, active }) {
+  const x = side === "front" ? -GATE_X - 0.4 : GATE_X + 0.4;
+  const color = side === "front" ? "#2ecc71" : "#e74c3c";
+  return (
+    <group position={[x, DESK_Y + 0.02, -0.3]}>
+      <RoundedBox
+        args={[0.8, 1.0, 1.1]}
+        radius={0.06}
+        smoothness={4}
+        position={[0, 0.5, 0]}
+      >
+        <meshStandardMaterial color="#d5c9b8" roughness={0.6} />
+      </RoundedBox>
+      <mesh position={[0, 1.32, 0]}>
+        <boxGeometry args={[1.1, 0.26, 0.06]} />
+        <meshStandardMaterial
+          color="#2c3e50"
+          emissive={active ? color : "#000000"}
+          emissiveIntensity={active ? 0.4 : 0}
+        />
+      </mesh>
+      <Text
+        position={[0, 1.32, 0.04]}
+        fontSize={0.1}
+        color="#ecf0f1"
+        anchorX="center"
+        anchorY="middle"
+        fontWeight="bold"
+      >
+        {side === "front" ? "⇄ FRONT" : "BACK ⇄"}
+      </Text>
+      <mesh position={[0, 1.06, 0.3]}>
+        <sphereGeometry args={[0.07, 12, 12]} />
+        <meshStandardMaterial
+          color={color}
+          emissive={color}
+          emissiveIntensity={active ? 0.9 : 0.25}
+        />
+      </mesh>
+    </group>
+  );
+}
+
+// ─── Full 3D Scene ─────────────────────────────────────────────────────────────
+function DequeScene({ ar, deque, leaving, entering, peekSide, busySide }) {
+  const n = deque.length;
+  const cards = [
+    ...deque.map((t, i) => ({ t, x: slotX(i, n), index: i, leaving: null })),
+    ...leaving.map((l) => ({
+      t: l.ticket,
+      x: 0,
+      index: null,
+      leaving: l.side,
+    })),
+  ];
+
+  return (
+    <>
+      <ambientLight intensity={0.6} />
+      <directionalLight position={[4, 8, 3]} intensity={1.0} />
+      <pointLight position={[-GATE_X, 2, 0]} intensity={0.6} color="#d1fae5" />
+      <pointLight position={[GATE_X, 2, 0]} intensity={0.6} color="#fee2e2" />
+
+      <ARPlacement
+        placement={ar}
+        scale={AR_SCALE}
+        lift={AR_LIFT}
+        color="#2dd4bf"
+      >
+        {/* Desk with a lane open at both ends */}
+        <group position={[0, DESK_Y, 0]}>
+          <mesh receiveShadow>
+            <boxGeometry args={[GATE_X * 2 + 2, 0.08, 2.0]} />
+            <meshStandardMaterial color="#c8b89a" roughness={0.7} />
+          </mesh>
+          {[-0.72, 0.72].map((z) => (
+            <mesh key={z} position={[0, 0.05, z]}>
+              <boxGeometry args={[GATE_X * 2, 0.02, 0.04]} />
+              <meshStandardMaterial color="#9a8060" roughness={0.6} />
+            </mesh>
+          ))}
+          <mesh position={[0, -0.2, 0]}>
+            <boxGeometry args={[GATE_X * 2 + 6, 0.3, 6]} />
+            <meshStandardMaterial color="#e8e0d4" roughness={0.9} />
+          </mesh>
+        </group>
+
+        <EndCounter side="front" active={busySide === "front"} />
+        <EndCounter side="back" active={busySide === "back"} />
+
+        <QueuePointers
+          frontX={slotX(0, n)}
+          rearX={slotX(n - 1, n)}
+          queueLength={n}
+          rearLabel="BACK"
+          glide
+        />
+
+        {cards.map((c) => (
+          <DequeCard
+            key={c.t.id}
+            x={c.x}
+            index={c.index}
+            style={TICKET_STYLES[c.t.styleIdx]}
+            enterFrom={entering?.id === c.t.id ? entering.side : null}
+            leaving={c.leaving}
+            peeked={
+              c.index !== null &&
+              ((peekSide === "front" && c.index === 0) ||
+                (peekSide === "back" && c.index === n - 1))
+            }
+          />
+        ))}
+
+        {n === 0 && leaving.length === 0 && (
+          <Text
+            position={[0, LANE_Y + 0.5, 0]}
+            fontSize={0.18}
+            color="#8a7a6a"
+            anchorX="center"
+            anchorY="middle"
+          >
+            Deque Empty — push at either end!
+          </Text>
+        )}
+      </ARPlacement>
+
+      {!ar.isAR && (
+        <>
+          <OrbitControls
+            enablePan={false}
+            minPolarAngle={Math.PI / 5}
+            maxPolarAngle={Math.PI / 2.1}
+            minDistance={5}
+            maxDistance={16}
+            target={[0, 0, 0]}
+          />
+          <Environment preset="lobby" />
+        </>
+      )}
+    </>
+  );
+}
+
+// ─── Main Export ───────────────────────────────────────────────────────────────
+const INITIAL_DEQUE = [
+  { id: 1, styleIdx: 0 },
+  { id: 2, styleIdx: 1 },
+  { id: 3, styleIdx: 2 },
+];
+let nextTicketId = 10;
+
+export default function TicketDeque() {
+  const [model] = useState(
+    () => new DequeModel({ items: INITIAL_DEQUE, capacity: MAX_DEQUE }),
+  );
+  const [deque, setDeque] = useState(INITIAL_DEQUE); // what the scene shows
+  const [leaving, setLeaving] = useState([]);
+  const [entering, setEntering] = useState(null);
+  const [peekSide, setPeekSide] = useState(null);
+  const [busySide, setBusySide] = useState(null);
+  const [activeTab, setActiveTab] = useState("push");
+  const [styleIdx, setStyleIdx] = useState(3);
+  const [log, setLog] = useState([]);
+  const timersRef = useRef([]);
+  const ar = useARPlacement(xrStore);
+
+  useEffect(() => () => timersRef.current.forEach(clearTimeout), []);
+
+  const later = (fn, ms) => timersRef.current.push(setTimeout(fn, ms));
+
+  const addLog = (msg, type = "info") =>
+    setLog((prev) => [{ msg, type, id: Date.now() }, ...prev].slice(0, 8));
+
+  const front = deque.length > 0 ? TICKET_STYLES[deque[0].styleIdx] : null;
+  const back =
+    deque.length > 0 ? TICKET_STYLES[deque[deque.length - 1].styleIdx] : null;
+
+  const flash = (side) => {
+    setBusySide(side);
+    later(() => setBusySide(null), EXIT_MS);
+  };
+
+  // The model owns the deque; tickets that leave stay in the scene until
+  // their exit animation is over
+  useModelEvents(model, (e) => {
+    if (e.type === "pushFront" || e.type === "pushBack") {
+      const side = e.type === "pushFront" ? "front" : "back";
+      const t = TICKET_STYLES[e.value.styleIdx];
+      setDeque(model.toArray());
+      setEntering({ id: e.value.id, side });
+      flash(side);
+      addLog(
+        side === "front"
+          ? `⬅️ pushFront "${t.type}" → new FRONT, the front pointer steps back — nothing shifts  ·  ${e.complexity}`
+          : `➡️ pushBack "${t.type}" → [${e.index}]  ·  ${e.complexity}`,
+        "success",
+      );
+    } else if (e.type === "popFront" || e.type === "popBack") {
+      const side = e.type === "popFront" ? "front" : "back";
+      const ticket = e.value;
+      const t = TICKET_STYLES[ticket.styleIdx];
+      setDeque(model.toArray());
+      setLeaving((prev) => [...prev, { ticket, side }]);
+      later(
+        () =>
+          setLeaving((prev) => prev.filter((l) => l.ticket.id !== ticket.id)),
+        EXIT_MS,
+      );
+      flash(side);
+      addLog(
+        `${side === "front" ? "⬅️ popFront" : "➡️ popBack"} "${t.type}" (${t.num})  ·  ${e.complexity}`,
+        "success",
+      );
+    } else if (e.type === "peek") {
+      const side = e.end === "back" ? "back" : "front";
+      const t = TICKET_STYLES[e.value.styleIdx];
+      setPeekSide(side);
+      later(() => setPeekSide(null), PEEK_MS);
+      addLog(
+        `👁️ ${side === "front" ? "peekFront [0]" : `peekBack [${e.index}]`} = "${t.type}" (${t.num})  ·  ${e.complexity}`,
+        "success",
+      );
+    } else if (e.type === "overflow") {
+      addLog(`⚠️ Deque Full! Max ${e.capacity} tickets.`, "error");
+    } else if (e.type === "underflow") {
+      addLog(
+        e.op.startsWith("peek")
+          ? "⚠️ Deque is empty!"
+          : "⚠️ Deque Empty! Nothing to pop.",
+        "error",
+      );
+    } else if (e.type === "reset") {
+      timersRef.current.forEach(clearTimeout);
+      timersRef.current = [];
+      setDeque(e.items);
+      setLeaving([]);
+      setEntering(null);
+      setPeekSide(null);
+      setBusySide(null);
+      setLog([]);
+    } else if (e.type === "restore") {
+      setDeque(e.items);
+      setLeaving([]);
+      setEntering(null);
+      addLog(`🕘 Back to ${e.items.length} ticket(s) in the lane`, "info");
+    }
+  });
+
+  const timeline = useTimeline(model, {
+    describe: (e) => `${e.type} ${TICKET_STYLES[e.value.styleIdx].type}`,
+  });
+
+  // ── Push / Pop / Peek at either end ────────────────────────────────────────
+  const handlePush = (side) => {
+    const ticket = { id: nextTicketId++, styleIdx };
+    if (side === "front") model.pushFront(ticket);
+    else model.pushBack(ticket);
+  };
+
+  const handlePop = (side) =>
+    side === "front" ? model.popFront() : model.popBack();
+
+  const handlePeek = (side) =>
+    side === "front" ? model.peekFront() : model.peekBack();
+
+  // ── Reset ──────────────────────────────────────────────────────────────────
+  const handleReset = () => model.reset();
+
+  const tabBtn = (tab, emoji, label) => (
+    <button
+      key={tab}
+      onClick={() => setActiveTab(tab)}
+      className={`px-3 py-2 rounded-lg text-sm font-bold transition-all border-2 ${
+        activeTab === tab
+          ? "bg-teal-400 border-teal-400 text-gray-900"
+          : "bg-transparent border-white/20 text-white/60 hover:border-teal-400/50 hover:text-white"
+      }`}
+    >
+      {emoji} {label}
+    </button>
+  );
+
+  const sideBtn = (label, onClick, disabled, color) => (
+    <button
+      onClick={onClick}
+      disabled={disabled}
+      className={`flex-1 px-4 py-2.5 ${color} disabled:opacity-40 disabled:cursor-not-allowed rounded-lg text-white text-sm font-bold transition-all`}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <div
+      className="flex flex-col gap-4 w-full"
+      style={{ fontFamily: "'Courier New', monospace" }}
+    >
+      <ARPlacementHud
+        placement={ar}
+        title="⇄ TWO-WAY TICKET LANE — AR"
+        status={`Deque ${deque.length}/${MAX_DEQUE}`}
+        accent="#2dd4bf"
+        log={log}
+        actions={[
+          {
+            label: "⬅️ Push Front",
+            onClick: () => handlePush("front"),
+            disabled: deque.length >= MAX_DEQUE,
+            color: "#16a34a",
+          },
+          {
+            label: "Push Back ➡️",
+            onClick: () => handlePush("back"),
+            disabled: deque.length >= MAX_DEQUE,
+            color: "#16a34a",
+          },
+          {
+            label: "⬅️ Pop Front",
+            onClick: () => handlePop("front"),
+            disabled: deque.length === 0,
+            color: "#dc2626",
+          },
+          {
+            label: "Pop Back ➡️",
+            onClick: () => handlePop("back"),
+            disabled: deque.length === 0,
+            color: "#dc2626",
+          },
+          { label: "🔄 Reset", onClick: handleReset },
+        ]}
+      />
+
+      {/* Header */}
+      <div className="text-center">
+        <h2 className="text-3xl font-bold text-teal-300 tracking-widest">
+          ⇄ TWO-WAY TICKET LANE
+        </h2>
+        <p className="text-white/50 text-sm mt-1">
+          Deque: <span className="text-teal-300 font-bold">{deque.length}</span>{" "}
+          / {MAX_DEQUE} tickets
+          {front && (
+            <>
+              {" "}
+              &nbsp;·&nbsp; FRONT:{" "}
+              <span className="text-green-300 font-bold">[0] {front.type}</span>
+              &nbsp;·&nbsp; BACK:{" "}
+              <span className="text-red-300 font-bold">
+                [{deque.length - 1}] {back.type}
+              </span>
+            </>
+          )}
+          {deque.length === 0 && (
+            <span className="text-white/40 ml-2">[ EMPTY ]</span>
+          )}
+        </p>
+      </div>
+
+      <ARButton placement={ar} accent="#2dd4bf" />
+
+      {/* 3D Canvas */}
+      <div
+        className="w-full rounded-2xl overflow-hidden border-2 border-teal-400/30 shadow-[0_0_40px_rgba(45,212,191,0.12)]"
+        style={{
+          height: 440,
+          background:
+            "linear-gradient(180deg,#06100f 0%,#0c1c1b 50%,#050a0a 100%)",
+        }}
+      >
+        <Canvas camera={{ position: [0, 4.2, 9.0], fov: 46 }} shadows>
+          <XR store={xrStore}>
+            <DequeScene
+              ar={ar}
+              deque={deque}
+              leaving={leaving}
+              entering={entering}
+              peekSide={peekSide}
+              busySide={busySide}
+            />
+          </XR>
+        </Canvas>
+      </div>
+
+      {/* Deque bar */}
+      <div className="flex gap-1 flex-wrap justify-center items-center">
+        <div className="flex items-center px-2 py-1 bg-green-400/15 border border-green-400/30 rounded-lg mr-1">
+          <span className="text-green-400 text-xs font-bold">⇄ FRONT</span>
+        </div>
+        {deque.length === 0 ? (
+          <span className="text-white/20 text-xs italic px-3 py-1 border border-white/10 rounded-lg">
+            [ empty ]
+          </span>
+        ) : (
+          deque.map((ticket, i) => (
+            <div
+              key={ticket.id}
+              className={`flex flex-col items-center px-2 py-1 rounded-lg border text-xs transition-all ${
+                i === 0
+                  ? "border-green-400 bg-green-400/20 text-green-300"
+                  : i === deque.length - 1
+                    ? "border-red-400 bg-red-400/20 text-red-300"
+                    : "border-white/20 bg-white/10 text-white/70"
+              }`}
+              style={{ borderTopColor: TICKET_STYLES[ticket.styleIdx].color }}
+            >
+              <span>🎫</span>
+              <span className="font-mono font-bold text-[10px]">
+                {TICKET_STYLES[ticket.styleIdx].num}
+              </span>
+            </div>
+          ))
+        )}
+        <div className="flex items-center px-2 py-1 bg-red-400/15 border border-red-400/30 rounded-lg ml-1">
+          <span className="text-red-400 text-xs font-bold">BACK ⇄</span>
+        </div>
+      </div>
+
+      <TimelineBar timeline={timeline} accent="teal" />
+
+      {/* Controls */}
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <div className="bg-white/5 border border-white/10 rounded-2xl p-5">
+          <div className="flex gap-2 mb-4 flex-wrap">
+            {tabBtn("push", "➕", "Push")}
+            {tabBtn("pop", "➖", "Pop")}
+            {tabBtn("peek", "👁️", "Peek")}
+          </div>
+
+          {activeTab === "push" && (
+            <div className="flex flex-col gap-3">
+              <p className="text-white/50 text-xs">
+                A ticket can join at either end —{" "}
+                <span className="text-green-400 font-bold">O(1)</span> both ways
+              </p>
+              <div className="flex gap-2 items-center">
+                <span className="text-white/60 text-sm">Type:</span>
+                <select
+                  value={styleIdx}
+                  onChange={(e) => setStyleIdx(Number(e.target.value))}
+                  className="flex-1 px-3 py-2 bg-black/40 border border-white/20 rounded-lg text-white text-sm focus:outline-none focus:border-teal-400"
+                >
+                  {TICKET_STYLES.map((s, i) => (
+                    <option key={i} value={i}>
+                      {s.icon} {s.type} ({s.num})
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="flex gap-2">
+                {sideBtn(
+                  "← pushFront",
+                  () => handlePush("front"),
+                  deque.length >= MAX_DEQUE,
+                  "bg-green-600 hover:bg-green-500",
+                )}
+                {sideBtn(
+                  "pushBack →",
+                  () => handlePush("back"),
+                  deque.length >= MAX_DEQUE,
+                  "bg-red-600 hover:bg-red-500",
+                )}
+              </div>
+              <div className="flex gap-2 items-center">
+                <div className="flex-1 h-1.5 bg-white/10 rounded-full overflow-hidden">
+                  <div
+                    className="h-full bg-teal-400 rounded-full transition-all duration-300"
+                    style={{ width: `${(deque.length / MAX_DEQUE) * 100}%` }}
+                  />
+                </div>
+                <span className="text-white/40 text-xs">
+                  {deque.length}/{MAX_DEQUE}
+                </span>
+              </div>
+            </div>
+          )}
+
+          {activeTab === "pop" && (
+            <div className="flex flex-col gap-3">
+              <p className="text-white/50 text-xs">
+                Remove from either end —{" "}
+                <span className="text-green-400 font-bold">O(1)</span>. Pop only
+                the front and it is a queue; only the back and it is a stack.
+              </p>
+              <div className="flex gap-2">
+                {sideBtn(
+                  "← popFront",
+                  () => handlePop("front"),
+                  deque.length === 0,
+                  "bg-green-600 hover:bg-green-500",
+                )}
+                {sideBtn(
+                  "popBack →",
+                  () => handlePop("back"),
+                  deque.length === 0,
+                  "bg-red-600 hover:bg-red-500",
+                )}
+              </div>
+            </div>
+          )}
+
+          {activeTab === "peek" && (
+            <div className="flex flex-col gap-3">
+              <p className="text-white/50 text-xs">
+                Look at an end without removing it —{" "}
+                <span className="text-green-400 font-bold">O(1)</span>
+              </p>
+              <div className="flex gap-2">
+                {sideBtn(
+                  "👁️ peekFront",
+                  () => handlePeek("front"),
+                  deque.length === 0,
+                  "bg-yellow-600 hover:bg-yellow-500",
+                )}
+                {sideBtn(
+                  "peekBack 👁️",
+                  () => handlePeek("back"),
+                  deque.length === 0,
+                  "bg-yellow-600 hover:bg-yellow-500",
+                )}
+              </div>
+              {peekSide && (peekSide === "front" ? front : back) && (
+                <div className="flex items-center gap-2 px-3 py-2 bg-teal-400/15 border border-teal-400/40 rounded-lg">
+                  <span className="text-2xl">
+                    {(peekSide === "front" ? front : back).icon}
+                  </span>
+                  <p className="text-teal-300 text-xs font-bold">
+                    {peekSide === "front"
+                      ? "FRONT [0]"
+                      : `BACK [${deque.length - 1}]`}{" "}
+                    — {(peekSide === "front" ? front : back).num}
+                  </p>
+                </div>
+              )}
+            </div>
+          )}
+
+          <button
+            onClick={handleReset}
+            className="mt-4 w-full py-2 bg-white/5 hover:bg-white/10 border border-white/10 rounded-lg text-white/50 hover:text-white/80 text-sm transition-all"
+          >
+            🔄 Reset to Default
+          </button>
+        </div>
+
+        {/* Log + Complexity */}
+        <div className="bg-black/40 border border-white/10 rounded-2xl p-5 flex flex-col gap-4">
+          <div>
+            <p className="text-white/40 text-xs uppercase tracking-widest mb-2">
+              📋 Operation Log
+            </p>
+            <div className="flex flex-col gap-1 max-h-36 overflow-y-auto">
+              {log.length === 0 ? (
+                <p className="text-white/30 text-xs italic">
+                  No operations yet...
+                </p>
+              ) : (
+                log.map((entry, i) => (
+                  <div
+                    key={entry.id}
+                    className={`text-xs font-mono py-1 px-2 rounded border-l-2 ${
+                      entry.type === "success"
+                        ? "border-green-400 bg-green-400/5 text-green-300"
+                        : entry.type === "error"
+                          ? "border-red-400 bg-red-400/5 text-red-300"
+                          : "border-blue-400 bg-blue-400/5 text-blue-300"
+                    } ${i > 0 ? "opacity-50" : ""}`}
+                  >
+                    {entry.msg}
+                  </div>
+                ))
+              )}
+            </div>
+          </div>
+
+          <div>
+            <p className="text-white/40 text-xs uppercase tracking-widest mb-2">
+              ⚡ Time Complexity
+            </p>
+            <div className="grid grid-cols-2 gap-1 text-xs font-mono">
+              {[
+                ["pushFront", "O(1)", true],
+                ["pushBack", "O(1)", true],
+                ["popFront", "O(1)", true],
+                ["popBack", "O(1)", true],
+                ["peekFront / peekBack", "O(1)", true],
+                ["Search by value", "O(n)", false],
+              ].map(([op, c, fast]) => (
+                <div
+                  key={op}
+                  className="flex justify-between px-3 py-1.5 bg-white/5 rounded-lg"
+                >
+                  <span className="text-white/55">{op}</span>
+                  <span
+                    className={`font-bold ${fast ? "text-green-400" : "text-red-400"}`}
+                  >
+                    {c}
+                  </span>
+                </div>
+              ))}
+            </div>
+            <div className="mt-3 px-3 py-2 bg-teal-400/10 border border-teal-400/30 rounded-lg">
+              <p className="text-teal-300 text-xs font-bold">
+                How are both ends O(1)?
+              </p>
+              <p className="text-white/50 text-xs mt-0.5">
+                A doubly linked list or a circular array keeps a pointer at each
+                end, so nothing in the middle ever has to move.
+              </p>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <p className="text-center text-white/25 text-xs pb-2">
+        💡 Tickets join and leave at BOTH counters · Drag to rotate · Scroll to
+        zoom
+      </p>
+    </div>
+  );
+}
@@ -6,8 +6,25 @@ import {
   OrbitControls,
   Environment,
 } from "@react-three/drei";
+import { XR, createXRStore } from "@react-three/xr";
 import { gsap } from "gsap";
 import * as THREE from "three";
+import { TICKET_STYLES } from "./ticketStyles";
+import { RingBufferScene, RingBufferInfo } from "./Ringbuffer";
+import CodePanel from "./CodePanel";
+import TimelineBar from "./TimelineBar";
+import CodeLab from "./CodeLab";
+import ARPlacement, { ARPlacementHud, ARButton } from "./ARPlacement";
+import { QueueModel } from "../models";
+import { queuePrograms } from "../pseudocode";
+import { useModelEvents } from "../hooks/useModelEvents";
+import { useCodeTrace } from "../hooks/useCodeTrace";
+import { useTimeline } from "../hooks/useTimeline";
+import { useCodeLab } from "../hooks/useCodeLab";
+import { useARPlacement } from "../hooks/useARPlacement";
+
+// ─── XR Store ─────────────────────────────────────────────────────────────────
+const xrStore = createXRStore();
 
 // ─── Constants ─────────────────────────────────────────────────────────────────
 const CARD_W = 0.72;
@@ -18,65 +35,8 @@ const LANE_Y = -0.5;
 const DESK_Y = -0.72;
 const MAX_QUEUE = 7;
 const WINDOW_X = -3.6; // processing window on the left
-
-const TICKET_STYLES = [
-  {
-    color: "#e74c3c",
-    accent: "#c0392b",
-    type: "MEDICAL",
-    num: "A-001",
-    icon: "🏥",
-  },
-  {
-    color: "#3498db",
-    accent: "#2471a3",
-    type: "BILLING",
-    num: "B-002",
-    icon: "💳",
-  },
-  {
-    color: "#2ecc71",
-    accent: "#1e8449",
-    type: "RECORDS",
-    num: "C-003",
-    icon: "📋",
-  },
-  {
-    color: "#f39c12",
-    accent: "#d68910",
-    type: "INQUIRY",
-    num: "D-004",
-    icon: "❓",
-  },
-  {
-    color: "#9b59b6",
-    accent: "#7d3c98",
-    type: "RENEWAL",
-    num: "E-005",
-    icon: "🔄",
-  },
-  {
-    color: "#1abc9c",
-    accent: "#148f77",
-    type: "COMPLAINT",
-    num: "F-006",
-    icon: "📣",
-  },
-  {
-    color: "#e67e22",
-    accent: "#ca6f1e",
-    type: "PERMIT",
-    num: "G-007",
-    icon: "📜",
-  },
-  {
-    color: "#e91e63",
-    accent: "#c2185b",
-    type: "APPROVAL",
-    num: "H-008",
-    icon: "✅",
-  },
-];
+const AR_SCALE = 0.06;
+const AR_LIFT = -(DESK_Y - 0.04); // rests the desk on the surface
 
 // ─── Single Ticket Card ────────────────────────────────────────────────────────
 function TicketCard({
@@ -513,77 +473,93 @@ function DeskSurface({ queueLength }) {
 }
 
 // ─── Pointer arrow indicators ──────────────────────────────────────────────────
-function QueuePointers({ frontX, rearX, queueLength }) {
-  const frontArrowRef = useRef();
+// One floating pointer: arrow + label. With `glide` it eases to new x
+// positions instead of jumping.
+function PointerMarker({ x, y, z, color, glow, label, size, bob, glide }) {
+  const ref = useRef();
+  const [startX] = useState(x);
   useFrame((state) => {
-    if (frontArrowRef.current) {
-      frontArrowRef.current.position.y =
-        1.0 + Math.sin(state.clock.elapsedTime * 2.5) * 0.08;
-    }
+    if (!ref.current) return;
+    if (bob)
+      ref.current.position.y =
+        y + Math.sin(state.clock.elapsedTime * 2.5) * 0.08 * size;
+    if (glide)
+      ref.current.position.x = THREE.MathUtils.lerp(
+        ref.current.position.x,
+        x,
+        0.12,
+      );
   });
+  return (
+    <group ref={ref} position={[glide ? startX : x, y, z]} scale={size}>
+      <mesh rotation={[Math.PI, 0, 0]}>
+        <coneGeometry args={[0.07, 0.22, 8]} />
+        <meshStandardMaterial
+          color={color}
+          emissive={color}
+          emissiveIntensity={glow}
+        />
+      </mesh>
+      <mesh position={[0, 0.2, 0]}>
+        <cylinderGeometry args={[0.025, 0.025, 0.22, 8]} />
+        <meshStandardMaterial
+          color={color}
+          emissive={color}
+          emissiveIntensity={0.5}
+        />
+      </mesh>
+      <Text
+        position={[0, 0.46, 0]}
+        fontSize={0.1}
+        color={color}
+        anchorX="center"
+        anchorY="middle"
+        fontWeight="bold"
+      >
+        {label}
+      </Text>
+    </group>
+  );
+}
+
+export function QueuePointers({
+  frontX,
+  rearX,
+  queueLength,
+  y = 1.0,
+  z = 0.6,
+  size = 1,
+  glide = false,
+  rearLabel = "REAR",
+}) {
   if (queueLength === 0) return null;
   return (
     <>
       {/* FRONT pointer arrow */}
-      <group ref={frontArrowRef} position={[frontX, 1.0, 0.6]}>
-        <mesh rotation={[Math.PI, 0, 0]}>
-          <coneGeometry args={[0.07, 0.22, 8]} />
-          <meshStandardMaterial
-            color="#2ecc71"
-            emissive="#2ecc71"
-            emissiveIntensity={0.8}
-          />
-        </mesh>
-        <mesh position={[0, 0.2, 0]}>
-          <cylinderGeometry args={[0.025, 0.025, 0.22, 8]} />
-          <meshStandardMaterial
-            color="#2ecc71"
-            emissive="#2ecc71"
-            emissiveIntensity={0.5}
-          />
-        </mesh>
-        <Text
-          position={[0, 0.46, 0]}
-          fontSize={0.1}
-          color="#2ecc71"
-          anchorX="center"
-          anchorY="middle"
-          fontWeight="bold"
-        >
-          FRONT
-        </Text>
-      </group>
+      <PointerMarker
+        x={frontX}
+        y={y}
+        z={z}
+        color="#2ecc71"
+        glow={0.8}
+        label="FRONT"
+        size={size}
+        glide={glide}
+        bob
+      />
 
       {/* REAR pointer arrow */}
       {queueLength > 1 && (
-        <group position={[rearX, 1.05, 0.6]}>
-          <mesh rotation={[Math.PI, 0, 0]}>
-            <coneGeometry args={[0.07, 0.22, 8]} />
-            <meshStandardMaterial
-              color="#e74c3c"
-              emissive="#e74c3c"
-              emissiveIntensity={0.7}
-            />
-          </mesh>
-          <mesh position={[0, 0.2, 0]}>
-            <cylinderGeometry args={[0.025, 0.025, 0.22, 8]} />
-            <meshStandardMaterial
-              color="#e74c3c"
-              emissive="#e74c3c"
-              emissiveIntensity={0.5}
-            />
-          </mesh>
-          <Text
-            position={[0, 0.46, 0]}
-            fontSize={0.1}
-            color="#e74c3c"
-            anchorX="center"
-            anchorY="middle"
-            fontWeight="bold"
-          >
-            REAR
-          </Text>
-        </group>
+        <PointerMarker
+          x={rearX}
+          y={y + 0.05 * size}
+          z={z}
+          color="#e74c3c"
+          glow={0.7}
+          label={rearLabel}
+          size={size}
+          glide={glide}
+        />
       )}
     </>
   );
@@ -591,6 +567,7 @@ function QueuePointers({ frontX, rearX, queueLength }) {
 
 // ─── Full 3D Scene ─────────────────────────────────────────────────────────────
 function TicketScene({
+  ar,
   queue,
   exitingId,
   enteringId,
@@ -617,54 +594,69 @@ function TicketScene({
       <pointLight position={[WINDOW_X, 2, 0]} intensity={0.8} color="#ffe8c0" />
       <pointLight position={[2, 2, 0]} intensity={0.35} color="#e8e0ff" />
 
-      <DeskSurface queueLength={queue.length} />
-      <ProcessingWindow
-        isProcessing={isProcessing}
-        currentTicket={currentTicket}
-      />
+      <ARPlacement
+        placement={ar}
+        scale={AR_SCALE}
+        lift={AR_LIFT}
+        color="#a78bfa"
+      >
+        <DeskSurface queueLength={queue.length} />
+        <ProcessingWindow
+          isProcessing={isProcessing}
+          currentTicket={currentTicket}
+        />
 
-      {/* FRONT / REAR pointer arrows */}
-      <QueuePointers frontX={frontX} rearX={rearX} queueLength={queue.length} />
-
-      {/* Ticket cards */}
-      {queue.map((ticket, i) => (
-        <TicketCard
-          key={ticket.id}
-          queueIndex={i}
-          totalCount={queue.length}
-          style={TICKET_STYLES[ticket.styleIdx]}
-          isFront={i === 0}
-          isRear={i === queue.length - 1}
-          isEntering={enteringId === ticket.id}
-          isProcessing={isProcessing && i === 0}
-          isExiting={exitingId === ticket.id}
-          onEnterDone={i === queue.length - 1 ? onEnterDone : undefined}
-          onExitDone={i === 0 ? onExitDone : undefined}
+        {/* FRONT / REAR pointer arrows */}
+        <QueuePointers
+          frontX={frontX}
+          rearX={rearX}
+          queueLength={queue.length}
         />
-      ))}
 
-      {/* Empty queue label */}
-      {queue.length === 0 && !enteringId && (
-        <Text
-          position={[0, LANE_Y + 0.5, 0]}
-          fontSize={0.18}
-          color="#8a7a6a"
-          anchorX="center"
-          anchorY="middle"
-        >
-          Queue Empty — Enqueue a ticket!
-        </Text>
-      )}
+        {/* Ticket cards */}
+        {queue.map((ticket, i) => (
+          <TicketCard
+            key={ticket.id}
+            queueIndex={i}
+            totalCount={queue.length}
+            style={TICKET_STYLES[ticket.styleIdx]}
+            isFront={i === 0}
+            isRear={i === queue.length - 1}
+            isEntering={enteringId === ticket.id}
+            isProcessing={isProcessing && i === 0}
+            isExiting={exitingId === ticket.id}
+            onEnterDone={i === queue.length - 1 ? onEnterDone : undefined}
+            onExitDone={i === 0 ? onExitDone : undefined}
+          />
+        ))}
 
-      <OrbitControls
-        enablePan={false}
-        minPolarAngle={Math.PI / 5}
-        maxPolarAngle={Math.PI / 2.1}
-        minDistance={5}
-        maxDistance={16}
-        target={[0, 0, 0]}
-      />
-      <Environment preset="lobby" />
+        {/* Empty queue label */}
+        {queue.length === 0 && !enteringId && (
+          <Text
+            position={[0, LANE_Y + 0.5, 0]}
+            fontSize={0.18}
+            color="#8a7a6a"
+            anchorX="center"
+            anchorY="middle"
+          >
+            Queue Empty — Enqueue a ticket!
+          </Text>
+        )}
+      </ARPlacement>
+
+      {!ar.isAR && (
+        <>
+          <OrbitControls
+            enablePan={false}
+            minPolarAngle={Math.PI / 5}
+            maxPolarAngle={Math.PI / 2.1}
+            minDistance={5}
+            maxDistance={16}
+            target={[0, 0, 0]}
+          />
+          <Environment preset="lobby" />
+        </>
+      )}
     </>
   );
 }
@@ -677,8 +669,13 @@ const INITIAL_QUEUE = [
 ];
 let nextTicketId = 10;
 
+const TICKET_TYPES = TICKET_STYLES.map((s) => s.type);
+
 export default function TicketQueue() {
-  const [queue, setQueue] = useState(INITIAL_QUEUE);
+  const [model] = useState(
+    () => new QueueModel({ items: INITIAL_QUEUE, capacity: MAX_QUEUE }),
+  );
+  const [queue, setQueue] = useState(INITIAL_QUEUE); // what the scene shows
   const [isAnimating, setIsAnimating] = useState(false);
   const [isProcessing, setIsProcessing] = useState(false);
   const [exitingId, setExitingId] = useState(null);
@@ -686,6 +683,8 @@ export default function TicketQueue() {
   const [activeTab, setActiveTab] = useState("enqueue");
   const [enqueueStyleIdx, setEnqueueStyleIdx] = useState(3);
   const [log, setLog] = useState([]);
+  const [view, setView] = useState("linear");
+  const [head, setHead] = useState(0); // ring buffer slot of the FRONT ticket
   const processTimerRef = useRef(null);
 
   const addLog = (msg, type = "info") =>
@@ -696,19 +695,83 @@ export default function TicketQueue() {
   const rearTicket =
     queue.length > 0 ? TICKET_STYLES[queue[queue.length - 1].styleIdx] : null;
 
+  // The model owns the queue; the scene catches up once animations finish
+  useModelEvents(model, (e) => {
+    if (e.type === "enqueue") {
+      setIsAnimating(true);
+      setQueue(model.toArray());
+      setEnteringId(e.value.id);
+      addLog(
+        `🎫 Enqueue "${TICKET_STYLES[e.value.styleIdx].type}" → REAR [${e.index}]  ·  ${e.complexity}`,
+        "success",
+      );
+    } else if (e.type === "dequeue") {
+      setIsAnimating(true);
+      setExitingId(e.value.id);
+      addLog(
+        `✅ Dequeue "${TICKET_STYLES[e.value.styleIdx].type}" from FRONT [0]  ·  ${e.complexity}  ·  Served!`,
+        "success",
+      );
+    } else if (e.type === "peek") {
+      const t = TICKET_STYLES[e.value.styleIdx];
+      addLog(
+        `👁️ Peek FRONT [0] = "${t.type}" (${t.num})  ·  ${e.complexity}`,
+        "success",
+      );
+    } else if (e.type === "overflow") {
+      addLog(`⚠️ Queue Full! Max ${e.capacity} tickets.`, "error");
+    } else if (e.type === "underflow") {
+      addLog(
+        e.op === "peek"
+          ? "⚠️ Queue is empty!"
+          : "⚠️ Queue Empty! No tickets to process.",
+        "error",
+      );
+    } else if (e.type === "reset") {
+      setQueue(e.items);
+      setHead(e.head);
+      setIsProcessing(false);
+      setExitingId(null);
+      setEnteringId(null);
+      setLog([]);
+    } else if (e.type === "restore") {
+      setQueue(e.items);
+      setHead(e.head);
+      addLog(`🕘 Back to ${e.items.length} ticket(s) in line`, "info");
+    }
+  });
+
+  const codeTrace = useCodeTrace(model, queuePrograms, {
+    format: (t) => `"${TICKET_STYLES[t.styleIdx].type}"`,
+    stepMs: 350,
+  });
+
+  const timeline = useTimeline(model, {
+    busy: isAnimating || isProcessing,
+    describe: (e) =>
+      e.type === "enqueue" || e.type === "dequeue"
+        ? `${e.type} ${TICKET_STYLES[e.value.styleIdx].type}`
+        : e.type,
+  });
+
+  const lab = useCodeLab(model, {
+    kind: "queue",
+    name: "queue",
+    values: TICKET_TYPES,
+    fromItem: (t) => TICKET_TYPES[t.styleIdx],
+    toItem: (type) => ({
+      id: nextTicketId++,
+      styleIdx: TICKET_TYPES.indexOf(type),
+    }),
+    busy: isAnimating || isProcessing,
+  });
+  // The ticket desk is the view that gets placed in AR
+  const ar = useARPlacement(xrStore, { onEnter: () => setView("linear") });
+
   // ── Enqueue ────────────────────────────────────────────────────────────────
   const handleEnqueue = () => {
     if (isAnimating) return;
-    if (queue.length >= MAX_QUEUE)
-      return addLog(`⚠️ Queue Full! Max ${MAX_QUEUE} tickets.`, "error");
-    setIsAnimating(true);
-    const newTicket = { id: nextTicketId++, styleIdx: enqueueStyleIdx };
-    setQueue((prev) => [...prev, newTicket]);
-    setEnteringId(newTicket.id);
-    addLog(
-      `🎫 Enqueue "${TICKET_STYLES[enqueueStyleIdx].type}" → REAR [${queue.length}]  ·  O(1)`,
-      "success",
-    );
+    model.enqueue({ id: nextTicketId++, styleIdx: enqueueStyleIdx });
   };
 
   const handleEnterDone = () => {
@@ -719,10 +782,9 @@ export default function TicketQueue() {
   // ── Dequeue / Process ──────────────────────────────────────────────────────
   const handleDequeue = () => {
     if (isAnimating || isProcessing) return;
-    if (queue.length === 0)
-      return addLog("⚠️ Queue Empty! No tickets to process.", "error");
+    if (model.size === 0) return model.dequeue();
 
-    const front = queue[0];
+    const front = model.front;
     setIsProcessing(true);
     addLog(
       `⚙️ Processing "${TICKET_STYLES[front.styleIdx].type}" [${front.styleIdx}] at window...`,
@@ -730,41 +792,25 @@ export default function TicketQueue() {
     );
 
     // Simulate processing time (1.2s), then exit
-    processTimerRef.current = setTimeout(() => {
-      setIsAnimating(true);
-      setExitingId(front.id);
-      addLog(
-        `✅ Dequeue "${TICKET_STYLES[front.styleIdx].type}" from FRONT [0]  ·  O(1)  ·  Served!`,
-        "success",
-      );
-    }, 1200);
+    processTimerRef.current = setTimeout(() => model.dequeue(), 1200);
   };
 
   const handleExitDone = () => {
-    setQueue((prev) => prev.slice(1));
+    setQueue(model.toArray());
+    setHead(model.head);
     setExitingId(null);
     setIsProcessing(false);
     setIsAnimating(false);
   };
 
   // ── Peek ───────────────────────────────────────────────────────────────────
-  const handlePeek = () => {
-    if (queue.length === 0) return addLog("⚠️ Queue is empty!", "error");
-    addLog(
-      `👁️ Peek FRONT [0] = "${frontTicket.type}" (${frontTicket.num})  ·  O(1)`,
-      "success",
-    );
-  };
+  const handlePeek = () => model.peek();
 
   // ── Reset ──────────────────────────────────────────────────────────────────
   const handleReset = () => {
     if (isAnimating) return;
     clearTimeout(processTimerRef.current);
-    setQueue(INITIAL_QUEUE);
-    setIsProcessing(false);
-    setExitingId(null);
-    setEnteringId(null);
-    setLog([]);
+    model.reset();
   };
 
   const tabBtn = (tab, emoji, label) => (
@@ -786,6 +832,34 @@ export default function TicketQueue() {
       className="flex flex-col gap-4 w-full"
       style={{ fontFamily: "'Courier New', monospace" }}
     >
+      <ARPlacementHud
+        placement={ar}
+        title="🎫 TICKET QUEUE — AR"
+        status={`Queue ${queue.length}/${MAX_QUEUE}`}
+        accent="#a78bfa"
+        log={log}
+        actions={[
+          {
+            label: "➕ Enqueue",
+            onClick: handleEnqueue,
+            disabled: isAnimating || queue.length >= MAX_QUEUE,
+            color: "#7c3aed",
+          },
+          {
+            label: "⚙️ Process",
+            onClick: handleDequeue,
+            disabled: isAnimating || isProcessing || queue.length === 0,
+            color: "#dc2626",
+          },
+          {
+            label: "👁 Peek",
+            onClick: handlePeek,
+            disabled: queue.length === 0,
+          },
+          { label: "🔄 Reset", onClick: handleReset, disabled: isAnimating },
+        ]}
+      />
+
       {/* Header */}
       <div className="text-center">
         <h2 className="text-3xl font-bold text-violet-300 tracking-widest">
@@ -817,29 +891,76 @@ export default function TicketQueue() {
             </span>
           )}
         </p>
+        <div className="flex justify-center gap-2 mt-3">
+          {[
+            ["linear", "📏 Linear"],
+            ["ring", "⭕ Ring Buffer"],
+          ].map(([id, label]) => (
+            <button
+              key={id}
+              onClick={() => setView(id)}
+              disabled={isAnimating || isProcessing}
+              className={`px-3 py-1 rounded-lg text-xs font-bold transition-all border disabled:opacity-40 ${
+                view === id
+                  ? "bg-violet-400/20 border-violet-400 text-violet-300"
+                  : "border-white/15 text-white/50 hover:text-white"
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
       </div>
 
-      {/* 3D Canvas */}
-      <div
-        className="w-full rounded-2xl overflow-hidden border-2 border-violet-400/30 shadow-[0_0_40px_rgba(167,139,250,0.12)]"
-        style={{
-          height: 440,
-          background:
-            "linear-gradient(180deg,#0a0812 0%,#130f1e 50%,#080610 100%)",
-        }}
-      >
-        <Canvas camera={{ position: [0.5, 4.2, 9.0], fov: 46 }} shadows>
-          <TicketScene
-            queue={queue}
-            exitingId={exitingId}
-            enteringId={enteringId}
-            isProcessing={isProcessing}
-            onEnterDone={handleEnterDone}
-            onExitDone={handleExitDone}
-          />
-        </Canvas>
+      <ARButton placement={ar} accent="#a78bfa" />
+
+      <div className="flex flex-col xl:flex-row gap-4">
+        {/* 3D Canvas */}
+        <div
+          className="w-full rounded-2xl overflow-hidden border-2 border-violet-400/30 shadow-[0_0_40px_rgba(167,139,250,0.12)]"
+          style={{
+            height: 440,
+            background:
+              "linear-gradient(180deg,#0a0812 0%,#130f1e 50%,#080610 100%)",
+          }}
+        >
+          <Canvas camera={{ position: [0.5, 4.2, 9.0], fov: 46 }} shadows>
+            <XR store={xrStore}>
+              {view === "ring" ? (
+                <RingBufferScene
+                  items={queue.map((t) => ({
+                    id: t.id,
+                    color: TICKET_STYLES[t.styleIdx].color,
+                    label: TICKET_STYLES[t.styleIdx].num,
+                  }))}
+                  head={head}
+                  capacity={MAX_QUEUE}
+                  enteringId={enteringId}
+                  exitingId={exitingId}
+                  onEnterDone={handleEnterDone}
+                  onExitDone={handleExitDone}
+                />
+              ) : (
+                <TicketScene
+                  ar={ar}
+                  queue={queue}
+                  exitingId={exitingId}
+                  enteringId={enteringId}
+                  isProcessing={isProcessing}
+                  onEnterDone={handleEnterDone}
+                  onExitDone={handleExitDone}
+                />
+              )}
+            </XR>
+          </Canvas>
+        </div>
+        <CodePanel trace={codeTrace} accent="violet" height={440} />
       </div>
 
+      {view === "ring" && (
+        <RingBufferInfo head={head} size={queue.length} capacity={MAX_QUEUE} />
+      )}
+
       {/* Queue bar */}
       <div className="flex gap-1 flex-wrap justify-center items-center">
         <div className="flex items-center px-2 py-1 bg-green-400/15 border border-green-400/30 rounded-lg mr-1">
@@ -882,6 +1003,20 @@ export default function TicketQueue() {
         </div>
       </div>
 
+      <TimelineBar
+        timeline={timeline}
+        accent="violet"
+        disabled={isAnimating || isProcessing || lab.running}
+      />
+
+      <CodeLab
+        lab={lab}
+        kind="queue"
+        name="queue"
+        samples={["BILLING", "PERMIT"]}
+        accent="violet"
+      />
+
       {/* Controls */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
         <div className="bg-white/5 border border-white/10 rounded-2xl p-5">
@@ -0,0 +1,102 @@
+import { ACCENTS } from "./accents";
+
+// ─── Shared undo / redo / scrub / replay bar for the scenarios ───────────────
+// Drives a timeline from useTimeline (or stepTimeline for precomputed steps);
+// the scenario only decides the accent and when the controls have to wait
+// for an animation.
+
+const btn =
+  "px-3 py-1.5 rounded-lg text-xs font-bold transition-all border border-white/15 bg-white/5 hover:bg-white/10 text-white/80 disabled:opacity-40 disabled:cursor-not-allowed";
+
+export default function TimelineBar({ timeline, accent, disabled = false }) {
+  const a = ACCENTS[accent];
+  const {
+    entries,
+    cursor,
+    replaying,
+    canUndo,
+    canRedo,
+    undo,
+    redo,
+    goTo,
+    replay,
+    stop,
+  } = timeline;
+  const locked = disabled || replaying;
+  const current = cursor === 0 ? "Start" : entries[cursor - 1].label;
+
+  return (
+    <div className="bg-white/5 border border-white/10 rounded-2xl p-4">
+      <div className="flex items-center gap-2 flex-wrap mb-3">
+        <h3 className={`text-sm font-bold tracking-wider mr-auto ${a.text}`}>
+          🕘 Timeline
+          <span className="text-white/40 font-normal ml-2">
+            step {cursor} / {entries.length}
+          </span>
+        </h3>
+        <button onClick={undo} disabled={disabled || !canUndo} className={btn}>
+          ↶ Undo
+        </button>
+        <button onClick={redo} disabled={disabled || !canRedo} className={btn}>
+          ↷ Redo
+        </button>
+        {replaying ? (
+          <button onClick={stop} className={btn}>
+            ⏹ Stop
+          </button>
+        ) : (
+          <button
+            onClick={replay}
+            disabled={disabled || entries.length === 0}
+            className={btn}
+          >
+            ▶ Replay
+          </button>
+        )}
+      </div>
+
+      <input
+        type="range"
+        min={0}
+        max={entries.length}
+        value={cursor}
+        onChange={(e) => goTo(Number(e.target.value))}
+        disabled={locked || entries.length === 0}
+        className={`w-full ${a.range} disabled:opacity-40`}
+      />
+
+      <div className="flex gap-1.5 mt-2 overflow-x-auto pb-1">
+        <button
+          onClick={() => goTo(0)}
+          disabled={locked}
+          className={`shrink-0 px-2 py-0.5 rounded border text-[11px] font-mono disabled:cursor-not-allowed ${
+            cursor === 0 ? a.chip : "border-white/10 text-white/50"
+          }`}
+        >
+          Start
+        </button>
+        {entries.map((entry, k) => (
+          <button
+            key={entry.id}
+            onClick={() => goTo(k + 1)}
+            disabled={locked}
+            className={`shrink-0 px-2 py-0.5 rounded border text-[11px] font-mono disabled:cursor-not-allowed ${
+              k + 1 === cursor
+                ? a.chip
+                : k < cursor
+                  ? "border-white/10 text-white/60"
+                  : "border-dashed border-white/10 text-white/25"
+            }`}
+          >
+            {k + 1}. {entry.label}
+          </button>
+        ))}
+      </div>
+
+      <p className="text-white/40 text-xs mt-2">
+        Now at: <span className="text-white/70 font-mono">{current}</span>
+        {replaying && <span className={`ml-2 ${a.text}`}>▶ replaying…</span>}
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,833 @@
+import { useRef, useState, useEffect } from "react";
+import { Canvas, useFrame } from "@react-three/fiber";
+import {
+  Text,
+  RoundedBox,
+  OrbitControls,
+  Environment,
+} from "@react-three/drei";
+import { XR, createXRStore } from "@react-three/xr";
+import { gsap } from "gsap";
+import * as THREE from "three";
+import TimelineBar from "./TimelineBar";
+import ARPlacement, { ARPlacementHud, ARButton } from "./ARPlacement";
+import { ArrayModel } from "../models";
+import { useModelEvents } from "../hooks/useModelEvents";
+import { useTimeline } from "../hooks/useTimeline";
+import { useARPlacement } from "../hooks/useARPlacement";
+
+// ─── XR Store ─────────────────────────────────────────────────────────────────
+const xrStore = createXRStore();
+
+// ─── Constants ────────────────────────────────────────────────────────────────
+const TILE_W = 0.92;
+const TILE_H = 0.07;
+const TILE_D = 0.62;
+const TILE_GAP = 1.05;
+const DESK_Y = -0.5;
+const MAX_TASKS = 8;
+const SHIFT_STEP = 0.14; // seconds between consecutive tile shifts
+const AR_SCALE = 0.06;
+const AR_LIFT = -(DESK_Y - 1.45); // stands the desk legs on the surface
+
+const TASK_COLORS = [
+  "#84cc16",
+  "#22d3ee",
+  "#f472b6",
+  "#facc15",
+  "#a78bfa",
+  "#fb923c",
+  "#34d399",
+  "#f87171",
+];
+const TASKS = [
+  "Read ch. 3",
+  "Lab report",
+  "Quiz prep",
+  "Email prof",
+  "Gym",
+  "Groceries",
+  "Call home",
+  "Laundry",
+  "Pay bills",
+  "Team sync",
+];
+const INITIAL_TASKS = [
+  { id: 1, label: "Read ch. 3", color: 0 },
+  { id: 2, label: "Lab report", color: 1 },
+  { id: 3, label: "Quiz prep", color: 2 },
+  { id: 4, label: "Email prof", color: 3 },
+];
+let nextTaskId = 20;
+
+// Fixed slot layout — slot positions never depend on the list length, so
+// appending only ever moves the new tile.
+const slotX = (i) => (i - (MAX_TASKS - 1) / 2) * TILE_GAP;
+const TILE_Y = DESK_Y + 0.04 + TILE_H / 2;
+
+// ─── Task tile ────────────────────────────────────────────────────────────────
+function TaskTile({ index, task, isSelected, isAccessed, delay, onClick }) {
+  const groupRef = useRef();
+  const tileRef = useRef();
+  const prevIndex = useRef(null);
+  const color = TASK_COLORS[task.color % TASK_COLORS.length];
+  const x = slotX(index);
+
+  // Drop onto the desk on mount, slide one slot when the index changes
+  useEffect(() => {
+    const g = groupRef.current;
+    if (!g) return;
+    if (prevIndex.current === null) {
+      g.position.set(x, TILE_Y + 2.5, 0);
+      gsap.to(g.position, {
+        y: TILE_Y,
+        duration: 0.5,
+        ease: "bounce.out",
+        delay,
+      });
+    } else if (prevIndex.current !== index) {
+      gsap
+        .timeline({ delay })
+        .to(g.position, { y: TILE_Y + 0.25, duration: 0.12 })
+        .to(g.position, { x, duration: 0.32, ease: "power2.inOut" })
+        .to(g.position, { y: TILE_Y, duration: 0.12 });
+    }
+    prevIndex.current = index;
+  }, [index]);
+
+  useFrame(({ clock }) => {
+    if (!tileRef.current) return;
+    const target = isAccessed
+      ? 0.12 + Math.sin(clock.elapsedTime * 4) * 0.03
+      : 0;
+    tileRef.current.position.y = THREE.MathUtils.lerp(
+      tileRef.current.position.y,
+      target,
+      0.15,
+    );
+  });
+
+  return (
+    <group
+      ref={groupRef}
+      position={[x, TILE_Y, 0]}
+      onClick={(e) => {
+        e.stopPropagation();
+        onClick(index);
+      }}
+      onPointerOver={(e) => {
+        e.stopPropagation();
+        document.body.style.cursor = "pointer";
+      }}
+      onPointerOut={() => {
+        document.body.style.cursor = "auto";
+      }}
+    >
+      <group ref={tileRef}>
+        <RoundedBox
+          args={[TILE_W, TILE_H, TILE_D]}
+          radius={0.02}
+          smoothness={4}
+        >
+          <meshStandardMaterial
+            color="#f8fafc"
+            roughness={0.5}
+            emissive={isAccessed ? color : "#000000"}
+            emissiveIntensity={isAccessed ? 0.35 : 0}
+          />
+        </RoundedBox>
+        {/* Colored priority strip */}
+        <mesh position={[-TILE_W / 2 + 0.05, TILE_H / 2 + 0.001, 0]}>
+          <boxGeometry args={[0.06, 0.004, TILE_D - 0.06]} />
+          <meshStandardMaterial color={color} roughness={0.4} />
+        </mesh>
+        {/* Checkbox */}
+        <mesh position={[-TILE_W / 2 + 0.18, TILE_H / 2 + 0.003, -0.12]}>
+          <boxGeometry args={[0.12, 0.006, 0.12]} />
+          <meshStandardMaterial color="#cbd5e1" roughness={0.6} />
+        </mesh>
+        <Text
+          position={[0.06, TILE_H / 2 + 0.006, -0.12]}
+          rotation={[-Math.PI / 2, 0, 0]}
+          fontSize={0.1}
+          color="#1e293b"
+          anchorX="center"
+          anchorY="middle"
+          maxWidth={0.6}
+        >
+          {task.label}
+        </Text>
+        <Text
+          position={[0, TILE_H / 2 + 0.006, 0.17]}
+          rotation={[-Math.PI / 2, 0, 0]}
+          fontSize={0.11}
+          color={isSelected ? "#d97706" : "#64748b"}
+          anchorX="center"
+          anchorY="middle"
+          fontWeight="bold"
+        >
+          [{index}]
+        </Text>
+        {isSelected && (
+          <mesh
+            position={[0, TILE_H / 2 + 0.01, 0]}
+            rotation={[-Math.PI / 2, 0, 0]}
+          >
+            <ringGeometry args={[0.5, 0.54, 48]} />
+            <meshStandardMaterial
+              color="#f39c12"
+              emissive="#f39c12"
+              emissiveIntensity={1.5}
+              side={THREE.DoubleSide}
+            />
+          </mesh>
+        )}
+      </group>
+    </group>
+  );
+}
+
+// ─── Desk with capacity slots ─────────────────────────────────────────────────
+function Desk({ size }) {
+  const width = MAX_TASKS * TILE_GAP;
+  return (
+    <group position={[0, DESK_Y, 0]}>
+      <mesh receiveShadow>
+        <boxGeometry args={[width + 0.8, 0.08, 1.6]} />
+        <meshStandardMaterial color="#7c5a3a" roughness={0.7} />
+      </mesh>
+      {[
+        [-(width / 2), -0.75, -0.6],
+        [-(width / 2), -0.75, 0.6],
+        [width / 2, -0.75, -0.6],
+        [width / 2, -0.75, 0.6],
+      ].map((pos, i) => (
+        <mesh key={i} position={pos}>
+          <boxGeometry args={[0.1, 1.4, 0.1]} />
+          <meshStandardMaterial color="#5c4128" roughness={0.8} />
+        </mesh>
+      ))}
+      {/* Slot outlines — the contiguous block reserved for the array */}
+      {Array.from({ length: MAX_TASKS }).map((_, i) => (
+        <group key={i} position={[slotX(i), 0.042, 0]}>
+          <mesh rotation={[-Math.PI / 2, 0, 0]}>
+            <planeGeometry args={[TILE_W + 0.06, TILE_D + 0.06]} />
+            <meshStandardMaterial
+              color={i < size ? "#4d7c0f" : "#3f2d1d"}
+              roughness={0.9}
+              transparent
+              opacity={0.6}
+            />
+          </mesh>
+          <Text
+            position={[0, 0.002, TILE_D / 2 + 0.14]}
+            rotation={[-Math.PI / 2, 0, 0]}
+            fontSize={0.08}
+            color={i < size ? "#bef264" : "#8a7060"}
+            anchorX="center"
+            anchorY="middle"
+          >
+            {i < size ? `slot ${i}` : "free"}
+          </Text>
+        </group>
+      ))}
+      {/* END marker — where an append lands */}
+      {size < MAX_TASKS && (
+        <Text
+          position={[slotX(size), 0.6, 0]}
+          fontSize={0.12}
+          color="#bef264"
+          anchorX="center"
+          anchorY="middle"
+          fontWeight="bold"
+        >
+          ↓ END (size = {size})
+        </Text>
+      )}
+    </group>
+  );
+}
+
+// ─── Full 3D Scene ────────────────────────────────────────────────────────────
+function TodoScene({
+  ar,
+  tasks,
+  delays,
+  selectedIndex,
+  accessedIndex,
+  onSelect,
+}) {
+  return (
+    <>
+      <ambientLight intensity={0.55} />
+      <directionalLight position={[3, 8, 5]} intensity={1.1} castShadow />
+      <directionalLight
+        position={[-4, 4, -2]}
+        intensity={0.3}
+        color="#d9f99d"
+      />
+      <pointLight position={[0, 2.5, 1.5]} intensity={0.5} color="#fff7e0" />
+
+      <ARPlacement
+        placement={ar}
+        scale={AR_SCALE}
+        lift={AR_LIFT}
+        color="#a3e635"
+      >
+        <Desk size={tasks.length} />
+        {tasks.map((task, i) => (
+          <TaskTile
+            key={task.id}
+            index={i}
+            task={task}
+            isSelected={selectedIndex === i}
+            isAccessed={accessedIndex === i}
+            delay={delays[task.id] ?? 0}
+            onClick={onSelect}
+          />
+        ))}
+      </ARPlacement>
+
+      {!ar.isAR && (
+        <>
+          <OrbitControls
+            enablePan={false}
+            minPolarAngle={Math.PI / 8}
+            maxPolarAngle={Math.PI / 2.3}
+            minDistance={4}
+            maxDistance={13}
+            target={[0, -0.4, 0]}
+          />
+          <Environment preset="apartment" />
+        </>
+      )}
+    </>
+  );
+}
+
+// ─── Main Export ──────────────────────────────────────────────────────────────
+export default function TodoList() {
+  const [model] = useState(
+    () => new ArrayModel({ items: INITIAL_TASKS, capacity: MAX_TASKS }),
+  );
+  const [tasks, setTasks] = useState(INITIAL_TASKS); // what the scene shows
+  const [delays, setDelays] = useState({});
+  const [selectedIndex, setSelectedIndex] = useState(null);
+  const [accessedIndex, setAccessedIndex] = useState(null);
+  const [isAnimating, setIsAnimating] = useState(false);
+  const [activeTab, setActiveTab] = useState("append");
+  const [log, setLog] = useState([]);
+  const [shiftStats, setShiftStats] = useState({ last: 0, total: 0 });
+  const [inputs, setInputs] = useState({
+    accessIdx: 0,
+    insertIdx: 1,
+    deleteIdx: 0,
+    newTask: "Gym",
+    updateTask: "Pay bills",
+  });
+  const animTimerRef = useRef(null);
+  const ar = useARPlacement(xrStore);
+
+  useEffect(() => () => clearTimeout(animTimerRef.current), []);
+
+  const addLog = (msg, type = "info") =>
+    setLog((p) => [{ msg, type, id: Date.now() }, ...p].slice(0, 8));
+  const setInput = (k, v) => setInputs((p) => ({ ...p, [k]: v }));
+
+  // Lock the controls until every staggered tile move has finished
+  const lockFor = (seconds) => {
+    setIsAnimating(true);
+    clearTimeout(animTimerRef.current);
+    animTimerRef.current = setTimeout(
+      () => setIsAnimating(false),
+      seconds * 1000 + 600,
+    );
+  };
+  const recordShifts = (n) =>
+    setShiftStats((p) => ({ last: n, total: p.total + n }));
+  const makeTask = (label) => ({
+    id: nextTaskId++,
+    label,
+    color: TASKS.indexOf(label) % TASK_COLORS.length,
+  });
+
+  const handleSelect = (idx) => {
+    setSelectedIndex((p) => (p === idx ? null : idx));
+    addLog(`Selected [${idx}] → "${tasks[idx].label}"`, "select");
+  };
+
+  const plural = (n) => `${n} tile${n === 1 ? "" : "s"}`;
+
+  // The model owns the list; each event staggers the tile moves it caused
+  useModelEvents(model, (e) => {
+    if (e.type === "access") {
+      setAccessedIndex(e.index);
+      addLog(
+        `✅ Access [${e.index}] → "${e.value.label}"  ·  ${e.complexity}`,
+        "success",
+      );
+    } else if (e.type === "insert") {
+      const { index: i, shifted, value: task } = e;
+      // Shift from the back: the last tile moves first, opening a gap at i
+      const d = {};
+      tasks.slice(i).forEach((t, k) => {
+        d[t.id] = (shifted - 1 - k) * SHIFT_STEP;
+      });
+      d[task.id] = shifted ? shifted * SHIFT_STEP + 0.25 : 0;
+      setDelays(d);
+      setTasks(model.toArray());
+      setSelectedIndex(null);
+      setAccessedIndex(null);
+      recordShifts(shifted);
+      lockFor(d[task.id]);
+      addLog(
+        i === tasks.length
+          ? `➕ Append "${task.label}" at END [${i}]  ·  0 shifts  ·  ${e.complexity}`
+          : `↪ Insert "${task.label}" at [${i}]  ·  ${plural(shifted)} shifted right  ·  ${e.complexity}`,
+        "success",
+      );
+    } else if (e.type === "remove") {
+      const { index: i, shifted } = e;
+      // Compact from the front: the tile right after the gap moves first
+      const d = {};
+      tasks.slice(i + 1).forEach((t, k) => {
+        d[t.id] = k * SHIFT_STEP;
+      });
+      setDelays(d);
+      setTasks(model.toArray());
+      setSelectedIndex(null);
+      setAccessedIndex(null);
+      recordShifts(shifted);
+      lockFor(shifted * SHIFT_STEP);
+      addLog(
+        `🗑️ Delete [${i}] "${e.value.label}"  ·  ${plural(shifted)} shifted left  ·  ${e.complexity}`,
+        "success",
+      );
+    } else if (e.type === "update") {
+      setTasks(model.toArray());
+      addLog(
+        `✏️ Update [${e.index}] "${e.previous.label}" → "${e.value.label}"  ·  ${e.complexity}`,
+        "success",
+      );
+    } else if (e.type === "outOfBounds") {
+      addLog("⚠️ Index out of bounds!", "error");
+    } else if (e.type === "overflow") {
+      addLog(`⚠️ List is full! Capacity ${e.capacity}.`, "error");
+    } else if (e.type === "reset") {
+      setTasks(e.items);
+      setDelays({});
+      setSelectedIndex(null);
+      setAccessedIndex(null);
+      setShiftStats({ last: 0, total: 0 });
+      setLog([]);
+    } else if (e.type === "restore") {
+      setTasks(e.items);
+      setDelays({});
+      setSelectedIndex(null);
+      setAccessedIndex(null);
+      addLog(`🕘 Back to ${e.items.length} task(s) on the list`, "info");
+    }
+  });
+
+  const timeline = useTimeline(model, {
+    busy: isAnimating,
+    describe: (e) => `${e.type} ${e.value.label} at [${e.index}]`,
+  });
+
+  // ── Access ─────────────────────────────────────────────────────────────────
+  const handleAccess = () => model.access(Number(inputs.accessIdx));
+
+  // ── Append ─────────────────────────────────────────────────────────────────
+  const handleAppend = () => {
+    if (isAnimating) return;
+    model.push(makeTask(inputs.newTask));
+  };
+
+  // ── Insert at index ────────────────────────────────────────────────────────
+  const handleInsert = () => {
+    if (isAnimating) return;
+    model.insert(Number(inputs.insertIdx), makeTask(inputs.newTask));
+  };
+
+  // ── Delete ─────────────────────────────────────────────────────────────────
+  const handleDelete = () => {
+    if (isAnimating) return;
+    model.remove(Number(inputs.deleteIdx));
+  };
+
+  // ── Update ─────────────────────────────────────────────────────────────────
+  const handleUpdate = () => {
+    if (selectedIndex === null)
+      return addLog("⚠️ Select a tile first!", "error");
+    model.update(selectedIndex, {
+      ...tasks[selectedIndex],
+      label: inputs.updateTask,
+    });
+  };
+
+  // ── Reset ──────────────────────────────────────────────────────────────────
+  const handleReset = () => {
+    if (isAnimating) return;
+    model.reset();
+  };
+
+  const tabBtn = (tab, emoji, label) => (
+    <button
+      key={tab}
+      onClick={() => setActiveTab(tab)}
+      className={`px-3 py-2 rounded-lg text-sm font-bold transition-all border-2 ${activeTab === tab ? "bg-lime-400 border-lime-400 text-gray-900" : "bg-transparent border-white/20 text-white/60 hover:border-lime-400/50 hover:text-white"}`}
+    >
+      {emoji} {label}
+    </button>
+  );
+
+  const taskSelect = (key) => (
+    <select
+      value={inputs[key]}
+      onChange={(e) => setInput(key, e.target.value)}
+      className="px-3 py-2 bg-black/40 border border-white/20 rounded-lg text-white text-sm focus:outline-none focus:border-lime-400"
+    >
+      {TASKS.map((t) => (
+        <option key={t} value={t}>
+          📝 {t}
+        </option>
+      ))}
+    </select>
+  );
+
+  const isFull = tasks.length >= MAX_TASKS;
+
+  return (
+    <div
+      className="flex flex-col gap-4 w-full"
+      style={{ fontFamily: "'Courier New',monospace" }}
+    >
+      <ARPlacementHud
+        placement={ar}
+        title="✅ TO-DO LIST — AR"
+        status={`size ${tasks.length} / capacity ${MAX_TASKS}`}
+        accent="#a3e635"
+        log={log}
+        actions={[
+          {
+            label: "➕ Append",
+            onClick: handleAppend,
+            disabled: isAnimating || isFull,
+            color: "#65a30d",
+          },
+          {
+            label: `↪️ Insert at [${inputs.insertIdx}]`,
+            onClick: handleInsert,
+            disabled: isAnimating || isFull,
+            color: "#0891b2",
+          },
+          {
+            label: `🗑️ Delete [${inputs.deleteIdx}]`,
+            onClick: handleDelete,
+            disabled: isAnimating || tasks.length === 0,
+            color: "#dc2626",
+          },
+          { label: "🔄 Reset", onClick: handleReset, disabled: isAnimating },
+        ]}
+      />
+
+      {/* Header */}
+      <div className="text-center">
+        <h2 className="text-3xl font-bold text-lime-300 tracking-widest">
+          ✅ TO-DO LIST
+        </h2>
+        <p className="text-white/50 text-sm mt-1">
+          size <span className="text-lime-300 font-bold">{tasks.length}</span> /
+          capacity {MAX_TASKS}
+          {selectedIndex !== null && (
+            <>
+              {" "}
+              &nbsp;·&nbsp; Selected:{" "}
+              <span className="text-lime-300 font-bold">
+                [{selectedIndex}] = "{tasks[selectedIndex].label}"
+              </span>
+            </>
+          )}
+        </p>
+      </div>
+
+      <ARButton placement={ar} accent="#a3e635" />
+
+      {/* 3D Canvas */}
+      <div
+        className="w-full rounded-2xl overflow-hidden border-2 border-lime-400/30 shadow-[0_0_40px_rgba(163,230,53,0.12)]"
+        style={{
+          height: 420,
+          background:
+            "linear-gradient(180deg,#0b1207 0%,#17240e 50%,#080d05 100%)",
+        }}
+      >
+        <Canvas camera={{ position: [0, 4.2, 6.2], fov: 46 }} shadows>
+          <XR store={xrStore}>
+            <TodoScene
+              ar={ar}
+              tasks={tasks}
+              delays={delays}
+              selectedIndex={selectedIndex}
+              accessedIndex={accessedIndex}
+              onSelect={handleSelect}
+            />
+          </XR>
+        </Canvas>
+      </div>
+
+      {/* Task bar */}
+      <div className="flex gap-1 flex-wrap justify-center">
+        {Array.from({ length: MAX_TASKS }).map((_, i) =>
+          i < tasks.length ? (
+            <button
+              key={tasks[i].id}
+              onClick={() => handleSelect(i)}
+              className={`flex flex-col items-center px-2 py-1 rounded-lg border transition-all text-xs ${selectedIndex === i ? "border-lime-400 bg-lime-400/20 text-lime-300" : accessedIndex === i ? "border-sky-400 bg-sky-400/20 text-sky-300" : "border-white/20 bg-white/10 text-white/80 hover:border-white/40"}`}
+            >
+              <span className="font-bold">{tasks[i].label}</span>
+              <span className="font-mono font-bold">[{i}]</span>
+            </button>
+          ) : (
+            <div
+              key={`free-${i}`}
+              className="flex flex-col items-center px-2 py-1 rounded-lg border border-dashed border-white/10 text-white/20 text-xs"
+            >
+              <span>free</span>
+              <span className="font-mono">[{i}]</span>
+            </div>
+          ),
+        )}
+      </div>
+
+      <TimelineBar timeline={timeline} accent="lime" disabled={isAnimating} />
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <div className="bg-white/5 border border-white/10 rounded-2xl p-5">
+          <div className="flex gap-2 mb-4 flex-wrap">
+            {tabBtn("access", "🔍", "Access")}
+            {tabBtn("append", "➕", "Append")}
+            {tabBtn("insert", "↪", "Insert")}
+            {tabBtn("delete", "🗑️", "Delete")}
+            {tabBtn("update", "✏️", "Update")}
+          </div>
+
+          {activeTab === "access" && (
+            <div className="flex flex-col gap-3">
+              <p className="text-white/50 text-xs">
+                Direct read by index —{" "}
+                <span className="text-green-400 font-bold">O(1)</span>
+              </p>
+              <div className="flex gap-2 items-center">
+                <span className="text-white/60 text-sm">Index</span>
+                <input
+                  type="number"
+                  min={0}
+                  max={tasks.length - 1}
+                  value={inputs.accessIdx}
+                  onChange={(e) => setInput("accessIdx", e.target.value)}
+                  className="w-20 px-3 py-2 bg-black/40 border border-white/20 rounded-lg text-lime-300 font-mono text-sm focus:outline-none focus:border-lime-400"
+                />
+                <button
+                  onClick={handleAccess}
+                  className="px-4 py-2 bg-blue-600 hover:bg-blue-500 rounded-lg text-white text-sm font-bold transition-all"
+                >
+                  Access
+                </button>
+              </div>
+            </div>
+          )}
+
+          {activeTab === "append" && (
+            <div className="flex flex-col gap-3">
+              <p className="text-white/50 text-xs">
+                Write into slot [size] — nothing else moves —{" "}
+                <span className="text-green-400 font-bold">O(1)</span>
+              </p>
+              <div className="flex gap-2 items-center flex-wrap">
+                {taskSelect("newTask")}
+                <button
+                  onClick={handleAppend}
+                  disabled={isAnimating || isFull}
+                  className="px-4 py-2 bg-green-600 hover:bg-green-500 disabled:opacity-40 disabled:cursor-not-allowed rounded-lg text-white text-sm font-bold transition-all"
+                >
+                  Append →
+                </button>
+              </div>
+            </div>
+          )}
+
+          {activeTab === "insert" && (
+            <div className="flex flex-col gap-3">
+              <p className="text-white/50 text-xs">
+                Every tile from [i] onward shifts one slot right first —{" "}
+                <span className="text-red-400 font-bold">O(n)</span>
+              </p>
+              <div className="flex gap-2 items-center flex-wrap">
+                <span className="text-white/60 text-sm">Index</span>
+                <input
+                  type="number"
+                  min={0}
+                  max={tasks.length}
+                  value={inputs.insertIdx}
+                  onChange={(e) => setInput("insertIdx", e.target.value)}
+                  className="w-20 px-3 py-2 bg-black/40 border border-white/20 rounded-lg text-lime-300 font-mono text-sm focus:outline-none focus:border-lime-400"
+                />
+                {taskSelect("newTask")}
+                <button
+                  onClick={handleInsert}
+                  disabled={isAnimating || isFull}
+                  className="px-4 py-2 bg-green-600 hover:bg-green-500 disabled:opacity-40 disabled:cursor-not-allowed rounded-lg text-white text-sm font-bold transition-all"
+                >
+                  Insert
+                </button>
+              </div>
+              <p className="text-white/30 text-xs">
+                Will shift{" "}
+                {Math.max(
+                  0,
+                  tasks.length -
+                    Math.min(
+                      Math.max(Number(inputs.insertIdx) || 0, 0),
+                      tasks.length,
+                    ),
+                )}{" "}
+                tile(s)
+              </p>
+            </div>
+          )}
+
+          {activeTab === "delete" && (
+            <div className="flex flex-col gap-3">
+              <p className="text-white/50 text-xs">
+                Later tiles shift left to close the gap —{" "}
+                <span className="text-red-400 font-bold">O(n)</span>
+              </p>
+              <div className="flex gap-2 items-center">
+                <span className="text-white/60 text-sm">Index</span>
+                <input
+                  type="number"
+                  min={0}
+                  max={tasks.length - 1}
+                  value={inputs.deleteIdx}
+                  onChange={(e) => setInput("deleteIdx", e.target.value)}
+                  className="w-20 px-3 py-2 bg-black/40 border border-white/20 rounded-lg text-lime-300 font-mono text-sm focus:outline-none focus:border-lime-400"
+                />
+                <button
+                  onClick={handleDelete}
+                  disabled={isAnimating || tasks.length === 0}
+                  className="px-4 py-2 bg-red-600 hover:bg-red-500 disabled:opacity-40 disabled:cursor-not-allowed rounded-lg text-white text-sm font-bold transition-all"
+                >
+                  Delete
+                </button>
+              </div>
+            </div>
+          )}
+
+          {activeTab === "update" && (
+            <div className="flex flex-col gap-3">
+              <p className="text-white/50 text-xs">
+                Overwrite by index —{" "}
+                <span className="text-green-400 font-bold">O(1)</span>. Click a
+                tile first.
+              </p>
+              <div className="flex gap-2 items-center flex-wrap">
+                <span className="text-white/60 text-sm">Replace with</span>
+                {taskSelect("updateTask")}
+                <button
+                  onClick={handleUpdate}
+                  disabled={selectedIndex === null}
+                  className="px-4 py-2 bg-purple-600 hover:bg-purple-500 disabled:opacity-40 disabled:cursor-not-allowed rounded-lg text-white text-sm font-bold transition-all"
+                >
+                  Update [{selectedIndex ?? "?"}]
+                </button>
+              </div>
+            </div>
+          )}
+
+          <button
+            onClick={handleReset}
+            disabled={isAnimating}
+            className="mt-4 w-full py-2 bg-white/5 hover:bg-white/10 border border-white/10 rounded-lg text-white/50 hover:text-white/80 text-sm transition-all disabled:opacity-40"
+          >
+            🔄 Reset to Default
+          </button>
+        </div>
+
+        {/* Log + Complexity */}
+        <div className="bg-black/40 border border-white/10 rounded-2xl p-5 flex flex-col gap-4">
+          <div>
+            <p className="text-white/40 text-xs uppercase tracking-widest mb-2">
+              📋 Operation Log
+            </p>
+            <div className="flex flex-col gap-1 max-h-36 overflow-y-auto">
+              {log.length === 0 ? (
+                <p className="text-white/30 text-xs italic">
+                  No operations yet…
+                </p>
+              ) : (
+                log.map((e, i) => (
+                  <div
+                    key={e.id}
+                    className={`text-xs font-mono py-1 px-2 rounded border-l-2 ${e.type === "success" ? "border-green-400 bg-green-400/5 text-green-300" : e.type === "error" ? "border-red-400 bg-red-400/5 text-red-300" : e.type === "select" ? "border-lime-400 bg-lime-400/5 text-lime-300" : "border-blue-400 bg-blue-400/5 text-blue-300"} ${i > 0 ? "opacity-50" : ""}`}
+                  >
+                    {e.msg}
+                  </div>
+                ))
+              )}
+            </div>
+          </div>
+          <div>
+            <p className="text-white/40 text-xs uppercase tracking-widest mb-2">
+              ⚡ Time Complexity
+            </p>
+            <div className="grid grid-cols-2 gap-1 text-xs font-mono">
+              {[
+                ["Access", "O(1)", true],
+                ["Update", "O(1)", true],
+                ["Append (end)", "O(1)", true],
+                ["Insert at i", "O(n)", false],
+                ["Delete at i", "O(n)", false],
+                ["Delete last", "O(1)", true],
+              ].map(([op, c, fast]) => (
+                <div
+                  key={op}
+                  className="flex justify-between px-3 py-2 bg-white/5 rounded-lg"
+                >
+                  <span className="text-white/60">{op}</span>
+                  <span
+                    className={`font-bold ${fast ? "text-green-400" : "text-red-400"}`}
+                  >
+                    {c}
+                  </span>
+                </div>
+              ))}
+            </div>
+
+            {/* Shift counter */}
+            <div className="mt-3 px-3 py-2 bg-lime-400/10 border border-lime-400/25 rounded-lg">
+              <div className="grid grid-cols-2 gap-x-4 gap-y-1 text-xs">
+                <div className="flex justify-between">
+                  <span className="text-white/50">last op shifts:</span>
+                  <span className="font-bold text-lime-300">
+                    {shiftStats.last}
+                  </span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-white/50">total shifts:</span>
+                  <span className="font-bold text-lime-300">
+                    {shiftStats.total}
+                  </span>
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+      <p className="text-center text-white/25 text-xs pb-2">
+        💡 Append vs Insert at [0] — count the tiles that move · Drag to rotate
+        · Scroll to zoom
+      </p>
+    </div>
+  );
+}
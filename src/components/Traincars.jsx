@@ -0,0 +1,1113 @@
+import { useRef, useState, useEffect, useMemo } from "react";
+import { Canvas, useFrame } from "@react-three/fiber";
+import {
+  Text,
+  RoundedBox,
+  OrbitControls,
+  Environment,
+  Line,
+} from "@react-three/drei";
+import { XR, createXRStore } from "@react-three/xr";
+import { gsap } from "gsap";
+import * as THREE from "three";
+import ARPlacement, { ARPlacementHud } from "./ARPlacement";
+import TimelineBar from "./TimelineBar";
+import { LinkedListModel } from "../models";
+import { useModelEvents } from "../hooks/useModelEvents";
+import { useTimeline } from "../hooks/useTimeline";
+import { useARPlacement } from "../hooks/useARPlacement";
+
+// ─── XR Store ─────────────────────────────────────────────────────────────────
+const xrStore = createXRStore();
+
+// ─── Constants ────────────────────────────────────────────────────────────────
+const CAR_L = 1.5;
+const CAR_H = 0.6;
+const CAR_W = 0.8;
+const WHEEL_R = 0.14;
+const FLOOR_Y = -0.9;
+const CAR_Y = FLOOR_Y + WHEEL_R * 2 + CAR_H / 2;
+const HOOK_Y = CAR_Y - 0.12;
+const MAX_CARS = 8;
+const STEP_MS = 1100;
+const AR_SCALE = 0.12;
+const AR_LIFT = -(FLOOR_Y - 0.03); // rests the hallway floor on the surface
+
+// Parking spots scattered along the hallway — cars take whichever spot is
+// free, so list order and physical order deliberately disagree.
+const SPOTS = [
+  [-6.0, -1.2],
+  [-6.0, 1.2],
+  [-3.6, -1.2],
+  [-3.6, 1.2],
+  [-1.2, -1.2],
+  [-1.2, 1.2],
+  [1.2, -1.2],
+  [1.2, 1.2],
+  [3.6, -1.2],
+  [3.6, 1.2],
+  [6.0, -1.2],
+  [6.0, 1.2],
+];
+
+const CAR_STYLES = [
+  { name: "Engine", body: "#c0392b", roof: "#7b241c" },
+  { name: "Coach", body: "#2471a3", roof: "#1a5276" },
+  { name: "Tanker", body: "#7f8c8d", roof: "#566573" },
+  { name: "Boxcar", body: "#ca6f1e", roof: "#935116" },
+  { name: "Hopper", body: "#1e8449", roof: "#145a32" },
+  { name: "Diner", body: "#7d3c98", roof: "#5b2c6f" },
+  { name: "Sleeper", body: "#148f77", roof: "#0e6655" },
+  { name: "Caboose", body: "#b7950b", roof: "#7d6608" },
+];
+
+const INITIAL_CARS = [
+  { id: 1, styleIdx: 0, spot: 7 },
+  { id: 2, styleIdx: 1, spot: 2 },
+  { id: 3, styleIdx: 3, spot: 9 },
+  { id: 4, styleIdx: 7, spot: 4 },
+];
+let nextCarId = 10;
+
+const spotPos = (spot) => [SPOTS[spot][0], 0, SPOTS[spot][1]];
+const addressOf = (spot) =>
+  `0x${(0x1a0 + spot * 0x38).toString(16).toUpperCase()}`;
+
+// Follow next pointers from HEAD — the only way to know the list order
+function listOrder(list) {
+  const order = [];
+  let cur = list.head;
+  while (cur !== null && order.length <= MAX_CARS + 2) {
+    order.push(cur);
+    cur = list.nodes[cur]?.next ?? null;
+  }
+  return order;
+}
+
+// The model keeps cars in list order; the scene needs them as pointers
+function linkCars(cars) {
+  const nodes = {};
+  cars.forEach((car, k) => {
+    nodes[car.id] = { ...car, next: cars[k + 1]?.id ?? null };
+  });
+  return { head: cars[0]?.id ?? null, nodes };
+}
+
+function setNext(list, id, next) {
+  return {
+    ...list,
+    nodes: { ...list.nodes, [id]: { ...list.nodes[id], next } },
+  };
+}
+
+// ─── Train car ────────────────────────────────────────────────────────────────
+function TrainCar({
+  node,
+  index,
+  isHead,
+  isFocused,
+  isVisited,
+  isLeaving,
+  onClick,
+}) {
+  const groupRef = useRef();
+  const bodyRef = useRef();
+  const style = CAR_STYLES[node.styleIdx];
+  const [x, , z] = spotPos(node.spot);
+
+  // Roll in from the hallway entrance
+  useEffect(() => {
+    if (!groupRef.current) return;
+    groupRef.current.position.set(x - 14, CAR_Y, z);
+    gsap.to(groupRef.current.position, {
+      x,
+      duration: 0.9,
+      ease: "power2.out",
+    });
+  }, []);
+
+  // Uncoupled car drives away
+  useEffect(() => {
+    if (!groupRef.current || !isLeaving) return;
+    gsap.to(groupRef.current.position, {
+      x: x + 14,
+      duration: 0.9,
+      ease: "power2.in",
+    });
+  }, [isLeaving]);
+
+  useFrame(({ clock }) => {
+    if (!bodyRef.current) return;
+    bodyRef.current.position.y = isFocused
+      ? Math.sin(clock.elapsedTime * 6) * 0.03
+      : THREE.MathUtils.lerp(bodyRef.current.position.y, 0, 0.15);
+  });
+
+  const glow = isFocused ? "#facc15" : isVisited ? "#2ecc71" : "#000000";
+
+  return (
+    <group
+      ref={groupRef}
+      position={[x, CAR_Y, z]}
+      onClick={(e) => {
+        e.stopPropagation();
+        onClick(node.id);
+      }}
+      onPointerOver={(e) => {
+        e.stopPropagation();
+        document.body.style.cursor = "pointer";
+      }}
+      onPointerOut={() => {
+        document.body.style.cursor = "auto";
+      }}
+    >
+      <group ref={bodyRef}>
+        {/* Body */}
+        <RoundedBox args={[CAR_L, CAR_H, CAR_W]} radius={0.05} smoothness={4}>
+          <meshStandardMaterial
+            color={style.body}
+            roughness={0.45}
+            metalness={0.2}
+            emissive={glow}
+            emissiveIntensity={isFocused ? 0.45 : isVisited ? 0.3 : 0}
+          />
+        </RoundedBox>
+        {/* Roof */}
+        <mesh position={[0, CAR_H / 2 + 0.04, 0]}>
+          <boxGeometry args={[CAR_L + 0.06, 0.08, CAR_W + 0.06]} />
+          <meshStandardMaterial color={style.roof} roughness={0.6} />
+        </mesh>
+        {/* Windows */}
+        {[-0.45, 0, 0.45].map((wx) => (
+          <mesh key={wx} position={[wx, 0.08, CAR_W / 2 + 0.003]}>
+            <planeGeometry args={[0.3, 0.2]} />
+            <meshStandardMaterial
+              color="#d6eaf8"
+              emissive="#d6eaf8"
+              emissiveIntensity={0.2}
+            />
+          </mesh>
+        ))}
+        {/* Address plate */}
+        <Text
+          position={[0, -0.16, CAR_W / 2 + 0.006]}
+          fontSize={0.1}
+          color="#fdfefe"
+          anchorX="center"
+          anchorY="middle"
+        >
+          {`${style.name} @ ${addressOf(node.spot)}`}
+        </Text>
+        {/* Hooks: front (left) and rear (right) */}
+        {[-1, 1].map((side) => (
+          <mesh key={side} position={[side * (CAR_L / 2 + 0.06), -0.12, 0]}>
+            <boxGeometry args={[0.12, 0.06, 0.1]} />
+            <meshStandardMaterial
+              color="#2c3e50"
+              metalness={0.7}
+              roughness={0.3}
+            />
+          </mesh>
+        ))}
+        {/* Index tag on top */}
+        <Text
+          position={[0, CAR_H / 2 + 0.2, 0]}
+          fontSize={0.13}
+          color={isFocused ? "#facc15" : "#99f6e4"}
+          anchorX="center"
+          anchorY="middle"
+          fontWeight="bold"
+        >
+          {index === null ? "unlinked" : `node[${index}]`}
+        </Text>
+      </group>
+
+      {/* Wheels */}
+      {[
+        [-0.5, -1],
+        [-0.5, 1],
+        [0.5, -1],
+        [0.5, 1],
+      ].map(([wx, side], i) => (
+        <mesh
+          key={i}
+          position={[wx, -CAR_H / 2 - WHEEL_R + 0.02, side * (CAR_W / 2)]}
+          rotation={[Math.PI / 2, 0, 0]}
+        >
+          <cylinderGeometry args={[WHEEL_R, WHEEL_R, 0.06, 16]} />
+          <meshStandardMaterial color="#1c1c1c" metalness={0.6} />
+        </mesh>
+      ))}
+
+      {/* next == NULL → coupler hangs loose */}
+      {node.next === null && (
+        <group position={[CAR_L / 2 + 0.12, -0.12, 0]}>
+          <Line
+            points={[
+              [0, 0, 0],
+              [0.15, -0.12, 0],
+              [0.22, -0.3, 0],
+            ]}
+            color="#e74c3c"
+            lineWidth={3}
+          />
+          <Text
+            position={[0.35, -0.45, 0]}
+            fontSize={0.1}
+            color="#e74c3c"
+            anchorX="center"
+            anchorY="middle"
+            fontWeight="bold"
+          >
+            NULL
+          </Text>
+        </group>
+      )}
+      {isHead && (
+        <group position={[0, CAR_H / 2 + 0.45, 0]}>
+          <RoundedBox args={[0.62, 0.2, 0.06]} radius={0.03} smoothness={4}>
+            <meshStandardMaterial
+              color="#2ecc71"
+              emissive="#2ecc71"
+              emissiveIntensity={0.4}
+            />
+          </RoundedBox>
+          <Text
+            position={[0, 0, 0.04]}
+            fontSize={0.1}
+            color="#fff"
+            anchorX="center"
+            anchorY="middle"
+            fontWeight="bold"
+          >
+            HEAD
+          </Text>
+        </group>
+      )}
+    </group>
+  );
+}
+
+// ─── Coupler (next pointer) from one car's rear hook to another's front hook ──
+function Coupler({ fromSpot, toSpot, color }) {
+  const { points, tip, quat } = useMemo(() => {
+    const [fx, , fz] = spotPos(fromSpot);
+    const [tx, , tz] = spotPos(toSpot);
+    const a = new THREE.Vector3(fx + CAR_L / 2 + 0.12, HOOK_Y, fz);
+    const b = new THREE.Vector3(tx - CAR_L / 2 - 0.12, HOOK_Y, tz);
+    // Arc over the cars when the target sits behind the source
+    const lift = b.x < a.x ? 1.1 : 0.35;
+    const mid = new THREE.Vector3(
+      (a.x + b.x) / 2,
+      HOOK_Y + lift,
+      (a.z + b.z) / 2,
+    );
+    const curve = new THREE.QuadraticBezierCurve3(a, mid, b);
+    const dir = curve.getTangent(1).normalize();
+    return {
+      points: curve.getPoints(24),
+      tip: b,
+      quat: new THREE.Quaternion().setFromUnitVectors(
+        new THREE.Vector3(0, 1, 0),
+        dir,
+      ),
+    };
+  }, [fromSpot, toSpot]);
+
+  return (
+    <>
+      <Line points={points} color={color} lineWidth={3} />
+      <mesh position={tip} quaternion={quat}>
+        <coneGeometry args={[0.07, 0.18, 10]} />
+        <meshStandardMaterial
+          color={color}
+          emissive={color}
+          emissiveIntensity={0.5}
+        />
+      </mesh>
+    </>
+  );
+}
+
+// ─── Hallway floor + track markings ───────────────────────────────────────────
+function Hallway() {
+  return (
+    <group position={[0, FLOOR_Y, 0]}>
+      <mesh receiveShadow>
+        <boxGeometry args={[16, 0.06, 4.6]} />
+        <meshStandardMaterial color="#3d4654" roughness={0.9} />
+      </mesh>
+      {/* Parking spots = memory cells */}
+      {SPOTS.map(([sx, sz], i) => (
+        <group key={i} position={[sx, 0.032, sz]}>
+          <mesh rotation={[-Math.PI / 2, 0, 0]}>
+            <planeGeometry args={[CAR_L + 0.4, CAR_W + 0.3]} />
+            <meshStandardMaterial
+              color="#2b323d"
+              roughness={0.9}
+              transparent
+              opacity={0.9}
+            />
+          </mesh>
+          <Text
+            position={[0, 0.002, (sz < 0 ? -1 : 1) * (CAR_W / 2 + 0.3)]}
+            rotation={[-Math.PI / 2, 0, 0]}
+            fontSize={0.11}
+            color="#5f6b7a"
+            anchorX="center"
+            anchorY="middle"
+          >
+            {addressOf(i)}
+          </Text>
+        </group>
+      ))}
+    </group>
+  );
+}
+
+// ─── Scene contents (shared by 3D and AR) ─────────────────────────────────────
+function TrainWorld({ list, focus, visited, leavingId, onSelect }) {
+  const order = listOrder(list);
+  return (
+    <>
+      <Hallway />
+      {Object.values(list.nodes).map((node) => {
+        if (node.next === null || !list.nodes[node.next]) return null;
+        const isFocused = focus.couplers.includes(node.id);
+        const isVisited = visited.has(node.id) && visited.has(node.next);
+        return (
+          <Coupler
+            key={`c-${node.id}-${node.next}`}
+            fromSpot={node.spot}
+            toSpot={list.nodes[node.next].spot}
+            color={isFocused ? "#facc15" : isVisited ? "#2ecc71" : "#94a3b8"}
+          />
+        );
+      })}
+      {Object.values(list.nodes).map((node) => {
+        const idx = order.indexOf(node.id);
+        return (
+          <TrainCar
+            key={node.id}
+            node={node}
+            index={idx === -1 ? null : idx}
+            isHead={list.head === node.id}
+            isFocused={focus.cars.includes(node.id)}
+            isVisited={visited.has(node.id)}
+            isLeaving={leavingId === node.id}
+            onClick={onSelect}
+          />
+        );
+      })}
+    </>
+  );
+}
+
+function TrainScene(props) {
+  return (
+    <>
+      <ambientLight intensity={0.55} />
+      <directionalLight position={[4, 9, 5]} intensity={1.1} castShadow />
+      <directionalLight
+        position={[-5, 4, -3]}
+        intensity={0.35}
+        color="#a0d8d0"
+      />
+      <pointLight position={[0, 3, 0]} intensity={0.5} color="#e0fff8" />
+      <TrainWorld {...props} />
+      <OrbitControls
+        enablePan={false}
+        minPolarAngle={Math.PI / 6}
+        maxPolarAngle={Math.PI / 2.2}
+        minDistance={5}
+        maxDistance={18}
+        target={[0, -0.3, 0]}
+      />
+      <Environment preset="warehouse" />
+    </>
+  );
+}
+
+function ARTrainWorld({ ar, ...props }) {
+  return (
+    <>
+      <ambientLight intensity={1.4} />
+      <directionalLight position={[5, 8, 4]} intensity={1.6} />
+      {/* Hallway on the surface the user picked */}
+      <ARPlacement
+        placement={ar}
+        scale={AR_SCALE}
+        lift={AR_LIFT}
+        color="#2dd4bf"
+      >
+        <TrainWorld {...props} />
+      </ARPlacement>
+    </>
+  );
+}
+
+// ─── Main Export ──────────────────────────────────────────────────────────────
+export default function TrainCars() {
+  const [model] = useState(() => new LinkedListModel({ nodes: INITIAL_CARS }));
+  const [list, setList] = useState(() => linkCars(INITIAL_CARS)); // what the scene shows
+  const [focus, setFocus] = useState({ cars: [], couplers: [] });
+  const [visited, setVisited] = useState(new Set());
+  const [leavingId, setLeavingId] = useState(null);
+  const [stepText, setStepText] = useState(null);
+  const [isAnimating, setIsAnimating] = useState(false);
+  const [selectedId, setSelectedId] = useState(null);
+  const [activeTab, setActiveTab] = useState("insert");
+  const [log, setLog] = useState([]);
+  const [styleIdx, setStyleIdx] = useState(5);
+  const [insertPos, setInsertPos] = useState("after");
+  const [insertIdx, setInsertIdx] = useState(1);
+  const timersRef = useRef([]);
+  const ar = useARPlacement(xrStore);
+  const isARMode = ar.isAR;
+
+  useEffect(() => () => timersRef.current.forEach(clearTimeout), []);
+
+  const addLog = (msg, type = "info") =>
+    setLog((p) => [{ msg, type, id: Date.now() }, ...p].slice(0, 8));
+
+  const order = listOrder(list);
+  const carCount = Object.keys(list.nodes).length;
+  const nameOf = (id) => CAR_STYLES[list.nodes[id].styleIdx].name;
+
+  // Play a sequence of pointer updates, one every STEP_MS
+  const runSteps = (steps, doneMsg) => {
+    setIsAnimating(true);
+    setVisited(new Set());
+    steps.forEach((step, k) => {
+      timersRef.current.push(
+        setTimeout(() => {
+          if (step.apply) setList(step.apply);
+          if (step.leave) setLeavingId(step.leave);
+          setFocus({ cars: step.cars ?? [], couplers: step.couplers ?? [] });
+          setStepText(`Step ${k + 1}/${steps.length}: ${step.text}`);
+        }, k * STEP_MS),
+      );
+    });
+    timersRef.current.push(
+      setTimeout(() => {
+        setFocus({ cars: [], couplers: [] });
+        setIsAnimating(false);
+        addLog(doneMsg, "success");
+      }, steps.length * STEP_MS),
+    );
+  };
+
+  const handleSelect = (id) => {
+    const idx = order.indexOf(id);
+    setSelectedId((p) => (p === id ? null : id));
+    addLog(
+      `Selected ${idx === -1 ? "unlinked car" : `node[${idx}]`} "${nameOf(id)}" @ ${addressOf(list.nodes[id].spot)}`,
+      "select",
+    );
+  };
+
+  // ── Insert ─────────────────────────────────────────────────────────────────
+  // The model changes at once; the scene then replays the pointer updates
+  // one coupler at a time from the list it still shows
+  const animateInsert = (e) => {
+    const { id, styleIdx: carStyle, spot } = e.value;
+    const name = CAR_STYLES[carStyle].name;
+    const create = {
+      text: `new = Car("${name}") at ${addressOf(spot)} — new.next = NULL`,
+      cars: [id],
+      apply: (l) => ({
+        ...l,
+        nodes: { ...l.nodes, [id]: { ...e.value, next: null } },
+      }),
+    };
+
+    if (e.index === 0) {
+      const oldHead = list.head;
+      const steps = [create];
+      if (oldHead !== null)
+        steps.push({
+          text: "new.next = HEAD — couple new car to the old first car",
+          cars: [id, oldHead],
+          couplers: [id],
+          apply: (l) => setNext(l, id, oldHead),
+        });
+      steps.push({
+        text: "HEAD = new",
+        cars: [id],
+        apply: (l) => ({ ...l, head: id }),
+      });
+      return runSteps(
+        steps,
+        `➕ Inserted "${name}" at HEAD  ·  ${e.complexity}`,
+      );
+    }
+
+    const prevIdx = e.index - 1;
+    const prev = order[prevIdx];
+    const succ = list.nodes[prev].next;
+    const steps = [
+      e.steps > 1
+        ? {
+            text: `Walk from HEAD to node[${prevIdx}] (${prevIdx} hop${prevIdx === 1 ? "" : "s"})`,
+            cars: order.slice(0, prevIdx + 1),
+          }
+        : {
+            text: "prev = TAIL — the list keeps a TAIL pointer, no walk needed",
+            cars: [prev],
+          },
+      create,
+    ];
+    if (succ !== null) {
+      steps.push(
+        {
+          text: `new.next = prev.next — couple new car to "${nameOf(succ)}"`,
+          cars: [id, succ],
+          couplers: [id],
+          apply: (l) => setNext(l, id, succ),
+        },
+        {
+          text: `Detach prev's coupler from "${nameOf(succ)}"`,
+          cars: [prev],
+          apply: (l) => setNext(l, prev, null),
+        },
+      );
+    }
+    steps.push({
+      text: "prev.next = new — re-attach prev's coupler to the new car",
+      cars: [prev, id],
+      couplers: [prev],
+      apply: (l) => setNext(l, prev, id),
+    });
+    runSteps(
+      steps,
+      `➕ Inserted "${name}" at index ${e.index}  ·  ${e.complexity}`,
+    );
+  };
+
+  const handleInsert = () => {
+    if (isAnimating) return;
+    if (carCount >= MAX_CARS)
+      return addLog(`⚠️ Hallway full! Max ${MAX_CARS} cars.`, "error");
+    const used = new Set(Object.values(list.nodes).map((n) => n.spot));
+    const free = SPOTS.map((_, i) => i).filter((i) => !used.has(i));
+    const spot = free[Math.floor(Math.random() * free.length)];
+    const index =
+      insertPos === "head"
+        ? 0
+        : insertPos === "tail"
+          ? order.length
+          : Math.min(Math.max(Number(insertIdx), 1), order.length);
+    model.insertAt(index, { id: nextCarId++, styleIdx, spot });
+  };
+
+  // ── Delete ─────────────────────────────────────────────────────────────────
+  const animateRemove = (e) => {
+    const idx = e.index;
+    const target = e.value.id;
+    const succ = list.nodes[target].next;
+    const name = nameOf(target);
+    const remove = [
+      {
+        text: `target.next = NULL — "${name}" is uncoupled and leaves`,
+        cars: [target],
+        apply: (l) => setNext(l, target, null),
+        leave: target,
+      },
+      {
+        text: `free(${addressOf(list.nodes[target].spot)}) — its spot is free again`,
+        apply: (l) => {
+          const nodes = { ...l.nodes };
+          delete nodes[target];
+          return { ...l, nodes };
+        },
+      },
+    ];
+    setSelectedId(null);
+
+    if (idx === 0) {
+      return runSteps(
+        [
+          {
+            text: `HEAD = HEAD.next — HEAD moves to ${succ === null ? "NULL" : `"${nameOf(succ)}"`}`,
+            cars: succ === null ? [target] : [target, succ],
+            apply: (l) => ({ ...l, head: succ }),
+          },
+          ...remove,
+        ],
+        `🗑️ Deleted HEAD "${name}"  ·  ${e.complexity}`,
+      );
+    }
+    const prev = order[idx - 1];
+    runSteps(
+      [
+        {
+          text: `Walk from HEAD to node[${idx - 1}], the car before "${name}"`,
+          cars: order.slice(0, idx),
+        },
+        {
+          text: `Detach prev's coupler from "${name}"`,
+          cars: [prev, target],
+          apply: (l) => setNext(l, prev, null),
+        },
+        {
+          text:
+            succ === null
+              ? "prev.next = target.next = NULL — prev becomes the last car"
+              : `prev.next = target.next — re-couple prev to "${nameOf(succ)}"`,
+          cars: succ === null ? [prev] : [prev, succ],
+          couplers: [prev],
+          apply: (l) => setNext(l, prev, succ),
+        },
+        ...remove,
+      ],
+      `🗑️ Deleted node[${idx}] "${name}"  ·  ${e.complexity}`,
+    );
+  };
+
+  const handleDelete = (where) => {
+    if (isAnimating) return;
+    if (order.length === 0) return addLog("⚠️ List is empty!", "error");
+    let idx;
+    if (where === "head") idx = 0;
+    else if (where === "tail") idx = order.length - 1;
+    else {
+      idx = order.indexOf(selectedId);
+      if (idx === -1)
+        return addLog("⚠️ Click a linked car first to delete it!", "error");
+    }
+    model.removeAt(idx);
+  };
+
+  // ── Traverse ───────────────────────────────────────────────────────────────
+  const animateTraverse = (e) => {
+    const ids = e.order.map((k) => order[k]);
+    setIsAnimating(true);
+    setVisited(new Set());
+    setStepText("cur = HEAD");
+    ids.forEach((id, k) => {
+      timersRef.current.push(
+        setTimeout(() => {
+          setVisited((p) => new Set([...p, id]));
+          setFocus({ cars: [id], couplers: [] });
+          setStepText(`node[${k}] "${nameOf(id)}" → cur = cur.next`);
+        }, k * 700),
+      );
+    });
+    timersRef.current.push(
+      setTimeout(() => {
+        setFocus({ cars: [], couplers: [] });
+        setStepText("cur == NULL — end of train");
+        setIsAnimating(false);
+        addLog(
+          `✅ Traversal complete — followed ${ids.length} couplers  ·  ${e.complexity}`,
+          "success",
+        );
+      }, ids.length * 700),
+    );
+  };
+
+  const handleTraverse = () => {
+    if (isAnimating) return;
+    model.traverse();
+  };
+
+  // ── Reset ──────────────────────────────────────────────────────────────────
+  const showCars = (cars) => {
+    timersRef.current.forEach(clearTimeout);
+    timersRef.current = [];
+    setList(linkCars(cars));
+    setFocus({ cars: [], couplers: [] });
+    setVisited(new Set());
+    setLeavingId(null);
+    setStepText(null);
+    setSelectedId(null);
+    setIsAnimating(false);
+  };
+
+  useModelEvents(model, (e) => {
+    if (e.type === "insert") animateInsert(e);
+    else if (e.type === "remove") animateRemove(e);
+    else if (e.type === "traverse") animateTraverse(e);
+    else if (e.type === "reset") {
+      showCars(e.items);
+      setLog([]);
+    } else if (e.type === "restore") {
+      showCars(e.items);
+      addLog(`🕘 Back to ${e.items.length} car(s) on the train`, "info");
+    }
+  });
+
+  const timeline = useTimeline(model, {
+    busy: isAnimating,
+    describe: (e) =>
+      `${e.type} ${CAR_STYLES[e.value.styleIdx].name} at [${e.index}]`,
+  });
+
+  const handleReset = () => model.reset();
+
+  const tabBtn = (tab, emoji, label) => (
+    <button
+      key={tab}
+      onClick={() => setActiveTab(tab)}
+      className={`px-3 py-2 rounded-lg text-sm font-bold transition-all border-2 ${activeTab === tab ? "bg-teal-400 border-teal-400 text-gray-900" : "bg-transparent border-white/20 text-white/60 hover:border-teal-400/50 hover:text-white"}`}
+    >
+      {emoji} {label}
+    </button>
+  );
+
+  const worldProps = {
+    list,
+    focus,
+    visited,
+    leavingId,
+    onSelect: handleSelect,
+  };
+  const selectedIdx = selectedId === null ? -1 : order.indexOf(selectedId);
+
+  return (
+    <div
+      className="flex flex-col gap-4 w-full"
+      style={{ fontFamily: "'Courier New', monospace" }}
+    >
+      <ARPlacementHud
+        placement={ar}
+        title="🚃 TRAIN CARS — AR"
+        status={`${order.length} cars`}
+        accent="#2dd4bf"
+        actions={[
+          {
+            label: "➕ Insert",
+            onClick: handleInsert,
+            disabled: isAnimating,
+            color: "#16a34a",
+          },
+          {
+            label: "🗑️ Delete HEAD",
+            onClick: () => handleDelete("head"),
+            disabled: isAnimating,
+            color: "#b91c1c",
+          },
+        ]}
+      >
+        <div
+          style={{
+            background: "rgba(0,0,0,0.8)",
+            border: "1px solid rgba(45,212,191,0.3)",
+            borderRadius: 14,
+            padding: "10px 14px",
+            color: "#99f6e4",
+            fontSize: 12,
+          }}
+        >
+          {stepText ?? "🚃 Train Cars — tap a button to start"}
+        </div>
+      </ARPlacementHud>
+
+      {/* Header */}
+      <div className="text-center">
+        <h2 className="text-3xl font-bold text-teal-300 tracking-widest">
+          🚃 TRAIN CARS
+        </h2>
+        <p className="text-white/50 text-sm mt-1">
+          Linked List · {order.length} cars
+          {selectedIdx !== -1 && (
+            <>
+              {" "}
+              &nbsp;·&nbsp; Selected:{" "}
+              <span className="text-teal-300 font-bold">
+                node[{selectedIdx}] = "{nameOf(selectedId)}"
+              </span>
+            </>
+          )}
+        </p>
+      </div>
+
+      {/* AR launch */}
+      {!isARMode && (
+        <div className="flex flex-col items-center gap-2">
+          {ar.supported ? (
+            <button
+              onClick={ar.enter}
+              className="px-5 py-2.5 rounded-xl border-none font-bold text-sm text-white cursor-pointer"
+              style={{
+                background: "linear-gradient(135deg,#14b8a6,#0d9488)",
+                boxShadow: "0 0 20px rgba(20,184,166,0.4)",
+              }}
+            >
+              📱 Place Train on Floor (AR)
+            </button>
+          ) : (
+            <span className="text-white/40 text-xs">
+              📵 AR not supported on this device/browser — 3D view below
+            </span>
+          )}
+          {ar.error && <p className="text-red-400 text-xs">{ar.error}</p>}
+        </div>
+      )}
+
+      {/* Canvas */}
+      <div
+        className={`w-full rounded-2xl overflow-hidden border-2 border-teal-400/30 shadow-[0_0_40px_rgba(45,212,191,0.12)] ${isARMode ? "fixed inset-0 z-50 rounded-none border-0" : ""}`}
+        style={{
+          height: isARMode ? "100vh" : 440,
+          background: isARMode
+            ? "transparent"
+            : "linear-gradient(180deg,#041211 0%,#0a2421 50%,#030b0a 100%)",
+        }}
+      >
+        <Canvas
+          camera={{ position: [0, 6, 10], fov: 46 }}
+          shadows
+          gl={{ alpha: true, antialias: true, xrCompatible: true }}
+          onCreated={({ gl }) => {
+            gl.xr.enabled = true;
+          }}
+        >
+          <XR store={xrStore}>
+            {isARMode ? (
+              <ARTrainWorld ar={ar} {...worldProps} />
+            ) : (
+              <TrainScene {...worldProps} />
+            )}
+          </XR>
+        </Canvas>
+      </div>
+
+      {!isARMode && (
+        <>
+          {/* Step narration */}
+          <div
+            className={`px-4 py-2 rounded-xl border text-sm text-center ${stepText ? "border-yellow-400/40 bg-yellow-400/10 text-yellow-200" : "border-white/10 bg-white/5 text-white/30"}`}
+          >
+            {stepText ?? "Pointer steps appear here as each operation runs"}
+          </div>
+
+          {/* Node chain, in list order, with memory addresses */}
+          <div className="flex gap-1 flex-wrap justify-center items-center">
+            <span className="text-green-400 text-xs font-bold mr-1">HEAD</span>
+            {order.map((id, i) => (
+              <div key={id} className="flex items-center gap-1">
+                <button
+                  onClick={() => handleSelect(id)}
+                  className={`flex flex-col items-center px-2 py-1 rounded-lg border transition-all text-xs ${selectedId === id ? "border-teal-400 bg-teal-400/20 text-teal-300" : visited.has(id) ? "border-green-400 bg-green-400/10 text-green-300" : "border-white/20 bg-white/10 text-white/80 hover:border-white/40"}`}
+                >
+                  <span className="font-bold">{nameOf(id)}</span>
+                  <span className="text-white/40">
+                    {addressOf(list.nodes[id].spot)}
+                  </span>
+                </button>
+                {i < order.length - 1 && (
+                  <span className="text-white/30 text-sm">→</span>
+                )}
+              </div>
+            ))}
+            <span className="text-white/30 text-xs ml-1">→ NULL</span>
+          </div>
+
+          <TimelineBar
+            timeline={timeline}
+            accent="teal"
+            disabled={isAnimating}
+          />
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+            <div className="bg-white/5 border border-white/10 rounded-2xl p-5">
+              <div className="flex gap-2 mb-4 flex-wrap">
+                {tabBtn("insert", "➕", "Insert")}
+                {tabBtn("delete", "🗑️", "Delete")}
+                {tabBtn("traverse", "▶", "Traverse")}
+              </div>
+
+              {activeTab === "insert" && (
+                <div className="flex flex-col gap-3">
+                  <p className="text-white/50 text-xs">
+                    New car parks in any free spot — only couplers change — HEAD
+                    or TAIL{" "}
+                    <span className="text-green-400 font-bold">O(1)</span> ·
+                    elsewhere{" "}
+                    <span className="text-red-400 font-bold">O(n)</span> to walk
+                    there
+                  </p>
+                  <div className="flex gap-2 items-center flex-wrap">
+                    <select
+                      value={styleIdx}
+                      onChange={(e) => setStyleIdx(Number(e.target.value))}
+                      className="px-3 py-2 bg-black/40 border border-white/20 rounded-lg text-white text-sm focus:outline-none focus:border-teal-400"
+                    >
+                      {CAR_STYLES.map((s, i) => (
+                        <option key={s.name} value={i}>
+                          🚃 {s.name}
+                        </option>
+                      ))}
+                    </select>
+                    <select
+                      value={insertPos}
+                      onChange={(e) => setInsertPos(e.target.value)}
+                      className="px-3 py-2 bg-black/40 border border-white/20 rounded-lg text-white text-sm focus:outline-none focus:border-teal-400"
+                    >
+                      <option value="head">At HEAD</option>
+                      <option value="after">At Index</option>
+                      <option value="tail">At TAIL</option>
+                    </select>
+                    {insertPos === "after" && (
+                      <input
+                        type="number"
+                        min={1}
+                        max={order.length}
+                        value={insertIdx}
+                        onChange={(e) => setInsertIdx(e.target.value)}
+                        className="w-16 px-3 py-2 bg-black/40 border border-white/20 rounded-lg text-teal-300 font-mono text-sm focus:outline-none focus:border-teal-400"
+                      />
+                    )}
+                    <button
+                      onClick={handleInsert}
+                      disabled={isAnimating || carCount >= MAX_CARS}
+                      className="px-4 py-2 bg-green-600 hover:bg-green-500 disabled:opacity-40 disabled:cursor-not-allowed rounded-lg text-white text-sm font-bold transition-all"
+                    >
+                      Insert
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              {activeTab === "delete" && (
+                <div className="flex flex-col gap-3">
+                  <p className="text-white/50 text-xs">
+                    Predecessor re-couples to the successor, then the car leaves
+                    — HEAD{" "}
+                    <span className="text-green-400 font-bold">O(1)</span> ·
+                    others <span className="text-red-400 font-bold">O(n)</span>
+                  </p>
+                  <div className="flex gap-2 flex-wrap">
+                    <button
+                      onClick={() => handleDelete("head")}
+                      disabled={isAnimating}
+                      className="px-4 py-2 bg-red-700 hover:bg-red-600 disabled:opacity-40 rounded-lg text-white text-sm font-bold transition-all"
+                    >
+                      Delete HEAD
+                    </button>
+                    <button
+                      onClick={() => handleDelete("tail")}
+                      disabled={isAnimating}
+                      className="px-4 py-2 bg-orange-700 hover:bg-orange-600 disabled:opacity-40 rounded-lg text-white text-sm font-bold transition-all"
+                    >
+                      Delete TAIL
+                    </button>
+                    <button
+                      onClick={() => handleDelete("selected")}
+                      disabled={isAnimating || selectedIdx === -1}
+                      className="px-4 py-2 bg-purple-700 hover:bg-purple-600 disabled:opacity-40 disabled:cursor-not-allowed rounded-lg text-white text-sm font-bold transition-all"
+                    >
+                      Delete [{selectedIdx === -1 ? "?" : selectedIdx}]
+                    </button>
+                  </div>
+                  <p className="text-white/30 text-xs">
+                    Click a car to select it for deletion
+                  </p>
+                </div>
+              )}
+
+              {activeTab === "traverse" && (
+                <div className="flex flex-col gap-3">
+                  <p className="text-white/50 text-xs">
+                    Follow couplers from HEAD — the spots are not in order, so
+                    there is no shortcut —{" "}
+                    <span className="text-red-400 font-bold">O(n)</span>
+                  </p>
+                  <button
+                    onClick={handleTraverse}
+                    disabled={isAnimating || order.length === 0}
+                    className="px-5 py-2.5 bg-teal-600 hover:bg-teal-500 disabled:opacity-40 disabled:cursor-not-allowed rounded-lg text-white text-sm font-bold transition-all w-fit"
+                  >
+                    {isAnimating ? "⏳ Running..." : "▶ Start Traversal"}
+                  </button>
+                </div>
+              )}
+
+              <button
+                onClick={handleReset}
+                className="mt-4 w-full py-2 bg-white/5 hover:bg-white/10 border border-white/10 rounded-lg text-white/50 hover:text-white/80 text-sm transition-all"
+              >
+                🔄 Reset to Default
+              </button>
+            </div>
+
+            {/* Log + Complexity */}
+            <div className="bg-black/40 border border-white/10 rounded-2xl p-5 flex flex-col gap-4">
+              <div>
+                <p className="text-white/40 text-xs uppercase tracking-widest mb-2">
+                  📋 Operation Log
+                </p>
+                <div className="flex flex-col gap-1 max-h-36 overflow-y-auto">
+                  {log.length === 0 ? (
+                    <p className="text-white/30 text-xs italic">
+                      No operations yet...
+                    </p>
+                  ) : (
+                    log.map((entry, i) => (
+                      <div
+                        key={entry.id}
+                        className={`text-xs font-mono py-1 px-2 rounded border-l-2 ${
+                          entry.type === "success"
+                            ? "border-green-400 bg-green-400/5 text-green-300"
+                            : entry.type === "error"
+                              ? "border-red-400 bg-red-400/5 text-red-300"
+                              : entry.type === "select"
+                                ? "border-teal-400 bg-teal-400/5 text-teal-300"
+                                : "border-blue-400 bg-blue-400/5 text-blue-300"
+                        } ${i > 0 ? "opacity-50" : ""}`}
+                      >
+                        {entry.msg}
+                      </div>
+                    ))
+                  )}
+                </div>
+              </div>
+
+              <div>
+                <p className="text-white/40 text-xs uppercase tracking-widest mb-2">
+                  ⚡ Time Complexity
+                </p>
+                <div className="grid grid-cols-2 gap-1 text-xs font-mono">
+                  {[
+                    ["Insert HEAD/TAIL", "O(1)", true],
+                    ["Insert Index", "O(n)", false],
+                    ["Delete HEAD", "O(1)", true],
+                    ["Delete TAIL", "O(n)", false],
+                    ["Relink only", "O(1)", true],
+                    ["Traverse", "O(n)", false],
+                  ].map(([op, c, fast]) => (
+                    <div
+                      key={op}
+                      className="flex justify-between px-3 py-1.5 bg-white/5 rounded-lg"
+                    >
+                      <span className="text-white/55">{op}</span>
+                      <span
+                        className={`font-bold ${fast ? "text-green-400" : "text-red-400"}`}
+                      >
+                        {c}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+                <div className="mt-3 px-3 py-2 bg-teal-400/10 border border-teal-400/30 rounded-lg">
+                  <p className="text-teal-300 text-xs font-bold">
+                    Non-contiguous memory
+                  </p>
+                  <p className="text-white/50 text-xs mt-0.5">
+                    Each car lives at its own address. Only the couplers (next
+                    pointers) say which car comes next.
+                  </p>
+                </div>
+              </div>
+            </div>
+          </div>
+
+          <p className="text-center text-white/25 text-xs pb-2">
+            💡 Click cars to select · Drag to rotate · Scroll to zoom
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
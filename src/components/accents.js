@@ -0,0 +1,174 @@
+// ─── Accent colours shared by the scenario panels ────────────────────────────
+// Tailwind only generates classes it can find written out in full, so every
+// accent spells out its class strings here rather than building them.
+export const ACCENTS = {
+  orange: {
+    text: "text-orange-300",
+    tab: "bg-orange-400 border-orange-400 text-gray-900",
+    tabIdle: "hover:border-orange-400/50",
+    focus: "focus:border-orange-400",
+    focusWithin: "focus-within:border-orange-400/60",
+    bar: "bg-orange-400",
+    solid: "bg-orange-500 hover:bg-orange-400",
+    card: "bg-orange-400/15 border-orange-400/40",
+    range: "accent-orange-400",
+    chip: "bg-orange-400/20 border-orange-400/60 text-orange-200",
+    line: "bg-orange-400/20 text-orange-100 border-orange-400",
+  },
+  emerald: {
+    text: "text-emerald-300",
+    tab: "bg-emerald-400 border-emerald-400 text-gray-900",
+    tabIdle: "hover:border-emerald-400/50",
+    focus: "focus:border-emerald-400",
+    focusWithin: "focus-within:border-emerald-400/60",
+    bar: "bg-emerald-400",
+    solid: "bg-emerald-600 hover:bg-emerald-500",
+    card: "bg-emerald-400/15 border-emerald-400/40",
+    range: "accent-emerald-400",
+    chip: "bg-emerald-400/20 border-emerald-400/60 text-emerald-200",
+    line: "bg-emerald-400/20 text-emerald-100 border-emerald-400",
+  },
+  sky: {
+    text: "text-sky-300",
+    tab: "bg-sky-400 border-sky-400 text-gray-900",
+    tabIdle: "hover:border-sky-400/50",
+    focus: "focus:border-sky-400",
+    focusWithin: "focus-within:border-sky-400/60",
+    bar: "bg-sky-400",
+    solid: "bg-sky-600 hover:bg-sky-500",
+    card: "bg-sky-400/15 border-sky-400/40",
+    range: "accent-sky-400",
+    chip: "bg-sky-400/20 border-sky-400/60 text-sky-200",
+    line: "bg-sky-400/20 text-sky-100 border-sky-400",
+  },
+  violet: {
+    text: "text-violet-300",
+    tab: "bg-violet-400 border-violet-400 text-gray-900",
+    tabIdle: "hover:border-violet-400/50",
+    focus: "focus:border-violet-400",
+    focusWithin: "focus-within:border-violet-400/60",
+    bar: "bg-violet-400",
+    solid: "bg-violet-600 hover:bg-violet-500",
+    card: "bg-violet-400/15 border-violet-400/40",
+    range: "accent-violet-400",
+    chip: "bg-violet-400/20 border-violet-400/60 text-violet-200",
+    line: "bg-violet-400/20 text-violet-100 border-violet-400",
+  },
+  yellow: {
+    text: "text-yellow-300",
+    tab: "bg-yellow-400 border-yellow-400 text-gray-900",
+    tabIdle: "hover:border-yellow-400/50",
+    focus: "focus:border-yellow-400",
+    focusWithin: "focus-within:border-yellow-400/60",
+    bar: "bg-yellow-400",
+    solid: "bg-yellow-600 hover:bg-yellow-500",
+    card: "bg-yellow-400/15 border-yellow-400/40",
+    range: "accent-yellow-400",
+    chip: "bg-yellow-400/20 border-yellow-400/60 text-yellow-200",
+    line: "bg-yellow-400/20 text-yellow-100 border-yellow-400",
+  },
+  amber: {
+    text: "text-amber-300",
+    tab: "bg-amber-400 border-amber-400 text-gray-900",
+    tabIdle: "hover:border-amber-400/50",
+    focus: "focus:border-amber-400",
+    focusWithin: "focus-within:border-amber-400/60",
+    bar: "bg-amber-400",
+    solid: "bg-amber-600 hover:bg-amber-500",
+    card: "bg-amber-400/15 border-amber-400/40",
+    range: "accent-amber-400",
+    chip: "bg-amber-400/20 border-amber-400/60 text-amber-200",
+    line: "bg-amber-400/20 text-amber-100 border-amber-400",
+  },
+  cyan: {
+    text: "text-cyan-300",
+    tab: "bg-cyan-400 border-cyan-400 text-gray-900",
+    tabIdle: "hover:border-cyan-400/50",
+    focus: "focus:border-cyan-400",
+    focusWithin: "focus-within:border-cyan-400/60",
+    bar: "bg-cyan-400",
+    solid: "bg-cyan-600 hover:bg-cyan-500",
+    card: "bg-cyan-400/15 border-cyan-400/40",
+    range: "accent-cyan-400",
+    chip: "bg-cyan-400/20 border-cyan-400/60 text-cyan-200",
+    line: "bg-cyan-400/20 text-cyan-100 border-cyan-400",
+  },
+  teal: {
+    text: "text-teal-300",
+    tab: "bg-teal-400 border-teal-400 text-gray-900",
+    tabIdle: "hover:border-teal-400/50",
+    focus: "focus:border-teal-400",
+    focusWithin: "focus-within:border-teal-400/60",
+    bar: "bg-teal-400",
+    solid: "bg-teal-600 hover:bg-teal-500",
+    card: "bg-teal-400/15 border-teal-400/40",
+    range: "accent-teal-400",
+    chip: "bg-teal-400/20 border-teal-400/60 text-teal-200",
+    line: "bg-teal-400/20 text-teal-100 border-teal-400",
+  },
+  indigo: {
+    text: "text-indigo-300",
+    tab: "bg-indigo-400 border-indigo-400 text-gray-900",
+    tabIdle: "hover:border-indigo-400/50",
+    focus: "focus:border-indigo-400",
+    focusWithin: "focus-within:border-indigo-400/60",
+    bar: "bg-indigo-400",
+    solid: "bg-indigo-600 hover:bg-indigo-500",
+    card: "bg-indigo-400/15 border-indigo-400/40",
+    range: "accent-indigo-400",
+    chip: "bg-indigo-400/20 border-indigo-400/60 text-indigo-200",
+    line: "bg-indigo-400/20 text-indigo-100 border-indigo-400",
+  },
+  pink: {
+    text: "text-pink-300",
+    tab: "bg-pink-400 border-pink-400 text-gray-900",
+    tabIdle: "hover:border-pink-400/50",
+    focus: "focus:border-pink-400",
+    focusWithin: "focus-within:border-pink-400/60",
+    bar: "bg-pink-400",
+    solid: "bg-pink-600 hover:bg-pink-500",
+    card: "bg-pink-400/15 border-pink-400/40",
+    range: "accent-pink-400",
+    chip: "bg-pink-400/20 border-pink-400/60 text-pink-200",
+    line: "bg-pink-400/20 text-pink-100 border-pink-400",
+  },
+  lime: {
+    text: "text-lime-300",
+    tab: "bg-lime-400 border-lime-400 text-gray-900",
+    tabIdle: "hover:border-lime-400/50",
+    focus: "focus:border-lime-400",
+    focusWithin: "focus-within:border-lime-400/60",
+    bar: "bg-lime-400",
+    solid: "bg-lime-600 hover:bg-lime-500",
+    card: "bg-lime-400/15 border-lime-400/40",
+    range: "accent-lime-400",
+    chip: "bg-lime-400/20 border-lime-400/60 text-lime-200",
+    line: "bg-lime-400/20 text-lime-100 border-lime-400",
+  },
+  rose: {
+    text: "text-rose-300",
+    tab: "bg-rose-400 border-rose-400 text-gray-900",
+    tabIdle: "hover:border-rose-400/50",
+    focus: "focus:border-rose-400",
+    focusWithin: "focus-within:border-rose-400/60",
+    bar: "bg-rose-400",
+    solid: "bg-rose-600 hover:bg-rose-500",
+    card: "bg-rose-400/15 border-rose-400/40",
+    range: "accent-rose-400",
+    chip: "bg-rose-400/20 border-rose-400/60 text-rose-200",
+    line: "bg-rose-400/20 text-rose-100 border-rose-400",
+  },
+  fuchsia: {
+    text: "text-fuchsia-300",
+    tab: "bg-fuchsia-400 border-fuchsia-400 text-gray-900",
+    tabIdle: "hover:border-fuchsia-400/50",
+    focus: "focus:border-fuchsia-400",
+    focusWithin: "focus-within:border-fuchsia-400/60",
+    bar: "bg-fuchsia-400",
+    solid: "bg-fuchsia-600 hover:bg-fuchsia-500",
+    card: "bg-fuchsia-400/15 border-fuchsia-400/40",
+    range: "accent-fuchsia-400",
+    chip: "bg-fuchsia-400/20 border-fuchsia-400/60 text-fuchsia-200",
+    line: "bg-fuchsia-400/20 text-fuchsia-100 border-fuchsia-400",
+  },
+};
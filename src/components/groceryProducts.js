@@ -0,0 +1,20 @@
+// Product catalogue shared by the grocery shelf scenarios
+export const PRODUCT_COLORS = {
+  apple: { box: "#e74c3c", label: "#c0392b", text: "#fff" },
+  milk: { box: "#ecf0f1", label: "#bdc3c7", text: "#2c3e50" },
+  bread: { box: "#e67e22", label: "#d35400", text: "#fff" },
+  juice: { box: "#f1c40f", label: "#f39c12", text: "#2c3e50" },
+  coffee: { box: "#6f4e37", label: "#4a3728", text: "#fff" },
+  cereal: { box: "#27ae60", label: "#1e8449", text: "#fff" },
+  empty: { box: "#1e2a35", label: "#0f1923", text: "#7f8c8d" },
+};
+export const PRODUCT_EMOJIS = {
+  apple: "🍎",
+  milk: "🥛",
+  bread: "🍞",
+  juice: "🧃",
+  coffee: "☕",
+  cereal: "🌾",
+  empty: "—",
+};
+export const PRODUCTS = ["apple", "milk", "bread", "juice", "coffee", "cereal"];
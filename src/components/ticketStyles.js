@@ -0,0 +1,59 @@
+// Ticket types shared by the queue, deque and heap scenarios
+export const TICKET_STYLES = [
+  {
+    color: "#e74c3c",
+    accent: "#c0392b",
+    type: "MEDICAL",
+    num: "A-001",
+    icon: "🏥",
+  },
+  {
+    color: "#3498db",
+    accent: "#2471a3",
+    type: "BILLING",
+    num: "B-002",
+    icon: "💳",
+  },
+  {
+    color: "#2ecc71",
+    accent: "#1e8449",
+    type: "RECORDS",
+    num: "C-003",
+    icon: "📋",
+  },
+  {
+    color: "#f39c12",
+    accent: "#d68910",
+    type: "INQUIRY",
+    num: "D-004",
+    icon: "❓",
+  },
+  {
+    color: "#9b59b6",
+    accent: "#7d3c98",
+    type: "RENEWAL",
+    num: "E-005",
+    icon: "🔄",
+  },
+  {
+    color: "#1abc9c",
+    accent: "#148f77",
+    type: "COMPLAINT",
+    num: "F-006",
+    icon: "📣",
+  },
+  {
+    color: "#e67e22",
+    accent: "#ca6f1e",
+    type: "PERMIT",
+    num: "G-007",
+    icon: "📜",
+  },
+  {
+    color: "#e91e63",
+    accent: "#c2185b",
+    type: "APPROVAL",
+    num: "H-008",
+    icon: "✅",
+  },
+];
@@ -0,0 +1,127 @@
+import { useEffect, useState } from "react";
+
+// Placement flow: find a surface, preview the model on it, then lock it in
+export const PS = {
+  SCANNING: "scanning",
+  PREVIEWING: "previewing",
+  CONFIRMED: "confirmed",
+};
+
+const MIN_ZOOM = 0.4;
+const MAX_ZOOM = 3;
+
+function useARSupport() {
+  const [supported, setSupported] = useState(() =>
+    navigator.xr ? null : false,
+  );
+  useEffect(() => {
+    navigator.xr
+      ?.isSessionSupported("immersive-ar")
+      .then(setSupported)
+      .catch(() => setSupported(false));
+  }, []);
+  return supported;
+}
+
+// AR session and placement state for one scenario's XR store. Hand the result
+// to <ARPlacement> inside the canvas and <ARPlacementHud> outside it.
+// `onEnter` runs before the session starts, e.g. to switch to a layout the
+// AR controls can drive.
+export function useARPlacement(store, { onEnter } = {}) {
+  const supported = useARSupport();
+  const [isAR, setIsAR] = useState(false);
+  const [placeState, setPlaceState] = useState(PS.SCANNING);
+  const [anchor, setAnchor] = useState(null); // THREE.Vector3 on the surface
+  const [hasHit, setHasHit] = useState(false);
+  const [yaw, setYaw] = useState(0);
+  const [zoom, setZoom] = useState(1);
+  const [error, setError] = useState(null);
+
+  const clear = () => {
+    setPlaceState(PS.SCANNING);
+    setAnchor(null);
+    setHasHit(false);
+    setYaw(0);
+    setZoom(1);
+  };
+
+  // The session can also end from outside, e.g. the system back button
+  useEffect(
+    () =>
+      store.subscribe((state, prev) => {
+        if (!prev.session || state.session) return;
+        setIsAR(false);
+        setPlaceState(PS.SCANNING);
+        setAnchor(null);
+        setHasHit(false);
+      }),
+    [store],
+  );
+
+  const enter = async () => {
+    onEnter?.();
+    clear();
+    setError(null);
+    try {
+      await store.enterAR();
+      setIsAR(true);
+    } catch (e) {
+      setError("AR failed: " + (e?.message || "Unknown"));
+    }
+  };
+
+  const exit = () => {
+    // Already over if the system ended it first
+    store
+      .getState()
+      .session?.end()
+      .catch(() => {});
+    setIsAR(false);
+    clear();
+  };
+
+  // Placement cannot work without surface detection, so leave AR and say why
+  const fail = (message) => {
+    setError(message);
+    exit();
+  };
+
+  const place = (pos) => {
+    setAnchor(pos);
+    setPlaceState(PS.PREVIEWING);
+  };
+
+  const confirm = () => setPlaceState(PS.CONFIRMED);
+
+  // Back to scanning; the model keeps its rotation and size for the new spot
+  const replace = () => {
+    setAnchor(null);
+    setHasHit(false);
+    setPlaceState(PS.SCANNING);
+  };
+
+  const rotateBy = (rad) => setYaw((y) => y + rad);
+  const zoomBy = (f) =>
+    setZoom((z) => Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, z * f)));
+
+  return {
+    supported,
+    isAR,
+    placeState,
+    anchor,
+    hasHit,
+    yaw,
+    zoom,
+    error,
+    overlayRoot: store.getState().domOverlayRoot,
+    enter,
+    exit,
+    fail,
+    place,
+    confirm,
+    replace,
+    setHasHit,
+    rotateBy,
+    zoomBy,
+  };
+}
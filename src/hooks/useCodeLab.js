@@ -0,0 +1,177 @@
+import { useEffect, useRef, useState } from "react";
+import { useModelEvents } from "./useModelEvents";
+import { LAB_BUDGET, VALUE_ARG, labOptions } from "../lab";
+
+const STEP_MS = 900;
+const BUSY_POLL_MS = 150;
+
+// Runs student code in a sandboxed worker and replays the operations it
+// streams back on the scene's own model, one every `stepMs` and never while
+// the scene is `busy` animating — so failures such as an underflow show up
+// through the scene's existing visuals. `fromItem`/`toItem` translate
+// between scene items and the plain values student code works with.
+// `onRun` runs before a program starts, e.g. to switch off a scene's own
+// automation that drives the same model.
+export function useCodeLab(
+  model,
+  {
+    kind,
+    name,
+    fromItem = (item) => item,
+    toItem = (value) => value,
+    values = null,
+    busy = false,
+    stepMs = STEP_MS,
+    onRun,
+  },
+) {
+  const [status, setStatus] = useState("idle"); // idle | running | done | error
+  const [output, setOutput] = useState([]);
+  const [errorLine, setErrorLine] = useState(null);
+  const workerRef = useRef(null);
+  const queueRef = useRef([]); // worker messages not yet played
+  const timerRef = useRef(null);
+  const deadlineRef = useRef(null);
+  const busyRef = useRef(busy);
+  const replayingRef = useRef(false); // set while play() calls the model
+
+  useEffect(() => {
+    busyRef.current = busy;
+  }, [busy]);
+
+  useEffect(
+    () => () => {
+      workerRef.current?.terminate();
+      clearTimeout(timerRef.current);
+      clearTimeout(deadlineRef.current);
+    },
+    [],
+  );
+
+  const print = (text, type = "log") =>
+    setOutput((p) => [...p, { id: p.length, text, type }]);
+
+  const halt = () => {
+    workerRef.current?.terminate();
+    workerRef.current = null;
+    clearTimeout(deadlineRef.current);
+    clearTimeout(timerRef.current);
+    timerRef.current = null;
+    queueRef.current = [];
+  };
+
+  const stop = (reason = "⏹ Stopped") => {
+    if (status !== "running") return;
+    halt();
+    setStatus("idle");
+    print(reason, "info");
+  };
+
+  // A reset, a time jump or any change the program did not make itself
+  // leaves its view of the structure stale
+  useModelEvents(model, (e) => {
+    if (
+      e.type === "reset" ||
+      e.type === "restore" ||
+      (e.args && !replayingRef.current)
+    )
+      stop("⏹ Stopped — the scene changed underneath the program");
+  });
+
+  const play = () => {
+    timerRef.current = null;
+    if (busyRef.current) {
+      timerRef.current = setTimeout(play, BUSY_POLL_MS);
+      return;
+    }
+    const msg = queueRef.current.shift();
+    if (!msg) return;
+    if (msg.type === "op") {
+      const args = [...msg.args];
+      const k = VALUE_ARG[msg.op];
+      if (k !== undefined) args[k] = toItem(args[k]);
+      replayingRef.current = true;
+      try {
+        model[msg.op](...args);
+      } finally {
+        replayingRef.current = false;
+      }
+      timerRef.current = setTimeout(play, stepMs);
+      return;
+    }
+    if (msg.type === "log") {
+      print(msg.text);
+    } else if (msg.type === "done") {
+      setStatus("done");
+      print(
+        `✓ Finished — ${msg.steps} operation${msg.steps === 1 ? "" : "s"}`,
+        "success",
+      );
+    } else if (msg.type === "error") {
+      setStatus("error");
+      setErrorLine(msg.line);
+      print(
+        msg.line ? `✗ Line ${msg.line}: ${msg.message}` : `✗ ${msg.message}`,
+        "error",
+      );
+    }
+    play();
+  };
+
+  const enqueue = (msg) => {
+    queueRef.current.push(msg);
+    if (!timerRef.current) play();
+  };
+
+  const run = (code) => {
+    onRun?.();
+    halt();
+    setOutput([]);
+    setErrorLine(null);
+    setStatus("running");
+
+    const worker = new Worker(new URL("../lab/labWorker.js", import.meta.url), {
+      type: "module",
+    });
+    workerRef.current = worker;
+    const finish = (msg) => {
+      clearTimeout(deadlineRef.current);
+      worker.terminate();
+      if (workerRef.current === worker) workerRef.current = null;
+      enqueue(msg);
+    };
+    worker.onmessage = ({ data }) =>
+      data.type === "done" || data.type === "error"
+        ? finish(data)
+        : enqueue(data);
+    worker.onerror = (e) => {
+      e.preventDefault();
+      finish({ type: "error", message: e.message || "The lab crashed" });
+    };
+    deadlineRef.current = setTimeout(
+      () =>
+        finish({
+          type: "error",
+          message: `Time budget used up: still running after ${LAB_BUDGET.ms / 1000}s — is there a loop that never ends?`,
+        }),
+      LAB_BUDGET.ms,
+    );
+    worker.postMessage({
+      kind,
+      name,
+      code,
+      options: labOptions(kind, model, fromItem),
+      values,
+      maxSteps: LAB_BUDGET.steps,
+    });
+  };
+
+  return {
+    status,
+    output,
+    errorLine,
+    running: status === "running",
+    run,
+    stop,
+  };
+}
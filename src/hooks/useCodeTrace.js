@@ -0,0 +1,66 @@
+import { useEffect, useRef, useState } from "react";
+import { useModelEvents } from "./useModelEvents";
+import { programKey } from "../pseudocode";
+
+const STEP_MS = 400;
+
+// Events a model emits on the way to the one an operation returns
+const SUB_EVENTS = new Set([
+  "visit",
+  "pointerMove",
+  "shift",
+  "copy",
+  "grow",
+  "link",
+]);
+
+// Plays each model operation through its pseudocode. Everything one call
+// emits arrives synchronously, so the events are gathered until the next
+// microtask, handed to the program's trace, and the frames it returns are
+// stepped through one line every `stepMs` alongside the scene's animation.
+export function useCodeTrace(
+  model,
+  programs,
+  { format = String, stepMs = STEP_MS } = {},
+) {
+  const [run, setRun] = useState(null); // { program, frames, at }
+  const pendingRef = useRef([]);
+  const timerRef = useRef(null);
+
+  useEffect(() => () => clearInterval(timerRef.current), []);
+
+  const play = (group) => {
+    const main = group.findLast((e) => !SUB_EVENTS.has(e.type));
+    if (!main) return;
+    if (main.type === "reset" || main.type === "restore") {
+      clearInterval(timerRef.current);
+      return setRun(null);
+    }
+    const program = programs[programKey(main)];
+    if (!program) return;
+    const frames = program.trace(main, group, {
+      format: (v) => (v == null ? null : format(v)),
+      model,
+    });
+    clearInterval(timerRef.current);
+    setRun({ program, frames, at: 0 });
+    let at = 0;
+    timerRef.current = setInterval(() => {
+      at += 1;
+      if (at >= frames.length) return clearInterval(timerRef.current);
+      setRun((r) => ({ ...r, at }));
+    }, stepMs);
+  };
+
+  useModelEvents(model, (e) => {
+    pendingRef.current.push(e);
+    if (pendingRef.current.length > 1) return;
+    queueMicrotask(() => {
+      const group = pendingRef.current;
+      pendingRef.current = [];
+      play(group);
+    });
+  });
+
+  return run && { ...run, frame: run.frames[run.at] };
+}
@@ -0,0 +1,8 @@
+import { useEffect, useEffectEvent } from "react";
+
+// Subscribes a component to a model's event stream for as long as it is
+// mounted. `onEvent` always sees the latest props and state.
+export function useModelEvents(model, onEvent) {
+  const handle = useEffectEvent(onEvent);
+  useEffect(() => model.subscribe((event) => handle(event)), [model]);
+}
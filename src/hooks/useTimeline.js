@@ -0,0 +1,145 @@
+import { useEffect, useRef, useState } from "react";
+import { useModelEvents } from "./useModelEvents";
+
+const REPLAY_STEP_MS = 900;
+const BUSY_POLL_MS = 150;
+
+// Records every state-changing model event (the ones carrying `op` and `args`)
+// so a scenario can undo, redo, scrub back to any earlier step and replay the
+// whole session. Undo and scrubbing restore snapshots; redo and replay make
+// the recorded calls again, so the scenario animates them as usual. Replay
+// waits while `busy` (the scenario's own animation flag) is set.
+export function useTimeline(
+  model,
+  { describe = (e) => e.type, stepMs = REPLAY_STEP_MS, busy = false } = {},
+) {
+  const [start, setStart] = useState(() => model.snapshot());
+  const [entries, setEntries] = useState([]);
+  const [cursor, setCursor] = useState(0);
+  const [replaying, setReplaying] = useState(false);
+  const followingRef = useRef(false);
+  const timerRef = useRef(null);
+  const busyRef = useRef(busy);
+
+  useEffect(() => {
+    busyRef.current = busy;
+  }, [busy]);
+
+  useEffect(() => () => clearTimeout(timerRef.current), []);
+
+  const stop = () => {
+    clearTimeout(timerRef.current);
+    setReplaying(false);
+  };
+
+  useModelEvents(model, (e) => {
+    if (e.type === "reset") {
+      stop();
+      setStart(model.snapshot());
+      setEntries([]);
+      setCursor(0);
+      return;
+    }
+    // Redo and replay walk the cursor forward themselves
+    if (!e.args || followingRef.current) return;
+    // A new operation after an undo drops the redo tail
+    if (replaying) stop();
+    const entry = {
+      id: e.seq,
+      label: describe(e),
+      event: e,
+      after: model.snapshot(),
+    };
+    setEntries([...entries.slice(0, cursor), entry]);
+    setCursor(cursor + 1);
+  });
+
+  const follow = (entry) => {
+    followingRef.current = true;
+    try {
+      model.apply(entry.event);
+    } finally {
+      followingRef.current = false;
+    }
+  };
+
+  const goTo = (k) => {
+    stop();
+    model.restore(k === 0 ? start : entries[k - 1].after);
+    setCursor(k);
+  };
+
+  const undo = () => {
+    if (cursor > 0) goTo(cursor - 1);
+  };
+
+  const redo = () => {
+    if (cursor >= entries.length) return;
+    follow(entries[cursor]);
+    setCursor(cursor + 1);
+  };
+
+  const replay = () => {
+    if (entries.length === 0) return;
+    goTo(0);
+    setReplaying(true);
+    const recorded = entries;
+    let k = 0;
+    const step = () => {
+      if (busyRef.current) {
+        timerRef.current = setTimeout(step, BUSY_POLL_MS);
+        return;
+      }
+      follow(recorded[k]);
+      k += 1;
+      setCursor(k);
+      if (k < recorded.length) timerRef.current = setTimeout(step, stepMs);
+      else setReplaying(false);
+    };
+    timerRef.current = setTimeout(step, stepMs);
+  };
+
+  return {
+    entries,
+    cursor,
+    replaying,
+    canUndo: cursor > 0 && !replaying,
+    canRedo: cursor < entries.length && !replaying,
+    undo,
+    redo,
+    goTo,
+    replay,
+    stop,
+  };
+}
+
+// The same controls for scenarios that precompute every step up front and
+// keep a cursor into them (sorting, recursion). Entry k is step k + 1, undo
+// and redo move the cursor one step, and replay is playback from the start.
+export function stepTimeline({
+  labels,
+  cursor,
+  setCursor,
+  playing,
+  play,
+  stop,
+}) {
+  return {
+    entries: labels.map((label, k) => ({ id: k, label })),
+    cursor,
+    replaying: playing,
+    canUndo: cursor > 0 && !playing,
+    canRedo: cursor < labels.length && !playing,
+    undo: () => setCursor(Math.max(cursor - 1, 0)),
+    redo: () => setCursor(Math.min(cursor + 1, labels.length)),
+    goTo: (k) => {
+      stop();
+      setCursor(k);
+    },
+    replay: () => {
+      setCursor(0);
+      play();
+    },
+    stop,
+  };
+}
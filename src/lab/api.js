@@ -0,0 +1,155 @@
+import { ArrayModel, LinkedListModel, QueueModel, StackModel } from "../models";
+
+// ─── Instrumented APIs handed to student code inside the lab worker ──────────
+// Each API drives a shadow copy of the scene's model, so return values and
+// errors are exactly what the scene will show. Every call goes through
+// `call(op, args, posted)`, which counts it against the step budget, applies
+// it to the shadow model and streams it to the page; `posted` is what the
+// page needs to repeat it when that differs from the model's own arguments.
+// `check(value)` rejects values the scene has no look for.
+
+export const LAB_MODELS = {
+  stack: StackModel,
+  queue: QueueModel,
+  array: ArrayModel,
+  list: LinkedListModel,
+};
+
+// Model events that stop the program, with the message the student sees
+const FAILURES = {
+  overflow: (e) =>
+    `Overflow: ${e.op}() on a full structure (capacity ${e.capacity})`,
+  underflow: (e) => `Underflow: ${e.op}() on an empty structure`,
+  outOfBounds: (e) => `Index ${e.index} is out of bounds (size ${e.size})`,
+};
+
+export class LabError extends Error {
+  name = "LabError";
+}
+
+// Throws for an operation that failed, like real code would. A full fixed
+// shelf is not a failure: an item falls off the end and the program goes on.
+export function failOn(event) {
+  const fail = FAILURES[event.type];
+  if (fail && event.dropped === undefined) throw new LabError(fail(event));
+  return event;
+}
+
+const stackApi = (model, call, check) => ({
+  push: (value) => void call("push", [check(value)]),
+  pop: () => call("pop", []).value,
+  peek: () => call("peek", []).value,
+  clear: () => void call("clear", []),
+  isEmpty: () => model.size === 0,
+  get size() {
+    return model.size;
+  },
+  toArray: () => model.toArray(),
+});
+
+const queueApi = (model, call, check) => ({
+  enqueue: (value) => void call("enqueue", [check(value)]),
+  dequeue: () => call("dequeue", []).value,
+  peek: () => call("peek", []).value,
+  isEmpty: () => model.size === 0,
+  get size() {
+    return model.size;
+  },
+  toArray: () => model.toArray(),
+});
+
+const arrayApi = (model, call, check) => ({
+  get: (index) => call("access", [index]).value,
+  set: (index, value) => void call("update", [index, check(value)]),
+  insert: (index, value) => void call("insert", [index, check(value)]),
+  remove: (index) => call("remove", [index]).value,
+  push: (value) => void call("insert", [model.size, check(value)]),
+  pop: () => call("pop", []).value,
+  get length() {
+    return model.size;
+  },
+  get capacity() {
+    return model.capacity;
+  },
+  toArray: () => model.toArray(),
+});
+
+// Nodes are handed out as read-only handles: { value, next, prev }
+const listApi = (model, call, check) => {
+  const handles = new WeakMap(); // handle → model node
+  let made = 0;
+
+  const handle = (node) => {
+    if (!node) return null;
+    const h = Object.freeze({
+      value: node.value,
+      get next() {
+        const k = model.nodes.indexOf(node);
+        if (k === -1) return null;
+        return handle(
+          model.nodes[k + 1] ?? (model.circular ? model.nodes[0] : null),
+        );
+      },
+      get prev() {
+        if (!model.doubly)
+          throw new LabError("A singly linked list has no prev pointers");
+        const k = model.nodes.indexOf(node);
+        return handle(
+          model.nodes[k - 1] ?? (model.circular ? model.nodes.at(-1) : null),
+        );
+      },
+    });
+    handles.set(h, node);
+    return h;
+  };
+
+  const indexOf = (h, method) => {
+    if (!h) throw new LabError(`${method}(): the node is null`);
+    const k = model.nodes.indexOf(handles.get(h));
+    if (k === -1)
+      throw new LabError(`${method}(): that node is not in the list any more`);
+    return k;
+  };
+
+  const insertAt = (index, value) => {
+    value = check(value);
+    call("insertAt", [index, { id: `lab-${++made}`, value }], [index, value]);
+  };
+
+  return {
+    get head() {
+      return handle(model.nodes[0]);
+    },
+    get tail() {
+      return handle(model.nodes.at(-1));
+    },
+    get size() {
+      return model.size;
+    },
+    insertAt,
+    insertAfter: (node, value) =>
+      insertAt(indexOf(node, "insertAfter") + 1, value),
+    removeAt: (index) => call("removeAt", [index]).value.value,
+    remove: (node) => void call("removeAt", [indexOf(node, "remove")]),
+    find: (value) => handle(model.nodes.find((n) => n.value === value)),
+    reverse: () => void call("reverse", []),
+    traverse: () => call("traverse", []).order.map((k) => model.nodes[k].value),
+    toArray: () => model.nodes.map((n) => n.value),
+  };
+};
+
+export const LAB_APIS = {
+  stack: stackApi,
+  queue: queueApi,
+  array: arrayApi,
+  list: listApi,
+};
+
+// The argument that carries a student value, per operation
+export const VALUE_ARG = {
+  push: 0,
+  enqueue: 0,
+  update: 1,
+  insert: 1,
+  insertAt: 1,
+};
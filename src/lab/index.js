@@ -0,0 +1,29 @@
+// Code lab: student programs run in a worker and replay on the scene's model
+export { VALUE_ARG } from "./api";
+export { LAB_DOCS, LAB_STARTERS } from "./starters";
+
+// Most operations one run may make, and how long the worker may take
+export const LAB_BUDGET = { steps: 200, ms: 2000 };
+
+// Constructor options for a shadow copy of `model`, with scene items turned
+// into the plain values student code sees
+export function labOptions(kind, model, fromItem) {
+  if (kind === "list")
+    return {
+      nodes: model
+        .toArray()
+        .map((n, k) => ({ id: `n${k}`, value: fromItem(n) })),
+      doubly: model.doubly,
+      circular: model.circular,
+    };
+  const items = model.toArray().map(fromItem);
+  if (kind === "array")
+    return {
+      items,
+      capacity: model.capacity,
+      onFull: model.onFull,
+      blank: model.blank,
+      maxCapacity: model.maxCapacity,
+    };
+  return { items, capacity: model.capacity };
+}
@@ -0,0 +1,95 @@
+import { LAB_APIS, LAB_MODELS, LabError, failOn } from "./api";
+
+// ─── Code lab worker: runs one student program against a shadow model ────────
+// Receives { kind, name, code, options, values, maxSteps } once, streams
+//   { type: "op", op, args }  every structure call, in order
+//   { type: "log", text }     console.log output
+// and finishes with { type: "done", steps } or { type: "error", message, line }.
+// The page enforces the time budget by terminating this worker.
+
+// Globals student code should not reach, shadowed by same-named parameters
+const HIDDEN = [
+  "self",
+  "globalThis",
+  "postMessage",
+  "onmessage",
+  "close",
+  "importScripts",
+  "fetch",
+  "XMLHttpRequest",
+  "WebSocket",
+  "indexedDB",
+  "caches",
+];
+
+const show = (v) =>
+  typeof v === "string" ? v : v === undefined ? "undefined" : JSON.stringify(v);
+
+// Line of the student's code an error was thrown from, if the engine says.
+// The wrapper adds a few lines above the code; measure how many once.
+const LINE_RE = /<anonymous>:(\d+):\d+|Function:(\d+):\d+/;
+const lineOf = (err) => {
+  const m = String(err?.stack ?? "").match(LINE_RE);
+  return m ? Number(m[1] ?? m[2]) : null;
+};
+const HEADER = (() => {
+  try {
+    new Function('"use strict";\nthrow new Error();')();
+  } catch (err) {
+    const line = lineOf(err);
+    return line === null ? null : line - 1;
+  }
+  return null;
+})();
+
+self.onmessage = ({ data }) => {
+  const { kind, name, code, options, values, maxSteps } = data;
+  const model = new LAB_MODELS[kind](options);
+  let steps = 0;
+
+  const call = (op, args, posted = args) => {
+    if (++steps > maxSteps)
+      throw new LabError(
+        `Step budget used up: more than ${maxSteps} operations — is there a loop that never ends?`,
+      );
+    const event = model[op](...args);
+    postMessage({ type: "op", op, args: posted });
+    return failOn(event);
+  };
+
+  // Matches case-insensitively and hands back the scene's own spelling
+  const check = (value) => {
+    if (!values) return value;
+    const found = values.find(
+      (v) => String(v).toLowerCase() === String(value).toLowerCase(),
+    );
+    if (found === undefined)
+      throw new LabError(
+        `${show(value)} is not something this scene can show — try one of: ${values.join(", ")}`,
+      );
+    return found;
+  };
+
+  const labConsole = {
+    log: (...parts) =>
+      postMessage({ type: "log", text: parts.map(show).join(" ") }),
+  };
+
+  try {
+    const run = new Function(
+      name,
+      "console",
+      ...HIDDEN,
+      `"use strict";\n${code}`,
+    );
+    run(LAB_APIS[kind](model, call, check), labConsole);
+    postMessage({ type: "done", steps });
+  } catch (err) {
+    const line = HEADER === null ? null : lineOf(err);
+    postMessage({
+      type: "error",
+      message: `${err?.name ?? "Error"}: ${err?.message ?? err}`,
+      line: line === null ? null : line - HEADER,
+    });
+  }
+};
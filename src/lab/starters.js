@@ -0,0 +1,152 @@
+// ─── Starter programs and API cheat sheets for the code lab ──────────────────
+// `a` and `b` are values the scene can show, already written as JS literals.
+
+export const LAB_STARTERS = {
+  stack: (n, a, b) => [
+    {
+      label: "Push and pop",
+      code: `// Push two items, then take the top one back off
+${n}.push(${a});
+${n}.push(${b});
+const top = ${n}.pop();
+console.log("popped", top, "— size is now", ${n}.size);`,
+    },
+    {
+      label: "Empty it",
+      code: `// Pop until nothing is left
+while (!${n}.isEmpty()) {
+  console.log("pop", ${n}.pop());
+}`,
+    },
+    {
+      label: "One pop too many",
+      code: `// Popping an empty stack is an underflow — watch the scene
+while (${n}.size > 0) ${n}.pop();
+${n}.pop();`,
+    },
+  ],
+  queue: (n, a, b) => [
+    {
+      label: "Serve the line",
+      code: `// Join at the REAR, serve from the FRONT
+${n}.enqueue(${a});
+${n}.enqueue(${b});
+while (${n}.size > 1) {
+  console.log("serving", ${n}.dequeue());
+}
+console.log("next up:", ${n}.peek());`,
+    },
+    {
+      label: "One dequeue too many",
+      code: `// Dequeuing an empty queue is an underflow — watch the scene
+while (!${n}.isEmpty()) ${n}.dequeue();
+${n}.dequeue();`,
+    },
+  ],
+  array: (n, a, b) => [
+    {
+      label: "Insert at the front",
+      code: `// Every item has to shift one slot right to make room
+${n}.insert(0, ${a});
+console.log(${n}.toArray());`,
+    },
+    {
+      label: "Linear search",
+      code: `// Check each slot in turn until the product turns up
+const target = ${b};
+for (let i = 0; i < ${n}.length; i++) {
+  if (${n}.get(i) === target) {
+    console.log(target, "is at index", i);
+    break;
+  }
+}`,
+    },
+    {
+      label: "Keep pushing",
+      code: `// A fixed shelf drops items; a dynamic array doubles its capacity
+for (let i = 0; i < 5; i++) ${n}.push(${a});
+console.log("length", ${n}.length, "capacity", ${n}.capacity);`,
+    },
+    {
+      label: "Off the end",
+      code: `// The last valid index is length - 1
+console.log(${n}.get(${n}.length));`,
+    },
+  ],
+  list: (n, a, b) => [
+    {
+      label: "Insert after a node",
+      code: `// Find a node, then splice a new one in right after it
+const node = ${n}.find(${a});
+${n}.insertAfter(node, ${b});
+console.log(${n}.toArray());`,
+    },
+    {
+      label: "Walk the chain",
+      code: `// Follow next pointers from HEAD until there are none.
+// Try it on a circular list: there is never a null!
+let curr = ${n}.head;
+while (curr !== null) {
+  console.log(curr.value);
+  curr = curr.next;
+}`,
+    },
+    {
+      label: "Remove every other node",
+      code: `let curr = ${n}.head;
+while (curr !== null && curr.next !== null) {
+  const skip = curr.next;
+  curr = skip.next;
+  ${n}.remove(skip);
+}
+console.log(${n}.toArray());`,
+    },
+  ],
+};
+
+export const LAB_DOCS = {
+  stack: (n) => [
+    `${n}.push(x)`,
+    `${n}.pop()`,
+    `${n}.peek()`,
+    `${n}.clear()`,
+    `${n}.size`,
+    `${n}.isEmpty()`,
+    `${n}.toArray()`,
+  ],
+  queue: (n) => [
+    `${n}.enqueue(x)`,
+    `${n}.dequeue()`,
+    `${n}.peek()`,
+    `${n}.size`,
+    `${n}.isEmpty()`,
+    `${n}.toArray()`,
+  ],
+  array: (n) => [
+    `${n}.get(i)`,
+    `${n}.set(i, x)`,
+    `${n}.insert(i, x)`,
+    `${n}.remove(i)`,
+    `${n}.push(x)`,
+    `${n}.pop()`,
+    `${n}.length`,
+    `${n}.capacity`,
+    `${n}.toArray()`,
+  ],
+  list: (n) => [
+    `${n}.head`,
+    `${n}.tail`,
+    `${n}.size`,
+    "node.value",
+    "node.next",
+    "node.prev",
+    `${n}.insertAt(i, x)`,
+    `${n}.insertAfter(node, x)`,
+    `${n}.removeAt(i)`,
+    `${n}.remove(node)`,
+    `${n}.find(x)`,
+    `${n}.reverse()`,
+    `${n}.traverse()`,
+    `${n}.toArray()`,
+  ],
+};
@@ -0,0 +1,239 @@
+import { Model } from "./model";
+
+// ─── Array: contiguous slots with a capacity ─────────────────────────────────
+// onFull decides what an insert into a full array does:
+//   "reject" — emit overflow and stop
+//   "drop"   — emit overflow, let the last item fall off, then insert
+//   "grow"   — allocate capacity × 2, copy every item, then insert
+// With a `blank` value, remove() leaves a blank in the freed slot so the
+// array keeps its length (a fixed shelf with empty spaces).
+export class ArrayModel extends Model {
+  constructor({
+    items = [],
+    capacity = items.length,
+    onFull = "reject",
+    blank,
+    maxCapacity = Infinity,
+  } = {}) {
+    super();
+    this.onFull = onFull;
+    this.blank = blank;
+    this.maxCapacity = maxCapacity;
+    this.items = [...items];
+    this.capacity = capacity;
+    this.initial = { items: [...items], capacity };
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  toArray() {
+    return [...this.items];
+  }
+
+  #inBounds(i, max) {
+    return Number.isInteger(i) && i >= 0 && i < max;
+  }
+
+  access(i) {
+    if (!this.#inBounds(i, this.size))
+      return this.emit("outOfBounds", {
+        index: i,
+        size: this.size,
+        op: "access",
+      });
+    return this.emit("access", { index: i, value: this.items[i], steps: 1 });
+  }
+
+  update(i, value) {
+    if (!this.#inBounds(i, this.size))
+      return this.emit("outOfBounds", {
+        index: i,
+        size: this.size,
+        op: "update",
+      });
+    const previous = this.items[i];
+    this.items[i] = value;
+    return this.emit("update", {
+      index: i,
+      value,
+      previous,
+      steps: 1,
+      op: "update",
+      args: [i, value],
+    });
+  }
+
+  // Two slots trade values through a temp: three assignments, nothing shifts
+  swap(i, j) {
+    const bad = [i, j].find((k) => !this.#inBounds(k, this.size));
+    if (bad !== undefined)
+      return this.emit("outOfBounds", {
+        index: bad,
+        size: this.size,
+        op: "swap",
+      });
+    const values = [this.items[i], this.items[j]];
+    [this.items[i], this.items[j]] = [values[1], values[0]];
+    return this.emit("swap", {
+      index: i,
+      other: j,
+      values,
+      steps: 3,
+      op: "swap",
+      args: [i, j],
+    });
+  }
+
+  insert(i, value) {
+    if (!this.#inBounds(i, this.size + 1))
+      return this.emit("outOfBounds", {
+        index: i,
+        size: this.size,
+        op: "insert",
+      });
+
+    let dropped;
+    let grew = null;
+    // A blank in the last slot is free space: reuse it instead of overflowing
+    if (
+      this.blank !== undefined &&
+      this.size >= this.capacity &&
+      this.items.at(-1) === this.blank
+    ) {
+      this.items.pop();
+      i = Math.min(i, this.size);
+    }
+    if (this.size >= this.capacity) {
+      if (this.onFull === "grow" && this.capacity * 2 <= this.maxCapacity) {
+        grew = this.#grow();
+      } else if (this.onFull === "drop") {
+        // Inserting past the last slot: the new item is what falls off
+        if (i === this.size)
+          return this.emit("overflow", {
+            capacity: this.capacity,
+            dropped: value,
+            index: i,
+            op: "insert",
+          });
+        dropped = this.items.pop();
+        this.emit("overflow", {
+          capacity: this.capacity,
+          dropped,
+          op: "insert",
+        });
+      } else {
+        return this.emit("overflow", { capacity: this.capacity, op: "insert" });
+      }
+    }
+
+    const shifted = this.size - i;
+    for (let k = this.size - 1; k >= i; k--)
+      this.emit("shift", {
+        from: k,
+        to: k + 1,
+        value: this.items[k],
+        steps: 1,
+      });
+    this.items.splice(i, 0, value);
+    const copied = grew ? grew.from.length : 0;
+    return this.emit("insert", {
+      index: i,
+      value,
+      shifted,
+      copied,
+      grew,
+      dropped,
+      steps: 1 + shifted + copied,
+      complexity: shifted || copied ? "O(n)" : "O(1)",
+      op: "insert",
+      args: [i, value],
+    });
+  }
+
+  push(value) {
+    return this.insert(this.size, value);
+  }
+
+  remove(i) {
+    if (!this.#inBounds(i, this.size))
+      return this.emit("outOfBounds", {
+        index: i,
+        size: this.size,
+        op: "remove",
+      });
+    return this.#remove(i, { op: "remove", args: [i] });
+  }
+
+  pop() {
+    if (this.size === 0) return this.emit("underflow", { op: "pop" });
+    return this.#remove(this.size - 1, { op: "pop", args: [] });
+  }
+
+  // `call` is the method to record on the event, so a pop replays as a pop
+  #remove(i, call) {
+    const [value] = this.items.splice(i, 1);
+    for (let k = i; k < this.size; k++)
+      this.emit("shift", {
+        from: k + 1,
+        to: k,
+        value: this.items[k],
+        steps: 1,
+      });
+    if (this.blank !== undefined) this.items.push(this.blank);
+    const shifted = this.size - i - (this.blank !== undefined ? 1 : 0);
+    return this.emit("remove", {
+      index: i,
+      value,
+      shifted,
+      steps: 1 + shifted,
+      complexity: shifted ? "O(n)" : "O(1)",
+      ...call,
+    });
+  }
+
+  // Replaces the contents wholesale (e.g. after sorting) without a reset
+  assign(items) {
+    this.items = [...items];
+    return this.emit("update", {
+      items: this.toArray(),
+      steps: this.size,
+      complexity: "O(n)",
+      op: "assign",
+      args: [items],
+    });
+  }
+
+  #grow() {
+    const from = this.toArray();
+    const to = this.capacity * 2;
+    from.forEach((value, k) =>
+      this.emit("copy", { from: k, to: k, value, steps: 1 }),
+    );
+    const event = this.emit("grow", {
+      from,
+      fromCapacity: this.capacity,
+      toCapacity: to,
+      steps: from.length,
+      complexity: "O(n)",
+    });
+    this.capacity = to;
+    return event;
+  }
+
+  snapshot() {
+    return { items: this.toArray(), capacity: this.capacity };
+  }
+
+  restore(state) {
+    this.capacity = state.capacity;
+    return super.restore(state);
+  }
+
+  reset(items = this.initial.items, capacity = this.initial.capacity) {
+    this.items = [...items];
+    this.capacity = capacity;
+    return this.emit("reset", { items: this.toArray(), capacity });
+  }
+}
@@ -0,0 +1,94 @@
+import { describe, expect, it } from "vitest";
+import { ArrayModel } from "./arrayModel";
+
+const typesOf = (model, fn) => {
+  const types = [];
+  const off = model.subscribe((e) => types.push(e.type));
+  fn();
+  off();
+  return types;
+};
+
+describe("ArrayModel", () => {
+  it("shifts items right on insert and left on remove", () => {
+    const array = new ArrayModel({ items: ["a", "b", "c"], capacity: 4 });
+
+    const types = typesOf(array, () => array.insert(1, "x"));
+    expect(types).toEqual(["shift", "shift", "insert"]);
+    expect(array.toArray()).toEqual(["a", "x", "b", "c"]);
+
+    const removed = array.remove(0);
+    expect(removed).toMatchObject({ value: "a", shifted: 3, steps: 4 });
+    expect(array.toArray()).toEqual(["x", "b", "c"]);
+  });
+
+  it("rejects bad indexes with outOfBounds", () => {
+    const array = new ArrayModel({ items: [1, 2] });
+    expect(array.access(2)).toMatchObject({ type: "outOfBounds", size: 2 });
+    expect(array.update(-1, 0).type).toBe("outOfBounds");
+    expect(array.insert(3, 0).type).toBe("outOfBounds");
+    expect(array.swap(0, 2)).toMatchObject({ type: "outOfBounds", index: 2 });
+    expect(array.toArray()).toEqual([1, 2]);
+  });
+
+  it("swaps two slots in place", () => {
+    const array = new ArrayModel({ items: ["a", "b", "c"] });
+    const swapped = array.swap(0, 2);
+    expect(swapped).toMatchObject({ values: ["a", "c"], complexity: "O(1)" });
+    expect(array.toArray()).toEqual(["c", "b", "a"]);
+  });
+
+  it("handles a full array according to onFull", () => {
+    const reject = new ArrayModel({ items: [1, 2] });
+    expect(reject.push(3).type).toBe("overflow");
+
+    const drop = new ArrayModel({ items: [1, 2], onFull: "drop" });
+    expect(drop.insert(0, 0)).toMatchObject({ type: "insert", dropped: 2 });
+    expect(drop.toArray()).toEqual([0, 1]);
+
+    const grow = new ArrayModel({ items: [1, 2], onFull: "grow" });
+    const types = typesOf(grow, () => grow.push(3));
+    expect(types).toEqual(["copy", "copy", "grow", "insert"]);
+    expect(grow.capacity).toBe(4);
+  });
+
+  it("keeps its length with a blank value", () => {
+    const shelf = new ArrayModel({ items: [1, 2, 3], blank: null });
+    shelf.remove(0);
+    expect(shelf.toArray()).toEqual([2, 3, null]);
+    expect(shelf.push(4).type).toBe("insert");
+    expect(shelf.toArray()).toEqual([2, 3, 4]);
+  });
+
+  it("records pop() as a pop, not as a remove at the last index", () => {
+    const array = new ArrayModel({ items: [1, 2, 3] });
+    expect(array.pop()).toMatchObject({ type: "remove", op: "pop", args: [] });
+    expect(array.remove(0)).toMatchObject({ op: "remove", args: [0] });
+    expect(array.toArray()).toEqual([2]);
+  });
+
+  it("restores capacity along with the items", () => {
+    const array = new ArrayModel({ items: [1], capacity: 1, onFull: "grow" });
+    const saved = array.snapshot();
+    array.push(2);
+    array.push(3);
+    expect(array.capacity).toBe(4);
+
+    array.restore(saved);
+    expect(array.toArray()).toEqual([1]);
+    expect(array.capacity).toBe(1);
+  });
+
+  it("replays recorded changes with apply()", () => {
+    const source = new ArrayModel({ items: [1, 2, 3], capacity: 5 });
+    const copy = new ArrayModel({ items: [1, 2, 3], capacity: 5 });
+    const changes = [
+      source.insert(0, 9),
+      source.update(2, 7),
+      source.remove(1),
+      source.swap(0, 1),
+    ];
+    changes.forEach((e) => copy.apply(e));
+    expect(copy.toArray()).toEqual(source.toArray());
+  });
+});
@@ -0,0 +1,102 @@
+import { QueueModel } from "./queueModel";
+
+// ─── Deque: a queue that can also push and pop at the other end ──────────────
+// Same ring-buffer slot numbers as QueueModel: pushFront steps `head` back
+// one slot and popBack reads the slot just before the tail, so every
+// operation at either end stays O(1).
+export class DequeModel extends QueueModel {
+  // Slot arithmetic that also wraps going backwards past slot 0
+  #wrap(slot) {
+    const c = this.capacity;
+    return Number.isFinite(c) ? ((slot % c) + c) % c : slot;
+  }
+
+  #full(value, op) {
+    return this.emit("overflow", { capacity: this.capacity, value, op });
+  }
+
+  pushFront(value) {
+    if (this.size >= this.capacity) return this.#full(value, "pushFront");
+    const from = this.head;
+    this.head = this.#wrap(this.head - 1);
+    this.items.unshift(value);
+    const event = this.emit("pushFront", {
+      value,
+      index: 0,
+      slot: this.head,
+      size: this.size,
+      steps: 1,
+      op: "pushFront",
+      args: [value],
+    });
+    this.emit("pointerMove", { pointer: "front", from, to: this.head });
+    return event;
+  }
+
+  pushBack(value) {
+    if (this.size >= this.capacity) return this.#full(value, "pushBack");
+    const slot = this.tail;
+    this.items.push(value);
+    const event = this.emit("pushBack", {
+      value,
+      index: this.size - 1,
+      slot,
+      size: this.size,
+      steps: 1,
+      op: "pushBack",
+      args: [value],
+    });
+    this.emit("pointerMove", { pointer: "rear", from: slot, to: this.tail });
+    return event;
+  }
+
+  popFront() {
+    if (this.size === 0) return this.emit("underflow", { op: "popFront" });
+    const slot = this.head;
+    const value = this.items.shift();
+    this.head = this.#wrap(this.head + 1);
+    const event = this.emit("popFront", {
+      value,
+      index: 0,
+      slot,
+      size: this.size,
+      steps: 1,
+      op: "popFront",
+      args: [],
+    });
+    this.emit("pointerMove", { pointer: "front", from: slot, to: this.head });
+    return event;
+  }
+
+  popBack() {
+    if (this.size === 0) return this.emit("underflow", { op: "popBack" });
+    const from = this.tail;
+    const value = this.items.pop();
+    const event = this.emit("popBack", {
+      value,
+      index: this.size,
+      slot: this.tail,
+      size: this.size,
+      steps: 1,
+      op: "popBack",
+      args: [],
+    });
+    this.emit("pointerMove", { pointer: "rear", from, to: this.tail });
+    return event;
+  }
+
+  peekFront() {
+    return this.peek();
+  }
+
+  peekBack() {
+    if (this.size === 0) return this.emit("underflow", { op: "peekBack" });
+    return this.emit("peek", {
+      value: this.rear,
+      index: this.size - 1,
+      slot: this.#wrap(this.tail - 1),
+      end: "back",
+      steps: 1,
+    });
+  }
+}
@@ -0,0 +1,46 @@
+import { describe, expect, it } from "vitest";
+import { DequeModel } from "./dequeModel";
+
+describe("DequeModel", () => {
+  it("pushes and pops at both ends", () => {
+    const deque = new DequeModel({ items: ["b"], capacity: 4 });
+    expect(deque.pushFront("a")).toMatchObject({ index: 0, slot: 3 });
+    expect(deque.pushBack("c")).toMatchObject({ index: 2, slot: 1 });
+    expect(deque.toArray()).toEqual(["a", "b", "c"]);
+    expect(deque.head).toBe(3);
+
+    expect(deque.popBack()).toMatchObject({ value: "c", index: 2, slot: 1 });
+    expect(deque.popFront()).toMatchObject({ value: "a", slot: 3 });
+    expect(deque.toArray()).toEqual(["b"]);
+    expect(deque.head).toBe(0);
+  });
+
+  it("peeks either end and reports overflow and underflow", () => {
+    const deque = new DequeModel({ items: ["a", "b"], capacity: 2 });
+    expect(deque.peekFront()).toMatchObject({ value: "a", index: 0 });
+    expect(deque.peekBack()).toMatchObject({ value: "b", index: 1 });
+    expect(deque.pushFront("z").type).toBe("overflow");
+
+    deque.popBack();
+    deque.popBack();
+    expect(deque.popFront().type).toBe("underflow");
+    expect(deque.peekBack()).toMatchObject({
+      type: "underflow",
+      op: "peekBack",
+    });
+  });
+
+  it("replays recorded changes with apply()", () => {
+    const source = new DequeModel({ capacity: 3 });
+    const copy = new DequeModel({ capacity: 3 });
+    const changes = [
+      source.pushBack(1),
+      source.pushFront(0),
+      source.popBack(),
+      source.pushFront(-1),
+    ];
+    changes.forEach((e) => copy.apply(e));
+    expect(copy.snapshot()).toEqual(source.snapshot());
+    expect(copy.toArray()).toEqual([-1, 0]);
+  });
+});
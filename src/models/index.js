@@ -0,0 +1,8 @@
+// Framework-free data structure models shared by the 3D scenarios
+export { Model } from "./model";
+export { ArrayModel } from "./arrayModel";
+export { StackModel } from "./stackModel";
+export { QueueModel } from "./queueModel";
+export { DequeModel } from "./dequeModel";
+export { LinkedListModel } from "./linkedListModel";
+export { SceneModel } from "./sceneModel";
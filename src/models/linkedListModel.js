@@ -0,0 +1,150 @@
+import { Model } from "./model";
+
+// ─── Linked list: HEAD and TAIL pointers over a chain of nodes ───────────────
+// Nodes are plain objects with an `id`; the order of `nodes` is the order of
+// the next pointers. `doubly` adds prev pointers (O(1) tail delete) and
+// `circular` links TAIL back to HEAD. `reversed` flips on every reverse().
+export class LinkedListModel extends Model {
+  constructor({ nodes = [], doubly = false, circular = false } = {}) {
+    super();
+    this.nodes = [...nodes];
+    this.doubly = doubly;
+    this.circular = circular;
+    this.reversed = false;
+    this.initial = [...nodes];
+  }
+
+  get size() {
+    return this.nodes.length;
+  }
+
+  toArray() {
+    return [...this.nodes];
+  }
+
+  setKind({ doubly = false, circular = false }) {
+    this.doubly = doubly;
+    this.circular = circular;
+  }
+
+  // Walks `prev` from HEAD to node[k], one hop per step
+  #walkTo(k) {
+    for (let i = 0; i <= k; i++) {
+      this.emit("visit", { index: i, node: this.nodes[i], steps: 1 });
+      this.emit("pointerMove", { pointer: "prev", from: i - 1, to: i });
+    }
+    return k + 1;
+  }
+
+  #link(from, to) {
+    this.emit("link", { from: from?.id ?? "HEAD", to: to?.id ?? null });
+  }
+
+  #wrap() {
+    if (this.circular && this.size > 0)
+      this.#link(this.nodes.at(-1), this.nodes[0]);
+  }
+
+  insertAt(i, node) {
+    if (!Number.isInteger(i) || i < 0 || i > this.size)
+      return this.emit("outOfBounds", {
+        index: i,
+        size: this.size,
+        op: "insertAt",
+      });
+    const atEnd = i === this.size && i > 0;
+    // HEAD and TAIL are both pointers we already hold
+    const hops = i === 0 || atEnd ? 0 : this.#walkTo(i - 1);
+    const prev = this.nodes[i - 1] ?? null;
+    const next = this.nodes[i] ?? null;
+    this.nodes.splice(i, 0, node);
+    this.#link(node, next);
+    this.#link(prev, node);
+    if (i === 0) this.emit("pointerMove", { pointer: "head", to: 0 });
+    if (i === this.size - 1)
+      this.emit("pointerMove", { pointer: "tail", to: i });
+    this.#wrap();
+    return this.emit("insert", {
+      index: i,
+      value: node,
+      steps: hops + 1,
+      complexity: hops ? "O(n)" : "O(1)",
+      op: "insertAt",
+      args: [i, node],
+    });
+  }
+
+  removeAt(i) {
+    if (!Number.isInteger(i) || i < 0 || i >= this.size)
+      return this.emit("outOfBounds", {
+        index: i,
+        size: this.size,
+        op: "removeAt",
+      });
+    const isTail = i === this.size - 1;
+    // Without prev pointers the node before TAIL has to be found by walking
+    const hops = i === 0 || (isTail && this.doubly) ? 0 : this.#walkTo(i - 1);
+    const prev = this.nodes[i - 1] ?? null;
+    const [node] = this.nodes.splice(i, 1);
+    this.#link(prev, this.nodes[i] ?? null);
+    if (i === 0) this.emit("pointerMove", { pointer: "head", to: 0 });
+    if (isTail)
+      this.emit("pointerMove", { pointer: "tail", to: this.size - 1 });
+    this.#wrap();
+    return this.emit("remove", {
+      index: i,
+      value: node,
+      steps: hops + 1,
+      complexity: hops ? "O(n)" : "O(1)",
+      op: "removeAt",
+      args: [i],
+    });
+  }
+
+  // Emits a visit per node; the returned event carries the visiting order
+  traverse({ backward = false } = {}) {
+    const order = this.nodes.map((_, k) => (backward ? this.size - 1 - k : k));
+    order.forEach((index) =>
+      this.emit("visit", { index, node: this.nodes[index], steps: 1 }),
+    );
+    return this.emit("traverse", {
+      order,
+      backward,
+      steps: order.length,
+      complexity: "O(n)",
+    });
+  }
+
+  reverse() {
+    this.nodes.reverse();
+    this.reversed = !this.reversed;
+    this.nodes.forEach((node, k) =>
+      this.#link(node, this.nodes[k + 1] ?? null),
+    );
+    this.emit("pointerMove", { pointer: "head", to: 0 });
+    this.emit("pointerMove", { pointer: "tail", to: this.size - 1 });
+    this.#wrap();
+    return this.emit("reverse", {
+      steps: this.size,
+      complexity: "O(n)",
+      op: "reverse",
+      args: [],
+    });
+  }
+
+  snapshot() {
+    return { items: this.toArray(), reversed: this.reversed };
+  }
+
+  restore(state) {
+    this.nodes = [...state.items];
+    this.reversed = state.reversed;
+    return this.emit("restore", { ...state, items: this.toArray() });
+  }
+
+  reset(nodes = this.initial) {
+    this.nodes = [...nodes];
+    this.reversed = false;
+    return this.emit("reset", { items: this.toArray() });
+  }
+}
@@ -0,0 +1,73 @@
+import { describe, expect, it } from "vitest";
+import { LinkedListModel } from "./linkedListModel";
+
+const nodes = (...values) => values.map((value) => ({ id: value, value }));
+const values = (list) => list.toArray().map((n) => n.value);
+
+describe("LinkedListModel", () => {
+  it("inserts at HEAD and TAIL without walking", () => {
+    const list = new LinkedListModel({ nodes: nodes(2, 3) });
+    expect(list.insertAt(0, { id: 1, value: 1 })).toMatchObject({
+      steps: 1,
+      complexity: "O(1)",
+    });
+    expect(list.insertAt(3, { id: 4, value: 4 }).steps).toBe(1);
+    expect(values(list)).toEqual([1, 2, 3, 4]);
+  });
+
+  it("walks to the node before a middle insert", () => {
+    const list = new LinkedListModel({ nodes: nodes(1, 2, 3) });
+    const visited = [];
+    list.subscribe((e) => e.type === "visit" && visited.push(e.index));
+    expect(list.insertAt(2, { id: 9, value: 9 }).complexity).toBe("O(n)");
+    expect(visited).toEqual([0, 1]);
+  });
+
+  it("removes the tail in O(1) only when doubly linked", () => {
+    const singly = new LinkedListModel({ nodes: nodes(1, 2, 3) });
+    expect(singly.removeAt(2).complexity).toBe("O(n)");
+
+    const doubly = new LinkedListModel({ nodes: nodes(1, 2, 3), doubly: true });
+    expect(doubly.removeAt(2)).toMatchObject({
+      value: { value: 3 },
+      complexity: "O(1)",
+    });
+  });
+
+  it("traverses in either direction", () => {
+    const list = new LinkedListModel({ nodes: nodes(1, 2, 3), doubly: true });
+    expect(list.traverse().order).toEqual([0, 1, 2]);
+    expect(list.traverse({ backward: true }).order).toEqual([2, 1, 0]);
+  });
+
+  it("rejects bad indexes with outOfBounds", () => {
+    const list = new LinkedListModel({ nodes: nodes(1) });
+    expect(list.removeAt(1).type).toBe("outOfBounds");
+    expect(list.insertAt(-1, { id: 0, value: 0 }).type).toBe("outOfBounds");
+  });
+
+  it("restores the nodes and the reversed flag", () => {
+    const list = new LinkedListModel({ nodes: nodes(1, 2, 3) });
+    const saved = list.snapshot();
+    list.reverse();
+    list.removeAt(0);
+    expect(list.reversed).toBe(true);
+
+    expect(list.restore(saved).type).toBe("restore");
+    expect(values(list)).toEqual([1, 2, 3]);
+    expect(list.reversed).toBe(false);
+  });
+
+  it("replays recorded changes with apply()", () => {
+    const source = new LinkedListModel({ nodes: nodes(1, 2) });
+    const copy = new LinkedListModel({ nodes: nodes(1, 2) });
+    const changes = [
+      source.insertAt(1, { id: 5, value: 5 }),
+      source.reverse(),
+      source.removeAt(0),
+    ];
+    changes.forEach((e) => copy.apply(e));
+    expect(values(copy)).toEqual(values(source));
+    expect(copy.reversed).toBe(source.reversed);
+  });
+});
@@ -0,0 +1,63 @@
+// ─── Base model: plain JS state plus a typed event stream ────────────────────
+// The models below know nothing about React or three.js. Every operation
+// mutates the model, emits one or more events describing what happened, and
+// returns the event for the operation itself so callers can branch on it.
+// Events for operations that change state also carry `op` and `args`, so
+// the same call can be made again later (redo, replay). SceneModel events
+// are named after the scene's own operations instead.
+
+/**
+ * @typedef {"access" | "update" | "swap" | "insert" | "remove" | "shift"
+ *   | "grow" | "copy" | "push" | "pop" | "peek" | "enqueue" | "dequeue"
+ *   | "pushFront" | "pushBack" | "popFront" | "popBack" | "visit"
+ *   | "traverse" | "link" | "reverse" | "pointerMove" | "overflow"
+ *   | "underflow" | "outOfBounds" | "clear" | "reset"
+ *   | "restore"} ModelEventType
+ */
+
+/**
+ * @typedef {object} ModelEvent
+ * @property {ModelEventType} type
+ * @property {number} steps      elementary steps the operation took
+ * @property {string} complexity Big-O of the operation in this situation
+ * @property {number} seq        increasing id, handy as a React key
+ * @property {string} [op]       method the event came from
+ * @property {Array} [args]      its arguments, on changes that can be redone
+ */
+
+let seq = 0;
+
+export class Model {
+  #listeners = new Set();
+
+  /**
+   * @param {(event: ModelEvent) => void} listener
+   * @returns {() => void} unsubscribe
+   */
+  subscribe(listener) {
+    this.#listeners.add(listener);
+    return () => this.#listeners.delete(listener);
+  }
+
+  /** @returns {ModelEvent} */
+  emit(type, detail = {}) {
+    const event = { type, steps: 0, complexity: "O(1)", ...detail, seq: ++seq };
+    this.#listeners.forEach((fn) => fn(event));
+    return event;
+  }
+
+  // Makes the call recorded on an event again
+  apply(event) {
+    return this[event.op](...event.args);
+  }
+
+  // Plain state that restore() can put back; subclasses add their extras
+  snapshot() {
+    return { items: this.toArray() };
+  }
+
+  restore(state) {
+    this.items = [...state.items];
+    return this.emit("restore", { ...state, items: this.toArray() });
+  }
+}
@@ -0,0 +1,101 @@
+import { Model } from "./model";
+
+// ─── Queue: FIFO with circular-buffer slot numbers ───────────────────────────
+// `items` holds the queue FRONT to REAR in a plain JS array. `head` tracks
+// which slot the FRONT item would occupy in a ring of `capacity` slots, and
+// the REAR slot is derived as (head + size) % capacity, so events can report
+// where a fixed-size ring buffer would read and write.
+export class QueueModel extends Model {
+  constructor({ items = [], capacity = Infinity } = {}) {
+    super();
+    this.items = [...items];
+    this.capacity = capacity;
+    this.head = 0;
+    this.initial = [...items];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  get front() {
+    return this.items[0] ?? null;
+  }
+
+  get rear() {
+    return this.items[this.size - 1] ?? null;
+  }
+
+  get tail() {
+    return (this.head + this.size) % this.capacity;
+  }
+
+  toArray() {
+    return [...this.items];
+  }
+
+  enqueue(value) {
+    if (this.size >= this.capacity)
+      return this.emit("overflow", {
+        capacity: this.capacity,
+        value,
+        op: "enqueue",
+      });
+    const slot = this.tail;
+    this.items.push(value);
+    const event = this.emit("enqueue", {
+      value,
+      index: this.size - 1,
+      slot,
+      size: this.size,
+      steps: 1,
+      op: "enqueue",
+      args: [value],
+    });
+    this.emit("pointerMove", { pointer: "rear", from: slot, to: this.tail });
+    return event;
+  }
+
+  dequeue() {
+    if (this.size === 0) return this.emit("underflow", { op: "dequeue" });
+    const slot = this.head;
+    const value = this.items.shift();
+    this.head = (this.head + 1) % this.capacity;
+    const event = this.emit("dequeue", {
+      value,
+      slot,
+      head: this.head,
+      size: this.size,
+      steps: 1,
+      op: "dequeue",
+      args: [],
+    });
+    this.emit("pointerMove", { pointer: "front", from: slot, to: this.head });
+    return event;
+  }
+
+  peek() {
+    if (this.size === 0) return this.emit("underflow", { op: "peek" });
+    return this.emit("peek", {
+      value: this.front,
+      index: 0,
+      slot: this.head,
+      steps: 1,
+    });
+  }
+
+  snapshot() {
+    return { items: this.toArray(), head: this.head };
+  }
+
+  restore(state) {
+    this.head = state.head;
+    return super.restore(state);
+  }
+
+  reset(items = this.initial) {
+    this.items = [...items];
+    this.head = 0;
+    return this.emit("reset", { items: this.toArray(), head: 0 });
+  }
+}
@@ -0,0 +1,45 @@
+import { describe, expect, it } from "vitest";
+import { QueueModel } from "./queueModel";
+
+describe("QueueModel", () => {
+  it("dequeues in FIFO order and moves head around the ring", () => {
+    const queue = new QueueModel({ items: ["a", "b"], capacity: 3 });
+    expect(queue.enqueue("c")).toMatchObject({ slot: 2, size: 3 });
+
+    expect(queue.dequeue()).toMatchObject({ value: "a", slot: 0, head: 1 });
+    expect(queue.enqueue("d")).toMatchObject({ slot: 0 });
+    expect(queue.toArray()).toEqual(["b", "c", "d"]);
+    expect(queue.front).toBe("b");
+    expect(queue.rear).toBe("d");
+  });
+
+  it("reports overflow and underflow", () => {
+    const queue = new QueueModel({ capacity: 1 });
+    expect(queue.dequeue().type).toBe("underflow");
+    queue.enqueue(1);
+    expect(queue.enqueue(2).type).toBe("overflow");
+    expect(queue.size).toBe(1);
+  });
+
+  it("snapshots and restores the head slot with the items", () => {
+    const queue = new QueueModel({ items: [1, 2, 3], capacity: 4 });
+    queue.dequeue();
+    const saved = queue.snapshot();
+    expect(saved).toEqual({ items: [2, 3], head: 1 });
+
+    queue.dequeue();
+    queue.enqueue(4);
+    queue.restore(saved);
+    expect(queue.toArray()).toEqual([2, 3]);
+    expect(queue.head).toBe(1);
+    expect(queue.tail).toBe(3);
+  });
+
+  it("replays recorded changes with apply()", () => {
+    const source = new QueueModel({ capacity: 3 });
+    const copy = new QueueModel({ capacity: 3 });
+    const changes = [source.enqueue(1), source.enqueue(2), source.dequeue()];
+    changes.forEach((e) => copy.apply(e));
+    expect(copy.snapshot()).toEqual(source.snapshot());
+  });
+});
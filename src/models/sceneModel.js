@@ -0,0 +1,40 @@
+import { Model } from "./model";
+
+// ─── Scene: state a scenario works out itself, recorded for the timeline ─────
+// For scenarios with no data-structure model of their own (trees, heaps,
+// tables, graphs). The scene computes the new state, then record() stores
+// it and emits an event named after the operation, carrying the new state
+// with `op` and `args`. Scenes animate from that event, so apply() only has
+// to emit the recorded event again for redo and replay to animate exactly
+// like the original call.
+export class SceneModel extends Model {
+  constructor(state) {
+    super();
+    this.state = state;
+  }
+
+  record(op, args, state, detail = {}) {
+    this.state = state;
+    return this.emit(op, { ...detail, state, op, args });
+  }
+
+  apply(event) {
+    const { type, ...detail } = event;
+    this.state = event.state;
+    return this.emit(type, detail);
+  }
+
+  snapshot() {
+    return { state: this.state };
+  }
+
+  restore(snapshot) {
+    this.state = snapshot.state;
+    return this.emit("restore", { state: this.state });
+  }
+
+  reset(state) {
+    this.state = state;
+    return this.emit("reset", { state });
+  }
+}
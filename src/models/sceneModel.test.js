@@ -0,0 +1,50 @@
+import { describe, expect, it } from "vitest";
+import { SceneModel } from "./sceneModel";
+
+const record = (model) => {
+  const events = [];
+  model.subscribe((e) => events.push(e));
+  return events;
+};
+
+describe("SceneModel", () => {
+  it("records changes as redoable events named after the operation", () => {
+    const scene = new SceneModel({ values: [1] });
+    const inserted = scene.record("insert", [2], { values: [1, 2] }, { id: 7 });
+
+    expect(inserted).toMatchObject({
+      type: "insert",
+      op: "insert",
+      args: [2],
+      id: 7,
+      state: { values: [1, 2] },
+    });
+    expect(scene.snapshot()).toEqual({ state: { values: [1, 2] } });
+  });
+
+  it("emits the recorded event again on apply", () => {
+    const scene = new SceneModel({ values: [] });
+    const inserted = scene.record("insert", [5], { values: [5] });
+    scene.restore({ state: { values: [] } });
+    const events = record(scene);
+
+    const again = scene.apply(inserted);
+    expect(again).toMatchObject({ type: "insert", args: [5] });
+    expect(again.seq).toBeGreaterThan(inserted.seq);
+    expect(scene.state).toEqual({ values: [5] });
+    expect(events.map((e) => e.type)).toEqual(["insert"]);
+  });
+
+  it("restores and resets to plain state", () => {
+    const scene = new SceneModel({ values: [1] });
+    expect(scene.restore({ state: { values: [] } })).toMatchObject({
+      type: "restore",
+      state: { values: [] },
+    });
+    expect(scene.reset({ values: [3] })).toMatchObject({
+      type: "reset",
+      state: { values: [3] },
+    });
+    expect(scene.state).toEqual({ values: [3] });
+  });
+});
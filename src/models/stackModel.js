@@ -0,0 +1,90 @@
+import { Model } from "./model";
+
+// ─── Stack: LIFO with a fixed capacity, TOP = last index ─────────────────────
+export class StackModel extends Model {
+  constructor({ items = [], capacity = Infinity } = {}) {
+    super();
+    this.items = [...items];
+    this.capacity = capacity;
+    this.initial = [...items];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  get top() {
+    return this.items[this.size - 1] ?? null;
+  }
+
+  toArray() {
+    return [...this.items];
+  }
+
+  #moveTop(from) {
+    this.emit("pointerMove", { pointer: "top", from, to: this.size - 1 });
+  }
+
+  push(value) {
+    if (this.size >= this.capacity)
+      return this.emit("overflow", {
+        capacity: this.capacity,
+        value,
+        op: "push",
+      });
+    this.items.push(value);
+    const event = this.emit("push", {
+      value,
+      index: this.size - 1,
+      size: this.size,
+      steps: 1,
+      op: "push",
+      args: [value],
+    });
+    this.#moveTop(this.size - 2);
+    return event;
+  }
+
+  pop() {
+    if (this.size === 0) return this.emit("underflow", { op: "pop" });
+    const value = this.items.pop();
+    const event = this.emit("pop", {
+      value,
+      index: this.size,
+      size: this.size,
+      steps: 1,
+      op: "pop",
+      args: [],
+    });
+    this.#moveTop(this.size);
+    return event;
+  }
+
+  peek() {
+    if (this.size === 0) return this.emit("underflow", { op: "peek" });
+    return this.emit("peek", {
+      value: this.top,
+      index: this.size - 1,
+      steps: 1,
+    });
+  }
+
+  // Dropping the whole stack is just TOP = -1
+  clear() {
+    const removed = this.size;
+    this.items = [];
+    const event = this.emit("clear", {
+      removed,
+      steps: 1,
+      op: "clear",
+      args: [],
+    });
+    this.#moveTop(removed - 1);
+    return event;
+  }
+
+  reset(items = this.initial) {
+    this.items = [...items];
+    return this.emit("reset", { items: this.toArray() });
+  }
+}
@@ -0,0 +1,82 @@
+import { describe, expect, it } from "vitest";
+import { StackModel } from "./stackModel";
+
+const record = (model) => {
+  const events = [];
+  model.subscribe((e) => events.push(e));
+  return events;
+};
+
+describe("StackModel", () => {
+  it("pushes and pops from the top", () => {
+    const stack = new StackModel({ items: ["a"], capacity: 3 });
+    const events = record(stack);
+
+    const pushed = stack.push("b");
+    expect(pushed).toMatchObject({ type: "push", value: "b", index: 1 });
+    expect(stack.top).toBe("b");
+
+    expect(stack.pop()).toMatchObject({ type: "pop", value: "b", size: 1 });
+    expect(stack.toArray()).toEqual(["a"]);
+    expect(events.map((e) => e.type)).toEqual([
+      "push",
+      "pointerMove",
+      "pop",
+      "pointerMove",
+    ]);
+  });
+
+  it("reports overflow and underflow without changing state", () => {
+    const stack = new StackModel({ items: ["a"], capacity: 1 });
+    expect(stack.push("b")).toMatchObject({ type: "overflow", capacity: 1 });
+    expect(stack.toArray()).toEqual(["a"]);
+
+    stack.pop();
+    expect(stack.pop().type).toBe("underflow");
+    expect(stack.peek().type).toBe("underflow");
+  });
+
+  it("gives events an increasing seq", () => {
+    const stack = new StackModel();
+    const first = stack.push(1);
+    const second = stack.push(2);
+    expect(second.seq).toBeGreaterThan(first.seq);
+  });
+
+  it("stops notifying after unsubscribe", () => {
+    const stack = new StackModel();
+    const events = [];
+    const off = stack.subscribe((e) => events.push(e));
+    stack.push(1);
+    off();
+    stack.push(2);
+    expect(events.filter((e) => e.type === "push")).toHaveLength(1);
+  });
+
+  it("replays recorded changes with apply()", () => {
+    const source = new StackModel();
+    const copy = new StackModel();
+    const changes = [source.push("x"), source.push("y"), source.pop()];
+    changes.forEach((e) => copy.apply(e));
+    expect(copy.toArray()).toEqual(source.toArray());
+  });
+
+  it("restores a snapshot and announces it", () => {
+    const stack = new StackModel({ items: [1, 2] });
+    const saved = stack.snapshot();
+    stack.push(3);
+    stack.clear();
+
+    const events = record(stack);
+    const restored = stack.restore(saved);
+    expect(stack.toArray()).toEqual([1, 2]);
+    expect(restored).toMatchObject({ type: "restore", items: [1, 2] });
+    expect(events).toEqual([restored]);
+  });
+
+  it("resets to the initial items", () => {
+    const stack = new StackModel({ items: [1] });
+    stack.push(2);
+    expect(stack.reset()).toMatchObject({ type: "reset", items: [1] });
+  });
+});
@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from "react";
 import { Link } from "react-router-dom";
 import GroceryShelf from "../components/Groceryshelf";
+import StudentSeats from "../components/Studentseats";
+import TodoList from "../components/Todolist";
 
 const scenarios = [
   {
@@ -9,7 +11,11 @@ const scenarios = [
     environment: "Table Surface",
     icon: "🛒",
     description: "Virtual boxes with index labels (0, 1, 2...)",
-    concepts: ["Linear indexing", "Shifting elements on insert/delete"],
+    concepts: [
+      "Linear indexing",
+      "Shifting elements on insert/delete",
+      "Capacity doubling",
+    ],
     status: "ready",
   },
   {
@@ -19,7 +25,7 @@ const scenarios = [
     icon: "💺",
     description: "Row of avatars with assigned seat numbers",
     concepts: ["Random access by index", "Element swapping (Update)"],
-    status: "coming",
+    status: "ready",
   },
   {
     id: "todo",
@@ -28,7 +34,7 @@ const scenarios = [
     icon: "✅",
     description: "Rectangular task tiles in strict sequence",
     concepts: ["Appending to end vs inserting at index", "Shifting logic"],
-    status: "coming",
+    status: "ready",
   },
 ];
 
@@ -408,7 +414,7 @@ function ArrayPage() {
               <span className="text-white/50">
                 AR:{" "}
                 <span className="text-amber-300 font-medium">
-                  Tap "Enter AR Mode" on the shelf →
+                  Tap "Enter AR Mode" on the scenario →
                 </span>
               </span>
             </div>
@@ -417,6 +423,8 @@ function ArrayPage() {
 
       {/* 3D / AR Viewer */}
       {selectedScenario === "grocery" && <GroceryShelf />}
+      {selectedScenario === "seats" && <StudentSeats />}
+      {selectedScenario === "todo" && <TodoList />}
     </div>
   );
 }
@@ -48,6 +48,7 @@ function Home() {
             <li>📖 Book Stack</li>
             <li>🍽️ Plate Stack</li>
             <li>📦 Storage Boxes</li>
+            <li>🔁 Call Stack</li>
           </ul>
         </Link>
 
@@ -59,6 +60,52 @@ function Home() {
             <li>👨‍🎓 Student Attendance</li>
             <li>🎫 Ticket Queue</li>
             <li>🚗 Car Toll Gate</li>
+            <li>⇄ Two-Way Ticket Lane</li>
+          </ul>
+        </Link>
+
+        <Link to="/tree" className="topic-card">
+          <div className="topic-icon">🌳</div>
+          <h3>Tree</h3>
+          <p>Hierarchical nodes, binary search, traversals</p>
+          <ul className="scenarios">
+            <li>🌳 Number Tree (BST)</li>
+          </ul>
+        </Link>
+
+        <Link to="/heap" className="topic-card">
+          <div className="topic-icon">⛰️</div>
+          <h3>Heap</h3>
+          <p>Priority queues, sift-up/sift-down, heapify</p>
+          <ul className="scenarios">
+            <li>🎫 Priority Tickets</li>
+          </ul>
+        </Link>
+
+        <Link to="/hash" className="topic-card">
+          <div className="topic-icon">#️⃣</div>
+          <h3>Hash Table</h3>
+          <p>Hash functions, collisions, load factor</p>
+          <ul className="scenarios">
+            <li>#️⃣ Key Lockers</li>
+          </ul>
+        </Link>
+
+        <Link to="/graph" className="topic-card">
+          <div className="topic-icon">🕸️</div>
+          <h3>Graph</h3>
+          <p>Vertices, edges, BFS and DFS</p>
+          <ul className="scenarios">
+            <li>🗺️ City Map</li>
+          </ul>
+        </Link>
+
+        <Link to="/sorting" className="topic-card">
+          <div className="topic-icon">📊</div>
+          <h3>Sorting</h3>
+          <p>Bubble to quick sort, compares and swaps</p>
+          <ul className="scenarios">
+            <li>🛒 Grocery Shelf Sort</li>
           </ul>
         </Link>
       </div>
@@ -1,6 +1,8 @@
 import React, { useState } from "react";
 import { Link } from "react-router-dom";
 import DominoNodes from "../components/Dominonodes";
+import TrainCars from "../components/Traincars";
+import PeopleInLine from "../components/Peopleinline";
 
 const scenarios = [
   {
@@ -10,7 +12,7 @@ const scenarios = [
     icon: "🚃",
     description: "Cars connected via virtual couplers (pointers)",
     concepts: ["Node-pointer relationships", "Non-contiguous visual logic"],
-    status: "coming",
+    status: "ready",
   },
   {
     id: "people",
@@ -19,7 +21,7 @@ const scenarios = [
     icon: "👥",
     description: "Human avatars with directional arrows between them",
     concepts: ["Dynamic memory (inserting anywhere)", "Pointer redirection"],
-    status: "coming",
+    status: "ready",
   },
   {
     id: "domino",
@@ -98,6 +100,8 @@ function LinkedListPage() {
         })()}
 
       {/* 3D Viewer */}
+      {selectedScenario === "train" && <TrainCars />}
+      {selectedScenario === "people" && <PeopleInLine />}
       {selectedScenario === "domino" && <DominoNodes />}
     </div>
   );
@@ -2,6 +2,8 @@ import React, { useState } from "react";
 import { Link } from "react-router-dom";
 import CarTollGate from "../components/Cartollgate";
 import TicketQueue from "../components/Ticketqueue";
+import StudentAttendance from "../components/Studentattendance";
+import TicketDeque from "../components/Ticketdeque";
 
 const scenarios = [
   {
@@ -11,7 +13,7 @@ const scenarios = [
     icon: "👨‍🎓",
     description: "Avatars lining up for a specific point",
     concepts: ["FIFO (First-In, First-Out) principle", "Front/Rear pointers"],
-    status: "coming",
+    status: "ready",
   },
   {
     id: "tickets",
@@ -31,6 +33,15 @@ const scenarios = [
     concepts: ["Real-time flow", "Handling line length and front access"],
     status: "ready",
   },
+  {
+    id: "deque",
+    name: "Two-Way Ticket Lane",
+    environment: "Desk Surface",
+    icon: "⇄",
+    description: "A ticket lane open at both ends (double-ended queue)",
+    concepts: ["Push/pop at FRONT and BACK", "Deque as both stack and queue"],
+    status: "ready",
+  },
 ];
 
 function QueuePage() {
@@ -99,8 +110,10 @@ function QueuePage() {
         })()}
 
       {/* 3D Viewer */}
+      {selectedScenario === "attendance" && <StudentAttendance />}
       {selectedScenario === "tickets" && <TicketQueue />}
       {selectedScenario === "tollgate" && <CarTollGate />}
+      {selectedScenario === "deque" && <TicketDeque />}
     </div>
   );
 }
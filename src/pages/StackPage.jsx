@@ -2,6 +2,8 @@ import React, { useState } from "react";
 import { Link } from "react-router-dom";
 import BookStack from "../components/Bookstack";
 import StorageBoxes from "../components/Storageboxes";
+import PlateStack from "../components/Platestack";
+import CallStack from "../components/Callstack";
 
 const scenarios = [
   {
@@ -20,7 +22,7 @@ const scenarios = [
     icon: "🍽️",
     description: "Cafeteria-style plates stacking on top of each other",
     concepts: ["Push/Pop mechanics", "Handling Underflow (empty)"],
-    status: "coming",
+    status: "ready",
   },
   {
     id: "boxes",
@@ -31,6 +33,16 @@ const scenarios = [
     concepts: ["Top-of-stack tracking", "Peek operation visibility"],
     status: "ready",
   },
+  {
+    id: "calls",
+    name: "Call Stack",
+    environment: "Desk/Table",
+    icon: "🔁",
+    description:
+      "Recursive calls pushing and popping frames, with the call tree",
+    concepts: ["Stack frames & return values", "Recursion depth"],
+    status: "ready",
+  },
 ];
 
 function StackPage() {
@@ -101,7 +113,9 @@ function StackPage() {
 
       {/* 3D Viewer */}
       {selectedScenario === "books" && <BookStack />}
+      {selectedScenario === "plates" && <PlateStack />}
       {selectedScenario === "boxes" && <StorageBoxes />}
+      {selectedScenario === "calls" && <CallStack />}
     </div>
   );
 }
@@ -0,0 +1,400 @@
+import { program } from "./program";
+
+// ─── Array: contiguous slots, `size` items in `capacity` slots ───────────────
+
+const outOfBounds = (vars) => [
+  { step: "sig", vars },
+  { step: "bounds", vars, error: true },
+];
+
+// One loop + assignment frame per slot an insert or remove moved
+const shiftFrames = (group, format, extra = {}) =>
+  group
+    .filter((s) => s.type === "shift")
+    .flatMap((s) => [
+      { step: "loop", vars: { ...extra, i: s.to } },
+      {
+        step: "shift",
+        vars: { ...extra, i: s.to, [`items[${s.to}]`]: format(s.value) },
+      },
+    ]);
+
+const access = program(
+  {
+    js: `
+sig    | access(index) {
+bounds |   if (index < 0 || index >= size) throw new RangeError("Index out of bounds");
+ret    |   return items[index];
+       | }`,
+    py: `
+sig    | def access(self, index):
+bounds |     if index < 0 or index >= self.size:
+bounds |         raise IndexError("Index out of bounds")
+ret    |     return self.items[index]`,
+    java: `
+sig    | T access(int index) {
+bounds |     if (index < 0 || index >= size) throw new IndexOutOfBoundsException(index);
+ret    |     return items[index];
+       | }`,
+    cpp: `
+sig    | T& access(int index) {
+bounds |     if (index < 0 || index >= size) throw std::out_of_range("Index out of bounds");
+ret    |     return items[index];
+       | }`,
+  },
+  (e, _, { format }) => {
+    if (e.type === "outOfBounds")
+      return outOfBounds({ index: e.index, size: e.size });
+    const vars = { index: e.index };
+    return [
+      { step: "sig", vars },
+      { step: "bounds", vars },
+      {
+        step: "ret",
+        vars: { ...vars, [`items[${e.index}]`]: format(e.value) },
+      },
+    ];
+  },
+);
+
+const update = program(
+  {
+    js: `
+sig    | update(index, value) {
+bounds |   if (index < 0 || index >= size) throw new RangeError("Index out of bounds");
+store  |   items[index] = value;
+       | }`,
+    py: `
+sig    | def update(self, index, value):
+bounds |     if index < 0 or index >= self.size:
+bounds |         raise IndexError("Index out of bounds")
+store  |     self.items[index] = value`,
+    java: `
+sig    | void update(int index, T value) {
+bounds |     if (index < 0 || index >= size) throw new IndexOutOfBoundsException(index);
+store  |     items[index] = value;
+       | }`,
+    cpp: `
+sig    | void update(int index, const T& value) {
+bounds |     if (index < 0 || index >= size) throw std::out_of_range("Index out of bounds");
+store  |     items[index] = value;
+       | }`,
+  },
+  (e, _, { format }) => {
+    if (e.type === "outOfBounds")
+      return outOfBounds({ index: e.index, size: e.size });
+    const vars = { index: e.index, value: format(e.value) };
+    return [
+      { step: "sig", vars },
+      { step: "bounds", vars },
+      {
+        step: "store",
+        vars: { ...vars, [`items[${e.index}]`]: format(e.value) },
+      },
+    ];
+  },
+);
+
+// A fixed array cannot grow: when full, the last item falls off the end
+const insert = program(
+  {
+    js: `
+sig    | insert(index, value) {
+bounds |   if (index < 0 || index > size) throw new RangeError("Index out of bounds");
+full   |   if (size === capacity) {
+edge   |     if (index === size) return; // no room: the new item falls off
+drop   |     size = size - 1; // the last item falls off
+       |   }
+loop   |   for (let i = size; i > index; i--) {
+shift  |     items[i] = items[i - 1];
+       |   }
+store  |   items[index] = value;
+count  |   size = size + 1;
+       | }`,
+    py: `
+sig    | def insert(self, index, value):
+bounds |     if index < 0 or index > self.size:
+bounds |         raise IndexError("Index out of bounds")
+full   |     if self.size == self.capacity:
+edge   |         if index == self.size:
+edge   |             return  # no room: the new item falls off
+drop   |         self.size -= 1  # the last item falls off
+loop   |     for i in range(self.size, index, -1):
+shift  |         self.items[i] = self.items[i - 1]
+store  |     self.items[index] = value
+count  |     self.size += 1`,
+    java: `
+sig    | void insert(int index, T value) {
+bounds |     if (index < 0 || index > size) throw new IndexOutOfBoundsException(index);
+full   |     if (size == capacity) {
+edge   |         if (index == size) return; // no room: the new item falls off
+drop   |         size = size - 1; // the last item falls off
+       |     }
+loop   |     for (int i = size; i > index; i--) {
+shift  |         items[i] = items[i - 1];
+       |     }
+store  |     items[index] = value;
+count  |     size = size + 1;
+       | }`,
+    cpp: `
+sig    | void insert(int index, const T& value) {
+bounds |     if (index < 0 || index > size) throw std::out_of_range("Index out of bounds");
+full   |     if (size == capacity) {
+edge   |         if (index == size) return; // no room: the new item falls off
+drop   |         size = size - 1; // the last item falls off
+       |     }
+loop   |     for (int i = size; i > index; i--) {
+shift  |         items[i] = items[i - 1];
+       |     }
+store  |     items[index] = value;
+count  |     size = size + 1;
+       | }`,
+  },
+  (e, group, { format }) => {
+    if (e.type === "outOfBounds")
+      return outOfBounds({ index: e.index, size: e.size });
+    const value = format(e.type === "overflow" ? e.dropped : e.value);
+    const vars = { index: e.index, value };
+    const head = [
+      { step: "sig", vars },
+      { step: "bounds", vars },
+      { step: "full", vars },
+    ];
+    if (e.type === "overflow")
+      return [...head, { step: "edge", vars, error: true }];
+    if (e.dropped !== undefined)
+      head.push({
+        step: "drop",
+        vars: { ...vars, dropped: format(e.dropped) },
+      });
+    return [
+      ...head,
+      ...shiftFrames(group, format, vars),
+      { step: "store", vars: { ...vars, [`items[${e.index}]`]: value } },
+      { step: "count", vars },
+    ];
+  },
+);
+
+const remove = program(
+  {
+    js: `
+sig    | remove(index) {
+bounds |   if (index < 0 || index >= size) throw new RangeError("Index out of bounds");
+read   |   const value = items[index];
+loop   |   for (let i = index; i < size - 1; i++) {
+shift  |     items[i] = items[i + 1];
+       |   }
+count  |   size = size - 1;
+ret    |   return value;
+       | }`,
+    py: `
+sig    | def remove(self, index):
+bounds |     if index < 0 or index >= self.size:
+bounds |         raise IndexError("Index out of bounds")
+read   |     value = self.items[index]
+loop   |     for i in range(index, self.size - 1):
+shift  |         self.items[i] = self.items[i + 1]
+count  |     self.size -= 1
+ret    |     return value`,
+    java: `
+sig    | T remove(int index) {
+bounds |     if (index < 0 || index >= size) throw new IndexOutOfBoundsException(index);
+read   |     T value = items[index];
+loop   |     for (int i = index; i < size - 1; i++) {
+shift  |         items[i] = items[i + 1];
+       |     }
+count  |     size = size - 1;
+ret    |     return value;
+       | }`,
+    cpp: `
+sig    | T remove(int index) {
+bounds |     if (index < 0 || index >= size) throw std::out_of_range("Index out of bounds");
+read   |     T value = items[index];
+loop   |     for (int i = index; i < size - 1; i++) {
+shift  |         items[i] = items[i + 1];
+       |     }
+count  |     size = size - 1;
+ret    |     return value;
+       | }`,
+  },
+  (e, group, { format }) => {
+    if (e.type === "outOfBounds")
+      return outOfBounds({ index: e.index, size: e.size });
+    const vars = { index: e.index };
+    const read = { ...vars, value: format(e.value) };
+    return [
+      { step: "sig", vars },
+      { step: "bounds", vars },
+      { step: "read", vars: read },
+      ...shiftFrames(group, format, read),
+      { step: "count", vars: read },
+      { step: "ret", vars: read },
+    ];
+  },
+);
+
+const pop = program(
+  {
+    js: `
+sig   | pop() {
+empty |   if (size === 0) throw new Error("Array is empty");
+count |   size = size - 1;
+ret   |   return items[size];
+      | }`,
+    py: `
+sig   | def pop(self):
+empty |     if self.size == 0:
+empty |         raise IndexError("Array is empty")
+count |     self.size -= 1
+ret   |     return self.items[self.size]`,
+    java: `
+sig   | T pop() {
+empty |     if (size == 0) throw new IllegalStateException("Array is empty");
+count |     size = size - 1;
+ret   |     return items[size];
+      | }`,
+    cpp: `
+sig   | T pop() {
+empty |     if (size == 0) throw std::underflow_error("Array is empty");
+count |     size = size - 1;
+ret   |     return items[size];
+      | }`,
+  },
+  (e, _, { format, model }) => {
+    const vars = { size: model.size, capacity: model.capacity };
+    if (e.type === "underflow")
+      return [
+        { step: "sig", vars },
+        { step: "empty", vars, error: true },
+      ];
+    const before = { ...vars, size: e.index + 1 };
+    return [
+      { step: "sig", vars: before },
+      { step: "empty", vars: before },
+      { step: "count", vars },
+      { step: "ret", vars: { ...vars, value: format(e.value) } },
+    ];
+  },
+);
+
+export const arrayPrograms = { access, update, insert, remove, pop };
+
+// ─── Dynamic array: a full insert doubles the capacity first ─────────────────
+// Every other operation runs exactly as it does on a fixed array.
+
+const growInsert = program(
+  {
+    js: `
+sig    | insert(index, value) {
+bounds |   if (index < 0 || index > size) throw new RangeError("Index out of bounds");
+full   |   if (size === capacity) {
+alloc  |     const bigger = new Array(capacity * 2);
+copy   |     for (let i = 0; i < size; i++) bigger[i] = items[i];
+swap   |     items = bigger;
+swap   |     capacity = capacity * 2;
+       |   }
+loop   |   for (let i = size; i > index; i--) {
+shift  |     items[i] = items[i - 1];
+       |   }
+store  |   items[index] = value;
+count  |   size = size + 1;
+       | }`,
+    py: `
+sig    | def insert(self, index, value):
+bounds |     if index < 0 or index > self.size:
+bounds |         raise IndexError("Index out of bounds")
+full   |     if self.size == self.capacity:
+alloc  |         bigger = [None] * (self.capacity * 2)
+copy   |         for i in range(self.size):
+copy   |             bigger[i] = self.items[i]
+swap   |         self.items = bigger
+swap   |         self.capacity *= 2
+loop   |     for i in range(self.size, index, -1):
+shift  |         self.items[i] = self.items[i - 1]
+store  |     self.items[index] = value
+count  |     self.size += 1`,
+    java: `
+sig    | void insert(int index, T value) {
+bounds |     if (index < 0 || index > size) throw new IndexOutOfBoundsException(index);
+full   |     if (size == capacity) {
+alloc  |         T[] bigger = (T[]) new Object[capacity * 2];
+copy   |         for (int i = 0; i < size; i++) bigger[i] = items[i];
+swap   |         items = bigger;
+swap   |         capacity = capacity * 2;
+       |     }
+loop   |     for (int i = size; i > index; i--) {
+shift  |         items[i] = items[i - 1];
+       |     }
+store  |     items[index] = value;
+count  |     size = size + 1;
+       | }`,
+    cpp: `
+sig    | void insert(int index, const T& value) {
+bounds |     if (index < 0 || index > size) throw std::out_of_range("Index out of bounds");
+full   |     if (size == capacity) {
+alloc  |         T* bigger = new T[capacity * 2];
+copy   |         for (int i = 0; i < size; i++) bigger[i] = items[i];
+swap   |         delete[] items;
+swap   |         items = bigger;
+swap   |         capacity = capacity * 2;
+       |     }
+loop   |     for (int i = size; i > index; i--) {
+shift  |         items[i] = items[i - 1];
+       |     }
+store  |     items[index] = value;
+count  |     size = size + 1;
+       | }`,
+  },
+  (e, group, { format, model }) => {
+    if (e.type === "outOfBounds")
+      return outOfBounds({ index: e.index, size: e.size });
+    if (e.type === "overflow") {
+      // Already at the largest capacity the demo allows
+      const vars = { size: model.size, capacity: e.capacity };
+      return [
+        { step: "sig", vars },
+        { step: "bounds", vars },
+        { step: "full", vars, error: true },
+      ];
+    }
+    const value = format(e.value);
+    const size = model.size - 1;
+    const vars = {
+      index: e.index,
+      value,
+      size,
+      capacity: e.grew?.fromCapacity ?? model.capacity,
+    };
+    const grown = { ...vars, capacity: model.capacity };
+    const growth = e.grew
+      ? [
+          { step: "alloc", vars },
+          ...group
+            .filter((g) => g.type === "copy")
+            .map((c) => ({
+              step: "copy",
+              vars: { ...vars, i: c.to, [`bigger[${c.to}]`]: format(c.value) },
+            })),
+          { step: "swap", vars: grown },
+        ]
+      : [];
+    return [
+      { step: "sig", vars },
+      { step: "bounds", vars },
+      { step: "full", vars },
+      ...growth,
+      ...shiftFrames(group, format, grown),
+      { step: "store", vars: { ...grown, [`items[${e.index}]`]: value } },
+      { step: "count", vars: { ...grown, size: size + 1 } },
+    ];
+  },
+);
+
+export const dynamicArrayPrograms = {
+  access,
+  update,
+  insert: growInsert,
+  remove,
+  pop,
+};
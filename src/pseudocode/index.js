@@ -0,0 +1,10 @@
+// Pseudocode for every model operation, in each language the lessons teach
+export { LANGUAGES, program, programKey } from "./program";
+export { stackPrograms } from "./stack";
+export { queuePrograms } from "./queue";
+export { arrayPrograms, dynamicArrayPrograms } from "./array";
+export {
+  linkedListPrograms,
+  doublyLinkedListPrograms,
+  circularLinkedListPrograms,
+} from "./linkedList";
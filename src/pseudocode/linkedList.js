@@ -0,0 +1,843 @@
+import { program } from "./program";
+
+// ─── Linked list: singly, doubly and circular, with HEAD and TAIL pointers ───
+// Each kind gets its own program set, because the pointers an operation has
+// to rewire (prev, tail.next) and how a loop ends differ between them.
+
+// prev walking from HEAD: the first visit is `let prev = head`, the rest are
+// one `prev = prev.next` hop each
+const walkFrames = (group, format, vars) =>
+  group
+    .filter((g) => g.type === "visit")
+    .map((v, k) => ({
+      step: k === 0 ? "start" : "walk",
+      vars: { ...vars, ...(k > 0 && { i: k - 1 }), prev: format(v.node) },
+    }));
+
+const outOfBounds = (e) => [
+  { step: "sig", vars: { index: e.index, size: e.size }, error: true },
+];
+
+// `kind` is "singly", "doubly" or "circular"; the extra vars show the
+// pointers only that kind rewires
+const insertFrames =
+  (kind) =>
+  (e, group, { format, model }) => {
+    if (e.type === "outOfBounds") return outOfBounds(e);
+    const after = model.toArray();
+    const before = after.filter((_, k) => k !== e.index);
+    const value = format(e.value);
+    const vars = {
+      index: e.index,
+      value,
+      head: format(before[0] ?? null),
+      tail: format(before.at(-1) ?? null),
+    };
+    const frames = [
+      { step: "sig", vars },
+      { step: "new", vars },
+      {
+        step: "head",
+        vars:
+          e.index === 0
+            ? {
+                ...vars,
+                head: value,
+                ...(kind === "doubly" && { "head.prev": value }),
+                ...(kind === "circular" && { "tail.next": value }),
+              }
+            : vars,
+      },
+    ];
+    if (e.index === 0) return frames;
+    if (e.index === before.length)
+      return [
+        ...frames,
+        {
+          step: "tail",
+          vars: {
+            ...vars,
+            tail: value,
+            ...(kind === "doubly" && { "node.prev": vars.tail }),
+            ...(kind === "circular" && { "tail.next": vars.head }),
+          },
+        },
+      ];
+    const prev = format(before[e.index - 1]);
+    const next = format(before[e.index]);
+    return [
+      ...frames,
+      { step: "tail", vars },
+      ...walkFrames(group, format, vars),
+      {
+        step: "next",
+        vars: {
+          ...vars,
+          prev,
+          "node.next": next,
+          ...(kind === "doubly" && { "node.prev": prev }),
+        },
+      },
+      {
+        step: "link",
+        vars: {
+          ...vars,
+          prev,
+          "prev.next": value,
+          ...(kind === "doubly" && { "next.prev": value }),
+        },
+      },
+    ];
+  };
+
+const removeFrames =
+  (kind) =>
+  (e, group, { format, model }) => {
+    if (e.type === "outOfBounds") return outOfBounds(e);
+    const after = model.toArray();
+    const before = [...after];
+    before.splice(e.index, 0, e.value);
+    const vars = {
+      index: e.index,
+      head: format(before[0]),
+      tail: format(before.at(-1)),
+    };
+    const newHead = format(after[0] ?? null);
+    if (e.index === 0)
+      return [
+        { step: "sig", vars },
+        {
+          step: "head",
+          vars: {
+            ...vars,
+            head: newHead,
+            ...(kind === "doubly" && { "head.prev": null }),
+            ...(kind === "circular" && { "tail.next": newHead }),
+          },
+        },
+      ];
+    const prev = format(before[e.index - 1]);
+    const isTail = e.index === after.length;
+    // With prev pointers the node before TAIL is tail.prev — no walk needed
+    if (kind === "doubly" && isTail)
+      return [
+        { step: "sig", vars },
+        { step: "head", vars },
+        { step: "tail", vars: { ...vars, tail: prev, "tail.next": null } },
+      ];
+    const next = format(after[e.index] ?? null);
+    const unlinked = {
+      ...vars,
+      prev,
+      "prev.next": kind === "circular" && isTail ? newHead : next,
+      ...(kind === "doubly" && { "next.prev": prev }),
+    };
+    if (kind === "doubly")
+      return [
+        { step: "sig", vars },
+        { step: "head", vars },
+        { step: "tail", vars },
+        ...walkFrames(group, format, vars),
+        { step: "unlink", vars: unlinked },
+      ];
+    return [
+      { step: "sig", vars },
+      { step: "head", vars },
+      ...walkFrames(group, format, vars),
+      { step: "unlink", vars: unlinked },
+      { step: "tail", vars: isTail ? { ...unlinked, tail: prev } : unlinked },
+    ];
+  };
+
+// One visit and one hop per node, then the loop check that ends it
+const traverseFrames = (e, group, { format, model }) => {
+  const nodes = model.toArray();
+  const visits = group.filter((g) => g.type === "visit");
+  const first = format(visits[0]?.node ?? null);
+  return [
+    { step: "sig", vars: {} },
+    { step: "init", vars: { curr: first } },
+    ...visits.flatMap((v, k) => {
+      const curr = format(v.node);
+      const next = format(nodes[e.order[k + 1]] ?? null);
+      return [
+        { step: "visit", vars: { curr } },
+        { step: "next", vars: { curr: next } },
+      ];
+    }),
+    { step: "loop", vars: { curr: null } },
+  ];
+};
+
+// Round a ring the loop is checked after every hop and ends back at HEAD
+const ringTraverseFrames = (e, group, { format, model }) => {
+  const nodes = model.toArray();
+  const visits = group.filter((g) => g.type === "visit");
+  const head = format(nodes[0] ?? null);
+  return [
+    { step: "sig", vars: {} },
+    { step: "init", vars: { curr: head } },
+    ...visits.flatMap((v, k) => {
+      const curr = format(v.node);
+      const next = format(nodes[e.order[k + 1]] ?? nodes[0]);
+      return [
+        { step: "visit", vars: { curr } },
+        { step: "next", vars: { curr: next } },
+        { step: "loop", vars: { curr: next, head } },
+      ];
+    }),
+  ];
+};
+
+// prev starts at null on a chain and at TAIL on a ring, so the old HEAD
+// ends up pointing at the new one
+const reverseFrames =
+  ({ ring }) =>
+  (e, _, { format, model }) => {
+    const after = model.toArray();
+    const before = [...after].reverse();
+    const head = format(before[0] ?? null);
+    const tail = format(before.at(-1) ?? null);
+    const start = ring ? tail : null;
+    return [
+      { step: "sig", vars: { head, tail } },
+      { step: "init", vars: { head, tail, prev: start, curr: head } },
+      ...before.flatMap((node, k) => {
+        const prev = k === 0 ? start : format(before[k - 1]);
+        const curr = format(node);
+        const next = format(before[k + 1] ?? (ring ? before[0] : null));
+        return [
+          { step: "flip", vars: { prev, curr, next, "curr.next": prev } },
+          { step: "step", vars: { prev: curr, curr: next } },
+        ];
+      }),
+      {
+        step: "swap",
+        vars: { head: format(after[0] ?? null), tail: format(after.at(-1)) },
+      },
+    ];
+  };
+
+// Every node swaps its next and prev; the walk follows the old next
+const swapFrames = (e, _, { format, model }) => {
+  const after = model.toArray();
+  const before = [...after].reverse();
+  const head = format(before[0] ?? null);
+  const tail = format(before.at(-1) ?? null);
+  return [
+    { step: "sig", vars: { head, tail } },
+    { step: "init", vars: { head, tail, curr: head } },
+    ...before.flatMap((node, k) => {
+      const curr = format(node);
+      const next = format(before[k + 1] ?? null);
+      const prev = format(before[k - 1] ?? null);
+      return [
+        {
+          step: "flip",
+          vars: { curr, next, "curr.next": prev, "curr.prev": next },
+        },
+        { step: "step", vars: { curr: next } },
+      ];
+    }),
+    {
+      step: "swap",
+      vars: { head: format(after[0] ?? null), tail: format(after.at(-1)) },
+    },
+  ];
+};
+
+// ─── Singly linked ───────────────────────────────────────────────────────────
+const insertAt = program(
+  {
+    js: `
+sig   | insertAt(index, value) {
+new   |   const node = new Node(value);
+head  |   if (index === 0) { node.next = head; head = node; return; }
+tail  |   if (index === size) { tail.next = node; tail = node; return; }
+start |   let prev = head;
+walk  |   for (let i = 0; i < index - 1; i++) prev = prev.next;
+next  |   node.next = prev.next;
+link  |   prev.next = node;
+      | }`,
+    py: `
+sig   | def insert_at(self, index, value):
+new   |     node = Node(value)
+head  |     if index == 0:
+head  |         node.next = self.head
+head  |         self.head = node
+head  |         return
+tail  |     if index == self.size:
+tail  |         self.tail.next = node
+tail  |         self.tail = node
+tail  |         return
+start |     prev = self.head
+walk  |     for i in range(index - 1):
+walk  |         prev = prev.next
+next  |     node.next = prev.next
+link  |     prev.next = node`,
+    java: `
+sig   | void insertAt(int index, T value) {
+new   |     Node<T> node = new Node<>(value);
+head  |     if (index == 0) { node.next = head; head = node; return; }
+tail  |     if (index == size) { tail.next = node; tail = node; return; }
+start |     Node<T> prev = head;
+walk  |     for (int i = 0; i < index - 1; i++) prev = prev.next;
+next  |     node.next = prev.next;
+link  |     prev.next = node;
+      | }`,
+    cpp: `
+sig   | void insertAt(int index, const T& value) {
+new   |     Node* node = new Node(value);
+head  |     if (index == 0) { node->next = head; head = node; return; }
+tail  |     if (index == size) { tail->next = node; tail = node; return; }
+start |     Node* prev = head;
+walk  |     for (int i = 0; i < index - 1; i++) prev = prev->next;
+next  |     node->next = prev->next;
+link  |     prev->next = node;
+      | }`,
+  },
+  insertFrames("singly"),
+);
+
+const removeAt = program(
+  {
+    js: `
+sig    | removeAt(index) {
+head   |   if (index === 0) { head = head.next; return; }
+start  |   let prev = head;
+walk   |   for (let i = 0; i < index - 1; i++) prev = prev.next;
+unlink |   prev.next = prev.next.next;
+tail   |   if (prev.next === null) tail = prev;
+       | }`,
+    py: `
+sig    | def remove_at(self, index):
+head   |     if index == 0:
+head   |         self.head = self.head.next
+head   |         return
+start  |     prev = self.head
+walk   |     for i in range(index - 1):
+walk   |         prev = prev.next
+unlink |     prev.next = prev.next.next
+tail   |     if prev.next is None:
+tail   |         self.tail = prev`,
+    java: `
+sig    | void removeAt(int index) {
+head   |     if (index == 0) { head = head.next; return; }
+start  |     Node<T> prev = head;
+walk   |     for (int i = 0; i < index - 1; i++) prev = prev.next;
+unlink |     prev.next = prev.next.next;
+tail   |     if (prev.next == null) tail = prev;
+       | }`,
+    cpp: `
+sig    | void removeAt(int index) {
+head   |     if (index == 0) { Node* old = head; head = head->next; delete old; return; }
+start  |     Node* prev = head;
+walk   |     for (int i = 0; i < index - 1; i++) prev = prev->next;
+unlink |     Node* old = prev->next;
+unlink |     prev->next = old->next;
+unlink |     delete old;
+tail   |     if (prev->next == nullptr) tail = prev;
+       | }`,
+  },
+  removeFrames("singly"),
+);
+
+const traverse = program(
+  {
+    js: `
+sig   | traverse() {
+init  |   let curr = head;
+loop  |   while (curr !== null) {
+visit |     visit(curr.value);
+next  |     curr = curr.next;
+      |   }
+      | }`,
+    py: `
+sig   | def traverse(self):
+init  |     curr = self.head
+loop  |     while curr is not None:
+visit |         visit(curr.value)
+next  |         curr = curr.next`,
+    java: `
+sig   | void traverse() {
+init  |     Node<T> curr = head;
+loop  |     while (curr != null) {
+visit |         visit(curr.value);
+next  |         curr = curr.next;
+      |     }
+      | }`,
+    cpp: `
+sig   | void traverse() {
+init  |     Node* curr = head;
+loop  |     while (curr != nullptr) {
+visit |         visit(curr->value);
+next  |         curr = curr->next;
+      |     }
+      | }`,
+  },
+  traverseFrames,
+);
+
+const reverse = program(
+  {
+    js: `
+sig   | reverse() {
+init  |   let prev = null, curr = head;
+loop  |   while (curr !== null) {
+flip  |     const next = curr.next;
+flip  |     curr.next = prev;
+step  |     prev = curr;
+step  |     curr = next;
+      |   }
+swap  |   tail = head;
+swap  |   head = prev;
+      | }`,
+    py: `
+sig   | def reverse(self):
+init  |     prev, curr = None, self.head
+loop  |     while curr is not None:
+flip  |         nxt = curr.next
+flip  |         curr.next = prev
+step  |         prev = curr
+step  |         curr = nxt
+swap  |     self.tail = self.head
+swap  |     self.head = prev`,
+    java: `
+sig   | void reverse() {
+init  |     Node<T> prev = null, curr = head;
+loop  |     while (curr != null) {
+flip  |         Node<T> next = curr.next;
+flip  |         curr.next = prev;
+step  |         prev = curr;
+step  |         curr = next;
+      |     }
+swap  |     tail = head;
+swap  |     head = prev;
+      | }`,
+    cpp: `
+sig   | void reverse() {
+init  |     Node *prev = nullptr, *curr = head;
+loop  |     while (curr != nullptr) {
+flip  |         Node* next = curr->next;
+flip  |         curr->next = prev;
+step  |         prev = curr;
+step  |         curr = next;
+      |     }
+swap  |     tail = head;
+swap  |     head = prev;
+      | }`,
+  },
+  reverseFrames({ ring: false }),
+);
+
+export const linkedListPrograms = {
+  insertAt,
+  removeAt,
+  traverse,
+  reverse,
+};
+
+// ─── Doubly linked: every node also points back at the one before it ─────────
+const doublyInsertAt = program(
+  {
+    js: `
+sig   | insertAt(index, value) {
+new   |   const node = new Node(value);
+head  |   if (index === 0) { node.next = head; head.prev = node; head = node; return; }
+tail  |   if (index === size) { node.prev = tail; tail.next = node; tail = node; return; }
+start |   let prev = head;
+walk  |   for (let i = 0; i < index - 1; i++) prev = prev.next;
+next  |   node.next = prev.next;
+next  |   node.prev = prev;
+link  |   prev.next.prev = node;
+link  |   prev.next = node;
+      | }`,
+    py: `
+sig   | def insert_at(self, index, value):
+new   |     node = Node(value)
+head  |     if index == 0:
+head  |         node.next = self.head
+head  |         self.head.prev = node
+head  |         self.head = node
+head  |         return
+tail  |     if index == self.size:
+tail  |         node.prev = self.tail
+tail  |         self.tail.next = node
+tail  |         self.tail = node
+tail  |         return
+start |     prev = self.head
+walk  |     for i in range(index - 1):
+walk  |         prev = prev.next
+next  |     node.next = prev.next
+next  |     node.prev = prev
+link  |     prev.next.prev = node
+link  |     prev.next = node`,
+    java: `
+sig   | void insertAt(int index, T value) {
+new   |     Node<T> node = new Node<>(value);
+head  |     if (index == 0) { node.next = head; head.prev = node; head = node; return; }
+tail  |     if (index == size) { node.prev = tail; tail.next = node; tail = node; return; }
+start |     Node<T> prev = head;
+walk  |     for (int i = 0; i < index - 1; i++) prev = prev.next;
+next  |     node.next = prev.next;
+next  |     node.prev = prev;
+link  |     prev.next.prev = node;
+link  |     prev.next = node;
+      | }`,
+    cpp: `
+sig   | void insertAt(int index, const T& value) {
+new   |     Node* node = new Node(value);
+head  |     if (index == 0) { node->next = head; head->prev = node; head = node; return; }
+tail  |     if (index == size) { node->prev = tail; tail->next = node; tail = node; return; }
+start |     Node* prev = head;
+walk  |     for (int i = 0; i < index - 1; i++) prev = prev->next;
+next  |     node->next = prev->next;
+next  |     node->prev = prev;
+link  |     prev->next->prev = node;
+link  |     prev->next = node;
+      | }`,
+  },
+  insertFrames("doubly"),
+);
+
+const doublyRemoveAt = program(
+  {
+    js: `
+sig    | removeAt(index) {
+head   |   if (index === 0) { head = head.next; head.prev = null; return; }
+tail   |   if (index === size - 1) { tail = tail.prev; tail.next = null; return; }
+start  |   let prev = head;
+walk   |   for (let i = 0; i < index - 1; i++) prev = prev.next;
+unlink |   prev.next = prev.next.next;
+unlink |   prev.next.prev = prev;
+       | }`,
+    py: `
+sig    | def remove_at(self, index):
+head   |     if index == 0:
+head   |         self.head = self.head.next
+head   |         self.head.prev = None
+head   |         return
+tail   |     if index == self.size - 1:
+tail   |         self.tail = self.tail.prev
+tail   |         self.tail.next = None
+tail   |         return
+start  |     prev = self.head
+walk   |     for i in range(index - 1):
+walk   |         prev = prev.next
+unlink |     prev.next = prev.next.next
+unlink |     prev.next.prev = prev`,
+    java: `
+sig    | void removeAt(int index) {
+head   |     if (index == 0) { head = head.next; head.prev = null; return; }
+tail   |     if (index == size - 1) { tail = tail.prev; tail.next = null; return; }
+start  |     Node<T> prev = head;
+walk   |     for (int i = 0; i < index - 1; i++) prev = prev.next;
+unlink |     prev.next = prev.next.next;
+unlink |     prev.next.prev = prev;
+       | }`,
+    cpp: `
+sig    | void removeAt(int index) {
+head   |     if (index == 0) { Node* old = head; head = head->next; head->prev = nullptr; delete old; return; }
+tail   |     if (index == size - 1) { Node* old = tail; tail = tail->prev; tail->next = nullptr; delete old; return; }
+start  |     Node* prev = head;
+walk   |     for (int i = 0; i < index - 1; i++) prev = prev->next;
+unlink |     Node* old = prev->next;
+unlink |     prev->next = old->next;
+unlink |     old->next->prev = prev;
+unlink |     delete old;
+       | }`,
+  },
+  removeFrames("doubly"),
+);
+
+const traverseBackward = program(
+  {
+    js: `
+sig   | traverseBackward() {
+init  |   let curr = tail;
+loop  |   while (curr !== null) {
+visit |     visit(curr.value);
+next  |     curr = curr.prev;
+      |   }
+      | }`,
+    py: `
+sig   | def traverse_backward(self):
+init  |     curr = self.tail
+loop  |     while curr is not None:
+visit |         visit(curr.value)
+next  |         curr = curr.prev`,
+    java: `
+sig   | void traverseBackward() {
+init  |     Node<T> curr = tail;
+loop  |     while (curr != null) {
+visit |         visit(curr.value);
+next  |         curr = curr.prev;
+      |     }
+      | }`,
+    cpp: `
+sig   | void traverseBackward() {
+init  |     Node* curr = tail;
+loop  |     while (curr != nullptr) {
+visit |         visit(curr->value);
+next  |         curr = curr->prev;
+      |     }
+      | }`,
+  },
+  traverseFrames,
+);
+
+const doublyReverse = program(
+  {
+    js: `
+sig   | reverse() {
+init  |   let curr = head;
+loop  |   while (curr !== null) {
+flip  |     const next = curr.next;
+flip  |     curr.next = curr.prev;
+flip  |     curr.prev = next;
+step  |     curr = next;
+      |   }
+swap  |   [head, tail] = [tail, head];
+      | }`,
+    py: `
+sig   | def reverse(self):
+init  |     curr = self.head
+loop  |     while curr is not None:
+flip  |         curr.next, curr.prev = curr.prev, curr.next
+step  |         curr = curr.prev
+swap  |     self.head, self.tail = self.tail, self.head`,
+    java: `
+sig   | void reverse() {
+init  |     Node<T> curr = head;
+loop  |     while (curr != null) {
+flip  |         Node<T> next = curr.next;
+flip  |         curr.next = curr.prev;
+flip  |         curr.prev = next;
+step  |         curr = next;
+      |     }
+swap  |     Node<T> oldHead = head;
+swap  |     head = tail;
+swap  |     tail = oldHead;
+      | }`,
+    cpp: `
+sig   | void reverse() {
+init  |     Node* curr = head;
+loop  |     while (curr != nullptr) {
+flip  |         Node* next = curr->next;
+flip  |         std::swap(curr->next, curr->prev);
+step  |         curr = next;
+      |     }
+swap  |     std::swap(head, tail);
+      | }`,
+  },
+  swapFrames,
+);
+
+export const doublyLinkedListPrograms = {
+  insertAt: doublyInsertAt,
+  removeAt: doublyRemoveAt,
+  traverse,
+  traverseBackward,
+  reverse: doublyReverse,
+};
+
+// ─── Circular: TAIL.next points back at HEAD instead of null ─────────────────
+const circularInsertAt = program(
+  {
+    js: `
+sig   | insertAt(index, value) {
+new   |   const node = new Node(value);
+head  |   if (index === 0) { node.next = head; head = node; tail.next = head; return; }
+tail  |   if (index === size) { tail.next = node; tail = node; tail.next = head; return; }
+start |   let prev = head;
+walk  |   for (let i = 0; i < index - 1; i++) prev = prev.next;
+next  |   node.next = prev.next;
+link  |   prev.next = node;
+      | }`,
+    py: `
+sig   | def insert_at(self, index, value):
+new   |     node = Node(value)
+head  |     if index == 0:
+head  |         node.next = self.head
+head  |         self.head = node
+head  |         self.tail.next = self.head
+head  |         return
+tail  |     if index == self.size:
+tail  |         self.tail.next = node
+tail  |         self.tail = node
+tail  |         self.tail.next = self.head
+tail  |         return
+start |     prev = self.head
+walk  |     for i in range(index - 1):
+walk  |         prev = prev.next
+next  |     node.next = prev.next
+link  |     prev.next = node`,
+    java: `
+sig   | void insertAt(int index, T value) {
+new   |     Node<T> node = new Node<>(value);
+head  |     if (index == 0) { node.next = head; head = node; tail.next = head; return; }
+tail  |     if (index == size) { tail.next = node; tail = node; tail.next = head; return; }
+start |     Node<T> prev = head;
+walk  |     for (int i = 0; i < index - 1; i++) prev = prev.next;
+next  |     node.next = prev.next;
+link  |     prev.next = node;
+      | }`,
+    cpp: `
+sig   | void insertAt(int index, const T& value) {
+new   |     Node* node = new Node(value);
+head  |     if (index == 0) { node->next = head; head = node; tail->next = head; return; }
+tail  |     if (index == size) { tail->next = node; tail = node; tail->next = head; return; }
+start |     Node* prev = head;
+walk  |     for (int i = 0; i < index - 1; i++) prev = prev->next;
+next  |     node->next = prev->next;
+link  |     prev->next = node;
+      | }`,
+  },
+  insertFrames("circular"),
+);
+
+const circularRemoveAt = program(
+  {
+    js: `
+sig    | removeAt(index) {
+head   |   if (index === 0) { head = head.next; tail.next = head; return; }
+start  |   let prev = head;
+walk   |   for (let i = 0; i < index - 1; i++) prev = prev.next;
+unlink |   prev.next = prev.next.next;
+tail   |   if (prev.next === head) tail = prev;
+       | }`,
+    py: `
+sig    | def remove_at(self, index):
+head   |     if index == 0:
+head   |         self.head = self.head.next
+head   |         self.tail.next = self.head
+head   |         return
+start  |     prev = self.head
+walk   |     for i in range(index - 1):
+walk   |         prev = prev.next
+unlink |     prev.next = prev.next.next
+tail   |     if prev.next is self.head:
+tail   |         self.tail = prev`,
+    java: `
+sig    | void removeAt(int index) {
+head   |     if (index == 0) { head = head.next; tail.next = head; return; }
+start  |     Node<T> prev = head;
+walk   |     for (int i = 0; i < index - 1; i++) prev = prev.next;
+unlink |     prev.next = prev.next.next;
+tail   |     if (prev.next == head) tail = prev;
+       | }`,
+    cpp: `
+sig    | void removeAt(int index) {
+head   |     if (index == 0) { Node* old = head; head = head->next; tail->next = head; delete old; return; }
+start  |     Node* prev = head;
+walk   |     for (int i = 0; i < index - 1; i++) prev = prev->next;
+unlink |     Node* old = prev->next;
+unlink |     prev->next = old->next;
+unlink |     delete old;
+tail   |     if (prev->next == head) tail = prev;
+       | }`,
+  },
+  removeFrames("circular"),
+);
+
+const circularTraverse = program(
+  {
+    js: `
+sig   | traverse() {
+init  |   if (head === null) return;
+init  |   let curr = head;
+      |   do {
+visit |     visit(curr.value);
+next  |     curr = curr.next;
+loop  |   } while (curr !== head);
+      | }`,
+    py: `
+sig   | def traverse(self):
+init  |     if self.head is None:
+init  |         return
+init  |     curr = self.head
+      |     while True:
+visit |         visit(curr.value)
+next  |         curr = curr.next
+loop  |         if curr is self.head:
+loop  |             break`,
+    java: `
+sig   | void traverse() {
+init  |     if (head == null) return;
+init  |     Node<T> curr = head;
+      |     do {
+visit |         visit(curr.value);
+next  |         curr = curr.next;
+loop  |     } while (curr != head);
+      | }`,
+    cpp: `
+sig   | void traverse() {
+init  |     if (head == nullptr) return;
+init  |     Node* curr = head;
+      |     do {
+visit |         visit(curr->value);
+next  |         curr = curr->next;
+loop  |     } while (curr != head);
+      | }`,
+  },
+  ringTraverseFrames,
+);
+
+const circularReverse = program(
+  {
+    js: `
+sig   | reverse() {
+init  |   let prev = tail, curr = head;
+loop  |   for (let i = 0; i < size; i++) {
+flip  |     const next = curr.next;
+flip  |     curr.next = prev;
+step  |     prev = curr;
+step  |     curr = next;
+      |   }
+swap  |   tail = head;
+swap  |   head = prev;
+      | }`,
+    py: `
+sig   | def reverse(self):
+init  |     prev, curr = self.tail, self.head
+loop  |     for _ in range(self.size):
+flip  |         nxt = curr.next
+flip  |         curr.next = prev
+step  |         prev = curr
+step  |         curr = nxt
+swap  |     self.tail = self.head
+swap  |     self.head = prev`,
+    java: `
+sig   | void reverse() {
+init  |     Node<T> prev = tail, curr = head;
+loop  |     for (int i = 0; i < size; i++) {
+flip  |         Node<T> next = curr.next;
+flip  |         curr.next = prev;
+step  |         prev = curr;
+step  |         curr = next;
+      |     }
+swap  |     tail = head;
+swap  |     head = prev;
+      | }`,
+    cpp: `
+sig   | void reverse() {
+init  |     Node *prev = tail, *curr = head;
+loop  |     for (int i = 0; i < size; i++) {
+flip  |         Node* next = curr->next;
+flip  |         curr->next = prev;
+step  |         prev = curr;
+step  |         curr = next;
+      |     }
+swap  |     tail = head;
+swap  |     head = prev;
+      | }`,
+  },
+  reverseFrames({ ring: true }),
+);
+
+export const circularLinkedListPrograms = {
+  insertAt: circularInsertAt,
+  removeAt: circularRemoveAt,
+  traverse: circularTraverse,
+  reverse: circularReverse,
+};
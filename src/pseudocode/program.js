@@ -0,0 +1,39 @@
+// ─── Pseudocode programs: the code behind each model operation ───────────────
+// A program is the same operation written in every language the curriculum
+// uses, plus a `trace` that turns the events one model call emitted into
+// frames ({ step, vars, error }) — one per line as the operation runs.
+//
+// Source is written one line per row as "step | code". Every line with the
+// same step lights up together, so a Python `if` and its `raise` can share
+// the step a JavaScript one-liner uses. Rows without a step (closing braces)
+// are never highlighted.
+
+export const LANGUAGES = [
+  { id: "js", label: "JavaScript" },
+  { id: "py", label: "Python" },
+  { id: "java", label: "Java" },
+  { id: "cpp", label: "C++" },
+];
+
+const parse = (src) =>
+  src
+    .replace(/^\n/, "")
+    .split("\n")
+    .map((row) => {
+      const [, step, text] = row.match(/^\s*(\w*)\s*\| ?(.*)$/);
+      return { step: step || null, text };
+    });
+
+/**
+ * @param {{ js: string, py: string, java: string, cpp: string }} source
+ * @param {(event: object, group: object[], ctx: { format: Function, model: object }) => object[]} trace
+ */
+export function program(source, trace) {
+  const code = {};
+  for (const { id } of LANGUAGES) code[id] = parse(source[id]);
+  return { code, trace };
+}
+
+// The program that explains an event: the method it came from, or its type
+export const programKey = (e) =>
+  e.backward ? "traverseBackward" : (e.op ?? e.type);
@@ -0,0 +1,155 @@
+import { program } from "./program";
+
+// ─── Queue: circular buffer, `head` = FRONT slot, `tail` = next free slot ────
+
+const enqueue = program(
+  {
+    js: `
+sig   | enqueue(value) {
+full  |   if (size === capacity) throw new Error("Queue Full");
+store |   items[tail] = value;
+move  |   tail = (tail + 1) % capacity;
+count |   size = size + 1;
+      | }`,
+    py: `
+sig   | def enqueue(self, value):
+full  |     if self.size == self.capacity:
+full  |         raise OverflowError("Queue Full")
+store |     self.items[self.tail] = value
+move  |     self.tail = (self.tail + 1) % self.capacity
+count |     self.size += 1`,
+    java: `
+sig   | void enqueue(T value) {
+full  |     if (size == capacity) throw new IllegalStateException("Queue Full");
+store |     items[tail] = value;
+move  |     tail = (tail + 1) % capacity;
+count |     size = size + 1;
+      | }`,
+    cpp: `
+sig   | void enqueue(const T& value) {
+full  |     if (size == capacity) throw std::overflow_error("Queue Full");
+store |     items[tail] = value;
+move  |     tail = (tail + 1) % capacity;
+count |     size = size + 1;
+      | }`,
+  },
+  (e, _, { format, model }) => {
+    const value = format(e.value);
+    const { head } = model;
+    if (e.type === "overflow") {
+      const vars = { value, head, tail: model.tail, size: e.capacity };
+      return [
+        { step: "sig", vars },
+        { step: "full", vars, error: true },
+      ];
+    }
+    const tail = e.slot;
+    const before = { value, head, tail, size: e.size - 1 };
+    const moved = { ...before, tail: (tail + 1) % model.capacity };
+    return [
+      { step: "sig", vars: before },
+      { step: "full", vars: before },
+      { step: "store", vars: { ...before, [`items[${tail}]`]: value } },
+      { step: "move", vars: moved },
+      { step: "count", vars: { ...moved, size: e.size } },
+    ];
+  },
+);
+
+const dequeue = program(
+  {
+    js: `
+sig   | dequeue() {
+empty |   if (size === 0) throw new Error("Queue Empty");
+read  |   const value = items[head];
+move  |   head = (head + 1) % capacity;
+count |   size = size - 1;
+ret   |   return value;
+      | }`,
+    py: `
+sig   | def dequeue(self):
+empty |     if self.size == 0:
+empty |         raise IndexError("Queue Empty")
+read  |     value = self.items[self.head]
+move  |     self.head = (self.head + 1) % self.capacity
+count |     self.size -= 1
+ret   |     return value`,
+    java: `
+sig   | T dequeue() {
+empty |     if (size == 0) throw new IllegalStateException("Queue Empty");
+read  |     T value = items[head];
+move  |     head = (head + 1) % capacity;
+count |     size = size - 1;
+ret   |     return value;
+      | }`,
+    cpp: `
+sig   | T dequeue() {
+empty |     if (size == 0) throw std::underflow_error("Queue Empty");
+read  |     T value = items[head];
+move  |     head = (head + 1) % capacity;
+count |     size = size - 1;
+ret   |     return value;
+      | }`,
+  },
+  (e, _, { format, model }) => {
+    const { tail } = model;
+    if (e.type === "underflow") {
+      const vars = { head: model.head, tail, size: 0 };
+      return [
+        { step: "sig", vars },
+        { step: "empty", vars, error: true },
+      ];
+    }
+    const before = { head: e.slot, tail, size: e.size + 1 };
+    const read = { ...before, value: format(e.value) };
+    const moved = { ...read, head: e.head };
+    return [
+      { step: "sig", vars: before },
+      { step: "empty", vars: before },
+      { step: "read", vars: read },
+      { step: "move", vars: moved },
+      { step: "count", vars: { ...moved, size: e.size } },
+      { step: "ret", vars: { ...moved, size: e.size } },
+    ];
+  },
+);
+
+const peek = program(
+  {
+    js: `
+sig   | peek() {
+empty |   if (size === 0) throw new Error("Queue Empty");
+ret   |   return items[head];
+      | }`,
+    py: `
+sig   | def peek(self):
+empty |     if self.size == 0:
+empty |         raise IndexError("Queue Empty")
+ret   |     return self.items[self.head]`,
+    java: `
+sig   | T peek() {
+empty |     if (size == 0) throw new IllegalStateException("Queue Empty");
+ret   |     return items[head];
+      | }`,
+    cpp: `
+sig   | T& peek() {
+empty |     if (size == 0) throw std::underflow_error("Queue Empty");
+ret   |     return items[head];
+      | }`,
+  },
+  (e, _, { format, model }) => {
+    const vars = { head: model.head, tail: model.tail, size: model.size };
+    if (e.type === "underflow")
+      return [
+        { step: "sig", vars },
+        { step: "empty", vars, error: true },
+      ];
+    return [
+      { step: "sig", vars },
+      { step: "empty", vars },
+      { step: "ret", vars: { ...vars, [`items[${e.slot}]`]: format(e.value) } },
+    ];
+  },
+);
+
+export const queuePrograms = { enqueue, dequeue, peek };
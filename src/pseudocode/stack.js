@@ -0,0 +1,162 @@
+import { program } from "./program";
+
+// ─── Stack: array-backed, `top` is the index of the last item (-1 if empty) ──
+
+const push = program(
+  {
+    js: `
+sig   | push(value) {
+full  |   if (top === capacity - 1) throw new Error("Stack Overflow");
+inc   |   top = top + 1;
+store |   items[top] = value;
+      | }`,
+    py: `
+sig   | def push(self, value):
+full  |     if self.top == self.capacity - 1:
+full  |         raise OverflowError("Stack Overflow")
+inc   |     self.top += 1
+store |     self.items[self.top] = value`,
+    java: `
+sig   | void push(T value) {
+full  |     if (top == capacity - 1) throw new IllegalStateException("Stack Overflow");
+inc   |     top = top + 1;
+store |     items[top] = value;
+      | }`,
+    cpp: `
+sig   | void push(const T& value) {
+full  |     if (top == capacity - 1) throw std::overflow_error("Stack Overflow");
+inc   |     top = top + 1;
+store |     items[top] = value;
+      | }`,
+  },
+  (e, _, { format }) => {
+    const value = format(e.value);
+    if (e.type === "overflow") {
+      const vars = { value, top: e.capacity - 1, capacity: e.capacity };
+      return [
+        { step: "sig", vars },
+        { step: "full", vars, error: true },
+      ];
+    }
+    const top = e.index;
+    return [
+      { step: "sig", vars: { value, top: top - 1 } },
+      { step: "full", vars: { value, top: top - 1 } },
+      { step: "inc", vars: { value, top } },
+      { step: "store", vars: { value, top, [`items[${top}]`]: value } },
+    ];
+  },
+);
+
+const pop = program(
+  {
+    js: `
+sig   | pop() {
+empty |   if (top === -1) throw new Error("Stack Underflow");
+read  |   const value = items[top];
+dec   |   top = top - 1;
+ret   |   return value;
+      | }`,
+    py: `
+sig   | def pop(self):
+empty |     if self.top == -1:
+empty |         raise IndexError("Stack Underflow")
+read  |     value = self.items[self.top]
+dec   |     self.top -= 1
+ret   |     return value`,
+    java: `
+sig   | T pop() {
+empty |     if (top == -1) throw new IllegalStateException("Stack Underflow");
+read  |     T value = items[top];
+dec   |     top = top - 1;
+ret   |     return value;
+      | }`,
+    cpp: `
+sig   | T pop() {
+empty |     if (top == -1) throw std::underflow_error("Stack Underflow");
+read  |     T value = items[top];
+dec   |     top = top - 1;
+ret   |     return value;
+      | }`,
+  },
+  (e, _, { format }) => {
+    if (e.type === "underflow")
+      return [
+        { step: "sig", vars: { top: -1 } },
+        { step: "empty", vars: { top: -1 }, error: true },
+      ];
+    const top = e.index;
+    const value = format(e.value);
+    return [
+      { step: "sig", vars: { top } },
+      { step: "empty", vars: { top } },
+      { step: "read", vars: { top, value } },
+      { step: "dec", vars: { top: top - 1, value } },
+      { step: "ret", vars: { top: top - 1, value } },
+    ];
+  },
+);
+
+const peek = program(
+  {
+    js: `
+sig   | peek() {
+empty |   if (top === -1) throw new Error("Stack is empty");
+ret   |   return items[top];
+      | }`,
+    py: `
+sig   | def peek(self):
+empty |     if self.top == -1:
+empty |         raise IndexError("Stack is empty")
+ret   |     return self.items[self.top]`,
+    java: `
+sig   | T peek() {
+empty |     if (top == -1) throw new IllegalStateException("Stack is empty");
+ret   |     return items[top];
+      | }`,
+    cpp: `
+sig   | T& peek() {
+empty |     if (top == -1) throw std::underflow_error("Stack is empty");
+ret   |     return items[top];
+      | }`,
+  },
+  (e, _, { format }) => {
+    if (e.type === "underflow")
+      return [
+        { step: "sig", vars: { top: -1 } },
+        { step: "empty", vars: { top: -1 }, error: true },
+      ];
+    const top = e.index;
+    return [
+      { step: "sig", vars: { top } },
+      { step: "empty", vars: { top } },
+      { step: "ret", vars: { top, [`items[${top}]`]: format(e.value) } },
+    ];
+  },
+);
+
+const clear = program(
+  {
+    js: `
+sig   | clear() {
+reset |   top = -1;
+      | }`,
+    py: `
+sig   | def clear(self):
+reset |     self.top = -1`,
+    java: `
+sig   | void clear() {
+reset |     top = -1;
+      | }`,
+    cpp: `
+sig   | void clear() {
+reset |     top = -1;
+      | }`,
+  },
+  (e) => [
+    { step: "sig", vars: { top: e.removed - 1 } },
+    { step: "reset", vars: { top: -1 } },
+  ],
+);
+
+export const stackPrograms = { push, pop, peek, clear };